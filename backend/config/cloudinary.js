@@ -1,8 +1,11 @@
 import { v2 as cloudinary } from 'cloudinary';
 import { CloudinaryStorage } from 'multer-storage-cloudinary';
 import multer from 'multer';
+import os from 'os';
+import path from 'path';
 import dotenv from 'dotenv';
 import sharp from 'sharp';
+import { FILE_LIMITS } from '../utils/constants.js';
 
 // Load environment variables if not already loaded
 dotenv.config();
@@ -72,6 +75,17 @@ export const uploadTrackFiles = multer({
   },
 });
 
+// Bulk track import: manifest plus a ZIP of media, uploaded to Cloudinary file by file
+// Written to disk - the archive can be far larger than anything else kept in memory
+export const TRACK_IMPORT_UPLOAD_DIR = path.join(os.tmpdir(), 'track-imports');
+
+export const uploadImportFiles = multer({
+  dest: TRACK_IMPORT_UPLOAD_DIR,
+  limits: {
+    fileSize: FILE_LIMITS.IMPORT_ARCHIVE_MAX_SIZE,
+  },
+});
+
 // Helper function to upload file to Cloudinary
 export const uploadToCloudinary = async (
   file,
@@ -60,6 +60,16 @@ const options = {
             'Optional API key for public endpoints. Can also be passed as query parameter: ?apiKey=your-key',
         },
       },
+      parameters: {
+        PaymentProvider: {
+          in: 'path',
+          name: 'provider',
+          required: true,
+          schema: { type: 'string', enum: ['bkash', 'mock'] },
+          description:
+            'Payment provider (mock only when MOCK_PAYMENTS_ENABLED=true outside production)',
+        },
+      },
       schemas: {
         Error: {
           type: 'object',
@@ -102,6 +112,9 @@ const options = {
               description:
                 'Preview/short audio file URL (required, publicly accessible for playback)',
             },
+            previewSettings: {
+              $ref: '#/components/schemas/PreviewSettings',
+            },
             releaseDate: {
               type: 'string',
               format: 'date',
@@ -113,15 +126,85 @@ const options = {
             },
             category: {
               type: 'string',
-              enum: [
-                'Rock',
-                'Folk',
-                'Hip-Hop',
-                'Jazz & Blues',
-                'Modern Song',
-                'Classical',
-              ],
-              description: 'Track category',
+              description:
+                'Track category name (must match a category from /api/categories)',
+            },
+            status: {
+              type: 'string',
+              enum: ['draft', 'scheduled', 'published', 'archived'],
+              description:
+                'Publication status (only published tracks are public; scheduled tracks go live at releaseDate)',
+            },
+            licenses: {
+              type: 'array',
+              description:
+                'License tiers offered for this track. When present, price is the cheapest tier. File URLs are only returned to admins.',
+              items: {
+                $ref: '#/components/schemas/TrackLicense',
+              },
+            },
+            revenueSplits: {
+              type: 'array',
+              description:
+                'Collaborator shares of every sale (admins only). The rest goes to the owner.',
+              items: {
+                $ref: '#/components/schemas/RevenueSplit',
+              },
+            },
+            publishedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the track went public',
+            },
+            bpm: {
+              type: 'number',
+              description: 'Tempo in beats per minute',
+            },
+            key: {
+              type: 'string',
+              description: 'Musical key, e.g. "A minor"',
+            },
+            duration: {
+              type: 'integer',
+              description: 'Length in seconds',
+            },
+            bitrate: {
+              type: 'integer',
+              description: 'Bitrate in kbps',
+            },
+            sampleRate: {
+              type: 'integer',
+              description: 'Sample rate in Hz',
+            },
+            credits: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/TrackCredit',
+              },
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+            lyrics: {
+              type: 'string',
+            },
+            explicit: {
+              type: 'boolean',
+              description: 'Contains explicit content',
+            },
+            soldExclusively: {
+              type: 'boolean',
+              description:
+                'True once an exclusive license is sold - the track is hidden publicly and cannot be bought',
+            },
+            soldExclusivelyAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            exclusiveSale: {
+              type: 'string',
+              description: 'Sale that bought the exclusive license (reference)',
             },
             views: {
               type: 'number',
@@ -138,6 +221,25 @@ const options = {
               description: 'Total revenue from all completed sales (in BDT)',
               default: 0,
             },
+            featured: {
+              type: 'boolean',
+              description: 'Featured items come first in public lists',
+            },
+            position: {
+              type: 'number',
+              nullable: true,
+              description:
+                'Manual position in public lists (ascending) - set by the reorder endpoint',
+            },
+            slug: {
+              type: 'string',
+              description: 'URL slug (unique, editable)',
+            },
+            previousSlugs: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Earlier slugs that redirect to the current one',
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -169,6 +271,25 @@ const options = {
               type: 'string',
               description: 'Image caption (supports multi-line)',
             },
+            featured: {
+              type: 'boolean',
+              description: 'Featured items come first in public lists',
+            },
+            position: {
+              type: 'number',
+              nullable: true,
+              description:
+                'Manual position in public lists (ascending) - set by the reorder endpoint',
+            },
+            slug: {
+              type: 'string',
+              description: 'URL slug (unique, editable)',
+            },
+            previousSlugs: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Earlier slugs that redirect to the current one',
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -194,6 +315,759 @@ const options = {
               type: 'number',
               description: 'Price in BDT (৳)',
             },
+            licenseType: {
+              type: 'string',
+              enum: ['basic', 'premium', 'exclusive'],
+              description: 'License type tracks get when using this plan',
+            },
+            usageTerms: {
+              type: 'string',
+              description: 'Default usage terms for this license',
+            },
+            deliverables: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Files included (e.g. MP3, WAV, Stems)',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        TrackCredit: {
+          type: 'object',
+          properties: {
+            role: { type: 'string', example: 'Producer' },
+            name: { type: 'string', example: 'Nahid' },
+          },
+        },
+        PreviewSettings: {
+          type: 'object',
+          nullable: true,
+          description:
+            'How the preview was generated from the full track. Absent (or sent as null) for previews uploaded by hand',
+          properties: {
+            start: { type: 'number', example: 45, description: 'Seconds' },
+            length: { type: 'number', example: 30, description: 'Seconds (5-120)' },
+            fadeIn: { type: 'number', example: 1, description: 'Seconds (0-10)' },
+            fadeOut: { type: 'number', example: 2, description: 'Seconds (0-10)' },
+            watermark: {
+              type: 'boolean',
+              example: true,
+              description: 'Voice tag mixed in',
+            },
+          },
+        },
+        GeneratedPreview: {
+          type: 'object',
+          properties: {
+            url: {
+              type: 'string',
+              format: 'uri',
+              description: 'Cloudinary URL of the generated MP3',
+            },
+            waveform: {
+              type: 'array',
+              nullable: true,
+              items: { type: 'number' },
+            },
+            duration: {
+              type: 'number',
+              description: 'Actual clip length (shorter when the track ends first)',
+            },
+            watermarked: {
+              type: 'boolean',
+              description: 'Whether a voice tag was mixed in',
+            },
+            settings: { $ref: '#/components/schemas/PreviewSettings' },
+          },
+        },
+        TrackWaveform: {
+          type: 'object',
+          properties: {
+            trackId: { type: 'string' },
+            waveform: {
+              type: 'array',
+              nullable: true,
+              items: { type: 'number', minimum: 0, maximum: 1 },
+              description: 'Peaks of the full track (up to 400 points)',
+            },
+            previewWaveform: {
+              type: 'array',
+              nullable: true,
+              items: { type: 'number', minimum: 0, maximum: 1 },
+              description: 'Peaks of the preview audio (up to 400 points)',
+            },
+          },
+        },
+        RevenueSplit: {
+          type: 'object',
+          required: ['collaborator', 'role', 'percentage'],
+          properties: {
+            collaborator: { type: 'string', description: 'Collaborator ID' },
+            role: {
+              type: 'string',
+              enum: [
+                'artist',
+                'producer',
+                'lyricist',
+                'composer',
+                'featured artist',
+                'mixing engineer',
+                'other',
+              ],
+            },
+            percentage: {
+              type: 'number',
+              minimum: 0,
+              maximum: 100,
+              example: 40,
+            },
+          },
+        },
+        CollaboratorInput: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', example: 'Nahid' },
+            defaultRole: {
+              type: 'string',
+              enum: [
+                'artist',
+                'producer',
+                'lyricist',
+                'composer',
+                'featured artist',
+                'mixing engineer',
+                'other',
+              ],
+            },
+            email: { type: 'string', format: 'email' },
+            phoneNumber: {
+              type: 'string',
+              description: 'Payout number (e.g. bKash)',
+            },
+            notes: { type: 'string' },
+          },
+        },
+        Collaborator: {
+          allOf: [
+            { $ref: '#/components/schemas/CollaboratorInput' },
+            {
+              type: 'object',
+              properties: {
+                _id: { type: 'string' },
+                trackCount: {
+                  type: 'integer',
+                  description: 'Tracks whose revenue split includes this collaborator',
+                },
+                createdAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time' },
+              },
+            },
+          ],
+        },
+        LedgerEntry: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            sale: {
+              type: 'string',
+              description: 'Unset for payouts',
+            },
+            track: { type: 'string' },
+            collaborator: {
+              type: 'string',
+              nullable: true,
+              description: 'Null for the owner share',
+            },
+            payeeName: { type: 'string' },
+            role: { type: 'string' },
+            percentage: { type: 'number' },
+            amount: {
+              type: 'number',
+              description: 'Always positive; debits and payouts lower the balance',
+            },
+            type: { type: 'string', enum: ['credit', 'debit', 'payout'] },
+            reference: {
+              type: 'string',
+              description: 'Refund or payout transaction ID',
+            },
+            note: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        PayeeBalance: {
+          type: 'object',
+          properties: {
+            payeeId: {
+              type: 'string',
+              description: 'Collaborator ID, or `owner`',
+            },
+            collaboratorId: { type: 'string', nullable: true },
+            name: { type: 'string' },
+            credits: { type: 'number' },
+            debits: { type: 'number' },
+            payouts: { type: 'number' },
+            balance: {
+              type: 'number',
+              description: 'Still owed: credits - debits - payouts',
+            },
+          },
+        },
+        PayoutInput: {
+          type: 'object',
+          required: ['collaborator', 'amount'],
+          properties: {
+            collaborator: { type: 'string' },
+            amount: { type: 'number', example: 1500 },
+            reference: {
+              type: 'string',
+              description: 'Transfer transaction ID',
+            },
+            note: { type: 'string' },
+          },
+        },
+        SettlementStatement: {
+          type: 'object',
+          properties: {
+            payee: {
+              type: 'object',
+              properties: {
+                payeeId: { type: 'string' },
+                name: { type: 'string' },
+                isOwner: { type: 'boolean' },
+              },
+            },
+            month: { type: 'string', example: '2026-01' },
+            from: { type: 'string', format: 'date-time' },
+            to: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Exclusive',
+            },
+            openingBalance: { type: 'number' },
+            totals: {
+              type: 'object',
+              properties: {
+                credits: { type: 'number' },
+                debits: { type: 'number' },
+                payouts: { type: 'number' },
+              },
+            },
+            closingBalance: { type: 'number' },
+            entries: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  date: { type: 'string', format: 'date-time' },
+                  type: { type: 'string', enum: ['credit', 'debit', 'payout'] },
+                  description: { type: 'string' },
+                  reference: { type: 'string' },
+                  amount: {
+                    type: 'number',
+                    description: 'Signed change to the balance',
+                  },
+                  balance: { type: 'number' },
+                },
+              },
+            },
+          },
+        },
+        ProfitBreakdown: {
+          type: 'object',
+          properties: {
+            totalRevenue: { type: 'number' },
+            payees: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  collaboratorId: { type: 'string', nullable: true },
+                  name: { type: 'string' },
+                  roles: { type: 'array', items: { type: 'string' } },
+                  amount: { type: 'number' },
+                  percentage: {
+                    type: 'number',
+                    description: 'Share of total revenue (0-100)',
+                  },
+                },
+              },
+            },
+          },
+        },
+        TrackEventInput: {
+          type: 'object',
+          properties: {
+            visitorId: {
+              type: 'string',
+              description:
+                'Anonymous id stored by the site (hashed before storage). Visitors are keyed on IP + user agent; this id only matches more repeats',
+            },
+            referrer: {
+              type: 'string',
+              description: 'document.referrer of the page - only the host is kept',
+            },
+            utm: {
+              type: 'object',
+              description: 'UTM parameters (flat utm_source, utm_medium, ... fields are accepted too)',
+              properties: {
+                source: { type: 'string' },
+                medium: { type: 'string' },
+                campaign: { type: 'string' },
+                term: { type: 'string' },
+                content: { type: 'string' },
+              },
+            },
+          },
+        },
+        TrackAnalyticsDay: {
+          type: 'object',
+          properties: {
+            date: { type: 'string', format: 'date' },
+            views: { type: 'integer' },
+            previewPlays: { type: 'integer' },
+            previewCompletes: { type: 'integer' },
+            downloads: { type: 'integer' },
+            uniqueVisitors: { type: 'integer' },
+          },
+        },
+        TrackAnalytics: {
+          type: 'object',
+          properties: {
+            trackId: { type: 'string' },
+            title: { type: 'string' },
+            views: {
+              type: 'integer',
+              description: 'All-time view count (Track.views)',
+            },
+            from: { type: 'string', format: 'date' },
+            to: { type: 'string', format: 'date' },
+            totals: {
+              allOf: [{ $ref: '#/components/schemas/TrackAnalyticsDay' }],
+              description:
+                'Sums over the range (uniqueVisitors is the sum of daily unique visitors)',
+            },
+            previewCompletionRate: {
+              type: 'number',
+              description: 'Preview completions / preview plays (0-1)',
+            },
+            daily: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/TrackAnalyticsDay' },
+            },
+            topReferrers: {
+              type: 'array',
+              description: 'Referring hosts of views ("direct" when none)',
+              items: { $ref: '#/components/schemas/SourceCount' },
+            },
+            utmSources: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/SourceCount' },
+            },
+            utmCampaigns: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/SourceCount' },
+            },
+          },
+        },
+        TrackImportJob: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            status: {
+              type: 'string',
+              enum: ['pending', 'running', 'completed', 'failed'],
+            },
+            dryRun: { type: 'boolean' },
+            manifestName: { type: 'string' },
+            archiveName: { type: 'string' },
+            totalRows: { type: 'integer' },
+            processedRows: { type: 'integer' },
+            createdCount: { type: 'integer' },
+            errorCount: {
+              type: 'integer',
+              description: 'Rows that are invalid or failed to import',
+            },
+            rows: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  row: {
+                    type: 'integer',
+                    description: 'Row number in the manifest (1 is the first track)',
+                  },
+                  title: { type: 'string' },
+                  status: {
+                    type: 'string',
+                    enum: ['valid', 'invalid', 'created', 'failed'],
+                  },
+                  messages: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Validation or upload errors',
+                  },
+                  track: {
+                    type: 'string',
+                    nullable: true,
+                    description: 'Created track ID',
+                  },
+                },
+              },
+            },
+            error: {
+              type: 'string',
+              description: 'Why the whole job failed',
+            },
+            startedAt: { type: 'string', format: 'date-time' },
+            finishedAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        ReorderRequest: {
+          type: 'object',
+          required: ['ids'],
+          properties: {
+            ids: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'IDs in their new order',
+            },
+          },
+        },
+        ReorderResult: {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            updated: {
+              type: 'integer',
+              description: 'Number of items whose position changed',
+            },
+          },
+        },
+        PaymentProvider: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Used in the payment URLs (/api/payments/{name}/...)',
+            },
+            label: {
+              type: 'string',
+              description: "Shown to buyers and stored as the sale's paymentMethod",
+            },
+          },
+        },
+        PaymentIntent: {
+          type: 'object',
+          description:
+            'One checkout, created by POST /payments/{provider}/create and resolved by its callback',
+          properties: {
+            _id: { type: 'string' },
+            provider: { type: 'string', example: 'bkash' },
+            paymentId: {
+              type: 'string',
+              description:
+                "Provider's payment ID (set once the payment is created)",
+            },
+            invoiceNumber: { type: 'string' },
+            itemType: { type: 'string', enum: ['track', 'release'] },
+            track: { type: 'string' },
+            license: { type: 'string', description: 'License tier bought' },
+            exclusive: {
+              type: 'boolean',
+              description:
+                'Exclusive license - the oldest open checkout of a track holds it',
+            },
+            release: { type: 'string' },
+            itemTitle: { type: 'string' },
+            amount: { type: 'number', description: 'Amount charged (BDT)' },
+            redirectUrl: {
+              type: 'string',
+              description: 'Portfolio site the buyer is sent back to',
+            },
+            paymentURL: { type: 'string' },
+            status: {
+              type: 'string',
+              enum: [
+                'created',
+                'redirected',
+                'executed',
+                'completed',
+                'failed',
+                'cancelled',
+                'expired',
+              ],
+              description:
+                'created → redirected (buyer sent to the gateway) → executed → completed (sale made); redirected checkouts can also end cancelled, failed or expired. Failed and expired payments can still be executed if the gateway completes them later',
+            },
+            transactionId: { type: 'string' },
+            sale: { type: 'string', description: 'Sale made by the payment' },
+            failureReason: { type: 'string' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            history: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  status: { type: 'string' },
+                  at: { type: 'string', format: 'date-time' },
+                  note: { type: 'string' },
+                },
+              },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        Refund: {
+          type: 'object',
+          description:
+            'Money given back on a sale; a sale can have several partial refunds up to its price',
+          properties: {
+            _id: { type: 'string' },
+            sale: { type: 'string' },
+            amount: { type: 'number' },
+            reason: { type: 'string' },
+            provider: {
+              type: 'string',
+              description:
+                'Gateway the money went back through (unset for refunds made outside one)',
+            },
+            refundTrxId: {
+              type: 'string',
+              description:
+                "Gateway's refund transaction ID (bKash refundTrxID)",
+            },
+            refundedBy: {
+              type: 'string',
+              description: 'Email of the admin who made the refund',
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        ReconciliationReport: {
+          type: 'object',
+          description: 'One run of the payment reconciliation job',
+          properties: {
+            _id: { type: 'string' },
+            trigger: { type: 'string', enum: ['scheduled', 'manual'] },
+            triggeredBy: {
+              type: 'string',
+              description: 'Email of the admin who ran it (manual runs)',
+            },
+            thresholdMinutes: { type: 'number' },
+            startedAt: { type: 'string', format: 'date-time' },
+            finishedAt: { type: 'string', format: 'date-time' },
+            summary: {
+              type: 'object',
+              properties: {
+                checked: { type: 'number' },
+                completed: { type: 'number' },
+                failed: { type: 'number' },
+                pending: { type: 'number' },
+                errors: { type: 'number' },
+              },
+            },
+            findings: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  intent: { type: 'string' },
+                  provider: { type: 'string' },
+                  paymentId: { type: 'string' },
+                  itemTitle: { type: 'string' },
+                  amount: { type: 'number' },
+                  previousStatus: {
+                    type: 'string',
+                    description: 'Intent status before reconciliation',
+                  },
+                  providerStatus: { type: 'string' },
+                  action: {
+                    type: 'string',
+                    enum: [
+                      'completed',
+                      'failed',
+                      'cancelled',
+                      'pending',
+                      'error',
+                    ],
+                    description:
+                      'completed: the sale was recorded; failed/cancelled: the checkout was closed; pending: left for the next run; error: needs a look (see message)',
+                  },
+                  sale: { type: 'string' },
+                  saleCreated: {
+                    type: 'boolean',
+                    description:
+                      'False when a callback had already recorded the sale',
+                  },
+                  message: { type: 'string' },
+                },
+              },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        SeoMetadata: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['track', 'youtube', 'tiktok', 'gallery'],
+            },
+            slug: { type: 'string' },
+            url: {
+              type: 'string',
+              format: 'uri',
+              description: 'Page URL on the portfolio site (PORTFOLIO_URL)',
+            },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            image: { type: 'string', format: 'uri' },
+            openGraph: {
+              type: 'object',
+              additionalProperties: true,
+              description: 'Open Graph tags by property (og:title, og:image...)',
+            },
+            twitter: {
+              type: 'object',
+              additionalProperties: true,
+              description: 'Twitter card tags by name (twitter:card...)',
+            },
+            jsonLd: {
+              type: 'object',
+              additionalProperties: true,
+              description:
+                'schema.org JSON-LD (MusicRecording, VideoObject or ImageObject)',
+            },
+          },
+        },
+        DuplicateMedia: {
+          type: 'object',
+          nullable: true,
+          description:
+            'Set when the file was already uploaded; its existing URL is returned instead of a new copy',
+          properties: {
+            url: { type: 'string', format: 'uri' },
+            match: {
+              type: 'string',
+              enum: ['exact', 'similar'],
+              description:
+                'exact: same bytes; similar: near-identical image (perceptual hash)',
+            },
+            distance: {
+              type: 'integer',
+              description: 'Bits that differ between the perceptual hashes (0 for exact)',
+            },
+            uploadedAt: { type: 'string', format: 'date-time' },
+            message: { type: 'string' },
+          },
+        },
+        SourceCount: {
+          type: 'object',
+          properties: {
+            source: { type: 'string' },
+            count: { type: 'integer' },
+          },
+        },
+        TrackLicense: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'License tier ID (send as licenseId when buying)',
+            },
+            pricingPlan: {
+              type: 'string',
+              description: 'Pricing plan this tier is based on (reference)',
+            },
+            name: {
+              type: 'string',
+              description: 'Tier name',
+            },
+            licenseType: {
+              type: 'string',
+              enum: ['basic', 'premium', 'exclusive'],
+            },
+            price: {
+              type: 'number',
+              description: 'Tier price in BDT (৳)',
+            },
+            usageTerms: {
+              type: 'string',
+              description: 'Usage terms granted by this license',
+            },
+            files: {
+              type: 'array',
+              description: 'Deliverable files (labels only for non-admins)',
+              items: {
+                type: 'object',
+                properties: {
+                  _id: { type: 'string' },
+                  label: { type: 'string', example: 'WAV' },
+                  url: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        Release: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Release ID',
+            },
+            title: {
+              type: 'string',
+              description: 'Release title',
+            },
+            type: {
+              type: 'string',
+              enum: ['album', 'ep', 'single', 'bundle'],
+            },
+            artwork: {
+              type: 'string',
+              format: 'uri',
+              description: 'Artwork image URL',
+            },
+            description: {
+              type: 'string',
+            },
+            tracks: {
+              type: 'array',
+              description:
+                'Tracks in play order (populated, without audio URLs for non-admins)',
+              items: {
+                $ref: '#/components/schemas/Track',
+              },
+            },
+            price: {
+              type: 'number',
+              description: 'Bundle price in BDT (৳)',
+            },
+            releaseDate: {
+              type: 'string',
+              format: 'date',
+            },
+            status: {
+              type: 'string',
+              enum: ['draft', 'published', 'archived'],
+              description: 'Only published releases are public',
+            },
+            saleCount: {
+              type: 'number',
+            },
+            totalSoldPrice: {
+              type: 'number',
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -213,24 +1087,54 @@ const options = {
             },
             trackId: {
               type: 'string',
-              description: 'Track ID (reference)',
+              description: 'Track ID (reference) - not set for release orders',
             },
             trackTitle: {
               type: 'string',
-              description: 'Track title',
+              description: 'Track title (release title for release orders)',
+            },
+            releaseId: {
+              type: 'string',
+              description: 'Release ID (reference) for release orders',
+            },
+            trackIds: {
+              type: 'array',
+              description: 'Tracks a release order grants access to',
+              items: { type: 'string' },
             },
             price: {
               type: 'number',
               description: 'Sale price',
             },
+            license: {
+              type: 'object',
+              description: 'Snapshot of the license tier that was purchased',
+              properties: {
+                licenseId: { type: 'string' },
+                name: { type: 'string' },
+                licenseType: { type: 'string' },
+                usageTerms: { type: 'string' },
+              },
+            },
             saleSerialId: {
               type: 'string',
               description: 'Sale serial ID (Order ID) for tracking',
             },
             paymentStatus: {
               type: 'string',
-              enum: ['pending', 'completed', 'failed', 'refunded'],
-              description: 'Payment status',
+              enum: [
+                'pending',
+                'completed',
+                'partially_refunded',
+                'failed',
+                'refunded',
+              ],
+              description:
+                'Payment status; partially refunded sales keep their downloads',
+            },
+            refundedAmount: {
+              type: 'number',
+              description: 'Sum of the refunds made on the sale (see Refund)',
             },
             paymentMethod: {
               type: 'string',
@@ -238,7 +1142,17 @@ const options = {
             },
             transactionId: {
               type: 'string',
-              description: 'Purchase token/transaction ID',
+              description: 'Purchase token/transaction ID (unique)',
+            },
+            paymentId: {
+              type: 'string',
+              description:
+                'Payment ID from the payment provider (checkout sales only, unique)',
+            },
+            exclusiveConflictWith: {
+              type: 'string',
+              description:
+                'Sale that bought the exclusive license first - set when the license was paid for twice; this sale has to be refunded',
             },
             purchaseToken: {
               type: 'string',
@@ -338,7 +1252,11 @@ const options = {
             },
             totalProfit: {
               type: 'number',
-              description: 'Total profit from sales',
+              description: 'Total profit from sales, net of refunds',
+            },
+            totalRefunded: {
+              type: 'number',
+              description: 'Total refunded on sales',
             },
             totalImages: {
               type: 'number',
@@ -356,6 +1274,45 @@ const options = {
               type: 'number',
               description: 'Number of unread contacts',
             },
+            soldExclusivelyTracks: {
+              type: 'array',
+              description:
+                'Tracks retired after an exclusive license sale (hidden publicly, not for sale)',
+              items: {
+                type: 'object',
+                properties: {
+                  _id: { type: 'string' },
+                  title: { type: 'string' },
+                  thumbnail: { type: 'string' },
+                  soldExclusivelyAt: { type: 'string', format: 'date-time' },
+                  saleSerialId: {
+                    type: 'string',
+                    description: 'Order that bought the exclusive license',
+                  },
+                },
+              },
+            },
+            exclusiveConflicts: {
+              type: 'array',
+              description:
+                'Exclusive sales paid after another sale had the license, not refunded in full yet',
+              items: {
+                type: 'object',
+                properties: {
+                  _id: { type: 'string' },
+                  saleSerialId: { type: 'string' },
+                  trackTitle: { type: 'string' },
+                  price: { type: 'number' },
+                  refundedAmount: { type: 'number' },
+                  paymentMethod: { type: 'string' },
+                  createdAt: { type: 'string', format: 'date-time' },
+                  firstSaleSerialId: {
+                    type: 'string',
+                    description: 'Order that kept the exclusive license',
+                  },
+                },
+              },
+            },
           },
         },
         YouTubeVideo: {
@@ -383,6 +1340,25 @@ const options = {
               format: 'uri',
               description: 'Custom thumbnail URL (optional)',
             },
+            featured: {
+              type: 'boolean',
+              description: 'Featured items come first in public lists',
+            },
+            position: {
+              type: 'number',
+              nullable: true,
+              description:
+                'Manual position in public lists (ascending) - set by the reorder endpoint',
+            },
+            slug: {
+              type: 'string',
+              description: 'URL slug (unique, editable)',
+            },
+            previousSlugs: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Earlier slugs that redirect to the current one',
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -423,6 +1399,25 @@ const options = {
               format: 'uri',
               description: 'TikTok video link URL',
             },
+            featured: {
+              type: 'boolean',
+              description: 'Featured items come first in public lists',
+            },
+            position: {
+              type: 'number',
+              nullable: true,
+              description:
+                'Manual position in public lists (ascending) - set by the reorder endpoint',
+            },
+            slug: {
+              type: 'string',
+              description: 'URL slug (unique, editable)',
+            },
+            previousSlugs: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Earlier slugs that redirect to the current one',
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -433,6 +1428,64 @@ const options = {
             },
           },
         },
+        Category: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Category ID',
+            },
+            name: {
+              type: 'string',
+              description: 'Category name (stored on tracks)',
+            },
+            slug: {
+              type: 'string',
+              description: 'URL-friendly unique identifier',
+            },
+            displayOrder: {
+              type: 'number',
+              description: 'Sort position (ascending)',
+              default: 0,
+            },
+            coverImage: {
+              type: 'string',
+              format: 'uri',
+              description: 'Optional cover image URL (Cloudinary)',
+            },
+            trackCount: {
+              type: 'number',
+              description: 'Number of tracks in this category',
+            },
+          },
+        },
+        TrashItem: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            type: {
+              type: 'string',
+              enum: ['track', 'gallery', 'youtube', 'tiktok', 'pricing'],
+            },
+            name: {
+              type: 'string',
+              description: 'Title, or the caption of a gallery image',
+            },
+            deletedAt: { type: 'string', format: 'date-time' },
+            purgeAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description:
+                'When the item will be purged automatically (null if auto-purge is off)',
+            },
+            hasBuyers: {
+              type: 'boolean',
+              description:
+                'Sold track kept for its buyers; it is never purged',
+            },
+          },
+        },
       },
     },
     tags: [
@@ -445,6 +1498,11 @@ const options = {
         description:
           'Track management endpoints - 🌐 PUBLIC (GET) / 🔒 ADMIN (POST/PUT/DELETE)',
       },
+      {
+        name: 'Categories',
+        description:
+          'Track category management endpoints - 🌐 PUBLIC (GET) / 🔒 ADMIN (POST/PUT/DELETE)',
+      },
       {
         name: 'Gallery',
         description:
@@ -455,6 +1513,26 @@ const options = {
         description:
           'Pricing plan management endpoints - 🌐 PUBLIC (GET) / 🔒 ADMIN (POST/PUT/DELETE)',
       },
+      {
+        name: 'Releases',
+        description:
+          'Albums, EPs and bundles sold as one purchase - 🌐 PUBLIC (GET) / 🔒 ADMIN (POST/PUT/DELETE)',
+      },
+      {
+        name: 'Collaborators',
+        description:
+          'Payees that share in track revenue - 🔒 ADMIN ONLY',
+      },
+      {
+        name: 'Ledger',
+        description:
+          'Payee balances, payouts and settlement statements - 🔒 ADMIN ONLY',
+      },
+      {
+        name: 'Trash',
+        description:
+          'Restore or permanently delete removed content - 🔒 ADMIN ONLY',
+      },
       {
         name: 'Sales',
         description:
@@ -472,7 +1550,7 @@ const options = {
       {
         name: 'Payments',
         description:
-          'Payment gateway endpoints - 🌐 PUBLIC (POST/GET) / 🔒 ADMIN (POST refund)',
+          'Payment provider endpoints (bKash, local mock gateway) - 🌐 PUBLIC (POST/GET) / 🔒 ADMIN (POST refund)',
       },
       {
         name: 'YouTube',
@@ -484,6 +1562,11 @@ const options = {
         description:
           'TikTok video management endpoints - 🌐 PUBLIC (GET) / 🔒 ADMIN (POST/PUT/DELETE)',
       },
+      {
+        name: 'SEO',
+        description:
+          'Share preview metadata (Open Graph, Twitter cards, JSON-LD) by slug - 🌐 PUBLIC',
+      },
     ],
   },
   // Use absolute paths with glob patterns to ensure swagger-jsdoc can find the files
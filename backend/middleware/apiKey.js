@@ -50,3 +50,19 @@ export const checkOrigin = (req, res, next) => {
 
   next();
 };
+
+// Middleware to check the secret Vercel cron jobs send as a bearer token
+export const checkCronSecret = (req, res, next) => {
+  const cronSecret = process.env.CRON_SECRET;
+
+  // Unlike the API key, a missing secret keeps the cron routes closed
+  if (!cronSecret) {
+    return res.status(403).json({ message: 'Cron jobs are not configured' });
+  }
+
+  if (req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ message: 'Invalid cron secret' });
+  }
+
+  next();
+};
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+      trim: true,
+      lowercase: true,
+    },
+    displayOrder: {
+      type: Number,
+      default: 0,
+      description: 'Position in category lists (ascending)',
+    },
+    coverImage: {
+      type: String,
+      default: '',
+      description: 'Optional cover image URL (Cloudinary)',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
@@ -0,0 +1,556 @@
+import express from 'express';
+import Category from './Category.js';
+import Track from '../tracks/Track.js';
+import { authenticateToken, optionalAuth } from '../auth/index.js';
+import { checkApiKey, checkOrigin } from '../../middleware/apiKey.js';
+import {
+  uploadTrackFiles,
+  uploadToCloudinary,
+} from '../../config/cloudinary.js';
+import { cacheMiddleware } from '../../middleware/cache.js';
+import { invalidateMultipleRoutes } from '../../utils/cacheHelper.js';
+import { CLOUDINARY_FOLDERS } from '../../utils/constants.js';
+import { slugify } from '../../utils/sanitize.js';
+import { isValidObjectId } from '../../utils/validation.js';
+
+const router = express.Router();
+
+// Validate an optional cover image URL (must be uploaded first, not base64)
+const validateCoverImage = (coverImage) => {
+  if (coverImage === undefined || coverImage === null || coverImage === '') {
+    return null;
+  }
+  if (typeof coverImage !== 'string') {
+    return 'Cover image must be a URL string';
+  }
+  if (coverImage.startsWith('data:')) {
+    return 'Base64 data is not allowed. Please upload the cover image first using /api/categories/upload/cover endpoint, then use the returned URL.';
+  }
+  if (!coverImage.startsWith('http://') && !coverImage.startsWith('https://')) {
+    return 'Invalid cover image URL format. Must be a valid HTTP/HTTPS URL.';
+  }
+  return null;
+};
+
+// Count tracks per category name
+const getTrackCounts = async () => {
+  const counts = await Track.aggregate([
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map((entry) => [entry._id, entry.count]));
+};
+
+/**
+ * @swagger
+ * /categories/upload/cover:
+ *   post:
+ *     summary: Upload category cover image (🔒 ADMIN ONLY)
+ *     tags: [Categories]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Upload a cover image for a category. Returns Cloudinary URL.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - coverImage
+ *             properties:
+ *               coverImage:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image file (jpg, jpeg, png, webp)
+ *     responses:
+ *       200:
+ *         description: Cover image uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                   format: uri
+ *       400:
+ *         description: No file provided or invalid file type
+ *       401:
+ *         description: Unauthorized - Authentication required
+ */
+// Upload category cover image (protected) - Returns Cloudinary URL
+router.post(
+  '/upload/cover',
+  authenticateToken,
+  uploadTrackFiles.single('coverImage'),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'No cover image provided' });
+      }
+
+      if (!req.file.mimetype.startsWith('image/')) {
+        return res
+          .status(400)
+          .json({ message: 'Only image files are allowed for cover images' });
+      }
+
+      const coverUrl = await uploadToCloudinary(
+        req.file,
+        CLOUDINARY_FOLDERS.CATEGORIES,
+        'image',
+      );
+
+      res.json({ url: coverUrl });
+    } catch (error) {
+      res.status(500).json({
+        message: 'Error uploading cover image',
+        error:
+          process.env.NODE_ENV === 'development'
+            ? error.message
+            : 'Failed to upload cover image. Please check server logs.',
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /categories:
+ *   get:
+ *     summary: Get all track categories (🌐 PUBLIC)
+ *     tags: [Categories]
+ *     description: |
+ *       **Access Level: 🌐 PUBLIC**
+ *
+ *       Get all track categories in display order, with the number of tracks in each.
+ *       Public endpoint with optional API key or origin check.
+ *     security:
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: List of categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Category'
+ */
+// Get all categories (PUBLIC - with optional API key or origin check)
+router.get(
+  '/',
+  optionalAuth,
+  async (req, res, next) => {
+    // Bypass cache if nocache query parameter is present or if user is admin
+    if (req.query.nocache === 'true' || req.user?.role === 'admin') {
+      return next();
+    }
+    return cacheMiddleware.long(req, res, next);
+  },
+  checkApiKey,
+  checkOrigin,
+  async (req, res) => {
+    try {
+      const [categories, trackCounts] = await Promise.all([
+        Category.find().sort({ displayOrder: 1, name: 1 }).lean(),
+        getTrackCounts(),
+      ]);
+
+      res.json(
+        categories.map((category) => ({
+          ...category,
+          trackCount: trackCounts.get(category.name) || 0,
+        })),
+      );
+    } catch (error) {
+      res.status(500).json({
+        message: 'Error fetching categories',
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /categories/{idOrSlug}:
+ *   get:
+ *     summary: Get single category (🌐 PUBLIC)
+ *     tags: [Categories]
+ *     description: |
+ *       **Access Level: 🌐 PUBLIC**
+ *
+ *       Get a single category by ID or slug.
+ *     security:
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug
+ *     responses:
+ *       200:
+ *         description: Category details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       404:
+ *         description: Category not found
+ */
+// Get single category by ID or slug (PUBLIC - with optional API key or origin check)
+router.get('/:idOrSlug', checkApiKey, checkOrigin, async (req, res) => {
+  try {
+    const { idOrSlug } = req.params;
+    const category = isValidObjectId(idOrSlug)
+      ? await Category.findById(idOrSlug).lean()
+      : await Category.findOne({ slug: idOrSlug.toLowerCase() }).lean();
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const trackCount = await Track.countDocuments({ category: category.name });
+    res.json({ ...category, trackCount });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error fetching category',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /categories:
+ *   post:
+ *     summary: Create category (🔒 ADMIN ONLY)
+ *     tags: [Categories]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Create a new track category. The slug is generated from the name if not provided.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Lo-Fi"
+ *               slug:
+ *                 type: string
+ *                 example: "lo-fi"
+ *               displayOrder:
+ *                 type: number
+ *                 example: 7
+ *               coverImage:
+ *                 type: string
+ *                 format: uri
+ *                 description: Cover image URL from /categories/upload/cover
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Invalid input
+ *       409:
+ *         description: A category with this name or slug already exists
+ */
+// Create category (protected)
+router.post('/', authenticateToken, async (req, res) => {
+  invalidateMultipleRoutes(['categories', 'tracks']);
+  try {
+    const { name, slug, displayOrder, coverImage } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+
+    const categorySlug = slugify(slug || name);
+    if (!categorySlug) {
+      return res
+        .status(400)
+        .json({ message: 'Slug must contain letters or numbers' });
+    }
+
+    if (displayOrder !== undefined && isNaN(displayOrder)) {
+      return res
+        .status(400)
+        .json({ message: 'Display order must be a number' });
+    }
+
+    const coverImageError = validateCoverImage(coverImage);
+    if (coverImageError) {
+      return res.status(400).json({ message: coverImageError });
+    }
+
+    const existing = await Category.findOne({
+      $or: [{ name: name.trim() }, { slug: categorySlug }],
+    });
+    if (existing) {
+      return res.status(409).json({
+        message: 'A category with this name or slug already exists',
+      });
+    }
+
+    // New categories go to the end of the list unless an order is given
+    let order = displayOrder !== undefined ? parseInt(displayOrder, 10) : null;
+    if (order === null) {
+      const last = await Category.findOne().sort({ displayOrder: -1 });
+      order = last ? last.displayOrder + 1 : 0;
+    }
+
+    const category = new Category({
+      name: name.trim(),
+      slug: categorySlug,
+      displayOrder: order,
+      coverImage: coverImage || '',
+    });
+    await category.save();
+    res.status(201).json({ ...category.toObject(), trackCount: 0 });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error creating category',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   put:
+ *     summary: Update category (🔒 ADMIN ONLY)
+ *     tags: [Categories]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Update a category. Renaming a category also renames it on every track that uses it.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               displayOrder:
+ *                 type: number
+ *               coverImage:
+ *                 type: string
+ *                 format: uri
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: A category with this name or slug already exists
+ */
+// Update category (protected)
+router.put('/:id', authenticateToken, async (req, res) => {
+  invalidateMultipleRoutes(['categories', 'tracks']);
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const { name, slug, displayOrder, coverImage } = req.body;
+
+    if (
+      name !== undefined &&
+      (typeof name !== 'string' || name.trim() === '')
+    ) {
+      return res
+        .status(400)
+        .json({ message: 'Name must be a non-empty string' });
+    }
+
+    if (slug !== undefined && !slugify(slug)) {
+      return res
+        .status(400)
+        .json({ message: 'Slug must contain letters or numbers' });
+    }
+
+    if (displayOrder !== undefined && isNaN(displayOrder)) {
+      return res
+        .status(400)
+        .json({ message: 'Display order must be a number' });
+    }
+
+    const coverImageError = validateCoverImage(coverImage);
+    if (coverImageError) {
+      return res.status(400).json({ message: coverImageError });
+    }
+
+    const oldName = category.name;
+    const newName = name !== undefined ? name.trim() : oldName;
+    const newSlug = slug !== undefined ? slugify(slug) : category.slug;
+
+    const conflict = await Category.findOne({
+      _id: { $ne: category._id },
+      $or: [{ name: newName }, { slug: newSlug }],
+    });
+    if (conflict) {
+      return res.status(409).json({
+        message: 'A category with this name or slug already exists',
+      });
+    }
+
+    category.name = newName;
+    category.slug = newSlug;
+    if (displayOrder !== undefined) {
+      category.displayOrder = parseInt(displayOrder, 10);
+    }
+    if (coverImage !== undefined) {
+      category.coverImage = coverImage || '';
+    }
+    await category.save();
+
+    // Tracks store the category name, so carry renames over to them (trashed ones too)
+    if (newName !== oldName) {
+      await Track.updateMany(
+        { category: oldName },
+        { category: newName },
+      ).withDeleted();
+    }
+
+    const trackCount = await Track.countDocuments({ category: newName });
+    res.json({ ...category.toObject(), trackCount });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error updating category',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   delete:
+ *     summary: Delete category (🔒 ADMIN ONLY)
+ *     tags: [Categories]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Delete a category. If tracks still use it, deletion is refused unless
+ *       `reassignTo` names another category to move those tracks to.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: string
+ *         description: ID of the category that should receive this category's tracks
+ *     responses:
+ *       200:
+ *         description: Category deleted successfully
+ *       400:
+ *         description: Invalid reassignment target
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Category still has tracks and no reassignment target was given
+ */
+// Delete category (protected)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  invalidateMultipleRoutes(['categories', 'tracks']);
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const { reassignTo } = req.query;
+    // Trashed tracks count too, since they can still be restored
+    const trackCount = await Track.countDocuments({
+      category: category.name,
+    }).withDeleted();
+    let reassigned = 0;
+
+    if (trackCount > 0) {
+      if (!reassignTo) {
+        return res.status(409).json({
+          message: `Category "${category.name}" still has ${trackCount} track(s). Reassign them to another category before deleting.`,
+          trackCount,
+        });
+      }
+
+      if (!isValidObjectId(reassignTo) || reassignTo === req.params.id) {
+        return res
+          .status(400)
+          .json({ message: 'reassignTo must be a different category ID' });
+      }
+
+      const target = await Category.findById(reassignTo);
+      if (!target) {
+        return res
+          .status(400)
+          .json({ message: 'Reassignment target category not found' });
+      }
+
+      const result = await Track.updateMany(
+        { category: category.name },
+        { category: target.name },
+      ).withDeleted();
+      reassigned = result.modifiedCount || 0;
+    }
+
+    await category.deleteOne();
+    res.json({
+      message: 'Category deleted successfully',
+      reassignedTracks: reassigned,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error deleting category',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,49 @@
+import Category from './Category.js';
+import { DEFAULT_TRACK_CATEGORIES } from '../../utils/constants.js';
+import { slugify } from '../../utils/sanitize.js';
+
+/**
+ * Check whether a track category name exists in the Category collection
+ * @param {string} name - Category name
+ * @returns {Promise<boolean>} True if the category exists
+ */
+export const isValidTrackCategory = async (name) => {
+  if (!name || typeof name !== 'string') return false;
+  const exists = await Category.exists({ name: name.trim() });
+  return !!exists;
+};
+
+/**
+ * Get the list of category names, in display order
+ * @returns {Promise<string[]>} Category names
+ */
+export const getCategoryNames = async () => {
+  const categories = await Category.find()
+    .sort({ displayOrder: 1, name: 1 })
+    .select('name')
+    .lean();
+  return categories.map((category) => category.name);
+};
+
+/**
+ * Seed the default categories when the collection is empty
+ * Keeps tracks created before categories were admin-managed valid, and
+ * never re-creates categories an admin has since deleted
+ * @returns {Promise<number>} Number of categories created
+ */
+export const seedDefaultCategories = async () => {
+  if ((await Category.estimatedDocumentCount()) > 0) return 0;
+
+  let created = 0;
+
+  for (const [index, name] of DEFAULT_TRACK_CATEGORIES.entries()) {
+    const result = await Category.updateOne(
+      { name },
+      { $setOnInsert: { name, slug: slugify(name), displayOrder: index } },
+      { upsert: true },
+    );
+    created += result.upsertedCount || 0;
+  }
+
+  return created;
+};
@@ -0,0 +1,8 @@
+/**
+ * Categories Module
+ * Contains all track category functionality
+ */
+
+export { default as categoriesRoutes } from './categoriesRoutes.js';
+export { default as Category } from './Category.js';
+export * from './categoryService.js';
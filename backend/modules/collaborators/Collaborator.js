@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import { COLLABORATOR_ROLES } from '../../utils/constants.js';
+
+// Someone who is paid a share of track sales (artist, producer, lyricist, ...)
+const collaboratorSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    defaultRole: {
+      type: String,
+      enum: COLLABORATOR_ROLES,
+      default: 'artist',
+      description: 'Role pre-selected when the collaborator is added to a track',
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: 255,
+    },
+    phoneNumber: {
+      type: String,
+      trim: true,
+      maxlength: 20,
+      description: 'Payout number (e.g. bKash)',
+    },
+    notes: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const Collaborator = mongoose.model('Collaborator', collaboratorSchema);
+
+export default Collaborator;
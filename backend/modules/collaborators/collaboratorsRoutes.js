@@ -0,0 +1,292 @@
+import express from 'express';
+import Collaborator from './Collaborator.js';
+import Track from '../tracks/Track.js';
+import { authenticateToken } from '../auth/index.js';
+import { COLLABORATOR_ROLES } from '../../utils/constants.js';
+import { isValidEmail, isValidObjectId } from '../../utils/validation.js';
+
+const router = express.Router();
+
+// Validate the optional fields shared by create and update
+const validateCollaboratorFields = ({
+  defaultRole,
+  email,
+  phoneNumber,
+  notes,
+}) => {
+  if (defaultRole !== undefined && !COLLABORATOR_ROLES.includes(defaultRole)) {
+    return `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`;
+  }
+  if (email !== undefined && email !== '' && !isValidEmail(email)) {
+    return 'Email must be a valid email address';
+  }
+  if (phoneNumber !== undefined && typeof phoneNumber !== 'string') {
+    return 'Phone number must be a string';
+  }
+  if (notes !== undefined && typeof notes !== 'string') {
+    return 'Notes must be a string';
+  }
+  return null;
+};
+
+// Pick the optional fields that were sent
+const buildCollaboratorData = ({ defaultRole, email, phoneNumber, notes }) => {
+  const data = {};
+  if (defaultRole !== undefined) data.defaultRole = defaultRole;
+  if (email !== undefined) data.email = email.trim();
+  if (phoneNumber !== undefined) data.phoneNumber = phoneNumber.trim();
+  if (notes !== undefined) data.notes = notes.trim();
+  return data;
+};
+
+/**
+ * @swagger
+ * /collaborators:
+ *   get:
+ *     summary: Get all collaborators (🔒 ADMIN ONLY)
+ *     tags: [Collaborators]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       List every collaborator (payee) with the number of tracks whose revenue split includes them.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of collaborators
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Collaborator'
+ *       401:
+ *         description: Unauthorized
+ */
+// Get all collaborators (protected)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const [collaborators, trackCounts] = await Promise.all([
+      Collaborator.find().sort({ name: 1 }).lean(),
+      Track.aggregate([
+        { $unwind: '$revenueSplits' },
+        {
+          $group: {
+            _id: '$revenueSplits.collaborator',
+            tracks: { $addToSet: '$_id' },
+          },
+        },
+      ]),
+    ]);
+
+    const countsById = new Map(
+      trackCounts.map((entry) => [String(entry._id), entry.tracks.length]),
+    );
+    res.json(
+      collaborators.map((collaborator) => ({
+        ...collaborator,
+        trackCount: countsById.get(String(collaborator._id)) || 0,
+      })),
+    );
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error fetching collaborators',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /collaborators:
+ *   post:
+ *     summary: Create collaborator (🔒 ADMIN ONLY)
+ *     tags: [Collaborators]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Add a payee that can be given a share of track revenue.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CollaboratorInput'
+ *     responses:
+ *       201:
+ *         description: Collaborator created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Collaborator'
+ *       400:
+ *         description: Validation error
+ */
+// Create collaborator (protected)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+
+    const fieldError = validateCollaboratorFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const collaborator = new Collaborator({
+      name: name.trim(),
+      ...buildCollaboratorData(req.body),
+    });
+    await collaborator.save();
+    res.status(201).json(collaborator);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error creating collaborator',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /collaborators/{id}:
+ *   put:
+ *     summary: Update collaborator (🔒 ADMIN ONLY)
+ *     tags: [Collaborators]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Update a collaborator. Ledger entries already written keep the name they were recorded with.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CollaboratorInput'
+ *     responses:
+ *       200:
+ *         description: Collaborator updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Collaborator'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Collaborator not found
+ */
+// Update collaborator (protected)
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (
+      name !== undefined &&
+      (typeof name !== 'string' || name.trim() === '')
+    ) {
+      return res
+        .status(400)
+        .json({ message: 'Name must be a non-empty string' });
+    }
+
+    const fieldError = validateCollaboratorFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const collaboratorData = buildCollaboratorData(req.body);
+    if (name !== undefined) {
+      collaboratorData.name = name.trim();
+    }
+
+    const collaborator = await Collaborator.findByIdAndUpdate(
+      req.params.id,
+      collaboratorData,
+      { new: true, runValidators: true },
+    );
+    if (!collaborator) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+
+    res.json(collaborator);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error updating collaborator',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /collaborators/{id}:
+ *   delete:
+ *     summary: Delete collaborator (🔒 ADMIN ONLY)
+ *     tags: [Collaborators]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Delete a collaborator. Collaborators that are still part of a track's revenue split
+ *       can't be deleted - remove them from those tracks first.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Collaborator deleted
+ *       404:
+ *         description: Collaborator not found
+ *       409:
+ *         description: Collaborator is still used in revenue splits
+ */
+// Delete collaborator (protected)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+
+    // Trashed tracks count too, since they can still be restored
+    const trackCount = await Track.countDocuments({
+      'revenueSplits.collaborator': id,
+    }).withDeleted();
+    if (trackCount > 0) {
+      return res.status(409).json({
+        message: `Collaborator is part of the revenue split of ${trackCount} track(s). Remove them from those tracks first.`,
+      });
+    }
+
+    const collaborator = await Collaborator.findByIdAndDelete(id);
+    if (!collaborator) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+    res.json({ message: 'Collaborator deleted successfully' });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error deleting collaborator',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
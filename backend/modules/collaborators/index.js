@@ -0,0 +1,7 @@
+/**
+ * Collaborators Module
+ * Payees that share in track revenue
+ */
+
+export { default as collaboratorsRoutes } from './collaboratorsRoutes.js';
+export { default as Collaborator } from './Collaborator.js';
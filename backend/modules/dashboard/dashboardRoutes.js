@@ -5,6 +5,9 @@ import Pricing from '../pricing/Pricing.js';
 import Sale from '../sales/Sale.js';
 import Contact from '../contacts/Contact.js';
 import { authenticateToken } from '../auth/index.js';
+import { getProfitBreakdown } from '../payments/revenueLedger.js';
+import { getSaleNetRevenue, roundMoney } from '../payments/saleRefunds.js';
+import { PAID_SALE_STATUSES } from '../../utils/constants.js';
 import { cacheMiddleware } from '../../middleware/cache.js';
 import { sendContactNotification, testEmailConfig } from '../../utils/email.js';
 
@@ -22,11 +25,13 @@ const router = express.Router();
  *       Get dashboard statistics including:
  *       - Total tracks
  *       - Total tracks sold
- *       - Total profit
+ *       - Total profit (net of refunds)
+ *       - Total refunded
  *       - Total images
  *       - Total pricing plans
  *       - Total contacts
  *       - Unread contacts count
+ *       - Tracks retired by an exclusive sale (with the order that retired them)
  *       
  *       Requires admin authentication.
  *     security:
@@ -55,24 +60,61 @@ router.get('/stats', cacheMiddleware.short, authenticateToken, async (req, res)
     const totalTracks = tracks.length;
     const totalTracksSold = sales.length;
     
-    // Calculate total profit (sum of all completed sales)
-    const totalProfit = sales
-      .filter((sale) => sale.paymentStatus === 'completed')
-      .reduce((sum, sale) => sum + (sale.price || 0), 0);
+    // Calculate total profit (paid sales net of their refunds)
+    const totalProfit = roundMoney(
+      sales.reduce((sum, sale) => sum + getSaleNetRevenue(sale), 0),
+    );
+    const totalRefunded = roundMoney(
+      sales.reduce((sum, sale) => sum + (sale.refundedAmount || 0), 0),
+    );
 
     const totalImages = images.length;
     const totalPricingPlans = pricingPlans.length;
     const totalContacts = contacts.length;
     const unreadContacts = contacts.filter((contact) => !contact.isRead).length;
 
+    // Tracks taken off the market by an exclusive sale (admin can re-list them)
+    const salesById = new Map(sales.map((sale) => [String(sale._id), sale]));
+    const soldExclusivelyTracks = tracks
+      .filter((track) => track.soldExclusively)
+      .map((track) => ({
+        _id: track._id,
+        title: track.title,
+        thumbnail: track.thumbnail,
+        soldExclusivelyAt: track.soldExclusivelyAt,
+        saleSerialId:
+          salesById.get(String(track.exclusiveSale))?.saleSerialId || null,
+      }));
+
+    // Exclusive licenses paid for twice - the later buyer is owed a refund
+    const exclusiveConflicts = sales
+      .filter(
+        (sale) => sale.exclusiveConflictWith && sale.paymentStatus !== 'refunded',
+      )
+      .map((sale) => ({
+        _id: sale._id,
+        saleSerialId: sale.saleSerialId,
+        trackTitle: sale.trackTitle,
+        price: sale.price,
+        refundedAmount: sale.refundedAmount || 0,
+        paymentMethod: sale.paymentMethod,
+        createdAt: sale.createdAt,
+        firstSaleSerialId:
+          salesById.get(String(sale.exclusiveConflictWith))?.saleSerialId ||
+          null,
+      }));
+
     res.json({
       totalTracks,
       totalTracksSold,
       totalProfit,
+      totalRefunded,
       totalImages,
       totalPricingPlans,
       totalContacts,
       unreadContacts,
+      soldExclusivelyTracks,
+      exclusiveConflicts,
     });
   } catch (error) {
     res.status(500).json({
@@ -96,6 +138,8 @@ router.get('/stats', cacheMiddleware.short, authenticateToken, async (req, res)
  *       - Sales by track
  *       - Sales by payment method
  *       - Sales by status
+ *       - Profit breakdown per payee (collaborator shares and the owner's remainder, from the revenue ledger)
+ *       Revenue is net of refunds: partially refunded sales count for what was kept, refunded ones for nothing.
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
@@ -123,7 +167,11 @@ router.get('/sales-stats', cacheMiddleware.short, authenticateToken, async (req,
     const sales = await Sale.find({
       createdAt: { $gte: startDate },
     })
-      .populate('trackId', 'title category')
+      .populate({
+        path: 'trackId',
+        select: 'title category',
+        options: { withDeleted: true },
+      })
       .sort({ createdAt: -1 });
 
     // Sales by date (last 30 days)
@@ -133,28 +181,33 @@ router.get('/sales-stats', cacheMiddleware.short, authenticateToken, async (req,
       if (!salesByDate[date]) {
         salesByDate[date] = { count: 0, revenue: 0 };
       }
-      if (sale.paymentStatus === 'completed') {
+      if (PAID_SALE_STATUSES.includes(sale.paymentStatus)) {
         salesByDate[date].count += 1;
-        salesByDate[date].revenue += sale.price || 0;
+        salesByDate[date].revenue += getSaleNetRevenue(sale);
       }
     });
 
-    // Sales by track
+    // Sales by track (release orders are grouped per release)
     const salesByTrack = {};
     sales.forEach((sale) => {
       const trackId = sale.trackId?._id?.toString() || sale.trackId?.toString();
+      const releaseId = sale.releaseId?.toString();
+      const key = releaseId ? `release:${releaseId}` : trackId;
       const trackTitle = sale.trackTitle || sale.trackId?.title || 'Unknown';
-      if (!salesByTrack[trackId]) {
-        salesByTrack[trackId] = {
+      if (!salesByTrack[key]) {
+        salesByTrack[key] = {
           trackId: trackId,
           trackTitle: trackTitle,
           count: 0,
           revenue: 0,
         };
+        if (releaseId) {
+          salesByTrack[key].releaseId = releaseId;
+        }
       }
-      if (sale.paymentStatus === 'completed') {
-        salesByTrack[trackId].count += 1;
-        salesByTrack[trackId].revenue += sale.price || 0;
+      if (PAID_SALE_STATUSES.includes(sale.paymentStatus)) {
+        salesByTrack[key].count += 1;
+        salesByTrack[key].revenue += getSaleNetRevenue(sale);
       }
     });
 
@@ -165,9 +218,9 @@ router.get('/sales-stats', cacheMiddleware.short, authenticateToken, async (req,
       if (!salesByMethod[method]) {
         salesByMethod[method] = { count: 0, revenue: 0 };
       }
-      if (sale.paymentStatus === 'completed') {
+      if (PAID_SALE_STATUSES.includes(sale.paymentStatus)) {
         salesByMethod[method].count += 1;
-        salesByMethod[method].revenue += sale.price || 0;
+        salesByMethod[method].revenue += getSaleNetRevenue(sale);
       }
     });
 
@@ -179,9 +232,7 @@ router.get('/sales-stats', cacheMiddleware.short, authenticateToken, async (req,
         salesByStatus[status] = { count: 0, revenue: 0 };
       }
       salesByStatus[status].count += 1;
-      if (status === 'completed') {
-        salesByStatus[status].revenue += sale.price || 0;
-      }
+      salesByStatus[status].revenue += getSaleNetRevenue(sale);
     });
 
     // Top selling tracks
@@ -189,6 +240,13 @@ router.get('/sales-stats', cacheMiddleware.short, authenticateToken, async (req,
       .sort((a, b) => b.revenue - a.revenue)
       .slice(0, 10);
 
+    // What each payee earned from the period's sales, net of refunds (from the revenue ledger)
+    const profitBreakdown = await getProfitBreakdown(
+      sales
+        .filter((s) => s.paymentStatus === 'refunded' || PAID_SALE_STATUSES.includes(s.paymentStatus))
+        .map((s) => s._id),
+    );
+
     return res.json({
       success: true,
       data: {
@@ -210,11 +268,15 @@ router.get('/sales-stats', cacheMiddleware.short, authenticateToken, async (req,
           ...data,
         })),
         topTracks,
+        profitBreakdown,
         totalSales: sales.length,
-        completedSales: sales.filter((s) => s.paymentStatus === 'completed').length,
-        totalRevenue: sales
-          .filter((s) => s.paymentStatus === 'completed')
-          .reduce((sum, s) => sum + (s.price || 0), 0),
+        completedSales: sales.filter((s) => PAID_SALE_STATUSES.includes(s.paymentStatus)).length,
+        totalRevenue: roundMoney(
+          sales.reduce((sum, s) => sum + getSaleNetRevenue(s), 0),
+        ),
+        totalRefunded: roundMoney(
+          sales.reduce((sum, s) => sum + (s.refundedAmount || 0), 0),
+        ),
       },
     });
   } catch (error) {
@@ -255,7 +317,7 @@ router.get('/sales-stats', cacheMiddleware.short, authenticateToken, async (req,
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, completed, failed, refunded]
+ *           enum: [pending, completed, partially_refunded, failed, refunded]
  *         description: Filter by payment status
  *     responses:
  *       200:
@@ -278,7 +340,11 @@ router.get('/payment-history', cacheMiddleware.short, authenticateToken, async (
 
     const [payments, total] = await Promise.all([
       Sale.find(query)
-        .populate('trackId', 'title thumbnail category')
+        .populate({
+          path: 'trackId',
+          select: 'title thumbnail category',
+          options: { withDeleted: true },
+        })
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limitNum)
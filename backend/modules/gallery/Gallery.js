@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '../../utils/softDelete.js';
+import { displayOrderPlugin } from '../../utils/displayOrder.js';
+import { slugPlugin } from '../../utils/slug.js';
 
 const gallerySchema = new mongoose.Schema(
   {
@@ -22,6 +25,15 @@ const gallerySchema = new mongoose.Schema(
   },
 );
 
+// Deleted documents stay in the trash until they are restored or purged
+gallerySchema.plugin(softDeletePlugin);
+
+// Featured images first, then the admin's manual order (oldest first until reordered)
+gallerySchema.plugin(displayOrderPlugin, { newItems: 'last', createdAtOrder: 1 });
+
+// URL slug from the caption; renamed slugs keep redirecting
+gallerySchema.plugin(slugPlugin, { source: 'caption', fallback: 'image' });
+
 const Gallery = mongoose.model('Gallery', gallerySchema);
 
 export default Gallery;
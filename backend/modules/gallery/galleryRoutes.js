@@ -6,6 +6,8 @@ import { uploadOptimizedImage } from '../../config/cloudinary.js';
 import multer from 'multer';
 import { cacheMiddleware } from '../../middleware/cache.js';
 import { invalidateRouteCache } from '../../utils/cacheHelper.js';
+import { uploadUnlessDuplicate, isForcedUpload } from '../media/index.js';
+import { currentSlugUrl } from '../../utils/slug.js';
 
 const router = express.Router();
 
@@ -110,7 +112,11 @@ router.get(
       // Get total count and paginated images in parallel for better performance
       const [total, images] = await Promise.all([
         Gallery.countDocuments(),
-        Gallery.find().sort({ createdAt: 1 }).skip(skip).limit(limit).lean(), // Use lean() for better performance (returns plain JS objects)
+        Gallery.find()
+          .sort(Gallery.displayOrder())
+          .skip(skip)
+          .limit(limit)
+          .lean(), // Use lean() for better performance (returns plain JS objects)
       ]);
 
       const totalPages = Math.ceil(total / limit);
@@ -147,6 +153,12 @@ router.get(
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Upload even if the same file (or a near-identical image) was already uploaded
  *     requestBody:
  *       required: true
  *       content:
@@ -171,6 +183,8 @@ router.get(
  *                 url:
  *                   type: string
  *                   format: uri
+ *                 duplicate:
+ *                   $ref: '#/components/schemas/DuplicateMedia'
  */
 // Upload image (protected) - Returns Cloudinary URL
 router.post(
@@ -222,12 +236,21 @@ router.post(
         });
       }
 
-      // Upload to Cloudinary with optimization
-      const imageUrl = await uploadOptimizedImage(
+      // Upload to Cloudinary with optimization, unless the image is already there
+      const { url: imageUrl, duplicate } = await uploadUnlessDuplicate(
         req.file,
-        'nahid-admin/gallery',
-        1920, // Max width
-        1920, // Max height
+        {
+          folder: 'nahid-admin/gallery',
+          image: true,
+          force: isForcedUpload(req),
+          upload: () =>
+            uploadOptimizedImage(
+              req.file,
+              'nahid-admin/gallery',
+              1920, // Max width
+              1920, // Max height
+            ),
+        },
       );
 
       if (!imageUrl) {
@@ -237,7 +260,7 @@ router.post(
         });
       }
 
-      res.json({ url: imageUrl });
+      res.json({ url: imageUrl, duplicate });
     } catch (error) {
       console.error('Gallery upload error:', {
         message: error.message,
@@ -264,6 +287,58 @@ router.post(
   },
 );
 
+/**
+ * @swagger
+ * /gallery/slug/{slug}:
+ *   get:
+ *     summary: Get a gallery image by slug (🌐 PUBLIC)
+ *     tags: [Gallery]
+ *     description: |
+ *       **Access Level: 🌐 PUBLIC**
+ *
+ *       Get a single gallery image by its URL slug. A slug the gallery image had before a rename
+ *       answers with a 301 redirect to the current slug.
+ *     security:
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Image details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Gallery'
+ *       301:
+ *         description: Old slug - redirects to the current one
+ *       404:
+ *         description: Image not found
+ */
+// Get gallery image by slug (PUBLIC - with optional API key or origin check)
+router.get('/slug/:slug', checkApiKey, checkOrigin, async (req, res) => {
+  try {
+    const { document: image, renamed } = await Gallery.findBySlug(
+      req.params.slug,
+    );
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+    if (renamed) {
+      return res.redirect(301, currentSlugUrl(req, image.slug));
+    }
+    res.json(image);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error fetching gallery image',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /gallery/{id}:
@@ -340,6 +415,12 @@ router.get('/:id', checkApiKey, checkOrigin, async (req, res) => {
  *               caption:
  *                 type: string
  *                 description: Image caption (supports multi-line)
+ *               featured:
+ *                 type: boolean
+ *                 description: Show first in public lists
+ *               slug:
+ *                 type: string
+ *                 description: URL slug, generated from the caption when omitted. Old slugs keep redirecting after a change
  *     responses:
  *       201:
  *         description: Image created successfully
@@ -352,7 +433,7 @@ router.get('/:id', checkApiKey, checkOrigin, async (req, res) => {
 router.post('/', authenticateToken, async (req, res) => {
   invalidateRouteCache('gallery');
   try {
-    const { src, height, caption } = req.body;
+    const { src, height, caption, featured, slug } = req.body;
 
     // Validate that src is a URL, not base64
     if (!src || typeof src !== 'string') {
@@ -374,11 +455,29 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    if (featured !== undefined && typeof featured !== 'boolean') {
+      return res
+        .status(400)
+        .json({ message: 'Featured must be true or false' });
+    }
+
+    // Without a slug, one is generated from the caption
+    const slugCheck = slug ? await Gallery.validateSlug(slug) : {};
+    if (slugCheck.error) {
+      return res
+        .status(slugCheck.conflict ? 409 : 400)
+        .json({ message: slugCheck.error });
+    }
+
     const imageData = {
       src: src,
       height: height || 'medium',
       caption: caption || '',
+      featured: featured === true,
     };
+    if (slugCheck.slug) {
+      imageData.slug = slugCheck.slug;
+    }
 
     const image = new Gallery(imageData);
     await image.save();
@@ -390,6 +489,55 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /gallery/reorder:
+ *   put:
+ *     summary: Reorder gallery images (🔒 ADMIN ONLY)
+ *     tags: [Gallery]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Save a drag-and-drop order. The listed gallery images swap into the places they already
+ *       take up in the list, so a partial or filtered list can be sent; everything else stays put.
+ *       Public lists show featured gallery images first, then follow this order (oldest first until the first reorder).
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReorderRequest'
+ *     responses:
+ *       200:
+ *         description: Order saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReorderResult'
+ *       400:
+ *         description: Invalid, duplicate or unknown IDs
+ */
+// Reorder gallery images (protected)
+// This route must come before /:id to avoid route conflicts
+router.put('/reorder', authenticateToken, async (req, res) => {
+  invalidateRouteCache('gallery');
+  try {
+    const { updated, error } = await Gallery.reorder(req.body.ids);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    res.json({ message: 'Gallery images reordered', updated });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error reordering gallery images',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /gallery/{id}:
@@ -423,6 +571,12 @@ router.post('/', authenticateToken, async (req, res) => {
  *                 enum: [small, medium, large, xlarge]
  *               caption:
  *                 type: string
+ *               featured:
+ *                 type: boolean
+ *                 description: Show first in public lists
+ *               slug:
+ *                 type: string
+ *                 description: URL slug, generated from the caption when omitted. Old slugs keep redirecting after a change
  *     responses:
  *       200:
  *         description: Image updated successfully
@@ -437,7 +591,7 @@ router.post('/', authenticateToken, async (req, res) => {
 router.put('/:id', authenticateToken, async (req, res) => {
   invalidateRouteCache('gallery');
   try {
-    const { src, height, caption } = req.body;
+    const { src, height, caption, featured, slug } = req.body;
 
     // If src is provided, validate it's a URL, not base64
     if (src) {
@@ -457,6 +611,12 @@ router.put('/:id', authenticateToken, async (req, res) => {
       }
     }
 
+    if (featured !== undefined && typeof featured !== 'boolean') {
+      return res
+        .status(400)
+        .json({ message: 'Featured must be true or false' });
+    }
+
     const image = await Gallery.findById(req.params.id);
     if (!image) {
       return res.status(404).json({ message: 'Image not found' });
@@ -466,8 +626,19 @@ router.put('/:id', authenticateToken, async (req, res) => {
       src: src || image.src, // Keep existing if not provided
       height: height || image.height,
       caption: caption !== undefined ? caption : image.caption,
+      featured: featured !== undefined ? featured : image.featured,
     };
 
+    if (slug !== undefined) {
+      const slugCheck = await Gallery.validateSlug(slug, image._id);
+      if (slugCheck.error) {
+        return res
+          .status(slugCheck.conflict ? 409 : 400)
+          .json({ message: slugCheck.error });
+      }
+      Object.assign(imageData, Gallery.slugUpdate(image, slugCheck.slug));
+    }
+
     const updatedImage = await Gallery.findByIdAndUpdate(
       req.params.id,
       imageData,
@@ -494,7 +665,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
  *     description: |
  *       **Access Level: 🔒 ADMIN ONLY**
  *
- *       Delete a gallery image by ID.
+ *       Move a gallery image to the trash. Restore or purge it through /trash.
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
@@ -506,19 +677,21 @@ router.put('/:id', authenticateToken, async (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: Image deleted successfully
+ *         description: Image moved to trash
  *       404:
  *         description: Image not found
  */
-// Delete image (protected)
+// Delete image (protected) - moves it to the trash
 router.delete('/:id', authenticateToken, async (req, res) => {
   invalidateRouteCache('gallery');
   try {
-    const image = await Gallery.findByIdAndDelete(req.params.id);
+    const image = await Gallery.findByIdAndUpdate(req.params.id, {
+      deletedAt: new Date(),
+    });
     if (!image) {
       return res.status(404).json({ message: 'Image not found' });
     }
-    res.json({ message: 'Image deleted successfully' });
+    res.json({ message: 'Image moved to trash' });
   } catch (error) {
     res
       .status(500)
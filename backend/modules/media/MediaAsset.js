@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// A file uploaded to Cloudinary, fingerprinted so the same file isn't uploaded twice
+const mediaAssetSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    folder: {
+      type: String,
+      required: true,
+      description: 'Cloudinary folder; duplicates are only looked for in the same folder',
+    },
+    contentHash: {
+      type: String,
+      required: true,
+      description: 'SHA-256 of the uploaded bytes',
+    },
+    perceptualHash: {
+      type: String,
+      default: null,
+      description: '64-bit difference hash (hex) of images',
+    },
+    originalName: String,
+    size: Number,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+mediaAssetSchema.index({ folder: 1, contentHash: 1 });
+mediaAssetSchema.index({ folder: 1, perceptualHash: 1 });
+
+const MediaAsset = mongoose.model('MediaAsset', mediaAssetSchema);
+
+export default MediaAsset;
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import MediaAsset from './MediaAsset.js';
+import { logger } from '../../utils/logger.js';
+import { PERCEPTUAL_HASH_MAX_DISTANCE } from '../../utils/constants.js';
+
+// Difference hash grid: 9x8 pixels give 8 comparisons per row, 64 bits in total
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+
+/**
+ * SHA-256 of a file's bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string} Hex digest
+ */
+export const computeContentHash = (buffer) =>
+  crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Perceptual (difference) hash of an image
+ * Resized, re-encoded or slightly edited copies of an image get the same or a close hash
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Promise<string|null>} 16 hex characters, or null if the image can't be decoded
+ */
+export const computePerceptualHash = async (buffer) => {
+  try {
+    const pixels = await sharp(buffer)
+      .rotate()
+      .grayscale()
+      .resize(DHASH_WIDTH, DHASH_HEIGHT, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < DHASH_HEIGHT; y += 1) {
+      for (let x = 0; x < DHASH_WIDTH - 1; x += 1) {
+        const left = pixels[y * DHASH_WIDTH + x];
+        const right = pixels[y * DHASH_WIDTH + x + 1];
+        hash = (hash << 1n) | (left > right ? 1n : 0n);
+      }
+    }
+    return hash.toString(16).padStart(16, '0');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Number of bits that differ between two perceptual hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} 0 (identical) to 64
+ */
+export const hashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+/**
+ * Look for an earlier upload of the same file in a folder
+ * Exact copies match on the content hash; images also match when their
+ * perceptual hashes are within PERCEPTUAL_HASH_MAX_DISTANCE bits
+ * @param {Object} hashes - { contentHash, perceptualHash }
+ * @param {string} folder - Cloudinary folder
+ * @returns {Promise<Object|null>} { url, match: 'exact' | 'similar', distance, uploadedAt }
+ */
+export const findDuplicateMedia = async (
+  { contentHash, perceptualHash },
+  folder,
+) => {
+  const exact = await MediaAsset.findOne({ folder, contentHash })
+    .sort({ createdAt: 1 })
+    .lean();
+  if (exact) {
+    return {
+      url: exact.url,
+      match: 'exact',
+      distance: 0,
+      uploadedAt: exact.createdAt,
+    };
+  }
+
+  if (!perceptualHash) return null;
+
+  const images = await MediaAsset.find({
+    folder,
+    perceptualHash: { $ne: null },
+  })
+    .select('url perceptualHash createdAt')
+    .lean();
+
+  let closest = null;
+  for (const image of images) {
+    const distance = hashDistance(perceptualHash, image.perceptualHash);
+    if (
+      distance <= PERCEPTUAL_HASH_MAX_DISTANCE &&
+      (!closest || distance < closest.distance)
+    ) {
+      closest = {
+        url: image.url,
+        match: 'similar',
+        distance,
+        uploadedAt: image.createdAt,
+      };
+    }
+  }
+  return closest;
+};
+
+/**
+ * Upload a file unless it (or, for images, a near-identical copy) is already in the folder
+ * A duplicate is not uploaded again: its existing URL is returned with a warning.
+ * Fingerprinting problems never block an upload
+ * @param {Object} file - Multer file (buffer, originalname, size)
+ * @param {Object} options
+ * @param {string} options.folder - Cloudinary folder the file goes to
+ * @param {Function} options.upload - Uploads the file and resolves to its URL
+ * @param {boolean} [options.image=false] - Compare perceptual hashes too
+ * @param {boolean} [options.force=false] - Upload even if a duplicate exists
+ * @returns {Promise<{url: string, duplicate: Object|null}>}
+ */
+export const uploadUnlessDuplicate = async (
+  file,
+  { folder, upload, image = false, force = false },
+) => {
+  const buffer = Buffer.isBuffer(file) ? file : file.buffer;
+
+  let hashes = null;
+  try {
+    hashes = {
+      contentHash: computeContentHash(buffer),
+      perceptualHash: image ? await computePerceptualHash(buffer) : null,
+    };
+    if (!force) {
+      const existing = await findDuplicateMedia(hashes, folder);
+      if (existing) {
+        return {
+          url: existing.url,
+          duplicate: {
+            ...existing,
+            message:
+              existing.match === 'exact'
+                ? 'This file has already been uploaded; the existing copy is used'
+                : 'A near-identical image has already been uploaded; the existing copy is used',
+          },
+        };
+      }
+    }
+  } catch (error) {
+    logger.error('Error checking for duplicate media', error);
+  }
+
+  const url = await upload();
+
+  if (hashes) {
+    await MediaAsset.create({
+      url,
+      folder,
+      ...hashes,
+      originalName: file.originalname,
+      size: buffer.length,
+    }).catch((error) => {
+      logger.error('Error recording media asset', error);
+    });
+  }
+
+  return { url, duplicate: null };
+};
+
+/**
+ * Whether an upload request asks to skip the duplicate check (?force=true)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+export const isForcedUpload = (req) =>
+  req.query.force === 'true' || req.body?.force === 'true';
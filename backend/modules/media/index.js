@@ -0,0 +1,14 @@
+/**
+ * Media Module
+ * Fingerprints uploads so the same file isn't stored on Cloudinary twice
+ */
+
+export { default as MediaAsset } from './MediaAsset.js';
+export {
+  computeContentHash,
+  computePerceptualHash,
+  hashDistance,
+  findDuplicateMedia,
+  uploadUnlessDuplicate,
+  isForcedUpload,
+} from './duplicateDetection.js';
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import { LEDGER_ENTRY_TYPES } from '../../utils/constants.js';
+import { logger } from '../../utils/logger.js';
+
+// One payee's share of one track in a sale, its reversal after a refund, or a payout
+// Names, roles and percentages are copied so later split edits don't rewrite history
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    // Payouts aren't tied to a sale
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sale',
+      required: function () {
+        return this.type !== 'payout';
+      },
+    },
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Track',
+    },
+    // Unset for the owner's share (what the revenue split leaves over)
+    collaborator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Collaborator',
+    },
+    payeeName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    percentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    // Always positive - the type says which way it moves the balance
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    type: {
+      type: String,
+      enum: LEDGER_ENTRY_TYPES,
+      default: 'credit',
+    },
+    // bKash refund or payout transaction ID
+    reference: {
+      type: String,
+      trim: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+ledgerEntrySchema.index({ sale: 1, type: 1 });
+// A sale credits each payee of a track once, even when recorded concurrently
+ledgerEntrySchema.index(
+  { sale: 1, track: 1, collaborator: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'credit' } },
+);
+ledgerEntrySchema.index({ collaborator: 1, createdAt: -1 });
+ledgerEntrySchema.index({ createdAt: -1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+// Credits recorded twice before the unique index existed keep it from being built
+LedgerEntry.on('index', (error) => {
+  if (error) {
+    logger.error(
+      'Ledger indexes could not be built - run npm run dedupe:sales',
+      { error: error.message },
+    );
+  }
+});
+
+export default LedgerEntry;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// A payment made with the mock provider (local testing only)
+// Stored in the database so every cluster worker sees the same payments
+const mockPaymentSchema = new mongoose.Schema(
+  {
+    // The mock's payment ID
+    _id: {
+      type: String,
+    },
+    invoiceNumber: {
+      type: String,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    callbackURL: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed', 'cancelled'],
+      default: 'pending',
+    },
+    // Outcome picked on the checkout page
+    scenario: {
+      type: String,
+      default: null,
+    },
+    transactionId: {
+      type: String,
+      default: null,
+    },
+    // Like bKash, a payment can only be executed once
+    executed: {
+      type: Boolean,
+      default: false,
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const MockPayment = mongoose.model('MockPayment', mockPaymentSchema);
+
+export default MockPayment;
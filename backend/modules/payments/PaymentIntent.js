@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import { PAYMENT_INTENT_STATUSES } from '../../utils/constants.js';
+
+// Statuses an intent can move to from each status. A failed or expired intent
+// can still be executed: the gateway may report the payment completed later
+export const PAYMENT_INTENT_TRANSITIONS = {
+  created: ['redirected', 'failed', 'expired'],
+  redirected: ['executed', 'failed', 'cancelled', 'expired'],
+  executed: ['completed', 'failed'],
+  completed: [],
+  failed: ['executed'],
+  cancelled: [],
+  expired: ['executed'],
+};
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: PAYMENT_INTENT_STATUSES,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false },
+);
+
+// One checkout: what is being bought, for how much, where the buyer goes
+// afterwards and the provider's IDs. Payment callbacks are resolved from it
+const paymentIntentSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Set once the provider has created the payment
+    paymentId: {
+      type: String,
+      trim: true,
+      unique: true,
+      sparse: true,
+    },
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    itemType: {
+      type: String,
+      enum: ['track', 'release'],
+      required: true,
+    },
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Track',
+      required: function () {
+        return this.itemType === 'track';
+      },
+    },
+    // License tier of the track being bought (tracks with tiers only)
+    license: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // The tier is an exclusive license - one open checkout holds it at a time
+    exclusive: {
+      type: Boolean,
+      default: false,
+    },
+    release: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Release',
+      required: function () {
+        return this.itemType === 'release';
+      },
+    },
+    // Track or release title at checkout
+    itemTitle: {
+      type: String,
+      trim: true,
+    },
+    // What the buyer is charged (BDT); the sale is recorded at this price
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Portfolio site the buyer is sent back to
+    redirectUrl: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    paymentURL: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: PAYMENT_INTENT_STATUSES,
+      default: 'created',
+    },
+    transactionId: {
+      type: String,
+      trim: true,
+    },
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sale',
+    },
+    failureReason: {
+      type: String,
+      trim: true,
+    },
+    // Checkouts still open after this are expired
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set once reconciliation has settled the payment with the provider
+    reconciledAt: {
+      type: Date,
+    },
+    history: {
+      type: [statusChangeSchema],
+      default: () => [{ status: 'created' }],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+paymentIntentSchema.index({ status: 1, expiresAt: 1 });
+paymentIntentSchema.index({ createdAt: -1 });
+paymentIntentSchema.index({ status: 1, updatedAt: 1 });
+paymentIntentSchema.index({ track: 1, exclusive: 1, status: 1 });
+
+/**
+ * Move the intent to another status if its current one allows it
+ * The check and the write are one update, so concurrent callbacks can't both
+ * make the same move
+ * @param {string} status - New status
+ * @param {Object} [fields] - Other fields to set with it
+ * @param {string} [note] - Kept in the status history
+ * @returns {Promise<Object|null>} Updated intent, or null if the move isn't allowed
+ */
+paymentIntentSchema.methods.transition = function (status, fields = {}, note) {
+  const from = Object.keys(PAYMENT_INTENT_TRANSITIONS).filter((current) =>
+    PAYMENT_INTENT_TRANSITIONS[current].includes(status),
+  );
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: from } },
+    {
+      $set: { ...fields, status },
+      $push: { history: { status, at: new Date(), note } },
+    },
+    { new: true },
+  );
+};
+
+const PaymentIntent = mongoose.model('PaymentIntent', paymentIntentSchema);
+
+export default PaymentIntent;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Lease held by the process running payment reconciliation
+// There is a single document: whoever sets it while it has expired owns the
+// run, so cluster workers and serverless instances never reconcile at once
+const reconciliationLeaseSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: 'payment-reconciliation',
+    },
+    // Process that holds the lease (host:pid:random)
+    holder: {
+      type: String,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ['scheduled', 'manual'],
+    },
+    // Renewed after every payment checked; a crashed run frees it here
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Scheduled runs before this are skipped
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const ReconciliationLease = mongoose.model(
+  'ReconciliationLease',
+  reconciliationLeaseSchema,
+);
+
+export default ReconciliationLease;
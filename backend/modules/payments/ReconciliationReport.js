@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// What reconciliation did with one payment intent
+const findingSchema = new mongoose.Schema(
+  {
+    intent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentIntent',
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    paymentId: {
+      type: String,
+      required: true,
+    },
+    itemTitle: String,
+    amount: Number,
+    // Intent status before reconciliation
+    previousStatus: {
+      type: String,
+      required: true,
+    },
+    // Status the provider reported (completed, pending, failed, cancelled)
+    providerStatus: String,
+    // completed: the sale was recorded; failed/cancelled: the checkout was closed;
+    // pending: left for the next run; error: needs a look (see message)
+    action: {
+      type: String,
+      enum: ['completed', 'failed', 'cancelled', 'pending', 'error'],
+      required: true,
+    },
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sale',
+    },
+    // False when the sale had already been recorded by a callback
+    saleCreated: Boolean,
+    message: String,
+  },
+  { _id: false },
+);
+
+// One run of the payment reconciliation job
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ['scheduled', 'manual'],
+      required: true,
+    },
+    // Admin who ran it (manual runs)
+    triggeredBy: {
+      type: String,
+      trim: true,
+    },
+    // Payments untouched for this long were checked
+    thresholdMinutes: {
+      type: Number,
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: Date,
+    summary: {
+      checked: { type: Number, default: 0 },
+      completed: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      pending: { type: Number, default: 0 },
+      errors: { type: Number, default: 0 },
+    },
+    findings: {
+      type: [findingSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+const ReconciliationReport = mongoose.model(
+  'ReconciliationReport',
+  reconciliationReportSchema,
+);
+
+export default ReconciliationReport;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Money given back on a sale. A sale can have several partial refunds; they
+// never add up to more than its price (Sale.refundedAmount keeps the sum)
+const refundSchema = new mongoose.Schema(
+  {
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sale',
+      required: true,
+      index: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    // Gateway the money went back through; unset for refunds made outside one
+    provider: {
+      type: String,
+      trim: true,
+    },
+    // Gateway's refund transaction ID (bKash refundTrxID)
+    refundTrxId: {
+      type: String,
+      trim: true,
+    },
+    // Admin who made the refund
+    refundedBy: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
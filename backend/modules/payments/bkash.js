@@ -221,13 +221,14 @@ export const refundPayment = async (refundData) => {
 
 /**
  * Generate unique invoice number
- * @param {string} trackId - Track ID
+ * @param {string} itemId - Track or release ID
+ * @param {string} prefix - Item prefix (TRK for tracks, REL for releases)
  * @returns {string} Invoice number
  */
-export const generateInvoiceNumber = (trackId) => {
+export const generateInvoiceNumber = (itemId, prefix = 'TRK') => {
   const timestamp = Date.now();
   const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-  return `TRK-${trackId}-${timestamp}-${random}`;
+  return `${prefix}-${itemId}-${timestamp}-${random}`;
 };
 
 /**
@@ -0,0 +1,103 @@
+/**
+ * bKash Payment Provider
+ * Puts the bKash Tokenized Checkout calls in bkash.js behind the provider
+ * interface described in paymentProviders.js
+ */
+
+import {
+  createPayment,
+  executePayment,
+  queryPayment,
+  refundPayment,
+} from './bkash.js';
+
+// bKash answers successful API calls with this status code
+const BKASH_SUCCESS_CODE = '0000';
+
+// transactionStatus values of a payment query, by provider status
+const BKASH_TRANSACTION_STATUSES = {
+  Completed: 'completed',
+  Initiated: 'pending',
+  Authorized: 'pending',
+  'Pending Authorized': 'pending',
+  Cancelled: 'cancelled',
+  Expired: 'failed',
+  Failed: 'failed',
+};
+
+const bkashProvider = {
+  name: 'bkash',
+  label: 'bKash',
+
+  // Checkout is offered even without credentials, so a misconfiguration shows up as an error
+  isEnabled: () => true,
+
+  getCallbackUrl: () =>
+    process.env.BKASH_CALLBACK_URL ||
+    `${process.env.API_URL || 'http://localhost:5000'}/api/payments/bkash/callback`,
+
+  async createPayment({ amount, invoiceNumber, callbackURL }) {
+    const result = await createPayment({
+      amount,
+      merchantInvoiceNumber: invoiceNumber,
+      intent: 'sale',
+      callbackURL,
+    });
+    return {
+      paymentID: result.paymentID,
+      paymentURL: result.bkashURL,
+      raw: result,
+    };
+  },
+
+  async executePayment(paymentID) {
+    const result = await executePayment(paymentID);
+    return {
+      status:
+        result?.statusCode === BKASH_SUCCESS_CODE ? 'completed' : 'failed',
+      transactionId: result?.trxID,
+      raw: result,
+    };
+  },
+
+  async queryPayment(paymentID) {
+    const result = await queryPayment(paymentID);
+
+    // Token, auth and API errors say nothing about the payment itself, so
+    // they mustn't be mistaken for a failed payment
+    if (result?.statusCode !== BKASH_SUCCESS_CODE) {
+      throw new Error(
+        `bKash query failed: ${result?.statusMessage || result?.statusCode || 'no response'}`,
+      );
+    }
+    const status = BKASH_TRANSACTION_STATUSES[result.transactionStatus];
+    if (!status) {
+      throw new Error(
+        `Unknown bKash transaction status: ${result.transactionStatus}`,
+      );
+    }
+
+    return {
+      status,
+      transactionId: result?.trxID,
+      amount: result?.amount ? parseFloat(result.amount) : undefined,
+      raw: result,
+    };
+  },
+
+  async refundPayment({ paymentID, transactionId, amount, reason }) {
+    const result = await refundPayment({
+      paymentID,
+      trxID: transactionId,
+      amount,
+      reason,
+    });
+    return {
+      success: result?.statusCode === BKASH_SUCCESS_CODE,
+      refundId: result?.refundTrxID,
+      raw: result,
+    };
+  },
+};
+
+export default bkashProvider;
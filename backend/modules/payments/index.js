@@ -4,5 +4,61 @@
  */
 
 export { default as paymentRoutes } from './paymentRoutes.js';
+export { default as ledgerRoutes } from './ledgerRoutes.js';
 export * from './bkash.js';
+export {
+  PAYMENT_PROVIDERS,
+  getPaymentProvider,
+  listPaymentProviders,
+} from './paymentProviders.js';
+export { default as bkashProvider } from './bkashProvider.js';
+export {
+  default as mockProvider,
+  MOCK_SCENARIOS,
+  completeMockCheckout,
+} from './mockProvider.js';
+export {
+  default as PaymentIntent,
+  PAYMENT_INTENT_TRANSITIONS,
+} from './PaymentIntent.js';
+export {
+  PAYMENT_INTENT_TTL_MINUTES,
+  fulfilPaymentIntent,
+  holdsExclusiveLicense,
+  expirePaymentIntents,
+  startPaymentIntentExpiry,
+} from './paymentIntents.js';
+export { default as ReconciliationReport } from './ReconciliationReport.js';
+export { default as ReconciliationLease } from './ReconciliationLease.js';
+export { default as MockPayment } from './MockPayment.js';
+export {
+  RECONCILIATION_THRESHOLD_MINUTES,
+  reconcilePayments,
+  reconcilePaymentsIfDue,
+  isReconciliationRunning,
+  startPaymentReconciliation,
+} from './paymentReconciliation.js';
+export { default as Refund } from './Refund.js';
+export {
+  getRefundableAmount,
+  getSaleNetRevenue,
+  reserveSaleRefund,
+  releaseSaleRefund,
+  finishSaleRefund,
+  recordSaleRefund,
+  getSaleRefunds,
+} from './saleRefunds.js';
 export * from './profitDistribution.js';
+export {
+  recordSaleLedgerEntries,
+  recordSaleRefundLedgerEntries,
+  getPayeeBalances,
+  getPayeeBalance,
+  getProfitBreakdown,
+} from './revenueLedger.js';
+export {
+  buildSettlementStatement,
+  statementToCsv,
+  writeStatementPdf,
+} from './settlementStatements.js';
+export { default as LedgerEntry } from './LedgerEntry.js';
@@ -0,0 +1,391 @@
+import express from 'express';
+import LedgerEntry from './LedgerEntry.js';
+import Collaborator from '../collaborators/Collaborator.js';
+import { authenticateToken } from '../auth/index.js';
+import { OWNER_PAYEE } from './profitDistribution.js';
+import {
+  getPayeeFilter,
+  getPayeeBalances,
+  getPayeeBalance,
+} from './revenueLedger.js';
+import {
+  buildSettlementStatement,
+  statementToCsv,
+  writeStatementPdf,
+} from './settlementStatements.js';
+import { logger } from '../../utils/logger.js';
+import {
+  isValidObjectId,
+  isValidPositiveNumber,
+} from '../../utils/validation.js';
+
+const router = express.Router();
+
+const STATEMENT_FORMATS = ['json', 'csv', 'pdf'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Balance of a payee with the collaborator's current name, or null if the payee doesn't exist
+const findPayeeBalance = async (payeeId) => {
+  const payee = await getPayeeBalance(payeeId);
+  if (!payee || payee.payeeId === OWNER_PAYEE.role) {
+    return payee;
+  }
+  const collaborator = await Collaborator.findById(payeeId)
+    .select('name')
+    .lean();
+  if (collaborator) {
+    return { ...payee, name: collaborator.name };
+  }
+  // Deleted collaborators keep their ledger history
+  return payee.name ? payee : null;
+};
+
+/**
+ * @swagger
+ * /ledger/balances:
+ *   get:
+ *     summary: Get payee balances (🔒 ADMIN ONLY)
+ *     tags: [Ledger]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Credits, refund debits, payouts and the outstanding balance of every payee with ledger entries,
+ *       the owner included (payeeId `owner`).
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Payee balances, highest balance first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PayeeBalance'
+ */
+// Get all payee balances (protected)
+router.get('/balances', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getPayeeBalances());
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error fetching balances',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /ledger/balances/{payeeId}:
+ *   get:
+ *     summary: Get one payee's balance (🔒 ADMIN ONLY)
+ *     tags: [Ledger]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Balance of a collaborator (or `owner`) with their most recent ledger entries.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payeeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collaborator ID, or `owner`
+ *     responses:
+ *       200:
+ *         description: Payee balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PayeeBalance'
+ *                 - type: object
+ *                   properties:
+ *                     recentEntries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LedgerEntry'
+ *       404:
+ *         description: Payee not found
+ */
+// Get one payee's balance (protected)
+router.get('/balances/:payeeId', authenticateToken, async (req, res) => {
+  try {
+    const payee = await findPayeeBalance(req.params.payeeId);
+    if (!payee) {
+      return res.status(404).json({ message: 'Payee not found' });
+    }
+
+    const recentEntries = await LedgerEntry.find(
+      getPayeeFilter(payee.payeeId),
+    )
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .populate('sale', 'saleSerialId')
+      .populate({
+        path: 'track',
+        select: 'title',
+        options: { withDeleted: true },
+      })
+      .lean();
+
+    res.json({ ...payee, recentEntries });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error fetching balance',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /ledger/payouts:
+ *   post:
+ *     summary: Record a payout (🔒 ADMIN ONLY)
+ *     tags: [Ledger]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Record money paid to a collaborator outside the system (e.g. a bKash transfer).
+ *       The amount can't exceed what the collaborator is owed.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PayoutInput'
+ *     responses:
+ *       201:
+ *         description: Payout recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LedgerEntry'
+ *       400:
+ *         description: Validation error or amount above the balance
+ *       404:
+ *         description: Collaborator not found
+ */
+// Record a payout (protected)
+router.post('/payouts', authenticateToken, async (req, res) => {
+  try {
+    const { collaborator: collaboratorId, amount, reference, note } = req.body;
+
+    if (!isValidObjectId(collaboratorId)) {
+      return res.status(400).json({ message: 'Collaborator is required' });
+    }
+    if (!isValidPositiveNumber(amount)) {
+      return res
+        .status(400)
+        .json({ message: 'Amount must be a positive number' });
+    }
+    if (reference !== undefined && typeof reference !== 'string') {
+      return res.status(400).json({ message: 'Reference must be a string' });
+    }
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ message: 'Note must be a string' });
+    }
+
+    const payee = await findPayeeBalance(collaboratorId);
+    if (!payee) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+
+    const payoutAmount = roundMoney(parseFloat(amount));
+    if (payoutAmount <= 0) {
+      return res
+        .status(400)
+        .json({ message: 'Amount must be at least 0.01' });
+    }
+    if (payoutAmount > payee.balance) {
+      return res.status(400).json({
+        message: `Amount exceeds the balance owed to ${payee.name} (৳${payee.balance.toFixed(2)})`,
+      });
+    }
+
+    const payout = await LedgerEntry.create({
+      collaborator: collaboratorId,
+      payeeName: payee.name,
+      role: 'payout',
+      amount: payoutAmount,
+      type: 'payout',
+      reference: reference?.trim() || undefined,
+      note: note?.trim() || undefined,
+    });
+
+    logger.info('Collaborator payout recorded', {
+      collaboratorId,
+      amount: payoutAmount,
+      reference: payout.reference,
+    });
+    res.status(201).json(payout);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error recording payout',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /ledger/payouts/{id}:
+ *   delete:
+ *     summary: Delete a payout (🔒 ADMIN ONLY)
+ *     tags: [Ledger]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Remove a payout recorded by mistake; the amount is owed again.
+ *       Sale credits and refund debits can't be deleted.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payout deleted
+ *       404:
+ *         description: Payout not found
+ */
+// Delete a payout (protected)
+router.delete('/payouts/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(404).json({ message: 'Payout not found' });
+    }
+
+    const payout = await LedgerEntry.findOneAndDelete({
+      _id: id,
+      type: 'payout',
+    });
+    if (!payout) {
+      return res.status(404).json({ message: 'Payout not found' });
+    }
+
+    logger.info('Collaborator payout deleted', {
+      payoutId: id,
+      collaboratorId: payout.collaborator,
+      amount: payout.amount,
+    });
+    res.json({ message: 'Payout deleted successfully' });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error deleting payout',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /ledger/statements/{payeeId}:
+ *   get:
+ *     summary: Get a monthly settlement statement (🔒 ADMIN ONLY)
+ *     tags: [Ledger]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       A payee's opening balance, every credit, debit and payout of the month (UTC) with a running
+ *       balance, and the closing balance. `format=csv` and `format=pdf` download the statement as a file.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: payeeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collaborator ID, or `owner`
+ *       - in: query
+ *         name: month
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: '2026-01'
+ *         description: Month as YYYY-MM
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Settlement statement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SettlementStatement'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid month or format
+ *       404:
+ *         description: Payee not found
+ */
+// Get a monthly settlement statement (protected)
+router.get('/statements/:payeeId', authenticateToken, async (req, res) => {
+  try {
+    const { month, format = 'json' } = req.query;
+    if (!STATEMENT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        message: `Format must be one of: ${STATEMENT_FORMATS.join(', ')}`,
+      });
+    }
+
+    const payee = await findPayeeBalance(req.params.payeeId);
+    if (!payee) {
+      return res.status(404).json({ message: 'Payee not found' });
+    }
+
+    const statement = await buildSettlementStatement(payee, month);
+    if (!statement) {
+      return res
+        .status(400)
+        .json({ message: 'Month must be given as YYYY-MM' });
+    }
+
+    if (format === 'json') {
+      return res.json(statement);
+    }
+
+    const fileName = `statement_${payee.name.replace(/[^a-z0-9]/gi, '_')}_${month}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'csv') {
+      res.type('text/csv').send(statementToCsv(statement));
+      return;
+    }
+    res.type('application/pdf');
+    writeStatementPdf(statement, res);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error building statement',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,233 @@
+/**
+ * Mock Payment Provider
+ * A local stand-in for a payment gateway so the whole checkout and callback
+ * flow can be run without network access. The payment URL opens a checkout
+ * page on this API where the outcome is picked:
+ * - success: the payment completes
+ * - failure: the gateway declines the payment
+ * - cancel: the buyer cancels on the checkout page
+ * - timeout: the payment completes at the gateway, but the execute call made
+ *   from the callback fails after MOCK_PAYMENT_TIMEOUT_MS, as when the gateway
+ *   doesn't answer in time
+ *
+ * Payments are stored in the database (MockPayment), so the checkout and the
+ * callback may land on different cluster workers. The provider is only
+ * enabled with MOCK_PAYMENTS_ENABLED=true, and never in production.
+ */
+
+import crypto from 'crypto';
+import MockPayment from './MockPayment.js';
+
+export const MOCK_SCENARIOS = ['success', 'failure', 'cancel', 'timeout'];
+
+const getApiUrl = () => process.env.API_URL || 'http://localhost:5000';
+
+// How long the execute call hangs in the timeout scenario (milliseconds)
+const getTimeoutMs = () => {
+  const ms = parseInt(process.env.MOCK_PAYMENT_TIMEOUT_MS, 10);
+  return Number.isNaN(ms) || ms < 0 ? 5000 : ms;
+};
+
+const randomId = (prefix) =>
+  `${prefix}${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+      })[char],
+  );
+
+const getPayment = async (paymentID) => {
+  const payment = await MockPayment.findById(String(paymentID)).lean();
+  if (!payment) throw new Error(`Mock payment not found: ${paymentID}`);
+  return payment;
+};
+
+// URL that picks an outcome on the checkout page
+const getScenarioUrl = (paymentID, scenario) =>
+  `${getApiUrl()}/api/payments/mock/checkout/${encodeURIComponent(paymentID)}/${scenario}`;
+
+// Public view of a mock payment, returned as the provider's raw response
+const toRaw = (payment) => ({
+  paymentID: payment._id,
+  invoiceNumber: payment.invoiceNumber,
+  amount: payment.amount,
+  status: payment.status,
+  scenario: payment.scenario,
+  transactionId: payment.transactionId,
+  refundedAmount: payment.refundedAmount,
+  createdAt: payment.createdAt,
+});
+
+const mockProvider = {
+  name: 'mock',
+  label: 'Mock',
+
+  isEnabled: () =>
+    process.env.MOCK_PAYMENTS_ENABLED === 'true' &&
+    process.env.NODE_ENV !== 'production',
+
+  getCallbackUrl: () => `${getApiUrl()}/api/payments/mock/callback`,
+
+  async createPayment({ amount, invoiceNumber, callbackURL }) {
+    const payment = await MockPayment.create({
+      _id: randomId('MOCK'),
+      invoiceNumber,
+      amount: Number(amount),
+      callbackURL,
+    });
+
+    // MOCK_PAYMENT_SCENARIO skips the checkout page, e.g. for scripted runs
+    const preset = process.env.MOCK_PAYMENT_SCENARIO;
+    return {
+      paymentID: payment._id,
+      paymentURL: MOCK_SCENARIOS.includes(preset)
+        ? getScenarioUrl(payment._id, preset)
+        : `${getApiUrl()}/api/payments/mock/checkout/${payment._id}`,
+      raw: toRaw(payment),
+    };
+  },
+
+  async executePayment(paymentID) {
+    // Like bKash, a payment can only be executed once
+    const payment = await MockPayment.findOneAndUpdate(
+      { _id: String(paymentID), executed: false },
+      { $set: { executed: true } },
+      { new: true },
+    ).lean();
+    if (!payment) {
+      return {
+        status: 'failed',
+        raw: {
+          ...toRaw(await getPayment(paymentID)),
+          message: 'Payment already executed',
+        },
+      };
+    }
+
+    if (payment.scenario === 'timeout') {
+      await sleep(getTimeoutMs());
+      throw new Error('Mock payment execution timed out');
+    }
+    return {
+      status: payment.status,
+      transactionId: payment.transactionId || undefined,
+      raw: toRaw(payment),
+    };
+  },
+
+  async queryPayment(paymentID) {
+    const payment = await getPayment(paymentID);
+    return {
+      status: payment.status,
+      transactionId: payment.transactionId || undefined,
+      amount: payment.amount,
+      raw: toRaw(payment),
+    };
+  },
+
+  async refundPayment({ paymentID, transactionId, amount }) {
+    const refund = Number(amount);
+    // Checked and applied in one update, like a gateway's own ledger
+    const payment =
+      refund > 0
+        ? await MockPayment.findOneAndUpdate(
+            {
+              _id: String(paymentID),
+              status: 'completed',
+              ...(transactionId && { transactionId }),
+              $expr: {
+                $lte: [{ $add: ['$refundedAmount', refund] }, '$amount'],
+              },
+            },
+            { $inc: { refundedAmount: refund } },
+            { new: true },
+          ).lean()
+        : null;
+    if (!payment) {
+      return {
+        success: false,
+        raw: {
+          ...toRaw(await getPayment(paymentID)),
+          message: 'Refund rejected',
+        },
+      };
+    }
+    return {
+      success: true,
+      refundId: randomId('MOCKR'),
+      raw: toRaw(payment),
+    };
+  },
+};
+
+/**
+ * Apply the outcome picked on the checkout page
+ * @param {string} paymentID
+ * @param {string} scenario - One of MOCK_SCENARIOS
+ * @returns {Promise<string>} Callback URL to send the buyer to, as a gateway would
+ */
+export const completeMockCheckout = async (paymentID, scenario) => {
+  const paid = scenario === 'success' || scenario === 'timeout';
+  const outcome = {
+    scenario,
+    status: paid ? 'completed' : scenario === 'cancel' ? 'cancelled' : 'failed',
+    transactionId: paid ? randomId('MOCKT') : null,
+  };
+  const payment = await MockPayment.findOneAndUpdate(
+    { _id: String(paymentID), scenario: null },
+    { $set: outcome },
+    { new: true },
+  ).lean();
+  if (!payment) {
+    await getPayment(paymentID);
+    throw new Error('This mock payment has already been completed');
+  }
+
+  // Same callback parameters as bKash: success, failure or cancel
+  const callbackStatus = scenario === 'timeout' ? 'success' : scenario;
+  const separator = payment.callbackURL.includes('?') ? '&' : '?';
+  return `${payment.callbackURL}${separator}paymentID=${encodeURIComponent(
+    paymentID,
+  )}&status=${callbackStatus}`;
+};
+
+/**
+ * HTML of the checkout page for a mock payment
+ * @param {string} paymentID
+ * @returns {Promise<string>}
+ */
+export const renderMockCheckoutPage = async (paymentID) => {
+  const payment = await getPayment(paymentID);
+  const options = MOCK_SCENARIOS.map(
+    (scenario) =>
+      `<li><a href="${escapeHtml(getScenarioUrl(paymentID, scenario))}">${escapeHtml(scenario)}</a></li>`,
+  ).join('');
+  const body = payment.scenario
+    ? `<p>This payment has already been completed (${escapeHtml(payment.scenario)}).</p>`
+    : `<p>Pick the outcome of this payment:</p><ul>${options}</ul>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Mock checkout</title>
+</head>
+<body>
+<h1>Mock checkout</h1>
+<p>Invoice ${escapeHtml(payment.invoiceNumber)} &middot; ৳${escapeHtml(payment.amount)}</p>
+${body}
+</body>
+</html>`;
+};
+
+export default mockProvider;
@@ -0,0 +1,182 @@
+import PaymentIntent from './PaymentIntent.js';
+import Sale from '../sales/Sale.js';
+import Track from '../tracks/Track.js';
+import Release from '../releases/Release.js';
+import { updateTrackStatistics } from '../tracks/trackStatistics.js';
+import { updateReleaseStatistics } from '../releases/releaseStatistics.js';
+import { getTrackLicense, buildSaleLicense } from '../tracks/trackLicenses.js';
+import { retireTrackAfterExclusiveSale } from '../tracks/exclusiveSales.js';
+import { recordSaleLedgerEntries } from './revenueLedger.js';
+import { isDuplicateKeyError } from '../../utils/validation.js';
+import { logger } from '../../utils/logger.js';
+
+// Minutes a checkout stays open before its intent expires
+const parsedTtlMinutes = parseInt(process.env.PAYMENT_INTENT_TTL_MINUTES, 10);
+export const PAYMENT_INTENT_TTL_MINUTES =
+  Number.isNaN(parsedTtlMinutes) || parsedTtlMinutes <= 0
+    ? 60
+    : parsedTtlMinutes;
+
+// How often open intents past their expiry are expired (milliseconds)
+const EXPIRY_CHECK_INTERVAL = 10 * 60 * 1000;
+
+// Intents whose payment can still go through
+const OPEN_INTENT_STATUSES = ['created', 'redirected', 'executed'];
+
+let expiryTimer = null;
+
+/**
+ * Expiry date of an intent created now
+ * @returns {Date}
+ */
+export const getPaymentIntentExpiry = () =>
+  new Date(Date.now() + PAYMENT_INTENT_TTL_MINUTES * 60 * 1000);
+
+/**
+ * Check that an exclusive checkout holds its track's exclusive license
+ * Intents are created before they are checked, so of two checkouts opened at
+ * once the older one keeps the license and the other one gives up
+ * @param {Object} intent - Saved intent with exclusive set
+ * @returns {Promise<boolean>} false if an older open checkout holds it
+ */
+export const holdsExclusiveLicense = async (intent) => {
+  const holder = await PaymentIntent.findOne({
+    track: intent.track,
+    exclusive: true,
+    status: { $in: OPEN_INTENT_STATUSES },
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('_id')
+    .lean();
+  return !holder || holder._id.equals(intent._id);
+};
+
+/**
+ * Save the sale of a payment unless a concurrent callback already has
+ * The unique paymentId and transactionId indexes decide which callback wins
+ * @param {Object} sale - Unsaved sale with paymentId and transactionId set
+ * @returns {Promise<{sale: Object, created: boolean}>} created is false when
+ * the existing sale is returned; its statistics and ledger entries are done
+ */
+const saveSaleOnce = async (sale) => {
+  try {
+    await sale.save();
+    return { sale, created: true };
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) throw error;
+    const existing = await Sale.findOne({
+      $or: [
+        { paymentId: sale.paymentId },
+        { transactionId: sale.transactionId },
+      ],
+    });
+    if (!existing) throw error;
+    return { sale: existing, created: false };
+  }
+};
+
+/**
+ * Create the sale of an executed payment from its intent
+ * The sale is recorded at the amount charged, with the license chosen at checkout
+ * @param {Object} intent - Payment intent
+ * @param {Object} payment
+ * @param {string} payment.paymentMethod - Provider label
+ * @param {string} payment.transactionId - Gateway transaction ID
+ * @returns {Promise<{sale?: Object, created?: boolean, error?: string}>}
+ * error is 'track-not-found' or 'release-not-found'
+ */
+export const fulfilPaymentIntent = async (
+  intent,
+  { paymentMethod, transactionId },
+) => {
+  const saleFields = {
+    price: intent.amount,
+    paymentStatus: 'completed', // Payment already successful
+    paymentMethod,
+    paymentId: intent.paymentId,
+    transactionId: transactionId || intent.paymentId,
+  };
+
+  // Release purchase - one sale grants every track of the release
+  if (intent.itemType === 'release') {
+    const release = await Release.findById(intent.release);
+    if (!release) return { error: 'release-not-found' };
+
+    // Track list is captured so later edits to the release don't change what was bought
+    const { sale, created } = await saveSaleOnce(
+      new Sale({
+        ...saleFields,
+        releaseId: release._id,
+        trackIds: release.tracks,
+        trackTitle: release.title,
+      }),
+    );
+    if (created) {
+      await updateReleaseStatistics(release._id, intent.amount, 'increment');
+      await recordSaleLedgerEntries(sale);
+    }
+    return { sale, created };
+  }
+
+  // The buyer has paid even if the track was deleted meanwhile
+  const track = await Track.findById(intent.track).withDeleted();
+  if (!track) return { error: 'track-not-found' };
+
+  const license = getTrackLicense(track, intent.license);
+  const { sale, created } = await saveSaleOnce(
+    new Sale({
+      ...saleFields,
+      trackId: track._id,
+      trackTitle: track.title,
+      license: buildSaleLicense(license),
+    }),
+  );
+  if (created) {
+    // Update track statistics (saleCount and totalSoldPrice)
+    await updateTrackStatistics(track._id, intent.amount, 'increment');
+
+    // Exclusive licenses take the track off the market
+    await retireTrackAfterExclusiveSale(sale);
+
+    // Credit each collaborator's share
+    await recordSaleLedgerEntries(sale);
+  }
+  return { sale, created };
+};
+
+/**
+ * Expire checkouts the buyer never finished
+ * @returns {Promise<number>} Number of intents expired
+ */
+export const expirePaymentIntents = async () => {
+  const now = new Date();
+  const result = await PaymentIntent.updateMany(
+    { status: { $in: ['created', 'redirected'] }, expiresAt: { $lte: now } },
+    {
+      $set: { status: 'expired' },
+      $push: {
+        history: { status: 'expired', at: now, note: 'Checkout not finished' },
+      },
+    },
+  );
+  if (result.modifiedCount > 0) {
+    logger.info('Payment intents expired', { count: result.modifiedCount });
+  }
+  return result.modifiedCount;
+};
+
+/**
+ * Start the background timer that expires unfinished checkouts
+ * Safe to call more than once
+ */
+export const startPaymentIntentExpiry = () => {
+  if (expiryTimer) return;
+
+  expiryTimer = setInterval(() => {
+    expirePaymentIntents().catch((error) => {
+      logger.error('Error expiring payment intents', error);
+    });
+  }, EXPIRY_CHECK_INTERVAL);
+  expiryTimer.unref();
+};
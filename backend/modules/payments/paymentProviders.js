@@ -0,0 +1,54 @@
+/**
+ * Payment Providers
+ * Checkout goes through a provider with the same four calls whichever gateway
+ * is behind it, so another gateway (Nagad, SSLCommerz...) only needs a module
+ * implementing them and an entry in PAYMENT_PROVIDERS
+ *
+ * @typedef {'completed'|'pending'|'failed'|'cancelled'} PaymentStatus
+ *
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - URL name, as in /api/payments/:provider/create
+ * @property {string} label - Stored as the sale's paymentMethod
+ * @property {() => boolean} isEnabled - Whether checkout can use the provider
+ * @property {() => string} getCallbackUrl - Where the gateway sends the buyer back
+ * @property {(payment: {amount: number, invoiceNumber: string, callbackURL: string}) =>
+ *   Promise<{paymentID: string, paymentURL: string, raw: Object}>} createPayment
+ * @property {(paymentID: string) =>
+ *   Promise<{status: PaymentStatus, transactionId?: string, raw: Object}>} executePayment
+ *   Finish a payment the buyer approved (called from the callback)
+ * @property {(paymentID: string) =>
+ *   Promise<{status: PaymentStatus, transactionId?: string, amount?: number, raw: Object}>} queryPayment
+ *   Throws when the gateway can't tell the payment's status (auth or API errors)
+ * @property {(refund: {paymentID: string, transactionId: string, amount: number, reason: string}) =>
+ *   Promise<{success: boolean, refundId?: string, raw: Object}>} refundPayment
+ */
+
+import bkashProvider from './bkashProvider.js';
+import mockProvider from './mockProvider.js';
+
+// Gateways by URL name
+export const PAYMENT_PROVIDERS = {
+  [bkashProvider.name]: bkashProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+/**
+ * Provider for a URL name
+ * @param {string} name
+ * @returns {PaymentProvider|null} Null when unknown or disabled
+ */
+export const getPaymentProvider = (name) => {
+  const provider = Object.hasOwn(PAYMENT_PROVIDERS, name)
+    ? PAYMENT_PROVIDERS[name]
+    : null;
+  return provider && provider.isEnabled() ? provider : null;
+};
+
+/**
+ * Providers checkout can use right now
+ * @returns {Array<{name: string, label: string}>}
+ */
+export const listPaymentProviders = () =>
+  Object.values(PAYMENT_PROVIDERS)
+    .filter((provider) => provider.isEnabled())
+    .map(({ name, label }) => ({ name, label }));
@@ -0,0 +1,373 @@
+/**
+ * Payment Reconciliation
+ * A buyer who closes the browser after paying never reaches the callback, so
+ * the payment completes at the gateway without a sale. Reconciliation asks the
+ * provider about every payment left unresolved past a threshold, records the
+ * sale of completed ones, closes failed ones and stores what it found as a
+ * ReconciliationReport.
+ *
+ * Runs are scheduled through a ReconciliationLease in the database rather
+ * than per process: the in-process timer, the Vercel cron route and the
+ * request fallback all ask for the lease, and only the one that gets it runs.
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import PaymentIntent from './PaymentIntent.js';
+import ReconciliationReport from './ReconciliationReport.js';
+import ReconciliationLease from './ReconciliationLease.js';
+import { getPaymentProvider } from './paymentProviders.js';
+import { fulfilPaymentIntent } from './paymentIntents.js';
+import { isDuplicateKeyError } from '../../utils/validation.js';
+import { logger } from '../../utils/logger.js';
+
+// Minutes a payment is left to its callback before reconciliation checks it
+const parsedThresholdMinutes = parseInt(
+  process.env.PAYMENT_RECONCILIATION_THRESHOLD_MINUTES,
+  10,
+);
+export const RECONCILIATION_THRESHOLD_MINUTES =
+  Number.isNaN(parsedThresholdMinutes) || parsedThresholdMinutes <= 0
+    ? 30
+    : parsedThresholdMinutes;
+
+// How often the scheduled run happens (milliseconds)
+const RECONCILIATION_INTERVAL = 15 * 60 * 1000;
+
+// How often each process checks whether the scheduled run is due (milliseconds)
+const RECONCILIATION_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// A run that stops renewing its lease for this long is taken over (milliseconds)
+const LEASE_DURATION = 10 * 60 * 1000;
+
+const LEASE_ID = 'payment-reconciliation';
+
+// Older payments are no longer asked about
+const LOOKBACK_DAYS = 7;
+
+// Payments checked per run; the rest wait for the next one
+const BATCH_SIZE = 100;
+
+// Intent statuses whose payment may still have completed at the gateway
+const UNRESOLVED_STATUSES = ['redirected', 'executed', 'failed', 'expired'];
+
+let reconciliationTimer = null;
+let lastCheckAt = 0;
+
+/**
+ * Settle one intent with its provider
+ * @param {Object} intent - Payment intent
+ * @returns {Promise<Object>} Finding for the report
+ */
+const reconcileIntent = async (intent) => {
+  const finding = {
+    intent: intent._id,
+    provider: intent.provider,
+    paymentId: intent.paymentId,
+    itemTitle: intent.itemTitle,
+    amount: intent.amount,
+    previousStatus: intent.status,
+  };
+  const markReconciled = () =>
+    PaymentIntent.updateOne(
+      { _id: intent._id },
+      { $set: { reconciledAt: new Date() } },
+    );
+
+  const provider = getPaymentProvider(intent.provider);
+  if (!provider) {
+    return {
+      ...finding,
+      action: 'error',
+      message: `Payment provider ${intent.provider} is not enabled`,
+    };
+  }
+
+  let payment;
+  try {
+    payment = await provider.queryPayment(intent.paymentId);
+  } catch (error) {
+    // The provider couldn't answer - left for the next run
+    return { ...finding, action: 'error', message: error.message };
+  }
+  finding.providerStatus = payment.status;
+
+  if (payment.status === 'pending') {
+    return { ...finding, action: 'pending' };
+  }
+
+  if (payment.status !== 'completed') {
+    // Expired checkouts are already closed; the others end with the provider's answer
+    const status = payment.status === 'cancelled' ? 'cancelled' : 'failed';
+    await intent.transition(
+      status,
+      { failureReason: `Payment ${payment.status}` },
+      'Reconciliation',
+    );
+    await markReconciled();
+    return { ...finding, action: status };
+  }
+
+  // A completed payment only pays for the intent when the amounts match
+  if (payment.amount == null) {
+    return {
+      ...finding,
+      action: 'error',
+      message: 'Payment completed but the provider did not report its amount',
+    };
+  }
+  if (Math.abs(payment.amount - intent.amount) >= 0.01) {
+    await intent.transition(
+      'failed',
+      { failureReason: 'amount-mismatch' },
+      'Reconciliation',
+    );
+    await markReconciled();
+    return {
+      ...finding,
+      action: 'error',
+      message: `Payment completed for ৳${payment.amount} but the checkout was for ৳${intent.amount}`,
+    };
+  }
+
+  // An intent left executed by a callback that stopped is claimed as it was
+  // read; any other intent has to be allowed to move to executed
+  const executed =
+    intent.status === 'executed'
+      ? await PaymentIntent.findOneAndUpdate(
+          { _id: intent._id, status: 'executed', updatedAt: intent.updatedAt },
+          { $set: { transactionId: payment.transactionId } },
+          { new: true },
+        )
+      : await intent.transition(
+          'executed',
+          { transactionId: payment.transactionId, failureReason: null },
+          'Reconciliation',
+        );
+  if (!executed) {
+    // A payment callback got there first - its outcome stands
+    const current = await PaymentIntent.findById(intent._id)
+      .select('status')
+      .lean();
+    return {
+      ...finding,
+      action: 'pending',
+      message: `Moved to ${current?.status} by a payment callback meanwhile`,
+    };
+  }
+
+  const { sale, created, error } = await fulfilPaymentIntent(intent, {
+    paymentMethod: provider.label,
+    transactionId: payment.transactionId,
+  });
+
+  // Paid for an item that no longer exists - left for an admin to refund
+  if (error) {
+    await intent.transition(
+      'failed',
+      { failureReason: error },
+      'Reconciliation',
+    );
+    await markReconciled();
+    return {
+      ...finding,
+      action: 'error',
+      message: `Payment completed but ${error.replace(/-/g, ' ')}`,
+    };
+  }
+
+  await intent.transition('completed', { sale: sale._id }, 'Reconciliation');
+  await markReconciled();
+  return {
+    ...finding,
+    action: 'completed',
+    sale: sale._id,
+    saleCreated: created,
+  };
+};
+
+/**
+ * Take the reconciliation lease
+ * Scheduled runs also need the next run to be due; manual runs only need
+ * no other run to be in progress
+ * @param {'scheduled'|'manual'} trigger
+ * @returns {Promise<string|null>} Holder ID, or null when the lease is taken
+ */
+const acquireLease = async (trigger) => {
+  const now = new Date();
+  const holder = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  const filter = { _id: LEASE_ID, expiresAt: { $lte: now } };
+  if (trigger === 'scheduled') filter.nextRunAt = { $lte: now };
+
+  try {
+    // No matching document means an insert, which fails on the existing one
+    await ReconciliationLease.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          holder,
+          trigger,
+          expiresAt: new Date(now.getTime() + LEASE_DURATION),
+          nextRunAt: new Date(now.getTime() + RECONCILIATION_INTERVAL),
+        },
+      },
+      { upsert: true },
+    );
+    return holder;
+  } catch (error) {
+    if (isDuplicateKeyError(error)) return null;
+    throw error;
+  }
+};
+
+const renewLease = (holder) =>
+  ReconciliationLease.updateOne(
+    { _id: LEASE_ID, holder },
+    { $set: { expiresAt: new Date(Date.now() + LEASE_DURATION) } },
+  );
+
+const releaseLease = (holder) =>
+  ReconciliationLease.updateOne(
+    { _id: LEASE_ID, holder },
+    { $set: { expiresAt: new Date() } },
+  );
+
+/**
+ * Reconcile every payment left unresolved past the threshold
+ * Only one run happens at a time across all processes
+ * @param {Object} [options]
+ * @param {'scheduled'|'manual'} [options.trigger]
+ * @param {string} [options.triggeredBy] - Admin who ran it
+ * @returns {Promise<Object|null>} Report, or null when another run holds the
+ * lease, a scheduled run isn't due yet or a scheduled run found nothing to
+ * check (those aren't stored)
+ */
+export const reconcilePayments = async ({
+  trigger = 'scheduled',
+  triggeredBy,
+} = {}) => {
+  const holder = await acquireLease(trigger);
+  if (!holder) return null;
+
+  try {
+    return await runReconciliation({ trigger, triggeredBy, holder });
+  } finally {
+    await releaseLease(holder).catch((error) => {
+      logger.error('Error releasing the reconciliation lease', error);
+    });
+  }
+};
+
+const runReconciliation = async ({ trigger, triggeredBy, holder }) => {
+  const startedAt = new Date();
+  const intents = await PaymentIntent.find({
+    status: { $in: UNRESOLVED_STATUSES },
+    paymentId: { $exists: true },
+    reconciledAt: null,
+    updatedAt: {
+      $lte: new Date(
+        startedAt.getTime() - RECONCILIATION_THRESHOLD_MINUTES * 60 * 1000,
+      ),
+    },
+    createdAt: {
+      $gte: new Date(startedAt.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000),
+    },
+  })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE);
+
+  if (intents.length === 0 && trigger === 'scheduled') return null;
+
+  const findings = [];
+  for (const intent of intents) {
+    try {
+      findings.push(await reconcileIntent(intent));
+    } catch (error) {
+      logger.error('Error reconciling payment', {
+        intentId: intent._id,
+        paymentId: intent.paymentId,
+        error: error.message,
+      });
+      findings.push({
+        intent: intent._id,
+        provider: intent.provider,
+        paymentId: intent.paymentId,
+        itemTitle: intent.itemTitle,
+        amount: intent.amount,
+        previousStatus: intent.status,
+        action: 'error',
+        message: error.message,
+      });
+    }
+    await renewLease(holder);
+  }
+
+  const count = (...actions) =>
+    findings.filter((finding) => actions.includes(finding.action)).length;
+  const report = await ReconciliationReport.create({
+    trigger,
+    triggeredBy,
+    thresholdMinutes: RECONCILIATION_THRESHOLD_MINUTES,
+    startedAt,
+    finishedAt: new Date(),
+    summary: {
+      checked: findings.length,
+      completed: count('completed'),
+      failed: count('failed', 'cancelled'),
+      pending: count('pending'),
+      errors: count('error'),
+    },
+    findings,
+  });
+
+  logger.info('Payment reconciliation finished', {
+    reportId: report._id,
+    trigger,
+    ...report.toObject().summary,
+  });
+  return report;
+};
+
+/**
+ * Whether a reconciliation run is in progress in any process
+ * @returns {Promise<boolean>}
+ */
+export const isReconciliationRunning = async () =>
+  Boolean(
+    await ReconciliationLease.exists({
+      _id: LEASE_ID,
+      expiresAt: { $gt: new Date() },
+    }),
+  );
+
+const runScheduledReconciliation = () =>
+  reconcilePayments().catch((error) => {
+    logger.error('Error running payment reconciliation', error);
+  });
+
+/**
+ * Start a scheduled run in the background if this process hasn't checked
+ * for one recently
+ * Called from payment requests so serverless instances without a running
+ * timer (or a cron job) still reconcile; the lease keeps it to one run
+ */
+export const reconcilePaymentsIfDue = () => {
+  if (Date.now() - lastCheckAt < RECONCILIATION_CHECK_INTERVAL) return;
+  lastCheckAt = Date.now();
+  runScheduledReconciliation();
+};
+
+/**
+ * Start the background timer that reconciles stuck payments
+ * Every process checks; the lease lets one of them run every 15 minutes
+ * Safe to call more than once
+ */
+export const startPaymentReconciliation = () => {
+  if (reconciliationTimer) return;
+
+  reconciliationTimer = setInterval(() => {
+    lastCheckAt = Date.now();
+    runScheduledReconciliation();
+  }, RECONCILIATION_CHECK_INTERVAL);
+  reconciliationTimer.unref();
+};
@@ -1,26 +1,223 @@
 import express from 'express';
 import { authenticateToken } from '../auth/index.js';
-import { checkApiKey, checkOrigin } from '../../middleware/apiKey.js';
+import {
+  checkApiKey,
+  checkOrigin,
+  checkCronSecret,
+} from '../../middleware/apiKey.js';
 import Sale from '../sales/Sale.js';
 import Track from '../tracks/Track.js';
-import { updateTrackStatistics } from '../tracks/trackStatistics.js';
+import { isTrackPublic } from '../tracks/trackPublisher.js';
+import { resolvePurchaseLicense } from '../tracks/trackLicenses.js';
+import {
+  isTrackSoldExclusively,
+  isExclusiveLicense,
+} from '../tracks/exclusiveSales.js';
+import Release from '../releases/Release.js';
+import {
+  isReleasePublic,
+  getUnavailableReleaseTracks,
+} from '../releases/releaseService.js';
+import { generateInvoiceNumber } from './bkash.js';
+import {
+  getPaymentProvider,
+  listPaymentProviders,
+} from './paymentProviders.js';
 import {
-  createPayment,
-  executePayment,
-  queryPayment,
-  refundPayment,
-  generateInvoiceNumber,
-} from './bkash.js';
+  MOCK_SCENARIOS,
+  completeMockCheckout,
+  renderMockCheckoutPage,
+} from './mockProvider.js';
+import PaymentIntent from './PaymentIntent.js';
+import {
+  fulfilPaymentIntent,
+  getPaymentIntentExpiry,
+  holdsExclusiveLicense,
+} from './paymentIntents.js';
+import {
+  reserveSaleRefund,
+  releaseSaleRefund,
+  finishSaleRefund,
+  getRefundableAmount,
+} from './saleRefunds.js';
+import ReconciliationReport from './ReconciliationReport.js';
+import {
+  reconcilePayments,
+  reconcilePaymentsIfDue,
+  isReconciliationRunning,
+} from './paymentReconciliation.js';
 import {
   sendSuccess,
   sendError,
   sendValidationError,
 } from '../../utils/response.js';
-import { HTTP_STATUS } from '../../utils/constants.js';
+import {
+  HTTP_STATUS,
+  PAYMENT_INTENT_STATUSES,
+  PAID_SALE_STATUSES,
+} from '../../utils/constants.js';
 import { logger } from '../../utils/logger.js';
 
 const router = express.Router();
 
+// Portfolio site a payment callback sends the buyer back to
+const getPortfolioUrl = (redirectUrl) =>
+  (
+    redirectUrl ||
+    process.env.PORTFOLIO_URL ||
+    process.env.FRONTEND_URL ||
+    'http://localhost:3000'
+  ).replace(/\/$/, '');
+
+// Success page of a checkout sale - the same URL every time its callback runs
+const getSaleSuccessUrl = (frontendUrl, sale) =>
+  sale.releaseId
+    ? `${frontendUrl}/payment-success.html?orderId=${sale.saleSerialId}&releaseId=${sale.releaseId}`
+    : `${frontendUrl}/payment-success.html?orderId=${sale.saleSerialId}&trackId=${sale.trackId}`;
+
+// Sale made by a payment (legacy sales only stored the payment ID as transactionId)
+const findPaymentSale = (paymentID) =>
+  Sale.findOne({
+    $or: [{ paymentId: paymentID }, { transactionId: paymentID }],
+  });
+
+// Resolve :provider to an enabled payment provider
+router.param('provider', (req, res, next, name) => {
+  const provider = getPaymentProvider(name);
+  if (!provider) {
+    return sendError(
+      res,
+      HTTP_STATUS.NOT_FOUND,
+      `Unknown payment provider: ${name}`,
+    );
+  }
+  req.paymentProvider = provider;
+  next();
+});
+
+/**
+ * @swagger
+ * /payments/providers:
+ *   get:
+ *     summary: List payment providers (🌐 PUBLIC)
+ *     tags: [Payments]
+ *     description: |
+ *       **Access Level: 🌐 PUBLIC**
+ *
+ *       Payment providers checkout can use. Their `name` goes in the payment URLs,
+ *       e.g. `/api/payments/bkash/create`. The mock provider is only listed when
+ *       MOCK_PAYMENTS_ENABLED=true outside production.
+ *     security:
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: Enabled providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PaymentProvider'
+ */
+// List payment providers (PUBLIC)
+router.get('/providers', checkApiKey, checkOrigin, (req, res) => {
+  return sendSuccess(res, HTTP_STATUS.OK, listPaymentProviders());
+});
+
+/**
+ * @swagger
+ * /payments/mock/checkout/{paymentID}:
+ *   get:
+ *     summary: Mock gateway checkout page (🌐 PUBLIC, development only)
+ *     tags: [Payments]
+ *     description: |
+ *       **Access Level: 🌐 PUBLIC**
+ *
+ *       Checkout page of the mock provider, opened from the `paymentURL` of a mock payment.
+ *       It links to the four outcomes (success, failure, cancel, timeout). 404 unless
+ *       MOCK_PAYMENTS_ENABLED=true outside production.
+ *     parameters:
+ *       - in: path
+ *         name: paymentID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML checkout page
+ *       404:
+ *         description: Mock payments disabled or payment not found
+ */
+// Mock checkout page (PUBLIC - development only)
+router.get('/mock/checkout/:paymentID', async (req, res) => {
+  if (!getPaymentProvider('mock')) {
+    return sendError(res, HTTP_STATUS.NOT_FOUND, 'Mock payments are disabled');
+  }
+  try {
+    return res
+      .type('html')
+      .send(await renderMockCheckoutPage(req.params.paymentID));
+  } catch (error) {
+    return sendError(res, HTTP_STATUS.NOT_FOUND, error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /payments/mock/checkout/{paymentID}/{scenario}:
+ *   get:
+ *     summary: Complete a mock checkout (🌐 PUBLIC, development only)
+ *     tags: [Payments]
+ *     description: |
+ *       **Access Level: 🌐 PUBLIC**
+ *
+ *       Settles a mock payment with the chosen outcome and redirects to its callback URL,
+ *       as a gateway would. `timeout` completes the payment but makes the execute call
+ *       from the callback fail after MOCK_PAYMENT_TIMEOUT_MS.
+ *     parameters:
+ *       - in: path
+ *         name: paymentID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: scenario
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [success, failure, cancel, timeout]
+ *     responses:
+ *       302:
+ *         description: Redirect to the payment callback
+ *       400:
+ *         description: Unknown outcome or payment already completed
+ *       404:
+ *         description: Mock payments disabled
+ */
+// Complete a mock checkout (PUBLIC - development only)
+router.get('/mock/checkout/:paymentID/:scenario', async (req, res) => {
+  if (!getPaymentProvider('mock')) {
+    return sendError(res, HTTP_STATUS.NOT_FOUND, 'Mock payments are disabled');
+  }
+  const { paymentID, scenario } = req.params;
+  if (!MOCK_SCENARIOS.includes(scenario)) {
+    return sendValidationError(
+      res,
+      `Scenario must be one of: ${MOCK_SCENARIOS.join(', ')}`,
+    );
+  }
+  try {
+    return res.redirect(302, await completeMockCheckout(paymentID, scenario));
+  } catch (error) {
+    return sendValidationError(res, error.message);
+  }
+});
+
 /**
  * @swagger
  * /payments/bkash/test-token:
@@ -89,67 +286,366 @@ router.get('/bkash/test-token', authenticateToken, async (req, res) => {
 
 /**
  * @swagger
- * /payments/bkash/create:
+ * /payments/intents:
+ *   get:
+ *     summary: List payment intents (🔒 ADMIN ONLY)
+ *     tags: [Payments]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Checkouts newest first, whatever became of them - including abandoned (expired),
+ *       cancelled and failed payments that never made a sale.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [created, redirected, executed, completed, failed, cancelled, expired]
+ *         description: Filter by intent status
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         description: Filter by payment provider name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Payment intents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     intents:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PaymentIntent'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Unknown status
+ *       401:
+ *         description: Unauthorized
+ */
+// List payment intents (ADMIN ONLY)
+router.get('/intents', authenticateToken, async (req, res) => {
+  try {
+    const { status, provider, limit = 20, page = 1 } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const query = {};
+    if (status) {
+      if (!PAYMENT_INTENT_STATUSES.includes(status)) {
+        return sendValidationError(
+          res,
+          `Status must be one of: ${PAYMENT_INTENT_STATUSES.join(', ')}`,
+        );
+      }
+      query.status = status;
+    }
+    if (provider) {
+      query.provider = provider;
+    }
+
+    const [intents, total] = await Promise.all([
+      PaymentIntent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      PaymentIntent.countDocuments(query),
+    ]);
+
+    return sendSuccess(res, HTTP_STATUS.OK, {
+      intents,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    logger.error('Error listing payment intents', error);
+    return sendError(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      'Failed to list payment intents',
+      error,
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /payments/reconciliation:
+ *   post:
+ *     summary: Reconcile stuck payments now (🔒 ADMIN ONLY)
+ *     tags: [Payments]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Runs the reconciliation job that otherwise runs every 15 minutes: every payment left
+ *       redirected, executed, failed or expired for PAYMENT_RECONCILIATION_THRESHOLD_MINUTES
+ *       (default 30) in the last 7 days is queried from its provider. Completed payments get
+ *       their sale, failed and cancelled ones are closed, pending ones are left for the next run.
+ *       Returns the stored report.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Reconciliation report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReconciliationReport'
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: A reconciliation run is already in progress
+ */
+// Reconcile stuck payments now (ADMIN ONLY)
+router.post('/reconciliation', authenticateToken, async (req, res) => {
+  try {
+    // Null when another process holds the lease
+    const report = await reconcilePayments({
+      trigger: 'manual',
+      triggeredBy: req.user?.email,
+    });
+    if (!report) {
+      return sendError(
+        res,
+        HTTP_STATUS.CONFLICT,
+        'A reconciliation run is already in progress',
+      );
+    }
+    return sendSuccess(res, HTTP_STATUS.CREATED, report);
+  } catch (error) {
+    logger.error('Error reconciling payments', error);
+    return sendError(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      'Failed to reconcile payments',
+      error,
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /payments/reconciliation/cron:
+ *   get:
+ *     summary: Scheduled reconciliation run (⏱ CRON)
+ *     tags: [Payments]
+ *     description: |
+ *       **Access Level: ⏱ CRON**
+ *
+ *       Called by the Vercel cron job in vercel.json, where no timer keeps running between
+ *       requests. Needs `Authorization: Bearer <CRON_SECRET>`, which Vercel sends on its own
+ *       once CRON_SECRET is set. Runs reconciliation only when the scheduled run is due and
+ *       no other run is in progress.
+ *     responses:
+ *       200:
+ *         description: Report of the run, or null when nothing was due or checked
+ *       401:
+ *         description: Missing or wrong cron secret
+ *       403:
+ *         description: CRON_SECRET is not set
+ */
+// Scheduled reconciliation run (Vercel cron)
+router.get('/reconciliation/cron', checkCronSecret, async (req, res) => {
+  try {
+    const report = await reconcilePayments({ trigger: 'scheduled' });
+    return sendSuccess(res, HTTP_STATUS.OK, report);
+  } catch (error) {
+    logger.error('Error running payment reconciliation', error);
+    return sendError(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      'Failed to reconcile payments',
+      error,
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /payments/reconciliation/reports:
+ *   get:
+ *     summary: List reconciliation reports (🔒 ADMIN ONLY)
+ *     tags: [Payments]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Reconciliation runs newest first, with what was found for each payment checked.
+ *       Scheduled runs that had nothing to check aren't stored.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Reconciliation reports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reports:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ReconciliationReport'
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         description: Unauthorized
+ */
+// List reconciliation reports (ADMIN ONLY)
+router.get('/reconciliation/reports', authenticateToken, async (req, res) => {
+  try {
+    const { limit = 10, page = 1 } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find()
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      ReconciliationReport.countDocuments(),
+    ]);
+
+    reconcilePaymentsIfDue();
+
+    return sendSuccess(res, HTTP_STATUS.OK, {
+      reports,
+      running: await isReconciliationRunning(),
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    logger.error('Error listing reconciliation reports', error);
+    return sendError(
+      res,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      'Failed to list reconciliation reports',
+      error,
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /payments/{provider}/create:
  *   post:
- *     summary: Create bKash payment (🌐 PUBLIC)
+ *     summary: Create payment (🌐 PUBLIC)
  *     tags: [Payments]
  *     description: |
  *       **Access Level: 🌐 PUBLIC**
  *
- *       Create a bKash payment for track purchase.
+ *       Create a payment with a provider (`bkash`, or `mock` for local testing - see
+ *       /payments/providers) for a track or a whole release (album, EP, bundle).
+ *       Send either `trackId` or `releaseId`. A release is paid once at its bundle price
+ *       and the resulting order grants access to every track in it.
  *       Returns payment URL for user to complete payment.
+ *       A payment intent (returned as `intentId`) records the checkout; it expires after
+ *       PAYMENT_INTENT_TTL_MINUTES (default 60) if the buyer never comes back.
+ *       An exclusive license is held by the oldest open checkout of the track; others get 409
+ *       until it is paid, fails or expires.
  *     security:
  *       - apiKey: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PaymentProvider'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - trackId
  *             properties:
  *               trackId:
  *                 type: string
  *                 description: Track ID to purchase
+ *               licenseId:
+ *                 type: string
+ *                 description: License tier ID (required when the track offers license tiers). The tier price is charged.
+ *               releaseId:
+ *                 type: string
+ *                 description: Release ID to purchase (instead of trackId)
  *     responses:
  *       200:
  *         description: Payment created successfully
  *       400:
  *         description: Validation error
+ *       404:
+ *         description: Unknown or disabled payment provider
+ *       409:
+ *         description: Track has been sold under an exclusive license or another checkout holds it, or a track in the release is no longer available
  *       500:
  *         description: Server error
  */
-// Create bKash payment (PUBLIC)
-router.post('/bkash/create', checkApiKey, checkOrigin, async (req, res) => {
+// Create payment (PUBLIC)
+router.post('/:provider/create', checkApiKey, checkOrigin, async (req, res) => {
   try {
-    const { trackId } = req.body;
+    const { trackId, licenseId, releaseId } = req.body;
+    const provider = req.paymentProvider;
 
-    // Validate required fields
-    if (!trackId) {
-      return sendValidationError(res, 'Track ID is required');
-    }
+    // Checkouts keep reconciliation going where no timer or cron runs it
+    reconcilePaymentsIfDue();
 
-    // Get track details
-    const track = await Track.findById(trackId);
-    if (!track) {
-      return sendValidationError(res, 'Track not found');
+    // Validate required fields
+    if (!trackId && !releaseId) {
+      return sendValidationError(res, 'Track ID or release ID is required');
     }
-
-    if (!track.price || track.price <= 0) {
-      return sendValidationError(res, 'Track price is invalid');
+    if (trackId && releaseId) {
+      return sendValidationError(
+        res,
+        'Provide either a track ID or a release ID, not both',
+      );
     }
 
-    // Generate unique invoice number
-    const merchantInvoiceNumber = generateInvoiceNumber(trackId);
-
-    // Create callback URL with trackId for tracking (NO sale created yet)
-    // Sale will only be created AFTER successful payment in the callback
-    const baseCallbackUrl =
-      process.env.BKASH_CALLBACK_URL ||
-      `${
-        process.env.API_URL || 'http://localhost:5000'
-      }/api/payments/bkash/callback`;
     // Prioritize PORTFOLIO_URL over FRONTEND_URL (admin)
     // Portfolio runs on port 3000, admin runs on port 5173
     const frontendUrl =
@@ -157,20 +653,134 @@ router.post('/bkash/create', checkApiKey, checkOrigin, async (req, res) => {
       process.env.FRONTEND_URL ||
       'http://localhost:3000';
 
-    // Pass trackId in callback URL so we can create sale after payment success
-    const callbackUrlWithTrackId = `${baseCallbackUrl}?trackId=${trackId}&redirectUrl=${encodeURIComponent(
-      frontendUrl,
-    )}`;
-
-    // Create payment in bKash (NO sale record created yet)
-    const paymentResponse = await createPayment({
-      amount: track.price,
-      merchantInvoiceNumber: merchantInvoiceNumber,
-      intent: 'sale',
-      callbackURL: callbackUrlWithTrackId,
+    // What is being bought - kept on the payment intent for the callback
+    let intentFields;
+    let itemDetails;
+
+    // Releases are bought as one order at the bundle price
+    if (releaseId) {
+      const release = await Release.findById(releaseId);
+      if (!release || !isReleasePublic(release)) {
+        return sendValidationError(res, 'Release not found');
+      }
+
+      // Every track must still be on sale, otherwise the buyer would pay for less
+      const unavailable = await getUnavailableReleaseTracks(release);
+      if (unavailable.length > 0) {
+        return sendError(
+          res,
+          HTTP_STATUS.CONFLICT,
+          `Some tracks in this release are no longer available: ${unavailable
+            .map((track) => track.title)
+            .join(', ')}`,
+        );
+      }
+
+      if (!release.price || release.price <= 0) {
+        return sendValidationError(res, 'Release price is invalid');
+      }
+
+      intentFields = {
+        itemType: 'release',
+        release: release._id,
+        itemTitle: release.title,
+        amount: release.price,
+        invoiceNumber: generateInvoiceNumber(releaseId, 'REL'),
+      };
+      itemDetails = {
+        releaseTitle: release.title,
+        trackCount: release.tracks.length,
+      };
+    } else {
+      // Get track details
+      const track = await Track.findById(trackId);
+
+      // An exclusive license has been sold - the track is off the market
+      if (isTrackSoldExclusively(track)) {
+        return sendError(
+          res,
+          HTTP_STATUS.CONFLICT,
+          'This track has been sold under an exclusive license and is no longer available',
+        );
+      }
+
+      if (!track || !isTrackPublic(track)) {
+        return sendValidationError(res, 'Track not found');
+      }
+
+      // Tracks with license tiers are charged the price of the chosen tier
+      const {
+        license,
+        price,
+        error: licenseError,
+      } = resolvePurchaseLicense(track, licenseId);
+      if (licenseError) {
+        return sendValidationError(res, licenseError);
+      }
+
+      if (!price || price <= 0) {
+        return sendValidationError(res, 'Track price is invalid');
+      }
+
+      intentFields = {
+        itemType: 'track',
+        track: track._id,
+        license: license?._id,
+        exclusive: isExclusiveLicense(license),
+        itemTitle: track.title,
+        amount: price,
+        invoiceNumber: generateInvoiceNumber(trackId),
+      };
+      itemDetails = {
+        trackTitle: track.title,
+        license: license
+          ? {
+              _id: license._id,
+              name: license.name,
+              licenseType: license.licenseType,
+              usageTerms: license.usageTerms,
+            }
+          : null,
+      };
+    }
+
+    // Record the checkout before the gateway sees it (NO sale record created yet)
+    // The callback resolves the payment from this intent, not from query params
+    const intent = await PaymentIntent.create({
+      ...intentFields,
+      provider: provider.name,
+      redirectUrl: frontendUrl,
+      expiresAt: getPaymentIntentExpiry(),
     });
 
+    // An exclusive license is sold once - other buyers wait for this checkout
+    if (intent.exclusive && !(await holdsExclusiveLicense(intent))) {
+      await intent.transition('failed', {
+        failureReason: 'Exclusive license held by another checkout',
+      });
+      return sendError(
+        res,
+        HTTP_STATUS.CONFLICT,
+        'Someone is already checking out the exclusive license of this track. Please try again later',
+      );
+    }
+
+    let paymentResponse;
+    try {
+      paymentResponse = await provider.createPayment({
+        amount: intent.amount,
+        invoiceNumber: intent.invoiceNumber,
+        callbackURL: provider.getCallbackUrl(),
+      });
+    } catch (error) {
+      await intent.transition('failed', { failureReason: error.message });
+      throw error;
+    }
+
     if (!paymentResponse || !paymentResponse.paymentID) {
+      await intent.transition('failed', {
+        failureReason: 'Provider returned no payment ID',
+      });
       return sendError(
         res,
         HTTP_STATUS.INTERNAL_SERVER_ERROR,
@@ -178,25 +788,38 @@ router.post('/bkash/create', checkApiKey, checkOrigin, async (req, res) => {
       );
     }
 
+    await intent.transition('redirected', {
+      paymentId: paymentResponse.paymentID,
+      paymentURL: paymentResponse.paymentURL,
+    });
+
     logger.info(
-      'bKash payment created (sale will be created after payment success)',
+      'Payment created (sale will be created after payment success)',
       {
+        provider: provider.name,
         paymentID: paymentResponse.paymentID,
-        trackId: trackId,
-        amount: track.price,
+        intentId: intent._id,
+        itemType: intent.itemType,
+        trackId: intent.track,
+        releaseId: intent.release,
+        licenseId: intent.license,
+        amount: intent.amount,
       },
     );
 
     return sendSuccess(res, HTTP_STATUS.OK, {
+      provider: provider.name,
+      intentId: intent._id,
       paymentID: paymentResponse.paymentID,
-      paymentURL: paymentResponse.bkashURL,
-      merchantInvoiceNumber: merchantInvoiceNumber,
-      amount: track.price,
-      trackTitle: track.title,
+      paymentURL: paymentResponse.paymentURL,
+      merchantInvoiceNumber: intent.invoiceNumber,
+      amount: intent.amount,
+      expiresAt: intent.expiresAt,
+      ...itemDetails,
       note: 'Sale will be created only after successful payment',
     });
   } catch (error) {
-    logger.error('Error creating bKash payment', error);
+    logger.error('Error creating payment', error);
     return sendError(
       res,
       HTTP_STATUS.INTERNAL_SERVER_ERROR,
@@ -208,15 +831,23 @@ router.post('/bkash/create', checkApiKey, checkOrigin, async (req, res) => {
 
 /**
  * @swagger
- * /payments/bkash/callback:
+ * /payments/{provider}/callback:
  *   post:
- *     summary: bKash payment callback (🌐 PUBLIC)
+ *     summary: Payment callback (🌐 PUBLIC)
  *     tags: [Payments]
  *     description: |
  *       **Access Level: 🌐 PUBLIC**
  *
- *       bKash callback endpoint for payment status updates.
- *       This is called by bKash after payment completion.
+ *       Callback endpoint for payment status updates.
+ *       The gateway sends the buyer here after checkout (GET with query parameters, or POST);
+ *       a completed payment creates the sale and redirects to the portfolio's success page.
+ *       The callback is keyed on `paymentID`: repeat callbacks (gateway retries, refreshes)
+ *       redirect to the same success URL with the same order ID instead of creating another sale.
+ *       What was bought and the redirect target come from the payment intent stored at checkout,
+ *       never from query parameters; a `paymentID` without an intent redirects with
+ *       `reason=unknown-payment`.
+ *     parameters:
+ *       - $ref: '#/components/parameters/PaymentProvider'
  *     requestBody:
  *       required: true
  *       content:
@@ -234,235 +865,223 @@ router.post('/bkash/create', checkApiKey, checkOrigin, async (req, res) => {
  *       200:
  *         description: Callback processed
  */
-// bKash payment callback (PUBLIC - called by bKash)
-// bKash redirects users via GET request with query parameters
-router.get('/bkash/callback', async (req, res) => {
+// Payment callback (PUBLIC - called by the gateway)
+// Gateways redirect users via GET request with query parameters
+router.get('/:provider/callback', async (req, res) => {
   try {
-    const { paymentID, status, transactionStatus } = req.query; // bKash sends via GET query params
-    const { trackId, orderId, redirectUrl } = req.query; // Get trackId, orderId (legacy), and redirectUrl from query params
+    const provider = req.paymentProvider;
+    const { paymentID, status } = req.query; // The gateway sends these via GET query params
 
     // Log for debugging
-    logger.info('bKash callback received', {
+    logger.info('Payment callback received', {
+      provider: provider.name,
       paymentID,
       status,
-      trackId,
-      redirectUrl,
-      orderId,
       allQueryParams: req.query,
     });
 
     if (!paymentID) {
       // Redirect to failed page if paymentID is missing
-      // Prioritize redirectUrl from query params, then PORTFOLIO_URL, then FRONTEND_URL
-      let frontendUrl =
-        redirectUrl ||
-        process.env.PORTFOLIO_URL ||
-        process.env.FRONTEND_URL ||
-        'http://localhost:3000';
-
-      frontendUrl = frontendUrl.replace(/\/$/, '');
-      const failedUrl = `${frontendUrl}/payment-failed.html?reason=missing-payment-id`;
+      const failedUrl = `${getPortfolioUrl()}/payment-failed.html?reason=missing-payment-id`;
       logger.info('Missing paymentID redirect URL:', failedUrl);
       return res.redirect(302, failedUrl);
     }
 
+    // The checkout's intent says what was bought and where the buyer goes back to
+    const intent = await PaymentIntent.findOne({
+      provider: provider.name,
+      paymentId: paymentID,
+    });
+    const frontendUrl = getPortfolioUrl(intent?.redirectUrl);
+
+    // A payment makes one sale: repeat callbacks (gateway retries, refreshes of
+    // the redirect) are sent to the success page of the sale already made
+    const paymentSale = await findPaymentSale(paymentID);
+    if (paymentSale) {
+      logger.info('Repeat callback for a completed payment', {
+        provider: provider.name,
+        paymentID,
+        saleSerialId: paymentSale.saleSerialId,
+      });
+      // Finishes an intent left executed by a callback that stopped after the sale
+      if (intent && intent.status === 'executed') {
+        await intent.transition('completed', { sale: paymentSale._id });
+      }
+      return res.redirect(302, getSaleSuccessUrl(frontendUrl, paymentSale));
+    }
+
+    if (!intent) {
+      logger.warn('Payment callback without a payment intent', {
+        provider: provider.name,
+        paymentID,
+      });
+      const failedUrl = `${frontendUrl}/payment-failed.html?reason=unknown-payment`;
+      logger.info('Unknown payment redirect URL:', failedUrl);
+      return res.redirect(302, failedUrl);
+    }
+
     // Check if payment was cancelled (status = cancel)
     if (status === 'cancel' || status === 'cancelled') {
-      logger.info('bKash payment cancelled by user', {
+      logger.info('Payment cancelled by user', {
+        provider: provider.name,
         paymentID,
-        trackId,
+        intentId: intent._id,
       });
-      let frontendUrl =
-        redirectUrl ||
-        process.env.PORTFOLIO_URL ||
-        process.env.FRONTEND_URL ||
-        'http://localhost:3000';
-
-      frontendUrl = frontendUrl.replace(/\/$/, '');
+      await intent.transition('cancelled', {}, 'Cancelled at checkout');
       const cancelUrl = `${frontendUrl}/payment-cancel.html`;
       logger.info('Cancel redirect URL:', cancelUrl);
       return res.redirect(302, cancelUrl);
     }
 
     // Execute payment to get final status
-    const executeResponse = await executePayment(paymentID);
-
-    if (executeResponse && executeResponse.statusCode === '0000') {
-      // Payment successful - NOW create the sale record
-      if (!trackId) {
-        logger.error('TrackId missing in callback - cannot create sale', {
-          paymentID,
-          orderId,
-        });
-        // Try to find existing sale by orderId (legacy support)
-        const existingSale = orderId
-          ? await Sale.findOne({ saleSerialId: orderId })
-          : null;
-        if (existingSale) {
-          existingSale.paymentStatus = 'completed';
-          existingSale.transactionId = executeResponse.trxID || paymentID;
-          await existingSale.save();
-          let frontendUrl =
-            redirectUrl ||
-            process.env.PORTFOLIO_URL ||
-            process.env.FRONTEND_URL ||
-            'http://localhost:3000';
-
-          frontendUrl = frontendUrl.replace(/\/$/, '');
-          const successUrl = `${frontendUrl}/payment-success.html?orderId=${existingSale.saleSerialId}`;
-          logger.info('Legacy sale success redirect URL:', successUrl);
-          return res.redirect(302, successUrl);
-        }
-        let frontendUrl =
-          redirectUrl ||
-          process.env.PORTFOLIO_URL ||
-          process.env.FRONTEND_URL ||
-          'http://localhost:3000';
-
-        frontendUrl = frontendUrl.replace(/\/$/, '');
-        const failedUrl = `${frontendUrl}/payment-failed.html?reason=missing-track-id`;
-        logger.info('Missing trackId redirect URL:', failedUrl);
-        return res.redirect(302, failedUrl);
-      }
+    let executeResponse;
+    try {
+      executeResponse = await provider.executePayment(paymentID);
+    } catch (error) {
+      // The gateway may still complete the payment - failed intents can be executed later
+      await intent.transition('failed', { failureReason: error.message });
+      throw error;
+    }
 
-      // Get track details
-      const track = await Track.findById(trackId);
-      if (!track) {
-        logger.error('Track not found in callback', { trackId, paymentID });
-        let frontendUrl =
-          redirectUrl ||
-          process.env.PORTFOLIO_URL ||
-          process.env.FRONTEND_URL ||
-          'http://localhost:3000';
-
-        frontendUrl = frontendUrl.replace(/\/$/, '');
-        const failedUrl = `${frontendUrl}/payment-failed.html?reason=track-not-found`;
-        logger.info('Track not found redirect URL:', failedUrl);
-        return res.redirect(302, failedUrl);
+    // Gateways refuse to execute a payment twice, so when a concurrent callback
+    // got there first the payment's own status decides
+    if (executeResponse.status !== 'completed') {
+      const queryResponse = await provider
+        .queryPayment(paymentID)
+        .catch(() => null);
+      if (queryResponse?.status === 'completed') {
+        executeResponse = queryResponse;
       }
+    }
 
-      // Create sale record ONLY after successful payment
-      const sale = new Sale({
-        trackId: trackId,
-        trackTitle: track.title,
-        price: track.price,
-        paymentStatus: 'completed', // Payment already successful
-        paymentMethod: 'bKash',
-        transactionId: executeResponse.trxID || paymentID,
+    if (executeResponse.status !== 'completed') {
+      // Payment failed - DO NOT create sale record
+      logger.warn('Payment failed - no sale created', {
+        provider: provider.name,
+        paymentID: paymentID,
+        intentId: intent._id,
+        response: executeResponse.raw,
+      });
+      await intent.transition('failed', {
+        failureReason: `Payment ${executeResponse.status}`,
       });
-      await sale.save();
 
-      // Update track statistics (saleCount and totalSoldPrice)
-      await updateTrackStatistics(trackId, track.price, 'increment');
+      const failedUrl = `${frontendUrl}/payment-failed.html?reason=payment-failed&paymentID=${paymentID}`;
+      logger.info('Failed redirect URL:', failedUrl);
+      return res.redirect(302, failedUrl);
+    }
 
-      logger.info('bKash payment completed - sale created', {
-        paymentID: paymentID,
-        trxID: executeResponse.trxID,
-        saleId: sale._id,
-        saleSerialId: sale.saleSerialId,
-        trackId: trackId,
+    // Payment successful - NOW create the sale record
+    const executed = await intent.transition('executed', {
+      transactionId: executeResponse.transactionId,
+      failureReason: null,
+    });
+    if (!executed) {
+      // A concurrent callback or reconciliation moved the intent first
+      // (executing, completed or cancelled) - its outcome stands
+      const current = await PaymentIntent.findById(intent._id);
+      const currentSale = await findPaymentSale(paymentID);
+      logger.warn('Payment intent could not be executed', {
+        provider: provider.name,
+        paymentID,
+        intentId: intent._id,
+        status: current?.status,
       });
+      if (currentSale) {
+        return res.redirect(302, getSaleSuccessUrl(frontendUrl, currentSale));
+      }
+      // Still executing elsewhere: the buyer comes back through the repeat path
+      const reason =
+        current?.status === 'executed'
+          ? 'payment-processing'
+          : 'payment-failed';
+      const failedUrl = `${frontendUrl}/payment-failed.html?reason=${reason}&paymentID=${paymentID}`;
+      logger.info('Refused execution redirect URL:', failedUrl);
+      return res.redirect(302, failedUrl);
+    }
 
-      // Redirect to frontend success page with orderId
-      // IMPORTANT: bKash may not preserve custom query params, so always use PORTFOLIO_URL as fallback
-      // Prioritize redirectUrl from query params, then PORTFOLIO_URL, then FRONTEND_URL
-      let frontendUrl =
-        redirectUrl ||
-        process.env.PORTFOLIO_URL ||
-        process.env.FRONTEND_URL ||
-        'http://localhost:3000';
-
-      // Ensure frontendUrl doesn't have trailing slash and is properly formatted
-      frontendUrl = frontendUrl.replace(/\/$/, '');
-
-      // Log redirect URL for debugging
-      logger.info('Redirecting to success page', {
-        redirectUrl,
-        PORTFOLIO_URL: process.env.PORTFOLIO_URL,
-        FRONTEND_URL: process.env.FRONTEND_URL,
-        finalUrl: frontendUrl,
-        orderId: sale.saleSerialId,
-        trackId,
-      });
+    const { sale, created, error } = await fulfilPaymentIntent(intent, {
+      paymentMethod: provider.label,
+      transactionId: executeResponse.transactionId,
+    });
 
-      const successUrl = `${frontendUrl}/payment-success.html?orderId=${sale.saleSerialId}&trackId=${trackId}`;
-      logger.info('Success redirect URL:', successUrl);
-      return res.redirect(302, successUrl);
-    } else {
-      // Payment failed - DO NOT create sale record
-      logger.warn('bKash payment failed - no sale created', {
-        paymentID: paymentID,
-        response: executeResponse,
-        trackId: trackId,
+    if (error) {
+      logger.error('Paid item not found in callback', {
+        provider: provider.name,
+        paymentID,
+        intentId: intent._id,
+        reason: error,
       });
+      await intent.transition('failed', { failureReason: error });
+      const failedUrl = `${frontendUrl}/payment-failed.html?reason=${error}`;
+      logger.info('Item not found redirect URL:', failedUrl);
+      return res.redirect(302, failedUrl);
+    }
 
-      // Redirect to frontend failed page
-      let frontendUrl =
-        redirectUrl ||
-        process.env.PORTFOLIO_URL ||
-        process.env.FRONTEND_URL ||
-        'http://localhost:3000';
-
-      // Ensure frontendUrl doesn't have trailing slash
-      frontendUrl = frontendUrl.replace(/\/$/, '');
+    await intent.transition('completed', { sale: sale._id });
 
-      const failedUrl = `${frontendUrl}/payment-failed.html?reason=payment-failed&paymentID=${paymentID}`;
-      logger.info('Failed redirect URL:', failedUrl);
-      return res.redirect(302, failedUrl);
+    if (created) {
+      logger.info('Payment completed - sale created', {
+        provider: provider.name,
+        paymentID: paymentID,
+        transactionId: executeResponse.transactionId,
+        intentId: intent._id,
+        saleId: sale._id,
+        saleSerialId: sale.saleSerialId,
+      });
     }
+
+    // Redirect to frontend success page with orderId
+    const successUrl = getSaleSuccessUrl(frontendUrl, sale);
+    logger.info('Success redirect URL:', successUrl);
+    return res.redirect(302, successUrl);
   } catch (error) {
-    logger.error('Error processing bKash callback', error);
+    logger.error('Error processing payment callback', error);
     // Redirect to frontend error page
-    let frontendUrl =
-      process.env.PORTFOLIO_URL ||
-      process.env.FRONTEND_URL ||
-      'http://localhost:3000';
-
-    frontendUrl = frontendUrl.replace(/\/$/, '');
-    const errorUrl = `${frontendUrl}/payment-failed.html?reason=error`;
+    const errorUrl = `${getPortfolioUrl()}/payment-failed.html?reason=error`;
     logger.error('Error redirect URL:', errorUrl);
     return res.redirect(302, errorUrl);
   }
 });
 
-// bKash payment callback POST endpoint (for webhook/API calls if needed)
-router.post('/bkash/callback', async (req, res) => {
-  // Handle POST requests if bKash sends webhook
+// Payment callback POST endpoint (for webhook/API calls if needed)
+router.post('/:provider/callback', async (req, res) => {
+  // Handle POST requests if the gateway sends a webhook
   // Convert POST body to query params and redirect to GET handler
   try {
     const queryParams = new URLSearchParams();
     if (req.body.paymentID) queryParams.append('paymentID', req.body.paymentID);
     if (req.body.status) queryParams.append('status', req.body.status);
-    if (req.query.trackId) queryParams.append('trackId', req.query.trackId);
-    if (req.query.redirectUrl)
-      queryParams.append('redirectUrl', req.query.redirectUrl);
-    if (req.query.orderId) queryParams.append('orderId', req.query.orderId);
 
     const queryString = queryParams.toString();
-    return res.redirect(`/api/payments/bkash/callback?${queryString}`);
+    return res.redirect(
+      `${req.baseUrl}/${req.paymentProvider.name}/callback?${queryString}`,
+    );
   } catch (error) {
     logger.error('Error in POST callback handler', error);
-    const frontendUrl =
-      process.env.PORTFOLIO_URL ||
-      process.env.FRONTEND_URL ||
-      'http://localhost:3000';
-    return res.redirect(`${frontendUrl}/payment-failed?reason=callback-error`);
+    return res.redirect(
+      `${getPortfolioUrl()}/payment-failed?reason=callback-error`,
+    );
   }
 });
 
 /**
  * @swagger
- * /payments/bkash/status/{paymentID}:
+ * /payments/{provider}/status/{paymentID}:
  *   get:
  *     summary: Check payment status (🌐 PUBLIC)
  *     tags: [Payments]
  *     description: |
  *       **Access Level: 🌐 PUBLIC**
  *
- *       Check the status of a bKash payment.
+ *       Check the status of a payment with its provider. `status` is the provider's answer as
+ *       completed, pending, failed or cancelled; `providerStatus` is the raw response
+ *       (also returned as `bKashStatus` for bKash payments). `intentStatus` is the status of the
+ *       checkout's payment intent.
  *     security:
  *       - apiKey: []
  *     parameters:
+ *       - $ref: '#/components/parameters/PaymentProvider'
  *       - in: path
  *         name: paymentID
  *         required: true
@@ -475,22 +1094,34 @@ router.post('/bkash/callback', async (req, res) => {
  */
 // Check payment status (PUBLIC)
 router.get(
-  '/bkash/status/:paymentID',
+  '/:provider/status/:paymentID',
   checkApiKey,
   checkOrigin,
   async (req, res) => {
     try {
+      const provider = req.paymentProvider;
       const { paymentID } = req.params;
 
-      // Query payment from bKash
-      const paymentStatus = await queryPayment(paymentID);
+      // Query payment from the provider
+      const paymentStatus = await provider.queryPayment(paymentID);
 
-      // Also check sale record
-      const sale = await Sale.findOne({ transactionId: paymentID });
+      // Also check sale record and the checkout's intent
+      const [sale, intent] = await Promise.all([
+        findPaymentSale(paymentID),
+        PaymentIntent.findOne({
+          provider: provider.name,
+          paymentId: paymentID,
+        }),
+      ]);
 
       return sendSuccess(res, HTTP_STATUS.OK, {
+        provider: provider.name,
         paymentID: paymentID,
-        bKashStatus: paymentStatus,
+        status: paymentStatus.status,
+        providerStatus: paymentStatus.raw,
+        // Kept for clients written against the bKash-only API
+        ...(provider.name === 'bkash' && { bKashStatus: paymentStatus.raw }),
+        intentStatus: intent ? intent.status : null,
         saleStatus: sale ? sale.paymentStatus : null,
         sale: sale
           ? {
@@ -498,13 +1129,14 @@ router.get(
               saleSerialId: sale.saleSerialId,
               orderId: sale.saleSerialId, // Alias for orderId
               trackId: sale.trackId,
+              releaseId: sale.releaseId,
               trackTitle: sale.trackTitle,
               price: sale.price,
               paymentStatus: sale.paymentStatus,
-              downloadUrl:
-                sale.paymentStatus === 'completed'
-                  ? `/api/sales/download/${sale.saleSerialId}`
-                  : null,
+              refundedAmount: sale.refundedAmount,
+              downloadUrl: PAID_SALE_STATUSES.includes(sale.paymentStatus)
+                ? `/api/sales/download/${sale.saleSerialId}`
+                : null,
             }
           : null,
       });
@@ -522,17 +1154,23 @@ router.get(
 
 /**
  * @swagger
- * /payments/bkash/refund:
+ * /payments/{provider}/refund:
  *   post:
  *     summary: Refund payment (🔒 ADMIN ONLY)
  *     tags: [Payments]
  *     description: |
  *       **Access Level: 🔒 ADMIN ONLY**
  *
- *       Refund a bKash payment.
+ *       Refund a payment through its provider, in full or in part. Each refund is stored as a
+ *       Refund record (amount, reason, the provider's refund transaction ID and the admin) and
+ *       a sale can be refunded several times up to its price: it becomes `partially_refunded`,
+ *       then `refunded` once nothing is left. The refunded amount is taken off the track's
+ *       revenue and debited from the sale's payees in the ledger.
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PaymentProvider'
  *     requestBody:
  *       required: true
  *       content:
@@ -548,6 +1186,7 @@ router.get(
  *                 type: string
  *               amount:
  *                 type: number
+ *                 description: Amount to refund; at most what hasn't been refunded yet
  *               trxID:
  *                 type: string
  *               reason:
@@ -555,10 +1194,34 @@ router.get(
  *     responses:
  *       200:
  *         description: Refund processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     refundID:
+ *                       type: string
+ *                     refund:
+ *                       $ref: '#/components/schemas/Refund'
+ *                     paymentStatus:
+ *                       type: string
+ *                       enum: [partially_refunded, refunded]
+ *                     refundedAmount:
+ *                       type: number
+ *                     refundableAmount:
+ *                       type: number
+ *       400:
+ *         description: Validation error, amount above what can be refunded, or refund rejected by the provider
  */
 // Refund payment (ADMIN ONLY)
-router.post('/bkash/refund', authenticateToken, async (req, res) => {
+router.post('/:provider/refund', authenticateToken, async (req, res) => {
   try {
+    const provider = req.paymentProvider;
     const { paymentID, amount, trxID, reason } = req.body;
 
     if (!paymentID || !amount || !trxID) {
@@ -568,48 +1231,78 @@ router.post('/bkash/refund', authenticateToken, async (req, res) => {
       );
     }
 
+    const refundAmount = parseFloat(amount);
+    if (!(refundAmount > 0)) {
+      return sendValidationError(res, 'Refund amount must be greater than 0');
+    }
+
     // Find sale record
-    const sale = await Sale.findOne({ transactionId: paymentID });
+    const sale = await findPaymentSale(paymentID);
 
     if (!sale) {
       return sendValidationError(res, 'Sale not found');
     }
 
-    // Process refund
-    const refundResponse = await refundPayment({
-      paymentID: paymentID,
-      amount: amount,
-      trxID: trxID,
-      reason: reason || 'Admin refund',
-    });
-
-    if (refundResponse && refundResponse.statusCode === '0000') {
-      sale.paymentStatus = 'refunded';
-      await sale.save();
-
-      // Decrement track statistics when refunded
-      await updateTrackStatistics(sale.trackId, sale.price, 'decrement');
+    // Reserve the amount before any money goes back, so concurrent refunds
+    // can't both send it; partial refunds add up to the price at most
+    const { sale: refundedSale, error } = await reserveSaleRefund(
+      sale,
+      refundAmount,
+    );
+    if (error) {
+      return sendValidationError(res, error);
+    }
 
-      logger.info('bKash refund processed', {
+    // Process refund, giving the reservation back when it doesn't go through
+    let refundResponse;
+    try {
+      refundResponse = await provider.refundPayment({
         paymentID: paymentID,
-        amount: amount,
-        saleId: sale._id,
-        trackId: sale.trackId,
+        transactionId: trxID,
+        amount: refundAmount,
+        reason: reason || 'Admin refund',
       });
+    } catch (providerError) {
+      await releaseSaleRefund(sale, refundAmount);
+      throw providerError;
+    }
 
-      return sendSuccess(res, HTTP_STATUS.OK, {
-        success: true,
-        refundID: refundResponse.refundTrxID,
-        message: 'Refund processed successfully',
-      });
-    } else {
+    if (!refundResponse.success) {
+      await releaseSaleRefund(sale, refundAmount);
       return sendError(
         res,
         HTTP_STATUS.BAD_REQUEST,
         'Refund failed',
-        refundResponse,
+        refundResponse.raw,
       );
     }
+
+    const refund = await finishSaleRefund(refundedSale, {
+      amount: refundAmount,
+      reason: reason || 'Admin refund',
+      provider: provider.name,
+      refundTrxId: refundResponse.refundId,
+      refundedBy: req.user?.email,
+    });
+
+    logger.info('Refund processed', {
+      provider: provider.name,
+      paymentID: paymentID,
+      amount: refundAmount,
+      saleId: sale._id,
+      trackId: sale.trackId,
+      releaseId: sale.releaseId,
+    });
+
+    return sendSuccess(res, HTTP_STATUS.OK, {
+      success: true,
+      refundID: refundResponse.refundId,
+      refund,
+      paymentStatus: refundedSale.paymentStatus,
+      refundedAmount: refundedSale.refundedAmount,
+      refundableAmount: getRefundableAmount(refundedSale),
+      message: 'Refund processed successfully',
+    });
   } catch (error) {
     logger.error('Error processing refund', error);
     return sendError(
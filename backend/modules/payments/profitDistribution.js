@@ -3,122 +3,159 @@
  * Handles profit distribution logic for track sales
  */
 
+// Payee that receives whatever a track's revenue split leaves over
+export const OWNER_PAYEE = { name: 'Owner', role: 'owner' };
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Round down to whole cents so the shares never add up to more than the total
+const floorMoney = (value) => Math.floor(value * 100 + 1e-6) / 100;
+
+/**
+ * Divide a sale amount evenly between several tracks
+ * The last track takes the leftover cents
+ * @param {number} totalAmount - Sale amount
+ * @param {number} count - Number of tracks
+ * @returns {Array<number>}
+ */
+export const divideSaleAmount = (totalAmount, count) => {
+  if (count <= 1) return [totalAmount];
+  const share = floorMoney(totalAmount / count);
+  return Array.from({ length: count }, (_, index) =>
+    index === count - 1 ? roundMoney(totalAmount - share * (count - 1)) : share,
+  );
+};
+
 /**
  * Calculate profit distribution
- * @param {number} totalAmount - Total sale amount
- * @param {object} distributionRules - Distribution rules
- * @returns {object} Distribution breakdown
+ * @param {number} totalAmount - Amount to split
+ * @param {Array} revenueSplits - Track revenue splits ({collaborator, role, percentage});
+ *   collaborator may be populated with its name
+ * @returns {object} Distribution breakdown - collaborator shares plus the owner's remainder
  */
-export const calculateProfitDistribution = (totalAmount, distributionRules = {}) => {
-  const {
-    platformFee = 0.1, // 10% platform fee by default
-    artistShare = 0.7, // 70% to artist by default
-    producerShare = 0.2, // 20% to producer by default
-  } = distributionRules;
-
-  // Ensure percentages add up to 100%
-  const totalPercentage = platformFee + artistShare + producerShare;
-  if (totalPercentage > 1) {
+export const calculateProfitDistribution = (totalAmount, revenueSplits = []) => {
+  const totalPercentage = revenueSplits.reduce(
+    (sum, split) => sum + split.percentage,
+    0,
+  );
+  if (Math.round(totalPercentage * 100) > 100 * 100) {
     throw new Error('Distribution percentages cannot exceed 100%');
   }
 
-  const platformAmount = totalAmount * platformFee;
-  const artistAmount = totalAmount * artistShare;
-  const producerAmount = totalAmount * producerShare;
-  const remaining = totalAmount - platformAmount - artistAmount - producerAmount;
+  const shares = revenueSplits.map((split) => ({
+    collaborator: split.collaborator?._id || split.collaborator,
+    payeeName: split.collaborator?.name,
+    role: split.role,
+    percentage: split.percentage,
+    amount: floorMoney((totalAmount * split.percentage) / 100),
+  }));
+  const allocated = shares.reduce((sum, share) => sum + share.amount, 0);
 
   return {
     totalAmount,
-    platformFee: {
-      percentage: platformFee * 100,
-      amount: Math.round(platformAmount * 100) / 100,
-    },
-    artistShare: {
-      percentage: artistShare * 100,
-      amount: Math.round(artistAmount * 100) / 100,
+    shares,
+    owner: {
+      percentage: roundMoney(100 - totalPercentage),
+      amount: roundMoney(totalAmount - allocated),
     },
-    producerShare: {
-      percentage: producerShare * 100,
-      amount: Math.round(producerAmount * 100) / 100,
-    },
-    remaining: Math.round(remaining * 100) / 100,
   };
 };
 
 /**
  * Get profit distribution for a sale
+ * Bundle (release) sales are divided evenly between their tracks first
  * @param {object} sale - Sale object
- * @param {object} track - Track object (optional, for track-specific rules)
- * @returns {object} Profit distribution
+ * @param {Array} tracks - Tracks of the sale, with revenueSplits
+ * @returns {Array<object>} One distribution per track
  */
-export const getSaleProfitDistribution = (sale, track = null) => {
+export const getSaleProfitDistribution = (sale, tracks = []) => {
   if (sale.paymentStatus !== 'completed') {
-    return {
-      totalAmount: sale.price,
-      platformFee: { percentage: 0, amount: 0 },
-      artistShare: { percentage: 0, amount: 0 },
-      producerShare: { percentage: 0, amount: 0 },
-      remaining: 0,
-      status: 'pending',
-    };
+    return [];
+  }
+
+  const amounts = divideSaleAmount(sale.price, tracks.length);
+  // A sale whose track has been deleted goes entirely to the owner
+  if (tracks.length === 0) {
+    return [{ trackId: null, ...calculateProfitDistribution(sale.price) }];
   }
 
-  // You can customize distribution rules per track if needed
-  const distributionRules = track?.distributionRules || {};
+  return tracks.map((track, index) => ({
+    trackId: track._id,
+    trackTitle: track.title,
+    ...calculateProfitDistribution(amounts[index], track.revenueSplits || []),
+  }));
+};
 
-  const distribution = calculateProfitDistribution(sale.price, distributionRules);
+/**
+ * Split a refund across a sale's ledger lines
+ * Every line gives back the same fraction of what it still holds; leftover
+ * cents come off the last lines that have room
+ * @param {Array<number>} outstanding - What each line still holds
+ * @param {number} refundAmount - Amount to take back (capped at the total outstanding)
+ * @returns {Array<number>} Amount to debit from each line
+ */
+export const distributeRefund = (outstanding, refundAmount) => {
+  const total = roundMoney(outstanding.reduce((sum, value) => sum + value, 0));
+  if (total <= 0 || !(refundAmount > 0)) {
+    return outstanding.map(() => 0);
+  }
 
-  return {
-    ...distribution,
-    saleId: sale._id,
-    trackId: sale.trackId,
-    trackTitle: sale.trackTitle,
-    status: 'completed',
-    saleDate: sale.createdAt,
-  };
+  const amount = Math.min(roundMoney(refundAmount), total);
+  const debits = outstanding.map((value) => floorMoney((value * amount) / total));
+  let leftover = roundMoney(amount - debits.reduce((sum, value) => sum + value, 0));
+  for (let index = debits.length - 1; index >= 0 && leftover > 0; index--) {
+    const extra = Math.min(roundMoney(outstanding[index] - debits[index]), leftover);
+    debits[index] = roundMoney(debits[index] + extra);
+    leftover = roundMoney(leftover - extra);
+  }
+  return debits;
 };
 
 /**
- * Calculate total profits by category
- * @param {array} sales - Array of completed sales
- * @returns {object} Total profits breakdown
+ * Calculate total profits per payee
+ * @param {array} entries - Ledger credit entries
+ * @returns {object} Total revenue and each payee's amount and share of it
  */
-export const calculateTotalProfits = (sales) => {
-  const completedSales = sales.filter((sale) => sale.paymentStatus === 'completed');
-
-  const totals = completedSales.reduce(
-    (acc, sale) => {
-      const distribution = getSaleProfitDistribution(sale);
-      acc.totalRevenue += distribution.totalAmount;
-      acc.platformFee += distribution.platformFee.amount;
-      acc.artistShare += distribution.artistShare.amount;
-      acc.producerShare += distribution.producerShare.amount;
-      acc.remaining += distribution.remaining;
-      return acc;
-    },
-    {
-      totalRevenue: 0,
-      platformFee: 0,
-      artistShare: 0,
-      producerShare: 0,
-      remaining: 0,
-      totalSales: completedSales.length,
-    },
-  );
+export const calculateTotalProfits = (entries) => {
+  const payees = new Map();
+  let totalRevenue = 0;
+
+  for (const entry of entries) {
+    const key = entry.collaborator ? String(entry.collaborator) : OWNER_PAYEE.role;
+    if (!payees.has(key)) {
+      payees.set(key, {
+        collaboratorId: entry.collaborator || null,
+        name: entry.payeeName,
+        roles: new Set(),
+        amount: 0,
+      });
+    }
+    const payee = payees.get(key);
+    payee.roles.add(entry.role);
+    payee.amount += entry.amount;
+    totalRevenue += entry.amount;
+  }
 
   return {
-    ...totals,
-    totalRevenue: Math.round(totals.totalRevenue * 100) / 100,
-    platformFee: Math.round(totals.platformFee * 100) / 100,
-    artistShare: Math.round(totals.artistShare * 100) / 100,
-    producerShare: Math.round(totals.producerShare * 100) / 100,
-    remaining: Math.round(totals.remaining * 100) / 100,
+    totalRevenue: roundMoney(totalRevenue),
+    payees: [...payees.values()]
+      .map((payee) => ({
+        ...payee,
+        roles: [...payee.roles],
+        amount: roundMoney(payee.amount),
+        percentage:
+          totalRevenue > 0
+            ? roundMoney((payee.amount / totalRevenue) * 100)
+            : 0,
+      }))
+      .sort((a, b) => b.amount - a.amount),
   };
 };
 
 export default {
+  divideSaleAmount,
   calculateProfitDistribution,
   getSaleProfitDistribution,
+  distributeRefund,
   calculateTotalProfits,
 };
-
@@ -0,0 +1,309 @@
+import mongoose from 'mongoose';
+import LedgerEntry from './LedgerEntry.js';
+import Track from '../tracks/Track.js';
+import Collaborator from '../collaborators/Collaborator.js';
+import {
+  OWNER_PAYEE,
+  getSaleProfitDistribution,
+  distributeRefund,
+  calculateTotalProfits,
+} from './profitDistribution.js';
+import {
+  isValidObjectId,
+  isDuplicateKeyError,
+} from '../../utils/validation.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Write a completed sale's revenue split to the ledger
+ * Uses the tracks' current splits. Sales that already have entries are
+ * skipped, and the unique credit index drops the entries of a concurrent
+ * call, so calling this again for the same sale is safe. Errors are
+ * logged, not thrown - the sale itself has already gone through
+ * @param {object} sale - Sale document
+ * @returns {Promise<Array>} Entries written
+ */
+export const recordSaleLedgerEntries = async (sale) => {
+  try {
+    if (!sale || sale.paymentStatus !== 'completed') {
+      return [];
+    }
+    if (await LedgerEntry.exists({ sale: sale._id })) {
+      return [];
+    }
+
+    const trackIds = (
+      sale.releaseId ? sale.trackIds || [] : [sale.trackId]
+    ).map((id) => String(id?._id || id));
+    const tracks = await Track.find({ _id: { $in: trackIds } })
+      .select('title revenueSplits')
+      .populate('revenueSplits.collaborator', 'name')
+      .withDeleted()
+      .lean();
+    const tracksById = new Map(tracks.map((track) => [String(track._id), track]));
+
+    // Keep the sale's track order and drop splits whose collaborator is gone
+    const saleTracks = trackIds
+      .map((id) => tracksById.get(id))
+      .filter(Boolean)
+      .map((track) => ({
+        ...track,
+        revenueSplits: (track.revenueSplits || []).filter(
+          (split) => split.collaborator,
+        ),
+      }));
+
+    const entries = getSaleProfitDistribution(sale, saleTracks).flatMap(
+      (distribution) => [
+        ...distribution.shares.map((share) => ({
+          sale: sale._id,
+          track: distribution.trackId,
+          collaborator: share.collaborator,
+          payeeName: share.payeeName,
+          role: share.role,
+          percentage: share.percentage,
+          amount: share.amount,
+        })),
+        {
+          sale: sale._id,
+          track: distribution.trackId,
+          payeeName: OWNER_PAYEE.name,
+          role: OWNER_PAYEE.role,
+          percentage: distribution.owner.percentage,
+          amount: distribution.owner.amount,
+        },
+      ],
+    );
+
+    let saved;
+    try {
+      saved = await LedgerEntry.insertMany(entries, { ordered: false });
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+      // Another call recorded the sale meanwhile - only new entries are kept
+      saved = error.insertedDocs || [];
+    }
+    if (saved.length === 0) return [];
+
+    logger.info('Sale revenue split recorded', {
+      saleId: sale._id,
+      saleSerialId: sale.saleSerialId,
+      entries: saved.length,
+    });
+    return saved;
+  } catch (error) {
+    logger.error('Error recording sale revenue split', {
+      saleId: sale?._id,
+      error: error.message,
+    });
+    return [];
+  }
+};
+
+// Ledger lines are keyed per track and payee
+const ledgerLineKey = (entry) =>
+  `${entry.track || ''}:${entry.collaborator || OWNER_PAYEE.role}`;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Take a refunded sale back out of the payees' balances
+ * The refund is split across the sale's credits in proportion to what each
+ * payee still holds from it, so repeated or partial refunds never debit more
+ * than was credited. Errors are logged, not thrown
+ * @param {object} sale - Sale document
+ * @param {object} [options]
+ * @param {number} [options.amount] - Refunded amount; defaults to everything still credited
+ * @param {string} [options.reference] - Refund transaction ID
+ * @returns {Promise<Array>} Entries written
+ */
+export const recordSaleRefundLedgerEntries = async (
+  sale,
+  { amount, reference } = {},
+) => {
+  try {
+    if (!sale) {
+      return [];
+    }
+
+    const entries = await LedgerEntry.find({
+      sale: sale._id,
+      type: { $in: ['credit', 'debit'] },
+    })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+
+    const lines = new Map();
+    for (const entry of entries) {
+      const key = ledgerLineKey(entry);
+      if (entry.type === 'credit' && !lines.has(key)) {
+        lines.set(key, { credit: entry, outstanding: 0 });
+      }
+      const line = lines.get(key);
+      if (!line) continue;
+      line.outstanding = roundMoney(
+        line.outstanding + (entry.type === 'credit' ? entry.amount : -entry.amount),
+      );
+    }
+
+    const openLines = [...lines.values()].filter((line) => line.outstanding > 0);
+    const debits = distributeRefund(
+      openLines.map((line) => line.outstanding),
+      amount ?? openLines.reduce((sum, line) => sum + line.outstanding, 0),
+    );
+
+    const refundEntries = openLines
+      .map(({ credit }, index) => ({
+        sale: sale._id,
+        track: credit.track,
+        collaborator: credit.collaborator,
+        payeeName: credit.payeeName,
+        role: credit.role,
+        percentage: credit.percentage,
+        amount: debits[index],
+        type: 'debit',
+        reference,
+      }))
+      .filter((entry) => entry.amount > 0);
+    if (refundEntries.length === 0) {
+      return [];
+    }
+
+    const saved = await LedgerEntry.insertMany(refundEntries);
+    logger.info('Sale refund debited from payees', {
+      saleId: sale._id,
+      saleSerialId: sale.saleSerialId,
+      amount: roundMoney(debits.reduce((sum, value) => sum + value, 0)),
+      entries: saved.length,
+    });
+    return saved;
+  } catch (error) {
+    logger.error('Error recording sale refund in the ledger', {
+      saleId: sale?._id,
+      error: error.message,
+    });
+    return [];
+  }
+};
+
+/**
+ * Ledger filter for one payee
+ * @param {string} payeeId - Collaborator ID, or 'owner'
+ * @returns {object|null} Query filter, or null for an invalid ID
+ */
+export const getPayeeFilter = (payeeId) => {
+  if (payeeId === OWNER_PAYEE.role) {
+    // Owner entries have no collaborator
+    return { collaborator: null };
+  }
+  if (!isValidObjectId(payeeId)) {
+    return null;
+  }
+  return { collaborator: new mongoose.Types.ObjectId(payeeId) };
+};
+
+/**
+ * Credits, debits, payouts and balance of every payee (or the given ones)
+ * Balance = credits - debits - payouts, i.e. what is still owed
+ * @param {object} [match] - Extra ledger filter, e.g. from getPayeeFilter
+ * @returns {Promise<Array>} Payees sorted by balance, the owner included
+ */
+export const getPayeeBalances = async (match = {}) => {
+  const totals = await LedgerEntry.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { collaborator: '$collaborator', type: '$type' },
+        amount: { $sum: '$amount' },
+        payeeName: { $first: '$payeeName' },
+      },
+    },
+  ]);
+
+  const payees = new Map();
+  for (const total of totals) {
+    const collaboratorId = total._id.collaborator || null;
+    const key = collaboratorId ? String(collaboratorId) : OWNER_PAYEE.role;
+    if (!payees.has(key)) {
+      payees.set(key, {
+        payeeId: key,
+        collaboratorId,
+        name: collaboratorId ? total.payeeName : OWNER_PAYEE.name,
+        credits: 0,
+        debits: 0,
+        payouts: 0,
+      });
+    }
+    const payee = payees.get(key);
+    const field = { credit: 'credits', debit: 'debits', payout: 'payouts' }[
+      total._id.type
+    ];
+    if (field) payee[field] = roundMoney(total.amount);
+  }
+
+  // Prefer current names over the ones copied into the ledger
+  const collaborators = await Collaborator.find({
+    _id: {
+      $in: [...payees.values()]
+        .map((payee) => payee.collaboratorId)
+        .filter(Boolean),
+    },
+  })
+    .select('name')
+    .lean();
+  for (const collaborator of collaborators) {
+    payees.get(String(collaborator._id)).name = collaborator.name;
+  }
+
+  return [...payees.values()]
+    .map((payee) => ({
+      ...payee,
+      balance: roundMoney(payee.credits - payee.debits - payee.payouts),
+    }))
+    .sort((a, b) => b.balance - a.balance);
+};
+
+/**
+ * Balance of one payee
+ * @param {string} payeeId - Collaborator ID, or 'owner'
+ * @returns {Promise<object|null>} Payee totals (zeros when there are no entries yet), or null for an invalid ID
+ */
+export const getPayeeBalance = async (payeeId) => {
+  const filter = getPayeeFilter(payeeId);
+  if (!filter) {
+    return null;
+  }
+  const [balance] = await getPayeeBalances(filter);
+  return (
+    balance || {
+      payeeId,
+      collaboratorId: filter.collaborator || null,
+      name: filter.collaborator ? null : OWNER_PAYEE.name,
+      credits: 0,
+      debits: 0,
+      payouts: 0,
+      balance: 0,
+    }
+  );
+};
+
+/**
+ * Per-payee totals for a set of sales, net of their refunds
+ * @param {Array} saleIds - Paid or refunded sale IDs
+ * @returns {Promise<object>} See calculateTotalProfits
+ */
+export const getProfitBreakdown = async (saleIds) => {
+  const entries = await LedgerEntry.find({
+    sale: { $in: saleIds },
+    type: { $in: ['credit', 'debit'] },
+  })
+    .select('collaborator payeeName role amount type')
+    .lean();
+  // Refund debits come off what the payees earned
+  return calculateTotalProfits(
+    entries.map((entry) =>
+      entry.type === 'debit' ? { ...entry, amount: -entry.amount } : entry,
+    ),
+  );
+};
@@ -0,0 +1,227 @@
+/**
+ * Sale Refunds
+ * Records refunds against sales: each one is a Refund document, the sale keeps
+ * the running total in refundedAmount and moves to partially_refunded or,
+ * once nothing is left, refunded. Track (or release) revenue and the payees'
+ * ledger balances go down by the refunded amount.
+ */
+
+import Sale from '../sales/Sale.js';
+import Refund from './Refund.js';
+import { updateTrackStatistics } from '../tracks/trackStatistics.js';
+import { updateReleaseStatistics } from '../releases/releaseStatistics.js';
+import { recordSaleRefundLedgerEntries } from './revenueLedger.js';
+import { PAID_SALE_STATUSES } from '../../utils/constants.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Round an amount of money to whole cents (poisha)
+ * @param {number} value
+ * @returns {number}
+ */
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * What can still be refunded on a sale
+ * @param {Object} sale - Sale document
+ * @returns {number} 0 unless the sale is paid
+ */
+export const getRefundableAmount = (sale) =>
+  PAID_SALE_STATUSES.includes(sale.paymentStatus)
+    ? roundMoney(Math.max(0, sale.price - (sale.refundedAmount || 0)))
+    : 0;
+
+/**
+ * Revenue a sale still brings in, net of its refunds
+ * Refunded sales from before refund records existed count for nothing
+ * @param {Object} sale - Sale document
+ * @returns {number}
+ */
+export const getSaleNetRevenue = (sale) =>
+  PAID_SALE_STATUSES.includes(sale.paymentStatus)
+    ? roundMoney(Math.max(0, (sale.price || 0) - (sale.refundedAmount || 0)))
+    : 0;
+
+// Pipeline stage setting the status from refundedAmount (paid sales only)
+// Money math in floats can leave a fraction of a cent
+const REFUND_STATUS_STAGE = {
+  $set: {
+    paymentStatus: {
+      $switch: {
+        branches: [
+          {
+            case: {
+              $gt: ['$refundedAmount', { $subtract: ['$price', 0.01] }],
+            },
+            then: 'refunded',
+          },
+          { case: { $gt: ['$refundedAmount', 0] }, then: 'partially_refunded' },
+        ],
+        default: 'completed',
+      },
+    },
+  },
+};
+
+const refundError = async (sale) => {
+  const current = (await Sale.findById(sale._id)) || sale;
+  const refundable = getRefundableAmount(current);
+  return {
+    error:
+      refundable > 0
+        ? `Only ৳${refundable} of this sale can still be refunded`
+        : 'This sale has nothing left to refund',
+  };
+};
+
+/**
+ * Reserve part of a paid sale for a refund
+ * refundedAmount and the status change in one conditional update, so
+ * concurrent refunds can't take the sale past its price or leave it with a
+ * stale status. Reserve before sending money back, then finish or release
+ * @param {Object} sale - Sale document
+ * @param {number} amount - Amount to refund
+ * @returns {Promise<{sale?: Object, error?: string}>} Sale after the reservation
+ */
+export const reserveSaleRefund = async (sale, amount) => {
+  const refundAmount = roundMoney(Number(amount));
+  if (!(refundAmount > 0)) {
+    return { error: 'Refund amount must be greater than 0' };
+  }
+
+  const reservedSale = await Sale.findOneAndUpdate(
+    {
+      _id: sale._id,
+      paymentStatus: { $in: PAID_SALE_STATUSES },
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$refundedAmount', 0] }, refundAmount] },
+          '$price',
+        ],
+      },
+    },
+    [
+      {
+        $set: {
+          refundedAmount: {
+            $round: [
+              { $add: [{ $ifNull: ['$refundedAmount', 0] }, refundAmount] },
+              2,
+            ],
+          },
+        },
+      },
+      REFUND_STATUS_STAGE,
+    ],
+    { new: true },
+  );
+  if (!reservedSale) return refundError(sale);
+  return { sale: reservedSale };
+};
+
+/**
+ * Give back a reservation whose refund didn't go through
+ * @param {Object} sale - Sale document
+ * @param {number} amount - Amount reserved
+ * @returns {Promise<Object|null>} Sale after the release
+ */
+export const releaseSaleRefund = (sale, amount) => {
+  const refundAmount = roundMoney(Number(amount));
+  return Sale.findOneAndUpdate(
+    { _id: sale._id, refundedAmount: { $gte: refundAmount } },
+    [
+      {
+        $set: {
+          refundedAmount: {
+            $round: [{ $subtract: ['$refundedAmount', refundAmount] }, 2],
+          },
+        },
+      },
+      REFUND_STATUS_STAGE,
+    ],
+    { new: true },
+  );
+};
+
+/**
+ * Record a refund whose amount has been reserved on the sale
+ * @param {Object} sale - Sale returned by reserveSaleRefund
+ * @param {Object} refund
+ * @param {number} refund.amount - Amount given back
+ * @param {string} [refund.reason]
+ * @param {string} [refund.provider] - Gateway the money went back through
+ * @param {string} [refund.refundTrxId] - Gateway's refund transaction ID
+ * @param {string} [refund.refundedBy] - Admin who made the refund
+ * @returns {Promise<Object>} Refund document
+ */
+export const finishSaleRefund = async (
+  sale,
+  { amount, reason, provider, refundTrxId, refundedBy },
+) => {
+  const refundAmount = roundMoney(Number(amount));
+  const fullyRefunded = sale.paymentStatus === 'refunded';
+
+  const record = await Refund.create({
+    sale: sale._id,
+    amount: refundAmount,
+    reason,
+    provider,
+    refundTrxId,
+    refundedBy,
+  });
+
+  // Revenue goes down by the refund; the sale stops counting once fully refunded
+  if (sale.releaseId) {
+    await updateReleaseStatistics(sale.releaseId, refundAmount, 'decrement', {
+      countSale: fullyRefunded,
+    });
+  } else {
+    await updateTrackStatistics(sale.trackId, refundAmount, 'decrement', {
+      countSale: fullyRefunded,
+    });
+  }
+
+  // Take the refunded amount back out of the payees' balances
+  await recordSaleRefundLedgerEntries(sale, {
+    amount: refundAmount,
+    reference: refundTrxId,
+  });
+
+  logger.info('Sale refund recorded', {
+    saleId: sale._id,
+    refundId: record._id,
+    amount: refundAmount,
+    refundedAmount: sale.refundedAmount,
+    paymentStatus: sale.paymentStatus,
+    provider,
+    refundedBy,
+  });
+
+  return record;
+};
+
+/**
+ * Record a refund on a paid sale whose money has already gone back
+ * (refunds made outside a gateway)
+ * @param {Object} sale - Sale document
+ * @param {Object} refund - See finishSaleRefund
+ * @returns {Promise<{sale?: Object, refund?: Object, error?: string}>}
+ */
+export const recordSaleRefund = async (sale, refund) => {
+  const { sale: refundedSale, error } = await reserveSaleRefund(
+    sale,
+    refund.amount,
+  );
+  if (error) return { error };
+
+  const record = await finishSaleRefund(refundedSale, refund);
+  return { sale: refundedSale, refund: record };
+};
+
+/**
+ * Refunds of a sale, oldest first
+ * @param {string} saleId
+ * @returns {Promise<Array>}
+ */
+export const getSaleRefunds = (saleId) =>
+  Refund.find({ sale: saleId }).sort({ createdAt: 1 }).lean();
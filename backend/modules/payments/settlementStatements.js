@@ -0,0 +1,249 @@
+import PDFDocument from 'pdfkit';
+import LedgerEntry from './LedgerEntry.js';
+import { OWNER_PAYEE } from './profitDistribution.js';
+import { getPayeeFilter } from './revenueLedger.js';
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Signed effect of an entry on the payee's balance
+const balanceChange = (entry) =>
+  entry.type === 'credit' ? entry.amount : -entry.amount;
+
+/**
+ * Parse a statement month
+ * @param {string} value - Month as YYYY-MM
+ * @returns {{from: Date, to: Date}|null} UTC month bounds (to is exclusive), or null if invalid
+ */
+export const parseStatementMonth = (value) => {
+  const match = MONTH_PATTERN.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const year = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10) - 1;
+  return {
+    from: new Date(Date.UTC(year, month, 1)),
+    to: new Date(Date.UTC(year, month + 1, 1)),
+  };
+};
+
+// Human-readable line for a statement entry
+const describeEntry = (entry) => {
+  const saleLabel = entry.sale?.saleSerialId
+    ? `sale #${entry.sale.saleSerialId}`
+    : 'sale';
+  const trackLabel = entry.track?.title ? ` - ${entry.track.title}` : '';
+  switch (entry.type) {
+    case 'credit':
+      return `Share of ${saleLabel}${trackLabel} (${entry.role}, ${entry.percentage}%)`;
+    case 'debit':
+      return `Refund of ${saleLabel}${trackLabel}`;
+    case 'payout':
+      return entry.note ? `Payout - ${entry.note}` : 'Payout';
+    default:
+      return entry.type;
+  }
+};
+
+/**
+ * Build a payee's settlement statement for one month
+ * @param {object} payee - Payee from getPayeeBalance ({payeeId, name, ...})
+ * @param {string} month - Month as YYYY-MM
+ * @returns {Promise<object|null>} Opening balance, the month's entries with a
+ *   running balance, totals per type and the closing balance; null for an invalid month
+ */
+export const buildSettlementStatement = async (payee, month) => {
+  const period = parseStatementMonth(month);
+  const filter = getPayeeFilter(payee.payeeId);
+  if (!period || !filter) {
+    return null;
+  }
+
+  const [opening] = await LedgerEntry.aggregate([
+    { $match: { ...filter, createdAt: { $lt: period.from } } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ['$type', 'credit'] },
+              '$amount',
+              { $multiply: ['$amount', -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  const entries = await LedgerEntry.find({
+    ...filter,
+    createdAt: { $gte: period.from, $lt: period.to },
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate('sale', 'saleSerialId')
+    .populate({
+      path: 'track',
+      select: 'title',
+      options: { withDeleted: true },
+    })
+    .lean();
+
+  const openingBalance = roundMoney(opening?.balance || 0);
+  const totals = { credits: 0, debits: 0, payouts: 0 };
+  let balance = openingBalance;
+  const lines = entries.map((entry) => {
+    totals[`${entry.type}s`] = roundMoney(totals[`${entry.type}s`] + entry.amount);
+    balance = roundMoney(balance + balanceChange(entry));
+    return {
+      _id: entry._id,
+      date: entry.createdAt,
+      type: entry.type,
+      description: describeEntry(entry),
+      reference: entry.reference || '',
+      amount: roundMoney(balanceChange(entry)),
+      balance,
+    };
+  });
+
+  return {
+    payee: {
+      payeeId: payee.payeeId,
+      name: payee.name,
+      isOwner: payee.payeeId === OWNER_PAYEE.role,
+    },
+    month,
+    from: period.from,
+    to: period.to,
+    openingBalance,
+    totals,
+    closingBalance: balance,
+    entries: lines,
+  };
+};
+
+// Quote a CSV field when it contains a separator, quote or line break
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Render a statement as CSV
+ * Opening and closing balances are the first and last rows
+ * @param {object} statement - From buildSettlementStatement
+ * @returns {string}
+ */
+export const statementToCsv = (statement) => {
+  const rows = [
+    ['Date', 'Type', 'Description', 'Reference', 'Amount', 'Balance'],
+    [
+      formatDate(statement.from),
+      'opening',
+      'Opening balance',
+      '',
+      '',
+      statement.openingBalance.toFixed(2),
+    ],
+    ...statement.entries.map((entry) => [
+      formatDate(entry.date),
+      entry.type,
+      entry.description,
+      entry.reference,
+      entry.amount.toFixed(2),
+      entry.balance.toFixed(2),
+    ]),
+    [
+      formatDate(new Date(statement.to.getTime() - 1)),
+      'closing',
+      'Closing balance',
+      '',
+      '',
+      statement.closingBalance.toFixed(2),
+    ],
+  ];
+  return `${rows.map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Render a statement as PDF
+ * @param {object} statement - From buildSettlementStatement
+ * @param {import('stream').Writable} output - Stream the PDF is piped to (e.g. the response)
+ */
+export const writeStatementPdf = (statement, output) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(output);
+
+  // The built-in fonts have no taka sign
+  const money = (value) => `BDT ${value.toFixed(2)}`;
+
+  doc.fontSize(18).text('Settlement Statement');
+  doc.moveDown(0.5);
+  doc
+    .fontSize(11)
+    .text(`Payee: ${statement.payee.name}`)
+    .text(`Period: ${statement.month} (UTC)`)
+    .text(`Generated: ${formatDate(new Date())}`);
+  doc.moveDown();
+
+  const summary = [
+    ['Opening balance', statement.openingBalance],
+    ['Sale credits', statement.totals.credits],
+    ['Refund debits', -statement.totals.debits],
+    ['Payouts', -statement.totals.payouts],
+    ['Closing balance', statement.closingBalance],
+  ];
+  for (const [label, value] of summary) {
+    const y = doc.y;
+    doc.text(label, 50, y).text(money(value), 350, y, { width: 195, align: 'right' });
+  }
+  doc.moveDown();
+
+  const columns = [
+    { label: 'Date', x: 50, width: 65 },
+    { label: 'Description', x: 115, width: 260 },
+    { label: 'Amount', x: 375, width: 85, align: 'right' },
+    { label: 'Balance', x: 460, width: 85, align: 'right' },
+  ];
+  const writeRow = (values, font) => {
+    doc.font(font).fontSize(9);
+    const y = doc.y;
+    const heights = columns.map((column, index) => {
+      doc.text(values[index], column.x, y, {
+        width: column.width,
+        align: column.align || 'left',
+      });
+      return doc.y - y;
+    });
+    doc.y = y + Math.max(...heights) + 4;
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+      doc.addPage();
+    }
+  };
+
+  writeRow(
+    columns.map((column) => column.label),
+    'Helvetica-Bold',
+  );
+  if (statement.entries.length === 0) {
+    doc.font('Helvetica').fontSize(9).text('No entries this month.', 50);
+  }
+  for (const entry of statement.entries) {
+    writeRow(
+      [
+        formatDate(entry.date),
+        entry.reference ? `${entry.description} [${entry.reference}]` : entry.description,
+        money(entry.amount),
+        money(entry.balance),
+      ],
+      'Helvetica',
+    );
+  }
+
+  doc.end();
+};
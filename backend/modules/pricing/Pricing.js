@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { LICENSE_TYPES } from '../../utils/constants.js';
+import { softDeletePlugin } from '../../utils/softDelete.js';
 
 const pricingSchema = new mongoose.Schema(
   {
@@ -12,12 +14,31 @@ const pricingSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // License template - tracks can offer tiers based on this plan
+    licenseType: {
+      type: String,
+      enum: LICENSE_TYPES,
+      default: 'basic',
+    },
+    usageTerms: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    deliverables: {
+      type: [String],
+      default: [],
+      description: 'Files included with this license (e.g. MP3, WAV, Stems)',
+    },
   },
   {
     timestamps: true,
   },
 );
 
+// Deleted documents stay in the trash until they are restored or purged
+pricingSchema.plugin(softDeletePlugin);
+
 const Pricing = mongoose.model('Pricing', pricingSchema);
 
 export default Pricing;
@@ -4,9 +4,31 @@ import { authenticateToken } from '../auth/index.js';
 import { checkApiKey, checkOrigin } from '../../middleware/apiKey.js';
 import { cacheMiddleware } from '../../middleware/cache.js';
 import { invalidateRouteCache } from '../../utils/cacheHelper.js';
+import { LICENSE_TYPES } from '../../utils/constants.js';
 
 const router = express.Router();
 
+// Validate the optional license template fields of a plan
+const validateLicenseFields = ({ licenseType, usageTerms, deliverables }) => {
+  if (licenseType !== undefined && !LICENSE_TYPES.includes(licenseType)) {
+    return `License type must be one of: ${LICENSE_TYPES.join(', ')}`;
+  }
+  if (usageTerms !== undefined && typeof usageTerms !== 'string') {
+    return 'Usage terms must be a string';
+  }
+  if (
+    deliverables !== undefined &&
+    (!Array.isArray(deliverables) ||
+      deliverables.some((item) => typeof item !== 'string'))
+  ) {
+    return 'Deliverables must be an array of strings';
+  }
+  return null;
+};
+
+const cleanDeliverables = (deliverables) =>
+  deliverables.map((item) => item.trim()).filter(Boolean);
+
 /**
  * @swagger
  * /pricing:
@@ -121,6 +143,18 @@ router.get('/:id', checkApiKey, checkOrigin, async (req, res) => {
  *               price:
  *                 type: number
  *                 example: 100
+ *               licenseType:
+ *                 type: string
+ *                 enum: [basic, premium, exclusive]
+ *                 example: "basic"
+ *               usageTerms:
+ *                 type: string
+ *                 example: "Up to 10,000 streams, no broadcast rights"
+ *               deliverables:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["MP3", "WAV"]
  *     responses:
  *       201:
  *         description: Pricing plan created successfully
@@ -133,7 +167,7 @@ router.get('/:id', checkApiKey, checkOrigin, async (req, res) => {
 router.post('/', authenticateToken, async (req, res) => {
   invalidateRouteCache('pricing');
   try {
-    const { title, price } = req.body;
+    const { title, price, licenseType, usageTerms, deliverables } = req.body;
 
     // Validate required fields
     if (!title || typeof title !== 'string' || title.trim() === '') {
@@ -144,10 +178,24 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Valid price is required' });
     }
 
+    const licenseError = validateLicenseFields(req.body);
+    if (licenseError) {
+      return res.status(400).json({ message: licenseError });
+    }
+
     const planData = {
       title: title.trim(),
       price: parseFloat(price),
     };
+    if (licenseType !== undefined) {
+      planData.licenseType = licenseType;
+    }
+    if (usageTerms !== undefined) {
+      planData.usageTerms = usageTerms.trim();
+    }
+    if (deliverables !== undefined) {
+      planData.deliverables = cleanDeliverables(deliverables);
+    }
 
     const plan = new Pricing(planData);
     await plan.save();
@@ -189,6 +237,15 @@ router.post('/', authenticateToken, async (req, res) => {
  *                 type: string
  *               price:
  *                 type: number
+ *               licenseType:
+ *                 type: string
+ *                 enum: [basic, premium, exclusive]
+ *               usageTerms:
+ *                 type: string
+ *               deliverables:
+ *                 type: array
+ *                 items:
+ *                   type: string
  *     responses:
  *       200:
  *         description: Pricing plan updated successfully
@@ -203,7 +260,7 @@ router.post('/', authenticateToken, async (req, res) => {
 router.put('/:id', authenticateToken, async (req, res) => {
   invalidateRouteCache('pricing');
   try {
-    const { title, price } = req.body;
+    const { title, price, licenseType, usageTerms, deliverables } = req.body;
 
     // Validate required fields
     if (
@@ -221,6 +278,11 @@ router.put('/:id', authenticateToken, async (req, res) => {
         .json({ message: 'Price must be a valid positive number' });
     }
 
+    const licenseError = validateLicenseFields(req.body);
+    if (licenseError) {
+      return res.status(400).json({ message: licenseError });
+    }
+
     const planData = {};
     if (title !== undefined) {
       planData.title = title.trim();
@@ -228,6 +290,15 @@ router.put('/:id', authenticateToken, async (req, res) => {
     if (price !== undefined) {
       planData.price = parseFloat(price);
     }
+    if (licenseType !== undefined) {
+      planData.licenseType = licenseType;
+    }
+    if (usageTerms !== undefined) {
+      planData.usageTerms = usageTerms.trim();
+    }
+    if (deliverables !== undefined) {
+      planData.deliverables = cleanDeliverables(deliverables);
+    }
 
     const plan = await Pricing.findByIdAndUpdate(req.params.id, planData, {
       new: true,
@@ -256,7 +327,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
  *     description: |
  *       **Access Level: 🔒 ADMIN ONLY**
  *
- *       Delete a pricing plan by ID.
+ *       Move a pricing plan to the trash. Restore or purge it through /trash.
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
@@ -268,19 +339,21 @@ router.put('/:id', authenticateToken, async (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: Pricing plan deleted successfully
+ *         description: Pricing plan moved to trash
  *       404:
  *         description: Pricing plan not found
  */
-// Delete pricing plan (protected)
+// Delete pricing plan (protected) - moves it to the trash
 router.delete('/:id', authenticateToken, async (req, res) => {
   invalidateRouteCache('pricing');
   try {
-    const plan = await Pricing.findByIdAndDelete(req.params.id);
+    const plan = await Pricing.findByIdAndUpdate(req.params.id, {
+      deletedAt: new Date(),
+    });
     if (!plan) {
       return res.status(404).json({ message: 'Pricing plan not found' });
     }
-    res.json({ message: 'Pricing plan deleted successfully' });
+    res.json({ message: 'Pricing plan moved to trash' });
   } catch (error) {
     res.status(500).json({
       message: 'Error deleting pricing plan',
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { RELEASE_TYPES, RELEASE_STATUSES } from '../../utils/constants.js';
+
+const releaseSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: RELEASE_TYPES,
+      default: 'album',
+    },
+    artwork: {
+      type: String,
+      required: true,
+      description: 'Artwork image URL (Cloudinary)',
+    },
+    description: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    tracks: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Track',
+        },
+      ],
+      default: [],
+      description: 'Included tracks in play order',
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+      description: 'Bundle price for every included track',
+    },
+    releaseDate: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: RELEASE_STATUSES,
+      default: 'published',
+      index: true,
+    },
+    saleCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    totalSoldPrice: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Public listings filter by status and sort by release date
+releaseSchema.index({ status: 1, releaseDate: -1 });
+
+const Release = mongoose.model('Release', releaseSchema);
+
+export default Release;
@@ -0,0 +1,13 @@
+/**
+ * Releases Module
+ * Albums, EPs, singles and bundles sold as one purchase
+ */
+
+export { default as releasesRoutes } from './releasesRoutes.js';
+export { default as Release } from './Release.js';
+export { updateReleaseStatistics } from './releaseStatistics.js';
+export {
+  PUBLIC_RELEASE_FILTER,
+  isReleasePublic,
+  getUnavailableReleaseTracks,
+} from './releaseService.js';
@@ -0,0 +1,75 @@
+import Track from '../tracks/Track.js';
+import { isTrackPublic } from '../tracks/trackPublisher.js';
+import { isValidObjectId } from '../../utils/validation.js';
+
+// Query filter for publicly visible releases
+export const PUBLIC_RELEASE_FILTER = { status: 'published' };
+
+// Track fields returned inside public release payloads (never the full audio)
+export const PUBLIC_RELEASE_TRACK_FIELDS =
+  'title thumbnail previewAudio category price releaseDate bpm key duration explicit status soldExclusively';
+
+/**
+ * Check whether a release is visible in public APIs
+ * @param {Object} release - Release document or plain object
+ * @returns {boolean}
+ */
+export const isReleasePublic = (release) =>
+  !!release && release.status === 'published';
+
+/**
+ * Validate the ordered track list of a release
+ * @param {Array} trackIds - Track IDs in play order
+ * @returns {Promise<{trackIds?: Array<string>, error?: string}>}
+ */
+export const validateReleaseTracks = async (trackIds) => {
+  if (!Array.isArray(trackIds) || trackIds.length === 0) {
+    return { error: 'At least one track is required' };
+  }
+
+  const ids = trackIds.map((id) => String(id));
+  if (ids.some((id) => !isValidObjectId(id))) {
+    return { error: 'Invalid track ID in tracks' };
+  }
+  if (new Set(ids).size !== ids.length) {
+    return { error: 'A track can only appear once in a release' };
+  }
+
+  const found = await Track.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    return { error: 'One or more tracks were not found' };
+  }
+
+  return { trackIds: ids };
+};
+
+/**
+ * Tracks of a release that can no longer be sold
+ * (unpublished, archived or sold under an exclusive license)
+ * @param {Object} release - Release document
+ * @returns {Promise<Array<Object>>} Unavailable tracks
+ */
+export const getUnavailableReleaseTracks = async (release) => {
+  const tracks = await Track.find({ _id: { $in: release.tracks } }).select(
+    'title status soldExclusively',
+  );
+  const unavailable = tracks.filter((track) => !isTrackPublic(track));
+  // Deleted tracks are unavailable too
+  const missing = release.tracks.length - tracks.length;
+  return missing > 0
+    ? [...unavailable, ...Array(missing).fill({ title: 'Deleted track' })]
+    : unavailable;
+};
+
+/**
+ * Shape a release with populated tracks for public responses
+ * Hides tracks that are not publicly visible and the admin-only fields
+ * @param {Object} release - Release plain object with populated tracks
+ * @returns {Object} Public release
+ */
+export const toPublicRelease = (release) => ({
+  ...release,
+  tracks: (release.tracks || [])
+    .filter((track) => track && isTrackPublic(track))
+    .map(({ status, soldExclusively, ...track }) => track),
+});
@@ -0,0 +1,50 @@
+import Release from './Release.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Update release statistics (saleCount and totalSoldPrice)
+ * Bundle sales count towards the release, not the individual tracks
+ * @param {string} releaseId - Release ID
+ * @param {number} salePrice - Price of the sale
+ * @param {string} operation - 'increment' or 'decrement'
+ * @param {Object} [options]
+ * @param {boolean} [options.countSale] - Also change saleCount; false for partial refunds
+ */
+export const updateReleaseStatistics = async (
+  releaseId,
+  salePrice,
+  operation = 'increment',
+  { countSale = true } = {},
+) => {
+  try {
+    const release = await Release.findById(releaseId);
+    if (!release) {
+      logger.warn('Release not found for statistics update', { releaseId });
+      return;
+    }
+
+    if (operation === 'increment') {
+      release.saleCount = (release.saleCount || 0) + (countSale ? 1 : 0);
+      release.totalSoldPrice = (release.totalSoldPrice || 0) + salePrice;
+    } else if (operation === 'decrement') {
+      release.saleCount = Math.max(
+        0,
+        (release.saleCount || 0) - (countSale ? 1 : 0),
+      );
+      release.totalSoldPrice = Math.max(
+        0,
+        (release.totalSoldPrice || 0) - salePrice,
+      );
+    }
+
+    await release.save();
+    logger.info('Release statistics updated', {
+      releaseId,
+      operation,
+      saleCount: release.saleCount,
+      totalSoldPrice: release.totalSoldPrice,
+    });
+  } catch (error) {
+    logger.error('Error updating release statistics', { releaseId, error });
+  }
+};
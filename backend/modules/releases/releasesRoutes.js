@@ -0,0 +1,717 @@
+import express from 'express';
+import Release from './Release.js';
+import { authenticateToken, optionalAuth } from '../auth/index.js';
+import { checkApiKey, checkOrigin } from '../../middleware/apiKey.js';
+import {
+  uploadTrackFiles,
+  uploadToCloudinary,
+} from '../../config/cloudinary.js';
+import { cacheMiddleware } from '../../middleware/cache.js';
+import { invalidateRouteCache } from '../../utils/cacheHelper.js';
+import {
+  isValidDate,
+  isValidObjectId,
+  isValidPositiveNumber,
+} from '../../utils/validation.js';
+import {
+  RELEASE_TYPES,
+  RELEASE_STATUSES,
+  CLOUDINARY_FOLDERS,
+} from '../../utils/constants.js';
+import {
+  PUBLIC_RELEASE_FILTER,
+  PUBLIC_RELEASE_TRACK_FIELDS,
+  isReleasePublic,
+  validateReleaseTracks,
+  toPublicRelease,
+} from './releaseService.js';
+
+const router = express.Router();
+
+// Track fields shown to admins when editing a release
+const ADMIN_RELEASE_TRACK_FIELDS = `${PUBLIC_RELEASE_TRACK_FIELDS} saleCount`;
+
+// Escape user input before using it inside a MongoDB $regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Validate artwork URL (must be uploaded first, no base64)
+const validateArtwork = (artwork) => {
+  if (!artwork || typeof artwork !== 'string') {
+    return 'Artwork URL is required';
+  }
+  if (artwork.startsWith('data:')) {
+    return 'Base64 data is not allowed. Please upload artwork first using /api/releases/upload/artwork, then use the returned URL.';
+  }
+  if (!artwork.startsWith('http://') && !artwork.startsWith('https://')) {
+    return 'Invalid artwork URL format. Must be a valid HTTP/HTTPS URL.';
+  }
+  return null;
+};
+
+// Validate the optional fields shared by create and update
+const validateReleaseFields = ({ type, status, price, releaseDate, description }) => {
+  if (type !== undefined && !RELEASE_TYPES.includes(type)) {
+    return `Type must be one of: ${RELEASE_TYPES.join(', ')}`;
+  }
+  if (status !== undefined && !RELEASE_STATUSES.includes(status)) {
+    return `Status must be one of: ${RELEASE_STATUSES.join(', ')}`;
+  }
+  if (price !== undefined && !isValidPositiveNumber(price)) {
+    return 'Price must be a valid positive number';
+  }
+  if (releaseDate !== undefined && !isValidDate(releaseDate)) {
+    return 'Release date must be a valid date';
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return 'Description must be a string';
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /releases/upload/artwork:
+ *   post:
+ *     summary: Upload release artwork (🔒 ADMIN ONLY)
+ *     tags: [Releases]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Upload the cover artwork for a release. Returns Cloudinary URL.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - artwork
+ *             properties:
+ *               artwork:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image file (jpg, jpeg, png, webp) - max 5MB
+ *     responses:
+ *       200:
+ *         description: Artwork uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                   format: uri
+ *       400:
+ *         description: No file provided or invalid file type
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       500:
+ *         description: Server error
+ */
+// Upload release artwork (protected) - Returns Cloudinary URL
+router.post(
+  '/upload/artwork',
+  authenticateToken,
+  uploadTrackFiles.single('artwork'),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'No artwork file provided' });
+      }
+
+      if (!req.file.mimetype.startsWith('image/')) {
+        return res
+          .status(400)
+          .json({ message: 'Only image files are allowed for artwork' });
+      }
+
+      // Check Cloudinary configuration
+      if (
+        !process.env.CLOUDINARY_CLOUD_NAME ||
+        !process.env.CLOUDINARY_API_KEY ||
+        !process.env.CLOUDINARY_API_SECRET
+      ) {
+        return res.status(500).json({
+          message:
+            'Cloudinary configuration is missing. Please check your environment variables.',
+          error:
+            'Missing CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, or CLOUDINARY_API_SECRET',
+        });
+      }
+
+      const artworkUrl = await uploadToCloudinary(
+        req.file,
+        CLOUDINARY_FOLDERS.RELEASES,
+        'image',
+      );
+
+      res.json({ url: artworkUrl });
+    } catch (error) {
+      res.status(500).json({
+        message: 'Error uploading artwork',
+        error:
+          process.env.NODE_ENV === 'development'
+            ? error.message
+            : 'Failed to upload artwork. Please check server logs.',
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /releases:
+ *   get:
+ *     summary: List releases (🌐 PUBLIC / 🔒 ADMIN)
+ *     tags: [Releases]
+ *     description: |
+ *       **Access Level:**
+ *       - 🌐 **PUBLIC**: Published releases only. Tracks that are not publicly available are left out and audio URLs are never included.
+ *       - 🔒 **ADMIN**: Every status, optional status filter
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive title search
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [album, ep, single, bundle]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, published, archived]
+ *         description: Filter by status (admins only)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated list of releases
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Release'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     hasNext:
+ *                       type: boolean
+ *                     hasPrev:
+ *                       type: boolean
+ *       400:
+ *         description: Invalid filter
+ */
+// List releases (PUBLIC - with optional API key or origin check)
+router.get(
+  '/',
+  optionalAuth,
+  async (req, res, next) => {
+    // Bypass cache if nocache query parameter is present or if user is admin
+    if (req.query.nocache === 'true' || req.user?.role === 'admin') {
+      return next();
+    }
+    return cacheMiddleware.medium(req, res, next);
+  },
+  checkApiKey,
+  checkOrigin,
+  async (req, res) => {
+    try {
+      const { search, type, status } = req.query;
+      const isAdmin = req.user && req.user.role === 'admin';
+
+      if (type !== undefined && !RELEASE_TYPES.includes(type)) {
+        return res.status(400).json({
+          message: `Type must be one of: ${RELEASE_TYPES.join(', ')}`,
+        });
+      }
+      if (
+        isAdmin &&
+        status !== undefined &&
+        !RELEASE_STATUSES.includes(status)
+      ) {
+        return res.status(400).json({
+          message: `Status must be one of: ${RELEASE_STATUSES.join(', ')}`,
+        });
+      }
+
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+      const skip = (page - 1) * limit;
+
+      // Public users only ever see published releases
+      const query = isAdmin
+        ? status
+          ? { status }
+          : {}
+        : { ...PUBLIC_RELEASE_FILTER };
+      if (type) {
+        query.type = type;
+      }
+      if (search && search.trim() !== '') {
+        query.title = { $regex: escapeRegex(search.trim()), $options: 'i' };
+      }
+
+      const [total, releases] = await Promise.all([
+        Release.countDocuments(query),
+        Release.find(query)
+          .sort({ releaseDate: -1, createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .populate(
+            'tracks',
+            isAdmin ? ADMIN_RELEASE_TRACK_FIELDS : PUBLIC_RELEASE_TRACK_FIELDS,
+          )
+          .lean(),
+      ]);
+
+      const items = isAdmin ? releases : releases.map(toPublicRelease);
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        items,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: 'Error fetching releases',
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /releases/{id}:
+ *   get:
+ *     summary: Get single release (🌐 PUBLIC / 🔒 ADMIN)
+ *     tags: [Releases]
+ *     description: |
+ *       **Access Level:**
+ *       - 🌐 **PUBLIC**: Published releases only, with their publicly available tracks in order
+ *       - 🔒 **ADMIN**: Any status
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Release details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Release'
+ *       404:
+ *         description: Release not found
+ */
+// Get single release (PUBLIC - with optional API key or origin check)
+router.get(
+  '/:id',
+  optionalAuth,
+  checkApiKey,
+  checkOrigin,
+  async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Release not found' });
+      }
+
+      const isAdmin = req.user && req.user.role === 'admin';
+      const release = await Release.findById(req.params.id)
+        .populate(
+          'tracks',
+          isAdmin ? ADMIN_RELEASE_TRACK_FIELDS : PUBLIC_RELEASE_TRACK_FIELDS,
+        )
+        .lean();
+
+      // Unpublished releases don't exist for the public
+      if (!release || (!isAdmin && !isReleasePublic(release))) {
+        return res.status(404).json({ message: 'Release not found' });
+      }
+
+      res.json(isAdmin ? release : toPublicRelease(release));
+    } catch (error) {
+      res.status(500).json({
+        message: 'Error fetching release',
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /releases:
+ *   post:
+ *     summary: Create release (🔒 ADMIN ONLY)
+ *     tags: [Releases]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Create an album, EP, single or bundle from existing tracks.
+ *       The order of `tracks` is the play order. One purchase of the release grants access to every track in it.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - artwork
+ *               - tracks
+ *               - price
+ *               - releaseDate
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Night Drive EP"
+ *               type:
+ *                 type: string
+ *                 enum: [album, ep, single, bundle]
+ *                 default: album
+ *               artwork:
+ *                 type: string
+ *                 format: uri
+ *                 description: Artwork URL from /api/releases/upload/artwork
+ *               description:
+ *                 type: string
+ *               tracks:
+ *                 type: array
+ *                 description: Track IDs in play order
+ *                 items:
+ *                   type: string
+ *               price:
+ *                 type: number
+ *                 description: Bundle price in BDT
+ *                 example: 500
+ *               releaseDate:
+ *                 type: string
+ *                 format: date
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published, archived]
+ *                 default: published
+ *     responses:
+ *       201:
+ *         description: Release created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Release'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+// Create release (protected) - Only accepts URLs, not files
+router.post('/', authenticateToken, async (req, res) => {
+  invalidateRouteCache('releases');
+  try {
+    const {
+      title,
+      type,
+      artwork,
+      description,
+      tracks,
+      price,
+      releaseDate,
+      status,
+    } = req.body;
+
+    if (!title || typeof title !== 'string' || title.trim() === '') {
+      return res.status(400).json({ message: 'Title is required' });
+    }
+
+    const artworkError = validateArtwork(artwork);
+    if (artworkError) {
+      return res.status(400).json({ message: artworkError });
+    }
+
+    if (price === undefined || price === null || price === '') {
+      return res.status(400).json({ message: 'Valid price is required' });
+    }
+
+    if (!releaseDate) {
+      return res.status(400).json({ message: 'Release date is required' });
+    }
+
+    const fieldError = validateReleaseFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const trackResult = await validateReleaseTracks(tracks);
+    if (trackResult.error) {
+      return res.status(400).json({ message: trackResult.error });
+    }
+
+    const releaseData = {
+      title: title.trim(),
+      artwork,
+      tracks: trackResult.trackIds,
+      price: parseFloat(price),
+      releaseDate: new Date(releaseDate),
+    };
+    if (type !== undefined) {
+      releaseData.type = type;
+    }
+    if (description !== undefined) {
+      releaseData.description = description.trim();
+    }
+    if (status !== undefined) {
+      releaseData.status = status;
+    }
+
+    const release = new Release(releaseData);
+    await release.save();
+    res.status(201).json(release);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error creating release',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /releases/{id}:
+ *   put:
+ *     summary: Update release (🔒 ADMIN ONLY)
+ *     tags: [Releases]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Update a release. All fields are optional; `tracks` replaces the whole ordered list.
+ *       Earlier bundle buyers keep access to the tracks they paid for.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [album, ep, single, bundle]
+ *               artwork:
+ *                 type: string
+ *                 format: uri
+ *               description:
+ *                 type: string
+ *               tracks:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               price:
+ *                 type: number
+ *               releaseDate:
+ *                 type: string
+ *                 format: date
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published, archived]
+ *     responses:
+ *       200:
+ *         description: Release updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Release'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Release not found
+ */
+// Update release (protected) - Only accepts URLs, not files
+router.put('/:id', authenticateToken, async (req, res) => {
+  invalidateRouteCache('releases');
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Release not found' });
+    }
+
+    const {
+      title,
+      type,
+      artwork,
+      description,
+      tracks,
+      price,
+      releaseDate,
+      status,
+    } = req.body;
+
+    if (
+      title !== undefined &&
+      (typeof title !== 'string' || title.trim() === '')
+    ) {
+      return res
+        .status(400)
+        .json({ message: 'Title must be a non-empty string' });
+    }
+
+    if (artwork !== undefined) {
+      const artworkError = validateArtwork(artwork);
+      if (artworkError) {
+        return res.status(400).json({ message: artworkError });
+      }
+    }
+
+    const fieldError = validateReleaseFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const releaseData = {};
+    if (tracks !== undefined) {
+      const trackResult = await validateReleaseTracks(tracks);
+      if (trackResult.error) {
+        return res.status(400).json({ message: trackResult.error });
+      }
+      releaseData.tracks = trackResult.trackIds;
+    }
+    if (title !== undefined) {
+      releaseData.title = title.trim();
+    }
+    if (type !== undefined) {
+      releaseData.type = type;
+    }
+    if (artwork !== undefined) {
+      releaseData.artwork = artwork;
+    }
+    if (description !== undefined) {
+      releaseData.description = description.trim();
+    }
+    if (price !== undefined) {
+      releaseData.price = parseFloat(price);
+    }
+    if (releaseDate !== undefined) {
+      releaseData.releaseDate = new Date(releaseDate);
+    }
+    if (status !== undefined) {
+      releaseData.status = status;
+    }
+
+    const release = await Release.findByIdAndUpdate(
+      req.params.id,
+      releaseData,
+      { new: true, runValidators: true },
+    );
+
+    if (!release) {
+      return res.status(404).json({ message: 'Release not found' });
+    }
+
+    res.json(release);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error updating release',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /releases/{id}:
+ *   delete:
+ *     summary: Delete release (🔒 ADMIN ONLY)
+ *     tags: [Releases]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Delete a release. Its tracks are not deleted and earlier bundle buyers keep access to them.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Release deleted successfully
+ *       404:
+ *         description: Release not found
+ */
+// Delete release (protected)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  invalidateRouteCache('releases');
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Release not found' });
+    }
+    const release = await Release.findByIdAndDelete(req.params.id);
+    if (!release) {
+      return res.status(404).json({ message: 'Release not found' });
+    }
+    res.json({ message: 'Release deleted successfully' });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error deleting release',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { PAYMENT_STATUSES } from '../../utils/constants.js';
+import { logger } from '../../utils/logger.js';
 
 /**
  * Generate a unique sale serial ID (orderId)
@@ -11,6 +13,35 @@ const generateSaleSerialId = () => {
   return `ORDER-${dateStr}-${randomStr}`;
 };
 
+// Snapshot of the license tier that was bought
+// Kept on the sale so later edits to the track's tiers don't change what was sold
+const saleLicenseSchema = new mongoose.Schema(
+  {
+    licenseId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    licenseType: {
+      type: String,
+      trim: true,
+    },
+    usageTerms: {
+      type: String,
+      default: '',
+    },
+    files: [
+      {
+        label: String,
+        url: String,
+      },
+    ],
+  },
+  { _id: false },
+);
+
 const saleSchema = new mongoose.Schema(
   {
     saleSerialId: {
@@ -20,33 +51,80 @@ const saleSchema = new mongoose.Schema(
       trim: true,
       default: generateSaleSerialId,
     },
+    // Single track sales reference the track; bundle sales reference the release
     trackId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Track',
-      required: true,
+      required: function () {
+        return !this.releaseId;
+      },
     },
+    // Title of what was bought (the release title for bundle sales)
     trackTitle: {
       type: String,
       required: true,
     },
+    releaseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Release',
+      index: true,
+    },
+    // Every track a bundle sale grants access to (captured at purchase time)
+    trackIds: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Track',
+        },
+      ],
+      default: undefined,
+      index: true,
+    },
     price: {
       type: Number,
       required: true,
       min: 0,
     },
+    license: {
+      type: saleLicenseSchema,
+      default: undefined,
+    },
     // Buyer information removed - tracking by saleSerialId only
     paymentStatus: {
       type: String,
-      enum: ['pending', 'completed', 'failed', 'refunded'],
+      enum: PAYMENT_STATUSES,
       default: 'pending',
     },
+    // Sum of the sale's refunds (see Refund); never more than the price
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     paymentMethod: {
       type: String,
       trim: true,
     },
+    // Unique so a payment can't be recorded twice, even by concurrent callbacks
     transactionId: {
       type: String,
       trim: true,
+      unique: true,
+      sparse: true,
+    },
+    // Gateway payment ID of checkout sales - payment callbacks are keyed on it
+    paymentId: {
+      type: String,
+      trim: true,
+      unique: true,
+      sparse: true,
+    },
+    // Exclusive sale paid after the track went exclusively to this other sale;
+    // the buyer can't have the license and has to be refunded
+    exclusiveConflictWith: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sale',
+      index: true,
     },
   },
   {
@@ -64,4 +142,14 @@ saleSchema.pre('save', function (next) {
 
 const Sale = mongoose.model('Sale', saleSchema);
 
+// Duplicate sales from before the unique indexes existed keep them from being
+// built, and autoIndex only reports that through this event
+Sale.on('index', (error) => {
+  if (error) {
+    logger.error('Sale indexes could not be built - run npm run dedupe:sales', {
+      error: error.message,
+    });
+  }
+});
+
 export default Sale;
@@ -2,11 +2,41 @@ import express from 'express';
 import Sale from './Sale.js';
 import Track from '../tracks/Track.js';
 import { updateTrackStatistics } from '../tracks/trackStatistics.js';
+import {
+  hashVisitorId,
+  recordTrackEventSafely,
+} from '../tracks/trackEvents.js';
 import { checkApiKey, checkOrigin } from '../../middleware/apiKey.js';
 import { authenticateToken } from '../auth/index.js';
+import { proxyRemoteMedia } from '../../utils/mediaProxy.js';
+import { isTrackPublic } from '../tracks/trackPublisher.js';
+import { recordSaleLedgerEntries } from '../payments/revenueLedger.js';
+import {
+  recordSaleRefund,
+  getRefundableAmount,
+  getSaleRefunds,
+} from '../payments/saleRefunds.js';
+import {
+  resolvePurchaseLicense,
+  buildSaleLicense,
+  getSaleLicenseFiles,
+} from '../tracks/trackLicenses.js';
+import {
+  isTrackSoldExclusively,
+  retireTrackAfterExclusiveSale,
+} from '../tracks/exclusiveSales.js';
+import { isDuplicateKeyError } from '../../utils/validation.js';
+import { PAID_SALE_STATUSES } from '../../utils/constants.js';
 
 const router = express.Router();
 
+// Sold tracks stay visible on their sales after being moved to the trash
+const SALE_TRACK_POPULATE = {
+  path: 'trackId',
+  select: 'title thumbnail price category',
+  options: { withDeleted: true },
+};
+
 /**
  * @swagger
  * /sales:
@@ -34,7 +64,8 @@ const router = express.Router();
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const sales = await Sale.find()
-      .populate('trackId', 'title thumbnail price category')
+      .populate(SALE_TRACK_POPULATE)
+      .populate('releaseId', 'title artwork type price')
       .sort({ createdAt: -1 });
     res.json(sales);
   } catch (error) {
@@ -79,7 +110,7 @@ router.get('/', authenticateToken, async (req, res) => {
 router.get('/track/:trackId', authenticateToken, async (req, res) => {
   try {
     const sales = await Sale.find({ trackId: req.params.trackId })
-      .populate('trackId', 'title thumbnail price category')
+      .populate(SALE_TRACK_POPULATE)
       .sort({ createdAt: -1 });
     res.json(sales);
   } catch (error) {
@@ -101,6 +132,13 @@ router.get('/track/:trackId', authenticateToken, async (req, res) => {
  *
  *       Download a purchased track using the sale serial ID (orderId).
  *       Only available for completed payments.
+ *       Supports single byte ranges (`Range: bytes=start-`) so interrupted downloads can resume.
+ *
+ *       Serves the files of the license tier that was bought. When the license includes
+ *       more than one file and no `file` is given, a JSON list of download links is returned.
+ *
+ *       Release (bundle) orders cover several tracks: without `track` a JSON list of the
+ *       tracks in the order is returned, with `track` that track's audio is downloaded.
  *     security:
  *       - apiKey: []
  *     parameters:
@@ -110,6 +148,23 @@ router.get('/track/:trackId', authenticateToken, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Sale Serial ID (Order ID) for tracking
+ *       - in: query
+ *         name: file
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Index of the license file to download (see the file list)
+ *       - in: query
+ *         name: track
+ *         schema:
+ *           type: string
+ *         description: Track ID to download from a release order (see the track list)
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *           example: bytes=1048576-
+ *         description: Single byte range to resume from
  *     responses:
  *       200:
  *         description: Track file download
@@ -118,10 +173,49 @@ router.get('/track/:trackId', authenticateToken, async (req, res) => {
  *             schema:
  *               type: string
  *               format: binary
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               description: File list for licenses with several deliverables, or track list for release orders
+ *               properties:
+ *                 saleSerialId:
+ *                   type: string
+ *                 releaseTitle:
+ *                   type: string
+ *                 tracks:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       trackId:
+ *                         type: string
+ *                       position:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       downloadUrl:
+ *                         type: string
+ *                 license:
+ *                   type: object
+ *                 files:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                       label:
+ *                         type: string
+ *                       downloadUrl:
+ *                         type: string
+ *       206:
+ *         description: Partial file for the requested range (see Content-Range)
  *       403:
  *         description: Payment not completed or access denied
  *       404:
- *         description: Sale not found
+ *         description: Sale not found, or track not part of the order
+ *       416:
+ *         description: Requested range not satisfiable
  */
 // Download track after payment success (PUBLIC) - Must be before /:id route
 router.get(
@@ -133,7 +227,10 @@ router.get(
       const { saleSerialId } = req.params;
 
       // Find sale by saleSerialId
-      const sale = await Sale.findOne({ saleSerialId }).populate('trackId');
+      const sale = await Sale.findOne({ saleSerialId }).populate({
+        path: 'trackId',
+        options: { withDeleted: true },
+      });
 
       if (!sale) {
         return res.status(404).json({
@@ -142,7 +239,7 @@ router.get(
       }
 
       // Verify payment is completed
-      if (sale.paymentStatus !== 'completed') {
+      if (!PAID_SALE_STATUSES.includes(sale.paymentStatus)) {
         return res.status(403).json({
           message:
             'Download is only available for completed payments. Current status: ' +
@@ -150,52 +247,111 @@ router.get(
         });
       }
 
-      // Get track details
-      const track = await Track.findById(sale.trackId);
+      const downloadPath = `/api/sales/download/${sale.saleSerialId}`;
+      const { file, track: selectedTrackId } = req.query;
+      let trackId = sale.trackId;
+
+      // Release orders cover several tracks - list them unless one was picked
+      if (sale.releaseId) {
+        const trackIds = (sale.trackIds || []).map((id) => String(id));
+
+        if (selectedTrackId === undefined) {
+          const tracks = await Track.find({ _id: { $in: trackIds } })
+            .select('title')
+            .withDeleted();
+          const titles = new Map(
+            tracks.map((track) => [String(track._id), track.title]),
+          );
+          return res.json({
+            saleSerialId: sale.saleSerialId,
+            releaseTitle: sale.trackTitle,
+            tracks: trackIds
+              .filter((id) => titles.has(id))
+              .map((id, index) => ({
+                trackId: id,
+                position: index + 1,
+                title: titles.get(id),
+                downloadUrl: `${downloadPath}?track=${id}`,
+              })),
+          });
+        }
+
+        if (!trackIds.includes(selectedTrackId)) {
+          return res
+            .status(404)
+            .json({ message: 'Track is not part of this order' });
+        }
+        trackId = selectedTrackId;
+      }
+
+      // Get track details - buyers keep access after the track is deleted
+      const track = await Track.findById(trackId).withDeleted();
       if (!track) {
         return res.status(404).json({ message: 'Track not found' });
       }
 
-      if (!track.audio) {
+      // Files included in the license that was bought (main audio for legacy and release sales)
+      const files = getSaleLicenseFiles(sale, track);
+      if (files.length === 0) {
         return res.status(404).json({ message: 'Audio file not available' });
       }
 
-      // Fetch audio file from Cloudinary
-      try {
-        const audioResponse = await fetch(track.audio);
+      // Several deliverables - list them unless one was picked
+      if (file === undefined && files.length > 1) {
+        return res.json({
+          saleSerialId: sale.saleSerialId,
+          trackTitle: track.title,
+          license: sale.license
+            ? {
+                name: sale.license.name,
+                licenseType: sale.license.licenseType,
+                usageTerms: sale.license.usageTerms,
+              }
+            : null,
+          files: files.map(({ label }, index) => ({
+            index,
+            label,
+            downloadUrl: sale.releaseId
+              ? `${downloadPath}?track=${trackId}&file=${index}`
+              : `${downloadPath}?file=${index}`,
+          })),
+        });
+      }
 
-        if (!audioResponse.ok) {
-          return res.status(404).json({ message: 'Audio file not found' });
-        }
+      const fileIndex = file === undefined ? 0 : parseInt(file, 10);
+      const selected = files[fileIndex];
+      if (!selected) {
+        return res.status(404).json({ message: 'License file not found' });
+      }
+
+      // Fetch file from Cloudinary (with Range support so downloads can resume)
+      try {
+        const baseName = track.title.replace(/[^a-z0-9]/gi, '_');
+        const extension =
+          /\.([a-z0-9]{2,5})(?:\?|$)/i.exec(selected.url)?.[1] || 'mp3';
+        const fileName =
+          files.length > 1
+            ? `${baseName}_${selected.label.replace(/[^a-z0-9]/gi, '_')}`
+            : baseName;
+        const contentDisposition = `attachment; filename="${fileName}.${extension}"`;
 
-        // Set headers for file download
-        const contentDisposition = `attachment; filename="${track.title.replace(
-          /[^a-z0-9]/gi,
-          '_',
-        )}.mp3"`;
-        res.setHeader('Content-Disposition', contentDisposition);
-        res.setHeader(
-          'Content-Type',
-          audioResponse.headers.get('content-type') || 'audio/mpeg',
-        );
-        res.setHeader(
-          'Content-Length',
-          audioResponse.headers.get('content-length') || '',
-        );
-        res.setHeader('X-Order-ID', sale.saleSerialId);
-        res.setHeader('X-Track-Title', track.title);
-
-        // Stream the audio file for download
-        if (
-          audioResponse.body &&
-          typeof audioResponse.body.pipe === 'function'
-        ) {
-          audioResponse.body.pipe(res);
-        } else {
-          // Fallback for older Node.js versions
-          const buffer = await audioResponse.arrayBuffer();
-          res.send(Buffer.from(buffer));
+        // Resumed ranges are part of the same download
+        if (!req.headers.range || /^bytes=0-/.test(req.headers.range)) {
+          await recordTrackEventSafely({
+            trackId: track._id,
+            type: 'download',
+            visitorId: hashVisitorId(`sale:${sale.saleSerialId}`),
+          });
         }
+        await proxyRemoteMedia(req, res, selected.url, {
+          headers: {
+            'Content-Disposition': contentDisposition,
+            'X-Order-ID': sale.saleSerialId,
+            'X-Track-Title': track.title,
+          },
+          defaultContentType:
+            extension === 'mp3' ? 'audio/mpeg' : 'application/octet-stream',
+        });
       } catch (downloadError) {
         res.status(500).json({
           message: 'Error downloading audio file',
@@ -244,10 +400,9 @@ router.get(
 // Get single sale (protected - admin only)
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
-    const sale = await Sale.findById(req.params.id).populate(
-      'trackId',
-      'title thumbnail price category',
-    );
+    const sale = await Sale.findById(req.params.id)
+      .populate(SALE_TRACK_POPULATE)
+      .populate('releaseId', 'title artwork type price');
     if (!sale) {
       return res.status(404).json({ message: 'Sale not found' });
     }
@@ -264,15 +419,20 @@ router.get('/:id', authenticateToken, async (req, res) => {
  * @swagger
  * /sales:
  *   post:
- *     summary: Create sale - Purchase track (🌐 PUBLIC)
+ *     summary: Record a manual sale (🔒 ADMIN ONLY)
  *     tags: [Sales]
  *     description: |
- *       **Access Level: 🌐 PUBLIC**
+ *       **Access Level: 🔒 ADMIN ONLY**
  *
- *       Create a sale record for track purchase. Public endpoint for users to purchase tracks.
+ *       Record a track sale paid outside the payment gateways (cash, bank transfer). The sale is
+ *       `completed` straight away, credits the payees in the ledger and, for an exclusive license,
+ *       takes the track off the market. Buyers pay through POST /payments/{provider}/create instead.
  *       Returns a purchase token that can be used to access the purchased track's audio file.
  *
  *       **Note**: After purchase, use the returned `purchaseToken` to access audio via `/tracks/{id}/audio` endpoint.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -285,11 +445,11 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *               trackId:
  *                 type: string
  *                 description: Track ID to purchase
- *               paymentMethod:
+ *               licenseId:
  *                 type: string
- *               transactionId:
+ *                 description: License tier ID (required when the track offers license tiers)
+ *               paymentMethod:
  *                 type: string
- *                 description: Optional transaction ID
  *     responses:
  *       201:
  *         description: Sale created successfully
@@ -303,11 +463,16 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *                     purchaseToken:
  *                       type: string
  *                       description: Purchase token for accessing audio
+ *       404:
+ *         description: Track not found or not published
+ *       409:
+ *         description: Track has been sold under an exclusive license
  */
-// Create sale (PUBLIC - for track purchases)
-router.post('/', checkApiKey, checkOrigin, async (req, res) => {
+// Record a manual sale (protected - admin only)
+// Sales are completed without a payment, so only admins may create them
+router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { trackId, paymentMethod, transactionId } = req.body;
+    const { trackId, licenseId, paymentMethod } = req.body;
 
     // Validate required fields
     if (!trackId) {
@@ -316,20 +481,37 @@ router.post('/', checkApiKey, checkOrigin, async (req, res) => {
 
     // Find the track
     const track = await Track.findById(trackId);
-    if (!track) {
+
+    // Checked first: retired tracks aren't public either, but they do exist
+    if (isTrackSoldExclusively(track)) {
+      return res.status(409).json({
+        message:
+          'This track has been sold under an exclusive license and is no longer available',
+      });
+    }
+
+    if (!track || !isTrackPublic(track)) {
       return res.status(404).json({ message: 'Track not found' });
     }
 
+    const { license, price, error: licenseError } = resolvePurchaseLicense(
+      track,
+      licenseId,
+    );
+    if (licenseError) {
+      return res.status(400).json({ message: licenseError });
+    }
+
     // Generate purchase token (unique identifier for this purchase)
-    const purchaseToken =
-      transactionId ||
-      `purchase_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+    // Never taken from the request, so gateway transaction IDs can't be claimed
+    const purchaseToken = `purchase_${Date.now()}_${Math.random().toString(36).substring(7)}`;
 
     // Create sale (tracking by serialID only)
     const saleData = {
       trackId: track._id,
       trackTitle: track.title,
-      price: track.price,
+      price,
+      license: buildSaleLicense(license),
       paymentStatus: 'completed', // You can integrate with payment gateway later
       paymentMethod: paymentMethod || 'manual',
       transactionId: purchaseToken,
@@ -339,7 +521,13 @@ router.post('/', checkApiKey, checkOrigin, async (req, res) => {
     await sale.save();
 
     // Update track statistics (saleCount and totalSoldPrice)
-    await updateTrackStatistics(track._id, track.price, 'increment');
+    await updateTrackStatistics(track._id, price, 'increment');
+
+    // Exclusive licenses take the track off the market
+    await retireTrackAfterExclusiveSale(sale);
+
+    // Credit each collaborator's share
+    await recordSaleLedgerEntries(sale);
 
     // Return sale with purchase token for accessing audio
     res.status(201).json({
@@ -350,6 +538,11 @@ router.post('/', checkApiKey, checkOrigin, async (req, res) => {
       downloadUrl: `/api/sales/download/${sale.saleSerialId}`, // Download URL after payment success
     });
   } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return res.status(409).json({
+        message: 'A sale with this transaction ID already exists',
+      });
+    }
     res.status(500).json({
       message: 'Error creating sale',
       error: error.message,
@@ -367,6 +560,8 @@ router.post('/', checkApiKey, checkOrigin, async (req, res) => {
  *       **Access Level: 🔒 ADMIN ONLY**
  *
  *       Update a sale record. Admin-only endpoint for updating payment status, payment method, or transaction ID.
+ *       Setting a paid sale to `refunded` records a refund of what is left on it (see /sales/{id}/refunds);
+ *       `partially_refunded` can't be set directly, and a sale with refunds can only be set to `refunded`.
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
@@ -397,16 +592,50 @@ router.post('/', checkApiKey, checkOrigin, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Sale'
+ *       400:
+ *         description: partially_refunded was set as the status
  *       404:
  *         description: Sale not found
+ *       409:
+ *         description: Another sale has this transaction ID, or the sale has refunds and the status isn't refunded
  */
 // Update sale (protected - admin only)
 router.put('/:id', authenticateToken, async (req, res) => {
   try {
     const { paymentStatus, paymentMethod, transactionId } = req.body;
 
+    // Partial refunds need an amount, so they can't be set as a status
+    if (paymentStatus === 'partially_refunded') {
+      return res.status(400).json({
+        message: 'Record partial refunds with POST /api/sales/{id}/refunds',
+      });
+    }
+
+    const existingSale = await Sale.findById(req.params.id);
+    if (!existingSale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    // A paid sale marked refunded gets a refund of what is left on it
+    const refundInFull =
+      paymentStatus === 'refunded' && getRefundableAmount(existingSale) > 0;
+
+    // Refunds set the status of the sales they are made on, so it stays in
+    // line with refundedAmount and the ledger
+    if (
+      paymentStatus &&
+      paymentStatus !== existingSale.paymentStatus &&
+      existingSale.refundedAmount > 0 &&
+      !refundInFull
+    ) {
+      return res.status(409).json({
+        message:
+          'This sale has refunds - its status follows them and can only be changed to refunded',
+      });
+    }
+
     const saleData = {};
-    if (paymentStatus) {
+    if (paymentStatus && !refundInFull) {
       saleData.paymentStatus = paymentStatus;
     }
     if (paymentMethod) {
@@ -416,19 +645,42 @@ router.put('/:id', authenticateToken, async (req, res) => {
       saleData.transactionId = transactionId;
     }
 
+    if (refundInFull) {
+      const { error } = await recordSaleRefund(existingSale, {
+        amount: getRefundableAmount(existingSale),
+        reason: 'Marked refunded by hand',
+        refundedBy: req.user?.email,
+      });
+      if (error) {
+        return res.status(409).json({ message: error });
+      }
+    }
+
     const sale = await Sale.findByIdAndUpdate(req.params.id, saleData, {
       new: true,
       runValidators: true,
     })
-      .populate('trackId', 'title thumbnail price category')
+      .populate(SALE_TRACK_POPULATE)
+      .populate('releaseId', 'title artwork type price')
       .exec();
 
     if (!sale) {
       return res.status(404).json({ message: 'Sale not found' });
     }
 
+    // Completing an exclusive sale by hand retires the track too
+    await retireTrackAfterExclusiveSale(sale);
+
+    // Sales completed by hand are credited to the payees as well
+    await recordSaleLedgerEntries(sale);
+
     res.json(sale);
   } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return res.status(409).json({
+        message: 'Another sale has this transaction ID',
+      });
+    }
     res.status(500).json({
       message: 'Error updating sale',
       error: error.message,
@@ -436,6 +688,172 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /sales/{id}/refunds:
+ *   get:
+ *     summary: Get refund history of a sale (🔒 ADMIN ONLY)
+ *     tags: [Sales]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Every refund made on the sale, oldest first, with what has been refunded in total and
+ *       what can still be refunded.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Sale ID
+ *     responses:
+ *       200:
+ *         description: Refund history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 saleId:
+ *                   type: string
+ *                 saleSerialId:
+ *                   type: string
+ *                 price:
+ *                   type: number
+ *                 paymentStatus:
+ *                   type: string
+ *                 refundedAmount:
+ *                   type: number
+ *                 refundableAmount:
+ *                   type: number
+ *                 refunds:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Refund'
+ *       404:
+ *         description: Sale not found
+ */
+// Get refund history of a sale (protected - admin only)
+router.get('/:id/refunds', authenticateToken, async (req, res) => {
+  try {
+    const sale = await Sale.findById(req.params.id);
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    const refunds = await getSaleRefunds(sale._id);
+    res.json({
+      saleId: sale._id,
+      saleSerialId: sale.saleSerialId,
+      price: sale.price,
+      paymentStatus: sale.paymentStatus,
+      refundedAmount: sale.refundedAmount || 0,
+      refundableAmount: getRefundableAmount(sale),
+      refunds,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error fetching refunds',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /sales/{id}/refunds:
+ *   post:
+ *     summary: Record a refund made outside a payment gateway (🔒 ADMIN ONLY)
+ *     tags: [Sales]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Records money given back without a gateway (bank transfer, cash, manual sales).
+ *       Gateway payments are refunded with POST /payments/{provider}/refund instead.
+ *       Refunds can be partial and add up to the sale's price at most: the sale becomes
+ *       `partially_refunded`, then `refunded` once nothing is left. The amount is taken off
+ *       the track's revenue and debited from the payees in the ledger.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Sale ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Refund recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 refund:
+ *                   $ref: '#/components/schemas/Refund'
+ *                 sale:
+ *                   $ref: '#/components/schemas/Sale'
+ *       400:
+ *         description: Invalid amount, or more than can still be refunded
+ *       404:
+ *         description: Sale not found
+ */
+// Record a refund made outside a payment gateway (protected - admin only)
+router.post('/:id/refunds', authenticateToken, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    const refundAmount = parseFloat(amount);
+    if (!(refundAmount > 0)) {
+      return res
+        .status(400)
+        .json({ message: 'Refund amount must be greater than 0' });
+    }
+
+    const sale = await Sale.findById(req.params.id);
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    const {
+      sale: refundedSale,
+      refund,
+      error,
+    } = await recordSaleRefund(sale, {
+      amount: refundAmount,
+      reason,
+      refundedBy: req.user?.email,
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.status(201).json({ refund, sale: refundedSale });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error recording refund',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /sales/{id}:
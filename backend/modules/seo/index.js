@@ -0,0 +1,7 @@
+/**
+ * SEO Module
+ * Share preview metadata (Open Graph, Twitter cards, JSON-LD) of public content
+ */
+
+export { default as seoRoutes } from './seoRoutes.js';
+export { SEO_TYPES, buildSeoMetadata, toIsoDuration } from './seoMetadata.js';
@@ -0,0 +1,329 @@
+import Track from '../tracks/Track.js';
+import Gallery from '../gallery/Gallery.js';
+import YouTubeVideo from '../youtube/YouTubeVideo.js';
+import TikTokVideo from '../tiktok/TikTokVideo.js';
+import { isTrackPublic } from '../tracks/trackPublisher.js';
+import {
+  getYouTubeEmbedUrl,
+  getYouTubeThumbnailUrl,
+} from '../youtube/youtubeLinks.js';
+
+// Longest description put in share previews (longer text is cut at a word)
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// Size of the YouTube player in Twitter player cards
+const YOUTUBE_PLAYER_SIZE = { width: 1280, height: 720 };
+
+// Portfolio site the share links point to (read per request, after dotenv has loaded)
+const getSiteUrl = () =>
+  (process.env.PORTFOLIO_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// Shown as og:site_name and as the artist of tracks
+const getSiteName = () => process.env.SITE_NAME || 'Nahid';
+
+/**
+ * Shorten text for a share preview
+ * @param {string} text
+ * @returns {string}
+ */
+export const summarize = (text = '') => {
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  if (flat.length <= MAX_DESCRIPTION_LENGTH) return flat;
+  const cut = flat.slice(0, MAX_DESCRIPTION_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+};
+
+/**
+ * ISO 8601 duration ("PT3M25S") from seconds or a "3:25" / "1:02:03" string
+ * ISO 8601 strings are returned as they are
+ * @param {number|string} value
+ * @returns {string|undefined}
+ */
+export const toIsoDuration = (value) => {
+  if (typeof value === 'string' && /^P/i.test(value.trim())) {
+    return value.trim().toUpperCase();
+  }
+
+  let seconds = value;
+  if (typeof value === 'string') {
+    if (!/^\d+(:\d{1,2}){0,2}$/.test(value.trim())) return undefined;
+    seconds = value
+      .trim()
+      .split(':')
+      .reduce((total, part) => total * 60 + Number(part), 0);
+  }
+  if (!Number.isFinite(seconds) || seconds <= 0) return undefined;
+
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = total % 60;
+  return `PT${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${
+    rest ? `${rest}S` : ''
+  }`;
+};
+
+const toIsoDate = (date) =>
+  date ? new Date(date).toISOString().slice(0, 10) : undefined;
+
+// Drop empty values so only real tags are rendered
+const compact = (values) =>
+  Object.fromEntries(
+    Object.entries(values).filter(
+      ([, value]) => value !== undefined && value !== null && value !== '',
+    ),
+  );
+
+const describeTrack = (track) =>
+  summarize(
+    [
+      track.category && `${track.category} track`,
+      track.bpm && `${track.bpm} BPM`,
+      track.key,
+      track.tags?.length > 0 && track.tags.join(', '),
+    ]
+      .filter(Boolean)
+      .join(' · ') || `${track.title} by ${getSiteName()}`,
+  );
+
+/**
+ * Share metadata of a published track
+ * @param {Object} track - Lean track
+ * @param {string} url - Page URL on the portfolio site
+ */
+const buildTrackMetadata = (track, url) => {
+  const siteName = getSiteName();
+  const description = describeTrack(track);
+  const duration = toIsoDuration(track.duration);
+
+  return {
+    title: track.title,
+    description,
+    image: track.thumbnail,
+    openGraph: compact({
+      'og:type': 'music.song',
+      'og:title': track.title,
+      'og:description': description,
+      'og:url': url,
+      'og:image': track.thumbnail,
+      'og:site_name': siteName,
+      'og:audio': track.previewAudio,
+      'og:audio:type': track.previewAudio ? 'audio/mpeg' : undefined,
+      'music:duration': track.duration ? Math.round(track.duration) : undefined,
+      'music:release_date': toIsoDate(track.releaseDate),
+      'music:musician': siteName,
+    }),
+    twitter: compact({
+      'twitter:card': 'summary_large_image',
+      'twitter:title': track.title,
+      'twitter:description': description,
+      'twitter:image': track.thumbnail,
+    }),
+    jsonLd: compact({
+      '@context': 'https://schema.org',
+      '@type': 'MusicRecording',
+      name: track.title,
+      url,
+      image: track.thumbnail,
+      description,
+      duration,
+      datePublished: toIsoDate(track.releaseDate),
+      genre: track.category,
+      keywords: track.tags?.length > 0 ? track.tags.join(', ') : undefined,
+      byArtist: { '@type': 'MusicGroup', name: siteName },
+      audio: track.previewAudio
+        ? {
+            '@type': 'AudioObject',
+            contentUrl: track.previewAudio,
+            encodingFormat: 'audio/mpeg',
+            duration,
+          }
+        : undefined,
+      offers: compact({
+        '@type': 'Offer',
+        price: track.price,
+        priceCurrency: 'BDT',
+        availability: 'https://schema.org/InStock',
+        url,
+      }),
+    }),
+  };
+};
+
+/**
+ * Share metadata of a YouTube video (played in place by Twitter player cards)
+ * @param {Object} video - Lean YouTube video
+ * @param {string} url - Page URL on the portfolio site
+ */
+const buildYouTubeMetadata = (video, url) => {
+  const description = summarize(video.description) || video.title;
+  const image = video.thumbnail || getYouTubeThumbnailUrl(video.videoUrl);
+  const embedUrl = getYouTubeEmbedUrl(video.videoUrl);
+
+  return {
+    title: video.title,
+    description,
+    image,
+    openGraph: compact({
+      'og:type': 'video.other',
+      'og:title': video.title,
+      'og:description': description,
+      'og:url': url,
+      'og:image': image,
+      'og:site_name': getSiteName(),
+      'og:video': embedUrl,
+      'og:video:type': embedUrl ? 'text/html' : undefined,
+      'og:video:width': embedUrl ? YOUTUBE_PLAYER_SIZE.width : undefined,
+      'og:video:height': embedUrl ? YOUTUBE_PLAYER_SIZE.height : undefined,
+    }),
+    twitter: compact({
+      'twitter:card': embedUrl ? 'player' : 'summary_large_image',
+      'twitter:title': video.title,
+      'twitter:description': description,
+      'twitter:image': image,
+      'twitter:player': embedUrl,
+      'twitter:player:width': embedUrl ? YOUTUBE_PLAYER_SIZE.width : undefined,
+      'twitter:player:height': embedUrl
+        ? YOUTUBE_PLAYER_SIZE.height
+        : undefined,
+    }),
+    jsonLd: compact({
+      '@context': 'https://schema.org',
+      '@type': 'VideoObject',
+      name: video.title,
+      description,
+      url,
+      thumbnailUrl: image,
+      uploadDate: new Date(video.createdAt).toISOString(),
+      duration: toIsoDuration(video.duration),
+      embedUrl,
+      sameAs: video.videoUrl,
+    }),
+  };
+};
+
+/**
+ * Share metadata of a TikTok video (the uploaded MP4 is linked directly)
+ * @param {Object} video - Lean TikTok video
+ * @param {string} url - Page URL on the portfolio site
+ */
+const buildTikTokMetadata = (video, url) => {
+  const description = summarize(video.description) || video.title;
+
+  return {
+    title: video.title,
+    description,
+    image: video.thumbnail,
+    openGraph: compact({
+      'og:type': 'video.other',
+      'og:title': video.title,
+      'og:description': description,
+      'og:url': url,
+      'og:image': video.thumbnail,
+      'og:site_name': getSiteName(),
+      'og:video': video.videoUrl,
+      'og:video:type': 'video/mp4',
+    }),
+    twitter: compact({
+      'twitter:card': 'summary_large_image',
+      'twitter:title': video.title,
+      'twitter:description': description,
+      'twitter:image': video.thumbnail,
+    }),
+    jsonLd: compact({
+      '@context': 'https://schema.org',
+      '@type': 'VideoObject',
+      name: video.title,
+      description,
+      url,
+      thumbnailUrl: video.thumbnail,
+      uploadDate: new Date(video.createdAt).toISOString(),
+      contentUrl: video.videoUrl,
+      sameAs: video.tiktokLink,
+    }),
+  };
+};
+
+/**
+ * Share metadata of a gallery image
+ * @param {Object} image - Lean gallery image
+ * @param {string} url - Page URL on the portfolio site
+ */
+const buildGalleryMetadata = (image, url) => {
+  const siteName = getSiteName();
+  const description = summarize(image.caption);
+  const title = description || siteName;
+
+  return {
+    title,
+    description,
+    image: image.src,
+    openGraph: compact({
+      'og:type': 'website',
+      'og:title': title,
+      'og:description': description,
+      'og:url': url,
+      'og:image': image.src,
+      'og:site_name': siteName,
+    }),
+    twitter: compact({
+      'twitter:card': 'summary_large_image',
+      'twitter:title': title,
+      'twitter:description': description,
+      'twitter:image': image.src,
+    }),
+    jsonLd: compact({
+      '@context': 'https://schema.org',
+      '@type': 'ImageObject',
+      name: title,
+      caption: description,
+      contentUrl: image.src,
+      url,
+      uploadDate: new Date(image.createdAt).toISOString(),
+      creator: { '@type': 'Person', name: siteName },
+    }),
+  };
+};
+
+// Content with share metadata: model, page path on the portfolio site, whether
+// an item is public and how its metadata is built
+export const SEO_TYPES = {
+  track: {
+    model: Track,
+    path: 'tracks',
+    isPublic: isTrackPublic,
+    build: buildTrackMetadata,
+  },
+  youtube: {
+    model: YouTubeVideo,
+    path: 'videos/youtube',
+    isPublic: () => true,
+    build: buildYouTubeMetadata,
+  },
+  tiktok: {
+    model: TikTokVideo,
+    path: 'videos/tiktok',
+    isPublic: () => true,
+    build: buildTikTokMetadata,
+  },
+  gallery: {
+    model: Gallery,
+    path: 'gallery',
+    isPublic: () => true,
+    build: buildGalleryMetadata,
+  },
+};
+
+/**
+ * Open Graph, Twitter card and JSON-LD data of a public item
+ * @param {string} type - Key of SEO_TYPES
+ * @param {Object} item - Document or lean object
+ * @returns {Object} { type, slug, url, title, description, image, openGraph, twitter, jsonLd }
+ */
+export const buildSeoMetadata = (type, item) => {
+  const { path, build } = SEO_TYPES[type];
+  const doc = typeof item.toObject === 'function' ? item.toObject() : item;
+  const url = `${getSiteUrl()}/${path}/${encodeURIComponent(doc.slug)}`;
+  return { type, slug: doc.slug, url, ...build(doc, url) };
+};
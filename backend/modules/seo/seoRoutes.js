@@ -0,0 +1,90 @@
+import express from 'express';
+import { optionalAuth } from '../auth/index.js';
+import { checkApiKey, checkOrigin } from '../../middleware/apiKey.js';
+import { publishScheduledTracks } from '../tracks/trackPublisher.js';
+import { currentSlugUrl } from '../../utils/slug.js';
+import { SEO_TYPES, buildSeoMetadata } from './seoMetadata.js';
+
+const router = express.Router();
+
+const TYPE_NAMES = Object.keys(SEO_TYPES);
+
+/**
+ * @swagger
+ * /seo/{type}/{slug}:
+ *   get:
+ *     summary: Share preview metadata of a public item (🌐 PUBLIC)
+ *     tags: [SEO]
+ *     description: |
+ *       **Access Level: 🌐 PUBLIC**
+ *
+ *       Open Graph and Twitter card tags plus JSON-LD (MusicRecording for tracks, VideoObject
+ *       for YouTube and TikTok videos, ImageObject for gallery images) of a track, video or
+ *       gallery image, for the portfolio site to render in the page head. Links point to
+ *       PORTFOLIO_URL. A slug the item had before a rename answers with a 301 redirect to the
+ *       current slug. Unpublished tracks return 404 unless the user is an admin.
+ *     security:
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [track, youtube, tiktok, gallery]
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Share metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SeoMetadata'
+ *       301:
+ *         description: Old slug - redirects to the current one
+ *       400:
+ *         description: Invalid type
+ *       404:
+ *         description: Item not found
+ */
+// Get share metadata by slug (PUBLIC - with optional API key or origin check)
+router.get(
+  '/:type/:slug',
+  optionalAuth,
+  publishScheduledTracks,
+  checkApiKey,
+  checkOrigin,
+  async (req, res) => {
+    try {
+      const { type, slug } = req.params;
+      const seoType = SEO_TYPES[type];
+      if (!seoType) {
+        return res
+          .status(400)
+          .json({ message: `Type must be one of: ${TYPE_NAMES.join(', ')}` });
+      }
+
+      const { document: item, renamed } = await seoType.model.findBySlug(slug);
+      const isAdmin = req.user && req.user.role === 'admin';
+      if (!item || (!isAdmin && !seoType.isPublic(item))) {
+        return res.status(404).json({ message: 'Item not found' });
+      }
+      if (renamed) {
+        return res.redirect(301, currentSlugUrl(req, item.slug));
+      }
+
+      res.json(buildSeoMetadata(type, item));
+    } catch (error) {
+      res.status(500).json({
+        message: 'Error building share metadata',
+        error: error.message,
+      });
+    }
+  },
+);
+
+export default router;
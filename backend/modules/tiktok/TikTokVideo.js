@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '../../utils/softDelete.js';
+import { displayOrderPlugin } from '../../utils/displayOrder.js';
+import { slugPlugin } from '../../utils/slug.js';
 
 const tiktokVideoSchema = new mongoose.Schema(
   {
@@ -33,6 +36,15 @@ const tiktokVideoSchema = new mongoose.Schema(
   },
 );
 
+// Deleted documents stay in the trash until they are restored or purged
+tiktokVideoSchema.plugin(softDeletePlugin);
+
+// Featured videos first, then the admin's manual order (newest first until reordered)
+tiktokVideoSchema.plugin(displayOrderPlugin);
+
+// URL slug from the title; renamed slugs keep redirecting
+tiktokVideoSchema.plugin(slugPlugin, { fallback: 'video' });
+
 const TikTokVideo = mongoose.model('TikTokVideo', tiktokVideoSchema);
 
 export default TikTokVideo;
@@ -10,6 +10,8 @@ import {
 import multer from 'multer';
 import { cacheMiddleware } from '../../middleware/cache.js';
 import { invalidateRouteCache } from '../../utils/cacheHelper.js';
+import { uploadUnlessDuplicate, isForcedUpload } from '../media/index.js';
+import { currentSlugUrl } from '../../utils/slug.js';
 
 const router = express.Router();
 
@@ -56,6 +58,12 @@ const uploadThumbnail = multer({
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Upload even if the same file (or a near-identical image) was already uploaded
  *     requestBody:
  *       required: true
  *       content:
@@ -81,6 +89,8 @@ const uploadThumbnail = multer({
  *                   type: string
  *                   format: uri
  *                   description: Cloudinary URL of uploaded video
+ *                 duplicate:
+ *                   $ref: '#/components/schemas/DuplicateMedia'
  *       400:
  *         description: No file provided or invalid file type
  *       401:
@@ -130,29 +140,44 @@ router.post(
         });
       }
 
-      // Upload to Cloudinary
-      const videoUrl = await uploadToCloudinary(
+      // Upload to Cloudinary unless the video is already there
+      const { url: videoUrl, duplicate } = await uploadUnlessDuplicate(
         req.file,
-        'nahid-admin/tiktok/videos',
-        'video',
+        {
+          folder: 'nahid-admin/tiktok/videos',
+          force: isForcedUpload(req),
+          upload: () =>
+            uploadToCloudinary(req.file, 'nahid-admin/tiktok/videos', 'video'),
+        },
       );
 
-      // Generate thumbnail from video (extract frame at 1 second)
+      // A duplicate keeps the thumbnail of the entry that already uses it
       let thumbnailUrl = '';
-      try {
-        thumbnailUrl = await generateVideoThumbnail(
-          videoUrl,
-          'nahid-admin/tiktok/thumbnails',
-          720, // Max width for TikTok thumbnails (9:16 aspect ratio)
-          1280, // Max height
-        );
-      } catch (thumbnailError) {
-        // If thumbnail generation fails, continue without thumbnail
-        console.error('Error generating thumbnail:', thumbnailError);
-        // Don't fail the upload if thumbnail generation fails
+      if (duplicate) {
+        const existing = await TikTokVideo.findOne({ videoUrl })
+          .withDeleted()
+          .select('thumbnail')
+          .lean();
+        thumbnailUrl = existing?.thumbnail || '';
       }
 
-      res.json({ url: videoUrl, thumbnail: thumbnailUrl });
+      // Generate thumbnail from video (extract frame at 1 second)
+      if (!thumbnailUrl) {
+        try {
+          thumbnailUrl = await generateVideoThumbnail(
+            videoUrl,
+            'nahid-admin/tiktok/thumbnails',
+            720, // Max width for TikTok thumbnails (9:16 aspect ratio)
+            1280, // Max height
+          );
+        } catch (thumbnailError) {
+          // If thumbnail generation fails, continue without thumbnail
+          console.error('Error generating thumbnail:', thumbnailError);
+          // Don't fail the upload if thumbnail generation fails
+        }
+      }
+
+      res.json({ url: videoUrl, thumbnail: thumbnailUrl, duplicate });
     } catch (error) {
       res.status(500).json({
         message: 'Error uploading TikTok video',
@@ -178,6 +203,12 @@ router.post(
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Upload even if the same file (or a near-identical image) was already uploaded
  *     requestBody:
  *       required: true
  *       content:
@@ -203,6 +234,8 @@ router.post(
  *                   type: string
  *                   format: uri
  *                   description: Cloudinary URL of uploaded thumbnail
+ *                 duplicate:
+ *                   $ref: '#/components/schemas/DuplicateMedia'
  *       400:
  *         description: No file provided or invalid file type
  *       401:
@@ -254,14 +287,23 @@ router.post(
 
       // Upload to Cloudinary with optimization
       // Automatically converts to AVIF/WebP format with lossless compression
-      const thumbnailUrl = await uploadOptimizedImage(
+      const { url: thumbnailUrl, duplicate } = await uploadUnlessDuplicate(
         req.file,
-        'nahid-admin/tiktok/thumbnails',
-        720, // Max width for TikTok thumbnails (9:16 aspect ratio)
-        1280, // Max height
+        {
+          folder: 'nahid-admin/tiktok/thumbnails',
+          image: true,
+          force: isForcedUpload(req),
+          upload: () =>
+            uploadOptimizedImage(
+              req.file,
+              'nahid-admin/tiktok/thumbnails',
+              720, // Max width for TikTok thumbnails (9:16 aspect ratio)
+              1280, // Max height
+            ),
+        },
       );
 
-      res.json({ url: thumbnailUrl });
+      res.json({ url: thumbnailUrl, duplicate });
     } catch (error) {
       res.status(500).json({
         message: 'Error uploading thumbnail',
@@ -310,7 +352,7 @@ router.get(
   },
   async (req, res) => {
     try {
-      const videos = await TikTokVideo.find().sort({ createdAt: -1 });
+      const videos = await TikTokVideo.find().sort(TikTokVideo.displayOrder());
       res.json(videos);
     } catch (error) {
       res.status(500).json({
@@ -321,6 +363,58 @@ router.get(
   },
 );
 
+/**
+ * @swagger
+ * /tiktok/slug/{slug}:
+ *   get:
+ *     summary: Get a TikTok video by slug (🌐 PUBLIC)
+ *     tags: [TikTok]
+ *     description: |
+ *       **Access Level: 🌐 PUBLIC**
+ *
+ *       Get a single TikTok video by its URL slug. A slug the TikTok video had before a rename
+ *       answers with a 301 redirect to the current slug.
+ *     security:
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: TikTok video details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TikTokVideo'
+ *       301:
+ *         description: Old slug - redirects to the current one
+ *       404:
+ *         description: TikTok video not found
+ */
+// Get TikTok video by slug (PUBLIC - with optional API key or origin check)
+router.get('/slug/:slug', checkApiKey, checkOrigin, async (req, res) => {
+  try {
+    const { document: video, renamed } = await TikTokVideo.findBySlug(
+      req.params.slug,
+    );
+    if (!video) {
+      return res.status(404).json({ message: 'TikTok video not found' });
+    }
+    if (renamed) {
+      return res.redirect(301, currentSlugUrl(req, video.slug));
+    }
+    res.json(video);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error fetching TikTok video',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /tiktok:
@@ -362,6 +456,12 @@ router.get(
  *                 type: string
  *                 format: uri
  *                 description: Thumbnail URL (from /tiktok/upload-thumbnail). If not provided, thumbnail will be auto-generated from video URL if it's a Cloudinary URL.
+ *               featured:
+ *                 type: boolean
+ *                 description: Show first in public lists
+ *               slug:
+ *                 type: string
+ *                 description: URL slug, generated from the title when omitted. Old slugs keep redirecting after a change
  *     responses:
  *       201:
  *         description: TikTok video created successfully
@@ -374,7 +474,15 @@ router.get(
 router.post('/', authenticateToken, async (req, res) => {
   invalidateRouteCache('tiktok');
   try {
-    const { videoUrl, title, description, tiktokLink, thumbnail } = req.body;
+    const {
+      videoUrl,
+      title,
+      description,
+      tiktokLink,
+      thumbnail,
+      featured,
+      slug,
+    } = req.body;
 
     // Validate required fields
     if (!videoUrl || typeof videoUrl !== 'string' || videoUrl.trim() === '') {
@@ -400,6 +508,20 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    if (featured !== undefined && typeof featured !== 'boolean') {
+      return res
+        .status(400)
+        .json({ message: 'Featured must be true or false' });
+    }
+
+    // Without a slug, one is generated from the title
+    const slugCheck = slug ? await TikTokVideo.validateSlug(slug) : {};
+    if (slugCheck.error) {
+      return res
+        .status(slugCheck.conflict ? 409 : 400)
+        .json({ message: slugCheck.error });
+    }
+
     // Use provided thumbnail URL, or generate thumbnail from video URL if it's a Cloudinary URL
     let thumbnailUrl = '';
     if (thumbnail && typeof thumbnail === 'string' && thumbnail.trim() !== '') {
@@ -426,7 +548,11 @@ router.post('/', authenticateToken, async (req, res) => {
       description: description ? description.trim() : '',
       thumbnail: thumbnailUrl,
       tiktokLink: tiktokLink ? tiktokLink.trim() : '',
+      featured: featured === true,
     };
+    if (slugCheck.slug) {
+      videoData.slug = slugCheck.slug;
+    }
 
     const video = new TikTokVideo(videoData);
     await video.save();
@@ -439,6 +565,55 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /tiktok/reorder:
+ *   put:
+ *     summary: Reorder TikTok videos (🔒 ADMIN ONLY)
+ *     tags: [TikTok]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Save a drag-and-drop order. The listed TikTok videos swap into the places they already
+ *       take up in the list, so a partial or filtered list can be sent; everything else stays put.
+ *       Public lists show featured TikTok videos first, then follow this order.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReorderRequest'
+ *     responses:
+ *       200:
+ *         description: Order saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReorderResult'
+ *       400:
+ *         description: Invalid, duplicate or unknown IDs
+ */
+// Reorder TikTok videos (protected)
+// This route must come before /:id to avoid route conflicts
+router.put('/reorder', authenticateToken, async (req, res) => {
+  invalidateRouteCache('tiktok');
+  try {
+    const { updated, error } = await TikTokVideo.reorder(req.body.ids);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    res.json({ message: 'TikTok videos reordered', updated });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error reordering TikTok videos',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /tiktok/{id}:
@@ -479,6 +654,12 @@ router.post('/', authenticateToken, async (req, res) => {
  *                 type: string
  *                 format: uri
  *                 description: Thumbnail URL (from /tiktok/upload-thumbnail). If not provided and videoUrl is updated, thumbnail will be auto-generated from video URL if it's a Cloudinary URL.
+ *               featured:
+ *                 type: boolean
+ *                 description: Show first in public lists
+ *               slug:
+ *                 type: string
+ *                 description: URL slug, generated from the title when omitted. Old slugs keep redirecting after a change
  *     responses:
  *       200:
  *         description: TikTok video updated successfully
@@ -498,7 +679,15 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'TikTok video not found' });
     }
 
-    const { videoUrl, title, description, tiktokLink, thumbnail } = req.body;
+    const {
+      videoUrl,
+      title,
+      description,
+      tiktokLink,
+      thumbnail,
+      featured,
+      slug,
+    } = req.body;
 
     // Validate fields if provided
     if (
@@ -519,6 +708,12 @@ router.put('/:id', authenticateToken, async (req, res) => {
         .json({ message: 'Title must be a non-empty string' });
     }
 
+    if (featured !== undefined && typeof featured !== 'boolean') {
+      return res
+        .status(400)
+        .json({ message: 'Featured must be true or false' });
+    }
+
     // If videoUrl is provided, validate it's a URL, not base64
     if (videoUrl) {
       // Reject base64 strings - must use /upload endpoint first
@@ -569,6 +764,19 @@ router.put('/:id', authenticateToken, async (req, res) => {
       // Allow setting thumbnail to empty string to remove it
       videoData.thumbnail = thumbnail ? thumbnail.trim() : '';
     }
+    if (featured !== undefined) {
+      videoData.featured = featured;
+    }
+
+    if (slug !== undefined) {
+      const slugCheck = await TikTokVideo.validateSlug(slug, video._id);
+      if (slugCheck.error) {
+        return res
+          .status(slugCheck.conflict ? 409 : 400)
+          .json({ message: slugCheck.error });
+      }
+      Object.assign(videoData, TikTokVideo.slugUpdate(video, slugCheck.slug));
+    }
 
     const updatedVideo = await TikTokVideo.findByIdAndUpdate(
       req.params.id,
@@ -594,7 +802,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
  *     description: |
  *       **Access Level: 🔒 ADMIN ONLY**
  *
- *       Delete a TikTok video by ID.
+ *       Move a TikTok video to the trash. Restore or purge it through /trash.
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
@@ -606,19 +814,21 @@ router.put('/:id', authenticateToken, async (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: TikTok video deleted successfully
+ *         description: TikTok video moved to trash
  *       404:
  *         description: Video not found
  */
-// Delete TikTok video (protected)
+// Delete TikTok video (protected) - moves it to the trash
 router.delete('/:id', authenticateToken, async (req, res) => {
   invalidateRouteCache('tiktok');
   try {
-    const video = await TikTokVideo.findByIdAndDelete(req.params.id);
+    const video = await TikTokVideo.findByIdAndUpdate(req.params.id, {
+      deletedAt: new Date(),
+    });
     if (!video) {
       return res.status(404).json({ message: 'TikTok video not found' });
     }
-    res.json({ message: 'TikTok video deleted successfully' });
+    res.json({ message: 'TikTok video moved to trash' });
   } catch (error) {
     res.status(500).json({
       message: 'Error deleting TikTok video',
@@ -1,4 +1,111 @@
 import mongoose from 'mongoose';
+import {
+  TRACK_STATUSES,
+  LICENSE_TYPES,
+  MUSICAL_KEYS,
+  BPM_RANGE,
+  COLLABORATOR_ROLES,
+} from '../../utils/constants.js';
+import { softDeletePlugin } from '../../utils/softDelete.js';
+import { displayOrderPlugin } from '../../utils/displayOrder.js';
+import { slugPlugin } from '../../utils/slug.js';
+
+// A deliverable file that belongs to a license tier
+const licenseFileSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+});
+
+// A license tier offered for a track (optionally based on a Pricing plan)
+const trackLicenseSchema = new mongoose.Schema({
+  pricingPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pricing',
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  licenseType: {
+    type: String,
+    enum: LICENSE_TYPES,
+    default: 'basic',
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  usageTerms: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  files: {
+    type: [licenseFileSchema],
+    default: [],
+  },
+});
+
+// Settings a server-generated preview was rendered with
+const previewSettingsSchema = new mongoose.Schema(
+  {
+    start: { type: Number, min: 0 },
+    length: { type: Number, min: 0 },
+    fadeIn: { type: Number, min: 0 },
+    fadeOut: { type: Number, min: 0 },
+    watermark: { type: Boolean },
+  },
+  { _id: false },
+);
+
+// A credited contributor ("Producer: Nahid", "Vocals: ...")
+const trackCreditSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+  },
+  { _id: false },
+);
+
+// A collaborator's share of every sale of the track
+const revenueSplitSchema = new mongoose.Schema(
+  {
+    collaborator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Collaborator',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: COLLABORATOR_ROLES,
+      required: true,
+    },
+    percentage: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+  },
+  { _id: false },
+);
 
 const trackSchema = new mongoose.Schema(
   {
@@ -34,14 +141,104 @@ const trackSchema = new mongoose.Schema(
       type: String,
       required: true,
       trim: true,
-      enum: [
-        'Rock',
-        'Folk',
-        'Hip-Hop',
-        'Jazz & Blues',
-        'Modern Song',
-        'Classical',
-      ],
+      // Validated against the Category collection at the route level
+    },
+    bpm: {
+      type: Number,
+      min: BPM_RANGE.MIN,
+      max: BPM_RANGE.MAX,
+      index: true,
+    },
+    key: {
+      type: String,
+      enum: MUSICAL_KEYS,
+      index: true,
+    },
+    duration: {
+      type: Number,
+      min: 0,
+      description: 'Length of the full track in seconds',
+    },
+    bitrate: {
+      type: Number,
+      min: 0,
+      description: 'Bitrate of the full track in kbps',
+    },
+    sampleRate: {
+      type: Number,
+      min: 0,
+      description: 'Sample rate of the full track in Hz',
+    },
+    credits: {
+      type: [trackCreditSchema],
+      default: [],
+    },
+    tags: {
+      type: [String],
+      default: [],
+      index: true,
+      description: 'Lowercase search tags',
+    },
+    lyrics: {
+      type: String,
+      default: '',
+    },
+    explicit: {
+      type: Boolean,
+      default: false,
+    },
+    // Downsampled peak amplitudes (0-1) for drawing waveforms.
+    // Not selected by default - served by GET /api/tracks/:id/waveform
+    waveform: {
+      type: [Number],
+      default: undefined,
+      select: false,
+    },
+    previewWaveform: {
+      type: [Number],
+      default: undefined,
+      select: false,
+    },
+    // How the preview was cut from the full track; absent for uploaded previews.
+    // Kept so previews can be regenerated when the voice tag changes
+    previewSettings: {
+      type: previewSettingsSchema,
+      default: undefined,
+    },
+    licenses: {
+      type: [trackLicenseSchema],
+      default: [],
+      description:
+        'License tiers - when present, price is the lowest tier price',
+    },
+    // Shares add up to at most 100% - whatever is left goes to the owner
+    revenueSplits: {
+      type: [revenueSplitSchema],
+      default: [],
+    },
+    // Set once an exclusive license is sold - the track is retired from sale
+    soldExclusively: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    soldExclusivelyAt: {
+      type: Date,
+    },
+    exclusiveSale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sale',
+    },
+    status: {
+      type: String,
+      enum: TRACK_STATUSES,
+      default: 'published',
+      index: true,
+      description: 'Publication status - only published tracks are public',
+    },
+    publishedAt: {
+      type: Date,
+      description: 'When the track went public',
     },
     views: {
       type: Number,
@@ -66,6 +263,18 @@ const trackSchema = new mongoose.Schema(
   },
 );
 
+// Used by the scheduled publisher to find tracks that are due
+trackSchema.index({ status: 1, releaseDate: 1 });
+
+// Deleted documents stay in the trash until they are restored or purged
+trackSchema.plugin(softDeletePlugin);
+
+// Featured tracks first, then the admin's manual order (newest first until reordered)
+trackSchema.plugin(displayOrderPlugin);
+
+// URL slug from the title; renamed slugs keep redirecting
+trackSchema.plugin(slugPlugin, { fallback: 'track' });
+
 const Track = mongoose.model('Track', trackSchema);
 
 export default Track;
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// Count per referrer host or UTM value
+const sourceCountSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false },
+);
+
+// Per-track totals for one UTC day, updated as events are recorded
+const trackDailyStatsSchema = new mongoose.Schema(
+  {
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Track',
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+      description: 'Start of the UTC day',
+    },
+    views: {
+      type: Number,
+      default: 0,
+    },
+    previewPlays: {
+      type: Number,
+      default: 0,
+    },
+    previewCompletes: {
+      type: Number,
+      default: 0,
+    },
+    downloads: {
+      type: Number,
+      default: 0,
+    },
+    uniqueVisitors: {
+      type: Number,
+      default: 0,
+    },
+    // Attribution is counted on views only
+    referrers: {
+      type: [sourceCountSchema],
+      default: [],
+    },
+    utmSources: {
+      type: [sourceCountSchema],
+      default: [],
+    },
+    utmCampaigns: {
+      type: [sourceCountSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+trackDailyStatsSchema.index({ track: 1, date: 1 }, { unique: true });
+
+const TrackDailyStats = mongoose.model(
+  'TrackDailyStats',
+  trackDailyStatsSchema,
+);
+
+export default TrackDailyStats;
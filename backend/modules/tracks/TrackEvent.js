@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import { TRACK_EVENT_TYPES } from '../../utils/constants.js';
+
+// Raw events are only needed for dedup and debugging; daily rollups keep the history
+const TRACK_EVENT_RETENTION_DAYS =
+  parseInt(process.env.TRACK_EVENT_RETENTION_DAYS, 10) || 90;
+
+const trackEventSchema = new mongoose.Schema({
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: TRACK_EVENT_TYPES,
+    required: true,
+  },
+  visitorId: {
+    type: String,
+    required: true,
+    description: 'Salted hash of IP + user agent - never the raw IP',
+  },
+  clientId: {
+    type: String,
+    description: 'Salted hash of the visitor id the site sent, if any',
+  },
+  referrer: {
+    type: String,
+    description: 'Referring host, e.g. "facebook.com"',
+  },
+  utm: {
+    source: String,
+    medium: String,
+    campaign: String,
+    term: String,
+    content: String,
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Dedup lookups: same visitor, same track and event type, recent first
+trackEventSchema.index({ track: 1, type: 1, visitorId: 1, occurredAt: -1 });
+// Unique visitor check for the daily rollup
+trackEventSchema.index({ track: 1, visitorId: 1, occurredAt: -1 });
+// The same lookups by client visitor id
+trackEventSchema.index({ track: 1, type: 1, clientId: 1, occurredAt: -1 });
+trackEventSchema.index({ track: 1, clientId: 1, occurredAt: -1 });
+trackEventSchema.index(
+  { occurredAt: 1 },
+  { expireAfterSeconds: TRACK_EVENT_RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+const TrackEvent = mongoose.model('TrackEvent', trackEventSchema);
+
+export default TrackEvent;
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import {
+  TRACK_IMPORT_STATUSES,
+  TRACK_IMPORT_ROW_STATUSES,
+} from '../../utils/constants.js';
+
+// Import jobs are kept for this many days so their reports can be looked at
+const TRACK_IMPORT_RETENTION_DAYS = 30;
+
+// Outcome of one manifest row
+const importRowSchema = new mongoose.Schema(
+  {
+    row: {
+      type: Number,
+      required: true,
+      description: 'Row number in the manifest (1 is the first track)',
+    },
+    title: {
+      type: String,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: TRACK_IMPORT_ROW_STATUSES,
+      required: true,
+    },
+    messages: {
+      type: [String],
+      default: [],
+      description: 'Validation or upload errors of the row',
+    },
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Track',
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+const trackImportJobSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: TRACK_IMPORT_STATUSES,
+      default: 'pending',
+    },
+    dryRun: {
+      type: Boolean,
+      default: false,
+      description: 'Only validate the manifest and media; no tracks are created',
+    },
+    manifestName: String,
+    archiveName: String,
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    processedRows: {
+      type: Number,
+      default: 0,
+    },
+    createdCount: {
+      type: Number,
+      default: 0,
+    },
+    errorCount: {
+      type: Number,
+      default: 0,
+      description: 'Rows that are invalid or failed to import',
+    },
+    rows: {
+      type: [importRowSchema],
+      default: [],
+    },
+    error: {
+      type: String,
+      description: 'Why the whole job failed (unreadable manifest or archive)',
+    },
+    startedAt: Date,
+    finishedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+trackImportJobSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: TRACK_IMPORT_RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+const TrackImportJob = mongoose.model('TrackImportJob', trackImportJobSchema);
+
+export default TrackImportJob;
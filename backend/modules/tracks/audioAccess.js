@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import Sale from '../sales/Sale.js';
+import { PAID_SALE_STATUSES } from '../../utils/constants.js';
+
+// How long a signed audio URL stays valid (minutes)
+const AUDIO_ACCESS_TTL_MINUTES =
+  parseInt(process.env.AUDIO_ACCESS_TTL_MINUTES, 10) || 15;
+
+const getSecret = () =>
+  process.env.AUDIO_ACCESS_SECRET ||
+  process.env.JWT_SECRET ||
+  'your-secret-key';
+
+const toBase64Url = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (payload) =>
+  crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+
+/**
+ * Query filter for sales that grant access to a track
+ * Matches single track sales and bundle (release) sales that include it
+ * @param {string} trackId - Track ID
+ * @returns {Object} Mongo filter
+ */
+export const saleCoversTrack = (trackId) => ({
+  $or: [{ trackId }, { trackIds: trackId }],
+});
+
+/**
+ * Find the completed sale that proves a track was purchased
+ * @param {string} trackId - Track ID
+ * @param {Object} proof - Purchase proof
+ * @param {string} [proof.saleSerialId] - Order ID (saleSerialId)
+ * @param {string} [proof.purchaseToken] - Payment transaction ID
+ * @returns {Promise<Object|null>} Completed sale, or null if none matches
+ */
+export const findPurchasedSale = async (
+  trackId,
+  { saleSerialId, purchaseToken } = {},
+) => {
+  if (purchaseToken) {
+    return Sale.findOne({
+      ...saleCoversTrack(trackId),
+      transactionId: purchaseToken,
+      paymentStatus: { $in: PAID_SALE_STATUSES },
+    });
+  }
+  if (saleSerialId) {
+    return Sale.findOne({
+      ...saleCoversTrack(trackId),
+      saleSerialId: saleSerialId.trim(),
+      paymentStatus: { $in: PAID_SALE_STATUSES },
+    });
+  }
+  return null;
+};
+
+/**
+ * Create a signed audio access token bound to a track, a sale and an expiry
+ * Format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+ * @param {Object} params
+ * @param {string} params.trackId - Track ID
+ * @param {string} params.saleId - Sale ID that grants access
+ * @param {number} [params.ttlMinutes] - Lifetime in minutes
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+export const createAudioAccessToken = ({
+  trackId,
+  saleId,
+  ttlMinutes = AUDIO_ACCESS_TTL_MINUTES,
+}) => {
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  const payload = toBase64Url(
+    JSON.stringify({
+      trackId: String(trackId),
+      saleId: String(saleId),
+      exp: Math.floor(expiresAt.getTime() / 1000),
+    }),
+  );
+
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+};
+
+/**
+ * Verify a signed audio access token
+ * @param {string} token - Token from createAudioAccessToken
+ * @returns {{ valid: boolean, reason?: string, trackId?: string, saleId?: string, expiresAt?: Date }}
+ */
+export const verifyAudioAccessToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, reason: 'Access token is required' };
+  }
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return { valid: false, reason: 'Malformed access token' };
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return { valid: false, reason: 'Invalid access token signature' };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'Malformed access token' };
+  }
+
+  if (!data.trackId || !data.saleId || !data.exp) {
+    return { valid: false, reason: 'Malformed access token' };
+  }
+
+  if (data.exp * 1000 <= Date.now()) {
+    return { valid: false, reason: 'Access token has expired' };
+  }
+
+  return {
+    valid: true,
+    trackId: data.trackId,
+    saleId: data.saleId,
+    expiresAt: new Date(data.exp * 1000),
+  };
+};
+
+/**
+ * Build the absolute stream URL for a signed token
+ * @param {Object} req - Express request (used when API_URL is not set)
+ * @param {string} trackId - Track ID
+ * @param {string} token - Signed access token
+ * @returns {string} Stream URL
+ */
+export const buildAudioStreamUrl = (req, trackId, token) => {
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/tracks/${trackId}/audio/stream?access=${encodeURIComponent(token)}`;
+};
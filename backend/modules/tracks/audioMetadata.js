@@ -0,0 +1,89 @@
+import { parseBuffer } from 'music-metadata';
+import { normalizeMusicalKey, normalizeTags } from './trackMetadata.js';
+import { BPM_RANGE } from '../../utils/constants.js';
+import { logger } from '../../utils/logger.js';
+
+// ID3/Vorbis/iTunes contributor fields mapped to credit roles
+const CREDIT_ROLES = {
+  artists: 'Artist',
+  composer: 'Composer',
+  lyricist: 'Lyricist',
+  producer: 'Producer',
+  arranger: 'Arranger',
+  mixer: 'Mixing Engineer',
+  engineer: 'Engineer',
+  remixer: 'Remixer',
+};
+
+// Lyrics come back as plain strings or lyric frames depending on the format
+const readLyrics = (lyrics = []) =>
+  lyrics
+    .map((entry) =>
+      typeof entry === 'string'
+        ? entry
+        : entry?.text ||
+          (entry?.syncText || []).map((line) => line.text).join('\n'),
+    )
+    .filter(Boolean)
+    .join('\n\n')
+    .trim();
+
+/**
+ * Read technical info and embedded tags from an uploaded audio file
+ * Values are shaped like Track fields so the admin form can pre-fill them.
+ * Unreadable files don't fail the upload - null is returned instead
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Promise<Object|null>} Extracted metadata
+ */
+export const extractAudioMetadata = async (file) => {
+  try {
+    const { format, common } = await parseBuffer(
+      file.buffer,
+      { mimeType: file.mimetype, size: file.size },
+      { skipCovers: true },
+    );
+
+    const metadata = {
+      duration: format.duration ? Math.round(format.duration) : null,
+      // Kbps is what the form shows; music-metadata reports bits per second
+      bitrate: format.bitrate ? Math.round(format.bitrate / 1000) : null,
+      sampleRate: format.sampleRate || null,
+      codec: format.codec || null,
+    };
+
+    // Embedded tags - only what is actually present
+    const tags = {};
+    if (common.title) tags.title = common.title.trim();
+    if (
+      common.bpm &&
+      common.bpm >= BPM_RANGE.MIN &&
+      common.bpm <= BPM_RANGE.MAX
+    ) {
+      tags.bpm = Math.round(common.bpm * 100) / 100;
+    }
+    const key = normalizeMusicalKey(common.key);
+    if (key) tags.key = key;
+    if (common.genre?.length) tags.tags = normalizeTags(common.genre);
+
+    const credits = Object.entries(CREDIT_ROLES).flatMap(([field, role]) =>
+      (common[field] || [])
+        .filter((name) => typeof name === 'string' && name.trim() !== '')
+        .map((name) => ({ role, name: name.trim() })),
+    );
+    if (credits.length > 0) tags.credits = credits;
+
+    const lyrics = readLyrics(common.lyrics);
+    if (lyrics) tags.lyrics = lyrics;
+    if (common.date && !isNaN(Date.parse(common.date))) {
+      tags.releaseDate = new Date(common.date).toISOString().split('T')[0];
+    }
+
+    return { ...metadata, tags };
+  } catch (error) {
+    logger.warn('Could not read audio metadata', {
+      fileName: file.originalname,
+      error: error.message,
+    });
+    return null;
+  }
+};
@@ -0,0 +1,106 @@
+import Track from './Track.js';
+import Sale from '../sales/Sale.js';
+import { invalidateMultipleRoutes } from '../../utils/cacheHelper.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Check whether a track has been retired by an exclusive sale
+ * @param {Object} track - Track document or plain object
+ * @returns {boolean}
+ */
+export const isTrackSoldExclusively = (track) =>
+  !!track && track.soldExclusively === true;
+
+/**
+ * Check whether a sale (or license tier) grants an exclusive license
+ * @param {Object} saleOrLicense - Sale with a license snapshot, or a license tier
+ * @returns {boolean}
+ */
+export const isExclusiveLicense = (saleOrLicense) => {
+  const license = saleOrLicense?.license || saleOrLicense;
+  return license?.licenseType === 'exclusive';
+};
+
+/**
+ * Retire a track after a completed exclusive sale
+ * The track is hidden publicly and can no longer be bought. Earlier buyers
+ * keep their downloads because those only check their own sale. If another
+ * sale retired the track first, this one is flagged with
+ * exclusiveConflictWith so an admin refunds it
+ * @param {Object} sale - Completed sale document
+ * @returns {Promise<Object|null>} Updated track, or null if nothing changed
+ */
+export const retireTrackAfterExclusiveSale = async (sale) => {
+  if (
+    !sale ||
+    sale.paymentStatus !== 'completed' ||
+    !isExclusiveLicense(sale)
+  ) {
+    return null;
+  }
+
+  const trackId = sale.trackId?._id || sale.trackId;
+  const track = await Track.findOneAndUpdate(
+    { _id: trackId, soldExclusively: { $ne: true } },
+    {
+      soldExclusively: true,
+      soldExclusivelyAt: new Date(),
+      exclusiveSale: sale._id,
+    },
+    { new: true },
+  ).withDeleted();
+
+  if (!track) {
+    const retired = await Track.findById(trackId)
+      .withDeleted()
+      .select('exclusiveSale')
+      .lean();
+    const firstSale = retired?.exclusiveSale;
+    if (!firstSale || firstSale.equals(sale._id)) return null;
+
+    // Two exclusive payments went through - the first one keeps the license
+    await Sale.updateOne(
+      { _id: sale._id },
+      { exclusiveConflictWith: firstSale },
+    );
+    sale.exclusiveConflictWith = firstSale;
+    invalidateMultipleRoutes(['dashboard']);
+    logger.error('Exclusive license sold twice - refund the later sale', {
+      trackId,
+      saleId: sale._id,
+      saleSerialId: sale.saleSerialId,
+      firstSaleId: firstSale,
+    });
+    return null;
+  }
+
+  invalidateMultipleRoutes(['tracks', 'categories', 'releases', 'dashboard']);
+  logger.info('Track retired after exclusive sale', {
+    trackId,
+    saleId: sale._id,
+    saleSerialId: sale.saleSerialId,
+  });
+  return track;
+};
+
+/**
+ * Put a track retired by an exclusive sale back on sale (admin override)
+ * @param {string} trackId - Track ID
+ * @returns {Promise<Object|null>} Updated track, or null if not found
+ */
+export const relistTrack = async (trackId) => {
+  const track = await Track.findByIdAndUpdate(
+    trackId,
+    {
+      soldExclusively: false,
+      $unset: { soldExclusivelyAt: 1, exclusiveSale: 1 },
+    },
+    { new: true },
+  );
+
+  if (track) {
+    invalidateMultipleRoutes(['tracks', 'categories', 'releases', 'dashboard']);
+    logger.info('Track re-listed after exclusive sale', { trackId });
+  }
+  return track;
+};
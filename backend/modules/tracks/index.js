@@ -6,4 +6,62 @@
 export { default as tracksRoutes } from './tracksRoutes.js';
 export { default as Track } from './Track.js';
 export { default as TrackModel } from './Track.js';
+export { default as TrackImportJob } from './TrackImportJob.js';
 
+export {
+  createAudioAccessToken,
+  verifyAudioAccessToken,
+  findPurchasedSale,
+  saleCoversTrack,
+} from './audioAccess.js';
+export {
+  verifyPurchase,
+  verifyAudioAccess,
+} from './middleware/purchaseVerification.js';
+export {
+  PUBLIC_TRACK_FILTER,
+  isTrackPublic,
+  toPublicTrack,
+  publishDueTracks,
+  startTrackPublisher,
+} from './trackPublisher.js';
+export {
+  normalizeTrackLicenses,
+  getTrackLicense,
+  resolvePurchaseLicense,
+  getSaleLicenseFiles,
+} from './trackLicenses.js';
+export {
+  isTrackSoldExclusively,
+  retireTrackAfterExclusiveSale,
+  relistTrack,
+} from './exclusiveSales.js';
+export { generateWaveform, computePeaks } from './waveform.js';
+export {
+  DEFAULT_PREVIEW_SETTINGS,
+  normalizePreviewSettings,
+  generatePreview,
+  regenerateTrackPreview,
+  regeneratePreviews,
+} from './previewClips.js';
+export {
+  recordTrackEvent,
+  getTrackAnalytics,
+  hashVisitorId,
+} from './trackEvents.js';
+export {
+  validateTrackFields,
+  validateTrackMediaUrl,
+  buildNewTrackData,
+} from './trackValidation.js';
+export {
+  startTrackImport,
+  parseManifest,
+  failStaleImportJobs,
+} from './trackImport.js';
+export {
+  findRelatedTracks,
+  scoreRelatedTrack,
+  RELATED_TRACKS_LIMIT,
+  RELATED_TRACKS_WEIGHTS,
+} from './relatedTracks.js';
@@ -1,12 +1,25 @@
 import Sale from '../../sales/Sale.js';
+import { PAID_SALE_STATUSES } from '../../../utils/constants.js';
+import {
+  findPurchasedSale,
+  saleCoversTrack,
+  verifyAudioAccessToken,
+} from '../audioAccess.js';
+
+const isAdminRequest = (req) => req.user && req.user.role === 'admin';
 
 /**
  * Middleware to verify if user has purchased a track
  * Checks by saleSerialId (orderId) or purchase token
+ * Admins skip verification. On success the sale is set on req.sale
  */
 export const verifyPurchase = async (req, res, next) => {
   try {
-    const { trackId } = req.params;
+    if (isAdminRequest(req)) {
+      return next();
+    }
+
+    const trackId = req.params.id || req.params.trackId;
     const saleSerialId = req.query.orderId || req.headers['x-order-id'];
     const purchaseToken = req.query.token || req.headers['x-purchase-token'];
 
@@ -17,27 +30,12 @@ export const verifyPurchase = async (req, res, next) => {
       });
     }
 
-    let purchaseVerified = false;
-
-    if (purchaseToken) {
-      // Verify purchase token
-      const sale = await Sale.findOne({
-        trackId,
-        transactionId: purchaseToken,
-        paymentStatus: 'completed',
-      });
-      purchaseVerified = !!sale;
-    } else if (saleSerialId) {
-      // Verify purchase by saleSerialId (orderId)
-      const sale = await Sale.findOne({
-        trackId,
-        saleSerialId: saleSerialId.trim(),
-        paymentStatus: 'completed',
-      });
-      purchaseVerified = !!sale;
-    }
+    const sale = await findPurchasedSale(trackId, {
+      saleSerialId,
+      purchaseToken,
+    });
 
-    if (!purchaseVerified) {
+    if (!sale) {
       return res.status(403).json({
         message:
           'Access denied. You must purchase this track to access the audio file.',
@@ -46,6 +44,7 @@ export const verifyPurchase = async (req, res, next) => {
 
     // Add purchase info to request
     req.purchaseVerified = true;
+    req.sale = sale;
     next();
   } catch (error) {
     res.status(500).json({
@@ -54,3 +53,60 @@ export const verifyPurchase = async (req, res, next) => {
     });
   }
 };
+
+/**
+ * Middleware to verify a signed audio access token (see audioAccess.js)
+ * Token is read from ?access= or the x-audio-access header and must be
+ * bound to this track and to a sale that is still completed
+ * Admins skip verification. On success the sale is set on req.sale
+ */
+export const verifyAudioAccess = async (req, res, next) => {
+  try {
+    if (isAdminRequest(req)) {
+      return next();
+    }
+
+    const accessToken = req.query.access || req.headers['x-audio-access'];
+
+    if (!accessToken) {
+      return res.status(401).json({
+        message:
+          'Audio access token required. Request a signed URL from /api/tracks/{id}/audio first.',
+      });
+    }
+
+    const result = verifyAudioAccessToken(accessToken);
+    if (!result.valid) {
+      return res.status(403).json({ message: result.reason });
+    }
+
+    const trackId = req.params.id || req.params.trackId;
+    if (result.trackId !== trackId) {
+      return res
+        .status(403)
+        .json({ message: 'Access token is not valid for this track' });
+    }
+
+    // Re-check the sale so refunded orders lose access immediately
+    const sale = await Sale.findOne({
+      _id: result.saleId,
+      ...saleCoversTrack(trackId),
+      paymentStatus: { $in: PAID_SALE_STATUSES },
+    });
+    if (!sale) {
+      return res.status(403).json({
+        message: 'Access denied. The purchase for this token is no longer valid.',
+      });
+    }
+
+    req.purchaseVerified = true;
+    req.sale = sale;
+    req.audioAccessExpiresAt = result.expiresAt;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error verifying audio access',
+      error: error.message,
+    });
+  }
+};
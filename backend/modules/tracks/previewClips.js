@@ -0,0 +1,343 @@
+import Track from './Track.js';
+import { generateWaveform } from './waveform.js';
+import { runFfmpeg } from '../../utils/ffmpeg.js';
+import { uploadToCloudinary } from '../../config/cloudinary.js';
+import {
+  CLOUDINARY_FOLDERS,
+  PREVIEW_CLIP_LIMITS,
+} from '../../utils/constants.js';
+import { logger } from '../../utils/logger.js';
+
+// Clips are cut and mixed as 16-bit stereo PCM, then encoded to MP3
+const SAMPLE_RATE = 44100;
+const CHANNELS = 2;
+const BYTES_PER_SECOND = SAMPLE_RATE * CHANNELS * 2;
+const PREVIEW_BITRATE = '128k';
+
+// Voice tag (audible watermark) mixed into generated previews
+const VOICE_TAG_INTERVAL_SECONDS =
+  parseFloat(process.env.PREVIEW_VOICE_TAG_INTERVAL) || 15;
+const VOICE_TAG_VOLUME = parseFloat(process.env.PREVIEW_VOICE_TAG_VOLUME) || 0.8;
+const VOICE_TAG_OFFSET_SECONDS = 2;
+
+export const DEFAULT_PREVIEW_SETTINGS = {
+  start: 0,
+  length: 30,
+  fadeIn: 1,
+  fadeOut: 2,
+  watermark: true,
+};
+
+const PREVIEW_SETTING_FIELDS = Object.keys(DEFAULT_PREVIEW_SETTINGS);
+
+export const PREVIEW_PAST_END_MESSAGE =
+  'Preview start is past the end of the track';
+
+/**
+ * Validate preview clip settings
+ * Missing fields fall back to `base` (the track's last settings or the defaults)
+ * @param {Object} input - Settings from the request body
+ * @param {Object} [base] - Settings to start from
+ * @returns {{settings?: Object, error?: string}}
+ */
+export const normalizePreviewSettings = (
+  input = {},
+  base = DEFAULT_PREVIEW_SETTINGS,
+) => {
+  const settings = { ...DEFAULT_PREVIEW_SETTINGS };
+  for (const field of PREVIEW_SETTING_FIELDS) {
+    if (input[field] !== undefined && input[field] !== null) {
+      settings[field] = input[field];
+    } else if (base?.[field] !== undefined && base[field] !== null) {
+      settings[field] = base[field];
+    }
+  }
+
+  const { MIN_LENGTH, MAX_LENGTH, MAX_FADE } = PREVIEW_CLIP_LIMITS;
+  const start = parseFloat(settings.start);
+  const length = parseFloat(settings.length);
+  const fadeIn = parseFloat(settings.fadeIn);
+  const fadeOut = parseFloat(settings.fadeOut);
+
+  if (isNaN(start) || start < 0) {
+    return { error: 'Start must be a positive number of seconds' };
+  }
+  if (isNaN(length) || length < MIN_LENGTH || length > MAX_LENGTH) {
+    return {
+      error: `Length must be between ${MIN_LENGTH} and ${MAX_LENGTH} seconds`,
+    };
+  }
+  for (const [field, value] of [
+    ['fadeIn', fadeIn],
+    ['fadeOut', fadeOut],
+  ]) {
+    if (isNaN(value) || value < 0 || value > MAX_FADE) {
+      return { error: `${field} must be between 0 and ${MAX_FADE} seconds` };
+    }
+  }
+  if (fadeIn + fadeOut > length) {
+    return { error: 'Fades cannot be longer than the preview itself' };
+  }
+  if (typeof settings.watermark !== 'boolean') {
+    return { error: 'Watermark must be true or false' };
+  }
+
+  return {
+    settings: { start, length, fadeIn, fadeOut, watermark: settings.watermark },
+  };
+};
+
+/**
+ * Work out previewSettings for a track create/update
+ * Settings sent as null, or a new preview URL without settings, mean the
+ * preview was uploaded by hand - stored settings are dropped so a catalog
+ * regeneration doesn't replace it
+ * @param {Object} body - Request body
+ * @param {Object} [existingTrack] - Current track (updates only)
+ * @returns {{previewSettings?: Object, unset?: boolean, error?: string}}
+ */
+export const resolvePreviewSettings = (body, existingTrack = null) => {
+  const { previewSettings, previewAudio } = body;
+
+  if (previewSettings !== undefined && previewSettings !== null) {
+    if (typeof previewSettings !== 'object') {
+      return { error: 'Preview settings must be an object' };
+    }
+    const { settings, error } = normalizePreviewSettings(previewSettings);
+    if (error) return { error };
+    return { previewSettings: settings };
+  }
+
+  const previewChanged =
+    previewAudio !== undefined && previewAudio !== existingTrack?.previewAudio;
+  return { unset: previewSettings === null || previewChanged };
+};
+
+// Decoded voice tag, cached per URL
+let voiceTagCache = { url: null, pcm: null };
+
+const decodeToPcm = (source, inputArgs = []) =>
+  runFfmpeg([
+    ...inputArgs,
+    '-i',
+    source,
+    '-vn',
+    '-ac',
+    String(CHANNELS),
+    '-ar',
+    String(SAMPLE_RATE),
+    '-f',
+    's16le',
+    'pipe:1',
+  ]);
+
+/**
+ * Decoded voice tag, or null when PREVIEW_VOICE_TAG_URL isn't set
+ * @returns {Promise<Buffer|null>}
+ */
+const loadVoiceTag = async () => {
+  const url = process.env.PREVIEW_VOICE_TAG_URL;
+  if (!url) return null;
+  if (voiceTagCache.url !== url) {
+    voiceTagCache = { url, pcm: await decodeToPcm(url) };
+  }
+  return voiceTagCache.pcm;
+};
+
+/**
+ * Mix a voice tag into PCM audio: first after a short offset, then repeated
+ * every interval until the clip ends. Samples are clipped, not normalized,
+ * so the music keeps its level
+ * @param {Buffer} pcm - 16-bit stereo clip
+ * @param {Buffer} tag - 16-bit stereo voice tag
+ * @param {Object} [options]
+ * @returns {Buffer} New buffer with the tag mixed in
+ */
+export const mixVoiceTag = (
+  pcm,
+  tag,
+  {
+    interval = VOICE_TAG_INTERVAL_SECONDS,
+    volume = VOICE_TAG_VOLUME,
+    offset = VOICE_TAG_OFFSET_SECONDS,
+  } = {},
+) => {
+  const mixed = Buffer.from(pcm);
+  const totalSamples = Math.floor(mixed.length / 2);
+  const tagSamples = Math.floor(tag.length / 2);
+  // Keep positions frame-aligned so left/right don't swap
+  const toSamples = (seconds) => Math.round(seconds * SAMPLE_RATE) * CHANNELS;
+  const step = Math.max(toSamples(interval), tagSamples, CHANNELS);
+
+  for (let at = toSamples(offset); at < totalSamples; at += step) {
+    const end = Math.min(tagSamples, totalSamples - at);
+    for (let i = 0; i < end; i++) {
+      const position = (at + i) * 2;
+      const value =
+        mixed.readInt16LE(position) + tag.readInt16LE(i * 2) * volume;
+      mixed.writeInt16LE(
+        Math.max(-32768, Math.min(32767, Math.round(value))),
+        position,
+      );
+    }
+  }
+  return mixed;
+};
+
+/**
+ * Cut, fade and (optionally) watermark a preview clip
+ * @param {string} source - Full track audio URL
+ * @param {Object} settings - Normalized preview settings
+ * @returns {Promise<{buffer: Buffer, duration: number, watermarked: boolean}|null>}
+ *   MP3 clip, or null when the start is past the end of the track
+ */
+export const renderPreviewClip = async (source, settings) => {
+  let pcm = await decodeToPcm(source, [
+    '-ss',
+    String(settings.start),
+    '-t',
+    String(settings.length),
+  ]);
+  if (pcm.length === 0) return null;
+
+  // The track may end before start + length
+  const duration = pcm.length / BYTES_PER_SECOND;
+
+  let watermarked = false;
+  if (settings.watermark) {
+    const tag = await loadVoiceTag();
+    if (tag && tag.length > 0) {
+      pcm = mixVoiceTag(pcm, tag);
+      watermarked = true;
+    }
+  }
+
+  const fadeIn = Math.min(settings.fadeIn, duration / 2);
+  const fadeOut = Math.min(settings.fadeOut, duration / 2);
+  const filters = [];
+  if (fadeIn > 0) filters.push(`afade=t=in:st=0:d=${fadeIn}`);
+  if (fadeOut > 0) {
+    filters.push(`afade=t=out:st=${(duration - fadeOut).toFixed(3)}:d=${fadeOut}`);
+  }
+
+  const buffer = await runFfmpeg(
+    [
+      '-f',
+      's16le',
+      '-ar',
+      String(SAMPLE_RATE),
+      '-ac',
+      String(CHANNELS),
+      '-i',
+      'pipe:0',
+      ...(filters.length > 0 ? ['-af', filters.join(',')] : []),
+      '-b:a',
+      PREVIEW_BITRATE,
+      '-f',
+      'mp3',
+      'pipe:1',
+    ],
+    { input: pcm },
+  );
+
+  return {
+    buffer,
+    duration: Math.round(duration * 100) / 100,
+    watermarked,
+  };
+};
+
+/**
+ * Render a preview clip and upload it to Cloudinary
+ * @param {string} source - Full track audio URL
+ * @param {Object} settings - Normalized preview settings
+ * @returns {Promise<{url: string, waveform: Array<number>|null, duration: number, watermarked: boolean}|null>}
+ *   null when the start is past the end of the track
+ */
+export const generatePreview = async (source, settings) => {
+  const clip = await renderPreviewClip(source, settings);
+  if (!clip) return null;
+  const [url, waveform] = await Promise.all([
+    uploadToCloudinary(
+      clip.buffer,
+      CLOUDINARY_FOLDERS.TRACKS_PREVIEW_AUDIO,
+      'video', // Cloudinary uses 'video' for audio files
+    ),
+    generateWaveform(clip.buffer),
+  ]);
+  return {
+    url,
+    waveform,
+    duration: clip.duration,
+    watermarked: clip.watermarked,
+  };
+};
+
+/**
+ * Regenerate a track's preview from its full audio and save it
+ * @param {Object} track - Track document (needs audio and previewSettings)
+ * @param {Object} settings - Normalized preview settings
+ * @returns {Promise<Object|null>} Updated track, or null when the start is
+ *   past the end of the track
+ */
+export const regenerateTrackPreview = async (track, settings) => {
+  const preview = await generatePreview(track.audio, settings);
+  if (!preview) return null;
+  const update = {
+    $set: { previewAudio: preview.url, previewSettings: settings },
+  };
+  if (preview.waveform) {
+    update.$set.previewWaveform = preview.waveform;
+  } else {
+    update.$unset = { previewWaveform: '' };
+  }
+  return Track.findByIdAndUpdate(track._id, update, { new: true });
+};
+
+/**
+ * Regenerate previews for the catalog, one track at a time
+ * By default only tracks whose preview was generated before (they have
+ * previewSettings) are redone; `all` also replaces manually uploaded previews
+ * using the default settings
+ * @param {Object} [options]
+ * @param {boolean} [options.all] - Include tracks with uploaded previews
+ * @param {Array<string>} [options.trackIds] - Limit to these tracks
+ * @returns {Promise<{total: number, regenerated: number, failed: Array<Object>}>}
+ */
+export const regeneratePreviews = async ({ all = false, trackIds } = {}) => {
+  const query = { audio: { $nin: [null, ''] } };
+  if (!all) query.previewSettings = { $exists: true };
+  if (trackIds) query._id = { $in: trackIds };
+
+  const tracks = await Track.find(query).select('title audio previewSettings');
+  const failed = [];
+
+  for (const track of tracks) {
+    const { settings, error } = normalizePreviewSettings(
+      {},
+      track.previewSettings?.toObject(),
+    );
+    try {
+      if (error) throw new Error(error);
+      if (!(await regenerateTrackPreview(track, settings))) {
+        throw new Error(PREVIEW_PAST_END_MESSAGE);
+      }
+    } catch (regenerateError) {
+      logger.warn('Could not regenerate preview', {
+        trackId: track._id.toString(),
+        error: regenerateError.message,
+      });
+      failed.push({
+        trackId: track._id,
+        title: track.title,
+        error: regenerateError.message,
+      });
+    }
+  }
+
+  return {
+    total: tracks.length,
+    regenerated: tracks.length - failed.length,
+    failed,
+  };
+};
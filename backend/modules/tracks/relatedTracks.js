@@ -0,0 +1,223 @@
+import Track from './Track.js';
+import Sale from '../sales/Sale.js';
+import { PUBLIC_TRACK_FILTER } from './trackPublisher.js';
+import {
+  MUSICAL_KEYS,
+  PAID_SALE_STATUSES,
+  RELATED_TRACKS_DEFAULT_WEIGHTS,
+  RELATED_TRACKS_MAX_LIMIT,
+} from '../../utils/constants.js';
+
+// Results returned when the request doesn't ask for a number
+export const RELATED_TRACKS_LIMIT = Math.min(
+  parseInt(process.env.RELATED_TRACKS_LIMIT, 10) || 6,
+  RELATED_TRACKS_MAX_LIMIT,
+);
+
+// BPM difference at which tempo stops counting as similar
+const BPM_TOLERANCE = 20;
+
+// Candidate tracks scored per request (the best matches share at least one signal)
+const MAX_CANDIDATES = 300;
+
+const KEY_ROOTS = [
+  'C',
+  'C#',
+  'D',
+  'D#',
+  'E',
+  'F',
+  'F#',
+  'G',
+  'G#',
+  'A',
+  'A#',
+  'B',
+];
+
+/**
+ * Read the signal weights, overridden by RELATED_TRACKS_WEIGHTS
+ * ("category:3,tags:2,bpm:1,key:1,coPurchase:2" - unknown names and bad numbers are ignored)
+ * @param {string} [value] - Weights from the environment
+ * @returns {Object} Weight per signal
+ */
+export const parseRelatedWeights = (
+  value = process.env.RELATED_TRACKS_WEIGHTS,
+) => {
+  const weights = { ...RELATED_TRACKS_DEFAULT_WEIGHTS };
+  if (!value) return weights;
+
+  value.split(',').forEach((pair) => {
+    const [name, rawWeight] = pair.split(':').map((part) => part.trim());
+    const weight = parseFloat(rawWeight);
+    if (
+      Object.hasOwn(weights, name) &&
+      Number.isFinite(weight) &&
+      weight >= 0
+    ) {
+      weights[name] = weight;
+    }
+  });
+  return weights;
+};
+
+export const RELATED_TRACKS_WEIGHTS = parseRelatedWeights();
+
+/**
+ * Tempo similarity, counting half and double time as the same feel
+ * @returns {number} 1 (same tempo) to 0 (BPM_TOLERANCE or more apart)
+ */
+export const bpmCloseness = (a, b) => {
+  if (!a || !b) return 0;
+  const difference = Math.min(
+    Math.abs(a - b),
+    Math.abs(a - b * 2),
+    Math.abs(a * 2 - b),
+  );
+  return Math.max(0, 1 - difference / BPM_TOLERANCE);
+};
+
+// Position of a key's relative major on the circle of fifths (0-11)
+const circleOfFifthsPosition = (key) => {
+  const [root, mode] = key.split(' ');
+  const index = KEY_ROOTS.indexOf(root);
+  if (index === -1) return null;
+  const majorIndex = mode === 'minor' ? (index + 3) % 12 : index;
+  return (majorIndex * 7) % 12;
+};
+
+/**
+ * Harmonic compatibility of two keys ("A minor", "C major", ...)
+ * Same key scores 1, its relative major/minor 0.75 and neighbours on the
+ * circle of fifths 0.5 - the keys DJs mix between
+ * @returns {number} 0 to 1
+ */
+export const keyCloseness = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const positionA = circleOfFifthsPosition(a);
+  const positionB = circleOfFifthsPosition(b);
+  if (positionA === null || positionB === null) return 0;
+
+  const steps = Math.abs(positionA - positionB);
+  const distance = Math.min(steps, 12 - steps);
+  if (distance === 0) return 0.75;
+  if (distance === 1) return 0.5;
+  return 0;
+};
+
+/**
+ * Keys that score above 0 against a key, used to narrow the candidate query
+ * @param {string} key
+ * @returns {string[]}
+ */
+const compatibleKeys = (key) =>
+  MUSICAL_KEYS.filter((candidate) => keyCloseness(key, candidate) > 0);
+
+/**
+ * Share of tags two tracks have in common (Jaccard index)
+ * @returns {number} 0 to 1
+ */
+export const tagOverlap = (a = [], b = []) => {
+  if (a.length === 0 || b.length === 0) return 0;
+  const tagsA = new Set(a);
+  const shared = b.filter((tag) => tagsA.has(tag)).length;
+  return shared / new Set([...a, ...b]).size;
+};
+
+/**
+ * How often other tracks were bought together with a track
+ * Sales are for one track or a bundle, so tracks are bought together when
+ * paid bundle sales include both of them
+ * @param {string} trackId
+ * @returns {Promise<Map<string, number>>} Track ID -> number of shared sales
+ */
+export const getCoPurchaseCounts = async (trackId) => {
+  const rows = await Sale.aggregate([
+    {
+      $match: {
+        paymentStatus: { $in: PAID_SALE_STATUSES },
+        trackIds: trackId,
+      },
+    },
+    { $unwind: '$trackIds' },
+    { $match: { trackIds: { $ne: trackId } } },
+    { $group: { _id: '$trackIds', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: MAX_CANDIDATES },
+  ]);
+  return new Map(rows.map((row) => [row._id.toString(), row.count]));
+};
+
+/**
+ * Score how related a candidate is to a track
+ * @param {Object} track - Track the recommendations are for
+ * @param {Object} candidate - Other track
+ * @param {number} coPurchase - Co-purchase strength of the candidate (0-1)
+ * @param {Object} weights - Weight per signal
+ * @returns {number}
+ */
+export const scoreRelatedTrack = (track, candidate, coPurchase, weights) =>
+  weights.category * (candidate.category === track.category ? 1 : 0) +
+  weights.tags * tagOverlap(track.tags, candidate.tags) +
+  weights.bpm * bpmCloseness(track.bpm, candidate.bpm) +
+  weights.key * keyCloseness(track.key, candidate.key) +
+  weights.coPurchase * coPurchase;
+
+/**
+ * Published tracks ranked by how related they are to a track
+ * @param {Object} track - Track (plain object or document)
+ * @param {Object} [options]
+ * @param {number} [options.limit=RELATED_TRACKS_LIMIT] - Number of results
+ * @param {Object} [options.weights=RELATED_TRACKS_WEIGHTS] - Weight per signal
+ * @returns {Promise<Object[]>} Lean tracks with their relatedScore, best first
+ */
+export const findRelatedTracks = async (
+  track,
+  { limit = RELATED_TRACKS_LIMIT, weights = RELATED_TRACKS_WEIGHTS } = {},
+) => {
+  const coPurchases = await getCoPurchaseCounts(track._id);
+  const maxCoPurchases = Math.max(0, ...coPurchases.values());
+
+  // Only tracks that share at least one signal can score above 0
+  const signals = [{ category: track.category }];
+  if (track.tags?.length > 0) signals.push({ tags: { $in: track.tags } });
+  if (track.key) signals.push({ key: { $in: compatibleKeys(track.key) } });
+  if (track.bpm) {
+    [track.bpm, track.bpm / 2, track.bpm * 2].forEach((bpm) => {
+      signals.push({
+        bpm: { $gt: bpm - BPM_TOLERANCE, $lt: bpm + BPM_TOLERANCE },
+      });
+    });
+  }
+  if (coPurchases.size > 0) {
+    signals.push({ _id: { $in: [...coPurchases.keys()] } });
+  }
+
+  const candidates = await Track.find({
+    ...PUBLIC_TRACK_FILTER,
+    _id: { $ne: track._id },
+    $or: signals,
+  })
+    .sort({ publishedAt: -1, createdAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  return candidates
+    .map((candidate) => {
+      const coPurchase =
+        maxCoPurchases > 0
+          ? (coPurchases.get(candidate._id.toString()) || 0) / maxCoPurchases
+          : 0;
+      const score = scoreRelatedTrack(track, candidate, coPurchase, weights);
+      return { ...candidate, relatedScore: Math.round(score * 100) / 100 };
+    })
+    .filter((candidate) => candidate.relatedScore > 0)
+    .sort(
+      (a, b) =>
+        b.relatedScore - a.relatedScore ||
+        (b.saleCount || 0) - (a.saleCount || 0),
+    )
+    .slice(0, limit);
+};
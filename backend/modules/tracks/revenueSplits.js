@@ -0,0 +1,70 @@
+import Collaborator from '../collaborators/Collaborator.js';
+import { COLLABORATOR_ROLES } from '../../utils/constants.js';
+import { isValidObjectId } from '../../utils/validation.js';
+
+/**
+ * Validate and normalize the revenue split sent with a track
+ * Each collaborator appears once with a role and a percentage; the shares
+ * may not add up to more than 100% (the rest is the owner's)
+ * @param {Array} input - Revenue splits from the request body
+ * @returns {Promise<{revenueSplits?: Array, error?: string}>}
+ */
+export const normalizeRevenueSplits = async (input) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Revenue splits must be an array' };
+  }
+
+  const revenueSplits = [];
+  const seen = new Set();
+  for (const [index, split] of input.entries()) {
+    const position = `Split ${index + 1}`;
+    if (!split || typeof split !== 'object') {
+      return { error: `${position} is invalid` };
+    }
+
+    const collaboratorId = String(split.collaborator?._id || split.collaborator);
+    if (!isValidObjectId(collaboratorId)) {
+      return { error: `${position}: collaborator is required` };
+    }
+    if (seen.has(collaboratorId)) {
+      return { error: `${position}: collaborator is already in the split` };
+    }
+    seen.add(collaboratorId);
+
+    if (!COLLABORATOR_ROLES.includes(split.role)) {
+      return {
+        error: `${position}: role must be one of: ${COLLABORATOR_ROLES.join(', ')}`,
+      };
+    }
+
+    const percentage = parseFloat(split.percentage);
+    if (isNaN(percentage) || percentage <= 0 || percentage > 100) {
+      return {
+        error: `${position}: percentage must be greater than 0 and at most 100`,
+      };
+    }
+
+    revenueSplits.push({
+      collaborator: collaboratorId,
+      role: split.role,
+      percentage: Math.round(percentage * 100) / 100,
+    });
+  }
+
+  const total = revenueSplits.reduce((sum, split) => sum + split.percentage, 0);
+  // Compare in hundredths so 33.33 + 33.33 + 33.34 is exactly 100
+  if (Math.round(total * 100) > 100 * 100) {
+    return {
+      error: `Revenue splits add up to ${Math.round(total * 100) / 100}% - they can't exceed 100%`,
+    };
+  }
+
+  if (seen.size > 0) {
+    const found = await Collaborator.countDocuments({ _id: { $in: [...seen] } });
+    if (found !== seen.size) {
+      return { error: 'Collaborator not found in revenue splits' };
+    }
+  }
+
+  return { revenueSplits };
+};
@@ -0,0 +1,321 @@
+import crypto from 'crypto';
+import Track from './Track.js';
+import TrackEvent from './TrackEvent.js';
+import TrackDailyStats from './TrackDailyStats.js';
+import { logger } from '../../utils/logger.js';
+import { TRACK_EVENT_DEDUP_MINUTES } from '../../utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range the analytics endpoint reports on (days)
+export const MAX_ANALYTICS_DAYS = 366;
+
+// Rollup counter for each event type
+const EVENT_COUNTERS = {
+  view: 'views',
+  'preview-play': 'previewPlays',
+  'preview-complete': 'previewCompletes',
+  download: 'downloads',
+};
+
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+// Crawlers, link unfurlers and scripted clients
+const BOT_USER_AGENT =
+  /bot|crawl|spider|slurp|preview|facebookexternalhit|headless|lighthouse|curl|wget|python-requests|axios|node-fetch/i;
+
+const getSalt = () =>
+  process.env.ANALYTICS_SALT || process.env.JWT_SECRET || 'your-secret-key';
+
+const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const clean = (value, maxLength = 100) =>
+  typeof value === 'string' && value.trim() !== ''
+    ? value.trim().slice(0, maxLength)
+    : undefined;
+
+/**
+ * Hash a visitor identifier so raw IPs and client ids are never stored
+ * @param {string} value - Identifier to hash
+ * @returns {string}
+ */
+export const hashVisitorId = (value) =>
+  crypto
+    .createHmac('sha256', getSalt())
+    .update(String(value))
+    .digest('hex')
+    .slice(0, 32);
+
+/**
+ * Identify the visitor behind a request
+ * The dedup key is the IP (req.ip, which only honours X-Forwarded-For from
+ * the proxies in `trust proxy`) plus the user agent. The client-generated
+ * visitor id is a secondary key: it can only match more events as repeats,
+ * so a script sending a new one each time doesn't get past the window
+ * @param {Object} req - Express request
+ * @param {string} [clientVisitorId] - Anonymous id sent by the client
+ * @returns {{visitorId: string, clientId?: string, isBot: boolean}}
+ */
+export const getVisitorContext = (req, clientVisitorId) => {
+  const userAgent = req.get('user-agent') || '';
+  const ip = req.ip || req.socket?.remoteAddress || '';
+  const clientId = clean(clientVisitorId);
+
+  return {
+    visitorId: hashVisitorId(`ip:${ip}|${userAgent}`),
+    clientId: clientId ? hashVisitorId(`client:${clientId}`) : undefined,
+    isBot: !userAgent || BOT_USER_AGENT.test(userAgent),
+  };
+};
+
+/**
+ * Reduce a referrer URL to its host ("www." stripped)
+ * @param {string} value - Referrer URL or host
+ * @returns {string|undefined}
+ */
+export const normalizeReferrer = (value) => {
+  const referrer = clean(value, 2048);
+  if (!referrer) return undefined;
+  try {
+    const url = new URL(
+      /^[a-z][a-z0-9+.-]*:\/\//i.test(referrer)
+        ? referrer
+        : `https://${referrer}`,
+    );
+    return url.hostname.toLowerCase().replace(/^www\./, '') || undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Read UTM parameters from a `utm` object or flat `utm_*` fields
+ * Source and medium are lowercased so "Facebook" and "facebook" group together
+ * @param {Object} body - Request body or query
+ * @returns {Object|undefined} UTM values that were sent
+ */
+export const normalizeUtm = (body = {}) => {
+  const nested = body.utm && typeof body.utm === 'object' ? body.utm : {};
+  const utm = {};
+  for (const field of UTM_FIELDS) {
+    const value = clean(nested[field] ?? body[`utm_${field}`]);
+    if (value) {
+      utm[field] =
+        field === 'source' || field === 'medium' ? value.toLowerCase() : value;
+    }
+  }
+  return Object.keys(utm).length > 0 ? utm : undefined;
+};
+
+// Add one to a source count in a rollup array, creating the entry if needed
+const incrementSourceCount = async (filter, field, source) => {
+  const result = await TrackDailyStats.updateOne(
+    { ...filter, [`${field}.source`]: source },
+    { $inc: { [`${field}.$.count`]: 1 } },
+  );
+  if (result.matchedCount === 0) {
+    await TrackDailyStats.updateOne(
+      { ...filter, [`${field}.source`]: { $ne: source } },
+      { $push: { [field]: { source, count: 1 } } },
+    );
+  }
+};
+
+/**
+ * Record a track event unless the same visitor sent one inside the dedup window
+ * Accepted events update the day's rollup, and views also bump Track.views
+ * @param {Object} event
+ * @param {string} event.trackId - Track ID
+ * @param {string} event.type - One of TRACK_EVENT_TYPES
+ * @param {string} event.visitorId - Hashed visitor id (IP + user agent)
+ * @param {string} [event.clientId] - Hashed client visitor id
+ * @param {string} [event.referrer] - Referring host
+ * @param {Object} [event.utm] - UTM parameters
+ * @returns {Promise<{recorded: boolean}>}
+ */
+export const recordTrackEvent = async ({
+  trackId,
+  type,
+  visitorId,
+  clientId,
+  referrer,
+  utm,
+}) => {
+  const now = new Date();
+  const windowStart = new Date(
+    now.getTime() - TRACK_EVENT_DEDUP_MINUTES[type] * 60 * 1000,
+  );
+  // Same visitor by either key
+  const sameVisitor = clientId
+    ? { $or: [{ visitorId }, { clientId }] }
+    : { visitorId };
+
+  const duplicate = await TrackEvent.exists({
+    track: trackId,
+    type,
+    ...sameVisitor,
+    occurredAt: { $gte: windowStart },
+  });
+  if (duplicate) {
+    return { recorded: false };
+  }
+
+  const date = startOfUtcDay(now);
+  const returningToday = await TrackEvent.exists({
+    track: trackId,
+    ...sameVisitor,
+    occurredAt: { $gte: date },
+  });
+
+  await TrackEvent.create({
+    track: trackId,
+    type,
+    visitorId,
+    clientId,
+    referrer,
+    utm,
+    occurredAt: now,
+  });
+
+  const filter = { track: trackId, date };
+  await TrackDailyStats.updateOne(
+    filter,
+    {
+      $inc: {
+        [EVENT_COUNTERS[type]]: 1,
+        uniqueVisitors: returningToday ? 0 : 1,
+      },
+    },
+    { upsert: true },
+  );
+
+  if (type === 'view') {
+    await incrementSourceCount(filter, 'referrers', referrer || 'direct');
+    if (utm?.source) {
+      await incrementSourceCount(filter, 'utmSources', utm.source);
+    }
+    if (utm?.campaign) {
+      await incrementSourceCount(filter, 'utmCampaigns', utm.campaign);
+    }
+    await Track.updateOne({ _id: trackId }, { $inc: { views: 1 } });
+  }
+
+  return { recorded: true };
+};
+
+/**
+ * Record an event without letting analytics failures break the caller
+ * Used by routes where the event is a side effect (e.g. file downloads)
+ * @param {Object} event - Same shape as recordTrackEvent
+ */
+export const recordTrackEventSafely = async (event) => {
+  try {
+    await recordTrackEvent(event);
+  } catch (error) {
+    logger.warn('Could not record track event', {
+      trackId: String(event.trackId),
+      type: event.type,
+      error: error.message,
+    });
+  }
+};
+
+// Merge per-day source counts and keep the biggest
+const topSources = (days, field, limit = 10) => {
+  const totals = new Map();
+  for (const day of days) {
+    for (const { source, count } of day[field] || []) {
+      totals.set(source, (totals.get(source) || 0) + count);
+    }
+  }
+  return [...totals]
+    .map(([source, count]) => ({ source, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+};
+
+/**
+ * Build the analytics report for a track from its daily rollups
+ * Days without events are filled with zeros so the series is continuous
+ * @param {string} trackId - Track ID
+ * @param {Object} range
+ * @param {Date} range.from - First day (inclusive)
+ * @param {Date} range.to - Last day (inclusive)
+ * @returns {Promise<Object>}
+ */
+export const getTrackAnalytics = async (trackId, { from, to }) => {
+  const start = startOfUtcDay(from);
+  const end = startOfUtcDay(to);
+
+  const days = await TrackDailyStats.find({
+    track: trackId,
+    date: { $gte: start, $lte: end },
+  })
+    .sort({ date: 1 })
+    .lean();
+
+  const byDate = new Map(
+    days.map((day) => [day.date.toISOString().split('T')[0], day]),
+  );
+  const daily = [];
+  for (let time = start.getTime(); time <= end.getTime(); time += DAY_MS) {
+    const date = new Date(time).toISOString().split('T')[0];
+    const day = byDate.get(date) || {};
+    daily.push({
+      date,
+      views: day.views || 0,
+      previewPlays: day.previewPlays || 0,
+      previewCompletes: day.previewCompletes || 0,
+      downloads: day.downloads || 0,
+      uniqueVisitors: day.uniqueVisitors || 0,
+    });
+  }
+
+  const totals = daily.reduce(
+    (sum, day) => ({
+      views: sum.views + day.views,
+      previewPlays: sum.previewPlays + day.previewPlays,
+      previewCompletes: sum.previewCompletes + day.previewCompletes,
+      downloads: sum.downloads + day.downloads,
+      uniqueVisitors: sum.uniqueVisitors + day.uniqueVisitors,
+    }),
+    {
+      views: 0,
+      previewPlays: 0,
+      previewCompletes: 0,
+      downloads: 0,
+      uniqueVisitors: 0,
+    },
+  );
+
+  return {
+    from: daily[0]?.date,
+    to: daily[daily.length - 1]?.date,
+    totals,
+    // Share of preview plays that were listened to the end (0-1)
+    previewCompletionRate:
+      totals.previewPlays > 0
+        ? Math.round((totals.previewCompletes / totals.previewPlays) * 100) /
+          100
+        : 0,
+    daily,
+    topReferrers: topSources(days, 'referrers'),
+    utmSources: topSources(days, 'utmSources'),
+    utmCampaigns: topSources(days, 'utmCampaigns'),
+  };
+};
+
+/**
+ * Remove a track's events and rollups (used when the track is deleted)
+ * @param {string} trackId - Track ID
+ */
+export const deleteTrackEvents = async (trackId) => {
+  await Promise.all([
+    TrackEvent.deleteMany({ track: trackId }),
+    TrackDailyStats.deleteMany({ track: trackId }),
+  ]);
+};
@@ -0,0 +1,569 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import AdmZip from 'adm-zip';
+import { parse as parseCsv } from 'csv-parse/sync';
+import Track from './Track.js';
+import TrackImportJob from './TrackImportJob.js';
+import {
+  TRACK_MEDIA_FIELDS,
+  validateTrackFields,
+  validateTrackMediaUrl,
+  buildNewTrackData,
+} from './trackValidation.js';
+import { extractAudioMetadata } from './audioMetadata.js';
+import { generateWaveform } from './waveform.js';
+import {
+  uploadToCloudinary,
+  TRACK_IMPORT_UPLOAD_DIR,
+} from '../../config/cloudinary.js';
+import { invalidateRouteCache } from '../../utils/cacheHelper.js';
+import { logger } from '../../utils/logger.js';
+import { uploadUnlessDuplicate } from '../media/index.js';
+import {
+  ALLOWED_FILE_TYPES,
+  CLOUDINARY_FOLDERS,
+  FILE_LIMITS,
+  TRACK_IMPORT_MAX_ROWS,
+} from '../../utils/constants.js';
+
+// Manifest columns holding JSON in a CSV cell
+const JSON_COLUMNS = ['licenses', 'revenueSplits', 'credits', 'previewSettings'];
+
+// Where each media field is uploaded from the archive and what it may be
+const ARCHIVE_MEDIA = {
+  thumbnail: {
+    folder: CLOUDINARY_FOLDERS.TRACKS_THUMBNAILS,
+    resourceType: 'image',
+    extensions: ALLOWED_FILE_TYPES.IMAGE_EXTENSIONS,
+    maxSize: FILE_LIMITS.THUMBNAIL_MAX_SIZE,
+  },
+  audio: {
+    folder: CLOUDINARY_FOLDERS.TRACKS_AUDIO,
+    resourceType: 'video', // Cloudinary uses 'video' for audio files
+    extensions: ALLOWED_FILE_TYPES.AUDIO_EXTENSIONS,
+    maxSize: FILE_LIMITS.AUDIO_MAX_SIZE,
+  },
+  previewAudio: {
+    folder: CLOUDINARY_FOLDERS.TRACKS_PREVIEW_AUDIO,
+    resourceType: 'video',
+    extensions: ALLOWED_FILE_TYPES.AUDIO_EXTENSIONS,
+    maxSize: FILE_LIMITS.AUDIO_MAX_SIZE,
+  },
+};
+
+// Largest file worth extracting from an archive (bigger ones fail validation anyway)
+const MAX_ARCHIVE_ENTRY_SIZE = Math.max(
+  ...Object.values(ARCHIVE_MEDIA).map(({ maxSize }) => maxSize),
+);
+
+// Files an archive may hold: the media of every row, at most
+const MAX_ARCHIVE_FILES =
+  TRACK_IMPORT_MAX_ROWS * Object.keys(ARCHIVE_MEDIA).length;
+
+// Bytes an archive may extract to; media barely compresses, so a real
+// archive stays well below this (a zip bomb doesn't)
+const MAX_ARCHIVE_EXTRACTED_SIZE = 2 * FILE_LIMITS.IMPORT_ARCHIVE_MAX_SIZE;
+
+// A pending or running job not saved for this long has lost its process
+// (server restart, or a serverless function frozen after the response)
+const IMPORT_JOB_STALE_MINUTES = 15;
+
+// Peaks field computed for each uploaded audio field
+const WAVEFORM_FIELDS = { audio: 'waveform', previewAudio: 'previewWaveform' };
+
+const isUrl = (value) => /^https?:\/\//i.test(value);
+
+// Archive paths are compared without leading ./ or / and with forward slashes
+const normalizeArchivePath = (value) =>
+  value
+    .trim()
+    .replace(/\\/g, '/')
+    .replace(/^(\.\/|\/)+/, '');
+
+/**
+ * Turn a manifest row into the fields POST /api/tracks accepts
+ * Empty cells are dropped, JSON columns are parsed and explicit/featured become booleans
+ * @param {Object} row - Manifest row
+ * @returns {{fields?: Object, error?: string}}
+ */
+export const normalizeManifestRow = (row) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { error: 'Row must be an object' };
+  }
+
+  const fields = {};
+  for (const [rawKey, value] of Object.entries(row)) {
+    const key = rawKey.trim();
+    if (value === undefined || value === null) continue;
+    if (typeof value === 'string' && value.trim() === '') continue;
+    fields[key] = typeof value === 'string' ? value.trim() : value;
+  }
+
+  for (const column of JSON_COLUMNS) {
+    if (typeof fields[column] !== 'string') continue;
+    try {
+      fields[column] = JSON.parse(fields[column]);
+    } catch {
+      return { error: `${column} must be valid JSON` };
+    }
+  }
+
+  ['explicit', 'featured'].forEach((flag) => {
+    if (typeof fields[flag] !== 'string') return;
+    const value = fields[flag].toLowerCase();
+    if (['true', 'yes', '1'].includes(value)) fields[flag] = true;
+    if (['false', 'no', '0'].includes(value)) fields[flag] = false;
+  });
+
+  return { fields };
+};
+
+/**
+ * Read the rows of a CSV or JSON manifest
+ * JSON manifests are an array of tracks (or { tracks: [...] }); CSV manifests
+ * have a header row with the POST /api/tracks field names
+ * @param {Object} file - Multer file (buffer or path, originalname, mimetype)
+ * @returns {{rows?: Array<Object>, error?: string}}
+ */
+export const parseManifest = (file) => {
+  const text = file.buffer
+    ? file.buffer.toString('utf8')
+    : fs.readFileSync(file.path, 'utf8');
+  const isJson =
+    file.mimetype === 'application/json' ||
+    path.extname(file.originalname || '').toLowerCase() === '.json';
+
+  let rows;
+  try {
+    if (isJson) {
+      const data = JSON.parse(text);
+      rows = Array.isArray(data) ? data : data?.tracks;
+      if (!Array.isArray(rows)) {
+        return { error: 'JSON manifest must be an array of tracks' };
+      }
+    } else {
+      rows = parseCsv(text, {
+        columns: true,
+        bom: true,
+        skip_empty_lines: true,
+        skip_records_with_empty_values: true,
+        trim: true,
+      });
+    }
+  } catch (error) {
+    return { error: `Manifest could not be read: ${error.message}` };
+  }
+
+  if (rows.length === 0) {
+    return { error: 'Manifest has no tracks' };
+  }
+  if (rows.length > TRACK_IMPORT_MAX_ROWS) {
+    return {
+      error: `Manifest has ${rows.length} tracks; at most ${TRACK_IMPORT_MAX_ROWS} can be imported at once`,
+    };
+  }
+  return { rows };
+};
+
+/**
+ * Decompress an archive entry, giving up past a size limit
+ * Inflated with a cap on the output, so an entry can't take more memory or
+ * disk than the limit whatever its header claims
+ * @param {Object} entry - AdmZip entry
+ * @param {number} limit - Largest size accepted (bytes)
+ * @returns {Buffer|null} Data, or null if it is larger than the limit
+ */
+const inflateArchiveEntry = (entry, limit) => {
+  if (entry.header.encrypted) {
+    throw new Error(`${entry.entryName} is encrypted`);
+  }
+  const data = entry.getCompressedData();
+  if (entry.header.method === 0 || data.length === 0) {
+    return data.length > limit ? null : data;
+  }
+  if (entry.header.method !== 8) {
+    throw new Error(`${entry.entryName} uses an unsupported compression`);
+  }
+  try {
+    const inflated = zlib.inflateRawSync(data, {
+      maxOutputLength: Math.max(limit, 1),
+    });
+    return inflated.length > limit ? null : inflated;
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') return null;
+    throw error;
+  }
+};
+
+/**
+ * Extract a ZIP archive of media files to a work directory
+ * Files are written one by one under numbered names, so the archive isn't
+ * kept in memory while the job runs and entry names never become paths.
+ * Files can be referenced by their full path, or by the path below a single
+ * wrapping folder (zipping a folder usually adds one)
+ * @param {Object} [file] - Multer file with the ZIP (path on disk)
+ * @param {string} workDir - Directory the files are extracted to
+ * @returns {Promise<{archive?: {find: Function}, error?: string}>}
+ *   find returns { entryName, size, path }
+ */
+export const openMediaArchive = async (file, workDir) => {
+  const entries = new Map();
+  if (file) {
+    try {
+      await fs.promises.mkdir(workDir, { recursive: true });
+      const zipEntries = new AdmZip(file.path).getEntries();
+      let extractedSize = 0;
+      for (const entry of zipEntries) {
+        const name = normalizeArchivePath(entry.entryName);
+        if (entry.isDirectory || name.startsWith('__MACOSX/')) continue;
+
+        if (entries.size >= MAX_ARCHIVE_FILES) {
+          return {
+            error: `Media archive holds more than ${MAX_ARCHIVE_FILES} files`,
+          };
+        }
+
+        const extracted = {
+          entryName: entry.entryName,
+          size: entry.header.size,
+          path: null,
+        };
+        // Too large to be imported - reported by the row instead
+        if (extracted.size > MAX_ARCHIVE_ENTRY_SIZE) {
+          entries.set(name, extracted);
+          continue;
+        }
+
+        // Sizes in the archive can lie, so what is written is what counts
+        const data = inflateArchiveEntry(
+          entry,
+          Math.min(
+            MAX_ARCHIVE_ENTRY_SIZE,
+            MAX_ARCHIVE_EXTRACTED_SIZE - extractedSize,
+          ),
+        );
+        if (!data) {
+          return {
+            error: `Media archive expands to more than ${
+              MAX_ARCHIVE_EXTRACTED_SIZE / 1024 / 1024
+            }MB, or ${entry.entryName} is larger than the archive says`,
+          };
+        }
+        extractedSize += data.length;
+        extracted.size = data.length;
+        extracted.path = path.join(workDir, String(entries.size));
+        await fs.promises.writeFile(extracted.path, data);
+        entries.set(name, extracted);
+      }
+    } catch (error) {
+      return { error: `Media archive could not be read: ${error.message}` };
+    }
+  }
+
+  const find = (value) => {
+    const name = normalizeArchivePath(value);
+    if (entries.has(name)) return entries.get(name);
+    const matches = [...entries.keys()].filter((key) =>
+      key.endsWith(`/${name}`),
+    );
+    return matches.length === 1 ? entries.get(matches[0]) : null;
+  };
+
+  return { archive: { find } };
+};
+
+/**
+ * Check the media of a row: URLs are validated like POST /api/tracks,
+ * anything else must be a file of the right type in the archive
+ * @param {Object} fields - Normalized row fields
+ * @param {Object} archive - Archive from openMediaArchive
+ * @returns {{media: Object, errors: Array<string>}} media maps fields to { url } or { entry }
+ */
+const resolveRowMedia = (fields, archive) => {
+  const media = {};
+  const errors = [];
+
+  for (const field of Object.keys(TRACK_MEDIA_FIELDS)) {
+    const value = fields[field];
+    if (typeof value !== 'string' || isUrl(value)) {
+      const error = validateTrackMediaUrl(field, value);
+      if (error) errors.push(error);
+      else media[field] = { url: value };
+      continue;
+    }
+
+    const { label } = TRACK_MEDIA_FIELDS[field];
+    const { extensions, maxSize } = ARCHIVE_MEDIA[field];
+    const entry = archive.find(value);
+    if (!entry) {
+      errors.push(`${label} file "${value}" is not in the media archive`);
+      continue;
+    }
+    const extension = path.extname(entry.entryName).slice(1).toLowerCase();
+    if (!extensions.includes(extension)) {
+      errors.push(
+        `${label} file "${value}" must be one of: ${extensions.join(', ')}`,
+      );
+      continue;
+    }
+    if (entry.size > maxSize) {
+      errors.push(
+        `${label} file "${value}" is larger than ${maxSize / (1024 * 1024)}MB`,
+      );
+      continue;
+    }
+    media[field] = { entry };
+  }
+
+  return { media, errors };
+};
+
+/**
+ * Validate one manifest row without uploading anything
+ * @param {Object} row - Manifest row
+ * @param {Object} archive - Archive from openMediaArchive
+ * @returns {Promise<{fields?: Object, media?: Object, errors: Array<string>}>}
+ */
+const validateRow = async (row, archive) => {
+  const { fields, error: rowError } = normalizeManifestRow(row);
+  if (rowError) {
+    return { errors: [rowError] };
+  }
+
+  const errors = [];
+  const { error: fieldError } = await validateTrackFields(fields);
+  if (fieldError) errors.push(fieldError);
+
+  const { media, errors: mediaErrors } = resolveRowMedia(fields, archive);
+  errors.push(...mediaErrors);
+
+  return { fields, media, errors };
+};
+
+/**
+ * Upload a valid row's archive media and create the track
+ * Duration, bitrate and sample rate are read from the audio file when the row leaves them out
+ * @param {Object} fields - Normalized row fields
+ * @param {Object} media - Media resolved by resolveRowMedia
+ * @returns {Promise<{track?: Object, error?: string}>}
+ */
+const createTrackFromRow = async (fields, media) => {
+  const body = { ...fields };
+
+  for (const [field, source] of Object.entries(media)) {
+    if (source.url) continue;
+
+    const { folder, resourceType } = ARCHIVE_MEDIA[field];
+    const buffer = await fs.promises.readFile(source.entry.path);
+    // Files already on Cloudinary (same bytes, or a near-identical image) are reused
+    const uploads = [
+      uploadUnlessDuplicate(
+        { buffer, originalname: path.basename(source.entry.entryName) },
+        {
+          folder,
+          image: resourceType === 'image',
+          upload: () => uploadToCloudinary(buffer, folder, resourceType),
+        },
+      ).then(({ url }) => url),
+    ];
+    if (WAVEFORM_FIELDS[field] && body[WAVEFORM_FIELDS[field]] === undefined) {
+      uploads.push(generateWaveform(buffer));
+    }
+    const [url, waveform] = await Promise.all(uploads);
+
+    body[field] = url;
+    if (waveform) body[WAVEFORM_FIELDS[field]] = waveform;
+
+    if (field === 'audio') {
+      const metadata = await extractAudioMetadata({
+        buffer,
+        size: buffer.length,
+      });
+      ['duration', 'bitrate', 'sampleRate'].forEach((key) => {
+        if (body[key] === undefined && metadata?.[key]) {
+          body[key] = metadata[key];
+        }
+      });
+    }
+  }
+
+  const { trackData, error } = await buildNewTrackData(body);
+  if (error) {
+    return { error };
+  }
+  return { track: await Track.create(trackData) };
+};
+
+/**
+ * Validate (and unless it is a dry run, import) every row of a job
+ * Progress is saved after each row so the job can be polled
+ * @param {Object} job - TrackImportJob document
+ * @param {Array<Object>} rows - Manifest rows
+ * @param {Object} archive - Archive from openMediaArchive
+ */
+const runImportJob = async (job, rows, archive) => {
+  job.status = 'running';
+  job.startedAt = new Date();
+  await job.save();
+
+  for (const [index, row] of rows.entries()) {
+    const { fields, media, errors } = await validateRow(row, archive);
+    const result = {
+      row: index + 1,
+      title: typeof fields?.title === 'string' ? fields.title : '',
+      status: errors.length > 0 ? 'invalid' : 'valid',
+      messages: errors,
+    };
+
+    if (!job.dryRun && result.status === 'valid') {
+      try {
+        const { track, error } = await createTrackFromRow(fields, media);
+        if (error) {
+          result.status = 'failed';
+          result.messages = [error];
+        } else {
+          result.status = 'created';
+          result.track = track._id;
+          job.createdCount += 1;
+        }
+      } catch (error) {
+        result.status = 'failed';
+        result.messages = [error.message];
+      }
+    }
+
+    if (result.status === 'invalid' || result.status === 'failed') {
+      job.errorCount += 1;
+    }
+    job.rows.push(result);
+    job.processedRows = index + 1;
+    await job.save();
+  }
+
+  job.status = 'completed';
+  job.finishedAt = new Date();
+  await job.save();
+
+  if (job.createdCount > 0) {
+    invalidateRouteCache('tracks');
+  }
+  logger.info('Track import finished', {
+    jobId: job._id,
+    dryRun: job.dryRun,
+    created: job.createdCount,
+    errors: job.errorCount,
+  });
+};
+
+// Remove an import's uploads and extracted files
+const removeImportFiles = async (files, workDir) => {
+  await Promise.all(
+    [...files.map((file) => file?.path), workDir]
+      .filter(Boolean)
+      .map((target) =>
+        fs.promises.rm(target, { recursive: true, force: true }),
+      ),
+  ).catch((error) => {
+    logger.warn('Could not remove track import files', {
+      error: error.message,
+    });
+  });
+};
+
+/**
+ * Start a bulk track import
+ * Dry runs finish before this resolves; real imports continue in the background
+ * and are followed through the returned job. The uploaded files are removed
+ * once the job ends
+ * @param {Object} options
+ * @param {Object} options.manifest - Multer file with the CSV or JSON manifest
+ * @param {Object} [options.archive] - Multer file with the ZIP of media files
+ * @param {boolean} [options.dryRun=false] - Only validate
+ * @returns {Promise<{job?: Object, error?: string}>} error when the upload itself is unusable
+ */
+export const startTrackImport = async ({
+  manifest,
+  archive: archiveFile,
+  dryRun = false,
+}) => {
+  const workDir = path.join(
+    TRACK_IMPORT_UPLOAD_DIR,
+    `job-${crypto.randomUUID()}`,
+  );
+  const cleanUp = () => removeImportFiles([manifest, archiveFile], workDir);
+
+  let job;
+  let run;
+  try {
+    const { rows, error: manifestError } = parseManifest(manifest);
+    if (manifestError) {
+      await cleanUp();
+      return { error: manifestError };
+    }
+    const { archive, error: archiveError } = await openMediaArchive(
+      archiveFile,
+      workDir,
+    );
+    if (archiveError) {
+      await cleanUp();
+      return { error: archiveError };
+    }
+
+    job = await TrackImportJob.create({
+      dryRun,
+      manifestName: manifest.originalname,
+      archiveName: archiveFile?.originalname,
+      totalRows: rows.length,
+    });
+
+    run = runImportJob(job, rows, archive)
+      .catch(async (error) => {
+        logger.error('Track import failed', error);
+        job.status = 'failed';
+        job.error = error.message;
+        job.finishedAt = new Date();
+        await job.save().catch(() => {});
+      })
+      .finally(cleanUp);
+  } catch (error) {
+    await cleanUp();
+    throw error;
+  }
+
+  if (dryRun) {
+    await run;
+  }
+  return { job };
+};
+
+/**
+ * Fail import jobs whose process died before they finished
+ * Jobs are saved after every row, so one left untouched for
+ * IMPORT_JOB_STALE_MINUTES will never finish. Called at startup and before
+ * jobs are listed or polled
+ * @returns {Promise<number>} Number of jobs failed
+ */
+export const failStaleImportJobs = async () => {
+  const result = await TrackImportJob.updateMany(
+    {
+      status: { $in: ['pending', 'running'] },
+      updatedAt: {
+        $lte: new Date(Date.now() - IMPORT_JOB_STALE_MINUTES * 60 * 1000),
+      },
+    },
+    {
+      $set: {
+        status: 'failed',
+        error:
+          'The import stopped before finishing (the server restarted); import the remaining rows again',
+        finishedAt: new Date(),
+      },
+    },
+  );
+  if (result.modifiedCount > 0) {
+    logger.warn('Stale track imports failed', { count: result.modifiedCount });
+  }
+  return result.modifiedCount;
+};
@@ -0,0 +1,203 @@
+import Pricing from '../pricing/Pricing.js';
+import { LICENSE_TYPES } from '../../utils/constants.js';
+import {
+  isValidObjectId,
+  isValidPositiveNumber,
+  isValidRequiredString,
+} from '../../utils/validation.js';
+
+const isHttpUrl = (url) =>
+  typeof url === 'string' &&
+  (url.startsWith('http://') || url.startsWith('https://'));
+
+/**
+ * Validate and normalize the license tiers sent with a track
+ * Tiers based on a pricing plan inherit the plan's name, type, price and
+ * usage terms unless they are overridden. Existing tier IDs are kept so
+ * sales that reference them keep resolving after an edit
+ * @param {Array} input - License tiers from the request body
+ * @returns {Promise<{licenses?: Array, error?: string}>}
+ */
+export const normalizeTrackLicenses = async (input) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Licenses must be an array' };
+  }
+
+  const planIds = input
+    .map((license) => license && license.pricingPlan)
+    .filter(Boolean);
+  if (planIds.some((id) => !isValidObjectId(String(id)))) {
+    return { error: 'Invalid pricing plan ID in licenses' };
+  }
+
+  const plans =
+    planIds.length > 0
+      ? await Pricing.find({ _id: { $in: planIds } }).lean()
+      : [];
+  const plansById = new Map(plans.map((plan) => [String(plan._id), plan]));
+
+  const licenses = [];
+  for (const [index, license] of input.entries()) {
+    const position = `License ${index + 1}`;
+    if (!license || typeof license !== 'object') {
+      return { error: `${position} is invalid` };
+    }
+
+    const plan = license.pricingPlan
+      ? plansById.get(String(license.pricingPlan))
+      : null;
+    if (license.pricingPlan && !plan) {
+      return { error: `${position}: pricing plan not found` };
+    }
+
+    const name = license.name ?? plan?.title;
+    const licenseType = license.licenseType ?? plan?.licenseType ?? 'basic';
+    const price = license.price ?? plan?.price;
+    const usageTerms = license.usageTerms ?? plan?.usageTerms ?? '';
+    const files = license.files ?? [];
+
+    if (!isValidRequiredString(name)) {
+      return { error: `${position}: name is required` };
+    }
+    if (!LICENSE_TYPES.includes(licenseType)) {
+      return {
+        error: `${position}: license type must be one of: ${LICENSE_TYPES.join(', ')}`,
+      };
+    }
+    if (!isValidPositiveNumber(price)) {
+      return { error: `${position}: valid price is required` };
+    }
+    if (typeof usageTerms !== 'string') {
+      return { error: `${position}: usage terms must be a string` };
+    }
+    if (!Array.isArray(files)) {
+      return { error: `${position}: files must be an array` };
+    }
+    for (const file of files) {
+      if (!file || !isValidRequiredString(file.label)) {
+        return { error: `${position}: every file needs a label` };
+      }
+      if (!isHttpUrl(file.url)) {
+        return {
+          error: `${position}: file URLs must be valid HTTP/HTTPS URLs. Upload files first using /api/tracks/upload/license-file.`,
+        };
+      }
+    }
+
+    const normalized = {
+      name: name.trim(),
+      licenseType,
+      price: parseFloat(price),
+      usageTerms: usageTerms.trim(),
+      files: files.map((file) => ({
+        ...(isValidObjectId(String(file._id)) && { _id: file._id }),
+        label: file.label.trim(),
+        url: file.url,
+      })),
+    };
+    if (plan) {
+      normalized.pricingPlan = plan._id;
+    }
+    if (isValidObjectId(String(license._id))) {
+      normalized._id = license._id;
+    }
+    licenses.push(normalized);
+  }
+
+  return { licenses };
+};
+
+/**
+ * Lowest tier price - used as the track's "from" price
+ * @param {Array} licenses - Normalized license tiers
+ * @returns {number|null} Lowest price, or null without tiers
+ */
+export const getStartingPrice = (licenses) =>
+  licenses.length > 0
+    ? Math.min(...licenses.map((license) => license.price))
+    : null;
+
+/**
+ * Find a license tier on a track
+ * @param {Object} track - Track document or plain object
+ * @param {string} licenseId - License tier ID
+ * @returns {Object|null} License tier, or null if not offered
+ */
+export const getTrackLicense = (track, licenseId) => {
+  if (!track || !licenseId || !Array.isArray(track.licenses)) return null;
+  return (
+    track.licenses.find(
+      (license) => String(license._id) === String(licenseId),
+    ) || null
+  );
+};
+
+/**
+ * Work out which license a buyer is paying for
+ * Tracks without tiers are sold as before at track.price with no license
+ * @param {Object} track - Track document
+ * @param {string} [licenseId] - Requested license tier ID
+ * @returns {{license?: Object|null, price?: number, error?: string}}
+ */
+export const resolvePurchaseLicense = (track, licenseId) => {
+  if (!track.licenses || track.licenses.length === 0) {
+    return { license: null, price: track.price };
+  }
+  if (!licenseId) {
+    return { error: 'License ID is required for this track' };
+  }
+  const license = getTrackLicense(track, licenseId);
+  if (!license) {
+    return { error: 'License not found for this track' };
+  }
+  return { license, price: license.price };
+};
+
+/**
+ * Snapshot of a license tier stored on the sale
+ * @param {Object|null} license - License tier
+ * @returns {Object|undefined} Sale license snapshot
+ */
+export const buildSaleLicense = (license) => {
+  if (!license) return undefined;
+  return {
+    licenseId: license._id,
+    name: license.name,
+    licenseType: license.licenseType,
+    usageTerms: license.usageTerms,
+    files: license.files.map((file) => ({ label: file.label, url: file.url })),
+  };
+};
+
+/**
+ * Strip deliverable file URLs from license tiers for public responses
+ * @param {Array} licenses - License tiers (plain objects)
+ * @returns {Array} Tiers with file labels only
+ */
+export const toPublicLicenses = (licenses = []) =>
+  licenses.map((license) => ({
+    ...license,
+    files: (license.files || []).map(({ _id, label }) => ({ _id, label })),
+  }));
+
+/**
+ * Files a sale is entitled to download
+ * Uses the tier's current files (so replaced masters reach earlier buyers),
+ * then the files captured at purchase time, then the track's main audio
+ * @param {Object} sale - Sale document
+ * @param {Object} track - Track document
+ * @returns {Array<{label: string, url: string}>}
+ */
+export const getSaleLicenseFiles = (sale, track) => {
+  const license = sale.license?.licenseId
+    ? getTrackLicense(track, sale.license.licenseId)
+    : null;
+
+  if (license && license.files.length > 0) {
+    return license.files.map(({ label, url }) => ({ label, url }));
+  }
+  if (sale.license?.files?.length > 0) {
+    return sale.license.files.map(({ label, url }) => ({ label, url }));
+  }
+  return track.audio ? [{ label: 'MP3', url: track.audio }] : [];
+};
@@ -0,0 +1,159 @@
+import { MUSICAL_KEYS, BPM_RANGE } from '../../utils/constants.js';
+
+// Fields that are cleared (unset) when sent as null or an empty string
+const CLEARABLE_FIELDS = ['bpm', 'key', 'duration', 'bitrate', 'sampleRate'];
+
+const FLAT_TO_SHARP = { Db: 'C#', Eb: 'D#', Gb: 'F#', Ab: 'G#', Bb: 'A#' };
+
+const isEmpty = (value) => value === null || value === '';
+
+/**
+ * Normalize a musical key to the canonical "C# minor" form
+ * Accepts common notations: "Am", "A min", "A minor", "C#m", "Dbmaj", "F#"
+ * @param {string} value - Key as typed or read from an ID3 tag
+ * @returns {string|null} Canonical key, or null if not recognised
+ */
+export const normalizeMusicalKey = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const match = /^\s*([A-Ga-g])\s*([#♯b♭]?)\s*(.*?)\s*$/.exec(value);
+  if (!match) return null;
+
+  const [, letter, accidental, rawMode] = match;
+  let root = letter.toUpperCase();
+  if (accidental === '#' || accidental === '♯') root += '#';
+  if (accidental === 'b' || accidental === '♭') root += 'b';
+  root = FLAT_TO_SHARP[root] || root;
+  // E# and B# are spelled F and C
+  if (root === 'E#') root = 'F';
+  if (root === 'B#') root = 'C';
+
+  const mode = rawMode.toLowerCase();
+  let scale;
+  if (['', 'maj', 'major', 'dur'].includes(mode)) {
+    scale = 'major';
+  } else if (['m', 'min', 'minor', 'moll'].includes(mode)) {
+    scale = 'minor';
+  } else {
+    return null;
+  }
+
+  const key = `${root} ${scale}`;
+  return MUSICAL_KEYS.includes(key) ? key : null;
+};
+
+/**
+ * Clean a tag list: trimmed, lowercase, unique, no empties
+ * @param {Array<string>|string} tags - Tags array or comma separated string
+ * @returns {Array<string>}
+ */
+export const normalizeTags = (tags) => {
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  return [
+    ...new Set(
+      list
+        .filter((tag) => typeof tag === 'string')
+        .map((tag) => tag.trim().toLowerCase())
+        .filter(Boolean),
+    ),
+  ];
+};
+
+/**
+ * Validate and normalize the descriptive metadata sent with a track
+ * Only fields present in the body are returned. Technical fields sent as
+ * null or '' are returned in `unset` so updates can clear them
+ * @param {Object} body - Request body
+ * @returns {{metadata?: Object, unset?: Array<string>, error?: string}}
+ */
+export const normalizeTrackMetadata = (body) => {
+  const {
+    bpm,
+    key,
+    duration,
+    bitrate,
+    sampleRate,
+    credits,
+    tags,
+    lyrics,
+    explicit,
+  } = body;
+  const metadata = {};
+  const unset = CLEARABLE_FIELDS.filter(
+    (field) => body[field] !== undefined && isEmpty(body[field]),
+  );
+
+  if (bpm !== undefined && !isEmpty(bpm)) {
+    const value = parseFloat(bpm);
+    if (isNaN(value) || value < BPM_RANGE.MIN || value > BPM_RANGE.MAX) {
+      return {
+        error: `BPM must be a number between ${BPM_RANGE.MIN} and ${BPM_RANGE.MAX}`,
+      };
+    }
+    metadata.bpm = Math.round(value * 100) / 100;
+  }
+
+  if (key !== undefined && !isEmpty(key)) {
+    const normalizedKey = normalizeMusicalKey(key);
+    if (!normalizedKey) {
+      return {
+        error: 'Key must be a musical key such as "C major" or "A minor"',
+      };
+    }
+    metadata.key = normalizedKey;
+  }
+
+  const numericFields = { duration, bitrate, sampleRate };
+  for (const [field, value] of Object.entries(numericFields)) {
+    if (value === undefined || isEmpty(value)) continue;
+    const number = parseFloat(value);
+    if (isNaN(number) || number < 0) {
+      return { error: `${field} must be a valid positive number` };
+    }
+    metadata[field] = field === 'duration' ? Math.round(number) : number;
+  }
+
+  if (credits !== undefined) {
+    if (!Array.isArray(credits)) {
+      return { error: 'Credits must be an array' };
+    }
+    for (const credit of credits) {
+      if (
+        !credit ||
+        typeof credit.role !== 'string' ||
+        typeof credit.name !== 'string' ||
+        credit.role.trim() === '' ||
+        credit.name.trim() === ''
+      ) {
+        return { error: 'Every credit needs a role and a name' };
+      }
+    }
+    metadata.credits = credits.map(({ role, name }) => ({
+      role: role.trim(),
+      name: name.trim(),
+    }));
+  }
+
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) && typeof tags !== 'string') {
+      return { error: 'Tags must be an array of strings' };
+    }
+    metadata.tags = normalizeTags(tags);
+  }
+
+  if (lyrics !== undefined) {
+    if (lyrics !== null && typeof lyrics !== 'string') {
+      return { error: 'Lyrics must be a string' };
+    }
+    metadata.lyrics = (lyrics || '').trim();
+  }
+
+  if (explicit !== undefined) {
+    if (typeof explicit !== 'boolean') {
+      return { error: 'Explicit must be true or false' };
+    }
+    metadata.explicit = explicit;
+  }
+
+  return { metadata, unset };
+};
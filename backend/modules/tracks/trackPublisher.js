@@ -0,0 +1,117 @@
+import Track from './Track.js';
+import { invalidateMultipleRoutes } from '../../utils/cacheHelper.js';
+import { logger } from '../../utils/logger.js';
+import { TRACK_STATUSES } from '../../utils/constants.js';
+import { toPublicLicenses } from './trackLicenses.js';
+
+// How often scheduled tracks are checked (milliseconds)
+const PUBLISH_CHECK_INTERVAL = 60 * 1000;
+
+let lastCheckAt = 0;
+let publisherTimer = null;
+
+// Query filter for publicly visible tracks
+// Tracks created before statuses existed have no status and stay public
+// Tracks sold under an exclusive license are retired from public listings
+export const PUBLIC_TRACK_FILTER = {
+  status: { $nin: TRACK_STATUSES.filter((status) => status !== 'published') },
+  soldExclusively: { $ne: true },
+};
+
+/**
+ * Check whether a track is visible in public APIs
+ * @param {Object} track - Track document or plain object
+ * @returns {boolean}
+ */
+export const isTrackPublic = (track) =>
+  !!track &&
+  (!track.status || track.status === 'published') &&
+  !track.soldExclusively;
+
+/**
+ * Strip the fields only admins may see from a track for a public response
+ * The audio URL and views are private, license tiers lose their deliverable
+ * files (those are for buyers) and payee shares are removed
+ * @param {Object} track - Plain track object (lean or toObject()), changed in place
+ * @returns {Object} The same object
+ */
+export const toPublicTrack = (track) => {
+  delete track.audio;
+  delete track.views;
+  track.licenses = toPublicLicenses(track.licenses);
+  delete track.revenueSplits;
+  return track;
+};
+
+/**
+ * Work out the status a track should be saved with
+ * - No status given: future release dates are scheduled, everything else is published
+ * - 'scheduled' with a release date that has already passed is published right away
+ * @param {string|undefined} status - Requested status
+ * @param {Date} releaseDate - Track release date
+ * @returns {string} Status to store
+ */
+export const resolveTrackStatus = (status, releaseDate) => {
+  const isFutureRelease = releaseDate && releaseDate.getTime() > Date.now();
+
+  if (!status) {
+    return isFutureRelease ? 'scheduled' : 'published';
+  }
+  if (status === 'scheduled' && !isFutureRelease) {
+    return 'published';
+  }
+  return status;
+};
+
+/**
+ * Publish every scheduled track whose release date has passed
+ * Invalidates the tracks route cache when anything goes live
+ * @returns {Promise<number>} Number of tracks published
+ */
+export const publishDueTracks = async () => {
+  const now = new Date();
+  const result = await Track.updateMany(
+    { status: 'scheduled', releaseDate: { $lte: now } },
+    { status: 'published', publishedAt: now },
+  );
+
+  const published = result.modifiedCount || 0;
+  if (published > 0) {
+    invalidateMultipleRoutes(['tracks', 'categories', 'releases']);
+    logger.info('Scheduled tracks published', { count: published });
+  }
+  return published;
+};
+
+/**
+ * Middleware that publishes due tracks at most once per check interval
+ * Runs before the route cache so serverless instances without a running
+ * timer still release scheduled tracks on time
+ */
+export const publishScheduledTracks = async (req, res, next) => {
+  if (Date.now() - lastCheckAt >= PUBLISH_CHECK_INTERVAL) {
+    lastCheckAt = Date.now();
+    try {
+      await publishDueTracks();
+    } catch (error) {
+      logger.error('Error publishing scheduled tracks', error);
+    }
+  }
+  next();
+};
+
+/**
+ * Start the background timer that publishes scheduled tracks
+ * Safe to call more than once
+ */
+export const startTrackPublisher = () => {
+  if (publisherTimer) return;
+
+  publisherTimer = setInterval(() => {
+    lastCheckAt = Date.now();
+    publishDueTracks().catch((error) => {
+      logger.error('Error publishing scheduled tracks', error);
+    });
+  }, PUBLISH_CHECK_INTERVAL);
+  publisherTimer.unref();
+};
@@ -6,24 +6,30 @@ import { logger } from '../../utils/logger.js';
  * @param {string} trackId - Track ID
  * @param {number} salePrice - Price of the sale
  * @param {string} operation - 'increment' or 'decrement'
+ * @param {Object} [options]
+ * @param {boolean} [options.countSale] - Also change saleCount; false for partial refunds
  */
 export const updateTrackStatistics = async (
   trackId,
   salePrice,
   operation = 'increment',
+  { countSale = true } = {},
 ) => {
   try {
-    const track = await Track.findById(trackId);
+    const track = await Track.findById(trackId).withDeleted();
     if (!track) {
       logger.warn('Track not found for statistics update', { trackId });
       return;
     }
 
     if (operation === 'increment') {
-      track.saleCount = (track.saleCount || 0) + 1;
+      track.saleCount = (track.saleCount || 0) + (countSale ? 1 : 0);
       track.totalSoldPrice = (track.totalSoldPrice || 0) + salePrice;
     } else if (operation === 'decrement') {
-      track.saleCount = Math.max(0, (track.saleCount || 0) - 1);
+      track.saleCount = Math.max(
+        0,
+        (track.saleCount || 0) - (countSale ? 1 : 0),
+      );
       track.totalSoldPrice = Math.max(0, (track.totalSoldPrice || 0) - salePrice);
     }
 
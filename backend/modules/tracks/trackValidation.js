@@ -0,0 +1,227 @@
+import { isValidDate } from '../../utils/validation.js';
+import { TRACK_STATUSES } from '../../utils/constants.js';
+import {
+  isValidTrackCategory,
+  getCategoryNames,
+} from '../categories/index.js';
+import { normalizeTrackLicenses, getStartingPrice } from './trackLicenses.js';
+import { normalizeRevenueSplits } from './revenueSplits.js';
+import { normalizeTrackMetadata } from './trackMetadata.js';
+import { resolveTrackWaveforms } from './waveform.js';
+import { resolvePreviewSettings } from './previewClips.js';
+import { resolveTrackStatus } from './trackPublisher.js';
+
+// Media URL fields of a track and the upload endpoint that returns each one
+export const TRACK_MEDIA_FIELDS = {
+  thumbnail: { label: 'Thumbnail', endpoint: '/api/tracks/upload/thumbnail' },
+  audio: { label: 'Audio', endpoint: '/api/tracks/upload/audio' },
+  previewAudio: {
+    label: 'Preview audio',
+    endpoint: '/api/tracks/upload/preview-audio',
+  },
+};
+
+/**
+ * Validate one media URL of a track
+ * @param {string} field - thumbnail, audio or previewAudio
+ * @param {*} value - Value sent for the field
+ * @returns {string|null} Error message, or null if the URL is fine
+ */
+export const validateTrackMediaUrl = (field, value) => {
+  const { label, endpoint } = TRACK_MEDIA_FIELDS[field];
+  if (!value || typeof value !== 'string' || value.trim() === '') {
+    return `${label} URL is required`;
+  }
+  if (value.startsWith('data:')) {
+    return `Base64 data is not allowed. Please upload the file first using the ${endpoint} endpoint, then use the returned URL.`;
+  }
+  if (!value.startsWith('http://') && !value.startsWith('https://')) {
+    return `Invalid ${label.toLowerCase()} URL format. Must be a valid HTTP/HTTPS URL.`;
+  }
+  return null;
+};
+
+/**
+ * Validate the non-media fields of a track (the rules of POST /api/tracks)
+ * For an update only the fields sent are checked and returned, and the
+ * status is only worked out again when it or a scheduled release date changes
+ * @param {Object} body - Track fields
+ * @param {Object} [track] - Current track (updates only)
+ * @returns {Promise<{fields?: Object, unset?: Array<string>, error?: string}>}
+ *   Normalized fields ready to save, and fields an update clears
+ */
+export const validateTrackFields = async (body, track = null) => {
+  const {
+    title,
+    releaseDate,
+    price,
+    category,
+    status,
+    licenses,
+    revenueSplits,
+    featured,
+  } = body;
+  // New tracks need every field; updates only check what they change
+  const checks = (value) => !track || value !== undefined;
+
+  if (
+    checks(title) &&
+    (!title || typeof title !== 'string' || title.trim() === '')
+  ) {
+    return { error: 'Title is required' };
+  }
+
+  const {
+    metadata,
+    unset,
+    error: metadataError,
+  } = normalizeTrackMetadata(body);
+  if (metadataError) {
+    return { error: metadataError };
+  }
+
+  if (checks(releaseDate)) {
+    if (!releaseDate) {
+      return { error: 'Release date is required' };
+    }
+    if (!isValidDate(releaseDate)) {
+      return { error: 'Release date must be a valid date' };
+    }
+  }
+
+  if (checks(category)) {
+    if (!category || typeof category !== 'string' || category.trim() === '') {
+      return { error: 'Category is required' };
+    }
+
+    // Validate category exists in the managed category list
+    if (!(await isValidTrackCategory(category.trim()))) {
+      const categoryNames = await getCategoryNames();
+      return { error: `Category must be one of: ${categoryNames.join(', ')}` };
+    }
+  }
+
+  // Price comes from the license tiers when the track has any
+  let normalizedLicenses = track ? undefined : [];
+  if (licenses !== undefined) {
+    const result = await normalizeTrackLicenses(licenses);
+    if (result.error) {
+      return { error: result.error };
+    }
+    normalizedLicenses = result.licenses;
+  }
+  const effectiveLicenses = normalizedLicenses || track?.licenses || [];
+
+  if (
+    track
+      ? price !== undefined && (isNaN(price) || parseFloat(price) < 0)
+      : effectiveLicenses.length === 0 &&
+        (!price || isNaN(price) || parseFloat(price) < 0)
+  ) {
+    return { error: 'Valid price is required' };
+  }
+
+  let normalizedSplits = track ? undefined : [];
+  if (revenueSplits !== undefined) {
+    const result = await normalizeRevenueSplits(revenueSplits);
+    if (result.error) {
+      return { error: result.error };
+    }
+    normalizedSplits = result.revenueSplits;
+  }
+
+  if (status !== undefined && !TRACK_STATUSES.includes(status)) {
+    return {
+      error: `Status must be one of: ${TRACK_STATUSES.join(', ')}`,
+    };
+  }
+
+  if (featured !== undefined && typeof featured !== 'boolean') {
+    return { error: 'Featured must be true or false' };
+  }
+
+  const {
+    previewSettings,
+    unset: unsetPreviewSettings,
+    error: previewSettingsError,
+  } = resolvePreviewSettings(body, track);
+  if (previewSettingsError) {
+    return { error: previewSettingsError };
+  }
+
+  const fields = { ...metadata };
+  if (title !== undefined) fields.title = title.trim();
+  if (releaseDate !== undefined) fields.releaseDate = new Date(releaseDate);
+  if (category !== undefined) fields.category = category.trim();
+  if (normalizedLicenses !== undefined) fields.licenses = normalizedLicenses;
+  if (normalizedSplits !== undefined) fields.revenueSplits = normalizedSplits;
+  if (previewSettings) fields.previewSettings = previewSettings;
+  if (!track || featured !== undefined) fields.featured = featured === true;
+  // With license tiers the track price is always the cheapest tier
+  if (effectiveLicenses.length > 0) {
+    fields.price = getStartingPrice(effectiveLicenses);
+  } else if (price !== undefined) {
+    fields.price = parseFloat(price);
+  }
+
+  // Future releases are scheduled instead of going public at once; updates
+  // re-evaluate scheduling when the status or the release date changes
+  const currentStatus = track && (track.status || 'published');
+  if (
+    !track ||
+    status !== undefined ||
+    (releaseDate !== undefined && currentStatus === 'scheduled')
+  ) {
+    fields.status = resolveTrackStatus(
+      status || currentStatus,
+      fields.releaseDate || track.releaseDate,
+    );
+    if (fields.status === 'published' && currentStatus !== 'published') {
+      fields.publishedAt = new Date();
+    }
+  }
+
+  return {
+    fields,
+    unset: [
+      ...(unset || []),
+      ...(unsetPreviewSettings ? ['previewSettings'] : []),
+    ],
+  };
+};
+
+/**
+ * Validate a new track and build the data to save
+ * Waveform peaks are computed from the media URLs when they aren't sent
+ * @param {Object} body - Track fields with uploaded media URLs
+ * @returns {Promise<{trackData?: Object, error?: string}>}
+ */
+export const buildNewTrackData = async (body) => {
+  const { fields, error } = await validateTrackFields(body);
+  if (error) {
+    return { error };
+  }
+
+  for (const field of Object.keys(TRACK_MEDIA_FIELDS)) {
+    const mediaError = validateTrackMediaUrl(field, body[field]);
+    if (mediaError) {
+      return { error: mediaError };
+    }
+  }
+
+  const { waveforms, error: waveformError } =
+    await resolveTrackWaveforms(body);
+  if (waveformError) {
+    return { error: waveformError };
+  }
+
+  return {
+    trackData: {
+      ...fields,
+      thumbnail: body.thumbnail,
+      audio: body.audio,
+      previewAudio: body.previewAudio,
+      ...waveforms,
+    },
+  };
+};
@@ -1,17 +1,135 @@
 import express from 'express';
 import Track from './Track.js';
-import Sale from '../sales/Sale.js';
 import { authenticateToken, optionalAuth } from '../auth/index.js';
 import { checkApiKey, checkOrigin } from '../../middleware/apiKey.js';
 import {
   uploadTrackFiles,
+  uploadImportFiles,
   uploadToCloudinary,
 } from '../../config/cloudinary.js';
 import { cacheMiddleware } from '../../middleware/cache.js';
-import { invalidateRouteCache } from '../../utils/cacheHelper.js';
+import {
+  invalidateRouteCache,
+  invalidateMultipleRoutes,
+} from '../../utils/cacheHelper.js';
+import {
+  isValidDate,
+  isValidPositiveNumber,
+  isValidObjectId,
+} from '../../utils/validation.js';
+import {
+  verifyPurchase,
+  verifyAudioAccess,
+} from './middleware/purchaseVerification.js';
+import { createAudioAccessToken, buildAudioStreamUrl } from './audioAccess.js';
+import { proxyRemoteMedia } from '../../utils/mediaProxy.js';
+import {
+  TRACK_STATUSES,
+  TRACK_EVENT_TYPES,
+  CLOUDINARY_FOLDERS,
+  RELATED_TRACKS_MAX_LIMIT,
+} from '../../utils/constants.js';
+import { isTrackSoldExclusively, relistTrack } from './exclusiveSales.js';
+import {
+  buildNewTrackData,
+  validateTrackFields,
+  validateTrackMediaUrl,
+  TRACK_MEDIA_FIELDS,
+} from './trackValidation.js';
+import { startTrackImport, failStaleImportJobs } from './trackImport.js';
+import TrackImportJob from './TrackImportJob.js';
+import { uploadUnlessDuplicate, isForcedUpload } from '../media/index.js';
+import { normalizeMusicalKey, normalizeTags } from './trackMetadata.js';
+import { extractAudioMetadata } from './audioMetadata.js';
+import { generateWaveform, resolveTrackWaveforms } from './waveform.js';
+import {
+  normalizePreviewSettings,
+  generatePreview,
+  regenerateTrackPreview,
+  regeneratePreviews,
+  PREVIEW_PAST_END_MESSAGE,
+} from './previewClips.js';
+import {
+  getVisitorContext,
+  normalizeReferrer,
+  normalizeUtm,
+  recordTrackEvent,
+  getTrackAnalytics,
+  MAX_ANALYTICS_DAYS,
+} from './trackEvents.js';
+import {
+  PUBLIC_TRACK_FILTER,
+  isTrackPublic,
+  toPublicTrack,
+  publishScheduledTracks,
+} from './trackPublisher.js';
+import { findRelatedTracks, RELATED_TRACKS_LIMIT } from './relatedTracks.js';
+import { currentSlugUrl } from '../../utils/slug.js';
 
 const router = express.Router();
 
+// Sort options accepted by GET /api/tracks (createdAt breaks ties for stable paging)
+// featured is the admin's order: featured tracks first, then the drag-and-drop positions
+const TRACK_SORT_OPTIONS = {
+  featured: Track.displayOrder(),
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  'most-sold': { saleCount: -1, createdAt: -1 },
+  'most-viewed': { views: -1, createdAt: -1 },
+  'price-asc': { price: 1, createdAt: -1 },
+  'price-desc': { price: -1, createdAt: -1 },
+};
+
+// Escape user input before using it inside a MongoDB $regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Downloads are only recorded server-side when a purchased file is delivered
+const PUBLIC_TRACK_EVENT_TYPES = TRACK_EVENT_TYPES.filter(
+  (type) => type !== 'download',
+);
+
+/**
+ * Record a listener event sent by the public site
+ * Bots and admins are ignored so they don't skew the numbers
+ * @param {Object} req - Express request (body: visitorId, referrer, utm)
+ * @param {string} type - Event type
+ * @returns {Promise<{notFound?: boolean, recorded?: boolean, views?: number}>}
+ */
+const handleTrackEvent = async (req, type) => {
+  if (!isValidObjectId(req.params.id)) {
+    return { notFound: true };
+  }
+  const track = await Track.findById(req.params.id).select(
+    'status soldExclusively views',
+  );
+  if (!track || !isTrackPublic(track)) {
+    return { notFound: true };
+  }
+
+  const body = req.body || {};
+  const { visitorId, clientId, isBot } = getVisitorContext(
+    req,
+    body.visitorId,
+  );
+  if (isBot || req.user?.role === 'admin') {
+    return { recorded: false, views: track.views };
+  }
+
+  const { recorded } = await recordTrackEvent({
+    trackId: track._id,
+    type,
+    visitorId,
+    clientId,
+    referrer: normalizeReferrer(body.referrer),
+    utm: normalizeUtm(body),
+  });
+
+  return {
+    recorded,
+    views: recorded && type === 'view' ? track.views + 1 : track.views,
+  };
+};
+
 /**
  * @swagger
  * /tracks/upload/thumbnail:
@@ -25,6 +143,12 @@ const router = express.Router();
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Upload even if the same file (or a near-identical image) was already uploaded
  *     requestBody:
  *       required: true
  *       content:
@@ -50,6 +174,8 @@ const router = express.Router();
  *                   type: string
  *                   format: uri
  *                   description: Cloudinary URL of uploaded thumbnail
+ *                 duplicate:
+ *                   $ref: '#/components/schemas/DuplicateMedia'
  *       400:
  *         description: No file provided or invalid file type
  *       401:
@@ -89,14 +215,23 @@ router.post(
         });
       }
 
-      // Upload to Cloudinary
-      const thumbnailUrl = await uploadToCloudinary(
+      // Upload to Cloudinary unless the image is already there
+      const { url: thumbnailUrl, duplicate } = await uploadUnlessDuplicate(
         req.file,
-        'nahid-admin/tracks/thumbnails',
-        'image',
+        {
+          folder: CLOUDINARY_FOLDERS.TRACKS_THUMBNAILS,
+          image: true,
+          force: isForcedUpload(req),
+          upload: () =>
+            uploadToCloudinary(
+              req.file,
+              CLOUDINARY_FOLDERS.TRACKS_THUMBNAILS,
+              'image',
+            ),
+        },
       );
 
-      res.json({ url: thumbnailUrl });
+      res.json({ url: thumbnailUrl, duplicate });
     } catch (error) {
       res.status(500).json({
         message: 'Error uploading thumbnail',
@@ -119,9 +254,20 @@ router.post(
  *       **Access Level: 🔒 ADMIN ONLY**
  *
  *       Upload an audio file for a track. Returns Cloudinary URL.
+ *       Duration, bitrate, sample rate and embedded tags (ID3, Vorbis, iTunes) are read from
+ *       the file and returned as `metadata` so the track form can be pre-filled.
+ *       `metadata` is null when the file could not be read.
+ *       Waveform peaks are computed from the file and returned as `waveform`; send them
+ *       back with the track so they don't have to be computed again.
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Upload even if the same file (or a near-identical image) was already uploaded
  *     requestBody:
  *       required: true
  *       content:
@@ -147,6 +293,52 @@ router.post(
  *                   type: string
  *                   format: uri
  *                   description: Cloudinary URL of uploaded audio
+ *                 duplicate:
+ *                   $ref: '#/components/schemas/DuplicateMedia'
+ *                 metadata:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     duration:
+ *                       type: integer
+ *                       description: Length in seconds
+ *                     bitrate:
+ *                       type: integer
+ *                       description: Bitrate in kbps
+ *                     sampleRate:
+ *                       type: integer
+ *                       description: Sample rate in Hz
+ *                     codec:
+ *                       type: string
+ *                     tags:
+ *                       type: object
+ *                       description: Embedded tags found in the file, shaped like track fields
+ *                       properties:
+ *                         title:
+ *                           type: string
+ *                         bpm:
+ *                           type: number
+ *                         key:
+ *                           type: string
+ *                         tags:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         credits:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/TrackCredit'
+ *                         lyrics:
+ *                           type: string
+ *                         releaseDate:
+ *                           type: string
+ *                           format: date
+ *                 waveform:
+ *                   type: array
+ *                   nullable: true
+ *                   items:
+ *                     type: number
+ *                   description: Peak amplitudes (0-1), null when the file could not be decoded
  *       400:
  *         description: No file provided or invalid file type
  *       401:
@@ -186,14 +378,25 @@ router.post(
         });
       }
 
-      // Upload to Cloudinary
-      const audioUrl = await uploadToCloudinary(
-        req.file,
-        'nahid-admin/tracks/audio',
-        'video', // Cloudinary uses 'video' for audio files
-      );
-
-      res.json({ url: audioUrl });
+      // Upload to Cloudinary (unless the file is already there), read the file's metadata
+      // and compute its waveform at the same time
+      const [{ url: audioUrl, duplicate }, metadata, waveform] =
+        await Promise.all([
+          uploadUnlessDuplicate(req.file, {
+            folder: CLOUDINARY_FOLDERS.TRACKS_AUDIO,
+            force: isForcedUpload(req),
+            upload: () =>
+              uploadToCloudinary(
+                req.file,
+                CLOUDINARY_FOLDERS.TRACKS_AUDIO,
+                'video', // Cloudinary uses 'video' for audio files
+              ),
+          }),
+          extractAudioMetadata(req.file),
+          generateWaveform(req.file.buffer),
+        ]);
+
+      res.json({ url: audioUrl, metadata, waveform, duplicate });
     } catch (error) {
       res.status(500).json({
         message: 'Error uploading audio',
@@ -217,9 +420,16 @@ router.post(
  *
  *       Upload a short/preview audio file for public playback. Returns Cloudinary URL.
  *       This preview audio will be publicly accessible without purchase verification.
+ *       Waveform peaks are computed from the file and returned as `waveform`.
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Upload even if the same file (or a near-identical image) was already uploaded
  *     requestBody:
  *       required: true
  *       content:
@@ -245,6 +455,14 @@ router.post(
  *                   type: string
  *                   format: uri
  *                   description: Cloudinary URL of uploaded preview audio
+ *                 duplicate:
+ *                   $ref: '#/components/schemas/DuplicateMedia'
+ *                 waveform:
+ *                   type: array
+ *                   nullable: true
+ *                   items:
+ *                     type: number
+ *                   description: Peak amplitudes (0-1), null when the file could not be decoded
  *       400:
  *         description: No file provided or invalid file type
  *       401:
@@ -287,14 +505,24 @@ router.post(
         });
       }
 
-      // Upload to Cloudinary
-      const previewAudioUrl = await uploadToCloudinary(
-        req.file,
-        'nahid-admin/tracks/preview-audio',
-        'video', // Cloudinary uses 'video' for audio files
+      // Upload to Cloudinary (unless the file is already there) and compute the waveform at the same time
+      const [{ url: previewAudioUrl, duplicate }, waveform] = await Promise.all(
+        [
+          uploadUnlessDuplicate(req.file, {
+            folder: CLOUDINARY_FOLDERS.TRACKS_PREVIEW_AUDIO,
+            force: isForcedUpload(req),
+            upload: () =>
+              uploadToCloudinary(
+                req.file,
+                CLOUDINARY_FOLDERS.TRACKS_PREVIEW_AUDIO,
+                'video', // Cloudinary uses 'video' for audio files
+              ),
+          }),
+          generateWaveform(req.file.buffer),
+        ],
       );
 
-      res.json({ url: previewAudioUrl });
+      res.json({ url: previewAudioUrl, waveform, duplicate });
     } catch (error) {
       res.status(500).json({
         message: 'Error uploading preview audio',
@@ -309,101 +537,106 @@ router.post(
 
 /**
  * @swagger
- * /tracks:
- *   get:
- *     summary: Get all tracks (🌐 PUBLIC)
+ * /tracks/upload/license-file:
+ *   post:
+ *     summary: Upload a license deliverable file (🔒 ADMIN ONLY)
  *     tags: [Tracks]
  *     description: |
- *       **Access Level: 🌐 PUBLIC**
- *
- *       Get all tracks with optional category filtering.
- *       - **Public users**: Full audio URLs are hidden for security, but previewAudio is available for public playback
- *       - **Admin users**: All audio URLs (including full audio) are included in response
+ *       **Access Level: 🔒 ADMIN ONLY**
  *
- *       Optional API key or origin check can be configured.
+ *       Upload a file delivered with a license tier (WAV, stems ZIP, license PDF...).
+ *       Returns Cloudinary URL to use in the track's licenses[].files.
+ *       These files are only served to buyers of the tier through /api/sales/download.
+ *       Requires admin authentication.
  *     security:
- *       - apiKey: []
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: category
- *         schema:
- *           type: string
- *           enum: [Rock, Folk, Hip-Hop, "Jazz & Blues", "Modern Song", Classical]
- *         description: Filter tracks by category
- *       - in: header
- *         name: x-api-key
- *         schema:
- *           type: string
- *         description: Optional API key for public access
- *       - in: query
- *         name: apiKey
+ *         name: force
  *         schema:
- *           type: string
- *         description: Optional API key (alternative to header)
+ *           type: boolean
+ *         description: Upload even if the same file (or a near-identical image) was already uploaded
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Deliverable file - max 50MB
  *     responses:
  *       200:
- *         description: List of tracks
+ *         description: File uploaded successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Track'
- *             example:
- *               - _id: "507f1f77bcf86cd799439011"
- *                 thumbnail: "https://res.cloudinary.com/..."
- *                 title: "My Track"
- *                 releaseDate: "2024-01-15"
- *                 price: 100
- *                 category: "Rock"
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                   format: uri
+ *                 duplicate:
+ *                   $ref: '#/components/schemas/DuplicateMedia'
+ *       400:
+ *         description: No file provided
+ *       401:
+ *         description: Unauthorized - Authentication required
  *       500:
  *         description: Server error
  */
-// Get all tracks (PUBLIC - with optional API key or origin check, supports category filtering)
-// Returns tracks without audio URL for security (except for admins)
-router.get(
-  '/',
-  optionalAuth,
-  async (req, res, next) => {
-    // Bypass cache if nocache query parameter is present or if user is admin
-    if (req.query.nocache === 'true' || req.user?.role === 'admin') {
-      return next();
-    }
-    return cacheMiddleware.medium(req, res, next);
-  },
-  checkApiKey,
-  checkOrigin,
+// Upload license deliverable file (protected) - Returns Cloudinary URL
+router.post(
+  '/upload/license-file',
+  authenticateToken,
+  uploadTrackFiles.single('file'),
   async (req, res) => {
     try {
-      const { category } = req.query;
-
-      // Build query
-      const query = {};
-      if (category && category.trim() !== '') {
-        query.category = category.trim();
+      if (!req.file) {
+        return res.status(400).json({ message: 'No file provided' });
       }
 
-      const tracks = await Track.find(query).sort({ createdAt: -1 });
-
-      // Check if user is admin (authenticated admin users can see audio URLs and views)
-      const isAdmin = req.user && req.user.role === 'admin';
+      // Check Cloudinary configuration
+      if (
+        !process.env.CLOUDINARY_CLOUD_NAME ||
+        !process.env.CLOUDINARY_API_KEY ||
+        !process.env.CLOUDINARY_API_SECRET
+      ) {
+        return res.status(500).json({
+          message:
+            'Cloudinary configuration is missing. Please check your environment variables.',
+          error:
+            'Missing CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, or CLOUDINARY_API_SECRET',
+        });
+      }
 
-      // Remove audio URL and views from public response for security (except for admins)
-      const publicTracks = tracks.map((track) => {
-        const trackObj = track.toObject();
-        if (!isAdmin) {
-          delete trackObj.audio; // Remove audio URL from public API for non-admins
-          delete trackObj.views; // Remove views from public API for non-admins
-        }
-        return trackObj;
-      });
+      // Audio stays an audio asset, anything else (ZIP, PDF) is stored raw
+      const { url: fileUrl, duplicate } = await uploadUnlessDuplicate(
+        req.file,
+        {
+          folder: CLOUDINARY_FOLDERS.TRACKS_LICENSE_FILES,
+          force: isForcedUpload(req),
+          upload: () =>
+            uploadToCloudinary(
+              req.file,
+              CLOUDINARY_FOLDERS.TRACKS_LICENSE_FILES,
+              req.file.mimetype.startsWith('audio/') ? 'video' : 'raw',
+            ),
+        },
+      );
 
-      res.json(publicTracks);
+      res.json({ url: fileUrl, duplicate });
     } catch (error) {
       res.status(500).json({
-        message: 'Error fetching tracks',
-        error: error.message,
+        message: 'Error uploading license file',
+        error:
+          process.env.NODE_ENV === 'development'
+            ? error.message
+            : 'Failed to upload license file. Please check server logs.',
       });
     }
   },
@@ -411,194 +644,918 @@ router.get(
 
 /**
  * @swagger
- * /tracks/{id}/audio/stream:
- *   get:
- *     summary: Stream audio file (🔒 ADMIN / 👤 PURCHASED USER)
+ * /tracks/previews/generate:
+ *   post:
+ *     summary: Generate a preview clip from a full track (🔒 ADMIN ONLY)
  *     tags: [Tracks]
  *     description: |
- *       **Access Level:**
- *       - 🔒 **ADMIN**: Full access without purchase verification
- *       - 👤 **PURCHASED USER**: Requires purchase verification (email or purchase token)
+ *       **Access Level: 🔒 ADMIN ONLY**
  *
- *       Stream audio file through server proxy for secure access.
- *       Public users must purchase the track first.
+ *       Cuts a preview from a full track uploaded with /tracks/upload/audio, applies fades and
+ *       mixes in the voice tag, then uploads the MP3 to Cloudinary. Send the returned `url`,
+ *       `waveform` and `settings` as previewAudio, previewWaveform and previewSettings when
+ *       saving the track.
+ *       Requires admin authentication.
  *     security:
- *       - apiKey: []
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Track ID
- *       - in: query
- *         name: orderId
- *         schema:
- *           type: string
- *         description: Order ID (saleSerialId) for purchase verification
- *       - in: query
- *         name: token
- *         schema:
- *           type: string
- *         description: Purchase token (for purchase verification)
- *       - in: header
- *         name: x-buyer-email
- *         schema:
- *           type: string
- *         description: Buyer email (alternative to query param)
- *       - in: header
- *         name: x-purchase-token
- *         schema:
- *           type: string
- *         description: Purchase token (alternative to query param)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - audioUrl
+ *             properties:
+ *               audioUrl:
+ *                 type: string
+ *                 format: uri
+ *                 description: Full track URL returned by /tracks/upload/audio
+ *               start:
+ *                 type: number
+ *                 description: Where the preview starts in the full track (seconds)
+ *                 default: 0
+ *               length:
+ *                 type: number
+ *                 description: Preview length in seconds (5-120)
+ *                 default: 30
+ *               fadeIn:
+ *                 type: number
+ *                 description: Fade-in length in seconds (0-10)
+ *                 default: 1
+ *               fadeOut:
+ *                 type: number
+ *                 description: Fade-out length in seconds (0-10)
+ *                 default: 2
+ *               watermark:
+ *                 type: boolean
+ *                 description: Mix in the voice tag (PREVIEW_VOICE_TAG_URL) if one is configured
+ *                 default: true
  *     responses:
  *       200:
- *         description: Audio stream
+ *         description: Preview generated
  *         content:
- *           audio/mpeg:
+ *           application/json:
  *             schema:
- *               type: string
- *               format: binary
+ *               $ref: '#/components/schemas/GeneratedPreview'
+ *       400:
+ *         description: Invalid audio URL or settings, or start past the end of the track
  *       401:
- *         description: Purchase verification required
- *       403:
- *         description: Access denied - purchase required
- *       404:
- *         description: Track or audio file not found
+ *         description: Unauthorized - Authentication required
+ *       500:
+ *         description: Server error
  */
-// Get audio stream (PROTECTED - requires purchase verification, except for admins)
-// This route must come before /:id to avoid route conflicts
-router.get(
-  '/:id/audio/stream',
-  optionalAuth,
-  checkApiKey,
-  checkOrigin,
-  async (req, res) => {
-    try {
-      const track = await Track.findById(req.params.id);
-      if (!track) {
-        return res.status(404).json({ message: 'Track not found' });
-      }
-
-      // Check if user is admin (admins can access audio without purchase verification)
-      const isAdmin = req.user && req.user.role === 'admin';
-
-      if (!isAdmin) {
-        // For non-admin users, require purchase verification
-        const saleSerialId = req.query.orderId || req.headers['x-order-id'];
-        const purchaseToken =
-          req.query.token || req.headers['x-purchase-token'];
-
-        if (!saleSerialId && !purchaseToken) {
-          return res.status(401).json({
-            message:
-              'Purchase verification required. Please provide order ID (saleSerialId) or purchase token.',
-          });
-        }
-
-        // Verify purchase
-        let purchaseVerified = false;
-
-        if (purchaseToken) {
-          const sale = await Sale.findOne({
-            trackId: track._id,
-            transactionId: purchaseToken,
-            paymentStatus: 'completed',
-          });
-          purchaseVerified = !!sale;
-        } else if (saleSerialId) {
-          // Verify by saleSerialId (orderId)
-          const sale = await Sale.findOne({
-            trackId: track._id,
-            saleSerialId: saleSerialId.trim(),
-            paymentStatus: 'completed',
-          });
-          purchaseVerified = !!sale;
-        }
-
-        if (!purchaseVerified) {
-          return res.status(403).json({
-            message:
-              'Access denied. You must purchase this track to access the audio file.',
-          });
-        }
-      }
-
-      // Stream audio from Cloudinary through server
-      // This prevents direct URL access and makes it harder to download
-      try {
-        const audioResponse = await fetch(track.audio);
-
-        if (!audioResponse.ok) {
-          return res.status(404).json({ message: 'Audio file not found' });
-        }
+// Generate a preview clip from an uploaded full track (protected)
+router.post('/previews/generate', authenticateToken, async (req, res) => {
+  try {
+    const { audioUrl } = req.body;
+    if (
+      !audioUrl ||
+      typeof audioUrl !== 'string' ||
+      (!audioUrl.startsWith('http://') && !audioUrl.startsWith('https://'))
+    ) {
+      return res.status(400).json({
+        message:
+          'A valid audio URL is required. Upload the full track with /api/tracks/upload/audio first.',
+      });
+    }
 
-        // Set appropriate headers for audio streaming
-        res.setHeader(
-          'Content-Type',
-          audioResponse.headers.get('content-type') || 'audio/mpeg',
-        );
-        res.setHeader(
-          'Content-Length',
-          audioResponse.headers.get('content-length') || '',
-        );
-        res.setHeader('Accept-Ranges', 'bytes');
-        res.setHeader(
-          'Cache-Control',
-          'private, no-cache, no-store, must-revalidate',
-        );
-        res.setHeader('X-Content-Type-Options', 'nosniff');
+    const { settings, error } = normalizePreviewSettings(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
-        // Stream the audio file
-        if (
-          audioResponse.body &&
-          typeof audioResponse.body.pipe === 'function'
-        ) {
-          audioResponse.body.pipe(res);
-        } else {
-          // Fallback for older Node.js versions
-          const buffer = await audioResponse.arrayBuffer();
-          res.send(Buffer.from(buffer));
-        }
-      } catch (streamError) {
-        res.status(500).json({
-          message: 'Error streaming audio file',
-          error: streamError.message,
-        });
-      }
-    } catch (error) {
-      res.status(500).json({
-        message: 'Error fetching audio stream',
-        error: error.message,
-      });
+    const preview = await generatePreview(audioUrl, settings);
+    if (!preview) {
+      return res.status(400).json({ message: PREVIEW_PAST_END_MESSAGE });
     }
-  },
-);
+
+    res.json({ ...preview, settings });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error generating preview',
+      error: error.message,
+    });
+  }
+});
 
 /**
  * @swagger
- * /tracks/{id}/audio:
- *   get:
- *     summary: Get audio file URL (🔒 ADMIN / 👤 PURCHASED USER)
+ * /tracks/previews/regenerate:
+ *   post:
+ *     summary: Regenerate previews for the catalog (🔒 ADMIN ONLY)
  *     tags: [Tracks]
  *     description: |
- *       **Access Level:**
- *       - 🔒 **ADMIN**: Full access without purchase verification
- *       - 👤 **PURCHASED USER**: Requires purchase verification (email or purchase token)
+ *       **Access Level: 🔒 ADMIN ONLY**
  *
- *       Get audio file URL. Public users must purchase the track first.
+ *       Re-renders previews from the full tracks, e.g. after the voice tag changed.
+ *       By default only previews generated by the server are redone, each with its stored
+ *       settings. `all: true` also replaces manually uploaded previews using the default
+ *       settings. Tracks are processed one at a time; large catalogs are better served by
+ *       `npm run regenerate:previews` in the backend.
+ *       Requires admin authentication.
  *     security:
- *       - apiKey: []
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Track ID
- *       - in: query
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               all:
+ *                 type: boolean
+ *                 default: false
+ *               trackIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only regenerate these tracks
+ *     responses:
+ *       200:
+ *         description: Regeneration finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 regenerated:
+ *                   type: integer
+ *                 failed:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       trackId:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       error:
+ *                         type: string
+ *       400:
+ *         description: Invalid track IDs
+ *       401:
+ *         description: Unauthorized - Authentication required
+ */
+// Regenerate previews for the catalog (protected)
+router.post('/previews/regenerate', authenticateToken, async (req, res) => {
+  // Invalidate cache when previews change (releases embed track details)
+  invalidateMultipleRoutes(['tracks', 'releases']);
+  try {
+    const { all, trackIds } = req.body;
+
+    if (all !== undefined && typeof all !== 'boolean') {
+      return res.status(400).json({ message: 'all must be true or false' });
+    }
+    if (
+      trackIds !== undefined &&
+      (!Array.isArray(trackIds) || !trackIds.every(isValidObjectId))
+    ) {
+      return res
+        .status(400)
+        .json({ message: 'trackIds must be an array of track IDs' });
+    }
+
+    const result = await regeneratePreviews({ all, trackIds });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error regenerating previews',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tracks/import:
+ *   post:
+ *     summary: Bulk import tracks from a manifest and a media archive (🔒 ADMIN ONLY)
+ *     tags: [Tracks]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Import many tracks at once. The manifest is a CSV file with a header row or a JSON array,
+ *       using the field names of `POST /api/tracks` (title, releaseDate, price, category, status, bpm,
+ *       key, tags, lyrics, explicit, licenses, revenueSplits, credits, ...). In CSV, tags are comma
+ *       separated and licenses, revenueSplits, credits and previewSettings are JSON.
+ *
+ *       `thumbnail`, `audio` and `previewAudio` are either HTTP(S) URLs or paths of files in the ZIP
+ *       archive. Archive files are uploaded to Cloudinary; waveforms and the duration, bitrate and
+ *       sample rate of the audio are read from the files.
+ *
+ *       Every row is validated with the rules of `POST /api/tracks`. With `dryRun` nothing is uploaded
+ *       or created and the finished job with the errors of each row is returned. Otherwise the import
+ *       runs in the background and the job is returned right away (202); poll
+ *       `GET /api/tracks/import/{jobId}` for progress. Invalid rows are skipped, the others are imported.
+ *       The uploaded files are extracted to a temporary directory and removed once the import ends.
+ *       A job that makes no progress for 15 minutes (its server restarted) is marked `failed`.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - manifest
+ *             properties:
+ *               manifest:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV or JSON manifest (at most 500 tracks)
+ *               media:
+ *                 type: string
+ *                 format: binary
+ *                 description: ZIP of the audio, preview and artwork files referenced by the manifest (max 200MB, 1500 files and 400MB extracted)
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Dry run finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TrackImportJob'
+ *       202:
+ *         description: Import started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TrackImportJob'
+ *       400:
+ *         description: Missing or unreadable manifest or archive
+ *       401:
+ *         description: Unauthorized - Authentication required
+ */
+// Bulk import tracks (protected)
+router.post(
+  '/import',
+  authenticateToken,
+  uploadImportFiles.fields([
+    { name: 'manifest', maxCount: 1 },
+    { name: 'media', maxCount: 1 },
+  ]),
+  async (req, res) => {
+    try {
+      const manifest = req.files?.manifest?.[0];
+      const media = req.files?.media?.[0];
+      const dryRun =
+        req.body.dryRun === true ||
+        req.body.dryRun === 'true' ||
+        req.query.dryRun === 'true';
+
+      if (!manifest) {
+        return res.status(400).json({ message: 'No manifest file provided' });
+      }
+
+      // Archive files are uploaded to Cloudinary
+      if (
+        media &&
+        !dryRun &&
+        (!process.env.CLOUDINARY_CLOUD_NAME ||
+          !process.env.CLOUDINARY_API_KEY ||
+          !process.env.CLOUDINARY_API_SECRET)
+      ) {
+        return res.status(500).json({
+          message:
+            'Cloudinary configuration is missing. Please check your environment variables.',
+          error:
+            'Missing CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, or CLOUDINARY_API_SECRET',
+        });
+      }
+
+      const { job, error } = await startTrackImport({
+        manifest,
+        archive: media,
+        dryRun,
+      });
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      res.status(dryRun ? 200 : 202).json(job);
+    } catch (error) {
+      res.status(500).json({
+        message: 'Error importing tracks',
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /tracks/import:
+ *   get:
+ *     summary: List recent track imports (🔒 ADMIN ONLY)
+ *     tags: [Tracks]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       The 20 most recent import jobs without their row reports. Jobs are kept for 30 days.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Import jobs, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TrackImportJob'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ */
+// List recent imports (protected)
+router.get('/import', authenticateToken, async (req, res) => {
+  try {
+    await failStaleImportJobs();
+    const jobs = await TrackImportJob.find()
+      .select('-rows')
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+    res.json(jobs);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error fetching imports',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tracks/import/{jobId}:
+ *   get:
+ *     summary: Get the status of a track import (🔒 ADMIN ONLY)
+ *     tags: [Tracks]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Progress of an import job and the outcome of every processed row
+ *       (`valid`, `invalid`, `created` or `failed`, with its errors).
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TrackImportJob'
+ *       404:
+ *         description: Import job not found
+ */
+// Get import status (protected)
+router.get('/import/:jobId', authenticateToken, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!isValidObjectId(jobId)) {
+      return res.status(404).json({ message: 'Import job not found' });
+    }
+    await failStaleImportJobs();
+    const job = await TrackImportJob.findById(jobId).lean();
+    if (!job) {
+      return res.status(404).json({ message: 'Import job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error fetching import',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tracks:
+ *   get:
+ *     summary: Search and list tracks with pagination (🌐 PUBLIC)
+ *     tags: [Tracks]
+ *     description: |
+ *       **Access Level: 🌐 PUBLIC**
+ *
+ *       Search, filter, sort and paginate tracks. The response includes facet counts per
+ *       category, computed with every filter applied except the category filter itself.
+ *       - **Public users**: Only published tracks that have not been sold exclusively are returned. Full audio URLs are hidden for security, but previewAudio is available for public playback
+ *       - **Admin users**: Tracks in every status are returned (filterable by `status`) and all audio URLs are included
+ *
+ *       Optional API key or origin check can be configured.
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive text search over track title
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter tracks by category name (see /api/categories)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published, archived]
+ *         description: Filter by publication status (admins only - public users always get published tracks)
+ *       - in: query
+ *         name: soldExclusively
+ *         schema:
+ *           type: boolean
+ *         description: Filter tracks retired by an exclusive sale (admins only - public users never see them)
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Minimum price (inclusive)
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Maximum price (inclusive)
+ *       - in: query
+ *         name: minBpm
+ *         schema:
+ *           type: number
+ *         description: Minimum BPM (inclusive)
+ *       - in: query
+ *         name: maxBpm
+ *         schema:
+ *           type: number
+ *         description: Maximum BPM (inclusive)
+ *       - in: query
+ *         name: key
+ *         schema:
+ *           type: string
+ *           example: A minor
+ *         description: Musical key (common notations such as "Am" or "F#m" are accepted)
+ *       - in: query
+ *         name: minDuration
+ *         schema:
+ *           type: number
+ *         description: Minimum duration in seconds (inclusive)
+ *       - in: query
+ *         name: maxDuration
+ *         schema:
+ *           type: number
+ *         description: Maximum duration in seconds (inclusive)
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *           example: trap,dark
+ *         description: Comma separated tags - tracks must have all of them
+ *       - in: query
+ *         name: explicit
+ *         schema:
+ *           type: boolean
+ *         description: Only explicit (true) or clean (false) tracks
+ *       - in: query
+ *         name: featured
+ *         schema:
+ *           type: boolean
+ *         description: Only featured (true) or non-featured (false) tracks
+ *       - in: query
+ *         name: releasedFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only tracks released on or after this date
+ *       - in: query
+ *         name: releasedTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only tracks released on or before this date
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [featured, newest, oldest, most-sold, most-viewed, price-asc, price-desc]
+ *           default: featured
+ *         description: Sort order - featured puts featured tracks first, then follows the order set with PUT /tracks/reorder
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number (1-indexed)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of tracks per page (max 100)
+ *       - in: header
+ *         name: x-api-key
+ *         schema:
+ *           type: string
+ *         description: Optional API key for public access
+ *       - in: query
+ *         name: apiKey
+ *         schema:
+ *           type: string
+ *         description: Optional API key (alternative to header)
+ *     responses:
+ *       200:
+ *         description: Paginated list of tracks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Track'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     hasNext:
+ *                       type: boolean
+ *                     hasPrev:
+ *                       type: boolean
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           category:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *       400:
+ *         description: Invalid filter or sort parameter
+ *       500:
+ *         description: Server error
+ */
+// Search tracks (PUBLIC - with optional API key or origin check)
+// Returns tracks without audio URL for security (except for admins)
+router.get(
+  '/',
+  optionalAuth,
+  publishScheduledTracks,
+  async (req, res, next) => {
+    // Bypass cache if nocache query parameter is present or if user is admin
+    if (req.query.nocache === 'true' || req.user?.role === 'admin') {
+      return next();
+    }
+    return cacheMiddleware.medium(req, res, next);
+  },
+  checkApiKey,
+  checkOrigin,
+  async (req, res) => {
+    try {
+      const {
+        search,
+        category,
+        minPrice,
+        maxPrice,
+        releasedFrom,
+        releasedTo,
+        status,
+        soldExclusively,
+        minBpm,
+        maxBpm,
+        key,
+        minDuration,
+        maxDuration,
+        tags,
+        explicit,
+        featured,
+        sort = 'featured',
+      } = req.query;
+
+      // Check if user is admin (authenticated admin users can see every status, audio URLs and views)
+      const isAdmin = req.user && req.user.role === 'admin';
+
+      if (isAdmin && status !== undefined && !TRACK_STATUSES.includes(status)) {
+        return res.status(400).json({
+          message: `Status must be one of: ${TRACK_STATUSES.join(', ')}`,
+        });
+      }
+
+      if (!TRACK_SORT_OPTIONS[sort]) {
+        return res.status(400).json({
+          message: `Sort must be one of: ${Object.keys(TRACK_SORT_OPTIONS).join(', ')}`,
+        });
+      }
+
+      // Parse pagination parameters
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100); // Max 100 per page
+      const skip = (page - 1) * limit;
+
+      // Build query (everything except category, so facets can count across categories)
+      // Public users only ever see published tracks
+      const baseQuery = {};
+      if (!isAdmin || status === 'published') {
+        Object.assign(baseQuery, PUBLIC_TRACK_FILTER);
+      } else if (status) {
+        baseQuery.status = status;
+      }
+      if (isAdmin && soldExclusively !== undefined) {
+        baseQuery.soldExclusively =
+          soldExclusively === 'true' ? true : { $ne: true };
+      }
+
+      if (search && search.trim() !== '') {
+        baseQuery.title = { $regex: escapeRegex(search.trim()), $options: 'i' };
+      }
+
+      if (minPrice !== undefined || maxPrice !== undefined) {
+        if (
+          (minPrice !== undefined && !isValidPositiveNumber(minPrice)) ||
+          (maxPrice !== undefined && !isValidPositiveNumber(maxPrice))
+        ) {
+          return res
+            .status(400)
+            .json({ message: 'Price filters must be valid positive numbers' });
+        }
+        baseQuery.price = {};
+        if (minPrice !== undefined) baseQuery.price.$gte = parseFloat(minPrice);
+        if (maxPrice !== undefined) baseQuery.price.$lte = parseFloat(maxPrice);
+      }
+
+      if (minBpm !== undefined || maxBpm !== undefined) {
+        if (
+          (minBpm !== undefined && !isValidPositiveNumber(minBpm)) ||
+          (maxBpm !== undefined && !isValidPositiveNumber(maxBpm))
+        ) {
+          return res
+            .status(400)
+            .json({ message: 'BPM filters must be valid positive numbers' });
+        }
+        baseQuery.bpm = {};
+        if (minBpm !== undefined) baseQuery.bpm.$gte = parseFloat(minBpm);
+        if (maxBpm !== undefined) baseQuery.bpm.$lte = parseFloat(maxBpm);
+      }
+
+      if (minDuration !== undefined || maxDuration !== undefined) {
+        if (
+          (minDuration !== undefined && !isValidPositiveNumber(minDuration)) ||
+          (maxDuration !== undefined && !isValidPositiveNumber(maxDuration))
+        ) {
+          return res.status(400).json({
+            message: 'Duration filters must be valid positive numbers',
+          });
+        }
+        baseQuery.duration = {};
+        if (minDuration !== undefined) {
+          baseQuery.duration.$gte = parseFloat(minDuration);
+        }
+        if (maxDuration !== undefined) {
+          baseQuery.duration.$lte = parseFloat(maxDuration);
+        }
+      }
+
+      if (key !== undefined && key.trim() !== '') {
+        const normalizedKey = normalizeMusicalKey(key);
+        if (!normalizedKey) {
+          return res.status(400).json({
+            message: 'Key must be a musical key such as "C major" or "A minor"',
+          });
+        }
+        baseQuery.key = normalizedKey;
+      }
+
+      if (tags !== undefined && tags.trim() !== '') {
+        baseQuery.tags = { $all: normalizeTags(tags) };
+      }
+
+      if (explicit !== undefined) {
+        // Tracks created before the flag existed count as clean
+        baseQuery.explicit = explicit === 'true' ? true : { $ne: true };
+      }
+
+      if (featured !== undefined) {
+        baseQuery.featured = featured === 'true' ? true : { $ne: true };
+      }
+
+      if (releasedFrom !== undefined || releasedTo !== undefined) {
+        if (
+          (releasedFrom !== undefined && !isValidDate(releasedFrom)) ||
+          (releasedTo !== undefined && !isValidDate(releasedTo))
+        ) {
+          return res
+            .status(400)
+            .json({ message: 'Release date filters must be valid dates' });
+        }
+        baseQuery.releaseDate = {};
+        if (releasedFrom !== undefined) {
+          baseQuery.releaseDate.$gte = new Date(releasedFrom);
+        }
+        if (releasedTo !== undefined) {
+          baseQuery.releaseDate.$lte = new Date(releasedTo);
+        }
+      }
+
+      const query = { ...baseQuery };
+      if (category && category.trim() !== '') {
+        query.category = category.trim();
+      }
+
+      // Get total count, paginated tracks and category facets in parallel
+      const [total, tracks, categoryFacets] = await Promise.all([
+        Track.countDocuments(query),
+        Track.find(query)
+          .sort(TRACK_SORT_OPTIONS[sort])
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Track.aggregate([
+          { $match: baseQuery },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+        ]),
+      ]);
+
+      // Remove audio URL, views and other private fields (except for admins)
+      const items = isAdmin ? tracks : tracks.map(toPublicTrack);
+
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        items,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+        facets: {
+          categories: categoryFacets.map((facet) => ({
+            category: facet._id,
+            count: facet.count,
+          })),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: 'Error fetching tracks',
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /tracks/{id}/audio/stream:
+ *   get:
+ *     summary: Stream audio file (🔒 ADMIN / 👤 PURCHASED USER)
+ *     tags: [Tracks]
+ *     description: |
+ *       **Access Level:**
+ *       - 🔒 **ADMIN**: Full access without an access token
+ *       - 👤 **PURCHASED USER**: Requires a signed access token from `/tracks/{id}/audio`
+ *
+ *       Stream audio file through server proxy for secure access.
+ *       The token is bound to the track and the sale and only works until it expires.
+ *       Supports single byte ranges (`Range: bytes=start-end`) for seeking.
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Track ID
+ *       - in: query
+ *         name: access
+ *         schema:
+ *           type: string
+ *         description: Signed audio access token
+ *       - in: header
+ *         name: x-audio-access
+ *         schema:
+ *           type: string
+ *         description: Signed audio access token (alternative to query param)
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *           example: bytes=0-1048575
+ *         description: Single byte range to fetch
+ *     responses:
+ *       200:
+ *         description: Audio stream
+ *         content:
+ *           audio/mpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: Partial audio stream for the requested range (see Content-Range)
+ *       401:
+ *         description: Audio access token required
+ *       403:
+ *         description: Access token invalid, expired, for another track, or purchase no longer valid
+ *       404:
+ *         description: Track or audio file not found
+ *       416:
+ *         description: Requested range not satisfiable
+ */
+// Get audio stream (PROTECTED - requires a signed access token, except for admins)
+// This route must come before /:id to avoid route conflicts
+router.get(
+  '/:id/audio/stream',
+  optionalAuth,
+  checkApiKey,
+  checkOrigin,
+  verifyAudioAccess,
+  async (req, res) => {
+    try {
+      // Buyers keep access after the track is moved to the trash
+      const track = await Track.findById(req.params.id).withDeleted();
+      if (!track) {
+        return res.status(404).json({ message: 'Track not found' });
+      }
+
+      // Stream audio from Cloudinary through server (with Range support for seeking)
+      // This prevents direct URL access and makes it harder to download
+      try {
+        await proxyRemoteMedia(req, res, track.audio, {
+          headers: {
+            'Cache-Control': 'private, no-cache, no-store, must-revalidate',
+            'X-Content-Type-Options': 'nosniff',
+          },
+        });
+      } catch (streamError) {
+        res.status(500).json({
+          message: 'Error streaming audio file',
+          error: streamError.message,
+        });
+      }
+    } catch (error) {
+      res.status(500).json({
+        message: 'Error fetching audio stream',
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /tracks/{id}/audio:
+ *   get:
+ *     summary: Get signed audio URL (🔒 ADMIN / 👤 PURCHASED USER)
+ *     tags: [Tracks]
+ *     description: |
+ *       **Access Level:**
+ *       - 🔒 **ADMIN**: Full access without purchase verification (returns the original file URL)
+ *       - 👤 **PURCHASED USER**: Requires purchase verification (order ID or purchase token)
+ *
+ *       Issues a short-lived, HMAC-signed stream URL bound to the track and the sale.
+ *       The URL stops working once it expires or the sale is no longer completed.
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Track ID
+ *       - in: query
  *         name: orderId
  *         schema:
  *           type: string
@@ -607,94 +1564,618 @@ router.get(
  *         name: token
  *         schema:
  *           type: string
- *         description: Purchase token (for purchase verification)
+ *         description: Purchase token (for purchase verification)
+ *     responses:
+ *       200:
+ *         description: Signed audio URL with expiration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 audioUrl:
+ *                   type: string
+ *                   format: uri
+ *                   description: Stream URL carrying the signed access token
+ *                 accessToken:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Purchase verification required
+ *       403:
+ *         description: Access denied - purchase required
+ *       404:
+ *         description: Track not found
+ */
+// Get signed audio URL (PROTECTED - requires purchase verification, except for admins)
+router.get(
+  '/:id/audio',
+  optionalAuth,
+  checkApiKey,
+  checkOrigin,
+  verifyPurchase,
+  async (req, res) => {
+    try {
+      // Buyers keep access after the track is moved to the trash
+      const track = await Track.findById(req.params.id).withDeleted();
+      if (!track) {
+        return res.status(404).json({ message: 'Track not found' });
+      }
+
+      // Admins already see the original file URL in track payloads
+      if (!req.sale) {
+        return res.json({ audioUrl: track.audio, expiresAt: null });
+      }
+
+      const { token, expiresAt } = createAudioAccessToken({
+        trackId: track._id,
+        saleId: req.sale._id,
+      });
+
+      res.json({
+        audioUrl: buildAudioStreamUrl(req, track._id, token),
+        accessToken: token,
+        expiresAt,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: 'Error fetching audio',
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /tracks/{id}:
+ *   get:
+ *     summary: Get single track (🌐 PUBLIC)
+ *     tags: [Tracks]
+ *     description: |
+ *       **Access Level: 🌐 PUBLIC**
+ *
+ *       Get a single track by ID.
+ *       - **Public users**: Only published tracks are returned (404 otherwise). Full audio URL is hidden for security, but previewAudio is available for public playback
+ *       - **Admin users**: Tracks in every status are returned, with all audio URLs (including full audio)
+ *     security:
+ *       - apiKey: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Track ID
+ *     responses:
+ *       200:
+ *         description: Track details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Track'
+ *       404:
+ *         description: Track not found
+ */
+// Get single track (PUBLIC - with optional API key or origin check)
+// Returns track without audio URL for security (except for admins)
+/**
+ * @swagger
+ * /tracks/{id}/view:
+ *   post:
+ *     summary: Record a track view (🌐 PUBLIC)
+ *     tags: [Tracks]
+ *     description: |
+ *       **Access Level: 🌐 PUBLIC**
+ *
+ *       Shorthand for `POST /tracks/{id}/events` with `type: view`.
+ *       Repeat views from the same visitor within 30 minutes, bot traffic and admin
+ *       requests are not counted, so `views` only grows for real visits.
+ *       No authentication required.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Track ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TrackEventInput'
+ *     responses:
+ *       200:
+ *         description: View processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recorded:
+ *                   type: boolean
+ *                   description: False when the view was a duplicate or came from a bot
+ *                 views:
+ *                   type: integer
+ *                   description: Total view count
+ *       404:
+ *         description: Track not found
+ *       500:
+ *         description: Server error
+ */
+// Record a track view (PUBLIC - no authentication required)
+router.post(
+  '/:id/view',
+  optionalAuth,
+  checkApiKey,
+  checkOrigin,
+  async (req, res) => {
+    try {
+      const result = await handleTrackEvent(req, 'view');
+      if (result.notFound) {
+        return res.status(404).json({ message: 'Track not found' });
+      }
+
+      res.json({
+        message: result.recorded ? 'View recorded' : 'View not counted',
+        recorded: result.recorded,
+        views: result.views,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: 'Error recording view',
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /tracks/{id}/events:
+ *   post:
+ *     summary: Record a listener event (🌐 PUBLIC)
+ *     tags: [Tracks]
+ *     description: |
+ *       **Access Level: 🌐 PUBLIC**
+ *
+ *       Record a `view`, `preview-play` or `preview-complete` event for a published track.
+ *       Downloads are recorded by the server when a purchased file is delivered.
+ *
+ *       - The visitor is identified by a salted hash of the IP address (as seen through
+ *         the proxies in TRUST_PROXY) and user agent. A `visitorId` sent by the site also
+ *         matches repeats, but a new one doesn't make a visitor new. Raw IPs are never stored
+ *       - Repeat events of the same type from the same visitor inside the dedup window
+ *         (view 30 min, preview 10 min) are ignored
+ *       - Bot user agents and admin requests are ignored
+ *       - `referrer` should be the page's `document.referrer`; only the host is kept
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Track ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/TrackEventInput'
+ *               - type: object
+ *                 required: [type]
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [view, preview-play, preview-complete]
  *     responses:
  *       200:
- *         description: Audio URL with expiration
+ *         description: Event processed
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 audioUrl:
- *                   type: string
- *                   format: uri
- *                 expiresAt:
- *                   type: string
- *                   format: date-time
- *       401:
- *         description: Purchase verification required
- *       403:
- *         description: Access denied - purchase required
+ *                 recorded:
+ *                   type: boolean
+ *                   description: False when the event was a duplicate or came from a bot
+ *       400:
+ *         description: Invalid event type
  *       404:
  *         description: Track not found
  */
-// Get audio file URL (PROTECTED - requires purchase verification, except for admins)
-router.get(
-  '/:id/audio',
+// Record a listener event (PUBLIC - no authentication required)
+router.post(
+  '/:id/events',
   optionalAuth,
   checkApiKey,
   checkOrigin,
   async (req, res) => {
     try {
-      const track = await Track.findById(req.params.id);
-      if (!track) {
+      const { type } = req.body;
+      if (!PUBLIC_TRACK_EVENT_TYPES.includes(type)) {
+        return res.status(400).json({
+          message: `Event type must be one of: ${PUBLIC_TRACK_EVENT_TYPES.join(', ')}`,
+        });
+      }
+
+      const result = await handleTrackEvent(req, type);
+      if (result.notFound) {
         return res.status(404).json({ message: 'Track not found' });
       }
 
-      // Check if user is admin (admins can access audio without purchase verification)
-      const isAdmin = req.user && req.user.role === 'admin';
+      res.json({ recorded: result.recorded });
+    } catch (error) {
+      res.status(500).json({
+        message: 'Error recording event',
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /tracks/{id}/analytics:
+ *   get:
+ *     summary: Get track analytics (🔒 ADMIN ONLY)
+ *     tags: [Tracks]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Daily views, preview plays and completions, downloads and unique visitors for a track,
+ *       with the top referrers and UTM sources/campaigns over the range. Built from daily
+ *       rollups (UTC days). Defaults to the last 30 days.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Track ID
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 366
+ *         description: Number of days up to today (ignored when from is given)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the range
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the range (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Track analytics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TrackAnalytics'
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Track not found
+ */
+// Get track analytics (protected)
+router.get('/:id/analytics', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
 
-      if (!isAdmin) {
-        // For non-admin users, require purchase verification
-        const saleSerialId = req.query.orderId || req.headers['x-order-id'];
-        const purchaseToken =
-          req.query.token || req.headers['x-purchase-token'];
+    const { days, from, to } = req.query;
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    if (days !== undefined && !isValidPositiveNumber(days)) {
+      return res
+        .status(400)
+        .json({ message: 'Days must be a valid positive number' });
+    }
 
-        if (!saleSerialId && !purchaseToken) {
-          return res.status(401).json({
-            message:
-              'Purchase verification required. Please provide order ID (saleSerialId) or purchase token.',
-          });
-        }
+    const rangeEnd = to ? new Date(to) : new Date();
+    const rangeStart = from
+      ? new Date(from)
+      : new Date(
+          rangeEnd.getTime() -
+            ((parseInt(days, 10) || 30) - 1) * 24 * 60 * 60 * 1000,
+        );
+    const rangeDays = (rangeEnd - rangeStart) / (24 * 60 * 60 * 1000) + 1;
+    if (rangeStart > rangeEnd || rangeDays > MAX_ANALYTICS_DAYS) {
+      return res.status(400).json({
+        message: `Date range must run forwards and cover at most ${MAX_ANALYTICS_DAYS} days`,
+      });
+    }
+
+    const track = await Track.findById(id).select('title views');
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    const analytics = await getTrackAnalytics(track._id, {
+      from: rangeStart,
+      to: rangeEnd,
+    });
+
+    res.json({
+      trackId: track._id,
+      title: track.title,
+      views: track.views,
+      ...analytics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error fetching track analytics',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tracks/{id}/relist:
+ *   post:
+ *     summary: Re-list a track sold exclusively (🔒 ADMIN ONLY)
+ *     tags: [Tracks]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Admin override that puts a track retired by an exclusive sale back on sale.
+ *       The exclusive sale itself is kept. Remove or edit the exclusive license tier
+ *       first if the track should not be sold exclusively again.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Track ID
+ *     responses:
+ *       200:
+ *         description: Track re-listed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Track'
+ *       400:
+ *         description: Track is not sold exclusively
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Track not found
+ */
+// Re-list a track retired by an exclusive sale (protected)
+router.post('/:id/relist', authenticateToken, async (req, res) => {
+  try {
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    if (!isTrackSoldExclusively(track)) {
+      return res
+        .status(400)
+        .json({ message: 'Track is not sold exclusively' });
+    }
+
+    const relistedTrack = await relistTrack(track._id);
+    res.json(relistedTrack);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error re-listing track',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tracks/{id}/preview:
+ *   post:
+ *     summary: Regenerate a track's preview (🔒 ADMIN ONLY)
+ *     tags: [Tracks]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Cuts a new preview from the track's full audio and saves it as previewAudio.
+ *       Settings that are not sent are taken from the track's previous preview settings,
+ *       or the defaults.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Track ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               start:
+ *                 type: number
+ *                 description: Where the preview starts in the full track (seconds)
+ *                 default: 0
+ *               length:
+ *                 type: number
+ *                 description: Preview length in seconds (5-120)
+ *                 default: 30
+ *               fadeIn:
+ *                 type: number
+ *                 description: Fade-in length in seconds (0-10)
+ *                 default: 1
+ *               fadeOut:
+ *                 type: number
+ *                 description: Fade-out length in seconds (0-10)
+ *                 default: 2
+ *               watermark:
+ *                 type: boolean
+ *                 description: Mix in the voice tag (PREVIEW_VOICE_TAG_URL) if one is configured
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Preview regenerated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Track'
+ *       400:
+ *         description: Invalid settings, or start past the end of the track
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Track not found
+ */
+// Regenerate a track's preview from its full audio (protected)
+router.post('/:id/preview', authenticateToken, async (req, res) => {
+  // Invalidate cache when the preview changes (releases embed track details)
+  invalidateMultipleRoutes(['tracks', 'releases']);
+  try {
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    const { settings, error } = normalizePreviewSettings(
+      req.body,
+      track.previewSettings?.toObject(),
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const updatedTrack = await regenerateTrackPreview(track, settings);
+    if (!updatedTrack) {
+      return res.status(400).json({ message: PREVIEW_PAST_END_MESSAGE });
+    }
+
+    res.json(updatedTrack);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error regenerating preview',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tracks/{id}/related:
+ *   get:
+ *     summary: Get related tracks (🌐 PUBLIC)
+ *     tags: [Tracks]
+ *     description: |
+ *       **Access Level: 🌐 PUBLIC**
+ *
+ *       Other published tracks for a "you may also like" section, best match first.
+ *       Tracks are scored by shared category, tag overlap, BPM closeness (half and double
+ *       time included), key compatibility (same, relative and neighbouring keys) and how often
+ *       they were bought together in bundles. The weights come from `RELATED_TRACKS_WEIGHTS`
+ *       and the default number of results from `RELATED_TRACKS_LIMIT`.
+ *       Unpublished tracks return 404 unless the user is an admin.
+ *     security:
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Track ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 24
+ *           default: 6
+ *         description: Number of tracks to return
+ *     responses:
+ *       200:
+ *         description: Related tracks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 trackId:
+ *                   type: string
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Track'
+ *                       - type: object
+ *                         properties:
+ *                           relatedScore:
+ *                             type: number
+ *                             description: Weighted sum of the matching signals
+ *       404:
+ *         description: Track not found
+ */
+// Get related tracks (PUBLIC - with optional API key or origin check)
+router.get(
+  '/:id/related',
+  optionalAuth,
+  publishScheduledTracks,
+  async (req, res, next) => {
+    // Bypass cache if nocache query parameter is present or if user is admin
+    if (req.query.nocache === 'true' || req.user?.role === 'admin') {
+      return next();
+    }
+    return cacheMiddleware.medium(req, res, next);
+  },
+  checkApiKey,
+  checkOrigin,
+  async (req, res) => {
+    try {
+      const track = await Track.findById(req.params.id).lean();
 
-        // Verify purchase
-        let purchaseVerified = false;
+      const isAdmin = req.user && req.user.role === 'admin';
+      if (!track || (!isAdmin && !isTrackPublic(track))) {
+        return res.status(404).json({ message: 'Track not found' });
+      }
 
-        if (purchaseToken) {
-          const sale = await Sale.findOne({
-            trackId: track._id,
-            transactionId: purchaseToken,
-            paymentStatus: 'completed',
-          });
-          purchaseVerified = !!sale;
-        } else if (saleSerialId) {
-          // Verify by saleSerialId (orderId)
-          const sale = await Sale.findOne({
-            trackId: track._id,
-            saleSerialId: saleSerialId.trim(),
-            paymentStatus: 'completed',
-          });
-          purchaseVerified = !!sale;
-        }
+      const limit = Math.min(
+        Math.max(1, parseInt(req.query.limit) || RELATED_TRACKS_LIMIT),
+        RELATED_TRACKS_MAX_LIMIT,
+      );
+      const related = await findRelatedTracks(track, { limit });
 
-        if (!purchaseVerified) {
-          return res.status(403).json({
-            message:
-              'Access denied. You must purchase this track to access the audio file.',
-          });
-        }
-      }
+      const items = isAdmin ? related : related.map(toPublicTrack);
 
-      // Return audio URL with short expiration
-      // Note: For maximum security, consider using the streaming endpoint instead
-      res.json({
-        audioUrl: track.audio,
-        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-      });
+      res.json({ trackId: track._id, items });
     } catch (error) {
       res.status(500).json({
-        message: 'Error fetching audio',
+        message: 'Error fetching related tracks',
         error: error.message,
       });
     }
@@ -703,19 +2184,18 @@ router.get(
 
 /**
  * @swagger
- * /tracks/{id}:
+ * /tracks/{id}/waveform:
  *   get:
- *     summary: Get single track (🌐 PUBLIC)
+ *     summary: Get waveform peaks for a track (🌐 PUBLIC)
  *     tags: [Tracks]
  *     description: |
  *       **Access Level: 🌐 PUBLIC**
  *
- *       Get a single track by ID.
- *       - **Public users**: Full audio URL is hidden for security, but previewAudio is available for public playback
- *       - **Admin users**: All audio URLs (including full audio) are included in response
+ *       Downsampled peak amplitudes (0-1) of the full track and the preview, for drawing waveforms.
+ *       A waveform is null until it has been computed (on upload or by the backfill script).
+ *       Unpublished tracks return 404 unless the user is an admin.
  *     security:
  *       - apiKey: []
- *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -725,107 +2205,147 @@ router.get(
  *         description: Track ID
  *     responses:
  *       200:
- *         description: Track details
+ *         description: Waveform peaks
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Track'
+ *               $ref: '#/components/schemas/TrackWaveform'
  *       404:
  *         description: Track not found
  */
-// Get single track (PUBLIC - with optional API key or origin check)
-// Returns track without audio URL for security (except for admins)
+// Get waveform peaks (PUBLIC - with optional API key or origin check)
+router.get(
+  '/:id/waveform',
+  optionalAuth,
+  publishScheduledTracks,
+  async (req, res, next) => {
+    // Bypass cache if nocache query parameter is present or if user is admin
+    if (req.query.nocache === 'true' || req.user?.role === 'admin') {
+      return next();
+    }
+    return cacheMiddleware.long(req, res, next);
+  },
+  checkApiKey,
+  checkOrigin,
+  async (req, res) => {
+    try {
+      const track = await Track.findById(req.params.id).select(
+        'waveform previewWaveform status soldExclusively',
+      );
+
+      const isAdmin = req.user && req.user.role === 'admin';
+      if (!track || (!isAdmin && !isTrackPublic(track))) {
+        return res.status(404).json({ message: 'Track not found' });
+      }
+
+      res.json({
+        trackId: track._id,
+        waveform: track.waveform || null,
+        previewWaveform: track.previewWaveform || null,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: 'Error fetching waveform',
+        error: error.message,
+      });
+    }
+  },
+);
+
 /**
  * @swagger
- * /tracks/{id}/view:
- *   post:
- *     summary: Increment track view count (🌐 PUBLIC)
+ * /tracks/slug/{slug}:
+ *   get:
+ *     summary: Get a track by slug (🌐 PUBLIC)
  *     tags: [Tracks]
  *     description: |
  *       **Access Level: 🌐 PUBLIC**
  *
- *       Increment the view count for a track. This endpoint is called when a user views/clicks on a track.
- *       No authentication required.
+ *       Get a single track by its URL slug, with the same fields as GET /tracks/{id}.
+ *       A slug the track had before a rename answers with a 301 redirect to the current slug.
+ *       Unpublished tracks return 404 unless the user is an admin.
+ *     security:
+ *       - apiKey: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: slug
  *         required: true
  *         schema:
  *           type: string
- *         description: Track ID
  *     responses:
  *       200:
- *         description: View count incremented successfully
+ *         description: Track details
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 views:
- *                   type: integer
- *                   description: Updated view count
+ *               $ref: '#/components/schemas/Track'
+ *       301:
+ *         description: Old slug - redirects to the current one
  *       404:
  *         description: Track not found
- *       500:
- *         description: Server error
  */
-// Increment track view count (PUBLIC - no authentication required)
-router.post(
-  '/:id/view',
+// Get track by slug (PUBLIC - with optional API key or origin check)
+router.get(
+  '/slug/:slug',
   optionalAuth,
+  publishScheduledTracks,
   checkApiKey,
   checkOrigin,
   async (req, res) => {
     try {
-      const track = await Track.findByIdAndUpdate(
-        req.params.id,
-        { $inc: { views: 1 } },
-        { new: true },
+      const { document: track, renamed } = await Track.findBySlug(
+        req.params.slug,
       );
 
-      if (!track) {
+      const isAdmin = req.user && req.user.role === 'admin';
+      if (!track || (!isAdmin && !isTrackPublic(track))) {
         return res.status(404).json({ message: 'Track not found' });
       }
+      if (renamed) {
+        return res.redirect(301, currentSlugUrl(req, track.slug));
+      }
 
-      res.json({
-        message: 'View count incremented',
-        views: track.views,
-      });
+      const trackObj = track.toObject();
+      // Remove audio URL, views and other private fields (except for admins)
+      res.json(isAdmin ? trackObj : toPublicTrack(trackObj));
     } catch (error) {
       res.status(500).json({
-        message: 'Error incrementing view count',
+        message: 'Error fetching track',
         error: error.message,
       });
     }
   },
 );
 
-router.get('/:id', optionalAuth, checkApiKey, checkOrigin, async (req, res) => {
-  try {
-    const track = await Track.findById(req.params.id);
-    if (!track) {
-      return res.status(404).json({ message: 'Track not found' });
-    }
+router.get(
+  '/:id',
+  optionalAuth,
+  publishScheduledTracks,
+  checkApiKey,
+  checkOrigin,
+  async (req, res) => {
+    try {
+      const track = await Track.findById(req.params.id);
 
-    // Check if user is admin (authenticated admin users can see audio URLs and views)
-    const isAdmin = req.user && req.user.role === 'admin';
+      // Check if user is admin (authenticated admin users can see every status, audio URLs and views)
+      const isAdmin = req.user && req.user.role === 'admin';
 
-    const trackObj = track.toObject();
-    if (!isAdmin) {
-      delete trackObj.audio; // Remove audio URL from public response for non-admins
-      delete trackObj.views; // Remove views from public API for non-admins
-    }
+      // Unpublished tracks don't exist as far as the public is concerned
+      if (!track || (!isAdmin && !isTrackPublic(track))) {
+        return res.status(404).json({ message: 'Track not found' });
+      }
 
-    res.json(trackObj);
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching track',
-      error: error.message,
-    });
-  }
-});
+      const trackObj = track.toObject();
+      // Remove audio URL, views and other private fields (except for admins)
+      res.json(isAdmin ? trackObj : toPublicTrack(trackObj));
+    } catch (error) {
+      res.status(500).json({
+        message: 'Error fetching track',
+        error: error.message,
+      });
+    }
+  },
+);
 
 /**
  * @swagger
@@ -852,7 +2372,6 @@ router.get('/:id', optionalAuth, checkApiKey, checkOrigin, async (req, res) => {
  *               - audio
  *               - previewAudio
  *               - releaseDate
- *               - price
  *               - category
  *             properties:
  *               thumbnail:
@@ -877,9 +2396,71 @@ router.get('/:id', optionalAuth, checkApiKey, checkOrigin, async (req, res) => {
  *               price:
  *                 type: number
  *                 example: 100
+ *                 description: Required unless licenses are provided
  *               category:
  *                 type: string
- *                 enum: [Rock, Folk, Hip-Hop, "Jazz & Blues", "Modern Song", Classical]
+ *                 description: Category name (must exist in /api/categories)
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, archived]
+ *                 description: Publication status. Defaults to scheduled for future release dates, published otherwise. Scheduled tracks go live at their release date.
+ *               licenses:
+ *                 type: array
+ *                 description: License tiers. Each tier may reference a pricing plan (pricingPlan) to inherit its name, type, price and usage terms. When tiers are given, price is set to the cheapest tier.
+ *                 items:
+ *                   $ref: '#/components/schemas/TrackLicense'
+ *               revenueSplits:
+ *                 type: array
+ *                 description: Collaborator shares of every sale. Percentages add up to at most 100; the rest goes to the owner.
+ *                 items:
+ *                   $ref: '#/components/schemas/RevenueSplit'
+ *               bpm:
+ *                 type: number
+ *                 example: 140
+ *               key:
+ *                 type: string
+ *                 example: A minor
+ *                 description: Musical key ("Am", "F#m", "Db major" are normalized). Send null to clear.
+ *               duration:
+ *                 type: integer
+ *                 description: Length in seconds (pre-filled from /api/tracks/upload/audio)
+ *               bitrate:
+ *                 type: integer
+ *                 description: Bitrate in kbps
+ *               sampleRate:
+ *                 type: integer
+ *                 description: Sample rate in Hz
+ *               credits:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/TrackCredit'
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Search tags (stored lowercase)
+ *               lyrics:
+ *                 type: string
+ *               explicit:
+ *                 type: boolean
+ *               waveform:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: Peaks returned by /tracks/upload/audio (computed from the audio URL when omitted and the audio changes)
+ *               previewWaveform:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: Peaks returned by /tracks/upload/preview-audio (computed from the preview URL when omitted and the preview changes)
+ *               previewSettings:
+ *                 $ref: '#/components/schemas/PreviewSettings'
+ *               featured:
+ *                 type: boolean
+ *                 description: Show first in public lists
+ *               slug:
+ *                 type: string
+ *                 description: URL slug, generated from the title when omitted. Old slugs keep redirecting after a change
  *     responses:
  *       201:
  *         description: Track created successfully
@@ -897,112 +2478,24 @@ router.post('/', authenticateToken, async (req, res) => {
   // Invalidate cache when creating new track
   invalidateRouteCache('tracks');
   try {
-    const {
-      thumbnail,
-      title,
-      audio,
-      previewAudio,
-      releaseDate,
-      price,
-      category,
-    } = req.body;
-
-    // Validate required fields
-    if (!title || typeof title !== 'string' || title.trim() === '') {
-      return res.status(400).json({ message: 'Title is required' });
-    }
-
-    if (!thumbnail || typeof thumbnail !== 'string') {
-      return res.status(400).json({ message: 'Thumbnail URL is required' });
-    }
-
-    if (!audio || typeof audio !== 'string') {
-      return res.status(400).json({ message: 'Audio URL is required' });
-    }
-
-    if (!releaseDate) {
-      return res.status(400).json({ message: 'Release date is required' });
-    }
-
-    if (!category || typeof category !== 'string' || category.trim() === '') {
-      return res.status(400).json({ message: 'Category is required' });
-    }
-
-    // Validate category is one of the allowed values
-    const allowedCategories = [
-      'Rock',
-      'Folk',
-      'Hip-Hop',
-      'Jazz & Blues',
-      'Modern Song',
-      'Classical',
-    ];
-    if (!allowedCategories.includes(category)) {
-      return res.status(400).json({
-        message: `Category must be one of: ${allowedCategories.join(', ')}`,
-      });
-    }
-
-    if (!price || isNaN(price) || parseFloat(price) < 0) {
-      return res.status(400).json({ message: 'Valid price is required' });
-    }
-
-    // Validate URL format
-    if (thumbnail.startsWith('data:') || audio.startsWith('data:')) {
-      return res.status(400).json({
-        message:
-          'Base64 data is not allowed. Please upload files first using /api/tracks/upload/thumbnail and /api/tracks/upload/audio endpoints, then use the returned URLs.',
-      });
-    }
-
-    if (!thumbnail.startsWith('http://') && !thumbnail.startsWith('https://')) {
-      return res.status(400).json({
-        message:
-          'Invalid thumbnail URL format. Must be a valid HTTP/HTTPS URL.',
-      });
-    }
-
-    if (!audio.startsWith('http://') && !audio.startsWith('https://')) {
-      return res.status(400).json({
-        message: 'Invalid audio URL format. Must be a valid HTTP/HTTPS URL.',
-      });
-    }
-
-    if (
-      !previewAudio ||
-      typeof previewAudio !== 'string' ||
-      previewAudio.trim() === ''
-    ) {
-      return res.status(400).json({ message: 'Preview audio URL is required' });
+    const { trackData, error: validationError } = await buildNewTrackData(
+      req.body,
+    );
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
     }
 
-    // Validate previewAudio URL format
-    if (previewAudio.startsWith('data:')) {
-      return res.status(400).json({
-        message:
-          'Base64 data is not allowed. Please upload preview audio first using /api/tracks/upload/preview-audio endpoint, then use the returned URL.',
-      });
-    }
-    if (
-      !previewAudio.startsWith('http://') &&
-      !previewAudio.startsWith('https://')
-    ) {
-      return res.status(400).json({
-        message:
-          'Invalid preview audio URL format. Must be a valid HTTP/HTTPS URL.',
-      });
+    // Without a slug, one is generated from the title
+    if (req.body.slug) {
+      const slugCheck = await Track.validateSlug(req.body.slug);
+      if (slugCheck.error) {
+        return res
+          .status(slugCheck.conflict ? 409 : 400)
+          .json({ message: slugCheck.error });
+      }
+      trackData.slug = slugCheck.slug;
     }
 
-    const trackData = {
-      thumbnail,
-      title: title.trim(),
-      audio,
-      previewAudio,
-      releaseDate: new Date(releaseDate),
-      price: parseFloat(price),
-      category: category.trim(),
-    };
-
     const track = new Track(trackData);
     await track.save();
     res.status(201).json(track);
@@ -1014,6 +2507,55 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /tracks/reorder:
+ *   put:
+ *     summary: Reorder tracks (🔒 ADMIN ONLY)
+ *     tags: [Tracks]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Save a drag-and-drop order. The listed tracks swap into the places they already
+ *       take up in the list, so a partial or filtered list can be sent; everything else stays put.
+ *       Public lists show featured tracks first, then follow this order (with the default `featured` sort).
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReorderRequest'
+ *     responses:
+ *       200:
+ *         description: Order saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReorderResult'
+ *       400:
+ *         description: Invalid, duplicate or unknown IDs
+ */
+// Reorder tracks (protected)
+// This route must come before /:id to avoid route conflicts
+router.put('/reorder', authenticateToken, async (req, res) => {
+  invalidateRouteCache('tracks');
+  try {
+    const { updated, error } = await Track.reorder(req.body.ids);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    res.json({ message: 'Tracks reordered', updated });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error reordering tracks',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /tracks/{id}:
@@ -1059,7 +2601,68 @@ router.post('/', authenticateToken, async (req, res) => {
  *                 type: number
  *               category:
  *                 type: string
- *                 enum: [Rock, Folk, Hip-Hop, "Jazz & Blues", "Modern Song", Classical]
+ *                 description: Category name (must exist in /api/categories)
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, archived]
+ *                 description: Publication status. Defaults to scheduled for future release dates, published otherwise. Scheduled tracks go live at their release date.
+ *               licenses:
+ *                 type: array
+ *                 description: License tiers. Each tier may reference a pricing plan (pricingPlan) to inherit its name, type, price and usage terms. When tiers are given, price is set to the cheapest tier.
+ *                 items:
+ *                   $ref: '#/components/schemas/TrackLicense'
+ *               revenueSplits:
+ *                 type: array
+ *                 description: Collaborator shares of every sale. Percentages add up to at most 100; the rest goes to the owner.
+ *                 items:
+ *                   $ref: '#/components/schemas/RevenueSplit'
+ *               bpm:
+ *                 type: number
+ *                 example: 140
+ *               key:
+ *                 type: string
+ *                 example: A minor
+ *                 description: Musical key ("Am", "F#m", "Db major" are normalized). Send null to clear.
+ *               duration:
+ *                 type: integer
+ *                 description: Length in seconds (pre-filled from /api/tracks/upload/audio)
+ *               bitrate:
+ *                 type: integer
+ *                 description: Bitrate in kbps
+ *               sampleRate:
+ *                 type: integer
+ *                 description: Sample rate in Hz
+ *               credits:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/TrackCredit'
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Search tags (stored lowercase)
+ *               lyrics:
+ *                 type: string
+ *               explicit:
+ *                 type: boolean
+ *               waveform:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: Peaks returned by /tracks/upload/audio (computed from the audio URL when omitted and the audio changes)
+ *               previewWaveform:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: Peaks returned by /tracks/upload/preview-audio (computed from the preview URL when omitted and the preview changes)
+ *               previewSettings:
+ *                 $ref: '#/components/schemas/PreviewSettings'
+ *               featured:
+ *                 type: boolean
+ *                 description: Show first in public lists
+ *               slug:
+ *                 type: string
+ *                 description: URL slug, generated from the title when omitted. Old slugs keep redirecting after a change
  *     responses:
  *       200:
  *         description: Track updated successfully
@@ -1076,141 +2679,58 @@ router.post('/', authenticateToken, async (req, res) => {
  */
 // Update track (protected) - Only accepts URLs, not files
 router.put('/:id', authenticateToken, async (req, res) => {
-  // Invalidate cache when updating track
-  invalidateRouteCache('tracks');
+  // Invalidate cache when updating track (releases embed track details)
+  invalidateMultipleRoutes(['tracks', 'releases']);
   try {
     const track = await Track.findById(req.params.id);
     if (!track) {
       return res.status(404).json({ message: 'Track not found' });
     }
 
-    const {
-      thumbnail,
-      title,
-      audio,
-      previewAudio,
-      releaseDate,
-      price,
-      category,
-    } = req.body;
-
-    // Validate fields if provided
-    if (
-      title !== undefined &&
-      (typeof title !== 'string' || title.trim() === '')
-    ) {
-      return res
-        .status(400)
-        .json({ message: 'Title must be a non-empty string' });
-    }
-
-    if (category !== undefined) {
-      if (typeof category !== 'string' || category.trim() === '') {
-        return res
-          .status(400)
-          .json({ message: 'Category must be a non-empty string' });
-      }
-      // Validate category is one of the allowed values
-      const allowedCategories = [
-        'Rock',
-        'Folk',
-        'Hip-Hop',
-        'Jazz & Blues',
-        'Modern Song',
-        'Classical',
-      ];
-      if (!allowedCategories.includes(category.trim())) {
-        return res.status(400).json({
-          message: `Category must be one of: ${allowedCategories.join(', ')}`,
-        });
-      }
-    }
+    const { slug } = req.body;
 
-    if (price !== undefined && (isNaN(price) || parseFloat(price) < 0)) {
-      return res
-        .status(400)
-        .json({ message: 'Price must be a valid positive number' });
+    // Same rules as creating a track, applied to the fields sent
+    const { fields, unset, error } = await validateTrackFields(req.body, track);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    // Validate thumbnail URL if provided
-    if (thumbnail) {
-      if (thumbnail.startsWith('data:')) {
-        return res.status(400).json({
-          message:
-            'Base64 data is not allowed. Please upload the thumbnail first using /api/tracks/upload/thumbnail endpoint, then use the returned URL.',
-        });
-      }
-      if (
-        !thumbnail.startsWith('http://') &&
-        !thumbnail.startsWith('https://')
-      ) {
-        return res.status(400).json({
-          message:
-            'Invalid thumbnail URL format. Must be a valid HTTP/HTTPS URL.',
-        });
+    const media = {};
+    for (const field of Object.keys(TRACK_MEDIA_FIELDS)) {
+      if (req.body[field] === undefined) continue;
+      const mediaError = validateTrackMediaUrl(field, req.body[field]);
+      if (mediaError) {
+        return res.status(400).json({ message: mediaError });
       }
+      media[field] = req.body[field];
     }
 
-    // Validate audio URL if provided
-    if (audio) {
-      if (audio.startsWith('data:')) {
-        return res.status(400).json({
-          message:
-            'Base64 data is not allowed. Please upload the audio first using /api/tracks/upload/audio endpoint, then use the returned URL.',
-        });
-      }
-      if (!audio.startsWith('http://') && !audio.startsWith('https://')) {
-        return res.status(400).json({
-          message: 'Invalid audio URL format. Must be a valid HTTP/HTTPS URL.',
-        });
-      }
+    const {
+      waveforms,
+      unset: unsetWaveforms,
+      error: waveformError,
+    } = await resolveTrackWaveforms(req.body, track);
+    if (waveformError) {
+      return res.status(400).json({ message: waveformError });
     }
 
-    // Validate previewAudio URL if provided
-    if (previewAudio !== undefined) {
-      if (previewAudio === null || previewAudio === '') {
-        return res.status(400).json({
-          message: 'Preview audio URL is required and cannot be empty.',
-        });
-      }
-      if (previewAudio.startsWith('data:')) {
-        return res.status(400).json({
-          message:
-            'Base64 data is not allowed. Please upload preview audio first using /api/tracks/upload/preview-audio endpoint, then use the returned URL.',
-        });
-      }
-      if (
-        !previewAudio.startsWith('http://') &&
-        !previewAudio.startsWith('https://')
-      ) {
-        return res.status(400).json({
-          message:
-            'Invalid preview audio URL format. Must be a valid HTTP/HTTPS URL.',
-        });
-      }
+    const trackData = { ...fields, ...media, ...waveforms };
+    // Cleared BPM, key or technical fields (and stale waveforms or preview settings) are removed from the document
+    const unsetFields = [...unset, ...unsetWaveforms];
+    if (unsetFields.length > 0) {
+      trackData.$unset = Object.fromEntries(
+        unsetFields.map((field) => [field, '']),
+      );
     }
 
-    const trackData = {};
-    if (thumbnail !== undefined) {
-      trackData.thumbnail = thumbnail;
-    }
-    if (title !== undefined) {
-      trackData.title = title.trim();
-    }
-    if (audio !== undefined) {
-      trackData.audio = audio;
-    }
-    if (previewAudio !== undefined) {
-      trackData.previewAudio = previewAudio;
-    }
-    if (releaseDate !== undefined) {
-      trackData.releaseDate = new Date(releaseDate);
-    }
-    if (price !== undefined) {
-      trackData.price = parseFloat(price);
-    }
-    if (category !== undefined) {
-      trackData.category = category.trim();
+    if (slug !== undefined) {
+      const slugCheck = await Track.validateSlug(slug, track._id);
+      if (slugCheck.error) {
+        return res
+          .status(slugCheck.conflict ? 409 : 400)
+          .json({ message: slugCheck.error });
+      }
+      Object.assign(trackData, Track.slugUpdate(track, slugCheck.slug));
     }
 
     const updatedTrack = await Track.findByIdAndUpdate(
@@ -1237,7 +2757,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
  *     description: |
  *       **Access Level: 🔒 ADMIN ONLY**
  *
- *       Delete a track by ID.
+ *       Move a track to the trash. It disappears from public APIs, but past buyers can still
+ *       download it. Restore or purge it through /trash.
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
@@ -1258,22 +2779,24 @@ router.put('/:id', authenticateToken, async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Track deleted successfully
+ *                   example: Track moved to trash
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Track not found
  */
-// Delete track (protected)
+// Delete track (protected) - moves it to the trash
 router.delete('/:id', authenticateToken, async (req, res) => {
-  // Invalidate cache when deleting track
-  invalidateRouteCache('tracks');
+  // Invalidate cache when deleting track (releases embed track details)
+  invalidateMultipleRoutes(['tracks', 'releases']);
   try {
-    const track = await Track.findByIdAndDelete(req.params.id);
+    const track = await Track.findByIdAndUpdate(req.params.id, {
+      deletedAt: new Date(),
+    });
     if (!track) {
       return res.status(404).json({ message: 'Track not found' });
     }
-    res.json({ message: 'Track deleted successfully' });
+    res.json({ message: 'Track moved to trash' });
   } catch (error) {
     res.status(500).json({
       message: 'Error deleting track',
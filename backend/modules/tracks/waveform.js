@@ -0,0 +1,121 @@
+import { runFfmpeg } from '../../utils/ffmpeg.js';
+import { WAVEFORM_POINTS } from '../../utils/constants.js';
+import { logger } from '../../utils/logger.js';
+
+// A low mono sample rate is plenty for a few hundred peaks and keeps decoding cheap
+const DECODE_SAMPLE_RATE = 8000;
+
+// Audio URL field -> peaks field on the Track model
+const WAVEFORM_FIELDS = {
+  audio: 'waveform',
+  previewAudio: 'previewWaveform',
+};
+
+/**
+ * Downsample 16-bit mono PCM into peak amplitudes
+ * @param {Buffer} pcm - Signed 16-bit little-endian samples
+ * @param {number} [points] - Number of peaks to produce
+ * @returns {Array<number>} Peaks between 0 and 1, the loudest being 1
+ */
+export const computePeaks = (pcm, points = WAVEFORM_POINTS) => {
+  const sampleCount = Math.floor(pcm.length / 2);
+  if (sampleCount === 0) return [];
+
+  const count = Math.min(points, sampleCount);
+  const peaks = [];
+  for (let i = 0; i < count; i++) {
+    const start = Math.floor((i * sampleCount) / count);
+    const end = Math.floor(((i + 1) * sampleCount) / count);
+    let peak = 0;
+    for (let sample = start; sample < end; sample++) {
+      const value = Math.abs(pcm.readInt16LE(sample * 2));
+      if (value > peak) peak = value;
+    }
+    peaks.push(peak);
+  }
+
+  const loudest = Math.max(...peaks);
+  return peaks.map((peak) =>
+    loudest > 0 ? Math.round((peak / loudest) * 100) / 100 : 0,
+  );
+};
+
+/**
+ * Compute waveform peaks for an audio file
+ * Failures don't block uploads or saves - null is returned instead
+ * @param {Buffer|string} source - File contents or a remote audio URL
+ * @returns {Promise<Array<number>|null>}
+ */
+export const generateWaveform = async (source) => {
+  const fromBuffer = Buffer.isBuffer(source);
+  try {
+    const pcm = await runFfmpeg(
+      [
+        '-i',
+        fromBuffer ? 'pipe:0' : source,
+        '-ac',
+        '1',
+        '-ar',
+        String(DECODE_SAMPLE_RATE),
+        '-f',
+        's16le',
+        'pipe:1',
+      ],
+      { input: fromBuffer ? source : undefined },
+    );
+    return computePeaks(pcm);
+  } catch (error) {
+    logger.warn('Could not generate waveform', {
+      source: fromBuffer ? 'upload' : source,
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+const isValidPeaks = (peaks) =>
+  Array.isArray(peaks) &&
+  peaks.length <= WAVEFORM_POINTS &&
+  peaks.every(
+    (peak) => typeof peak === 'number' && peak >= 0 && peak <= 1,
+  );
+
+/**
+ * Work out the waveform fields for a track create/update
+ * Peaks returned by the upload endpoints are taken as sent. When an audio
+ * URL changes without peaks, they are computed from the file itself, and
+ * peaks that could not be computed are unset rather than left stale
+ * @param {Object} body - Request body
+ * @param {Object} [existingTrack] - Current track (updates only)
+ * @returns {Promise<{waveforms?: Object, unset?: Array<string>, error?: string}>}
+ */
+export const resolveTrackWaveforms = async (body, existingTrack = null) => {
+  const waveforms = {};
+  const unset = [];
+
+  for (const [urlField, peaksField] of Object.entries(WAVEFORM_FIELDS)) {
+    const url = body[urlField];
+    const peaks = body[peaksField];
+
+    if (peaks !== undefined && peaks !== null) {
+      if (!isValidPeaks(peaks)) {
+        return {
+          error: `${peaksField} must be an array of at most ${WAVEFORM_POINTS} numbers between 0 and 1`,
+        };
+      }
+      waveforms[peaksField] = peaks;
+      continue;
+    }
+
+    if (url && url !== existingTrack?.[urlField]) {
+      const computed = await generateWaveform(url);
+      if (computed) {
+        waveforms[peaksField] = computed;
+      } else {
+        unset.push(peaksField);
+      }
+    }
+  }
+
+  return { waveforms, unset };
+};
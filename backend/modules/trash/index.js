@@ -0,0 +1,15 @@
+/**
+ * Trash Module
+ * Restore or permanently delete soft-deleted content
+ */
+
+export { default as trashRoutes } from './trashRoutes.js';
+export {
+  TRASH_TYPES,
+  TRASH_RETENTION_DAYS,
+  listTrash,
+  restoreItem,
+  purgeItem,
+  purgeTrash,
+  startTrashPurger,
+} from './trashService.js';
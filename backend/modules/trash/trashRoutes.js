@@ -0,0 +1,242 @@
+import express from 'express';
+import { authenticateToken } from '../auth/index.js';
+import {
+  TRASH_TYPES,
+  listTrash,
+  restoreItem,
+  purgeItem,
+  purgeTrash,
+  purgeExpiredTrashIfDue,
+} from './trashService.js';
+import { isValidObjectId } from '../../utils/validation.js';
+
+const router = express.Router();
+
+const TYPE_NAMES = Object.keys(TRASH_TYPES);
+
+// Validate the :type and :id params of the item routes
+const validateTrashParams = ({ type, id }) => {
+  if (!TRASH_TYPES[type]) {
+    return `Type must be one of: ${TYPE_NAMES.join(', ')}`;
+  }
+  if (!isValidObjectId(id)) {
+    return 'Invalid item ID';
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /trash:
+ *   get:
+ *     summary: List trashed items (🔒 ADMIN ONLY)
+ *     tags: [Trash]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Deleted tracks, gallery images, YouTube and TikTok videos and pricing plans, newest first,
+ *       with the date each one will be purged automatically (TRASH_RETENTION_DAYS, 0 disables auto-purge).
+ *       Tracks that have been sold are kept for their buyers and are never purged.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [track, gallery, youtube, tiktok, pricing]
+ *         description: Only list one content type
+ *     responses:
+ *       200:
+ *         description: Trashed items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TrashItem'
+ *       400:
+ *         description: Invalid type
+ */
+// Get trashed items (protected)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type !== undefined && !TRASH_TYPES[type]) {
+      return res.status(400).json({
+        message: `Type must be one of: ${TYPE_NAMES.join(', ')}`,
+      });
+    }
+
+    await purgeExpiredTrashIfDue();
+    res.json(await listTrash(type));
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error fetching trash',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /trash/{type}/{id}/restore:
+ *   post:
+ *     summary: Restore a trashed item (🔒 ADMIN ONLY)
+ *     tags: [Trash]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Move an item out of the trash so it shows up in the public APIs again.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [track, gallery, youtube, tiktok, pricing]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item restored
+ *       400:
+ *         description: Invalid type or ID
+ *       404:
+ *         description: Item not found in the trash
+ */
+// Restore a trashed item (protected)
+router.post('/:type/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const validationError = validateTrashParams(req.params);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const item = await restoreItem(req.params.type, req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found in the trash' });
+    }
+    res.json({ message: 'Item restored successfully', item });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error restoring item',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /trash/{type}/{id}:
+ *   delete:
+ *     summary: Permanently delete a trashed item (🔒 ADMIN ONLY)
+ *     tags: [Trash]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Purge an item from the trash. This can't be undone.
+ *       Tracks that have been sold can't be purged, so their buyers can still download them.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [track, gallery, youtube, tiktok, pricing]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item purged
+ *       400:
+ *         description: Invalid type or ID
+ *       404:
+ *         description: Item not found in the trash
+ *       409:
+ *         description: Track has buyers and is kept
+ */
+// Purge a trashed item (protected)
+router.delete('/:type/:id', authenticateToken, async (req, res) => {
+  try {
+    const validationError = validateTrashParams(req.params);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const result = await purgeItem(req.params.type, req.params.id);
+    if (result.hasBuyers) {
+      return res.status(409).json({
+        message:
+          'This track has been sold. It stays in the trash so its buyers can still download it.',
+      });
+    }
+    if (!result.purged) {
+      return res.status(404).json({ message: 'Item not found in the trash' });
+    }
+    res.json({ message: 'Item permanently deleted' });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error purging item',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /trash:
+ *   delete:
+ *     summary: Empty the trash (🔒 ADMIN ONLY)
+ *     tags: [Trash]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Permanently delete every trashed item. Tracks that have been sold are kept.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trash emptied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 purged:
+ *                   type: integer
+ *                   description: Items permanently deleted
+ *                 kept:
+ *                   type: integer
+ *                   description: Sold tracks kept for their buyers
+ */
+// Empty the trash (protected)
+router.delete('/', authenticateToken, async (req, res) => {
+  try {
+    const { purged, kept } = await purgeTrash({ all: true });
+    res.json({ message: 'Trash emptied', purged, kept });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error emptying trash',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
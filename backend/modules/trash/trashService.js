@@ -0,0 +1,227 @@
+import Track from '../tracks/Track.js';
+import Gallery from '../gallery/Gallery.js';
+import YouTubeVideo from '../youtube/YouTubeVideo.js';
+import TikTokVideo from '../tiktok/TikTokVideo.js';
+import Pricing from '../pricing/Pricing.js';
+import Release from '../releases/Release.js';
+import Sale from '../sales/Sale.js';
+import { deleteTrackEvents } from '../tracks/trackEvents.js';
+import { invalidateMultipleRoutes } from '../../utils/cacheHelper.js';
+import { logger } from '../../utils/logger.js';
+
+// Days an item stays in the trash before it is purged automatically (0 keeps items until purged by hand)
+const parsedRetentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+export const TRASH_RETENTION_DAYS =
+  Number.isNaN(parsedRetentionDays) || parsedRetentionDays < 0
+    ? 30
+    : parsedRetentionDays;
+
+// How often expired items are purged (milliseconds)
+const PURGE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let lastPurgeAt = 0;
+let purgerTimer = null;
+
+// Content types that can be trashed: model, field shown as the item name, route caches to clear
+export const TRASH_TYPES = {
+  track: { model: Track, labelField: 'title', routes: ['tracks', 'releases'] },
+  gallery: { model: Gallery, labelField: 'caption', routes: ['gallery'] },
+  youtube: { model: YouTubeVideo, labelField: 'title', routes: ['youtube'] },
+  tiktok: { model: TikTokVideo, labelField: 'title', routes: ['tiktok'] },
+  pricing: { model: Pricing, labelField: 'title', routes: ['pricing'] },
+};
+
+/**
+ * Date a trashed item will be purged automatically
+ * @param {Date} deletedAt - When the item was moved to the trash
+ * @returns {Date|null} Null when auto-purge is disabled
+ */
+const getPurgeDate = (deletedAt) =>
+  TRASH_RETENTION_DAYS > 0
+    ? new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS)
+    : null;
+
+// IDs of the given tracks that past buyers still have access to
+const findPurchasedTrackIds = async (trackIds) => {
+  const sales = await Sale.find({
+    $or: [{ trackId: { $in: trackIds } }, { trackIds: { $in: trackIds } }],
+  })
+    .select('trackId trackIds')
+    .lean();
+
+  const wanted = new Set(trackIds.map(String));
+  const purchased = new Set();
+  sales.forEach((sale) => {
+    [sale.trackId, ...(sale.trackIds || [])].forEach((id) => {
+      if (id && wanted.has(String(id))) purchased.add(String(id));
+    });
+  });
+  return purchased;
+};
+
+/**
+ * List trashed items, newest first
+ * Tracks that have been sold are flagged with hasBuyers; they can't be purged
+ * @param {string} [type] - Only list one content type
+ * @returns {Promise<Array>} Trash items
+ */
+export const listTrash = async (type) => {
+  const types = type ? [type] : Object.keys(TRASH_TYPES);
+
+  const groups = await Promise.all(
+    types.map(async (itemType) => {
+      const { model, labelField } = TRASH_TYPES[itemType];
+      const docs = await model
+        .find({ deletedAt: { $ne: null } })
+        .select(`${labelField} deletedAt`)
+        .lean();
+
+      const purchased =
+        itemType === 'track' && docs.length > 0
+          ? await findPurchasedTrackIds(docs.map((doc) => doc._id))
+          : new Set();
+
+      return docs.map((doc) => ({
+        _id: doc._id,
+        type: itemType,
+        name: doc[labelField] || '',
+        deletedAt: doc.deletedAt,
+        purgeAt: getPurgeDate(doc.deletedAt),
+        hasBuyers: purchased.has(String(doc._id)),
+      }));
+    }),
+  );
+
+  return groups
+    .flat()
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+};
+
+/**
+ * Move a trashed item back to the public lists
+ * @param {string} type - Content type
+ * @param {string} id - Item ID
+ * @returns {Promise<Object|null>} Restored item, or null if it isn't in the trash
+ */
+export const restoreItem = async (type, id) => {
+  const { model, routes } = TRASH_TYPES[type];
+  const item = await model.findOneAndUpdate(
+    { _id: id, deletedAt: { $ne: null } },
+    { deletedAt: null },
+    { new: true },
+  );
+  if (item) {
+    invalidateMultipleRoutes(routes);
+    logger.info('Trash item restored', { type, id });
+  }
+  return item;
+};
+
+/**
+ * Permanently delete a trashed item
+ * Tracks with buyers are kept so past purchases stay downloadable
+ * @param {string} type - Content type
+ * @param {string} id - Item ID
+ * @returns {Promise<{purged: boolean, hasBuyers?: boolean}>}
+ */
+export const purgeItem = async (type, id) => {
+  const { model, routes } = TRASH_TYPES[type];
+  const item = await model
+    .findOne({ _id: id, deletedAt: { $ne: null } })
+    .select('_id')
+    .lean();
+  if (!item) {
+    return { purged: false };
+  }
+
+  if (type === 'track') {
+    const purchased = await findPurchasedTrackIds([item._id]);
+    if (purchased.size > 0) {
+      return { purged: false, hasBuyers: true };
+    }
+  }
+
+  await model.deleteOne({ _id: item._id });
+  if (type === 'track') {
+    await Promise.all([
+      deleteTrackEvents(item._id),
+      Release.updateMany(
+        { tracks: item._id },
+        { $pull: { tracks: item._id } },
+      ),
+    ]);
+  }
+
+  invalidateMultipleRoutes(routes);
+  logger.info('Trash item purged', { type, id });
+  return { purged: true };
+};
+
+/**
+ * Purge every item that has been in the trash longer than the retention period
+ * Tracks with buyers are skipped
+ * @param {Object} [options]
+ * @param {boolean} [options.all=false] - Purge everything regardless of age (empty the trash)
+ * @returns {Promise<{purged: number, kept: number}>}
+ */
+export const purgeTrash = async ({ all = false } = {}) => {
+  if (!all && TRASH_RETENTION_DAYS === 0) {
+    return { purged: 0, kept: 0 };
+  }
+
+  const deletedAt = all
+    ? { $ne: null }
+    : { $ne: null, $lte: new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS) };
+
+  let purged = 0;
+  let kept = 0;
+  for (const type of Object.keys(TRASH_TYPES)) {
+    const docs = await TRASH_TYPES[type].model
+      .find({ deletedAt })
+      .select('_id')
+      .lean();
+    for (const doc of docs) {
+      const result = await purgeItem(type, doc._id);
+      if (result.purged) purged += 1;
+      else if (result.hasBuyers) kept += 1;
+    }
+  }
+
+  if (purged > 0) {
+    logger.info('Trash purged', { purged, kept, all });
+  }
+  return { purged, kept };
+};
+
+/**
+ * Purge expired items at most once per check interval
+ * Called from the trash listing so serverless instances without a running
+ * timer still clean up
+ */
+export const purgeExpiredTrashIfDue = async () => {
+  if (Date.now() - lastPurgeAt < PURGE_CHECK_INTERVAL) return;
+  lastPurgeAt = Date.now();
+  try {
+    await purgeTrash();
+  } catch (error) {
+    logger.error('Error purging expired trash', error);
+  }
+};
+
+/**
+ * Start the background timer that purges expired trash
+ * Safe to call more than once
+ */
+export const startTrashPurger = () => {
+  if (purgerTimer) return;
+
+  purgerTimer = setInterval(() => {
+    lastPurgeAt = Date.now();
+    purgeTrash().catch((error) => {
+      logger.error('Error purging expired trash', error);
+    });
+  }, PURGE_CHECK_INTERVAL);
+  purgerTimer.unref();
+};
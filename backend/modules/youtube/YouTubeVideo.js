@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '../../utils/softDelete.js';
+import { displayOrderPlugin } from '../../utils/displayOrder.js';
+import { slugPlugin } from '../../utils/slug.js';
 
 const youtubeVideoSchema = new mongoose.Schema(
   {
@@ -34,6 +37,15 @@ const youtubeVideoSchema = new mongoose.Schema(
   },
 );
 
+// Deleted documents stay in the trash until they are restored or purged
+youtubeVideoSchema.plugin(softDeletePlugin);
+
+// Featured videos first, then the admin's manual order (newest first until reordered)
+youtubeVideoSchema.plugin(displayOrderPlugin);
+
+// URL slug from the title; renamed slugs keep redirecting
+youtubeVideoSchema.plugin(slugPlugin, { fallback: 'video' });
+
 const YouTubeVideo = mongoose.model('YouTubeVideo', youtubeVideoSchema);
 
 export default YouTubeVideo;
@@ -6,4 +6,8 @@
 export { default as youtubeRoutes } from './youtubeRoutes.js';
 export { default as YouTubeVideo } from './YouTubeVideo.js';
 export { default as YouTubeVideoModel } from './YouTubeVideo.js';
-
+export {
+  getYouTubeVideoId,
+  getYouTubeEmbedUrl,
+  getYouTubeThumbnailUrl,
+} from './youtubeLinks.js';
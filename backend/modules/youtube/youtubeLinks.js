@@ -0,0 +1,27 @@
+/**
+ * Extract YouTube video ID from URL
+ */
+export function getYouTubeVideoId(url) {
+  if (!url) return null;
+  const regExp = /^.*(youtu.be\/|v\/|u\/\w\/|embed\/|watch\?v=|&v=)([^#&?]*).*/;
+  const match = url.match(regExp);
+  return match && match[2].length === 11 ? match[2] : null;
+}
+
+/**
+ * Embeddable player URL of a YouTube video
+ * @returns {string|null}
+ */
+export function getYouTubeEmbedUrl(url) {
+  const videoId = getYouTubeVideoId(url);
+  return videoId ? `https://www.youtube.com/embed/${videoId}` : null;
+}
+
+/**
+ * Thumbnail YouTube generates for a video
+ * @returns {string|null}
+ */
+export function getYouTubeThumbnailUrl(url) {
+  const videoId = getYouTubeVideoId(url);
+  return videoId ? `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` : null;
+}
@@ -4,20 +4,14 @@ import { authenticateToken, optionalAuth } from '../auth/index.js';
 import { cacheMiddleware } from '../../middleware/cache.js';
 import { invalidateRouteCache } from '../../utils/cacheHelper.js';
 import { uploadOptimizedImage } from '../../config/cloudinary.js';
+import { uploadUnlessDuplicate, isForcedUpload } from '../media/index.js';
+import { checkApiKey, checkOrigin } from '../../middleware/apiKey.js';
+import { currentSlugUrl } from '../../utils/slug.js';
+import { getYouTubeVideoId } from './youtubeLinks.js';
 import multer from 'multer';
 
 const router = express.Router();
 
-/**
- * Extract YouTube video ID from URL
- */
-function getYouTubeVideoId(url) {
-  if (!url) return null;
-  const regExp = /^.*(youtu.be\/|v\/|u\/\w\/|embed\/|watch\?v=|&v=)([^#&?]*).*/;
-  const match = url.match(regExp);
-  return match && match[2].length === 11 ? match[2] : null;
-}
-
 /**
  * Fetch YouTube video duration from YouTube Data API v3
  * Returns duration in ISO 8601 format (e.g., PT5M30S) or null if not available
@@ -105,7 +99,9 @@ router.get(
   },
   async (req, res) => {
     try {
-      const videos = await YouTubeVideo.find().sort({ createdAt: -1 });
+      const videos = await YouTubeVideo.find().sort(
+        YouTubeVideo.displayOrder(),
+      );
       res.json(videos);
     } catch (error) {
       res.status(500).json({
@@ -116,6 +112,58 @@ router.get(
   },
 );
 
+/**
+ * @swagger
+ * /youtube/slug/{slug}:
+ *   get:
+ *     summary: Get a YouTube video by slug (🌐 PUBLIC)
+ *     tags: [YouTube]
+ *     description: |
+ *       **Access Level: 🌐 PUBLIC**
+ *
+ *       Get a single YouTube video by its URL slug. A slug the YouTube video had before a rename
+ *       answers with a 301 redirect to the current slug.
+ *     security:
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: YouTube video details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/YouTubeVideo'
+ *       301:
+ *         description: Old slug - redirects to the current one
+ *       404:
+ *         description: YouTube video not found
+ */
+// Get YouTube video by slug (PUBLIC - with optional API key or origin check)
+router.get('/slug/:slug', checkApiKey, checkOrigin, async (req, res) => {
+  try {
+    const { document: video, renamed } = await YouTubeVideo.findBySlug(
+      req.params.slug,
+    );
+    if (!video) {
+      return res.status(404).json({ message: 'YouTube video not found' });
+    }
+    if (renamed) {
+      return res.redirect(301, currentSlugUrl(req, video.slug));
+    }
+    res.json(video);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error fetching YouTube video',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /youtube/duration/{videoId}:
@@ -192,6 +240,12 @@ router.get('/duration/:videoId', async (req, res) => {
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Upload even if the same file (or a near-identical image) was already uploaded
  *     requestBody:
  *       required: true
  *       content:
@@ -217,6 +271,8 @@ router.get('/duration/:videoId', async (req, res) => {
  *                   type: string
  *                   format: uri
  *                   description: Cloudinary URL of uploaded thumbnail
+ *                 duplicate:
+ *                   $ref: '#/components/schemas/DuplicateMedia'
  *       400:
  *         description: No file provided or invalid file type
  *       401:
@@ -268,14 +324,24 @@ router.post(
 
       // Upload to Cloudinary with optimization
       // Automatically converts to AVIF/WebP format with lossless compression
-      const thumbnailUrl = await uploadOptimizedImage(
+      // An image that is already there isn't uploaded again
+      const { url: thumbnailUrl, duplicate } = await uploadUnlessDuplicate(
         req.file,
-        'nahid-admin/youtube/thumbnails',
-        1920, // Max width
-        1080, // Max height (16:9 aspect ratio for YouTube thumbnails)
+        {
+          folder: 'nahid-admin/youtube/thumbnails',
+          image: true,
+          force: isForcedUpload(req),
+          upload: () =>
+            uploadOptimizedImage(
+              req.file,
+              'nahid-admin/youtube/thumbnails',
+              1920, // Max width
+              1080, // Max height (16:9 aspect ratio for YouTube thumbnails)
+            ),
+        },
       );
 
-      res.json({ url: thumbnailUrl });
+      res.json({ url: thumbnailUrl, duplicate });
     } catch (error) {
       res.status(500).json({
         message: 'Error uploading thumbnail',
@@ -321,6 +387,12 @@ router.post(
  *               description:
  *                 type: string
  *                 description: Video description
+ *               featured:
+ *                 type: boolean
+ *                 description: Show first in public lists
+ *               slug:
+ *                 type: string
+ *                 description: URL slug, generated from the title when omitted. Old slugs keep redirecting after a change
  *     responses:
  *       201:
  *         description: YouTube video created successfully
@@ -333,7 +405,8 @@ router.post(
 router.post('/', authenticateToken, async (req, res) => {
   invalidateRouteCache('youtube');
   try {
-    const { videoUrl, title, description, thumbnail } = req.body;
+    const { videoUrl, title, description, thumbnail, featured, slug } =
+      req.body;
 
     // Validate required fields
     if (!videoUrl || typeof videoUrl !== 'string' || videoUrl.trim() === '') {
@@ -351,12 +424,30 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    if (featured !== undefined && typeof featured !== 'boolean') {
+      return res
+        .status(400)
+        .json({ message: 'Featured must be true or false' });
+    }
+
+    // Without a slug, one is generated from the title
+    const slugCheck = slug ? await YouTubeVideo.validateSlug(slug) : {};
+    if (slugCheck.error) {
+      return res
+        .status(slugCheck.conflict ? 409 : 400)
+        .json({ message: slugCheck.error });
+    }
+
     const videoData = {
       videoUrl: videoUrl.trim(),
       title: title.trim(),
       description: description ? description.trim() : '',
       thumbnail: thumbnail ? thumbnail.trim() : '',
+      featured: featured === true,
     };
+    if (slugCheck.slug) {
+      videoData.slug = slugCheck.slug;
+    }
 
     // Duration is fetched on frontend, not stored in database
     // But allow manual override if provided
@@ -375,6 +466,55 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /youtube/reorder:
+ *   put:
+ *     summary: Reorder YouTube videos (🔒 ADMIN ONLY)
+ *     tags: [YouTube]
+ *     description: |
+ *       **Access Level: 🔒 ADMIN ONLY**
+ *
+ *       Save a drag-and-drop order. The listed YouTube videos swap into the places they already
+ *       take up in the list, so a partial or filtered list can be sent; everything else stays put.
+ *       Public lists show featured YouTube videos first, then follow this order.
+ *       Requires admin authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReorderRequest'
+ *     responses:
+ *       200:
+ *         description: Order saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReorderResult'
+ *       400:
+ *         description: Invalid, duplicate or unknown IDs
+ */
+// Reorder YouTube videos (protected)
+// This route must come before /:id to avoid route conflicts
+router.put('/reorder', authenticateToken, async (req, res) => {
+  invalidateRouteCache('youtube');
+  try {
+    const { updated, error } = await YouTubeVideo.reorder(req.body.ids);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    res.json({ message: 'YouTube videos reordered', updated });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error reordering YouTube videos',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @swagger
  * /youtube/{id}:
@@ -407,6 +547,12 @@ router.post('/', authenticateToken, async (req, res) => {
  *                 type: string
  *               description:
  *                 type: string
+ *               featured:
+ *                 type: boolean
+ *                 description: Show first in public lists
+ *               slug:
+ *                 type: string
+ *                 description: URL slug, generated from the title when omitted. Old slugs keep redirecting after a change
  *     responses:
  *       200:
  *         description: YouTube video updated successfully
@@ -426,7 +572,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'YouTube video not found' });
     }
 
-    const { videoUrl, title, description, thumbnail } = req.body;
+    const { videoUrl, title, description, thumbnail, featured, slug } =
+      req.body;
 
     // Validate fields if provided
     if (
@@ -456,6 +603,12 @@ router.put('/:id', authenticateToken, async (req, res) => {
       }
     }
 
+    if (featured !== undefined && typeof featured !== 'boolean') {
+      return res
+        .status(400)
+        .json({ message: 'Featured must be true or false' });
+    }
+
     const videoData = {};
     if (videoUrl !== undefined) {
       videoData.videoUrl = videoUrl.trim();
@@ -469,12 +622,25 @@ router.put('/:id', authenticateToken, async (req, res) => {
     if (thumbnail !== undefined) {
       videoData.thumbnail = thumbnail.trim();
     }
+    if (featured !== undefined) {
+      videoData.featured = featured;
+    }
     // Duration is fetched on frontend, not stored in database
     // But allow manual override if provided
     if (req.body.duration !== undefined) {
       videoData.duration = req.body.duration.trim();
     }
 
+    if (slug !== undefined) {
+      const slugCheck = await YouTubeVideo.validateSlug(slug, video._id);
+      if (slugCheck.error) {
+        return res
+          .status(slugCheck.conflict ? 409 : 400)
+          .json({ message: slugCheck.error });
+      }
+      Object.assign(videoData, YouTubeVideo.slugUpdate(video, slugCheck.slug));
+    }
+
     const updatedVideo = await YouTubeVideo.findByIdAndUpdate(
       req.params.id,
       videoData,
@@ -499,7 +665,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
  *     description: |
  *       **Access Level: 🔒 ADMIN ONLY**
  *
- *       Delete a YouTube video by ID.
+ *       Move a YouTube video to the trash. Restore or purge it through /trash.
  *       Requires admin authentication.
  *     security:
  *       - bearerAuth: []
@@ -511,19 +677,21 @@ router.put('/:id', authenticateToken, async (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: YouTube video deleted successfully
+ *         description: YouTube video moved to trash
  *       404:
  *         description: Video not found
  */
-// Delete YouTube video (protected)
+// Delete YouTube video (protected) - moves it to the trash
 router.delete('/:id', authenticateToken, async (req, res) => {
   invalidateRouteCache('youtube');
   try {
-    const video = await YouTubeVideo.findByIdAndDelete(req.params.id);
+    const video = await YouTubeVideo.findByIdAndUpdate(req.params.id, {
+      deletedAt: new Date(),
+    });
     if (!video) {
       return res.status(404).json({ message: 'YouTube video not found' });
     }
-    res.json({ message: 'YouTube video deleted successfully' });
+    res.json({ message: 'YouTube video moved to trash' });
   } catch (error) {
     res.status(500).json({
       message: 'Error deleting YouTube video',
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { Sale } from '../modules/sales/index.js';
+import { LedgerEntry, recordSaleLedgerEntries } from '../modules/payments/index.js';
+
+dotenv.config();
+
+// Usage: npm run backfill:ledger
+// Writes revenue split ledger entries for completed sales made before the
+// ledger existed, using each track's current revenue split
+const backfillLedger = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/nahid-admin',
+      {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      },
+    );
+
+    const recordedSaleIds = await LedgerEntry.distinct('sale');
+    const sales = await Sale.find({
+      paymentStatus: 'completed',
+      _id: { $nin: recordedSaleIds },
+    });
+
+    console.log(`Recording revenue splits for ${sales.length} sale(s)...`);
+
+    let recordedCount = 0;
+    for (const sale of sales) {
+      const entries = await recordSaleLedgerEntries(sale);
+      if (entries.length > 0) {
+        recordedCount++;
+        console.log(`✓ ${sale.saleSerialId} (${entries.length} entries)`);
+      } else {
+        console.log(`✗ ${sale.saleSerialId} (see the server log)`);
+      }
+    }
+
+    console.log(`Done: ${recordedCount} of ${sales.length} sale(s) recorded`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Ledger backfill failed:', error.message);
+    process.exit(1);
+  }
+};
+
+backfillLedger();
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { SEO_TYPES } from '../modules/seo/index.js';
+
+dotenv.config();
+
+// Usage: npm run backfill:slugs
+// Gives tracks, videos and gallery images created before slugs existed a
+// slug generated from their title (caption for images)
+const backfillSlugs = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/nahid-admin',
+      {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      },
+    );
+
+    for (const [type, { model }] of Object.entries(SEO_TYPES)) {
+      const count = await model.backfillSlugs();
+      console.log(`✓ ${type}: ${count} slug(s) generated`);
+    }
+
+    console.log('Done');
+    process.exit(0);
+  } catch (error) {
+    console.error('Slug backfill failed:', error.message);
+    process.exit(1);
+  }
+};
+
+backfillSlugs();
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { Track, generateWaveform } from '../modules/tracks/index.js';
+
+dotenv.config();
+
+// Usage: npm run backfill:waveforms [-- --force]
+// Computes waveform peaks for tracks uploaded before waveforms existed.
+// --force recomputes every track, not only the ones missing peaks
+const force = process.argv.includes('--force');
+
+const backfillWaveforms = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/nahid-admin',
+      {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      },
+    );
+
+    const query = force
+      ? {}
+      : {
+          $or: [
+            { audio: { $nin: [null, ''] }, waveform: { $exists: false } },
+            {
+              previewAudio: { $nin: [null, ''] },
+              previewWaveform: { $exists: false },
+            },
+          ],
+        };
+    const tracks = await Track.find(query)
+      .select('title audio previewAudio waveform previewWaveform')
+      .lean();
+
+    console.log(`Computing waveforms for ${tracks.length} track(s)...`);
+
+    let updatedCount = 0;
+    let failedCount = 0;
+
+    // One track at a time - decoding is CPU heavy
+    for (const track of tracks) {
+      const update = {};
+      if (track.audio && (force || !track.waveform)) {
+        const waveform = await generateWaveform(track.audio);
+        if (waveform) update.waveform = waveform;
+      }
+      if (track.previewAudio && (force || !track.previewWaveform)) {
+        const previewWaveform = await generateWaveform(track.previewAudio);
+        if (previewWaveform) update.previewWaveform = previewWaveform;
+      }
+
+      if (Object.keys(update).length > 0) {
+        await Track.updateOne({ _id: track._id }, { $set: update });
+        updatedCount++;
+        console.log(`✓ ${track.title}`);
+      } else {
+        failedCount++;
+        console.log(`✗ ${track.title} (audio could not be decoded)`);
+      }
+    }
+
+    console.log(`Done: ${updatedCount} updated, ${failedCount} failed`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Waveform backfill failed:', error.message);
+    process.exit(1);
+  }
+};
+
+backfillWaveforms();
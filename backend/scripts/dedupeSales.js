@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { Sale } from '../modules/sales/index.js';
+import {
+  LedgerEntry,
+  recordSaleRefundLedgerEntries,
+} from '../modules/payments/index.js';
+import { updateTrackStatistics } from '../modules/tracks/trackStatistics.js';
+import { updateReleaseStatistics } from '../modules/releases/releaseStatistics.js';
+import { PAID_SALE_STATUSES } from '../utils/constants.js';
+
+dotenv.config();
+
+// Sale fields that identify a payment and must be unique
+const PAYMENT_KEYS = ['paymentId', 'transactionId'];
+
+// Usage: npm run dedupe:sales [-- --fix]
+// Lists sales recorded more than once for the same payment (concurrent
+// callbacks before the unique indexes existed), which keep Mongoose from
+// building those indexes. With --fix the oldest sale of each payment is kept;
+// the others are marked failed, taken off the track statistics and debited in
+// the ledger, and their payment IDs get a "#duplicate-<order>" suffix. Sales
+// with refunds are left for an admin. Payee credits recorded twice for the
+// same sale and track are listed too; --fix deletes the later copies. The
+// indexes are built once no duplicates are left.
+const dedupeSales = async () => {
+  const fix = process.argv.includes('--fix');
+
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/nahid-admin',
+      {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      },
+    );
+
+    let remaining = 0;
+    for (const key of PAYMENT_KEYS) {
+      const groups = await Sale.aggregate([
+        { $match: { [key]: { $type: 'string' } } },
+        { $sort: { createdAt: 1, _id: 1 } },
+        { $group: { _id: `$${key}`, sales: { $push: '$_id' } } },
+        { $match: { 'sales.1': { $exists: true } } },
+      ]);
+      console.log(
+        `${key}: ${groups.length} payment(s) recorded more than once`,
+      );
+
+      for (const group of groups) {
+        const sales = await Sale.find({ _id: { $in: group.sales } }).sort({
+          createdAt: 1,
+          _id: 1,
+        });
+        // The first paid sale is the one the buyer keeps
+        const kept =
+          sales.find((sale) =>
+            PAID_SALE_STATUSES.includes(sale.paymentStatus),
+          ) || sales[0];
+        const duplicates = sales.filter((sale) => sale !== kept);
+        console.log(
+          `  ${group._id}: keeping ${kept.saleSerialId}, duplicates ${duplicates
+            .map((sale) => `${sale.saleSerialId} (${sale.paymentStatus})`)
+            .join(', ')}`,
+        );
+        if (!fix) {
+          remaining++;
+          continue;
+        }
+
+        let resolved = true;
+        for (const sale of duplicates) {
+          if (sale.refundedAmount > 0) {
+            console.log(
+              `  ✗ ${sale.saleSerialId} has refunds - resolve it by hand`,
+            );
+            resolved = false;
+            continue;
+          }
+
+          if (PAID_SALE_STATUSES.includes(sale.paymentStatus)) {
+            if (sale.releaseId) {
+              await updateReleaseStatistics(
+                sale.releaseId,
+                sale.price,
+                'decrement',
+              );
+            } else {
+              await updateTrackStatistics(
+                sale.trackId,
+                sale.price,
+                'decrement',
+              );
+            }
+            await recordSaleRefundLedgerEntries(sale, {
+              reference: `duplicate of ${kept.saleSerialId}`,
+            });
+          }
+
+          sale.paymentStatus = 'failed';
+          for (const paymentKey of PAYMENT_KEYS) {
+            if (sale[paymentKey]) {
+              sale[paymentKey] =
+                `${sale[paymentKey]}#duplicate-${sale.saleSerialId}`;
+            }
+          }
+          await sale.save();
+          console.log(`  ✓ ${sale.saleSerialId} marked failed`);
+        }
+        if (!resolved) remaining++;
+      }
+    }
+
+    const creditGroups = await LedgerEntry.aggregate([
+      { $match: { type: 'credit' } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: {
+            sale: '$sale',
+            track: '$track',
+            collaborator: '$collaborator',
+          },
+          payeeName: { $first: '$payeeName' },
+          entries: { $push: '$_id' },
+        },
+      },
+      { $match: { 'entries.1': { $exists: true } } },
+    ]);
+    console.log(
+      `ledger: ${creditGroups.length} payee credit(s) recorded more than once`,
+    );
+    for (const group of creditGroups) {
+      const duplicates = group.entries.slice(1);
+      console.log(
+        `  sale ${group._id.sale}: ${group.payeeName} credited ${group.entries.length} times`,
+      );
+      if (!fix) {
+        remaining++;
+        continue;
+      }
+      await LedgerEntry.deleteMany({ _id: { $in: duplicates } });
+      console.log(`  ✓ ${duplicates.length} duplicate credit(s) deleted`);
+    }
+
+    if (remaining > 0) {
+      console.log(
+        fix
+          ? `${remaining} payment(s) still have duplicate sales - indexes not built`
+          : 'Run again with --fix to resolve them and build the indexes',
+      );
+      process.exit(1);
+    }
+
+    await Sale.createIndexes();
+    await LedgerEntry.createIndexes();
+    console.log('✓ Unique sale and ledger indexes built');
+    console.log('Done');
+    process.exit(0);
+  } catch (error) {
+    console.error('Sale dedupe failed:', error.message);
+    process.exit(1);
+  }
+};
+
+dedupeSales();
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import { User } from '../modules/auth/index.js';
+import { seedDefaultCategories } from '../modules/categories/index.js';
 
 dotenv.config();
 
@@ -41,6 +42,9 @@ const initDatabase = async () => {
       createdCount++;
     }
 
+    // Seed default track categories if none exist yet
+    await seedDefaultCategories();
+
     process.exit(0);
   } catch (error) {
     process.exit(1);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { regeneratePreviews } from '../modules/tracks/index.js';
+
+dotenv.config();
+
+// Usage: npm run regenerate:previews [-- --all]
+// Re-renders server-generated previews, e.g. after PREVIEW_VOICE_TAG_URL changed.
+// --all also replaces manually uploaded previews (using the default settings)
+const all = process.argv.includes('--all');
+
+const run = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/nahid-admin',
+      {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      },
+    );
+
+    console.log(
+      all
+        ? 'Regenerating previews for every track...'
+        : 'Regenerating server-generated previews...',
+    );
+    const { total, regenerated, failed } = await regeneratePreviews({ all });
+
+    failed.forEach(({ title, error }) => console.log(`✗ ${title}: ${error}`));
+    console.log(`Done: ${regenerated} of ${total} regenerated`);
+    process.exit(failed.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Preview regeneration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+run();
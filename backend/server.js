@@ -12,15 +12,32 @@ import { swaggerSpec } from './config/swagger.js';
 
 // Import modules
 import { authRoutes, authenticateToken } from './modules/auth/index.js';
-import { tracksRoutes } from './modules/tracks/index.js';
+import {
+  tracksRoutes,
+  startTrackPublisher,
+  failStaleImportJobs,
+} from './modules/tracks/index.js';
+import {
+  categoriesRoutes,
+  seedDefaultCategories,
+} from './modules/categories/index.js';
 import { galleryRoutes } from './modules/gallery/index.js';
 import { pricingRoutes } from './modules/pricing/index.js';
+import { releasesRoutes } from './modules/releases/index.js';
+import { collaboratorsRoutes } from './modules/collaborators/index.js';
 import { dashboardRoutes } from './modules/dashboard/index.js';
 import { salesRoutes } from './modules/sales/index.js';
 import { contactsRoutes } from './modules/contacts/index.js';
-import { paymentRoutes } from './modules/payments/index.js';
+import {
+  paymentRoutes,
+  ledgerRoutes,
+  startPaymentIntentExpiry,
+  startPaymentReconciliation,
+} from './modules/payments/index.js';
+import { trashRoutes, startTrashPurger } from './modules/trash/index.js';
 import { youtubeRoutes } from './modules/youtube/index.js';
 import { tiktokRoutes } from './modules/tiktok/index.js';
+import { seoRoutes } from './modules/seo/index.js';
 
 // Load environment variables
 try {
@@ -38,6 +55,15 @@ const PORT = process.env.PORT || 5000;
 // Determine if running on Vercel
 const isVercel = process.env.VERCEL === '1' || process.env.VERCEL_ENV;
 
+// Proxies whose X-Forwarded-For is trusted for req.ip (Vercel puts one in front)
+// TRUST_PROXY takes a hop count, true/false or a list of addresses/subnets
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') return isVercel ? 1 : false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Add global error handler for uncaught errors
 process.on('uncaughtException', (error) => {
   // Uncaught exception handled
@@ -93,8 +119,14 @@ app.use(
       'Authorization',
       'x-api-key',
       'X-Requested-With',
+      'Range',
+    ],
+    exposedHeaders: [
+      'Content-Range',
+      'X-Content-Range',
+      'Accept-Ranges',
+      'Content-Length',
     ],
-    exposedHeaders: ['Content-Range', 'X-Content-Range'],
   }),
 );
 // Increase body size limit to handle base64 images (50MB)
@@ -152,6 +184,12 @@ try {
   // Failed to register tracks routes
 }
 
+try {
+  app.use('/api/categories', categoriesRoutes);
+} catch (error) {
+  // Failed to register categories routes
+}
+
 try {
   app.use('/api/gallery', galleryRoutes);
 } catch (error) {
@@ -164,6 +202,18 @@ try {
   // Failed to register pricing routes
 }
 
+try {
+  app.use('/api/releases', releasesRoutes);
+} catch (error) {
+  // Failed to register releases routes
+}
+
+try {
+  app.use('/api/collaborators', collaboratorsRoutes);
+} catch (error) {
+  // Failed to register collaborators routes
+}
+
 try {
   app.use('/api/sales', salesRoutes);
 } catch (error) {
@@ -182,6 +232,18 @@ try {
   // Failed to register payment routes
 }
 
+try {
+  app.use('/api/ledger', ledgerRoutes);
+} catch (error) {
+  // Failed to register ledger routes
+}
+
+try {
+  app.use('/api/trash', trashRoutes);
+} catch (error) {
+  // Failed to register trash routes
+}
+
 try {
   app.use('/api/dashboard', dashboardRoutes);
 } catch (error) {
@@ -200,6 +262,12 @@ try {
   // Failed to register TikTok routes
 }
 
+try {
+  app.use('/api/seo', seoRoutes);
+} catch (error) {
+  // Failed to register SEO routes
+}
+
 // Cache management endpoints (admin only)
 // Use dynamic import to avoid blocking server initialization
 try {
@@ -248,6 +316,24 @@ const connectDB = async () => {
       useNewUrlParser: true,
       useUnifiedTopology: true,
     });
+
+    // Seed default track categories on first run
+    await seedDefaultCategories();
+
+    // Release scheduled tracks when their release date arrives
+    startTrackPublisher();
+
+    // Fail track imports left running by a process that died
+    failStaleImportJobs().catch(() => {});
+
+    // Permanently delete items that have been in the trash too long
+    startTrashPurger();
+
+    // Expire checkouts the buyer never finished
+    startPaymentIntentExpiry();
+
+    // Settle payments whose callback never arrived
+    startPaymentReconciliation();
   } catch (error) {
     // MongoDB connection error - allow app to start even if DB connection fails
     // This prevents the entire function from crashing
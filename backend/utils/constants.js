@@ -12,6 +12,7 @@ export const FILE_LIMITS = {
   AUDIO_MAX_SIZE: 50 * 1024 * 1024, // 50MB
   IMAGE_MAX_SIZE: 10 * 1024 * 1024, // 10MB
   BODY_MAX_SIZE: 50 * 1024 * 1024, // 50MB
+  IMPORT_ARCHIVE_MAX_SIZE: 200 * 1024 * 1024, // 200MB
 };
 
 // Allowed file types
@@ -22,8 +23,9 @@ export const ALLOWED_FILE_TYPES = {
   AUDIO_EXTENSIONS: ['mp3', 'wav', 'm4a', 'ogg'],
 };
 
-// Track categories
-export const TRACK_CATEGORIES = [
+// Default track categories
+// Seeded into the Category collection by scripts/initDB.js; the live list is managed via /api/categories
+export const DEFAULT_TRACK_CATEGORIES = [
   'Rock',
   'Folk',
   'Hip-Hop',
@@ -32,11 +34,111 @@ export const TRACK_CATEGORIES = [
   'Classical',
 ];
 
+// Track publication statuses
+// Only 'published' tracks are visible in public APIs; 'scheduled' tracks go live at their releaseDate
+export const TRACK_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// License tier types offered per track (see Track.licenses and Pricing plans)
+export const LICENSE_TYPES = ['basic', 'premium', 'exclusive'];
+
+// Roles a collaborator can take in a track's revenue split
+export const COLLABORATOR_ROLES = [
+  'artist',
+  'producer',
+  'lyricist',
+  'composer',
+  'featured artist',
+  'mixing engineer',
+  'other',
+];
+
+// Ledger entry types - credits are a payee's share of a completed sale,
+// debits take (part of) it back after a refund and payouts record money paid out
+export const LEDGER_ENTRY_TYPES = ['credit', 'debit', 'payout'];
+
+// Release (album/EP/bundle) types and statuses
+export const RELEASE_TYPES = ['album', 'ep', 'single', 'bundle'];
+export const RELEASE_STATUSES = ['draft', 'published', 'archived'];
+
+// Musical keys buyers can filter by ("C major", "A minor", ...)
+const KEY_ROOTS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+export const MUSICAL_KEYS = ['major', 'minor'].flatMap((mode) =>
+  KEY_ROOTS.map((root) => `${root} ${mode}`),
+);
+
+// Allowed BPM range for track metadata
+export const BPM_RANGE = { MIN: 20, MAX: 300 };
+
+// Waveform peaks stored per track (points per waveform)
+export const WAVEFORM_POINTS = 400;
+
+// Server-generated preview clips (seconds)
+export const PREVIEW_CLIP_LIMITS = { MIN_LENGTH: 5, MAX_LENGTH: 120, MAX_FADE: 10 };
+
+// Listener events recorded per track
+export const TRACK_EVENT_TYPES = [
+  'view',
+  'preview-play',
+  'preview-complete',
+  'download',
+];
+
+// Repeat events from the same visitor inside this window are ignored (minutes)
+export const TRACK_EVENT_DEDUP_MINUTES = {
+  view: 30,
+  'preview-play': 10,
+  'preview-complete': 10,
+  download: 60,
+};
+
+// Related-track ranking: weight of each signal (RELATED_TRACKS_WEIGHTS overrides them)
+// and the most results one request can ask for
+export const RELATED_TRACKS_DEFAULT_WEIGHTS = {
+  category: 3,
+  tags: 2,
+  bpm: 1,
+  key: 1,
+  coPurchase: 2,
+};
+export const RELATED_TRACKS_MAX_LIMIT = 24;
+
+// Bulk track import jobs and the outcome of each manifest row
+export const TRACK_IMPORT_STATUSES = ['pending', 'running', 'completed', 'failed'];
+export const TRACK_IMPORT_ROW_STATUSES = ['valid', 'invalid', 'created', 'failed'];
+
+// Most rows one import manifest may have
+export const TRACK_IMPORT_MAX_ROWS = 500;
+
+// Images whose perceptual hashes differ in at most this many of 64 bits count as duplicates
+export const PERCEPTUAL_HASH_MAX_DISTANCE = 6;
+
 // Gallery image heights
 export const GALLERY_HEIGHTS = ['small', 'medium', 'large', 'xlarge'];
 
 // Payment statuses
-export const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'refunded'];
+export const PAYMENT_STATUSES = [
+  'pending',
+  'completed',
+  'partially_refunded',
+  'failed',
+  'refunded',
+];
+
+// Sales the buyer still owns - a partial refund doesn't take the purchase back
+export const PAID_SALE_STATUSES = ['completed', 'partially_refunded'];
+
+// Checkout payment intent statuses - created before the gateway is called,
+// redirected once the buyer is sent to it, executed when the gateway confirms
+// the payment and completed when the sale exists; the rest end the checkout
+export const PAYMENT_INTENT_STATUSES = [
+  'created',
+  'redirected',
+  'executed',
+  'completed',
+  'failed',
+  'cancelled',
+  'expired',
+];
 
 // User roles
 export const USER_ROLES = {
@@ -48,6 +150,10 @@ export const USER_ROLES = {
 export const CLOUDINARY_FOLDERS = {
   TRACKS_THUMBNAILS: 'nahid-admin/tracks/thumbnails',
   TRACKS_AUDIO: 'nahid-admin/tracks/audio',
+  TRACKS_PREVIEW_AUDIO: 'nahid-admin/tracks/preview-audio',
+  TRACKS_LICENSE_FILES: 'nahid-admin/tracks/license-files',
+  CATEGORIES: 'nahid-admin/categories',
+  RELEASES: 'nahid-admin/releases',
   GALLERY: 'nahid-admin/gallery',
 };
 
@@ -65,6 +171,7 @@ export const HTTP_STATUS = {
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  CONFLICT: 409,
   PAYLOAD_TOO_LARGE: 413,
   INTERNAL_SERVER_ERROR: 500,
 };
@@ -96,9 +203,29 @@ export const SUCCESS_MESSAGES = {
 export default {
   FILE_LIMITS,
   ALLOWED_FILE_TYPES,
-  TRACK_CATEGORIES,
+  DEFAULT_TRACK_CATEGORIES,
+  TRACK_STATUSES,
+  LICENSE_TYPES,
+  COLLABORATOR_ROLES,
+  LEDGER_ENTRY_TYPES,
+  RELEASE_TYPES,
+  RELEASE_STATUSES,
+  MUSICAL_KEYS,
+  BPM_RANGE,
+  WAVEFORM_POINTS,
+  PREVIEW_CLIP_LIMITS,
+  TRACK_EVENT_TYPES,
+  TRACK_EVENT_DEDUP_MINUTES,
+  TRACK_IMPORT_STATUSES,
+  TRACK_IMPORT_ROW_STATUSES,
+  TRACK_IMPORT_MAX_ROWS,
+  RELATED_TRACKS_DEFAULT_WEIGHTS,
+  RELATED_TRACKS_MAX_LIMIT,
+  PERCEPTUAL_HASH_MAX_DISTANCE,
   GALLERY_HEIGHTS,
   PAYMENT_STATUSES,
+  PAID_SALE_STATUSES,
+  PAYMENT_INTENT_STATUSES,
   USER_ROLES,
   CLOUDINARY_FOLDERS,
   TOKEN_EXPIRATION,
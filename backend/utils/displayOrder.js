@@ -0,0 +1,105 @@
+/**
+ * Display Order Plugin
+ * Adds a featured flag and a manual position to a schema. Lists sorted by
+ * Model.displayOrder() show featured documents first, then go by position;
+ * documents that were never positioned fall back to their creation date
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @param {mongoose.Schema} schema
+ * @param {Object} [options]
+ * @param {'first'|'last'} [options.newItems='first'] - Where new documents join a manually ordered list
+ * @param {number} [options.createdAtOrder=-1] - Creation date order of documents without a position
+ */
+export const displayOrderPlugin = (
+  schema,
+  { newItems = 'first', createdAtOrder = -1 } = {},
+) => {
+  schema.add({
+    featured: {
+      type: Boolean,
+      default: false,
+      description: 'Featured documents come first in public lists',
+    },
+    position: {
+      type: Number,
+      default: null,
+      description: 'Manual position in public lists (ascending)',
+    },
+  });
+  schema.index({ featured: -1, position: 1, createdAt: createdAtOrder });
+
+  // Sort for public lists
+  schema.statics.displayOrder = function () {
+    return { featured: -1, position: 1, createdAt: createdAtOrder };
+  };
+
+  // Until the list has been reordered, creation dates keep deciding the order
+  schema.pre('save', async function () {
+    if (!this.isNew || this.position !== null) return;
+    const direction = newItems === 'first' ? 1 : -1;
+    const edge = await this.constructor
+      .findOne({ position: { $ne: null } })
+      .sort({ position: direction })
+      .select('position')
+      .lean();
+    if (edge) {
+      this.position = edge.position - direction;
+    }
+  });
+
+  /**
+   * Reorder documents from an ordered list of IDs
+   * The listed documents swap into the slots they already take up in the
+   * display order, so a partial or filtered list can be reordered without
+   * moving anything else. Every document is numbered so the order sticks
+   * @param {string[]} ids - Document IDs in their new order
+   * @returns {Promise<{updated?: number, error?: string}>}
+   */
+  schema.statics.reorder = async function (ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return { error: 'ids must be a non-empty array of IDs' };
+    }
+    const listed = ids.map(String);
+    if (!listed.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'ids must be valid IDs' };
+    }
+    if (new Set(listed).size !== listed.length) {
+      return { error: 'ids must not contain duplicates' };
+    }
+
+    const current = (
+      await this.find().sort(this.displayOrder()).select('_id position').lean()
+    ).map((doc) => ({ id: doc._id.toString(), position: doc.position }));
+
+    const listedIds = new Set(listed);
+    const slots = current
+      .map((doc, index) => (listedIds.has(doc.id) ? index : -1))
+      .filter((index) => index !== -1);
+    if (slots.length !== listed.length) {
+      return { error: 'Some of the listed items do not exist' };
+    }
+
+    const order = current.map((doc) => doc.id);
+    slots.forEach((slot, i) => {
+      order[slot] = listed[i];
+    });
+
+    const positions = new Map(current.map((doc) => [doc.id, doc.position]));
+    const operations = order
+      .map((id, position) => ({ id, position }))
+      .filter(({ id, position }) => positions.get(id) !== position)
+      .map(({ id, position }) => ({
+        updateOne: { filter: { _id: id }, update: { $set: { position } } },
+      }));
+
+    if (operations.length > 0) {
+      await this.bulkWrite(operations);
+    }
+    return { updated: operations.length };
+  };
+};
+
+export default displayOrderPlugin;
@@ -0,0 +1,58 @@
+/**
+ * FFmpeg Utility
+ * Runs the bundled ffmpeg binary for server-side audio processing
+ * (decoding for waveforms, rendering preview clips)
+ */
+
+import { spawn } from 'child_process';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+
+// Long tracks decode in a few seconds; anything slower is stuck
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Run ffmpeg and collect its output
+ * @param {Array<string>} args - ffmpeg arguments (use pipe:0 / pipe:1 for stdin / stdout)
+ * @param {Object} [options]
+ * @param {Buffer} [options.input] - Data written to stdin
+ * @param {number} [options.timeout] - Milliseconds before ffmpeg is killed
+ * @returns {Promise<Buffer>} Everything ffmpeg wrote to stdout
+ */
+export const runFfmpeg = (args, { input, timeout = DEFAULT_TIMEOUT_MS } = {}) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(
+      ffmpegInstaller.path,
+      ['-hide_banner', '-loglevel', 'error', ...args],
+      { timeout },
+    );
+
+    const chunks = [];
+    let stderr = '';
+    child.stdout.on('data', (chunk) => chunks.push(chunk));
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve(Buffer.concat(chunks));
+      } else {
+        reject(
+          new Error(
+            stderr.trim() ||
+              (signal
+                ? `ffmpeg was stopped (${signal})`
+                : `ffmpeg exited with code ${code}`),
+          ),
+        );
+      }
+    });
+
+    if (input) {
+      // ffmpeg may stop reading early (e.g. once it has what it needs)
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    } else {
+      child.stdin.end();
+    }
+  });
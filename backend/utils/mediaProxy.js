@@ -0,0 +1,183 @@
+/**
+ * Media Proxy Utility
+ * Streams remote media files (Cloudinary) through the server with
+ * HTTP Range support, so browsers can seek and downloads can resume
+ *
+ * Only single byte ranges are honoured. Multi-range requests are served
+ * as a full 200 response, which RFC 9110 allows.
+ */
+
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+const INVALID_RANGE = 'invalid';
+
+/**
+ * Parse a Range header
+ * @param {string} header - Value of the Range request header
+ * @returns {null|string|{start: number|null, end: number|null}}
+ *   null when absent or multi-range (serve the whole file),
+ *   'invalid' when malformed, otherwise the requested range
+ *   (start null = suffix range of the last `end` bytes)
+ */
+export const parseRangeHeader = (header) => {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) {
+    return header.includes(',') ? null : INVALID_RANGE;
+  }
+
+  const [, rawStart, rawEnd] = match;
+  if (rawStart === '' && rawEnd === '') return INVALID_RANGE;
+
+  const start = rawStart === '' ? null : parseInt(rawStart, 10);
+  const end = rawEnd === '' ? null : parseInt(rawEnd, 10);
+
+  if (start === null && end === 0) return INVALID_RANGE;
+  if (start !== null && end !== null && start > end) return INVALID_RANGE;
+
+  return { start, end };
+};
+
+/**
+ * Resolve a parsed range against the full file size
+ * @param {{start: number|null, end: number|null}} range - Parsed range
+ * @param {number} size - Full file size in bytes
+ * @returns {{start: number, end: number}|null} Inclusive byte range, or null if unsatisfiable
+ */
+export const resolveRange = (range, size) => {
+  let { start, end } = range;
+
+  if (start === null) {
+    // Suffix range: last `end` bytes
+    start = Math.max(0, size - end);
+    end = size - 1;
+  } else {
+    end = end === null ? size - 1 : Math.min(end, size - 1);
+  }
+
+  if (start >= size || start > end) return null;
+  return { start, end };
+};
+
+const formatRangeRequest = ({ start, end }) =>
+  `bytes=${start === null ? '' : start}-${end === null ? '' : end}`;
+
+// Look up the remote file size without downloading it
+const getRemoteSize = async (url) => {
+  try {
+    const response = await fetch(url, { method: 'HEAD' });
+    const length = parseInt(response.headers.get('content-length'), 10);
+    return Number.isNaN(length) ? null : length;
+  } catch (error) {
+    return null;
+  }
+};
+
+const sendRangeNotSatisfiable = (res, size) => {
+  res.setHeader('Content-Range', `bytes */${size ?? '*'}`);
+  return res
+    .status(416)
+    .json({ message: 'Requested range not satisfiable' });
+};
+
+const pipeBody = async (body, res) => {
+  if (!body) return res.end();
+  try {
+    await pipeline(Readable.fromWeb(body), res);
+  } catch (error) {
+    // Client went away mid-stream (common when seeking) - nothing to report
+    if (!res.headersSent) throw error;
+    res.destroy();
+  }
+};
+
+/**
+ * Stream a remote media file to the client, honouring the Range header
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {string} url - Remote file URL
+ * @param {object} options
+ * @param {object} options.headers - Extra response headers (Cache-Control, Content-Disposition, ...)
+ * @param {string} options.defaultContentType - Content type if upstream sends none
+ * @param {string} options.notFoundMessage - Message for a missing upstream file
+ */
+export const proxyRemoteMedia = async (
+  req,
+  res,
+  url,
+  {
+    headers = {},
+    defaultContentType = 'audio/mpeg',
+    notFoundMessage = 'Audio file not found',
+  } = {},
+) => {
+  const range = parseRangeHeader(req.headers.range);
+
+  if (range === INVALID_RANGE) {
+    return sendRangeNotSatisfiable(res, await getRemoteSize(url));
+  }
+
+  const upstream = await fetch(
+    url,
+    range ? { headers: { Range: formatRangeRequest(range) } } : undefined,
+  );
+
+  if (upstream.status === 416) {
+    const contentRange = upstream.headers.get('content-range');
+    const size = contentRange ? contentRange.split('/')[1] : null;
+    return sendRangeNotSatisfiable(res, size);
+  }
+
+  if (!upstream.ok) {
+    return res.status(404).json({ message: notFoundMessage });
+  }
+
+  // Upstream ignored the range - slice the full file ourselves
+  let sliced = null;
+  if (range && upstream.status !== 206) {
+    const buffer = Buffer.from(await upstream.arrayBuffer());
+    const resolved = resolveRange(range, buffer.length);
+    if (!resolved) {
+      return sendRangeNotSatisfiable(res, buffer.length);
+    }
+    sliced = { buffer, ...resolved };
+  }
+
+  res.setHeader(
+    'Content-Type',
+    upstream.headers.get('content-type') || defaultContentType,
+  );
+  res.setHeader('Accept-Ranges', 'bytes');
+  // Validators let clients resume downloads safely
+  ['etag', 'last-modified'].forEach((name) => {
+    const value = upstream.headers.get(name);
+    if (value) res.setHeader(name, value);
+  });
+  Object.entries(headers).forEach(([name, value]) => {
+    res.setHeader(name, value);
+  });
+
+  if (sliced) {
+    const { buffer, start, end } = sliced;
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${buffer.length}`);
+    res.setHeader('Content-Length', end - start + 1);
+    return res.end(buffer.subarray(start, end + 1));
+  }
+
+  const upstreamLength = upstream.headers.get('content-length');
+
+  // Upstream honoured the range - pass it straight through
+  if (upstream.status === 206) {
+    res.status(206);
+    res.setHeader('Content-Range', upstream.headers.get('content-range'));
+    if (upstreamLength) res.setHeader('Content-Length', upstreamLength);
+    return pipeBody(upstream.body, res);
+  }
+
+  res.status(200);
+  if (upstreamLength) res.setHeader('Content-Length', upstreamLength);
+  return pipeBody(upstream.body, res);
+};
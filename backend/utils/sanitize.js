@@ -141,6 +141,25 @@ export const sanitizeObject = (obj, schema = {}) => {
   return sanitized;
 };
 
+/**
+ * Convert a string into a URL-friendly slug
+ * @param {string} input - Input string (e.g., "Jazz & Blues")
+ * @returns {string} Slug (e.g., "jazz-and-blues")
+ */
+export const slugify = (input) => {
+  if (!input || typeof input !== 'string') {
+    return '';
+  }
+
+  return input
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip diacritics
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
 /**
  * Sanitize contact form data
  * @param {object} contactData - Contact form data
@@ -164,5 +183,6 @@ export default {
   sanitizePhone,
   sanitizeObject,
   sanitizeContact,
+  slugify,
 };
 
@@ -0,0 +1,142 @@
+/**
+ * Slug Plugin
+ * Adds a unique, editable URL slug to a schema. New documents get one from
+ * their title; when a slug is edited the old one moves to previousSlugs, so
+ * links that use it can still be redirected to the document
+ */
+
+import { slugify } from './sanitize.js';
+
+// Longest slug generated from a title (slugs set by hand are kept whole)
+const MAX_GENERATED_SLUG_LENGTH = 80;
+
+/**
+ * @param {mongoose.Schema} schema
+ * @param {Object} [options]
+ * @param {string} [options.source='title'] - Field new slugs are generated from
+ * @param {string} [options.fallback='item'] - Slug used when the source has no letters or numbers
+ */
+export const slugPlugin = (
+  schema,
+  { source = 'title', fallback = 'item' } = {},
+) => {
+  schema.add({
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true, // Documents created before slugs existed until they are backfilled
+      trim: true,
+      lowercase: true,
+      description: 'URL slug (unique, editable)',
+    },
+    previousSlugs: {
+      type: [String],
+      default: [],
+      index: true,
+      description: 'Earlier slugs that redirect to the current one',
+    },
+  });
+
+  // Whether another document, trashed ones included, uses or used a slug
+  schema.statics.isSlugTaken = async function (slug, excludeId = null) {
+    const filter = { $or: [{ slug }, { previousSlugs: slug }] };
+    if (excludeId) filter._id = { $ne: excludeId };
+    return !!(await this.exists(filter).withDeleted());
+  };
+
+  // First free slug for a text: "my-track", then "my-track-2", "my-track-3"...
+  schema.statics.generateSlug = async function (text, excludeId = null) {
+    const base =
+      slugify(text).slice(0, MAX_GENERATED_SLUG_LENGTH).replace(/-+$/, '') ||
+      fallback;
+    let slug = base;
+    for (let n = 2; await this.isSlugTaken(slug, excludeId); n += 1) {
+      slug = `${base}-${n}`;
+    }
+    return slug;
+  };
+
+  /**
+   * Check a slug sent by the admin
+   * @param {*} value - Requested slug (normalized with slugify)
+   * @param {string} [excludeId] - Document being edited
+   * @returns {Promise<{slug?: string, error?: string, conflict?: boolean}>}
+   */
+  schema.statics.validateSlug = async function (value, excludeId = null) {
+    const slug = typeof value === 'string' ? slugify(value) : '';
+    if (!slug) {
+      return { error: 'Slug must contain letters or numbers' };
+    }
+    if (await this.isSlugTaken(slug, excludeId)) {
+      return { error: 'This slug is already in use', conflict: true };
+    }
+    return { slug };
+  };
+
+  /**
+   * Fields that change a document's slug, keeping the current one for redirects
+   * @param {Object} doc - Document being edited
+   * @param {string} slug - Validated new slug
+   * @returns {Object} Update fields (empty if the slug doesn't change)
+   */
+  schema.statics.slugUpdate = function (doc, slug) {
+    if (!slug || slug === doc.slug) return {};
+    const previousSlugs = (doc.previousSlugs || []).filter(
+      (previous) => previous !== slug,
+    );
+    if (doc.slug) previousSlugs.push(doc.slug);
+    return { slug, previousSlugs };
+  };
+
+  /**
+   * Find a document by its current or a previous slug
+   * @param {string} value - Slug from the URL
+   * @returns {Promise<{document: Object|null, renamed: boolean}>} renamed is
+   * true when the slug is an old one and the caller should redirect
+   */
+  schema.statics.findBySlug = async function (value) {
+    const slug = String(value).toLowerCase();
+    const current = await this.findOne({ slug });
+    if (current) return { document: current, renamed: false };
+    const renamed = await this.findOne({ previousSlugs: slug });
+    return { document: renamed, renamed: !!renamed };
+  };
+
+  // Give documents created before slugs existed one, oldest first
+  schema.statics.backfillSlugs = async function () {
+    const docs = await this.find({ slug: null })
+      .withDeleted()
+      .sort({ createdAt: 1 })
+      .select(source)
+      .lean();
+    for (const doc of docs) {
+      const slug = await this.generateSlug(doc[source], doc._id);
+      await this.updateOne({ _id: doc._id }, { $set: { slug } }).withDeleted();
+    }
+    return docs.length;
+  };
+
+  // New documents (and old ones saved again) get a slug from their title
+  schema.pre('validate', async function () {
+    if (this.slug) return;
+    this.slug = await this.constructor.generateSlug(this.get(source), this._id);
+  });
+};
+
+/**
+ * URL of the same slug route with the current slug, keeping the query string
+ * e.g. /api/tracks/slug/old-name?x=1 -> /api/tracks/slug/new-name?x=1
+ * @param {Object} req - Express request of a route with a :slug parameter
+ * @param {string} slug - Current slug
+ * @returns {string}
+ */
+export const currentSlugUrl = (req, slug) => {
+  const path = req.route.path.replace(/:(\w+)/g, (match, name) =>
+    encodeURIComponent(name === 'slug' ? slug : req.params[name]),
+  );
+  const queryStart = req.originalUrl.indexOf('?');
+  const query = queryStart === -1 ? '' : req.originalUrl.slice(queryStart);
+  return `${req.baseUrl}${path}${query}`;
+};
+
+export default slugPlugin;
@@ -0,0 +1,49 @@
+/**
+ * Soft Delete Plugin
+ * Adds a deletedAt field to a schema. Queries and aggregations skip deleted
+ * documents unless they ask for them: queries with the withDeleted option
+ * (Model.findById(id).withDeleted(), or populate({ ..., options: { withDeleted: true } })),
+ * queries and aggregations by filtering on deletedAt themselves (trash listings)
+ */
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany',
+];
+
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      description: 'Set when the document is moved to the trash',
+    },
+  });
+  schema.index({ deletedAt: 1 });
+
+  // Include deleted documents, e.g. for past buyers of a deleted track
+  schema.query.withDeleted = function () {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  schema.pre(QUERY_HOOKS, { document: false, query: true }, function () {
+    if (this.getOptions().withDeleted) return;
+    if (Object.hasOwn(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    const [firstStage] = this.pipeline();
+    if (firstStage?.$match && Object.hasOwn(firstStage.$match, 'deletedAt')) {
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
+export default softDeletePlugin;
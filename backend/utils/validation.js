@@ -6,7 +6,7 @@
  * and reduce code duplication across the application.
  */
 
-import { TRACK_CATEGORIES, GALLERY_HEIGHTS, PAYMENT_STATUSES } from './constants.js';
+import { GALLERY_HEIGHTS, PAYMENT_STATUSES } from './constants.js';
 
 /**
  * Validate email format
@@ -44,16 +44,6 @@ export const isNotBase64 = (url) => {
   return !url.startsWith('data:');
 };
 
-/**
- * Validate track category
- * @param {string} category - Category to validate
- * @returns {boolean} True if valid category
- */
-export const isValidTrackCategory = (category) => {
-  if (!category || typeof category !== 'string') return false;
-  return TRACK_CATEGORIES.includes(category.trim());
-};
-
 /**
  * Validate gallery height
  * @param {string} height - Height to validate
@@ -116,16 +106,23 @@ export const isValidObjectId = (id) => {
   return /^[0-9a-fA-F]{24}$/.test(id);
 };
 
+/**
+ * Whether a MongoDB write was refused by a unique index
+ * @param {Error} error - Error thrown by a save or insert
+ * @returns {boolean} True for duplicate key errors
+ */
+export const isDuplicateKeyError = (error) => error?.code === 11000;
+
 export default {
   isValidEmail,
   isValidUrl,
   isNotBase64,
-  isValidTrackCategory,
   isValidGalleryHeight,
   isValidPaymentStatus,
   isValidPositiveNumber,
   isValidRequiredString,
   isValidDate,
   isValidObjectId,
+  isDuplicateKeyError,
 };
 
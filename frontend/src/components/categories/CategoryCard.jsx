@@ -0,0 +1,67 @@
+import { Card, CardContent } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Edit, Trash2, Image as ImageIcon } from 'lucide-react';
+
+const CategoryCard = ({ category, onEdit, onDelete }) => {
+  return (
+    <Card className="overflow-hidden bg-white border border-gray-200 shadow-sm transition-all duration-300 group hover:shadow-md hover:border-gray-300">
+      {/* Cover Image */}
+      <div className="flex overflow-hidden relative justify-center items-center h-32 bg-gray-100">
+        {category.coverImage ? (
+          <img
+            src={category.coverImage}
+            alt={category.name}
+            className="object-cover w-full h-full"
+            loading="lazy"
+          />
+        ) : (
+          <ImageIcon className="w-8 h-8 text-gray-300" />
+        )}
+        <Badge className="absolute top-2 left-2" variant="secondary">
+          #{category.displayOrder}
+        </Badge>
+      </div>
+
+      <CardContent className="p-4">
+        {/* Name & Slug */}
+        <div className="mb-3">
+          <h3 className="text-lg font-semibold text-gray-900 line-clamp-1">
+            {category.name}
+          </h3>
+          <p className="text-xs text-gray-500">/{category.slug}</p>
+        </div>
+
+        {/* Track Count */}
+        <p className="mb-4 text-sm text-gray-600">
+          {category.trackCount || 0}{' '}
+          {category.trackCount === 1 ? 'track' : 'tracks'}
+        </p>
+
+        {/* Action Buttons */}
+        <div className="flex gap-2 pt-3 border-t border-gray-100">
+          <Button
+            variant="outline"
+            size="sm"
+            className="flex-1 h-9 text-xs font-medium transition-colors hover:bg-primary hover:text-primary-foreground"
+            onClick={() => onEdit(category)}
+          >
+            <Edit className="mr-1.5 h-3.5 w-3.5" />
+            Edit
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            className="flex-1 h-9 text-xs font-medium transition-colors text-destructive hover:bg-destructive hover:text-destructive-foreground border-destructive/30"
+            onClick={() => onDelete(category)}
+          >
+            <Trash2 className="mr-1.5 h-3.5 w-3.5" />
+            Delete
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CategoryCard;
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+
+// Asks where a category's tracks should go before it is deleted
+const CategoryDeleteModal = ({ category, categories, onClose, onConfirm }) => {
+  const [reassignTo, setReassignTo] = useState('');
+  const [deleting, setDeleting] = useState(false);
+
+  const targets = categories.filter(
+    (item) => (item._id || item.id) !== (category?._id || category?.id),
+  );
+
+  const handleConfirm = async () => {
+    setDeleting(true);
+    try {
+      await onConfirm(category, reassignTo);
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!category} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Delete &quot;{category?.name}&quot;</DialogTitle>
+          <DialogDescription>
+            This category still has {category?.trackCount}{' '}
+            {category?.trackCount === 1 ? 'track' : 'tracks'}. Choose a
+            category to move them to before deleting it.
+          </DialogDescription>
+        </DialogHeader>
+        <div>
+          <Label htmlFor="reassignTo">Move tracks to</Label>
+          <Select value={reassignTo} onValueChange={setReassignTo}>
+            <SelectTrigger id="reassignTo">
+              <SelectValue placeholder="Select a category" />
+            </SelectTrigger>
+            <SelectContent>
+              {targets.map((item) => (
+                <SelectItem key={item._id || item.id} value={item._id || item.id}>
+                  {item.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <DialogFooter className="mt-6">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            type="button"
+            variant="destructive"
+            disabled={!reassignTo || deleting}
+            onClick={handleConfirm}
+          >
+            {deleting ? 'Deleting...' : 'Move Tracks & Delete'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CategoryDeleteModal;
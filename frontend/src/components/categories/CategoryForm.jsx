@@ -0,0 +1,65 @@
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import Dropzone from '@/components/ui/dropzone';
+
+const CategoryForm = ({
+  formData,
+  handleInputChange,
+  handleCoverChange,
+  coverPreview,
+}) => {
+  return (
+    <div className="space-y-4">
+      <div>
+        <Label htmlFor="name">Name</Label>
+        <Input
+          id="name"
+          name="name"
+          value={formData.name}
+          onChange={handleInputChange}
+          placeholder="Enter category name"
+          required
+        />
+      </div>
+      <div>
+        <Label htmlFor="slug">Slug</Label>
+        <Input
+          id="slug"
+          name="slug"
+          value={formData.slug}
+          onChange={handleInputChange}
+          placeholder="Generated from the name if left empty"
+        />
+        <p className="mt-1 text-xs text-gray-500">
+          Lowercase letters, numbers and dashes. Used in public URLs.
+        </p>
+      </div>
+      <div>
+        <Label htmlFor="displayOrder">Display Order</Label>
+        <Input
+          id="displayOrder"
+          name="displayOrder"
+          type="number"
+          step="1"
+          value={formData.displayOrder}
+          onChange={handleInputChange}
+          placeholder="Added to the end if left empty"
+        />
+      </div>
+      <div>
+        <Dropzone
+          label="Cover Image (optional)"
+          type="image"
+          accept="image/*"
+          onFileSelect={handleCoverChange}
+          preview={coverPreview}
+          currentValue={
+            formData.coverImage && !coverPreview ? formData.coverImage : null
+          }
+        />
+      </div>
+    </div>
+  );
+};
+
+export default CategoryForm;
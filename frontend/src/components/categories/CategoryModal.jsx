@@ -0,0 +1,61 @@
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import CategoryForm from './CategoryForm';
+
+const CategoryModal = ({
+  isOpen,
+  onClose,
+  editingCategory,
+  formData,
+  handleInputChange,
+  handleCoverChange,
+  coverPreview,
+  handleSubmit,
+  uploading = false,
+}) => {
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-md max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>
+            {editingCategory ? 'Edit Category' : 'Add New Category'}
+          </DialogTitle>
+          <DialogDescription>
+            {editingCategory
+              ? 'Renaming a category also updates every track that uses it.'
+              : 'Fill in the details to add a new track category.'}
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit}>
+          <CategoryForm
+            formData={formData}
+            handleInputChange={handleInputChange}
+            handleCoverChange={handleCoverChange}
+            coverPreview={coverPreview}
+          />
+          <DialogFooter className="mt-6">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={uploading}>
+              {uploading
+                ? 'Saving...'
+                : editingCategory
+                  ? 'Update'
+                  : 'Create'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CategoryModal;
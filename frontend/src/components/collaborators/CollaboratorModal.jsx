@@ -0,0 +1,128 @@
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { COLLABORATOR_ROLE_OPTIONS } from '@/lib/collaborators';
+
+const CollaboratorModal = ({
+  isOpen,
+  onClose,
+  editingCollaborator,
+  formData,
+  handleInputChange,
+  handleSubmit,
+  saving = false,
+}) => {
+  const handleRoleChange = (value) => {
+    handleInputChange({
+      target: { name: 'defaultRole', value },
+    });
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-md max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>
+            {editingCollaborator ? 'Edit Collaborator' : 'Add New Collaborator'}
+          </DialogTitle>
+          <DialogDescription>
+            Collaborators can be given a share of a track&apos;s revenue.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit}>
+          <div className="space-y-4">
+            <div>
+              <Label htmlFor="name">Name</Label>
+              <Input
+                id="name"
+                name="name"
+                value={formData.name}
+                onChange={handleInputChange}
+                placeholder="Enter collaborator name"
+                required
+              />
+            </div>
+            <div>
+              <Label htmlFor="defaultRole">Default Role</Label>
+              <Select
+                value={formData.defaultRole}
+                onValueChange={handleRoleChange}
+              >
+                <SelectTrigger id="defaultRole">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {COLLABORATOR_ROLE_OPTIONS.map((option) => (
+                    <SelectItem key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor="email">Email</Label>
+              <Input
+                id="email"
+                name="email"
+                type="email"
+                value={formData.email}
+                onChange={handleInputChange}
+              />
+            </div>
+            <div>
+              <Label htmlFor="phoneNumber">Payout Number</Label>
+              <Input
+                id="phoneNumber"
+                name="phoneNumber"
+                value={formData.phoneNumber}
+                onChange={handleInputChange}
+                placeholder="e.g. bKash number"
+              />
+            </div>
+            <div>
+              <Label htmlFor="notes">Notes</Label>
+              <Textarea
+                id="notes"
+                name="notes"
+                value={formData.notes}
+                onChange={handleInputChange}
+                rows={3}
+              />
+            </div>
+          </div>
+          <DialogFooter className="mt-6">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={saving}>
+              {saving
+                ? 'Saving...'
+                : editingCollaborator
+                  ? 'Update'
+                  : 'Create'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CollaboratorModal;
@@ -0,0 +1,75 @@
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { getCollaboratorRoleLabel } from '@/lib/collaborators';
+
+const CollaboratorTable = ({ collaborators, onEdit, onDelete }) => {
+  if (collaborators.length === 0) {
+    return (
+      <div className="py-8 text-center text-muted-foreground">
+        No collaborators found. Add your first collaborator!
+      </div>
+    );
+  }
+
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>Name</TableHead>
+          <TableHead>Default Role</TableHead>
+          <TableHead>Contact</TableHead>
+          <TableHead>Payout Number</TableHead>
+          <TableHead>Tracks</TableHead>
+          <TableHead className="text-right">Actions</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {collaborators.map((collaborator) => (
+          <TableRow key={collaborator._id}>
+            <TableCell className="font-medium">
+              {collaborator.name}
+              {collaborator.notes && (
+                <p className="max-w-xs text-xs font-normal text-gray-500 truncate">
+                  {collaborator.notes}
+                </p>
+              )}
+            </TableCell>
+            <TableCell>
+              {getCollaboratorRoleLabel(collaborator.defaultRole)}
+            </TableCell>
+            <TableCell>{collaborator.email || '-'}</TableCell>
+            <TableCell>{collaborator.phoneNumber || '-'}</TableCell>
+            <TableCell>{collaborator.trackCount}</TableCell>
+            <TableCell className="text-right">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => onEdit(collaborator)}
+                className="mr-2"
+              >
+                Edit
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => onDelete(collaborator)}
+                className="text-destructive hover:text-destructive"
+              >
+                Delete
+              </Button>
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+};
+
+export default CollaboratorTable;
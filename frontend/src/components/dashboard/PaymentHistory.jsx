@@ -1,9 +1,9 @@
 import { useState, useEffect } from 'react';
-import { dashboardAPI } from '@/lib/api';
+import { dashboardAPI, salesAPI } from '@/lib/api';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
-import { Loader2, CreditCard, CheckCircle2, XCircle, Clock, RefreshCw } from 'lucide-react';
+import { Loader2, CreditCard, CheckCircle2, XCircle, Clock, RefreshCw, Undo2, AlertTriangle } from 'lucide-react';
 
 const PaymentHistoryTable = () => {
   const [payments, setPayments] = useState([]);
@@ -16,6 +16,8 @@ const PaymentHistoryTable = () => {
     totalPages: 0,
   });
   const [statusFilter, setStatusFilter] = useState('all');
+  const [openRefunds, setOpenRefunds] = useState(null);
+  const [refunds, setRefunds] = useState({});
 
   useEffect(() => {
     fetchPaymentHistory();
@@ -54,11 +56,32 @@ const PaymentHistoryTable = () => {
     }
   };
 
+  // Refund history of a sale, loaded the first time it's opened
+  const toggleRefunds = async (saleId) => {
+    if (openRefunds === saleId) {
+      setOpenRefunds(null);
+      return;
+    }
+    setOpenRefunds(saleId);
+    if (refunds[saleId]) return;
+
+    try {
+      const result = await salesAPI.getRefunds(saleId);
+      setRefunds((prev) => ({
+        ...prev,
+        [saleId]: result.success ? result.data.refunds || [] : [],
+      }));
+    } catch {
+      setRefunds((prev) => ({ ...prev, [saleId]: [] }));
+    }
+  };
+
   const getStatusBadge = (status) => {
     const statusConfig = {
       completed: { variant: 'default', className: 'bg-green-500', icon: CheckCircle2 },
       pending: { variant: 'default', className: 'bg-yellow-500', icon: Clock },
       failed: { variant: 'default', className: 'bg-red-500', icon: XCircle },
+      partially_refunded: { variant: 'default', className: 'bg-orange-500', icon: Undo2 },
       refunded: { variant: 'default', className: 'bg-gray-500', icon: RefreshCw },
     };
 
@@ -68,7 +91,7 @@ const PaymentHistoryTable = () => {
     return (
       <Badge variant={config.variant} className={config.className}>
         <Icon className="mr-1 h-3 w-3" />
-        {status.charAt(0).toUpperCase() + status.slice(1)}
+        {status.charAt(0).toUpperCase() + status.slice(1).replace('_', ' ')}
       </Badge>
     );
   };
@@ -157,6 +180,12 @@ const PaymentHistoryTable = () => {
                       <div className="flex items-center gap-2">
                         <h3 className="font-semibold">{payment.trackTitle}</h3>
                         {getStatusBadge(payment.paymentStatus)}
+                        {payment.exclusiveConflictWith && payment.paymentStatus !== 'refunded' && (
+                          <Badge variant="destructive">
+                            <AlertTriangle className="h-3 w-3 mr-1" />
+                            Exclusive sold twice - refund
+                          </Badge>
+                        )}
                       </div>
                       <div className="flex flex-wrap gap-4 text-sm text-muted-foreground">
                         <div>
@@ -178,8 +207,50 @@ const PaymentHistoryTable = () => {
                     </div>
                     <div className="text-right">
                       <p className="text-xl font-bold text-indigo-600">৳{payment.price.toFixed(2)}</p>
+                      {payment.refundedAmount > 0 && (
+                        <>
+                          <p className="text-sm text-orange-600">
+                            −৳{payment.refundedAmount.toFixed(2)} refunded
+                          </p>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="mt-1"
+                            onClick={() => toggleRefunds(payment._id)}
+                          >
+                            {openRefunds === payment._id ? 'Hide refunds' : 'Refunds'}
+                          </Button>
+                        </>
+                      )}
                     </div>
                   </div>
+                  {openRefunds === payment._id && (
+                    <div className="mt-3 border-t pt-3 space-y-2">
+                      {!refunds[payment._id] ? (
+                        <Loader2 className="h-4 w-4 animate-spin text-gray-400" />
+                      ) : refunds[payment._id].length === 0 ? (
+                        <p className="text-sm text-muted-foreground">No refund records</p>
+                      ) : (
+                        refunds[payment._id].map((refund) => (
+                          <div key={refund._id} className="flex items-start justify-between gap-4 text-sm">
+                            <div className="text-muted-foreground">
+                              <p>
+                                {refund.reason || 'No reason given'}
+                                {refund.refundedBy ? ` - ${refund.refundedBy}` : ''}
+                              </p>
+                              <p className="text-xs">
+                                {formatDate(refund.createdAt)}
+                                {refund.refundTrxId && (
+                                  <span className="font-mono"> · {refund.refundTrxId}</span>
+                                )}
+                              </p>
+                            </div>
+                            <p className="font-medium text-orange-600">৳{refund.amount.toFixed(2)}</p>
+                          </div>
+                        ))
+                      )}
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
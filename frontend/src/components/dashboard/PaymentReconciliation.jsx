@@ -0,0 +1,219 @@
+import { useState, useEffect } from 'react';
+import { paymentsAPI } from '@/lib/api';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import {
+  Loader2,
+  ShieldCheck,
+  CheckCircle2,
+  XCircle,
+  Clock,
+  AlertTriangle,
+  RefreshCw,
+} from 'lucide-react';
+
+const actionConfig = {
+  completed: { className: 'bg-green-500', icon: CheckCircle2, label: 'Sale recorded' },
+  failed: { className: 'bg-red-500', icon: XCircle, label: 'Failed' },
+  cancelled: { className: 'bg-gray-500', icon: XCircle, label: 'Cancelled' },
+  pending: { className: 'bg-yellow-500', icon: Clock, label: 'Still pending' },
+  error: { className: 'bg-orange-500', icon: AlertTriangle, label: 'Needs attention' },
+};
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+// Reconciliation of payments whose callback never arrived: latest runs and what they found
+const PaymentReconciliation = () => {
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchReports();
+  }, []);
+
+  const fetchReports = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const result = await paymentsAPI.getReconciliationReports();
+      if (result.success) {
+        setReports(result.data.reports || []);
+        setRunning(result.data.running || false);
+      } else {
+        setError(result.message || 'Failed to fetch reconciliation reports');
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to fetch reconciliation reports');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRun = async () => {
+    setRunning(true);
+    setError('');
+
+    try {
+      const result = await paymentsAPI.runReconciliation();
+      if (result.success) {
+        setReports((prev) => [result.data, ...prev].slice(0, 5));
+      } else {
+        setError(result.message || 'Failed to reconcile payments');
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to reconcile payments');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const getActionBadge = (action) => {
+    const config = actionConfig[action] || actionConfig.error;
+    const Icon = config.icon;
+
+    return (
+      <Badge variant="default" className={config.className}>
+        <Icon className="mr-1 h-3 w-3" />
+        {config.label}
+      </Badge>
+    );
+  };
+
+  const latest = reports[0];
+  const findings = reports.flatMap((report) =>
+    report.findings.map((finding) => ({ ...finding, checkedAt: report.startedAt })),
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <ShieldCheck className="h-5 w-5" />
+              Payment Reconciliation
+            </CardTitle>
+            <CardDescription>
+              Payments whose callback never arrived are checked with the provider every 15 minutes
+            </CardDescription>
+          </div>
+          <Button size="sm" onClick={handleRun} disabled={running || loading}>
+            {running ? (
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            ) : (
+              <RefreshCw className="mr-2 h-4 w-4" />
+            )}
+            Run now
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && (
+          <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-md text-red-800 text-sm">
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader2 className="h-8 w-8 animate-spin text-gray-400" />
+          </div>
+        ) : !latest ? (
+          <div className="text-center py-12 text-muted-foreground">
+            <ShieldCheck className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+            <p>No stuck payments found yet</p>
+          </div>
+        ) : (
+          <>
+            <div className="mb-6 grid grid-cols-2 gap-4 sm:grid-cols-5">
+              {[
+                ['Checked', latest.summary.checked, ''],
+                ['Sales recorded', latest.summary.completed, 'text-green-600'],
+                ['Failed', latest.summary.failed, 'text-red-600'],
+                ['Pending', latest.summary.pending, 'text-yellow-600'],
+                ['Errors', latest.summary.errors, 'text-orange-600'],
+              ].map(([label, value, className]) => (
+                <div key={label} className="p-3 border rounded-lg">
+                  <p className="text-xs text-muted-foreground">{label}</p>
+                  <p className={`text-lg font-bold ${className}`}>{value}</p>
+                </div>
+              ))}
+            </div>
+            <p className="mb-4 text-xs text-muted-foreground">
+              Last run {formatDate(latest.startedAt)} ({latest.trigger}
+              {latest.triggeredBy ? ` by ${latest.triggeredBy}` : ''}) - payments untouched for{' '}
+              {latest.thresholdMinutes} minutes were checked
+            </p>
+
+            {findings.length === 0 ? (
+              <p className="text-sm text-muted-foreground">
+                Nothing needed reconciling in the latest runs
+              </p>
+            ) : (
+              <div className="space-y-3">
+                {findings.map((finding, index) => (
+                  <div
+                    key={`${finding.intent}-${index}`}
+                    className="p-4 border rounded-lg"
+                  >
+                    <div className="flex items-start justify-between gap-4">
+                      <div className="flex-1 space-y-1">
+                        <div className="flex items-center gap-2">
+                          <h3 className="font-semibold">{finding.itemTitle || 'Unknown item'}</h3>
+                          {getActionBadge(finding.action)}
+                        </div>
+                        <div className="flex flex-wrap gap-4 text-sm text-muted-foreground">
+                          <div>
+                            <span className="font-medium">Payment:</span>{' '}
+                            <span className="font-mono text-xs">{finding.paymentId}</span> ({finding.provider})
+                          </div>
+                          <div>
+                            <span className="font-medium">Was:</span> {finding.previousStatus}
+                          </div>
+                          {finding.providerStatus && (
+                            <div>
+                              <span className="font-medium">Provider:</span> {finding.providerStatus}
+                            </div>
+                          )}
+                        </div>
+                        {finding.message && (
+                          <p className="text-sm text-orange-700">{finding.message}</p>
+                        )}
+                        <p className="text-xs text-muted-foreground">
+                          Checked {formatDate(finding.checkedAt)}
+                        </p>
+                      </div>
+                      {finding.amount != null && (
+                        <p className="text-lg font-bold text-indigo-600">৳{finding.amount.toFixed(2)}</p>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PaymentReconciliation;
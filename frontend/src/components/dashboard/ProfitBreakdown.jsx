@@ -1,37 +1,13 @@
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
-import { TrendingUp, Users, Building2, Wallet } from 'lucide-react';
+import { Building2, Users, Wallet } from 'lucide-react';
+import { getCollaboratorRoleLabel } from '@/lib/collaborators';
 
-const ProfitBreakdown = ({ profitBreakdown, totalProfit }) => {
-  if (!profitBreakdown) {
-    return null;
-  }
+const BAR_COLORS = ['bg-indigo-500', 'bg-green-500', 'bg-blue-500', 'bg-amber-500', 'bg-pink-500'];
 
-  const breakdown = [
-    {
-      label: 'Platform Fee',
-      amount: profitBreakdown.platformFee || 0,
-      percentage: totalProfit > 0 ? ((profitBreakdown.platformFee / totalProfit) * 100).toFixed(1) : 0,
-      color: 'bg-indigo-500',
-      icon: Building2,
-      description: 'Platform commission',
-    },
-    {
-      label: 'Artist Share',
-      amount: profitBreakdown.artistShare || 0,
-      percentage: totalProfit > 0 ? ((profitBreakdown.artistShare / totalProfit) * 100).toFixed(1) : 0,
-      color: 'bg-green-500',
-      icon: Users,
-      description: 'Artist earnings',
-    },
-    {
-      label: 'Producer Share',
-      amount: profitBreakdown.producerShare || 0,
-      percentage: totalProfit > 0 ? ((profitBreakdown.producerShare / totalProfit) * 100).toFixed(1) : 0,
-      color: 'bg-blue-500',
-      icon: TrendingUp,
-      description: 'Producer earnings',
-    },
-  ];
+// Per-payee earnings from the sales ledger
+const ProfitBreakdown = ({ profitBreakdown }) => {
+  const payees = profitBreakdown?.payees || [];
+  const totalRevenue = profitBreakdown?.totalRevenue || 0;
 
   return (
     <Card>
@@ -40,49 +16,60 @@ const ProfitBreakdown = ({ profitBreakdown, totalProfit }) => {
           <Wallet className="h-5 w-5" />
           Profit Distribution
         </CardTitle>
-        <CardDescription>Breakdown of revenue distribution</CardDescription>
+        <CardDescription>Revenue owed to each payee over the last 30 days</CardDescription>
       </CardHeader>
       <CardContent>
-        <div className="space-y-4">
-          {breakdown.map((item, index) => {
-            const Icon = item.icon;
-            return (
-              <div key={index} className="space-y-2">
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center gap-2">
-                    <div className={`${item.color} rounded-md p-2`}>
-                      <Icon className="h-4 w-4 text-white" />
+        {payees.length === 0 ? (
+          <p className="py-4 text-sm text-center text-muted-foreground">
+            No completed sales in this period
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {payees.map((payee, index) => {
+              const isOwner = !payee.collaboratorId;
+              const Icon = isOwner ? Building2 : Users;
+              const color = BAR_COLORS[index % BAR_COLORS.length];
+              return (
+                <div key={payee.collaboratorId || 'owner'} className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-2">
+                      <div className={`${color} rounded-md p-2`}>
+                        <Icon className="h-4 w-4 text-white" />
+                      </div>
+                      <div>
+                        <p className="text-sm font-medium">{payee.name}</p>
+                        <p className="text-xs text-muted-foreground">
+                          {isOwner
+                            ? 'Remainder after collaborator shares'
+                            : payee.roles.map(getCollaboratorRoleLabel).join(', ')}
+                        </p>
+                      </div>
                     </div>
-                    <div>
-                      <p className="text-sm font-medium">{item.label}</p>
-                      <p className="text-xs text-muted-foreground">{item.description}</p>
+                    <div className="text-right">
+                      <p className="text-lg font-bold">৳{payee.amount.toFixed(2)}</p>
+                      <p className="text-xs text-muted-foreground">{payee.percentage}%</p>
                     </div>
                   </div>
-                  <div className="text-right">
-                    <p className="text-lg font-bold">৳{item.amount.toFixed(2)}</p>
-                    <p className="text-xs text-muted-foreground">{item.percentage}%</p>
+                  <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                    <div
+                      className={`h-full ${color} rounded-full transition-all`}
+                      style={{ width: `${payee.percentage}%` }}
+                    />
                   </div>
                 </div>
-                <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
-                  <div
-                    className={`h-full ${item.color} rounded-full transition-all`}
-                    style={{ width: `${item.percentage}%` }}
-                  />
-                </div>
+              );
+            })}
+            <div className="pt-4 border-t">
+              <div className="flex items-center justify-between">
+                <p className="text-sm font-medium">Total Revenue</p>
+                <p className="text-xl font-bold text-indigo-600">৳{totalRevenue.toFixed(2)}</p>
               </div>
-            );
-          })}
-          <div className="pt-4 border-t">
-            <div className="flex items-center justify-between">
-              <p className="text-sm font-medium">Total Revenue</p>
-              <p className="text-xl font-bold text-indigo-600">৳{totalProfit.toFixed(2)}</p>
             </div>
           </div>
-        </div>
+        )}
       </CardContent>
     </Card>
   );
 };
 
 export default ProfitBreakdown;
-
@@ -1,10 +1,10 @@
 import { Card } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
-import { Edit, Trash2, Image as ImageIcon } from 'lucide-react';
+import { Edit, Trash2, Star, Image as ImageIcon } from 'lucide-react';
 import { useState, useEffect, useRef } from 'react';
 
-const GalleryCard = ({ image, onEdit, onDelete }) => {
+const GalleryCard = ({ image, onEdit, onDelete, onToggleFeatured }) => {
   const [imageError, setImageError] = useState(false);
   const [imageLoading, setImageLoading] = useState(true);
   const imgRef = useRef(null);
@@ -104,6 +104,16 @@ const GalleryCard = ({ image, onEdit, onDelete }) => {
             {image?.height || 'medium'}
           </Badge>
         </div>
+
+        {/* Featured Badge */}
+        {image?.featured && (
+          <div className="absolute top-2 left-2 z-10">
+            <Badge className="shadow-sm">
+              <Star className="mr-1 w-3 h-3" fill="currentColor" />
+              Featured
+            </Badge>
+          </div>
+        )}
       </div>
 
       {/* Content Section */}
@@ -127,6 +137,20 @@ const GalleryCard = ({ image, onEdit, onDelete }) => {
 
         {/* Action Buttons */}
         <div className="flex gap-2 pt-2 border-t border-gray-100">
+          {onToggleFeatured && (
+            <Button
+              variant="outline"
+              size="sm"
+              className="h-9 px-2.5"
+              title={image.featured ? 'Unfeature' : 'Feature'}
+              onClick={() => onToggleFeatured(image)}
+            >
+              <Star
+                className="h-3.5 w-3.5"
+                fill={image.featured ? 'currentColor' : 'none'}
+              />
+            </Button>
+          )}
           <Button
             variant="outline"
             size="sm"
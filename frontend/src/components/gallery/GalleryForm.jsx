@@ -98,6 +98,20 @@ const GalleryForm = ({
           Use new lines (\n) for multi-line captions
         </p>
       </div>
+      <div>
+        <Label htmlFor="slug">URL Slug (Optional)</Label>
+        <Input
+          id="slug"
+          name="slug"
+          value={formData.slug}
+          onChange={handleInputChange}
+          placeholder="generated-from-the-caption"
+        />
+        <p className="mt-1 text-xs text-gray-500">
+          Used in share links. Leave empty to generate it from the caption; old
+          slugs keep redirecting after a change.
+        </p>
+      </div>
     </div>
   );
 };
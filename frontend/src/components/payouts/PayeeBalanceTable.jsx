@@ -0,0 +1,87 @@
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+
+const formatMoney = (value) => `৳${(value || 0).toFixed(2)}`;
+
+const PayeeBalanceTable = ({ payees, onPayout, onStatement }) => {
+  if (payees.length === 0) {
+    return (
+      <div className="py-8 text-center text-muted-foreground">
+        No ledger entries yet. Payees are credited when sales complete.
+      </div>
+    );
+  }
+
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>Payee</TableHead>
+          <TableHead className="text-right">Credits</TableHead>
+          <TableHead className="text-right">Refunds</TableHead>
+          <TableHead className="text-right">Paid Out</TableHead>
+          <TableHead className="text-right">Balance</TableHead>
+          <TableHead className="text-right">Actions</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {payees.map((payee) => {
+          const isOwner = !payee.collaboratorId;
+          return (
+            <TableRow key={payee.payeeId}>
+              <TableCell className="font-medium">
+                {payee.name}
+                {isOwner && (
+                  <span className="ml-2 text-xs font-normal text-gray-500">
+                    (remainder after collaborator shares)
+                  </span>
+                )}
+              </TableCell>
+              <TableCell className="text-right">
+                {formatMoney(payee.credits)}
+              </TableCell>
+              <TableCell className="text-right">
+                {formatMoney(payee.debits)}
+              </TableCell>
+              <TableCell className="text-right">
+                {formatMoney(payee.payouts)}
+              </TableCell>
+              <TableCell className="text-right font-semibold">
+                {formatMoney(payee.balance)}
+              </TableCell>
+              <TableCell className="text-right">
+                {!isOwner && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => onPayout(payee)}
+                    disabled={payee.balance <= 0}
+                    className="mr-2"
+                  >
+                    Record Payout
+                  </Button>
+                )}
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onStatement(payee)}
+                >
+                  Statement
+                </Button>
+              </TableCell>
+            </TableRow>
+          );
+        })}
+      </TableBody>
+    </Table>
+  );
+};
+
+export default PayeeBalanceTable;
@@ -0,0 +1,111 @@
+import { useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { ledgerAPI } from '@/lib/api';
+
+// Record money paid to a collaborator; starts with the full balance
+const PayoutModal = ({ payee, onClose, onSaved }) => {
+  const [formData, setFormData] = useState({
+    amount: payee ? payee.balance.toFixed(2) : '',
+    reference: '',
+    note: '',
+  });
+  const [saving, setSaving] = useState(false);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await ledgerAPI.recordPayout({
+        collaborator: payee.collaboratorId,
+        amount: parseFloat(formData.amount),
+        reference: formData.reference,
+        note: formData.note,
+      });
+      onSaved();
+    } catch (error) {
+      alert(error.message || 'Failed to record payout');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!payee} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Record Payout: {payee?.name}</DialogTitle>
+          <DialogDescription>
+            Owed: ৳{(payee?.balance || 0).toFixed(2)}. Record money you have
+            already sent, e.g. by bKash.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit}>
+          <div className="space-y-4">
+            <div>
+              <Label htmlFor="amount">Amount (৳)</Label>
+              <Input
+                id="amount"
+                name="amount"
+                type="number"
+                step="0.01"
+                min="0.01"
+                max={payee?.balance}
+                value={formData.amount}
+                onChange={handleInputChange}
+                required
+              />
+            </div>
+            <div>
+              <Label htmlFor="reference">Transaction ID</Label>
+              <Input
+                id="reference"
+                name="reference"
+                value={formData.reference}
+                onChange={handleInputChange}
+                placeholder="Optional"
+              />
+            </div>
+            <div>
+              <Label htmlFor="note">Note</Label>
+              <Input
+                id="note"
+                name="note"
+                value={formData.note}
+                onChange={handleInputChange}
+                placeholder="e.g. January settlement"
+              />
+            </div>
+          </div>
+          <DialogFooter className="mt-6">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={saving}>
+              {saving ? 'Saving...' : 'Record Payout'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PayoutModal;
@@ -0,0 +1,206 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Download, Trash2 } from 'lucide-react';
+import { ledgerAPI } from '@/lib/api';
+
+const formatMoney = (value) => `৳${(value || 0).toFixed(2)}`;
+
+// Current month as YYYY-MM (UTC, like the statements)
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+// Monthly settlement statement for one payee, with CSV/PDF export
+const StatementModal = ({ payee, onClose, onChanged }) => {
+  const [month, setMonth] = useState(currentMonth);
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchStatement = useCallback(async () => {
+    if (!payee || !month) return;
+    try {
+      setLoading(true);
+      setError(null);
+      setStatement(await ledgerAPI.getStatement(payee.payeeId, month));
+    } catch (err) {
+      setError(err.message || 'Failed to load statement');
+    } finally {
+      setLoading(false);
+    }
+  }, [payee, month]);
+
+  useEffect(() => {
+    fetchStatement();
+  }, [fetchStatement]);
+
+  const handleDownload = async (format) => {
+    try {
+      const name = payee.name.replace(/[^a-z0-9]/gi, '_');
+      await ledgerAPI.downloadStatement(
+        payee.payeeId,
+        month,
+        format,
+        `statement_${name}_${month}.${format}`,
+      );
+    } catch (err) {
+      alert(err.message || 'Failed to download statement');
+    }
+  };
+
+  const handleDeletePayout = async (entry) => {
+    if (
+      window.confirm(
+        `Delete this payout of ${formatMoney(-entry.amount)}? The amount will be owed again.`,
+      )
+    ) {
+      try {
+        await ledgerAPI.deletePayout(entry._id);
+        await fetchStatement();
+        onChanged();
+      } catch (err) {
+        alert(err.message || 'Failed to delete payout');
+      }
+    }
+  };
+
+  return (
+    <Dialog open={!!payee} onOpenChange={onClose}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Statement: {payee?.name}</DialogTitle>
+          <DialogDescription>
+            Sale credits, refunds and payouts for the month. Months are in UTC.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-wrap gap-2 items-center">
+          <Input
+            type="month"
+            value={month}
+            onChange={(e) => setMonth(e.target.value)}
+            aria-label="Month"
+            className="w-48"
+          />
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => handleDownload('csv')}
+            disabled={!month}
+          >
+            <Download className="w-4 h-4 mr-1" />
+            CSV
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => handleDownload('pdf')}
+            disabled={!month}
+          >
+            <Download className="w-4 h-4 mr-1" />
+            PDF
+          </Button>
+        </div>
+
+        {loading && !statement ? (
+          <div className="py-8 text-center text-gray-600">Loading...</div>
+        ) : error ? (
+          <div className="py-8 text-center text-destructive">{error}</div>
+        ) : statement ? (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-3 md:grid-cols-5">
+              {[
+                { label: 'Opening', value: statement.openingBalance },
+                { label: 'Credits', value: statement.totals.credits },
+                { label: 'Refunds', value: -statement.totals.debits },
+                { label: 'Payouts', value: -statement.totals.payouts },
+                { label: 'Closing', value: statement.closingBalance },
+              ].map((item) => (
+                <div
+                  key={item.label}
+                  className="p-3 rounded-lg border border-gray-200"
+                >
+                  <div className="text-xs text-gray-500">{item.label}</div>
+                  <div className="text-lg font-semibold text-gray-900">
+                    {formatMoney(item.value)}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {statement.entries.length === 0 ? (
+              <p className="py-4 text-sm text-center text-muted-foreground">
+                No entries this month
+              </p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Date</TableHead>
+                    <TableHead>Description</TableHead>
+                    <TableHead className="text-right">Amount</TableHead>
+                    <TableHead className="text-right">Balance</TableHead>
+                    <TableHead />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {statement.entries.map((entry) => (
+                    <TableRow key={entry._id}>
+                      <TableCell className="whitespace-nowrap">
+                        {new Date(entry.date).toLocaleDateString()}
+                      </TableCell>
+                      <TableCell>
+                        {entry.description}
+                        {entry.reference && (
+                          <span className="block text-xs text-gray-500">
+                            {entry.reference}
+                          </span>
+                        )}
+                      </TableCell>
+                      <TableCell
+                        className={`text-right ${entry.amount < 0 ? 'text-destructive' : 'text-green-700'}`}
+                      >
+                        {formatMoney(entry.amount)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {formatMoney(entry.balance)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {entry.type === 'payout' && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleDeletePayout(entry)}
+                            aria-label="Delete payout"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </div>
+        ) : null}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default StatementModal;
@@ -1,6 +1,8 @@
 import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Edit, Trash2 } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { getLicenseType } from '@/lib/licenses';
 
 const PricingCard = ({ plan, onEdit, onDelete }) => {
   // Format price with BDT symbol
@@ -28,6 +30,26 @@ const PricingCard = ({ plan, onEdit, onDelete }) => {
           </p>
         </div>
 
+        {/* License */}
+        <div className="mb-4 space-y-2">
+          <Badge
+            variant="outline"
+            className={getLicenseType(plan.licenseType).className}
+          >
+            {getLicenseType(plan.licenseType).label} license
+          </Badge>
+          {plan.deliverables?.length > 0 && (
+            <p className="text-xs text-gray-600">
+              Includes: {plan.deliverables.join(', ')}
+            </p>
+          )}
+          {plan.usageTerms && (
+            <p className="text-xs text-gray-500 line-clamp-3">
+              {plan.usageTerms}
+            </p>
+          )}
+        </div>
+
         {/* Action Buttons */}
         <div className="flex gap-2 pt-3 border-t border-gray-100">
           <Button
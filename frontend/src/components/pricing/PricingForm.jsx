@@ -1,7 +1,22 @@
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { LICENSE_TYPE_OPTIONS } from '@/lib/licenses';
 
 const PricingForm = ({ formData, handleInputChange }) => {
+  const handleLicenseTypeChange = (value) => {
+    handleInputChange({
+      target: { name: 'licenseType', value },
+    });
+  };
+
   return (
     <div className="space-y-4">
       <div>
@@ -32,6 +47,48 @@ const PricingForm = ({ formData, handleInputChange }) => {
           Price will be displayed with ৳ (BDT) symbol
         </p>
       </div>
+      <div>
+        <Label htmlFor="licenseType">License Type</Label>
+        <Select
+          value={formData.licenseType}
+          onValueChange={handleLicenseTypeChange}
+        >
+          <SelectTrigger id="licenseType">
+            <SelectValue placeholder="Select a license type" />
+          </SelectTrigger>
+          <SelectContent>
+            {LICENSE_TYPE_OPTIONS.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+      <div>
+        <Label htmlFor="usageTerms">Usage Terms</Label>
+        <Textarea
+          id="usageTerms"
+          name="usageTerms"
+          value={formData.usageTerms}
+          onChange={handleInputChange}
+          placeholder="e.g. Up to 10,000 streams, no broadcast rights"
+          rows={3}
+        />
+      </div>
+      <div>
+        <Label htmlFor="deliverables">Deliverables</Label>
+        <Input
+          id="deliverables"
+          name="deliverables"
+          value={formData.deliverables}
+          onChange={handleInputChange}
+          placeholder="e.g. MP3, WAV, Stems"
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          Comma-separated list of files included with this license
+        </p>
+      </div>
     </div>
   );
 };
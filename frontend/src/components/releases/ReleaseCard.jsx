@@ -0,0 +1,131 @@
+import { Card } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Edit, Trash2, Disc3, ShoppingCart, DollarSign } from 'lucide-react';
+import { getReleaseType, getReleaseStatus } from '@/lib/releases';
+
+const ReleaseCard = ({ release, onEdit, onDelete }) => {
+  const formatPrice = (price) => {
+    return `৳ ${parseFloat(price).toLocaleString('en-US', {
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 2,
+    })}`;
+  };
+
+  const status = getReleaseStatus(release.status);
+  const tracks = release.tracks || [];
+
+  return (
+    <Card className="overflow-hidden bg-white border border-gray-200 shadow-sm transition-all duration-300 group hover:shadow-md hover:border-gray-300">
+      {/* Artwork */}
+      <div className="overflow-hidden relative bg-gray-50 aspect-square">
+        {release.artwork ? (
+          <img
+            src={release.artwork}
+            alt={release.title || 'Release artwork'}
+            className="object-cover w-full h-full transition-transform duration-300 group-hover:scale-105"
+            loading="lazy"
+          />
+        ) : (
+          <div className="flex justify-center items-center w-full h-full bg-gray-100">
+            <Disc3 className="w-12 h-12 text-gray-400" />
+          </div>
+        )}
+        <div className="absolute top-2 left-2 z-10">
+          <Badge variant="outline" className={`${status.className} shadow-sm`}>
+            {status.label}
+          </Badge>
+        </div>
+        <div className="absolute top-2 right-2 z-10">
+          <Badge
+            variant="secondary"
+            className="bg-white/95 px-2 py-0.5 text-xs font-medium text-gray-700 shadow-sm backdrop-blur-sm"
+          >
+            {getReleaseType(release.type).label}
+          </Badge>
+        </div>
+      </div>
+
+      <div className="p-4">
+        <h3 className="mb-2 font-semibold text-gray-900 line-clamp-2 min-h-12">
+          {release.title}
+        </h3>
+
+        <div className="mb-3 space-y-1">
+          {release.releaseDate && (
+            <p className="text-xs text-gray-500">
+              Release: {new Date(release.releaseDate).toLocaleDateString()}
+            </p>
+          )}
+          <div className="flex justify-between items-center">
+            <p className="text-sm font-semibold text-gray-900">
+              {formatPrice(release.price || 0)}
+            </p>
+            <span className="text-xs text-gray-500">
+              {tracks.length} {tracks.length === 1 ? 'track' : 'tracks'}
+            </span>
+          </div>
+        </div>
+
+        {/* Track list in play order */}
+        {tracks.length > 0 && (
+          <ol className="mb-3 space-y-0.5 text-xs text-gray-600 list-decimal list-inside">
+            {tracks.slice(0, 5).map((track) => (
+              <li key={track._id} className="truncate">
+                {track.title}
+              </li>
+            ))}
+            {tracks.length > 5 && (
+              <li className="list-none text-gray-400">
+                +{tracks.length - 5} more
+              </li>
+            )}
+          </ol>
+        )}
+
+        {/* Sales Statistics */}
+        <div className="mb-3 p-2 bg-green-50 rounded-md border border-green-200">
+          <div className="flex justify-between items-center">
+            <div className="flex gap-1 items-center text-xs text-green-700">
+              <ShoppingCart className="w-3.5 h-3.5" />
+              <span className="font-medium">
+                {release.saleCount || 0}{' '}
+                {release.saleCount === 1 ? 'Sale' : 'Sales'}
+              </span>
+            </div>
+            {release.totalSoldPrice > 0 && (
+              <div className="flex gap-1 items-center text-xs font-semibold text-green-700">
+                <DollarSign className="w-3.5 h-3.5" />
+                <span>{formatPrice(release.totalSoldPrice)}</span>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Action Buttons */}
+        <div className="flex gap-2 pt-2 border-t border-gray-100">
+          <Button
+            variant="outline"
+            size="sm"
+            className="flex-1 h-9 text-xs font-medium transition-colors hover:bg-primary hover:text-primary-foreground"
+            onClick={() => onEdit(release)}
+          >
+            <Edit className="mr-1.5 h-3.5 w-3.5" />
+            Edit
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            className="flex-1 h-9 text-xs font-medium transition-colors text-destructive hover:bg-destructive hover:text-destructive-foreground border-destructive/30"
+            onClick={() => onDelete(release._id || release.id)}
+          >
+            <Trash2 className="mr-1.5 h-3.5 w-3.5" />
+            Delete
+          </Button>
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default ReleaseCard;
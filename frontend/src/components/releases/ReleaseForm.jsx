@@ -0,0 +1,152 @@
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import Dropzone from '@/components/ui/dropzone';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import ReleaseTrackList from './ReleaseTrackList';
+import {
+  RELEASE_TYPE_OPTIONS,
+  RELEASE_STATUS_OPTIONS,
+} from '@/lib/releases';
+
+const ReleaseForm = ({
+  formData,
+  handleInputChange,
+  handleArtworkChange,
+  artworkPreview,
+}) => {
+  const handleSelectChange = (name) => (value) => {
+    handleInputChange({
+      target: { name, value },
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Artwork */}
+      <Dropzone
+        label="Artwork"
+        type="image"
+        accept="image/*"
+        onFileSelect={handleArtworkChange}
+        preview={artworkPreview}
+        currentValue={
+          formData.artwork && !artworkPreview ? formData.artwork : null
+        }
+        required
+      />
+
+      {/* Title */}
+      <div>
+        <Label htmlFor="title">Title</Label>
+        <Input
+          id="title"
+          name="title"
+          value={formData.title}
+          onChange={handleInputChange}
+          placeholder="Enter release title"
+          required
+        />
+      </div>
+
+      {/* Type, Release Date and Price */}
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+        <div>
+          <Label htmlFor="type">Type</Label>
+          <Select value={formData.type} onValueChange={handleSelectChange('type')}>
+            <SelectTrigger id="type">
+              <SelectValue placeholder="Select a type" />
+            </SelectTrigger>
+            <SelectContent>
+              {RELEASE_TYPE_OPTIONS.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div>
+          <Label htmlFor="releaseDate">Release Date</Label>
+          <Input
+            id="releaseDate"
+            name="releaseDate"
+            type="date"
+            value={formData.releaseDate}
+            onChange={handleInputChange}
+            required
+          />
+        </div>
+
+        <div>
+          <Label htmlFor="price">Bundle Price (৳)</Label>
+          <Input
+            id="price"
+            name="price"
+            type="number"
+            step="0.01"
+            min="0"
+            value={formData.price}
+            onChange={handleInputChange}
+            placeholder="Enter price"
+            required
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            One payment unlocks every track
+          </p>
+        </div>
+      </div>
+
+      {/* Status */}
+      <div>
+        <Label htmlFor="status">Status</Label>
+        <Select
+          value={formData.status}
+          onValueChange={handleSelectChange('status')}
+        >
+          <SelectTrigger id="status">
+            <SelectValue placeholder="Select a status" />
+          </SelectTrigger>
+          <SelectContent>
+            {RELEASE_STATUS_OPTIONS.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <p className="mt-1 text-xs text-gray-500">
+          Only published releases are public.
+        </p>
+      </div>
+
+      {/* Description */}
+      <div>
+        <Label htmlFor="description">Description</Label>
+        <Textarea
+          id="description"
+          name="description"
+          value={formData.description}
+          onChange={handleInputChange}
+          placeholder="Liner notes, credits, what's included..."
+          rows={3}
+        />
+      </div>
+
+      {/* Ordered Tracks */}
+      <ReleaseTrackList
+        tracks={formData.tracks}
+        onChange={handleSelectChange('tracks')}
+      />
+    </div>
+  );
+};
+
+export default ReleaseForm;
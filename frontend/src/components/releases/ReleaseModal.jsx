@@ -0,0 +1,61 @@
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import ReleaseForm from './ReleaseForm';
+
+const ReleaseModal = ({
+  isOpen,
+  onClose,
+  editingRelease,
+  formData,
+  handleInputChange,
+  handleArtworkChange,
+  handleSubmit,
+  artworkPreview,
+  uploading = false,
+}) => {
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>
+            {editingRelease ? 'Edit Release' : 'Add New Release'}
+          </DialogTitle>
+          <DialogDescription>
+            {editingRelease
+              ? 'Update the release information below.'
+              : 'Group tracks into an album, EP or bundle sold as one purchase.'}
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit}>
+          <ReleaseForm
+            formData={formData}
+            handleInputChange={handleInputChange}
+            handleArtworkChange={handleArtworkChange}
+            artworkPreview={artworkPreview}
+          />
+          <DialogFooter className="mt-6">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={uploading}>
+              {uploading
+                ? 'Uploading...'
+                : editingRelease
+                  ? 'Update'
+                  : 'Create'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ReleaseModal;
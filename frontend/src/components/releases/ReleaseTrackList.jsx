@@ -0,0 +1,205 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { ArrowUp, ArrowDown, X, Music, Plus } from 'lucide-react';
+import { tracksAPI } from '@/lib/api';
+import { useDebounce } from '@/hooks/useDebounce';
+import TrackStatusBadge from '@/components/tracks/TrackStatusBadge';
+
+// Tracks fetched per page of the picker
+const PICKER_PAGE_SIZE = 20;
+
+// Ordered track picker for a release - the list order is the play order
+const ReleaseTrackList = ({ tracks = [], onChange }) => {
+  const [search, setSearch] = useState('');
+  const [availableTracks, setAvailableTracks] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, hasNext: false });
+  const [loading, setLoading] = useState(false);
+  const debouncedSearch = useDebounce(search, 300);
+
+  // Search the whole catalogue on the server instead of a fixed first page
+  const fetchTracks = useCallback(
+    async (page = 1) => {
+      setLoading(true);
+      try {
+        const response = await tracksAPI.getAll({
+          search: debouncedSearch.trim(),
+          sort: 'newest',
+          page,
+          limit: PICKER_PAGE_SIZE,
+        });
+        const items = response?.items || [];
+        setAvailableTracks((prev) =>
+          page === 1 ? items : [...prev, ...items],
+        );
+        setPagination({
+          page,
+          hasNext: Boolean(response?.pagination?.hasNext),
+        });
+      } catch (error) {
+        console.error('Error fetching tracks:', error);
+        if (page === 1) {
+          setAvailableTracks([]);
+          setPagination({ page: 1, hasNext: false });
+        }
+      } finally {
+        setLoading(false);
+      }
+    },
+    [debouncedSearch],
+  );
+
+  useEffect(() => {
+    fetchTracks(1);
+  }, [fetchTracks]);
+
+  const selectedIds = new Set(tracks.map((track) => track._id));
+  const selectableTracks = availableTracks.filter(
+    (track) => !selectedIds.has(track._id),
+  );
+
+  const handleAdd = (trackId) => {
+    const track = availableTracks.find((item) => item._id === trackId);
+    if (track) {
+      onChange([...tracks, track]);
+    }
+  };
+
+  const handleMove = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= tracks.length) return;
+    const next = [...tracks];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const handleRemove = (index) => {
+    onChange(tracks.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex justify-between items-center">
+        <Label>Tracks</Label>
+        <span className="text-xs text-gray-500">
+          {tracks.length} {tracks.length === 1 ? 'track' : 'tracks'}
+        </span>
+      </div>
+
+      {tracks.length === 0 ? (
+        <p className="p-3 text-sm text-center text-gray-500 rounded-md border border-dashed border-gray-300">
+          No tracks yet. Add tracks in the order they should play.
+        </p>
+      ) : (
+        <ol className="space-y-2">
+          {tracks.map((track, index) => (
+            <li
+              key={track._id}
+              className="flex gap-3 items-center p-2 bg-gray-50 rounded-md border border-gray-200"
+            >
+              <span className="w-5 text-sm font-medium text-right text-gray-500">
+                {index + 1}
+              </span>
+              {track.thumbnail ? (
+                <img
+                  src={track.thumbnail}
+                  alt=""
+                  className="object-cover w-8 h-8 rounded"
+                />
+              ) : (
+                <Music className="w-8 h-8 text-gray-400" />
+              )}
+              <span className="flex-1 text-sm text-gray-900 truncate">
+                {track.title}
+              </span>
+              <TrackStatusBadge track={track} />
+              <div className="flex gap-1">
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  aria-label="Move up"
+                >
+                  <ArrowUp className="w-4 h-4" />
+                </Button>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === tracks.length - 1}
+                  aria-label="Move down"
+                >
+                  <ArrowDown className="w-4 h-4" />
+                </Button>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleRemove(index)}
+                  aria-label="Remove track"
+                >
+                  <X className="w-4 h-4" />
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className="space-y-2">
+        <Input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search tracks to add..."
+          aria-label="Search tracks to add"
+        />
+        <ul className="overflow-y-auto max-h-56 rounded-md border border-gray-200 divide-y divide-gray-100">
+          {selectableTracks.map((track) => (
+            <li key={track._id}>
+              <button
+                type="button"
+                onClick={() => handleAdd(track._id)}
+                className="flex gap-2 items-center px-3 py-2 w-full text-sm text-left text-gray-900 hover:bg-gray-50"
+              >
+                <Plus className="w-4 h-4 text-gray-400" />
+                <span className="flex-1 truncate">{track.title}</span>
+                <TrackStatusBadge track={track} />
+              </button>
+            </li>
+          ))}
+          {!loading && selectableTracks.length === 0 && (
+            <li className="px-3 py-2 text-sm text-center text-gray-500">
+              {debouncedSearch.trim()
+                ? 'No tracks match your search'
+                : 'No more tracks to add'}
+            </li>
+          )}
+          {(loading || pagination.hasNext) && (
+            <li className="p-1">
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                className="w-full"
+                onClick={() => fetchTracks(pagination.page + 1)}
+                disabled={loading}
+              >
+                {loading ? 'Loading...' : 'Load more'}
+              </Button>
+            </li>
+          )}
+        </ul>
+      </div>
+      <p className="text-xs text-gray-500">
+        Buyers can only check out while every track is published.
+      </p>
+    </div>
+  );
+};
+
+export default ReleaseTrackList;
@@ -1,9 +1,10 @@
 import { useState, useRef, useEffect } from 'react';
 import { Card } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { Edit, Trash2, Play } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Edit, Trash2, Play, Star } from 'lucide-react';
 
-const TikTokCard = ({ video, onEdit, onDelete }) => {
+const TikTokCard = ({ video, onEdit, onDelete, onToggleFeatured }) => {
   const [isHovered, setIsHovered] = useState(false);
   const videoRef = useRef(null);
 
@@ -97,6 +98,16 @@ const TikTokCard = ({ video, onEdit, onDelete }) => {
             </div>
           </div>
         )}
+
+        {/* Featured Badge */}
+        {video.featured && (
+          <div className="absolute top-2 left-2 z-20">
+            <Badge className="shadow-sm">
+              <Star className="mr-1 w-3 h-3" fill="currentColor" />
+              Featured
+            </Badge>
+          </div>
+        )}
       </div>
 
       {/* Content Section */}
@@ -115,6 +126,20 @@ const TikTokCard = ({ video, onEdit, onDelete }) => {
 
         {/* Action Buttons */}
         <div className="flex gap-2 pt-2 border-t border-gray-100">
+          {onToggleFeatured && (
+            <Button
+              variant="outline"
+              size="sm"
+              className="h-9 px-2.5"
+              title={video.featured ? 'Unfeature' : 'Feature'}
+              onClick={() => onToggleFeatured(video)}
+            >
+              <Star
+                className="h-3.5 w-3.5"
+                fill={video.featured ? 'currentColor' : 'none'}
+              />
+            </Button>
+          )}
           <Button
             variant="outline"
             size="sm"
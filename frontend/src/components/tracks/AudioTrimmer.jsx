@@ -1,38 +1,66 @@
 import { useState, useRef, useEffect } from 'react';
 import { Button } from '@/components/ui/button';
 import { Label } from '@/components/ui/label';
+import { Input } from '@/components/ui/input';
 import { Slider } from '@/components/ui/slider';
+import { Checkbox } from '@/components/ui/checkbox';
 import { Play, Pause, Scissors, X } from 'lucide-react';
-// Removed unused import
-
-const AudioTrimmer = ({ audioFile, onExtract, onCancel }) => {
+import { tracksAPI } from '@/lib/api';
+import {
+  PREVIEW_CLIP_LIMITS,
+  DEFAULT_PREVIEW_SETTINGS,
+} from '@/lib/trackMetadata';
+
+const { MIN_LENGTH, MAX_LENGTH, MAX_FADE } = PREVIEW_CLIP_LIMITS;
+
+// Pick the preview range and fades; the clip itself is rendered on the server
+const AudioTrimmer = ({
+  audioFile,
+  audioUrl,
+  initialSettings,
+  onGenerate,
+  onCancel,
+}) => {
+  const settings = { ...DEFAULT_PREVIEW_SETTINGS, ...initialSettings };
   const audioRef = useRef(null);
-  const audioContextRef = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [duration, setDuration] = useState(0);
-  const [startTime, setStartTime] = useState(0);
-  const [endTime, setEndTime] = useState(30); // Default 30 seconds
+  const [startTime, setStartTime] = useState(settings.start);
+  const [endTime, setEndTime] = useState(settings.start + settings.length);
+  const [fadeIn, setFadeIn] = useState(settings.fadeIn);
+  const [fadeOut, setFadeOut] = useState(settings.fadeOut);
+  const [watermark, setWatermark] = useState(settings.watermark);
   const [currentTime, setCurrentTime] = useState(0);
-  const [isExtracting, setIsExtracting] = useState(false);
-  const [audioUrl, setAudioUrl] = useState(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [playbackUrl, setPlaybackUrl] = useState(null);
 
+  // Play the local file when there is one, otherwise the uploaded track
   useEffect(() => {
     if (audioFile) {
       const url = URL.createObjectURL(audioFile);
-      setAudioUrl(url);
+      setPlaybackUrl(url);
       return () => URL.revokeObjectURL(url);
     }
-  }, [audioFile]);
+    setPlaybackUrl(audioUrl || null);
+  }, [audioFile, audioUrl]);
 
   useEffect(() => {
     const audio = audioRef.current;
-    if (!audio || !audioUrl) return;
+    if (!audio || !playbackUrl) return;
 
     const updateDuration = () => {
       const dur = audio.duration;
       setDuration(dur);
-      // Set end time to min of 30 seconds or full duration
-      setEndTime(Math.min(30, dur));
+      // Keep the saved range when it fits, otherwise start from the top
+      const start = startTime < dur - MIN_LENGTH ? startTime : 0;
+      setStartTime(start);
+      setEndTime(
+        Math.min(
+          Math.max(endTime, start + MIN_LENGTH),
+          start + MAX_LENGTH,
+          dur,
+        ),
+      );
     };
 
     const updateTime = () => {
@@ -47,22 +75,21 @@ const AudioTrimmer = ({ audioFile, onExtract, onCancel }) => {
       }
     };
 
-    audio.addEventListener('loadedmetadata', updateDuration);
-    audio.addEventListener('timeupdate', updateTime);
-    audio.addEventListener('ended', () => {
+    const handleEnded = () => {
       setIsPlaying(false);
       audio.currentTime = startTime;
-    });
+    };
+
+    audio.addEventListener('loadedmetadata', updateDuration);
+    audio.addEventListener('timeupdate', updateTime);
+    audio.addEventListener('ended', handleEnded);
 
     return () => {
       audio.removeEventListener('loadedmetadata', updateDuration);
       audio.removeEventListener('timeupdate', updateTime);
-      audio.removeEventListener('ended', () => {
-        setIsPlaying(false);
-        audio.currentTime = startTime;
-      });
+      audio.removeEventListener('ended', handleEnded);
     };
-  }, [audioUrl, endTime, startTime]);
+  }, [playbackUrl, endTime, startTime]);
 
   const togglePlayPause = () => {
     const audio = audioRef.current;
@@ -82,18 +109,25 @@ const AudioTrimmer = ({ audioFile, onExtract, onCancel }) => {
 
   const handleStartTimeChange = (values) => {
     const newStart = Array.isArray(values) ? values[0] : values;
-    setStartTime(Math.max(0, Math.min(newStart, endTime - 1)));
+    const start = Math.max(0, Math.min(newStart, endTime - MIN_LENGTH));
+    setStartTime(start);
+    // The server caps previews at MAX_LENGTH seconds
+    setEndTime(Math.min(endTime, start + MAX_LENGTH));
     const audio = audioRef.current;
     if (audio) {
-      audio.currentTime = Math.max(0, Math.min(newStart, endTime - 1));
+      audio.currentTime = start;
     }
   };
 
   const handleEndTimeChange = (values) => {
     const newEnd = Array.isArray(values) ? values[0] : values;
-    setEndTime(Math.max(startTime + 1, Math.min(newEnd, duration)));
+    const end = Math.max(
+      startTime + MIN_LENGTH,
+      Math.min(newEnd, duration, startTime + MAX_LENGTH),
+    );
+    setEndTime(end);
     const audio = audioRef.current;
-    if (audio && audio.currentTime > newEnd) {
+    if (audio && audio.currentTime > end) {
       audio.currentTime = startTime;
     }
   };
@@ -105,113 +139,39 @@ const AudioTrimmer = ({ audioFile, onExtract, onCancel }) => {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
-  const extractAudioSegment = async () => {
-    if (!audioFile || !audioRef.current) return;
-
-    setIsExtracting(true);
-    try {
-      // Create AudioContext
-      const audioContext = new (window.AudioContext ||
-        window.webkitAudioContext)();
-      audioContextRef.current = audioContext;
-
-      // Load audio file
-      const arrayBuffer = await audioFile.arrayBuffer();
-      const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-
-      // Calculate sample positions
-      const sampleRate = audioBuffer.sampleRate;
-      const startSample = Math.floor(startTime * sampleRate);
-      const endSample = Math.floor(endTime * sampleRate);
-      const length = endSample - startSample;
+  const clipLength = endTime - startTime;
+  const fadesValid =
+    fadeIn >= 0 &&
+    fadeOut >= 0 &&
+    fadeIn <= MAX_FADE &&
+    fadeOut <= MAX_FADE &&
+    fadeIn + fadeOut <= clipLength;
 
-      // Create new audio buffer with the selected segment
-      const newBuffer = audioContext.createBuffer(
-        audioBuffer.numberOfChannels,
-        length,
-        sampleRate,
-      );
+  const generatePreview = async () => {
+    if (!audioUrl) return;
 
-      // Copy audio data
-      for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
-        const channelData = audioBuffer.getChannelData(channel);
-        const newChannelData = newBuffer.getChannelData(channel);
-        for (let i = 0; i < length; i++) {
-          newChannelData[i] = channelData[startSample + i];
-        }
-      }
-
-      // Convert AudioBuffer to WAV file
-      const wav = audioBufferToWav(newBuffer);
-      const blob = new Blob([wav], { type: 'audio/wav' });
-      const file = new File([blob], `preview-${audioFile.name}`, {
-        type: 'audio/wav',
+    audioRef.current?.pause();
+    setIsPlaying(false);
+    setIsGenerating(true);
+    try {
+      const result = await tracksAPI.generatePreview({
+        audioUrl,
+        start: Math.round(startTime * 10) / 10,
+        length: Math.round(clipLength * 10) / 10,
+        fadeIn,
+        fadeOut,
+        watermark,
       });
-
-      onExtract(file);
+      onGenerate(result);
     } catch (error) {
-      console.error('Error extracting audio:', error);
-      alert('Failed to extract audio segment. Please try again.');
+      console.error('Error generating preview:', error);
+      alert(error.message || 'Failed to generate preview. Please try again.');
     } finally {
-      setIsExtracting(false);
-    }
-  };
-
-  // Convert AudioBuffer to WAV format
-  const audioBufferToWav = (buffer) => {
-    const length = buffer.length;
-    const numberOfChannels = buffer.numberOfChannels;
-    const sampleRate = buffer.sampleRate;
-    const bytesPerSample = 2;
-    const blockAlign = numberOfChannels * bytesPerSample;
-    const byteRate = sampleRate * blockAlign;
-    const dataSize = length * blockAlign;
-    const bufferSize = 44 + dataSize;
-    const arrayBuffer = new ArrayBuffer(bufferSize);
-    const view = new DataView(arrayBuffer);
-
-    // WAV header
-    const writeString = (offset, string) => {
-      for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
-      }
-    };
-
-    writeString(0, 'RIFF');
-    view.setUint32(4, bufferSize - 8, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true); // fmt chunk size
-    view.setUint16(20, 1, true); // audio format (PCM)
-    view.setUint16(22, numberOfChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, byteRate, true);
-    view.setUint16(32, blockAlign, true);
-    view.setUint16(34, 16, true); // bits per sample
-    writeString(36, 'data');
-    view.setUint32(40, dataSize, true);
-
-    // Write audio data
-    let offset = 44;
-    for (let i = 0; i < length; i++) {
-      for (let channel = 0; channel < numberOfChannels; channel++) {
-        const sample = Math.max(
-          -1,
-          Math.min(1, buffer.getChannelData(channel)[i]),
-        );
-        view.setInt16(
-          offset,
-          sample < 0 ? sample * 0x8000 : sample * 0x7fff,
-          true,
-        );
-        offset += 2;
-      }
+      setIsGenerating(false);
     }
-
-    return arrayBuffer;
   };
 
-  if (!audioFile || !audioUrl) {
+  if (!playbackUrl) {
     return null;
   }
 
@@ -219,7 +179,7 @@ const AudioTrimmer = ({ audioFile, onExtract, onCancel }) => {
     <div className="p-4 space-y-4 bg-gray-50 rounded-lg border dark:bg-gray-900">
       <div className="flex justify-between items-center">
         <Label className="text-base font-semibold text-white">
-          Extract Preview from Full Track
+          Generate Preview from Full Track
         </Label>
         <Button
           type="button"
@@ -234,7 +194,7 @@ const AudioTrimmer = ({ audioFile, onExtract, onCancel }) => {
 
       <audio
         ref={audioRef}
-        src={audioUrl}
+        src={playbackUrl}
         preload="metadata"
         style={{ display: 'none' }}
       />
@@ -284,7 +244,7 @@ const AudioTrimmer = ({ audioFile, onExtract, onCancel }) => {
         </div>
         <Slider
           value={[endTime]}
-          min={startTime + 1}
+          min={startTime + MIN_LENGTH}
           max={duration || 100}
           step={0.1}
           onValueChange={handleEndTimeChange}
@@ -292,21 +252,71 @@ const AudioTrimmer = ({ audioFile, onExtract, onCancel }) => {
         />
       </div>
 
+      {/* Fades and Voice Tag */}
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <Label htmlFor="preview-fade-in" className="text-sm text-gray-200">
+            Fade In (s)
+          </Label>
+          <Input
+            id="preview-fade-in"
+            type="number"
+            min="0"
+            max={MAX_FADE}
+            step="0.5"
+            value={fadeIn}
+            onChange={(e) => setFadeIn(parseFloat(e.target.value) || 0)}
+            className="bg-white"
+          />
+        </div>
+        <div>
+          <Label htmlFor="preview-fade-out" className="text-sm text-gray-200">
+            Fade Out (s)
+          </Label>
+          <Input
+            id="preview-fade-out"
+            type="number"
+            min="0"
+            max={MAX_FADE}
+            step="0.5"
+            value={fadeOut}
+            onChange={(e) => setFadeOut(parseFloat(e.target.value) || 0)}
+            className="bg-white"
+          />
+        </div>
+      </div>
+      <div className="flex gap-2 items-center">
+        <Checkbox
+          id="preview-watermark"
+          checked={watermark}
+          onCheckedChange={(checked) => setWatermark(checked === true)}
+        />
+        <Label htmlFor="preview-watermark" className="text-sm text-gray-200">
+          Mix in voice tag
+        </Label>
+      </div>
+
       {/* Duration Display */}
       <div className="text-sm text-center text-gray-600 dark:text-gray-400">
         Preview Duration:{' '}
-        <span className="font-semibold">{formatTime(endTime - startTime)}</span>
+        <span className="font-semibold">{formatTime(clipLength)}</span>
       </div>
 
-      {/* Extract Button */}
+      {/* Generate Button */}
       <Button
         type="button"
-        onClick={extractAudioSegment}
-        disabled={isExtracting || !duration || endTime <= startTime}
+        onClick={generatePreview}
+        disabled={
+          isGenerating || !audioUrl || !duration || !fadesValid
+        }
         className="w-full bg-white"
       >
         <Scissors className="mr-2 w-4 h-4" />
-        {isExtracting ? 'Extracting...' : 'Extract Preview Audio'}
+        {isGenerating
+          ? 'Generating...'
+          : audioUrl
+          ? 'Generate Preview Audio'
+          : 'Waiting for the full track to upload...'}
       </Button>
     </div>
   );
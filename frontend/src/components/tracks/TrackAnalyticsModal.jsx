@@ -0,0 +1,159 @@
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { tracksAPI } from '@/lib/api';
+
+const RANGE_OPTIONS = [
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' },
+  { value: '365', label: 'Last 365 days' },
+];
+
+const SourceList = ({ title, items }) => (
+  <div>
+    <h4 className="mb-2 text-sm font-semibold text-gray-700">{title}</h4>
+    {items.length === 0 ? (
+      <p className="text-xs text-gray-400">No data</p>
+    ) : (
+      <ul className="space-y-1 text-sm">
+        {items.map((item) => (
+          <li key={item.source} className="flex justify-between gap-2">
+            <span className="truncate text-gray-600">{item.source}</span>
+            <span className="font-medium text-gray-900">{item.count}</span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+// Daily views, preview plays and downloads for one track
+const TrackAnalyticsModal = ({ track, onClose }) => {
+  const [days, setDays] = useState('30');
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const trackId = track?._id || track?.id;
+
+  useEffect(() => {
+    if (!trackId) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    tracksAPI
+      .getAnalytics(trackId, { days })
+      .then((data) => {
+        if (!cancelled) setAnalytics(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load analytics');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [trackId, days]);
+
+  const daily = analytics?.daily || [];
+  const maxViews = Math.max(...daily.map((day) => day.views), 1);
+  const totals = analytics?.totals;
+
+  const stats = totals
+    ? [
+        { label: 'Views', value: totals.views },
+        { label: 'Visitors / day (sum)', value: totals.uniqueVisitors },
+        { label: 'Preview plays', value: totals.previewPlays },
+        {
+          label: 'Preview completion',
+          value: `${Math.round(analytics.previewCompletionRate * 100)}%`,
+        },
+        { label: 'Downloads', value: totals.downloads },
+        { label: 'All-time views', value: analytics.views || 0 },
+      ]
+    : [];
+
+  return (
+    <Dialog open={!!track} onOpenChange={onClose}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Analytics: {track?.title}</DialogTitle>
+          <DialogDescription>
+            Repeat visits and bot traffic are not counted. Days are in UTC.
+          </DialogDescription>
+        </DialogHeader>
+
+        <select
+          value={days}
+          onChange={(e) => setDays(e.target.value)}
+          aria-label="Date range"
+          className="px-3 py-1.5 w-48 text-sm rounded-md border border-gray-300 focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
+        >
+          {RANGE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+
+        {loading && !analytics ? (
+          <div className="py-8 text-center text-gray-600">Loading...</div>
+        ) : error ? (
+          <div className="py-8 text-center text-destructive">{error}</div>
+        ) : analytics ? (
+          <div className="space-y-6">
+            <div className="grid grid-cols-2 gap-3 md:grid-cols-3">
+              {stats.map((stat) => (
+                <div
+                  key={stat.label}
+                  className="p-3 rounded-lg border border-gray-200"
+                >
+                  <div className="text-xs text-gray-500">{stat.label}</div>
+                  <div className="text-xl font-semibold text-gray-900">
+                    {stat.value}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {/* Daily views */}
+            <div>
+              <h4 className="mb-2 text-sm font-semibold text-gray-700">
+                Views per day
+              </h4>
+              <div className="flex gap-px items-end h-32">
+                {daily.map((day) => (
+                  <div
+                    key={day.date}
+                    className="flex-1 bg-indigo-500 rounded-t-sm min-h-px"
+                    style={{ height: `${(day.views / maxViews) * 100}%` }}
+                    title={`${day.date}: ${day.views} views, ${day.previewPlays} preview plays, ${day.downloads} downloads`}
+                  />
+                ))}
+              </div>
+              <div className="flex justify-between mt-1 text-xs text-gray-500">
+                <span>{analytics.from}</span>
+                <span>{analytics.to}</span>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 gap-6 md:grid-cols-3">
+              <SourceList title="Top referrers" items={analytics.topReferrers} />
+              <SourceList title="UTM sources" items={analytics.utmSources} />
+              <SourceList title="UTM campaigns" items={analytics.utmCampaigns} />
+            </div>
+          </div>
+        ) : null}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TrackAnalyticsModal;
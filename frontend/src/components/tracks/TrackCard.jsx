@@ -1,10 +1,51 @@
+import { useState, useEffect } from 'react';
 import { Card } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
-import { Edit, Trash2, Music, Eye, ShoppingCart, DollarSign } from 'lucide-react';
+import {
+  Edit,
+  Trash2,
+  Music,
+  Eye,
+  ShoppingCart,
+  DollarSign,
+  RotateCcw,
+  BarChart3,
+  Star,
+} from 'lucide-react';
 import AudioPlayer from '@/components/ui/audio-player';
+import TrackStatusBadge from './TrackStatusBadge';
+import { formatDuration } from '@/lib/trackMetadata';
+import { tracksAPI } from '@/lib/api';
+
+const TrackCard = ({
+  track,
+  onEdit,
+  onDelete,
+  onRelist,
+  onAnalytics,
+  onToggleFeatured,
+}) => {
+  const [peaks, setPeaks] = useState(null);
+  const trackId = track._id || track.id;
+
+  // Waveforms aren't part of the list payload - load them per card
+  useEffect(() => {
+    if (!track.audio) return;
+    let cancelled = false;
+    tracksAPI
+      .getWaveform(trackId)
+      .then((data) => {
+        if (!cancelled) setPeaks(data.waveform);
+      })
+      .catch(() => {
+        // No waveform - the player falls back to a plain progress bar
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [trackId, track.audio]);
 
-const TrackCard = ({ track, onEdit, onDelete }) => {
   const formatPrice = (price) => {
     return `৳ ${parseFloat(price).toLocaleString('en-US', {
       minimumFractionDigits: 0,
@@ -31,6 +72,16 @@ const TrackCard = ({ track, onEdit, onDelete }) => {
             </div>
           </div>
         )}
+        {/* Status and Featured Badges */}
+        <div className="flex absolute top-2 left-2 z-10 flex-col gap-1 items-start">
+          <TrackStatusBadge track={track} className="shadow-sm" />
+          {track.featured && (
+            <Badge className="shadow-sm">
+              <Star className="mr-1 w-3 h-3" fill="currentColor" />
+              Featured
+            </Badge>
+          )}
+        </div>
         {/* Category Badge */}
         {track.category && (
           <div className="absolute top-2 right-2 z-10">
@@ -58,6 +109,22 @@ const TrackCard = ({ track, onEdit, onDelete }) => {
               Release: {new Date(track.releaseDate).toLocaleDateString()}
             </p>
           )}
+          {(track.bpm || track.key || track.duration || track.explicit) && (
+            <p className="flex gap-1.5 items-center text-xs text-gray-500">
+              {[
+                track.bpm && `${track.bpm} BPM`,
+                track.key,
+                track.duration && formatDuration(track.duration),
+              ]
+                .filter(Boolean)
+                .join(' · ')}
+              {track.explicit && (
+                <Badge variant="outline" className="px-1 py-0 text-[10px]">
+                  E
+                </Badge>
+              )}
+            </p>
+          )}
           <div className="flex justify-between items-center">
             <p className="text-sm font-semibold text-gray-900">
               {formatPrice(track.price || 0)}
@@ -111,7 +178,22 @@ const TrackCard = ({ track, onEdit, onDelete }) => {
         {/* Full Audio Player */}
         {track.audio && (
           <div className="mb-3">
-            <AudioPlayer src={track.audio} compact={true} />
+            <AudioPlayer src={track.audio} compact={true} peaks={peaks} />
+          </div>
+        )}
+
+        {/* Re-list override for tracks retired by an exclusive sale */}
+        {track.soldExclusively && onRelist && (
+          <div className="mb-3">
+            <Button
+              variant="outline"
+              size="sm"
+              className="w-full h-9 text-xs font-medium"
+              onClick={() => onRelist(track._id || track.id)}
+            >
+              <RotateCcw className="mr-1.5 h-3.5 w-3.5" />
+              Re-list Track
+            </Button>
           </div>
         )}
 
@@ -126,6 +208,33 @@ const TrackCard = ({ track, onEdit, onDelete }) => {
             <Edit className="mr-1.5 h-3.5 w-3.5" />
             Edit
           </Button>
+          {onToggleFeatured && (
+            <Button
+              variant="outline"
+              size="sm"
+              className="h-9 text-xs font-medium"
+              onClick={() => onToggleFeatured(track)}
+              aria-label={track.featured ? 'Unfeature' : 'Feature'}
+              title={track.featured ? 'Unfeature' : 'Feature'}
+            >
+              <Star
+                className="h-3.5 w-3.5"
+                fill={track.featured ? 'currentColor' : 'none'}
+              />
+            </Button>
+          )}
+          {onAnalytics && (
+            <Button
+              variant="outline"
+              size="sm"
+              className="h-9 text-xs font-medium"
+              onClick={() => onAnalytics(track)}
+              aria-label="View analytics"
+              title="Analytics"
+            >
+              <BarChart3 className="h-3.5 w-3.5" />
+            </Button>
+          )}
           <Button
             variant="outline"
             size="sm"
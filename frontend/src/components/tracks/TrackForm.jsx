@@ -11,16 +11,13 @@ import {
   SelectValue,
 } from '@/components/ui/select';
 import AudioTrimmer from './AudioTrimmer';
-import { useState } from 'react';
-
-const TRACK_CATEGORIES = [
-  'Rock',
-  'Folk',
-  'Hip-Hop',
-  'Jazz & Blues',
-  'Modern Song',
-  'Classical',
-];
+import TrackLicensesEditor from './TrackLicensesEditor';
+import TrackRevenueSplitsEditor from './TrackRevenueSplitsEditor';
+import TrackMetadataFields from './TrackMetadataFields';
+import { useState, useEffect } from 'react';
+import { categoriesAPI } from '@/lib/api';
+import { TRACK_STATUS_OPTIONS } from '@/lib/trackStatus';
+import { formatDuration } from '@/lib/trackMetadata';
 
 const TrackForm = ({
   formData,
@@ -28,13 +25,27 @@ const TrackForm = ({
   handleThumbnailChange,
   handleAudioChange,
   handlePreviewAudioChange,
+  handleGeneratedPreview,
   thumbnailPreview,
   audioPreview,
   previewAudioPreview,
   onOpenCropModal,
   audioFile,
+  analyzingAudio = false,
 }) => {
   const [showTrimmer, setShowTrimmer] = useState(false);
+  const [categories, setCategories] = useState([]);
+
+  // Load the admin-managed category list
+  useEffect(() => {
+    categoriesAPI
+      .getAll()
+      .then((data) => setCategories(Array.isArray(data) ? data : []))
+      .catch((error) => {
+        console.error('Error fetching categories:', error);
+        setCategories([]);
+      });
+  }, []);
 
   const handleThumbnailSelect = (file) => {
     handleThumbnailChange(file);
@@ -51,8 +62,8 @@ const TrackForm = ({
     setShowTrimmer(false);
   };
 
-  const handleExtractPreview = (extractedFile) => {
-    handlePreviewAudioChange(extractedFile);
+  const handleGenerated = (preview) => {
+    handleGeneratedPreview(preview);
     setShowTrimmer(false);
   };
 
@@ -62,6 +73,26 @@ const TrackForm = ({
     });
   };
 
+  const handleLicensesChange = (value) => {
+    handleInputChange({
+      target: { name: 'licenses', value },
+    });
+  };
+
+  const handleRevenueSplitsChange = (value) => {
+    handleInputChange({
+      target: { name: 'revenueSplits', value },
+    });
+  };
+
+  const hasLicenses = formData.licenses?.length > 0;
+
+  const handleStatusChange = (value) => {
+    handleInputChange({
+      target: { name: 'status', value },
+    });
+  };
+
   return (
     <div className="space-y-4">
       {/* Thumbnail */}
@@ -103,9 +134,11 @@ const TrackForm = ({
           required
         />
         <p className="text-xs text-gray-500 mt-1">
-          Full track audio (requires purchase to access)
+          {analyzingAudio
+            ? 'Uploading and reading tags (duration, BPM, key, credits)...'
+            : 'Full track audio (requires purchase to access). Embedded tags fill in empty fields.'}
         </p>
-        {audioFile && !showTrimmer && (
+        {(audioFile || formData.audio) && !showTrimmer && (
           <div className="mt-2">
             <Button
               type="button"
@@ -115,17 +148,19 @@ const TrackForm = ({
               className="w-full"
             >
               <Scissors className="w-4 h-4 mr-2" />
-              Extract Preview from Full Track
+              Generate Preview from Full Track
             </Button>
           </div>
         )}
       </div>
 
       {/* Audio Trimmer */}
-      {showTrimmer && audioFile && (
+      {showTrimmer && (audioFile || formData.audio) && (
         <AudioTrimmer
           audioFile={audioFile}
-          onExtract={handleExtractPreview}
+          audioUrl={formData.audio}
+          initialSettings={formData.previewSettings}
+          onGenerate={handleGenerated}
           onCancel={() => setShowTrimmer(false)}
         />
       )}
@@ -142,7 +177,13 @@ const TrackForm = ({
           required
         />
         <p className="text-xs text-gray-500 mt-1">
-          Short/preview audio for public playback
+          {formData.previewSettings
+            ? `Generated from the full track (${formatDuration(
+                formData.previewSettings.start,
+              )}, ${formData.previewSettings.length}s${
+                formData.previewSettings.watermark ? ', voice tag' : ''
+              })`
+            : 'Short/preview audio for public playback'}
         </p>
       </div>
 
@@ -159,6 +200,22 @@ const TrackForm = ({
         />
       </div>
 
+      {/* Slug */}
+      <div>
+        <Label htmlFor="slug">URL Slug (Optional)</Label>
+        <Input
+          id="slug"
+          name="slug"
+          value={formData.slug}
+          onChange={handleInputChange}
+          placeholder="generated-from-the-title"
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          Used in share links. Leave empty to generate it from the title; old
+          slugs keep redirecting after a change.
+        </p>
+      </div>
+
       {/* Release Date, Category, and Price in one row on desktop */}
       <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
         {/* Release Date */}
@@ -182,9 +239,9 @@ const TrackForm = ({
               <SelectValue placeholder="Select a category" />
             </SelectTrigger>
             <SelectContent>
-              {TRACK_CATEGORIES.map((category) => (
-                <SelectItem key={category} value={category}>
-                  {category}
+              {categories.map((category) => (
+                <SelectItem key={category._id} value={category.name}>
+                  {category.name}
                 </SelectItem>
               ))}
             </SelectContent>
@@ -203,13 +260,56 @@ const TrackForm = ({
             value={formData.price}
             onChange={handleInputChange}
             placeholder="Enter price"
-            required
+            disabled={hasLicenses}
+            required={!hasLicenses}
           />
           <p className="text-xs text-gray-500 mt-1">
-            Price will be displayed with ৳ (BDT) symbol
+            {hasLicenses
+              ? 'Set by the cheapest license tier'
+              : 'Price will be displayed with ৳ (BDT) symbol'}
           </p>
         </div>
       </div>
+
+      {/* Publication Status */}
+      <div>
+        <Label htmlFor="status">Status</Label>
+        <Select value={formData.status} onValueChange={handleStatusChange}>
+          <SelectTrigger id="status">
+            <SelectValue placeholder="Select a status" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="auto">Automatic (by release date)</SelectItem>
+            {TRACK_STATUS_OPTIONS.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <p className="mt-1 text-xs text-gray-500">
+          Only published tracks are public. Scheduled tracks go live
+          automatically on their release date.
+        </p>
+      </div>
+
+      {/* Musical metadata */}
+      <TrackMetadataFields
+        formData={formData}
+        handleInputChange={handleInputChange}
+      />
+
+      {/* License Tiers */}
+      <TrackLicensesEditor
+        licenses={formData.licenses}
+        onChange={handleLicensesChange}
+      />
+
+      {/* Revenue Split */}
+      <TrackRevenueSplitsEditor
+        revenueSplits={formData.revenueSplits}
+        onChange={handleRevenueSplitsChange}
+      />
     </div>
   );
 };
@@ -0,0 +1,190 @@
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { tracksAPI } from '@/lib/api';
+
+// How often a running import is polled (milliseconds)
+const POLL_INTERVAL = 2000;
+
+const ROW_STATUS_STYLES = {
+  valid: 'text-green-700',
+  created: 'text-green-700',
+  invalid: 'text-destructive',
+  failed: 'text-destructive',
+};
+
+const isJobRunning = (job) =>
+  !!job && (job.status === 'pending' || job.status === 'running');
+
+// Bulk import from a manifest and a ZIP of media, with a dry run first
+const TrackImportModal = ({ isOpen, onClose, onImported }) => {
+  const [manifest, setManifest] = useState(null);
+  const [media, setMedia] = useState(null);
+  const [job, setJob] = useState(null);
+  // 'validate' or 'import' while the upload is in progress
+  const [submitting, setSubmitting] = useState(null);
+
+  // Follow a running import until it finishes
+  useEffect(() => {
+    if (!isJobRunning(job)) return;
+    const timer = setTimeout(async () => {
+      try {
+        const updated = await tracksAPI.getImportJob(job._id);
+        setJob(updated);
+        if (!isJobRunning(updated) && updated.createdCount > 0) {
+          onImported();
+        }
+      } catch (error) {
+        console.error('Error fetching import status:', error);
+      }
+    }, POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [job, onImported]);
+
+  const handleStart = async (dryRun) => {
+    try {
+      setSubmitting(dryRun ? 'validate' : 'import');
+      setJob(await tracksAPI.importTracks({ manifest, media, dryRun }));
+    } catch (error) {
+      alert(error.message || 'Failed to import tracks');
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  const handleClose = () => {
+    if (isJobRunning(job)) {
+      alert('The import keeps running on the server.');
+    }
+    setJob(null);
+    setManifest(null);
+    setMedia(null);
+    onClose();
+  };
+
+  const running = isJobRunning(job);
+
+  return (
+    <Dialog open={isOpen} onOpenChange={handleClose}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import Tracks</DialogTitle>
+          <DialogDescription>
+            A CSV (header row) or JSON manifest with the track form fields:
+            title, releaseDate, price, category, status, bpm, key, tags,
+            explicit, licenses... thumbnail, audio and previewAudio are URLs or
+            paths of files in the ZIP. Validate first to see the errors of
+            each row.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div>
+            <Label htmlFor="import-manifest">Manifest (CSV or JSON)</Label>
+            <Input
+              id="import-manifest"
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={(e) => setManifest(e.target.files[0] || null)}
+              disabled={running}
+            />
+          </div>
+          <div>
+            <Label htmlFor="import-media">Media archive (ZIP, optional)</Label>
+            <Input
+              id="import-media"
+              type="file"
+              accept=".zip,application/zip"
+              onChange={(e) => setMedia(e.target.files[0] || null)}
+              disabled={running}
+            />
+          </div>
+        </div>
+
+        {job && (
+          <div className="space-y-3">
+            <div className="p-3 text-sm rounded-lg border border-gray-200">
+              <span className="font-medium">
+                {job.dryRun ? 'Validation' : 'Import'} {job.status}
+              </span>
+              {' - '}
+              {job.processedRows} of {job.totalRows} rows processed
+              {!job.dryRun && `, ${job.createdCount} tracks created`}
+              {job.errorCount > 0 && `, ${job.errorCount} with errors`}
+              {job.error && (
+                <span className="block text-destructive">{job.error}</span>
+              )}
+            </div>
+
+            {job.rows?.length > 0 && (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Row</TableHead>
+                    <TableHead>Title</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Errors</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {job.rows.map((row) => (
+                    <TableRow key={row.row}>
+                      <TableCell>{row.row}</TableCell>
+                      <TableCell>{row.title}</TableCell>
+                      <TableCell className={ROW_STATUS_STYLES[row.status]}>
+                        {row.status}
+                      </TableCell>
+                      <TableCell className="text-xs">
+                        {row.messages?.join('; ')}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={handleClose}>
+            Close
+          </Button>
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => handleStart(true)}
+            disabled={!manifest || !!submitting || running}
+          >
+            {submitting === 'validate' ? 'Validating...' : 'Validate'}
+          </Button>
+          <Button
+            type="button"
+            onClick={() => handleStart(false)}
+            disabled={!manifest || !!submitting || running}
+          >
+            {submitting === 'import' || running ? 'Importing...' : 'Import'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TrackImportModal;
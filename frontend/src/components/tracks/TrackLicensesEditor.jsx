@@ -0,0 +1,281 @@
+import { useState, useEffect } from 'react';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Plus, Trash2, Upload, X } from 'lucide-react';
+import { pricingAPI, tracksAPI } from '@/lib/api';
+import { LICENSE_TYPE_OPTIONS } from '@/lib/licenses';
+import { uploadWithDuplicateCheck } from '@/lib/media';
+
+const CUSTOM_PLAN = 'custom';
+
+const emptyLicense = {
+  pricingPlan: '',
+  name: '',
+  licenseType: 'basic',
+  price: '',
+  usageTerms: '',
+  files: [],
+};
+
+const TrackLicensesEditor = ({ licenses = [], onChange }) => {
+  const [plans, setPlans] = useState([]);
+  const [uploadingIndex, setUploadingIndex] = useState(null);
+
+  // Pricing plans act as templates for license tiers
+  useEffect(() => {
+    pricingAPI
+      .getAll()
+      .then((data) => setPlans(Array.isArray(data) ? data : []))
+      .catch((error) => {
+        console.error('Error fetching pricing plans:', error);
+        setPlans([]);
+      });
+  }, []);
+
+  const updateLicense = (index, changes) => {
+    onChange(
+      licenses.map((license, i) =>
+        i === index ? { ...license, ...changes } : license,
+      ),
+    );
+  };
+
+  const handlePlanChange = (index, planId) => {
+    if (planId === CUSTOM_PLAN) {
+      updateLicense(index, { pricingPlan: '' });
+      return;
+    }
+    const plan = plans.find((item) => item._id === planId);
+    if (!plan) return;
+    // Prefill the tier from the plan - fields stay editable
+    updateLicense(index, {
+      pricingPlan: plan._id,
+      name: plan.title,
+      licenseType: plan.licenseType || 'basic',
+      price: plan.price,
+      usageTerms: plan.usageTerms || '',
+    });
+  };
+
+  const handleAddLicense = () => {
+    onChange([...licenses, { ...emptyLicense }]);
+  };
+
+  const handleRemoveLicense = (index) => {
+    onChange(licenses.filter((_, i) => i !== index));
+  };
+
+  const handleFileUpload = async (index, file) => {
+    if (!file) return;
+    try {
+      setUploadingIndex(index);
+      const { url } = await uploadWithDuplicateCheck((options) =>
+        tracksAPI.uploadLicenseFile(file, options),
+      );
+      const label = file.name.split('.').pop().toUpperCase();
+      updateLicense(index, {
+        files: [...(licenses[index].files || []), { label, url }],
+      });
+    } catch (error) {
+      alert(error.message || 'Failed to upload license file');
+    } finally {
+      setUploadingIndex(null);
+    }
+  };
+
+  const handleFileLabelChange = (index, fileIndex, label) => {
+    updateLicense(index, {
+      files: licenses[index].files.map((file, i) =>
+        i === fileIndex ? { ...file, label } : file,
+      ),
+    });
+  };
+
+  const handleRemoveFile = (index, fileIndex) => {
+    updateLicense(index, {
+      files: licenses[index].files.filter((_, i) => i !== fileIndex),
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <Label>License Tiers</Label>
+          <p className="text-xs text-gray-500">
+            Optional. Buyers choose a tier; the track price becomes the
+            cheapest tier.
+          </p>
+        </div>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={handleAddLicense}
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add Tier
+        </Button>
+      </div>
+
+      {licenses.map((license, index) => (
+        <div
+          key={license._id || index}
+          className="p-3 space-y-3 rounded-md border border-gray-200"
+        >
+          <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+            <div>
+              <Label htmlFor={`license-plan-${index}`}>Pricing Plan</Label>
+              <Select
+                value={license.pricingPlan || CUSTOM_PLAN}
+                onValueChange={(value) => handlePlanChange(index, value)}
+              >
+                <SelectTrigger id={`license-plan-${index}`}>
+                  <SelectValue placeholder="Select a plan" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={CUSTOM_PLAN}>Custom tier</SelectItem>
+                  {plans.map((plan) => (
+                    <SelectItem key={plan._id} value={plan._id}>
+                      {plan.title} (৳ {plan.price})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor={`license-name-${index}`}>Name</Label>
+              <Input
+                id={`license-name-${index}`}
+                value={license.name}
+                onChange={(e) => updateLicense(index, { name: e.target.value })}
+                placeholder="e.g. Premium Lease"
+                required
+              />
+            </div>
+            <div>
+              <Label htmlFor={`license-type-${index}`}>Type</Label>
+              <Select
+                value={license.licenseType || 'basic'}
+                onValueChange={(value) =>
+                  updateLicense(index, { licenseType: value })
+                }
+              >
+                <SelectTrigger id={`license-type-${index}`}>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {LICENSE_TYPE_OPTIONS.map((option) => (
+                    <SelectItem key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor={`license-price-${index}`}>Price (৳)</Label>
+              <Input
+                id={`license-price-${index}`}
+                type="number"
+                step="0.01"
+                min="0"
+                value={license.price}
+                onChange={(e) => updateLicense(index, { price: e.target.value })}
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <Label htmlFor={`license-terms-${index}`}>Usage Terms</Label>
+            <Textarea
+              id={`license-terms-${index}`}
+              value={license.usageTerms}
+              onChange={(e) =>
+                updateLicense(index, { usageTerms: e.target.value })
+              }
+              rows={2}
+            />
+          </div>
+
+          {/* Deliverable files */}
+          <div className="space-y-2">
+            <Label>Files</Label>
+            {(license.files || []).length === 0 && (
+              <p className="text-xs text-gray-500">
+                No files - buyers get the full track audio.
+              </p>
+            )}
+            {(license.files || []).map((file, fileIndex) => (
+              <div key={file._id || file.url} className="flex gap-2 items-center">
+                <Input
+                  value={file.label}
+                  onChange={(e) =>
+                    handleFileLabelChange(index, fileIndex, e.target.value)
+                  }
+                  className="w-32"
+                  aria-label="File label"
+                />
+                <a
+                  href={file.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex-1 text-xs text-blue-600 truncate hover:underline"
+                >
+                  {file.url}
+                </a>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleRemoveFile(index, fileIndex)}
+                  aria-label="Remove file"
+                >
+                  <X className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+            <label className="inline-flex items-center text-sm text-gray-700 cursor-pointer hover:text-gray-900">
+              <Upload className="w-4 h-4 mr-1" />
+              {uploadingIndex === index ? 'Uploading...' : 'Upload file'}
+              <input
+                type="file"
+                className="hidden"
+                disabled={uploadingIndex !== null}
+                onChange={(e) => {
+                  handleFileUpload(index, e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+          </div>
+
+          <div className="flex justify-end">
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="text-destructive"
+              onClick={() => handleRemoveLicense(index)}
+            >
+              <Trash2 className="w-4 h-4 mr-1" />
+              Remove Tier
+            </Button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TrackLicensesEditor;
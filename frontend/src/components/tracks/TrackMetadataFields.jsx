@@ -0,0 +1,193 @@
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Plus, X } from 'lucide-react';
+import {
+  MUSICAL_KEY_OPTIONS,
+  CREDIT_ROLE_SUGGESTIONS,
+} from '@/lib/trackMetadata';
+
+// Radix Select can't use '' as a value
+const NO_KEY = 'none';
+
+// BPM, key, duration, credits, tags, lyrics and the explicit flag
+const TrackMetadataFields = ({ formData, handleInputChange }) => {
+  const setField = (name, value) => {
+    handleInputChange({
+      target: { name, value },
+    });
+  };
+
+  const credits = formData.credits || [];
+
+  const updateCredit = (index, field, value) => {
+    setField(
+      'credits',
+      credits.map((credit, i) =>
+        i === index ? { ...credit, [field]: value } : credit,
+      ),
+    );
+  };
+
+  const hasAudioInfo = formData.bitrate || formData.sampleRate;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+        <div>
+          <Label htmlFor="bpm">BPM</Label>
+          <Input
+            id="bpm"
+            name="bpm"
+            type="number"
+            step="0.01"
+            min="20"
+            max="300"
+            value={formData.bpm}
+            onChange={handleInputChange}
+            placeholder="e.g. 140"
+          />
+        </div>
+
+        <div>
+          <Label htmlFor="key">Key</Label>
+          <Select
+            value={formData.key || NO_KEY}
+            onValueChange={(value) =>
+              setField('key', value === NO_KEY ? '' : value)
+            }
+          >
+            <SelectTrigger id="key">
+              <SelectValue placeholder="Select a key" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NO_KEY}>Not set</SelectItem>
+              {MUSICAL_KEY_OPTIONS.map((key) => (
+                <SelectItem key={key} value={key}>
+                  {key}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div>
+          <Label htmlFor="duration">Duration (m:ss)</Label>
+          <Input
+            id="duration"
+            name="duration"
+            value={formData.duration}
+            onChange={handleInputChange}
+            placeholder="e.g. 3:35"
+          />
+        </div>
+      </div>
+
+      {hasAudioInfo && (
+        <p className="text-xs text-gray-500">
+          Audio file:{' '}
+          {[
+            formData.bitrate && `${formData.bitrate} kbps`,
+            formData.sampleRate &&
+              `${(formData.sampleRate / 1000).toLocaleString()} kHz`,
+          ]
+            .filter(Boolean)
+            .join(' · ')}
+        </p>
+      )}
+
+      <div>
+        <Label htmlFor="tags">Tags</Label>
+        <Input
+          id="tags"
+          name="tags"
+          value={formData.tags}
+          onChange={handleInputChange}
+          placeholder="trap, dark, piano"
+        />
+        <p className="mt-1 text-xs text-gray-500">Comma separated</p>
+      </div>
+
+      {/* Credits */}
+      <div className="space-y-2">
+        <Label>Credits</Label>
+        {credits.map((credit, index) => (
+          <div key={index} className="flex gap-2">
+            <Input
+              value={credit.role}
+              onChange={(e) => updateCredit(index, 'role', e.target.value)}
+              placeholder="Role"
+              list="credit-roles"
+              aria-label="Credit role"
+            />
+            <Input
+              value={credit.name}
+              onChange={(e) => updateCredit(index, 'name', e.target.value)}
+              placeholder="Name"
+              aria-label="Credit name"
+            />
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() =>
+                setField(
+                  'credits',
+                  credits.filter((_, i) => i !== index),
+                )
+              }
+              aria-label="Remove credit"
+            >
+              <X className="w-4 h-4" />
+            </Button>
+          </div>
+        ))}
+        <datalist id="credit-roles">
+          {CREDIT_ROLE_SUGGESTIONS.map((role) => (
+            <option key={role} value={role} />
+          ))}
+        </datalist>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={() => setField('credits', [...credits, { role: '', name: '' }])}
+        >
+          <Plus className="mr-1 w-4 h-4" />
+          Add Credit
+        </Button>
+      </div>
+
+      <div>
+        <Label htmlFor="lyrics">Lyrics</Label>
+        <Textarea
+          id="lyrics"
+          name="lyrics"
+          value={formData.lyrics}
+          onChange={handleInputChange}
+          rows={4}
+        />
+      </div>
+
+      <div className="flex gap-2 items-center">
+        <Checkbox
+          id="explicit"
+          checked={!!formData.explicit}
+          onCheckedChange={(checked) => setField('explicit', checked === true)}
+        />
+        <Label htmlFor="explicit">Explicit content</Label>
+      </div>
+    </div>
+  );
+};
+
+export default TrackMetadataFields;
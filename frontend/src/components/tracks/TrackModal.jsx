@@ -18,6 +18,7 @@ const TrackModal = ({
   handleThumbnailChange,
   handleAudioChange,
   handlePreviewAudioChange,
+  handleGeneratedPreview,
   handleSubmit,
   thumbnailPreview,
   audioPreview,
@@ -25,6 +26,7 @@ const TrackModal = ({
   uploading = false,
   onOpenCropModal,
   audioFile,
+  analyzingAudio = false,
 }) => {
   return (
     <Dialog open={isOpen} onOpenChange={onClose}>
@@ -46,17 +48,19 @@ const TrackModal = ({
             handleThumbnailChange={handleThumbnailChange}
             handleAudioChange={handleAudioChange}
             handlePreviewAudioChange={handlePreviewAudioChange}
+            handleGeneratedPreview={handleGeneratedPreview}
             thumbnailPreview={thumbnailPreview}
             audioPreview={audioPreview}
             previewAudioPreview={previewAudioPreview}
             onOpenCropModal={onOpenCropModal}
             audioFile={audioFile}
+            analyzingAudio={analyzingAudio}
           />
           <DialogFooter className="mt-6">
             <Button type="button" variant="outline" onClick={onClose}>
               Cancel
             </Button>
-            <Button type="submit" disabled={uploading}>
+            <Button type="submit" disabled={uploading || analyzingAudio}>
               {uploading ? 'Uploading...' : editingTrack ? 'Update' : 'Create'}
             </Button>
           </DialogFooter>
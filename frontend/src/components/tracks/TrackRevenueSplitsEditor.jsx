@@ -0,0 +1,188 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Plus, Trash2 } from 'lucide-react';
+import { collaboratorsAPI } from '@/lib/api';
+import { COLLABORATOR_ROLE_OPTIONS, getSplitTotal } from '@/lib/collaborators';
+
+const emptySplit = {
+  collaborator: '',
+  role: 'artist',
+  percentage: '',
+};
+
+const TrackRevenueSplitsEditor = ({ revenueSplits = [], onChange }) => {
+  const [collaborators, setCollaborators] = useState([]);
+
+  useEffect(() => {
+    collaboratorsAPI
+      .getAll()
+      .then((data) => setCollaborators(Array.isArray(data) ? data : []))
+      .catch((error) => {
+        console.error('Error fetching collaborators:', error);
+        setCollaborators([]);
+      });
+  }, []);
+
+  const updateSplit = (index, changes) => {
+    onChange(
+      revenueSplits.map((split, i) =>
+        i === index ? { ...split, ...changes } : split,
+      ),
+    );
+  };
+
+  const handleCollaboratorChange = (index, collaboratorId) => {
+    const collaborator = collaborators.find(
+      (item) => item._id === collaboratorId,
+    );
+    // Start from the collaborator's usual role - it stays editable
+    updateSplit(index, {
+      collaborator: collaboratorId,
+      role: collaborator?.defaultRole || revenueSplits[index].role,
+    });
+  };
+
+  const handleAddSplit = () => {
+    onChange([...revenueSplits, { ...emptySplit }]);
+  };
+
+  const handleRemoveSplit = (index) => {
+    onChange(revenueSplits.filter((_, i) => i !== index));
+  };
+
+  const total = getSplitTotal(revenueSplits);
+  const ownerShare = Math.round((100 - total) * 100) / 100;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <Label>Revenue Split</Label>
+          <p className="text-xs text-gray-500">
+            Optional. Each sale pays these shares; the rest goes to the owner.
+          </p>
+        </div>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={handleAddSplit}
+          disabled={collaborators.length === 0}
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add Payee
+        </Button>
+      </div>
+
+      {collaborators.length === 0 && (
+        <p className="text-xs text-gray-500">
+          No collaborators yet.{' '}
+          <Link
+            to="/dashboard/collaborators"
+            className="text-blue-600 hover:underline"
+          >
+            Add one
+          </Link>{' '}
+          to split this track&apos;s revenue.
+        </p>
+      )}
+
+      {revenueSplits.map((split, index) => (
+        <div
+          key={index}
+          className="grid grid-cols-1 gap-3 items-end p-3 rounded-md border border-gray-200 md:grid-cols-[1fr_1fr_7rem_auto]"
+        >
+          <div>
+            <Label htmlFor={`split-collaborator-${index}`}>Collaborator</Label>
+            <Select
+              value={split.collaborator || undefined}
+              onValueChange={(value) => handleCollaboratorChange(index, value)}
+            >
+              <SelectTrigger id={`split-collaborator-${index}`}>
+                <SelectValue placeholder="Select a collaborator" />
+              </SelectTrigger>
+              <SelectContent>
+                {collaborators.map((collaborator) => (
+                  <SelectItem
+                    key={collaborator._id}
+                    value={collaborator._id}
+                    disabled={revenueSplits.some(
+                      (other, i) =>
+                        i !== index && other.collaborator === collaborator._id,
+                    )}
+                  >
+                    {collaborator.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <Label htmlFor={`split-role-${index}`}>Role</Label>
+            <Select
+              value={split.role || 'artist'}
+              onValueChange={(value) => updateSplit(index, { role: value })}
+            >
+              <SelectTrigger id={`split-role-${index}`}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {COLLABORATOR_ROLE_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <Label htmlFor={`split-percentage-${index}`}>Share (%)</Label>
+            <Input
+              id={`split-percentage-${index}`}
+              type="number"
+              step="0.01"
+              min="0.01"
+              max="100"
+              value={split.percentage}
+              onChange={(e) =>
+                updateSplit(index, { percentage: e.target.value })
+              }
+              required
+            />
+          </div>
+          <Button
+            type="button"
+            variant="ghost"
+            size="sm"
+            onClick={() => handleRemoveSplit(index)}
+            aria-label="Remove payee"
+          >
+            <Trash2 className="w-4 h-4" />
+          </Button>
+        </div>
+      ))}
+
+      {revenueSplits.length > 0 && (
+        <p
+          className={`text-sm ${total > 100 ? 'text-destructive' : 'text-gray-600'}`}
+        >
+          {total > 100
+            ? `Shares add up to ${total}% - they can't exceed 100%.`
+            : `Collaborators: ${total}% · Owner: ${ownerShare}%`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TrackRevenueSplitsEditor;
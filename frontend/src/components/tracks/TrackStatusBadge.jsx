@@ -0,0 +1,23 @@
+import { Badge } from '@/components/ui/badge';
+import { getTrackStatus } from '@/lib/trackStatus';
+
+const TrackStatusBadge = ({ track, className = '' }) => {
+  const status = getTrackStatus(track);
+  const isScheduled = status.value === 'scheduled' && track.releaseDate;
+
+  return (
+    <Badge
+      variant="outline"
+      className={`${status.className} ${className}`}
+      title={
+        isScheduled
+          ? `Goes live on ${new Date(track.releaseDate).toLocaleString()}`
+          : undefined
+      }
+    >
+      {status.label}
+    </Badge>
+  );
+};
+
+export default TrackStatusBadge;
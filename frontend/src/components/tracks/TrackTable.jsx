@@ -8,9 +8,20 @@ import {
 } from '@/components/ui/table';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
-import { Eye, ShoppingCart, DollarSign } from 'lucide-react';
+import { Eye, ShoppingCart, DollarSign, Star } from 'lucide-react';
+import TrackStatusBadge from './TrackStatusBadge';
+import { dragItemClassName } from '@/lib/displayOrder';
 
-const TrackTable = ({ tracks, onEdit, onDelete }) => {
+// drag (optional) is the useDragReorder result for the rows
+const TrackTable = ({
+  tracks,
+  onEdit,
+  onDelete,
+  onRelist,
+  onAnalytics,
+  onToggleFeatured,
+  drag,
+}) => {
   // Format price with BDT symbol
   const formatPrice = (price) => {
     return `৳ ${parseFloat(price).toLocaleString('en-US', {
@@ -33,6 +44,7 @@ const TrackTable = ({ tracks, onEdit, onDelete }) => {
         <TableRow>
           <TableHead>Thumbnail</TableHead>
           <TableHead>Title</TableHead>
+          <TableHead>Status</TableHead>
           <TableHead>Category</TableHead>
           <TableHead>Release Date</TableHead>
           <TableHead>Price</TableHead>
@@ -43,8 +55,12 @@ const TrackTable = ({ tracks, onEdit, onDelete }) => {
         </TableRow>
       </TableHeader>
       <TableBody>
-        {tracks.map((track) => (
-          <TableRow key={track._id || track.id}>
+        {tracks.map((track, index) => (
+          <TableRow
+            key={track._id || track.id}
+            className={drag ? dragItemClassName(index, drag) : undefined}
+            {...drag?.getDragProps(index)}
+          >
             <TableCell>
               {track.thumbnail && (
                 <img
@@ -54,7 +70,21 @@ const TrackTable = ({ tracks, onEdit, onDelete }) => {
                 />
               )}
             </TableCell>
-            <TableCell className="font-medium">{track.title}</TableCell>
+            <TableCell className="font-medium">
+              <div className="flex items-center gap-1">
+                {track.featured && (
+                  <Star
+                    className="w-4 h-4 text-yellow-500"
+                    fill="currentColor"
+                    aria-label="Featured"
+                  />
+                )}
+                {track.title}
+              </div>
+            </TableCell>
+            <TableCell>
+              <TrackStatusBadge track={track} />
+            </TableCell>
             <TableCell>
               <Badge variant="secondary">{track.category || 'Uncategorized'}</Badge>
             </TableCell>
@@ -90,6 +120,36 @@ const TrackTable = ({ tracks, onEdit, onDelete }) => {
                 : '-'}
             </TableCell>
             <TableCell className="text-right">
+              {track.soldExclusively && onRelist && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onRelist(track._id || track.id)}
+                  className="mr-2"
+                >
+                  Re-list
+                </Button>
+              )}
+              {onToggleFeatured && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onToggleFeatured(track)}
+                  className="mr-2"
+                >
+                  {track.featured ? 'Unfeature' : 'Feature'}
+                </Button>
+              )}
+              {onAnalytics && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onAnalytics(track)}
+                  className="mr-2"
+                >
+                  Analytics
+                </Button>
+              )}
               <Button
                 variant="ghost"
                 size="sm"
@@ -0,0 +1,79 @@
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { TRASH_TYPE_LABELS } from '@/lib/trash';
+
+const TrashTable = ({ items, onRestore, onPurge }) => {
+  if (items.length === 0) {
+    return (
+      <div className="py-8 text-center text-muted-foreground">
+        The trash is empty
+      </div>
+    );
+  }
+
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>Name</TableHead>
+          <TableHead>Type</TableHead>
+          <TableHead>Deleted</TableHead>
+          <TableHead>Purged On</TableHead>
+          <TableHead className="text-right">Actions</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {items.map((item) => (
+          <TableRow key={`${item.type}-${item._id}`}>
+            <TableCell className="font-medium">
+              {item.name || <span className="text-gray-400">Untitled</span>}
+            </TableCell>
+            <TableCell>{TRASH_TYPE_LABELS[item.type] || item.type}</TableCell>
+            <TableCell className="whitespace-nowrap">
+              {new Date(item.deletedAt).toLocaleDateString()}
+            </TableCell>
+            <TableCell className="whitespace-nowrap">
+              {item.hasBuyers ? (
+                <span className="text-xs text-gray-500">
+                  Kept for buyers
+                </span>
+              ) : item.purgeAt ? (
+                new Date(item.purgeAt).toLocaleDateString()
+              ) : (
+                <span className="text-xs text-gray-500">Never</span>
+              )}
+            </TableCell>
+            <TableCell className="text-right">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => onRestore(item)}
+                className="mr-2"
+              >
+                Restore
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => onPurge(item)}
+                disabled={item.hasBuyers}
+                className="text-destructive"
+              >
+                Delete Forever
+              </Button>
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+};
+
+export default TrashTable;
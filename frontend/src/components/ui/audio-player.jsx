@@ -9,6 +9,7 @@ import {
 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Slider } from '@/components/ui/slider';
+import { Waveform } from '@/components/ui/waveform';
 import { cn } from '@/lib/utils';
 
 const AudioPlayer = ({
@@ -18,6 +19,7 @@ const AudioPlayer = ({
   onRemove,
   className,
   compact = false,
+  peaks,
 }) => {
   const audioRef = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
@@ -182,15 +184,26 @@ const AudioPlayer = ({
 
       {/* Progress Bar */}
       <div className={cn(compact ? 'mb-2' : 'mb-3', 'relative z-20')}>
-        <Slider
-          value={[currentTime]}
-          min={0}
-          max={duration || 100}
-          step={0.1}
-          onValueChange={handleSeek}
-          className="w-full"
-          disabled={isLoading || !duration}
-        />
+        {peaks?.length > 0 ? (
+          <Waveform
+            peaks={peaks}
+            progress={duration ? currentTime / duration : 0}
+            onSeek={(ratio) => handleSeek(ratio * duration)}
+            bars={compact ? 60 : 120}
+            className={compact ? 'h-8' : 'h-12'}
+            disabled={isLoading || !duration}
+          />
+        ) : (
+          <Slider
+            value={[currentTime]}
+            min={0}
+            max={duration || 100}
+            step={0.1}
+            onValueChange={handleSeek}
+            className="w-full"
+            disabled={isLoading || !duration}
+          />
+        )}
         <div
           className={cn(
             'flex justify-between mt-1 text-gray-500 dark:text-gray-400',
@@ -0,0 +1,73 @@
+import { useMemo } from 'react';
+import { cn } from '@/lib/utils';
+
+// Merge stored peaks into fewer bars so they stay readable in small players
+const downsample = (peaks, bars) => {
+  if (peaks.length <= bars) return peaks;
+  return Array.from({ length: bars }, (_, i) => {
+    const start = Math.floor((i * peaks.length) / bars);
+    const end = Math.floor(((i + 1) * peaks.length) / bars);
+    return Math.max(...peaks.slice(start, end));
+  });
+};
+
+// Waveform seek bar: peak bars (0-1), played part highlighted, click to seek
+function Waveform({
+  peaks,
+  progress = 0,
+  onSeek,
+  disabled = false,
+  bars = 120,
+  className,
+}) {
+  const visiblePeaks = useMemo(() => downsample(peaks, bars), [peaks, bars]);
+
+  const seekTo = (ratio) => {
+    if (disabled || !onSeek) return;
+    onSeek(Math.min(1, Math.max(0, ratio)));
+  };
+
+  const handleClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    seekTo((e.clientX - rect.left) / rect.width);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowLeft') seekTo(progress - 0.05);
+    if (e.key === 'ArrowRight') seekTo(progress + 0.05);
+  };
+
+  return (
+    <div
+      role="slider"
+      aria-label="Seek"
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={Math.round(progress * 100)}
+      aria-disabled={disabled}
+      tabIndex={disabled ? -1 : 0}
+      onClick={handleClick}
+      onKeyDown={handleKeyDown}
+      className={cn(
+        'flex gap-px items-center w-full h-10 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary rounded-sm',
+        disabled ? 'opacity-60' : 'cursor-pointer',
+        className,
+      )}
+    >
+      {visiblePeaks.map((peak, index) => (
+        <div
+          key={index}
+          className={cn(
+            'flex-1 rounded-full',
+            (index + 0.5) / visiblePeaks.length <= progress
+              ? 'bg-primary'
+              : 'bg-gray-300 dark:bg-gray-600',
+          )}
+          style={{ height: `${Math.max(peak * 100, 6)}%` }}
+        />
+      ))}
+    </div>
+  );
+}
+
+export { Waveform };
@@ -1,10 +1,11 @@
 import { useState } from 'react';
 import { Card } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { Edit, Trash2, Play } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Edit, Trash2, Play, Star } from 'lucide-react';
 import { getYouTubeThumbnail, getYouTubeVideoId } from '@/lib/utils';
 
-const YouTubeCard = ({ video, onEdit, onDelete }) => {
+const YouTubeCard = ({ video, onEdit, onDelete, onToggleFeatured }) => {
   const [thumbnailError, setThumbnailError] = useState(false);
 
   // Fix thumbnail URL issues
@@ -129,6 +130,16 @@ const YouTubeCard = ({ video, onEdit, onDelete }) => {
             </div>
           </a>
         )}
+
+        {/* Featured Badge */}
+        {video.featured && (
+          <div className="absolute top-2 left-2 z-10">
+            <Badge className="shadow-sm">
+              <Star className="mr-1 w-3 h-3" fill="currentColor" />
+              Featured
+            </Badge>
+          </div>
+        )}
       </div>
 
       {/* Content Section */}
@@ -147,6 +158,20 @@ const YouTubeCard = ({ video, onEdit, onDelete }) => {
 
         {/* Action Buttons */}
         <div className="flex gap-2 pt-2 border-t border-gray-100">
+          {onToggleFeatured && (
+            <Button
+              variant="outline"
+              size="sm"
+              className="h-9 px-2.5"
+              title={video.featured ? 'Unfeature' : 'Feature'}
+              onClick={() => onToggleFeatured(video)}
+            >
+              <Star
+                className="h-3.5 w-3.5"
+                fill={video.featured ? 'currentColor' : 'none'}
+              />
+            </Button>
+          )}
           <Button
             variant="outline"
             size="sm"
@@ -79,6 +79,22 @@ const YouTubeForm = ({
         />
       </div>
 
+      {/* Slug */}
+      <div>
+        <Label htmlFor="slug">URL Slug (Optional)</Label>
+        <Input
+          id="slug"
+          name="slug"
+          value={formData.slug}
+          onChange={handleInputChange}
+          placeholder="generated-from-the-title"
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          Used in share links. Leave empty to generate it from the title; old
+          slugs keep redirecting after a change.
+        </p>
+      </div>
+
       {/* Description */}
       <div>
         <Label htmlFor="description">Description / Lyrics</Label>
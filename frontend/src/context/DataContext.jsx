@@ -23,15 +23,17 @@ export const DataProvider = ({ children }) => {
     setLoading(true);
     try {
       const [tracksData, imagesResponse, plansData] = await Promise.all([
-        tracksAPI.getAll().catch(() => []),
+        tracksAPI
+          .getAll({ page: 1, limit: 100 })
+          .catch(() => ({ items: [], pagination: {} })),
         galleryAPI
           .getAll({ page: 1, limit: 20 })
           .catch(() => ({ images: [], pagination: {} })),
         pricingAPI.getAll().catch(() => []),
       ]);
 
-      setTracks(tracksData);
-      // Handle paginated response from gallery API
+      // Handle paginated responses from tracks and gallery APIs
+      setTracks(tracksData?.items || []);
       setImages(imagesResponse?.images || imagesResponse || []);
       setPricingPlans(plansData);
       setInitialized(true);
@@ -98,12 +100,12 @@ export const DataProvider = ({ children }) => {
       setLoading(true);
       try {
         const [tracksData, imagesResponse, plansData] = await Promise.all([
-          tracksAPI.getAll(),
+          tracksAPI.getAll({ page: 1, limit: 100 }),
           galleryAPI.getAll({ page: 1, limit: 20 }),
           pricingAPI.getAll(),
         ]);
-        setTracks(tracksData);
-        // Handle paginated response from gallery API
+        // Handle paginated responses from tracks and gallery APIs
+        setTracks(tracksData?.items || []);
         setImages(imagesResponse?.images || imagesResponse || []);
         setPricingPlans(plansData);
         setInitialized(true);
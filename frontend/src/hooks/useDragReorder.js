@@ -0,0 +1,51 @@
+import { useState } from 'react';
+
+/**
+ * Custom hook for drag-and-drop reordering of a list (native HTML5 drag events)
+ * @param {Array} items - Items in their current order
+ * @param {Function} onReorder - Called with the reordered items after a drop
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.enabled - Whether items can be dragged (default: true)
+ * @returns {Object} - getDragProps(index) to spread on each item, plus the dragged and hovered indexes
+ */
+export function useDragReorder(items, onReorder, options = {}) {
+  const { enabled = true } = options;
+  const [draggingIndex, setDraggingIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+
+  const reset = () => {
+    setDraggingIndex(null);
+    setOverIndex(null);
+  };
+
+  const getDragProps = (index) => {
+    if (!enabled) return {};
+
+    return {
+      draggable: true,
+      onDragStart: (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        setDraggingIndex(index);
+      },
+      onDragOver: (e) => {
+        if (draggingIndex === null) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        if (overIndex !== index) setOverIndex(index);
+      },
+      onDrop: (e) => {
+        e.preventDefault();
+        if (draggingIndex !== null && draggingIndex !== index) {
+          const reordered = [...items];
+          const [moved] = reordered.splice(draggingIndex, 1);
+          reordered.splice(index, 0, moved);
+          onReorder(reordered);
+        }
+        reset();
+      },
+      onDragEnd: reset,
+    };
+  };
+
+  return { getDragProps, draggingIndex, overIndex };
+}
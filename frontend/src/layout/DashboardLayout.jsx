@@ -16,12 +16,17 @@ const DashboardLayout = () => {
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: '📊' },
     { name: 'Tracks', href: '/dashboard/tracks', icon: '🎵' },
+    { name: 'Releases', href: '/dashboard/releases', icon: '💿' },
+    { name: 'Categories', href: '/dashboard/categories', icon: '🏷️' },
+    { name: 'Collaborators', href: '/dashboard/collaborators', icon: '🤝' },
     { name: 'Pricing', href: '/dashboard/pricing', icon: '💰' },
     { name: 'Gallery', href: '/dashboard/gallery', icon: '🖼️' },
     { name: 'YouTube', href: '/dashboard/youtube', icon: '▶️' },
     { name: 'TikTok', href: '/dashboard/tiktok', icon: '🎬' },
     { name: 'Contacts', href: '/dashboard/contacts', icon: '📧' },
     { name: 'Payment History', href: '/dashboard/payment-history', icon: '💳' },
+    { name: 'Payouts', href: '/dashboard/payouts', icon: '🧾' },
+    { name: 'Trash', href: '/dashboard/trash', icon: '🗑️' },
     { name: 'API Docs', href: '/dashboard/api-docs', icon: '📚' },
   ];
 
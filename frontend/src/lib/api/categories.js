@@ -0,0 +1,44 @@
+import { apiRequest, apiRequestWithFiles } from './utils.js';
+
+// Categories API
+export const categoriesAPI = {
+  getAll: async () => {
+    // Add nocache parameter to bypass cache for admin panel
+    return apiRequest('/categories?nocache=true');
+  },
+
+  getById: async (idOrSlug) => {
+    return apiRequest(`/categories/${idOrSlug}`);
+  },
+
+  // Upload cover image - returns { url: "https://..." }
+  uploadCover: async (imageFile) => {
+    const formData = new FormData();
+    formData.append('coverImage', imageFile);
+    return apiRequestWithFiles('/categories/upload/cover', formData, 'POST');
+  },
+
+  create: async (categoryData) => {
+    return apiRequest('/categories', {
+      method: 'POST',
+      body: categoryData,
+    });
+  },
+
+  update: async (id, categoryData) => {
+    return apiRequest(`/categories/${id}`, {
+      method: 'PUT',
+      body: categoryData,
+    });
+  },
+
+  // reassignTo: category ID that receives this category's tracks (required if it has any)
+  delete: async (id, reassignTo = null) => {
+    const query = reassignTo
+      ? `?reassignTo=${encodeURIComponent(reassignTo)}`
+      : '';
+    return apiRequest(`/categories/${id}${query}`, {
+      method: 'DELETE',
+    });
+  },
+};
@@ -0,0 +1,28 @@
+import { apiRequest } from './utils.js';
+
+// Collaborators API (revenue split payees - admin only)
+export const collaboratorsAPI = {
+  getAll: async () => {
+    return apiRequest('/collaborators');
+  },
+
+  create: async (collaboratorData) => {
+    return apiRequest('/collaborators', {
+      method: 'POST',
+      body: collaboratorData,
+    });
+  },
+
+  update: async (id, collaboratorData) => {
+    return apiRequest(`/collaborators/${id}`, {
+      method: 'PUT',
+      body: collaboratorData,
+    });
+  },
+
+  delete: async (id) => {
+    return apiRequest(`/collaborators/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
@@ -1,4 +1,4 @@
-import { apiRequest, apiRequestWithFiles } from './utils.js';
+import { apiRequest, apiRequestWithFiles, uploadQuery } from './utils.js';
 
 // Gallery API
 export const galleryAPI = {
@@ -27,11 +27,15 @@ export const galleryAPI = {
     return apiRequest(`/gallery/${id}`);
   },
 
-  // Upload image file - returns { url: "https://..." }
-  upload: async (imageFile) => {
+  // Upload image file - returns { url: "https://...", duplicate }
+  upload: async (imageFile, { force = false } = {}) => {
     const formData = new FormData();
     formData.append('image', imageFile);
-    return apiRequestWithFiles('/gallery/upload', formData, 'POST');
+    return apiRequestWithFiles(
+      `/gallery/upload${uploadQuery(force)}`,
+      formData,
+      'POST',
+    );
   },
 
   create: async (imageData) => {
@@ -48,6 +52,14 @@ export const galleryAPI = {
     });
   },
 
+  // Save a new display order (IDs in their new order)
+  reorder: async (ids) => {
+    return apiRequest('/gallery/reorder', {
+      method: 'PUT',
+      body: { ids },
+    });
+  },
+
   delete: async (id) => {
     return apiRequest(`/gallery/${id}`, {
       method: 'DELETE',
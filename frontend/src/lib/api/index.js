@@ -5,8 +5,14 @@
 
 export { authAPI } from './auth.js';
 export { tracksAPI } from './tracks.js';
+export { categoriesAPI } from './categories.js';
 export { galleryAPI } from './gallery.js';
 export { pricingAPI } from './pricing.js';
+export { collaboratorsAPI } from './collaborators.js';
+export { ledgerAPI } from './ledger.js';
+export { paymentsAPI } from './payments.js';
+export { trashAPI } from './trash.js';
+export { releasesAPI } from './releases.js';
 export { salesAPI } from './sales.js';
 export { dashboardAPI } from './dashboard.js';
 export { contactsAPI } from './contacts.js';
@@ -0,0 +1,38 @@
+import { apiRequest, apiDownload } from './utils.js';
+
+// Ledger API (payee balances, payouts and settlement statements - admin only)
+export const ledgerAPI = {
+  getBalances: async () => {
+    return apiRequest('/ledger/balances');
+  },
+
+  getBalance: async (payeeId) => {
+    return apiRequest(`/ledger/balances/${payeeId}`);
+  },
+
+  recordPayout: async (payoutData) => {
+    return apiRequest('/ledger/payouts', {
+      method: 'POST',
+      body: payoutData,
+    });
+  },
+
+  deletePayout: async (id) => {
+    return apiRequest(`/ledger/payouts/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // month is YYYY-MM
+  getStatement: async (payeeId, month) => {
+    return apiRequest(`/ledger/statements/${payeeId}?month=${month}`);
+  },
+
+  // format is 'csv' or 'pdf'
+  downloadStatement: async (payeeId, month, format, fileName) => {
+    return apiDownload(
+      `/ledger/statements/${payeeId}?month=${month}&format=${format}`,
+      fileName,
+    );
+  },
+};
@@ -0,0 +1,14 @@
+import { apiRequest } from './utils.js';
+
+// Payments API (payment reconciliation - admin only)
+export const paymentsAPI = {
+  getReconciliationReports: async (limit = 5) => {
+    return apiRequest(`/payments/reconciliation/reports?limit=${limit}`);
+  },
+
+  runReconciliation: async () => {
+    return apiRequest('/payments/reconciliation', {
+      method: 'POST',
+    });
+  },
+};
@@ -0,0 +1,50 @@
+import { apiRequest, apiRequestWithFiles } from './utils.js';
+
+// Releases API (albums, EPs, singles and bundles)
+export const releasesAPI = {
+  getAll: async (options = {}) => {
+    // Add nocache parameter to bypass cache for admin panel
+    const params = new URLSearchParams();
+    params.append('nocache', 'true');
+
+    if (options.search) params.append('search', options.search);
+    if (options.type) params.append('type', options.type);
+    if (options.status) params.append('status', options.status);
+    if (options.page) params.append('page', options.page.toString());
+    if (options.limit) params.append('limit', options.limit.toString());
+
+    // Returns { items: [...], pagination: {...} }
+    return apiRequest(`/releases?${params.toString()}`);
+  },
+
+  getById: async (id) => {
+    return apiRequest(`/releases/${id}`);
+  },
+
+  // Upload artwork file - returns { url: "https://..." }
+  uploadArtwork: async (artworkFile) => {
+    const formData = new FormData();
+    formData.append('artwork', artworkFile);
+    return apiRequestWithFiles('/releases/upload/artwork', formData, 'POST');
+  },
+
+  create: async (releaseData) => {
+    return apiRequest('/releases', {
+      method: 'POST',
+      body: releaseData,
+    });
+  },
+
+  update: async (id, releaseData) => {
+    return apiRequest(`/releases/${id}`, {
+      method: 'PUT',
+      body: releaseData,
+    });
+  },
+
+  delete: async (id) => {
+    return apiRequest(`/releases/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
@@ -33,5 +33,16 @@ export const salesAPI = {
       method: 'DELETE',
     });
   },
+
+  getRefunds: async (id) => {
+    return apiRequest(`/sales/${id}/refunds`);
+  },
+
+  createRefund: async (id, refundData) => {
+    return apiRequest(`/sales/${id}/refunds`, {
+      method: 'POST',
+      body: refundData,
+    });
+  },
 };
 
@@ -1,4 +1,4 @@
-import { apiRequest, apiRequestWithFiles } from './utils.js';
+import { apiRequest, apiRequestWithFiles, uploadQuery } from './utils.js';
 
 // TikTok API
 export const tiktokAPI = {
@@ -7,18 +7,26 @@ export const tiktokAPI = {
     return apiRequest('/tiktok?nocache=true');
   },
 
-  // Upload video file - returns { url: "https://...", thumbnail: "https://..." }
-  upload: async (videoFile) => {
+  // Upload video file - returns { url: "https://...", thumbnail: "https://...", duplicate }
+  upload: async (videoFile, { force = false } = {}) => {
     const formData = new FormData();
     formData.append('video', videoFile);
-    return apiRequestWithFiles('/tiktok/upload', formData, 'POST');
+    return apiRequestWithFiles(
+      `/tiktok/upload${uploadQuery(force)}`,
+      formData,
+      'POST',
+    );
   },
 
-  // Upload thumbnail file - returns { url: "https://..." }
-  uploadThumbnail: async (thumbnailFile) => {
+  // Upload thumbnail file - returns { url: "https://...", duplicate }
+  uploadThumbnail: async (thumbnailFile, { force = false } = {}) => {
     const formData = new FormData();
     formData.append('thumbnail', thumbnailFile);
-    return apiRequestWithFiles('/tiktok/upload-thumbnail', formData, 'POST');
+    return apiRequestWithFiles(
+      `/tiktok/upload-thumbnail${uploadQuery(force)}`,
+      formData,
+      'POST',
+    );
   },
 
   create: async (videoData) => {
@@ -35,6 +43,14 @@ export const tiktokAPI = {
     });
   },
 
+  // Save a new display order (IDs in their new order)
+  reorder: async (ids) => {
+    return apiRequest('/tiktok/reorder', {
+      method: 'PUT',
+      body: { ids },
+    });
+  },
+
   delete: async (id) => {
     return apiRequest(`/tiktok/${id}`, {
       method: 'DELETE',
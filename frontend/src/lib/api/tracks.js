@@ -1,12 +1,44 @@
-import { apiRequest, apiRequestWithFiles } from './utils.js';
+import { apiRequest, apiRequestWithFiles, uploadQuery } from './utils.js';
 
 // Tracks API
 export const tracksAPI = {
-  getAll: async (category) => {
+  getAll: async (options = {}) => {
     // Add nocache parameter to bypass cache for admin panel
     const params = new URLSearchParams();
-    if (category) params.append('category', category);
     params.append('nocache', 'true');
+
+    // Search and filter parameters
+    if (options.search) params.append('search', options.search);
+    if (options.category) params.append('category', options.category);
+    if (options.status) params.append('status', options.status);
+    if (options.soldExclusively) params.append('soldExclusively', 'true');
+    if (options.minPrice !== undefined && options.minPrice !== '') {
+      params.append('minPrice', options.minPrice.toString());
+    }
+    if (options.maxPrice !== undefined && options.maxPrice !== '') {
+      params.append('maxPrice', options.maxPrice.toString());
+    }
+    if (options.minBpm !== undefined && options.minBpm !== '') {
+      params.append('minBpm', options.minBpm.toString());
+    }
+    if (options.maxBpm !== undefined && options.maxBpm !== '') {
+      params.append('maxBpm', options.maxBpm.toString());
+    }
+    if (options.key) params.append('key', options.key);
+    if (options.tags) params.append('tags', options.tags);
+    if (options.releasedFrom) params.append('releasedFrom', options.releasedFrom);
+    if (options.releasedTo) params.append('releasedTo', options.releasedTo);
+    if (options.sort) params.append('sort', options.sort);
+
+    // Pagination parameters
+    if (options.page) {
+      params.append('page', options.page.toString());
+    }
+    if (options.limit) {
+      params.append('limit', options.limit.toString());
+    }
+
+    // Returns { items: [...], pagination: {...}, facets: { categories: [...] } }
     return apiRequest(`/tracks?${params.toString()}`);
   },
 
@@ -14,24 +46,28 @@ export const tracksAPI = {
     return apiRequest(`/tracks/${id}`);
   },
 
-  // Get audio URL (requires purchase verification)
-  // Returns: { audioUrl: "...", expiresAt: "..." }
-  getAudioUrl: async (trackId, buyerEmail, purchaseToken) => {
+  // Waveform peaks - returns { trackId, waveform: [0-1, ...] | null, previewWaveform: [...] | null }
+  getWaveform: async (id) => {
+    return apiRequest(`/tracks/${id}/waveform`);
+  },
+
+  // Get signed audio URL (requires purchase verification)
+  // Returns: { audioUrl: "...", accessToken: "...", expiresAt: "..." }
+  getAudioUrl: async (trackId, orderId, purchaseToken) => {
     const queryParams = new URLSearchParams();
-    if (buyerEmail) queryParams.append('email', buyerEmail);
+    if (orderId) queryParams.append('orderId', orderId);
     if (purchaseToken) queryParams.append('token', purchaseToken);
 
     const query = queryParams.toString();
     return apiRequest(`/tracks/${trackId}/audio${query ? `?${query}` : ''}`);
   },
 
-  // Get audio stream URL (requires purchase verification)
+  // Get audio stream URL for a signed access token (from getAudioUrl)
   // Returns a streaming URL that proxies through the server
-  // More secure than direct URL access - prevents direct download
-  getAudioStreamUrl: (trackId, buyerEmail, purchaseToken) => {
+  // More secure than direct URL access - stops working when the token expires
+  getAudioStreamUrl: (trackId, accessToken) => {
     const queryParams = new URLSearchParams();
-    if (buyerEmail) queryParams.append('email', buyerEmail);
-    if (purchaseToken) queryParams.append('token', purchaseToken);
+    if (accessToken) queryParams.append('access', accessToken);
 
     const query = queryParams.toString();
     // Use same logic as utils.js for consistency
@@ -50,25 +86,81 @@ export const tracksAPI = {
     }`;
   },
 
-  // Upload thumbnail file - returns { url: "https://..." }
-  uploadThumbnail: async (thumbnailFile) => {
+  // Upload thumbnail file - returns { url: "https://...", duplicate }
+  uploadThumbnail: async (thumbnailFile, { force = false } = {}) => {
     const formData = new FormData();
     formData.append('thumbnail', thumbnailFile);
-    return apiRequestWithFiles('/tracks/upload/thumbnail', formData, 'POST');
+    return apiRequestWithFiles(
+      `/tracks/upload/thumbnail${uploadQuery(force)}`,
+      formData,
+      'POST',
+    );
   },
 
-  // Upload audio file - returns { url: "https://..." }
-  uploadAudio: async (audioFile) => {
+  // Upload audio file - returns { url: "https://...", metadata: { duration, bitrate, sampleRate, tags } | null, waveform: [0-1, ...] | null, duplicate }
+  uploadAudio: async (audioFile, { force = false } = {}) => {
     const formData = new FormData();
     formData.append('audio', audioFile);
-    return apiRequestWithFiles('/tracks/upload/audio', formData, 'POST');
+    return apiRequestWithFiles(
+      `/tracks/upload/audio${uploadQuery(force)}`,
+      formData,
+      'POST',
+    );
   },
 
-  // Upload preview/short audio file - returns { url: "https://..." }
-  uploadPreviewAudio: async (previewAudioFile) => {
+  // Upload preview/short audio file - returns { url: "https://...", waveform: [0-1, ...] | null, duplicate }
+  uploadPreviewAudio: async (previewAudioFile, { force = false } = {}) => {
     const formData = new FormData();
     formData.append('previewAudio', previewAudioFile);
-    return apiRequestWithFiles('/tracks/upload/preview-audio', formData, 'POST');
+    return apiRequestWithFiles(
+      `/tracks/upload/preview-audio${uploadQuery(force)}`,
+      formData,
+      'POST',
+    );
+  },
+
+  // Cut a preview from an uploaded full track on the server
+  // settings: { audioUrl, start, length, fadeIn, fadeOut, watermark }
+  // Returns { url, waveform, duration, watermarked, settings }
+  generatePreview: async (settings) => {
+    return apiRequest('/tracks/previews/generate', {
+      method: 'POST',
+      body: settings,
+    });
+  },
+
+  // Re-render previews from the full tracks (e.g. after the voice tag changed)
+  // options: { all?: boolean, trackIds?: [] } - returns { total, regenerated, failed: [...] }
+  regeneratePreviews: async (options = {}) => {
+    return apiRequest('/tracks/previews/regenerate', {
+      method: 'POST',
+      body: options,
+    });
+  },
+
+  // Upload a license deliverable (WAV, stems ZIP, ...) - returns { url: "https://...", duplicate }
+  uploadLicenseFile: async (file, { force = false } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return apiRequestWithFiles(
+      `/tracks/upload/license-file${uploadQuery(force)}`,
+      formData,
+      'POST',
+    );
+  },
+
+  // Bulk import from a CSV/JSON manifest and an optional ZIP of media files
+  // Dry runs return the finished job; imports return it at once - poll getImportJob
+  importTracks: async ({ manifest, media, dryRun = false }) => {
+    const formData = new FormData();
+    formData.append('manifest', manifest);
+    if (media) formData.append('media', media);
+    formData.append('dryRun', String(dryRun));
+    return apiRequestWithFiles('/tracks/import', formData, 'POST');
+  },
+
+  getImportJob: async (jobId) => {
+    return apiRequest(`/tracks/import/${jobId}`);
   },
 
   create: async (trackData) => {
@@ -85,16 +177,53 @@ export const tracksAPI = {
     });
   },
 
+  // Save a new display order (IDs in their new order)
+  reorder: async (ids) => {
+    return apiRequest('/tracks/reorder', {
+      method: 'PUT',
+      body: { ids },
+    });
+  },
+
   delete: async (id) => {
     return apiRequest(`/tracks/${id}`, {
       method: 'DELETE',
     });
   },
 
-  // Increment view count - returns { message: "...", views: number }
-  incrementView: async (id) => {
+  // Re-list a track retired by an exclusive sale (admin override)
+  relist: async (id) => {
+    return apiRequest(`/tracks/${id}/relist`, {
+      method: 'POST',
+    });
+  },
+
+  // Record a view - returns { message, recorded, views }
+  // Repeat views from the same visitor are ignored by the server
+  incrementView: async (id, attribution = {}) => {
     return apiRequest(`/tracks/${id}/view`, {
       method: 'POST',
+      body: attribution,
     });
   },
+
+  // Record a listener event: view, preview-play or preview-complete
+  // event: { type, visitorId?, referrer?, utm? }
+  recordEvent: async (id, event) => {
+    return apiRequest(`/tracks/${id}/events`, {
+      method: 'POST',
+      body: event,
+    });
+  },
+
+  // Daily analytics - params: { days } or { from, to } (YYYY-MM-DD)
+  getAnalytics: async (id, params = {}) => {
+    const queryParams = new URLSearchParams();
+    if (params.days) queryParams.append('days', params.days);
+    if (params.from) queryParams.append('from', params.from);
+    if (params.to) queryParams.append('to', params.to);
+
+    const query = queryParams.toString();
+    return apiRequest(`/tracks/${id}/analytics${query ? `?${query}` : ''}`);
+  },
 };
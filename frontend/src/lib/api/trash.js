@@ -0,0 +1,27 @@
+import { apiRequest } from './utils.js';
+
+// Trash API (restore or purge soft-deleted content - admin only)
+export const trashAPI = {
+  // type is one of track, gallery, youtube, tiktok, pricing (all types when omitted)
+  getAll: async (type) => {
+    return apiRequest(type ? `/trash?type=${type}` : '/trash');
+  },
+
+  restore: async (type, id) => {
+    return apiRequest(`/trash/${type}/${id}/restore`, {
+      method: 'POST',
+    });
+  },
+
+  purge: async (type, id) => {
+    return apiRequest(`/trash/${type}/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  empty: async () => {
+    return apiRequest('/trash', {
+      method: 'DELETE',
+    });
+  },
+};
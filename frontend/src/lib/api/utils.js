@@ -107,6 +107,9 @@ export const apiRequest = async (endpoint, options = {}) => {
   }
 };
 
+// Query string for the upload endpoints: force skips their duplicate check
+export const uploadQuery = (force) => (force ? '?force=true' : '');
+
 // Helper function for file uploads with timeout and better error handling
 export const apiRequestWithFiles = async (
   endpoint,
@@ -182,3 +185,56 @@ export const apiRequestWithFiles = async (
     throw new Error('Network error. Please check your connection.');
   }
 };
+
+// Helper function to download an authenticated file (CSV, PDF, ...) and save it
+export const apiDownload = async (endpoint, fileName) => {
+  const token = localStorage.getItem('token');
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+  try {
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      credentials: 'include',
+      signal: controller.signal,
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      handleTokenExpiration();
+      throw new Error('Authentication failed. Please login again.');
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(
+        data.message || `Download failed with status ${response.status}`,
+      );
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(
+        'Download timeout. Please check your connection and try again.',
+      );
+    }
+
+    if (error.message) {
+      throw error;
+    }
+
+    throw new Error('Network error. Please check your connection.');
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
@@ -1,4 +1,4 @@
-import { apiRequest, apiRequestWithFiles } from './utils.js';
+import { apiRequest, apiRequestWithFiles, uploadQuery } from './utils.js';
 
 // YouTube API
 export const youtubeAPI = {
@@ -7,11 +7,15 @@ export const youtubeAPI = {
     return apiRequest('/youtube?nocache=true');
   },
 
-  // Upload thumbnail file - returns { url: "https://..." }
-  upload: async (thumbnailFile) => {
+  // Upload thumbnail file - returns { url: "https://...", duplicate }
+  upload: async (thumbnailFile, { force = false } = {}) => {
     const formData = new FormData();
     formData.append('thumbnail', thumbnailFile);
-    return apiRequestWithFiles('/youtube/upload', formData, 'POST');
+    return apiRequestWithFiles(
+      `/youtube/upload${uploadQuery(force)}`,
+      formData,
+      'POST',
+    );
   },
 
   create: async (videoData) => {
@@ -28,6 +32,14 @@ export const youtubeAPI = {
     });
   },
 
+  // Save a new display order (IDs in their new order)
+  reorder: async (ids) => {
+    return apiRequest('/youtube/reorder', {
+      method: 'PUT',
+      body: { ids },
+    });
+  },
+
   delete: async (id) => {
     return apiRequest(`/youtube/${id}`, {
       method: 'DELETE',
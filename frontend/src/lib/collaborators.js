@@ -0,0 +1,21 @@
+// Collaborator roles (mirrors COLLABORATOR_ROLES in the backend)
+export const COLLABORATOR_ROLE_OPTIONS = [
+  { value: 'artist', label: 'Artist' },
+  { value: 'producer', label: 'Producer' },
+  { value: 'lyricist', label: 'Lyricist' },
+  { value: 'composer', label: 'Composer' },
+  { value: 'featured artist', label: 'Featured Artist' },
+  { value: 'mixing engineer', label: 'Mixing Engineer' },
+  { value: 'other', label: 'Other' },
+];
+
+export const getCollaboratorRoleLabel = (value) =>
+  COLLABORATOR_ROLE_OPTIONS.find((option) => option.value === value)?.label ||
+  value;
+
+// Sum of split percentages, rounded to hundredths
+export const getSplitTotal = (splits = []) =>
+  Math.round(
+    splits.reduce((sum, split) => sum + (parseFloat(split.percentage) || 0), 0) *
+      100,
+  ) / 100;
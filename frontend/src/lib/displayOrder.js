@@ -0,0 +1,15 @@
+// Featured items always come first in public lists, so a drag can't move
+// an item past that boundary; keep the list the way the server will sort it
+export const featuredFirst = (items) => [
+  ...items.filter((item) => item.featured),
+  ...items.filter((item) => !item.featured),
+];
+
+// Drag feedback for the item at an index
+export const dragItemClassName = (index, { draggingIndex, overIndex }) => {
+  if (draggingIndex === index) return 'opacity-50';
+  if (draggingIndex !== null && overIndex === index) {
+    return 'rounded-lg ring-2 ring-primary';
+  }
+  return '';
+};
@@ -0,0 +1,22 @@
+// License tier types (mirrors LICENSE_TYPES in the backend)
+export const LICENSE_TYPE_OPTIONS = [
+  {
+    value: 'basic',
+    label: 'Basic',
+    className: 'bg-gray-100 text-gray-700 border-gray-200',
+  },
+  {
+    value: 'premium',
+    label: 'Premium',
+    className: 'bg-blue-100 text-blue-700 border-blue-200',
+  },
+  {
+    value: 'exclusive',
+    label: 'Exclusive',
+    className: 'bg-purple-100 text-purple-700 border-purple-200',
+  },
+];
+
+export const getLicenseType = (value) =>
+  LICENSE_TYPE_OPTIONS.find((option) => option.value === value) ||
+  LICENSE_TYPE_OPTIONS[0];
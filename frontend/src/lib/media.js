@@ -0,0 +1,16 @@
+// Upload endpoints answer with `duplicate` when the file (or a near-identical
+// image) is already stored; they return the existing URL instead of a copy.
+// upload(options) calls an API upload helper - when it hits a duplicate the
+// admin can keep the existing file or upload a new copy with { force: true }
+export const uploadWithDuplicateCheck = async (upload) => {
+  const result = await upload();
+  if (
+    !result?.duplicate ||
+    window.confirm(
+      `${result.duplicate.message}.\n\nOK keeps the existing file, Cancel uploads a new copy anyway.`,
+    )
+  ) {
+    return result;
+  }
+  return upload({ force: true });
+};
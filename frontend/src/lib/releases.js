@@ -0,0 +1,35 @@
+// Release types (mirrors RELEASE_TYPES in the backend)
+export const RELEASE_TYPE_OPTIONS = [
+  { value: 'album', label: 'Album' },
+  { value: 'ep', label: 'EP' },
+  { value: 'single', label: 'Single' },
+  { value: 'bundle', label: 'Bundle' },
+];
+
+// Release statuses (mirrors RELEASE_STATUSES in the backend)
+// Only published releases are visible in public APIs
+export const RELEASE_STATUS_OPTIONS = [
+  {
+    value: 'draft',
+    label: 'Draft',
+    className: 'bg-gray-100 text-gray-700 border-gray-200',
+  },
+  {
+    value: 'published',
+    label: 'Published',
+    className: 'bg-green-100 text-green-700 border-green-200',
+  },
+  {
+    value: 'archived',
+    label: 'Archived',
+    className: 'bg-amber-100 text-amber-700 border-amber-200',
+  },
+];
+
+export const getReleaseType = (value) =>
+  RELEASE_TYPE_OPTIONS.find((option) => option.value === value) ||
+  RELEASE_TYPE_OPTIONS[0];
+
+export const getReleaseStatus = (value) =>
+  RELEASE_STATUS_OPTIONS.find((option) => option.value === value) ||
+  RELEASE_STATUS_OPTIONS[1];
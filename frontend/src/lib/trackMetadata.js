@@ -0,0 +1,75 @@
+// Musical keys (mirrors MUSICAL_KEYS in the backend)
+const KEY_ROOTS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+export const MUSICAL_KEY_OPTIONS = ['major', 'minor'].flatMap((mode) =>
+  KEY_ROOTS.map((root) => `${root} ${mode}`),
+);
+
+// Suggested roles for the credits editor
+export const CREDIT_ROLE_SUGGESTIONS = [
+  'Artist',
+  'Producer',
+  'Composer',
+  'Lyricist',
+  'Vocals',
+  'Mixing Engineer',
+  'Mastering Engineer',
+];
+
+// 215 -> "3:35"
+export const formatDuration = (seconds) => {
+  if (seconds === undefined || seconds === null || seconds === '') return '';
+  const total = Math.round(Number(seconds));
+  const minutes = Math.floor(total / 60);
+  return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// "3:35" or "215" -> 215, invalid input -> null
+export const parseDuration = (value) => {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const match = /^(\d+)(?::([0-5]?\d))?$/.exec(value.trim());
+  if (!match) return null;
+  return match[2] === undefined
+    ? parseInt(match[1], 10)
+    : parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Merge metadata read from an uploaded audio file into the track form
+// Technical details always describe the new file; embedded tags only fill
+// fields that are still empty so nothing typed by hand is overwritten
+export const applyAudioMetadata = (formData, metadata) => {
+  if (!metadata) return formData;
+  const tags = metadata.tags || {};
+  const next = {
+    ...formData,
+    bitrate: metadata.bitrate ?? '',
+    sampleRate: metadata.sampleRate ?? '',
+  };
+  if (metadata.duration) next.duration = formatDuration(metadata.duration);
+
+  if (isBlank(next.title) && tags.title) next.title = tags.title;
+  if (isBlank(next.bpm) && tags.bpm) next.bpm = tags.bpm;
+  if (isBlank(next.key) && tags.key) next.key = tags.key;
+  if (isBlank(next.tags) && tags.tags?.length) next.tags = tags.tags.join(', ');
+  if (isBlank(next.credits) && tags.credits?.length) next.credits = tags.credits;
+  if (isBlank(next.lyrics) && tags.lyrics) next.lyrics = tags.lyrics;
+  if (isBlank(next.releaseDate) && tags.releaseDate) {
+    next.releaseDate = tags.releaseDate;
+  }
+  return next;
+};
+
+// Server-generated preview clips (mirrors PREVIEW_CLIP_LIMITS in the backend)
+export const PREVIEW_CLIP_LIMITS = { MIN_LENGTH: 5, MAX_LENGTH: 120, MAX_FADE: 10 };
+export const DEFAULT_PREVIEW_SETTINGS = {
+  start: 0,
+  length: 30,
+  fadeIn: 1,
+  fadeOut: 2,
+  watermark: true,
+};
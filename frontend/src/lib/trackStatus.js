@@ -0,0 +1,41 @@
+// Track publication statuses (mirrors TRACK_STATUSES in the backend)
+// Only published tracks are visible in public APIs
+export const TRACK_STATUS_OPTIONS = [
+  {
+    value: 'draft',
+    label: 'Draft',
+    className: 'bg-gray-100 text-gray-700 border-gray-200',
+  },
+  {
+    value: 'scheduled',
+    label: 'Scheduled',
+    className: 'bg-blue-100 text-blue-700 border-blue-200',
+  },
+  {
+    value: 'published',
+    label: 'Published',
+    className: 'bg-green-100 text-green-700 border-green-200',
+  },
+  {
+    value: 'archived',
+    label: 'Archived',
+    className: 'bg-amber-100 text-amber-700 border-amber-200',
+  },
+];
+
+// Tracks retired by an exclusive sale are flagged instead of showing their status
+export const SOLD_EXCLUSIVELY = {
+  value: 'sold-exclusively',
+  label: 'Sold Exclusively',
+  className: 'bg-purple-100 text-purple-700 border-purple-200',
+};
+
+// Tracks created before statuses existed have none and are public
+export const getTrackStatus = (track) => {
+  if (track?.soldExclusively) return SOLD_EXCLUSIVELY;
+  return (
+    TRACK_STATUS_OPTIONS.find(
+      (option) => option.value === (track?.status || 'published'),
+    ) || TRACK_STATUS_OPTIONS[2]
+  );
+};
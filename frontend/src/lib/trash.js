@@ -0,0 +1,8 @@
+// Content types that can be in the trash, keyed by the API type
+export const TRASH_TYPE_LABELS = {
+  track: 'Track',
+  gallery: 'Gallery Image',
+  youtube: 'YouTube Video',
+  tiktok: 'TikTok Video',
+  pricing: 'Pricing Plan',
+};
@@ -12,10 +12,10 @@ const API_DOCS = {
       'Public API documentation for Nahid Admin Dashboard. This API provides public endpoints for accessing tracks, gallery, pricing, sales, contacts, and payments.\n\n' +
       '## Access Levels\n\n' +
       '- **🌐 PUBLIC**: Public endpoint, accessible without authentication (optional API key/origin check)\n' +
-      '- **👤 PURCHASED USER**: Requires purchase verification (email or purchase token)\n\n' +
+      '- **👤 PURCHASED USER**: Requires purchase verification (order ID or purchase token)\n\n' +
       '## Authentication\n\n' +
       '- **Public endpoints**: Optional API key in header `x-api-key` or query parameter `?apiKey=your-key`\n' +
-      '- **Purchase verification**: Provide buyer email or purchase token for audio access',
+      '- **Purchase verification**: Provide order ID or purchase token to `/api/tracks/{id}/audio` to get a short-lived signed stream URL',
   },
   tags: [
     {
@@ -23,6 +23,22 @@ const API_DOCS = {
       description:
         'Track endpoints - 🌐 PUBLIC (GET) / 👤 PURCHASED USER (audio access)',
     },
+    {
+      name: 'Categories',
+      description: 'Track category endpoints - 🌐 PUBLIC',
+    },
+    {
+      name: 'Collaborators',
+      description: 'Revenue split payee endpoints - 🔒 ADMIN ONLY',
+    },
+    {
+      name: 'Ledger',
+      description: 'Payee balance, payout and statement endpoints - 🔒 ADMIN ONLY',
+    },
+    {
+      name: 'Trash',
+      description: 'Restore or purge deleted content - 🔒 ADMIN ONLY',
+    },
     {
       name: 'Gallery',
       description: 'Gallery/image endpoints - 🌐 PUBLIC',
@@ -31,6 +47,10 @@ const API_DOCS = {
       name: 'Pricing',
       description: 'Pricing plan endpoints - 🌐 PUBLIC',
     },
+    {
+      name: 'Releases',
+      description: 'Album, EP and bundle endpoints - 🌐 PUBLIC',
+    },
     {
       name: 'Sales',
       description: 'Sales and purchase endpoints - 🌐 PUBLIC',
@@ -41,7 +61,7 @@ const API_DOCS = {
     },
     {
       name: 'Payments',
-      description: 'Payment gateway endpoints - 🌐 PUBLIC',
+      description: 'Payment provider endpoints (bKash, mock) - 🌐 PUBLIC',
     },
     {
       name: 'YouTube',
@@ -51,54 +71,250 @@ const API_DOCS = {
       name: 'TikTok',
       description: 'TikTok video endpoints - 🌐 PUBLIC',
     },
+    {
+      name: 'SEO',
+      description: 'Share preview metadata endpoints - 🌐 PUBLIC',
+    },
   ],
   paths: {
     '/api/tracks': {
       get: {
-        summary: 'Get all tracks',
+        summary: 'Search tracks',
         description:
-          '**Access Level: 🌐 PUBLIC**\n\nGet all tracks with optional category filtering.\n- **Public users**: Audio URLs are hidden for security\n- **Admin users**: Audio URLs are included in response',
+          '**Access Level: 🌐 PUBLIC**\n\nSearch, filter, sort and paginate tracks. Includes facet counts per category.\n- **Public users**: Only published tracks are returned; audio URLs are hidden for security\n- **Admin users**: Audio URLs are included in response',
         tags: ['Tracks'],
         parameters: [
+          {
+            name: 'search',
+            in: 'query',
+            schema: { type: 'string' },
+            description: 'Case-insensitive text search over track title',
+          },
           {
             name: 'category',
             in: 'query',
+            schema: { type: 'string' },
+            description:
+              'Filter tracks by category name (see /api/categories)',
+          },
+          {
+            name: 'minPrice',
+            in: 'query',
+            schema: { type: 'number' },
+            description: 'Minimum price (inclusive)',
+          },
+          {
+            name: 'maxPrice',
+            in: 'query',
+            schema: { type: 'number' },
+            description: 'Maximum price (inclusive)',
+          },
+          {
+            name: 'releasedFrom',
+            in: 'query',
+            schema: { type: 'string', format: 'date' },
+            description: 'Only tracks released on or after this date',
+          },
+          {
+            name: 'releasedTo',
+            in: 'query',
+            schema: { type: 'string', format: 'date' },
+            description: 'Only tracks released on or before this date',
+          },
+          {
+            name: 'minBpm',
+            in: 'query',
+            schema: { type: 'number' },
+            description: 'Minimum BPM (inclusive)',
+          },
+          {
+            name: 'maxBpm',
+            in: 'query',
+            schema: { type: 'number' },
+            description: 'Maximum BPM (inclusive)',
+          },
+          {
+            name: 'minDuration',
+            in: 'query',
+            schema: { type: 'integer' },
+            description: 'Minimum duration in seconds (inclusive)',
+          },
+          {
+            name: 'maxDuration',
+            in: 'query',
+            schema: { type: 'integer' },
+            description: 'Maximum duration in seconds (inclusive)',
+          },
+          {
+            name: 'key',
+            in: 'query',
+            schema: { type: 'string' },
+            description:
+              'Musical key, e.g. "A minor" (short forms such as "Am" are accepted)',
+          },
+          {
+            name: 'tags',
+            in: 'query',
+            schema: { type: 'string' },
+            description: 'Comma-separated tags; tracks must have all of them',
+          },
+          {
+            name: 'explicit',
+            in: 'query',
+            schema: { type: 'boolean' },
+            description: 'Only explicit (true) or only clean (false) tracks',
+          },
+          {
+            name: 'featured',
+            in: 'query',
+            schema: { type: 'boolean' },
+            description:
+              'Only featured (true) or only non-featured (false) tracks',
+          },
+          {
+            name: 'sort',
+            in: 'query',
             schema: {
               type: 'string',
               enum: [
-                'Rock',
-                'Folk',
-                'Hip-Hop',
-                'Jazz & Blues',
-                'Modern Song',
-                'Classical',
+                'featured',
+                'newest',
+                'oldest',
+                'most-sold',
+                'most-viewed',
+                'price-asc',
+                'price-desc',
               ],
+              default: 'featured',
             },
-            description: 'Filter tracks by category',
+            description:
+              'Sort order (featured: featured tracks first, then the custom order set by the admin)',
+          },
+          {
+            name: 'page',
+            in: 'query',
+            schema: { type: 'integer', default: 1 },
+            description: 'Page number (1-indexed)',
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', default: 20, maximum: 100 },
+            description: 'Number of tracks per page (max 100)',
           },
         ],
         responses: {
           200: {
-            description: 'List of tracks',
+            description: 'Paginated list of tracks',
             content: {
               'application/json': {
                 schema: {
-                  type: 'array',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      _id: { type: 'string' },
-                      thumbnail: { type: 'string', format: 'uri' },
-                      title: { type: 'string' },
-                      releaseDate: { type: 'string', format: 'date' },
-                      price: { type: 'number' },
-                      category: { type: 'string' },
+                  type: 'object',
+                  properties: {
+                    items: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          _id: { type: 'string' },
+                          thumbnail: { type: 'string', format: 'uri' },
+                          title: { type: 'string' },
+                          slug: { type: 'string' },
+                          releaseDate: { type: 'string', format: 'date' },
+                          price: { type: 'number' },
+                          category: { type: 'string' },
+                          bpm: { type: 'number' },
+                          key: { type: 'string' },
+                          duration: { type: 'integer' },
+                          tags: { type: 'array', items: { type: 'string' } },
+                          explicit: { type: 'boolean' },
+                        },
+                      },
+                    },
+                    pagination: {
+                      type: 'object',
+                      properties: {
+                        page: { type: 'integer' },
+                        limit: { type: 'integer' },
+                        total: { type: 'integer' },
+                        totalPages: { type: 'integer' },
+                        hasNext: { type: 'boolean' },
+                        hasPrev: { type: 'boolean' },
+                      },
+                    },
+                    facets: {
+                      type: 'object',
+                      properties: {
+                        categories: {
+                          type: 'array',
+                          items: {
+                            type: 'object',
+                            properties: {
+                              category: { type: 'string' },
+                              count: { type: 'integer' },
+                            },
+                          },
+                        },
+                      },
                     },
                   },
                 },
               },
             },
           },
+          400: { description: 'Invalid filter or sort parameter' },
+        },
+      },
+    },
+    '/api/tracks/reorder': {
+      put: {
+        summary: 'Reorder tracks',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nSave a custom display order. The listed tracks swap into the slots they already take up, so a single page can be reordered; featured tracks still come first.',
+        tags: ['Tracks'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['ids'],
+                properties: {
+                  ids: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'IDs in their new order',
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Order saved' },
+          400: { description: 'Invalid, duplicate or unknown IDs' },
+        },
+      },
+    },
+    '/api/tracks/slug/{slug}': {
+      get: {
+        summary: 'Get track by slug',
+        description:
+          '**Access Level: 🌐 PUBLIC**\n\nGet a single track by its URL slug. Unpublished tracks return 404 unless the user is an admin. A slug the track had before a rename answers with a 301 redirect to the current slug.',
+        tags: ['Tracks'],
+        parameters: [
+          {
+            name: 'slug',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          200: { description: 'Track details' },
+          301: { description: 'Old slug - redirects to the current one' },
+          404: { description: 'Track not found' },
         },
       },
     },
@@ -142,11 +358,45 @@ const API_DOCS = {
                 type: 'object',
                 properties: {
                   title: { type: 'string' },
+                  slug: {
+                    type: 'string',
+                    description:
+                      'URL slug, generated from the title when omitted. Old slugs keep redirecting after a change',
+                  },
                   thumbnail: { type: 'string', format: 'uri' },
                   audio: { type: 'string', format: 'uri' },
                   releaseDate: { type: 'string', format: 'date' },
                   price: { type: 'number' },
                   category: { type: 'string' },
+                  bpm: { type: 'number', nullable: true },
+                  key: { type: 'string', nullable: true },
+                  duration: { type: 'integer', nullable: true },
+                  credits: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        role: { type: 'string' },
+                        name: { type: 'string' },
+                      },
+                    },
+                  },
+                  tags: { type: 'array', items: { type: 'string' } },
+                  lyrics: { type: 'string' },
+                  explicit: { type: 'boolean' },
+                  revenueSplits: {
+                    type: 'array',
+                    description:
+                      'Collaborator shares; they may add up to at most 100% and the rest goes to the owner',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        collaborator: { type: 'string' },
+                        role: { type: 'string' },
+                        percentage: { type: 'number' },
+                      },
+                    },
+                  },
                 },
               },
             },
@@ -159,7 +409,8 @@ const API_DOCS = {
       },
       delete: {
         summary: 'Delete track',
-        description: '**Access Level: 🔒 ADMIN ONLY**\n\nDelete a track by ID.',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nMove a track to the trash. It disappears from public APIs, but past buyers can still download it.',
         tags: ['Tracks'],
         security: [{ bearerAuth: [] }],
         parameters: [
@@ -176,58 +427,174 @@ const API_DOCS = {
         },
       },
     },
-    '/api/tracks/{id}/audio': {
+    '/api/tracks/previews/generate': {
+      post: {
+        summary: 'Generate preview clip',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nCut a preview (5-120s) from a full track uploaded with /api/tracks/upload/audio, apply fades and mix in the voice tag (`PREVIEW_VOICE_TAG_URL`). Returns the uploaded MP3 `url`, `waveform`, `duration`, `watermarked` and the `settings` to save as `previewSettings` with the track.',
+        tags: ['Tracks'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['audioUrl'],
+                properties: {
+                  audioUrl: { type: 'string', format: 'uri' },
+                  start: { type: 'number', default: 0 },
+                  length: { type: 'number', default: 30 },
+                  fadeIn: { type: 'number', default: 1 },
+                  fadeOut: { type: 'number', default: 2 },
+                  watermark: { type: 'boolean', default: true },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Preview generated' },
+          400: {
+            description:
+              'Invalid audio URL or settings, or start past the end of the track',
+          },
+        },
+      },
+    },
+    '/api/tracks/previews/regenerate': {
+      post: {
+        summary: 'Regenerate previews',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nRe-render previews from the full tracks, e.g. after the voice tag changed. Only server-generated previews are redone (with their stored settings) unless `all` is true. For large catalogs use `npm run regenerate:previews` in `backend/`.',
+        tags: ['Tracks'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  all: { type: 'boolean', default: false },
+                  trackIds: { type: 'array', items: { type: 'string' } },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Summary: { total, regenerated, failed: [...] }',
+          },
+          400: { description: 'Invalid track IDs' },
+        },
+      },
+    },
+    '/api/tracks/import': {
+      post: {
+        summary: 'Bulk import tracks',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nImport tracks from a CSV or JSON manifest (POST /api/tracks field names; in CSV, tags are comma separated and licenses, revenueSplits, credits and previewSettings are JSON) and a ZIP of media. thumbnail, audio and previewAudio are URLs or paths in the ZIP. Every row is validated like POST /api/tracks. With dryRun the finished job with per-row errors is returned; otherwise the import runs in the background (202) and is polled through /api/tracks/import/{jobId}.',
+        tags: ['Tracks'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['manifest'],
+                properties: {
+                  manifest: { type: 'string', format: 'binary' },
+                  media: { type: 'string', format: 'binary' },
+                  dryRun: { type: 'boolean', default: false },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Dry run finished (import job with row reports)' },
+          202: { description: 'Import started (import job)' },
+          400: { description: 'Missing or unreadable manifest or archive' },
+        },
+      },
+      get: {
+        summary: 'List recent track imports',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nThe 20 most recent import jobs without their row reports. Jobs are kept for 30 days.',
+        tags: ['Tracks'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: 'Import jobs, newest first' },
+        },
+      },
+    },
+    '/api/tracks/import/{jobId}': {
       get: {
-        summary: 'Get audio file URL',
+        summary: 'Get track import status',
         description:
-          '**Access Level: 👤 PURCHASED USER**\n\nGet audio file URL. Requires purchase verification (email or purchase token).',
+          '**Access Level: 🔒 ADMIN ONLY**\n\nProgress of an import job and the outcome of every processed row (valid, invalid, created or failed, with its errors).',
         tags: ['Tracks'],
+        security: [{ bearerAuth: [] }],
         parameters: [
           {
-            name: 'id',
+            name: 'jobId',
             in: 'path',
             required: true,
             schema: { type: 'string' },
-            description: 'Track ID',
-          },
-          {
-            name: 'email',
-            in: 'query',
-            schema: { type: 'string', format: 'email' },
-            description: 'Buyer email (for purchase verification)',
           },
+        ],
+        responses: {
+          200: { description: 'Import job' },
+          404: { description: 'Import job not found' },
+        },
+      },
+    },
+    '/api/tracks/{id}/preview': {
+      post: {
+        summary: 'Regenerate track preview',
+        description:
+          "**Access Level: 🔒 ADMIN ONLY**\n\nCut a new preview from the track's full audio and save it as previewAudio. Settings not sent fall back to the track's previous preview settings, then the defaults.",
+        tags: ['Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
           {
-            name: 'token',
-            in: 'query',
+            name: 'id',
+            in: 'path',
+            required: true,
             schema: { type: 'string' },
-            description: 'Purchase token (for purchase verification)',
+            description: 'Track ID',
           },
         ],
-        responses: {
-          200: {
-            description: 'Audio URL with expiration',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    audioUrl: { type: 'string', format: 'uri' },
-                    expiresAt: { type: 'string', format: 'date-time' },
-                  },
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  start: { type: 'number', default: 0 },
+                  length: { type: 'number', default: 30 },
+                  fadeIn: { type: 'number', default: 1 },
+                  fadeOut: { type: 'number', default: 2 },
+                  watermark: { type: 'boolean', default: true },
                 },
               },
             },
           },
-          401: { description: 'Purchase verification required' },
-          403: { description: 'Access denied - purchase required' },
+        },
+        responses: {
+          200: { description: 'Updated track' },
+          400: { description: 'Invalid settings' },
+          404: { description: 'Track not found' },
         },
       },
     },
-    '/api/tracks/{id}/audio/stream': {
+    '/api/tracks/{id}/related': {
       get: {
-        summary: 'Stream audio file',
+        summary: 'Get related tracks',
         description:
-          '**Access Level: 👤 PURCHASED USER**\n\nStream audio file through server proxy. Requires purchase verification (email or purchase token).',
+          '**Access Level: 🌐 PUBLIC**\n\nOther published tracks for a "you may also like" section, best match first. Scored by shared category, tag overlap, BPM closeness (half/double time included), key compatibility and bundle co-purchases, weighted by `RELATED_TRACKS_WEIGHTS`. Cached.',
         tags: ['Tracks'],
         parameters: [
           {
@@ -238,13 +605,228 @@ const API_DOCS = {
             description: 'Track ID',
           },
           {
-            name: 'email',
+            name: 'limit',
             in: 'query',
-            schema: { type: 'string', format: 'email' },
-            description: 'Buyer email (for purchase verification)',
+            schema: { type: 'integer', minimum: 1, maximum: 24 },
+            description: 'Number of tracks (default RELATED_TRACKS_LIMIT, 6)',
           },
-          {
-            name: 'token',
+        ],
+        responses: {
+          200: {
+            description: 'Related tracks',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    trackId: { type: 'string' },
+                    items: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        description: 'Public track fields plus relatedScore',
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          404: { description: 'Track not found' },
+        },
+      },
+    },
+    '/api/tracks/{id}/waveform': {
+      get: {
+        summary: 'Get track waveform',
+        description:
+          '**Access Level: 🌐 PUBLIC**\n\nWaveform peaks (0-1, up to 400 points) of the full track and the preview audio. A waveform is null until it has been computed (on upload or by `npm run backfill:waveforms`).',
+        tags: ['Tracks'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Track ID',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Waveform peaks',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    trackId: { type: 'string' },
+                    waveform: {
+                      type: 'array',
+                      nullable: true,
+                      items: { type: 'number' },
+                    },
+                    previewWaveform: {
+                      type: 'array',
+                      nullable: true,
+                      items: { type: 'number' },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          404: { description: 'Track not found' },
+        },
+      },
+    },
+    '/api/tracks/{id}/events': {
+      post: {
+        summary: 'Record a listener event',
+        description:
+          '**Access Level: 🌐 PUBLIC**\n\nRecord a `view`, `preview-play` or `preview-complete` event for a published track (downloads are recorded by the server). The visitor is a salted hash of IP + user agent; a `visitorId` sent by the site also matches repeats but never makes a visitor new. Repeat events from the same visitor inside the dedup window (view 30 min, preview 10 min), bots and admin requests are ignored. `POST /api/tracks/{id}/view` is shorthand for a view event and returns the total `views`.',
+        tags: ['Tracks'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Track ID',
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['type'],
+                properties: {
+                  type: {
+                    type: 'string',
+                    enum: ['view', 'preview-play', 'preview-complete'],
+                  },
+                  visitorId: { type: 'string' },
+                  referrer: {
+                    type: 'string',
+                    description: 'document.referrer - only the host is kept',
+                  },
+                  utm: {
+                    type: 'object',
+                    properties: {
+                      source: { type: 'string' },
+                      medium: { type: 'string' },
+                      campaign: { type: 'string' },
+                      term: { type: 'string' },
+                      content: { type: 'string' },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Event processed',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: { recorded: { type: 'boolean' } },
+                },
+              },
+            },
+          },
+          400: { description: 'Invalid event type' },
+          404: { description: 'Track not found' },
+        },
+      },
+    },
+    '/api/tracks/{id}/analytics': {
+      get: {
+        summary: 'Get track analytics',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nDaily views, preview plays and completions, downloads and unique visitors from the daily rollups (UTC days), plus the preview completion rate, top referrers and UTM sources/campaigns. Defaults to the last 30 days, up to 366.',
+        tags: ['Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Track ID',
+          },
+          {
+            name: 'days',
+            in: 'query',
+            schema: { type: 'integer', default: 30 },
+            description: 'Days up to today (ignored when from is given)',
+          },
+          {
+            name: 'from',
+            in: 'query',
+            schema: { type: 'string', format: 'date' },
+          },
+          {
+            name: 'to',
+            in: 'query',
+            schema: { type: 'string', format: 'date' },
+          },
+        ],
+        responses: {
+          200: { description: 'Track analytics' },
+          400: { description: 'Invalid date range' },
+          404: { description: 'Track not found' },
+        },
+      },
+    },
+    '/api/tracks/{id}/relist': {
+      post: {
+        summary: 'Re-list track sold exclusively',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nAdmin override that puts a track retired by an exclusive license sale back on sale. Earlier buyers keep their downloads either way.',
+        tags: ['Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Track ID',
+          },
+        ],
+        responses: {
+          200: { description: 'Track re-listed' },
+          400: { description: 'Track is not sold exclusively' },
+          404: { description: 'Track not found' },
+        },
+      },
+    },
+    '/api/tracks/{id}/audio': {
+      get: {
+        summary: 'Get signed audio URL',
+        description:
+          '**Access Level: 👤 PURCHASED USER**\n\nIssue a short-lived, signed stream URL for a purchased track. Requires purchase verification (order ID or purchase token). The URL is bound to the track and the sale and stops working once it expires.',
+        tags: ['Tracks'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Track ID',
+          },
+          {
+            name: 'orderId',
+            in: 'query',
+            schema: { type: 'string' },
+            description: 'Order ID (saleSerialId) for purchase verification',
+          },
+          {
+            name: 'token',
             in: 'query',
             schema: { type: 'string' },
             description: 'Purchase token (for purchase verification)',
@@ -252,9 +834,18 @@ const API_DOCS = {
         ],
         responses: {
           200: {
-            description: 'Audio stream',
+            description: 'Signed audio URL with expiration',
             content: {
-              'audio/mpeg': { schema: { type: 'string', format: 'binary' } },
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    audioUrl: { type: 'string', format: 'uri' },
+                    accessToken: { type: 'string' },
+                    expiresAt: { type: 'string', format: 'date-time' },
+                  },
+                },
+              },
             },
           },
           401: { description: 'Purchase verification required' },
@@ -262,10 +853,220 @@ const API_DOCS = {
         },
       },
     },
+    '/api/tracks/{id}/audio/stream': {
+      get: {
+        summary: 'Stream audio file',
+        description:
+          '**Access Level: 👤 PURCHASED USER**\n\nStream audio file through server proxy. Requires a valid signed access token from /api/tracks/{id}/audio. Supports single byte ranges (`Range: bytes=start-end`) for seeking.',
+        tags: ['Tracks'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Track ID',
+          },
+          {
+            name: 'access',
+            in: 'query',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Signed audio access token',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Audio stream',
+            content: {
+              'audio/mpeg': { schema: { type: 'string', format: 'binary' } },
+            },
+          },
+          206: { description: 'Partial audio stream for the requested range' },
+          401: { description: 'Audio access token required' },
+          403: { description: 'Access token invalid, expired or revoked' },
+          416: { description: 'Requested range not satisfiable' },
+        },
+      },
+    },
+    '/api/categories': {
+      get: {
+        summary: 'Get all track categories',
+        description:
+          '**Access Level: 🌐 PUBLIC**\n\nGet all track categories in display order, with the number of tracks in each.',
+        tags: ['Categories'],
+        responses: {
+          200: {
+            description: 'List of categories',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      _id: { type: 'string' },
+                      name: { type: 'string' },
+                      slug: { type: 'string' },
+                      displayOrder: { type: 'number' },
+                      coverImage: { type: 'string', format: 'uri' },
+                      trackCount: { type: 'number' },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/categories/{idOrSlug}': {
+      get: {
+        summary: 'Get single category',
+        description:
+          '**Access Level: 🌐 PUBLIC**\n\nGet a single category by ID or slug.',
+        tags: ['Categories'],
+        parameters: [
+          {
+            name: 'idOrSlug',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Category ID or slug',
+          },
+        ],
+        responses: {
+          200: { description: 'Category details' },
+          404: { description: 'Category not found' },
+        },
+      },
+    },
+    '/api/collaborators': {
+      get: {
+        summary: 'Get all collaborators',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nList every collaborator (revenue split payee) with the number of tracks they have a share in.',
+        tags: ['Collaborators'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: 'List of collaborators' },
+        },
+      },
+      post: {
+        summary: 'Create collaborator',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nAdd a payee that can be given a share of track revenue.',
+        tags: ['Collaborators'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: { type: 'string' },
+                  defaultRole: {
+                    type: 'string',
+                    enum: [
+                      'artist',
+                      'producer',
+                      'lyricist',
+                      'composer',
+                      'featured artist',
+                      'mixing engineer',
+                      'other',
+                    ],
+                  },
+                  email: { type: 'string', format: 'email' },
+                  phoneNumber: { type: 'string' },
+                  notes: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: { description: 'Collaborator created' },
+          400: { description: 'Validation error' },
+        },
+      },
+    },
+    '/api/collaborators/{id}': {
+      put: {
+        summary: 'Update collaborator',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nUpdate a collaborator. Ledger entries already written keep the name they were recorded with.',
+        tags: ['Collaborators'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  defaultRole: {
+                    type: 'string',
+                    enum: [
+                      'artist',
+                      'producer',
+                      'lyricist',
+                      'composer',
+                      'featured artist',
+                      'mixing engineer',
+                      'other',
+                    ],
+                  },
+                  email: { type: 'string', format: 'email' },
+                  phoneNumber: { type: 'string' },
+                  notes: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Collaborator updated' },
+          400: { description: 'Validation error' },
+          404: { description: 'Collaborator not found' },
+        },
+      },
+      delete: {
+        summary: 'Delete collaborator',
+        description:
+          "**Access Level: 🔒 ADMIN ONLY**\n\nDelete a collaborator. Collaborators still in a track's revenue split can't be deleted.",
+        tags: ['Collaborators'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          200: { description: 'Collaborator deleted' },
+          404: { description: 'Collaborator not found' },
+          409: { description: 'Collaborator is still used in revenue splits' },
+        },
+      },
+    },
     '/api/gallery': {
       get: {
         summary: 'Get all gallery images',
-        description: '**Access Level: 🌐 PUBLIC**\n\nGet all gallery images.',
+        description:
+          '**Access Level: 🌐 PUBLIC**\n\nGet all gallery images, featured images first, then in the custom order.',
         tags: ['Gallery'],
         responses: {
           200: {
@@ -284,6 +1085,9 @@ const API_DOCS = {
                         enum: ['small', 'medium', 'large', 'xlarge'],
                       },
                       caption: { type: 'string' },
+                      featured: { type: 'boolean' },
+                      position: { type: 'number', nullable: true },
+                      slug: { type: 'string' },
                     },
                   },
                 },
@@ -317,6 +1121,11 @@ const API_DOCS = {
                     default: 'medium',
                   },
                   caption: { type: 'string' },
+                  slug: {
+                    type: 'string',
+                    description:
+                      'URL slug, generated from the caption when omitted. Old slugs keep redirecting after a change',
+                  },
                 },
               },
             },
@@ -327,13 +1136,52 @@ const API_DOCS = {
         },
       },
     },
+    '/api/gallery/reorder': {
+      put: {
+        summary: 'Reorder images',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nSave a custom display order. The listed images swap into the slots they already take up, so a single page can be reordered; featured images still come first.',
+        tags: ['Gallery'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['ids'],
+                properties: {
+                  ids: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'IDs in their new order',
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Order saved' },
+          400: { description: 'Invalid, duplicate or unknown IDs' },
+        },
+      },
+    },
     '/api/gallery/upload': {
       post: {
         summary: 'Upload gallery image',
         description:
-          '**Access Level: 🔒 ADMIN ONLY**\n\nUpload an image file. Returns Cloudinary URL.',
+          '**Access Level: 🔒 ADMIN ONLY**\n\nUpload an image file. Returns Cloudinary URL. If the same image (or a near-identical copy, compared by perceptual hash) was already uploaded, nothing is uploaded: the existing URL is returned with a `duplicate` warning. Send `force=true` to upload a new copy anyway.',
         tags: ['Gallery'],
         security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'force',
+            in: 'query',
+            schema: { type: 'boolean' },
+            description: 'Upload even if the image was already uploaded',
+          },
+        ],
         requestBody: {
           required: true,
           content: {
@@ -361,6 +1209,12 @@ const API_DOCS = {
                   type: 'object',
                   properties: {
                     url: { type: 'string', format: 'uri' },
+                    duplicate: {
+                      type: 'object',
+                      nullable: true,
+                      description:
+                        'Existing upload that was reused: { url, match: exact | similar, distance, uploadedAt, message }',
+                    },
                   },
                 },
               },
@@ -369,6 +1223,27 @@ const API_DOCS = {
         },
       },
     },
+    '/api/gallery/slug/{slug}': {
+      get: {
+        summary: 'Get image by slug',
+        description:
+          '**Access Level: 🌐 PUBLIC**\n\nGet a single image by its URL slug. A slug the image had before a rename answers with a 301 redirect to the current slug.',
+        tags: ['Gallery'],
+        parameters: [
+          {
+            name: 'slug',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          200: { description: 'Image details' },
+          301: { description: 'Old slug - redirects to the current one' },
+          404: { description: 'Image not found' },
+        },
+      },
+    },
     '/api/gallery/{id}': {
       get: {
         summary: 'Get single image',
@@ -414,6 +1289,11 @@ const API_DOCS = {
                     enum: ['small', 'medium', 'large', 'xlarge'],
                   },
                   caption: { type: 'string' },
+                  slug: {
+                    type: 'string',
+                    description:
+                      'URL slug, generated from the caption when omitted. Old slugs keep redirecting after a change',
+                  },
                 },
               },
             },
@@ -427,7 +1307,7 @@ const API_DOCS = {
       delete: {
         summary: 'Delete gallery image',
         description:
-          '**Access Level: 🔒 ADMIN ONLY**\n\nDelete a gallery image by ID.',
+          '**Access Level: 🔒 ADMIN ONLY**\n\nMove a gallery image to the trash.',
         tags: ['Gallery'],
         security: [{ bearerAuth: [] }],
         parameters: [
@@ -462,6 +1342,15 @@ const API_DOCS = {
                       _id: { type: 'string' },
                       title: { type: 'string' },
                       price: { type: 'number' },
+                      licenseType: {
+                        type: 'string',
+                        enum: ['basic', 'premium', 'exclusive'],
+                      },
+                      usageTerms: { type: 'string' },
+                      deliverables: {
+                        type: 'array',
+                        items: { type: 'string' },
+                      },
                     },
                   },
                 },
@@ -486,6 +1375,15 @@ const API_DOCS = {
                 properties: {
                   title: { type: 'string' },
                   price: { type: 'number' },
+                  licenseType: {
+                    type: 'string',
+                    enum: ['basic', 'premium', 'exclusive'],
+                  },
+                  usageTerms: { type: 'string' },
+                  deliverables: {
+                    type: 'array',
+                    items: { type: 'string' },
+                  },
                 },
               },
             },
@@ -529,29 +1427,178 @@ const API_DOCS = {
             schema: { type: 'string' },
           },
         ],
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  title: { type: 'string' },
-                  price: { type: 'number' },
-                },
-              },
-            },
-          },
-        },
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string' },
+                  price: { type: 'number' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Pricing plan updated successfully' },
+          404: { description: 'Pricing plan not found' },
+        },
+      },
+      delete: {
+        summary: 'Delete pricing plan',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nMove a pricing plan to the trash.',
+        tags: ['Pricing'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          200: { description: 'Pricing plan deleted successfully' },
+          404: { description: 'Pricing plan not found' },
+        },
+      },
+    },
+    '/api/releases': {
+      get: {
+        summary: 'List releases',
+        description:
+          '**Access Level: 🌐 PUBLIC / 🔒 ADMIN**\n\nPaginated albums, EPs, singles and bundles with their tracks in play order. Public users only see published releases and publicly available tracks.',
+        tags: ['Releases'],
+        parameters: [
+          { name: 'search', in: 'query', schema: { type: 'string' } },
+          {
+            name: 'type',
+            in: 'query',
+            schema: {
+              type: 'string',
+              enum: ['album', 'ep', 'single', 'bundle'],
+            },
+          },
+          {
+            name: 'status',
+            in: 'query',
+            description: 'Admins only',
+            schema: {
+              type: 'string',
+              enum: ['draft', 'published', 'archived'],
+            },
+          },
+          { name: 'page', in: 'query', schema: { type: 'integer' } },
+          { name: 'limit', in: 'query', schema: { type: 'integer' } },
+        ],
+        responses: {
+          200: { description: 'Paginated list of releases ({ items, pagination })' },
+        },
+      },
+      post: {
+        summary: 'Create release',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nCreate a release from existing tracks. The order of tracks is the play order.',
+        tags: ['Releases'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['title', 'artwork', 'tracks', 'price', 'releaseDate'],
+                properties: {
+                  title: { type: 'string' },
+                  type: {
+                    type: 'string',
+                    enum: ['album', 'ep', 'single', 'bundle'],
+                  },
+                  artwork: {
+                    type: 'string',
+                    format: 'uri',
+                    description: 'URL from /api/releases/upload/artwork',
+                  },
+                  description: { type: 'string' },
+                  tracks: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Track IDs in play order',
+                  },
+                  price: { type: 'number', description: 'Bundle price' },
+                  releaseDate: { type: 'string', format: 'date' },
+                  status: {
+                    type: 'string',
+                    enum: ['draft', 'published', 'archived'],
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: { description: 'Release created successfully' },
+          400: { description: 'Invalid input' },
+        },
+      },
+    },
+    '/api/releases/upload/artwork': {
+      post: {
+        summary: 'Upload release artwork',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nUpload cover artwork (multipart field "artwork"). Returns the Cloudinary URL.',
+        tags: ['Releases'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: 'Artwork uploaded successfully ({ url })' },
+        },
+      },
+    },
+    '/api/releases/{id}': {
+      get: {
+        summary: 'Get single release',
+        description:
+          '**Access Level: 🌐 PUBLIC / 🔒 ADMIN**\n\nGet a release with its tracks in play order. Unpublished releases return 404 for the public.',
+        tags: ['Releases'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          200: { description: 'Release details' },
+          404: { description: 'Release not found' },
+        },
+      },
+      put: {
+        summary: 'Update release',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nUpdate a release. Sending tracks replaces the whole ordered list. Earlier buyers keep access to the tracks they paid for.',
+        tags: ['Releases'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
         responses: {
-          200: { description: 'Pricing plan updated successfully' },
-          404: { description: 'Pricing plan not found' },
+          200: { description: 'Release updated successfully' },
+          404: { description: 'Release not found' },
         },
       },
       delete: {
-        summary: 'Delete pricing plan',
+        summary: 'Delete release',
         description:
-          '**Access Level: 🔒 ADMIN ONLY**\n\nDelete a pricing plan by ID.',
-        tags: ['Pricing'],
+          '**Access Level: 🔒 ADMIN ONLY**\n\nDelete a release. Its tracks are kept.',
+        tags: ['Releases'],
         security: [{ bearerAuth: [] }],
         parameters: [
           {
@@ -562,8 +1609,8 @@ const API_DOCS = {
           },
         ],
         responses: {
-          200: { description: 'Pricing plan deleted successfully' },
-          404: { description: 'Pricing plan not found' },
+          200: { description: 'Release deleted successfully' },
+          404: { description: 'Release not found' },
         },
       },
     },
@@ -571,7 +1618,7 @@ const API_DOCS = {
       get: {
         summary: 'Get all YouTube videos',
         description:
-          '**Access Level: 🌐 PUBLIC**\n\nGet all YouTube videos. Public endpoint with optional API key or origin check.',
+          '**Access Level: 🌐 PUBLIC**\n\nGet all YouTube videos, featured videos first, then in the custom order. Public endpoint with optional API key or origin check.',
         tags: ['YouTube'],
         responses: {
           200: {
@@ -587,6 +1634,9 @@ const API_DOCS = {
                       videoUrl: { type: 'string', format: 'uri' },
                       title: { type: 'string' },
                       description: { type: 'string' },
+                      featured: { type: 'boolean' },
+                      position: { type: 'number', nullable: true },
+                      slug: { type: 'string' },
                       createdAt: { type: 'string', format: 'date-time' },
                       updatedAt: { type: 'string', format: 'date-time' },
                     },
@@ -598,11 +1648,63 @@ const API_DOCS = {
         },
       },
     },
+    '/api/youtube/reorder': {
+      put: {
+        summary: 'Reorder videos',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nSave a custom display order. The listed videos swap into the slots they already take up, so a single page can be reordered; featured videos still come first.',
+        tags: ['YouTube'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['ids'],
+                properties: {
+                  ids: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'IDs in their new order',
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Order saved' },
+          400: { description: 'Invalid, duplicate or unknown IDs' },
+        },
+      },
+    },
+    '/api/youtube/slug/{slug}': {
+      get: {
+        summary: 'Get video by slug',
+        description:
+          '**Access Level: 🌐 PUBLIC**\n\nGet a single video by its URL slug. A slug the video had before a rename answers with a 301 redirect to the current slug.',
+        tags: ['YouTube'],
+        parameters: [
+          {
+            name: 'slug',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          200: { description: 'Video details' },
+          301: { description: 'Old slug - redirects to the current one' },
+          404: { description: 'Video not found' },
+        },
+      },
+    },
     '/api/tiktok': {
       get: {
         summary: 'Get all TikTok videos',
         description:
-          '**Access Level: 🌐 PUBLIC**\n\nGet all TikTok videos. Public endpoint with optional API key or origin check.',
+          '**Access Level: 🌐 PUBLIC**\n\nGet all TikTok videos, featured videos first, then in the custom order. Public endpoint with optional API key or origin check.',
         tags: ['TikTok'],
         responses: {
           200: {
@@ -618,6 +1720,9 @@ const API_DOCS = {
                       videoUrl: { type: 'string', format: 'uri' },
                       title: { type: 'string' },
                       description: { type: 'string' },
+                      featured: { type: 'boolean' },
+                      position: { type: 'number', nullable: true },
+                      slug: { type: 'string' },
                       createdAt: { type: 'string', format: 'date-time' },
                       updatedAt: { type: 'string', format: 'date-time' },
                     },
@@ -629,6 +1734,109 @@ const API_DOCS = {
         },
       },
     },
+    '/api/tiktok/reorder': {
+      put: {
+        summary: 'Reorder videos',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nSave a custom display order. The listed videos swap into the slots they already take up, so a single page can be reordered; featured videos still come first.',
+        tags: ['TikTok'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['ids'],
+                properties: {
+                  ids: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'IDs in their new order',
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Order saved' },
+          400: { description: 'Invalid, duplicate or unknown IDs' },
+        },
+      },
+    },
+    '/api/tiktok/slug/{slug}': {
+      get: {
+        summary: 'Get video by slug',
+        description:
+          '**Access Level: 🌐 PUBLIC**\n\nGet a single video by its URL slug. A slug the video had before a rename answers with a 301 redirect to the current slug.',
+        tags: ['TikTok'],
+        parameters: [
+          {
+            name: 'slug',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          200: { description: 'Video details' },
+          301: { description: 'Old slug - redirects to the current one' },
+          404: { description: 'Video not found' },
+        },
+      },
+    },
+    '/api/seo/{type}/{slug}': {
+      get: {
+        summary: 'Get share metadata by slug',
+        description:
+          '**Access Level: 🌐 PUBLIC**\n\nOpen Graph and Twitter card tags plus JSON-LD (MusicRecording, VideoObject or ImageObject) of a track, video or gallery image, for the portfolio site to render in the page head. Links point to PORTFOLIO_URL. Old slugs answer with a 301 redirect to the current one.',
+        tags: ['SEO'],
+        parameters: [
+          {
+            name: 'type',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string',
+              enum: ['track', 'youtube', 'tiktok', 'gallery'],
+            },
+          },
+          {
+            name: 'slug',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Share metadata',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    type: { type: 'string' },
+                    slug: { type: 'string' },
+                    url: { type: 'string', format: 'uri' },
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                    image: { type: 'string', format: 'uri' },
+                    openGraph: { type: 'object' },
+                    twitter: { type: 'object' },
+                    jsonLd: { type: 'object' },
+                  },
+                },
+              },
+            },
+          },
+          301: { description: 'Old slug - redirects to the current one' },
+          400: { description: 'Invalid type' },
+          404: { description: 'Item not found' },
+        },
+      },
+    },
     '/api/sales': {
       get: {
         summary: 'Get all sales',
@@ -654,10 +1862,17 @@ const API_DOCS = {
                       buyerName: { type: 'string' },
                       paymentStatus: {
                         type: 'string',
-                        enum: ['pending', 'completed', 'failed', 'refunded'],
+                        enum: [
+                          'pending',
+                          'completed',
+                          'partially_refunded',
+                          'failed',
+                          'refunded',
+                        ],
                       },
                       paymentMethod: { type: 'string' },
                       transactionId: { type: 'string' },
+                      paymentId: { type: 'string' },
                     },
                   },
                 },
@@ -667,10 +1882,11 @@ const API_DOCS = {
         },
       },
       post: {
-        summary: 'Create sale - Purchase track',
+        summary: 'Record manual sale',
         description:
-          '**Access Level: 🌐 PUBLIC**\n\nCreate a sale record for track purchase. Returns a purchase token.',
+          '**Access Level: 🔒 ADMIN ONLY**\n\nRecord a track sale paid outside the payment gateways. The sale is completed straight away and returns a purchase token.',
         tags: ['Sales'],
+        security: [{ bearerAuth: [] }],
         requestBody: {
           required: true,
           content: {
@@ -683,10 +1899,14 @@ const API_DOCS = {
                     type: 'string',
                     description: 'Track ID to purchase',
                   },
+                  licenseId: {
+                    type: 'string',
+                    description:
+                      'License tier ID (required when the track offers license tiers)',
+                  },
                   buyerEmail: { type: 'string', format: 'email' },
                   buyerName: { type: 'string' },
                   paymentMethod: { type: 'string' },
-                  transactionId: { type: 'string' },
                 },
               },
             },
@@ -756,7 +1976,8 @@ const API_DOCS = {
       },
       put: {
         summary: 'Update sale',
-        description: '**Access Level: 🔒 ADMIN ONLY**\n\nUpdate a sale record.',
+        description:
+          "**Access Level: 🔒 ADMIN ONLY**\n\nUpdate a sale record. Setting a paid sale to refunded records a refund of whatever hasn't been refunded yet; partial refunds go through the refunds endpoint. A sale with refunds can only be set to refunded.",
         tags: ['Sales'],
         security: [{ bearerAuth: [] }],
         parameters: [
@@ -786,7 +2007,12 @@ const API_DOCS = {
         },
         responses: {
           200: { description: 'Sale updated successfully' },
+          400: { description: 'partially_refunded set by hand' },
           404: { description: 'Sale not found' },
+          409: {
+            description:
+              'Refund could not be recorded, or the sale has refunds and the status is not refunded',
+          },
         },
       },
       delete: {
@@ -809,6 +2035,62 @@ const API_DOCS = {
         },
       },
     },
+    '/api/sales/{id}/refunds': {
+      get: {
+        summary: 'Get sale refunds',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nRefund history of a sale, oldest first, with the amount refunded so far and the amount still refundable.',
+        tags: ['Sales'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          200: { description: 'Refund history' },
+          404: { description: 'Sale not found' },
+        },
+      },
+      post: {
+        summary: 'Record sale refund',
+        description:
+          "**Access Level: 🔒 ADMIN ONLY**\n\nRecord a refund made outside a payment gateway (bank transfer, cash, manual sales). Refunds add up to the sale's price at most; the sale is partially_refunded until nothing is left, then refunded.",
+        tags: ['Sales'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['amount'],
+                properties: {
+                  amount: { type: 'number' },
+                  reason: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: { description: 'Refund recorded' },
+          400: { description: 'Invalid amount or sale not refundable' },
+          404: { description: 'Sale not found' },
+        },
+      },
+    },
     '/api/dashboard/stats': {
       get: {
         summary: 'Get dashboard statistics',
@@ -827,6 +2109,7 @@ const API_DOCS = {
                     totalTracks: { type: 'number' },
                     totalTracksSold: { type: 'number' },
                     totalProfit: { type: 'number' },
+                    totalRefunded: { type: 'number' },
                     totalImages: { type: 'number' },
                     totalPricingPlans: { type: 'number' },
                     totalContacts: { type: 'number' },
@@ -843,7 +2126,7 @@ const API_DOCS = {
       get: {
         summary: 'Get sales statistics',
         description:
-          '**Access Level: 🔒 ADMIN ONLY**\n\nGet detailed sales statistics including sales by date, track, payment method, and status.',
+          '**Access Level: 🔒 ADMIN ONLY**\n\nGet detailed sales statistics including sales by date, track, payment method, and status, plus per-payee earnings from the revenue split ledger (profitBreakdown).',
         tags: ['Dashboard'],
         security: [{ bearerAuth: [] }],
         parameters: [
@@ -884,7 +2167,13 @@ const API_DOCS = {
             in: 'query',
             schema: {
               type: 'string',
-              enum: ['pending', 'completed', 'failed', 'refunded'],
+              enum: [
+                'pending',
+                'completed',
+                'partially_refunded',
+                'failed',
+                'refunded',
+              ],
             },
             description: 'Filter by payment status',
           },
@@ -973,82 +2262,205 @@ const API_DOCS = {
             description: 'Filter by read status (true/false)',
           },
           {
-            name: 'limit',
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', default: 50 },
+            description: 'Maximum number of contacts to return',
+          },
+          {
+            name: 'page',
+            in: 'query',
+            schema: { type: 'integer', default: 1 },
+            description: 'Page number for pagination',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'List of contacts',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        contacts: { type: 'array' },
+                        pagination: { type: 'object' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/contacts/{id}': {
+      get: {
+        summary: 'Get single contact',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nGet a single contact by ID. Automatically marks the contact as read.',
+        tags: ['Contacts'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Contact ID',
+          },
+        ],
+        responses: {
+          200: { description: 'Contact details' },
+          404: { description: 'Contact not found' },
+        },
+      },
+    },
+    '/api/payments/providers': {
+      get: {
+        summary: 'List payment providers',
+        description:
+          '**Access Level: 🌐 PUBLIC**\n\nPayment providers checkout can use, as `{ name, label }`. The name goes in the payment URLs.',
+        tags: ['Payments'],
+        responses: {
+          200: { description: 'Enabled providers' },
+        },
+      },
+    },
+    '/api/payments/intents': {
+      get: {
+        summary: 'List payment intents',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nCheckouts newest first, including abandoned (expired), cancelled and failed payments that never made a sale.',
+        tags: ['Payments'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'status',
+            in: 'query',
+            schema: {
+              type: 'string',
+              enum: [
+                'created',
+                'redirected',
+                'executed',
+                'completed',
+                'failed',
+                'cancelled',
+                'expired',
+              ],
+            },
+          },
+          { name: 'provider', in: 'query', schema: { type: 'string' } },
+          {
+            name: 'page',
             in: 'query',
-            schema: { type: 'integer', default: 50 },
-            description: 'Maximum number of contacts to return',
+            schema: { type: 'integer', default: 1 },
           },
           {
-            name: 'page',
+            name: 'limit',
             in: 'query',
-            schema: { type: 'integer', default: 1 },
-            description: 'Page number for pagination',
+            schema: { type: 'integer', default: 20 },
           },
         ],
         responses: {
-          200: {
-            description: 'List of contacts',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    success: { type: 'boolean' },
-                    data: {
-                      type: 'object',
-                      properties: {
-                        contacts: { type: 'array' },
-                        pagination: { type: 'object' },
-                      },
-                    },
-                  },
-                },
-              },
-            },
-          },
+          200: { description: 'Payment intents with pagination' },
+          400: { description: 'Unknown status' },
         },
       },
     },
-    '/api/contacts/{id}': {
+    '/api/payments/reconciliation': {
+      post: {
+        summary: 'Reconcile stuck payments now',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nRuns the reconciliation job that otherwise runs every 15 minutes. Payments left unresolved for PAYMENT_RECONCILIATION_THRESHOLD_MINUTES (default 30) are queried from their provider: completed ones get their sale, failed and cancelled ones are closed. Returns the stored report.',
+        tags: ['Payments'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          201: { description: 'Reconciliation report' },
+          409: { description: 'A reconciliation run is already in progress' },
+        },
+      },
+    },
+    '/api/payments/reconciliation/cron': {
       get: {
-        summary: 'Get single contact',
+        summary: 'Scheduled reconciliation run',
         description:
-          '**Access Level: 🔒 ADMIN ONLY**\n\nGet a single contact by ID. Automatically marks the contact as read.',
-        tags: ['Contacts'],
+          '**Access Level: ⏱ CRON**\n\nCalled by the Vercel cron job with `Authorization: Bearer <CRON_SECRET>`. Runs reconciliation when the scheduled run is due and no other run holds the lease.',
+        tags: ['Payments'],
+        responses: {
+          200: { description: 'Report of the run, or null' },
+          401: { description: 'Invalid cron secret' },
+          403: { description: 'CRON_SECRET is not set' },
+        },
+      },
+    },
+    '/api/payments/reconciliation/reports': {
+      get: {
+        summary: 'List reconciliation reports',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nReconciliation runs newest first, with what was found for each payment checked. Scheduled runs that had nothing to check are not stored.',
+        tags: ['Payments'],
         security: [{ bearerAuth: [] }],
         parameters: [
           {
-            name: 'id',
-            in: 'path',
-            required: true,
-            schema: { type: 'string' },
-            description: 'Contact ID',
+            name: 'page',
+            in: 'query',
+            schema: { type: 'integer', default: 1 },
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', default: 10 },
           },
         ],
         responses: {
-          200: { description: 'Contact details' },
-          404: { description: 'Contact not found' },
+          200: { description: 'Reports with pagination' },
         },
       },
     },
-    '/api/payments/bkash/create': {
+    '/api/payments/{provider}/create': {
       post: {
-        summary: 'Create bKash payment',
+        summary: 'Create payment',
         description:
-          '**Access Level: 🌐 PUBLIC**\n\nCreate a bKash payment for track purchase. Returns payment URL.',
+          '**Access Level: 🌐 PUBLIC**\n\nCreate a payment with a provider for a track or a whole release. Send either trackId or releaseId. Returns payment URL. The checkout is stored as a payment intent that expires after PAYMENT_INTENT_TTL_MINUTES (default 60) if the buyer never comes back. The oldest open checkout of a track holds its exclusive license; others get 409.',
         tags: ['Payments'],
+        parameters: [
+          {
+            name: 'provider',
+            in: 'path',
+            required: true,
+            schema: { type: 'string', enum: ['bkash', 'mock'] },
+            description:
+              'Payment provider (mock only when MOCK_PAYMENTS_ENABLED=true outside production)',
+          },
+        ],
         requestBody: {
           required: true,
           content: {
             'application/json': {
               schema: {
                 type: 'object',
-                required: ['trackId', 'buyerEmail', 'buyerName'],
+                required: ['buyerEmail', 'buyerName'],
                 properties: {
                   trackId: {
                     type: 'string',
                     description: 'Track ID to purchase',
                   },
+                  releaseId: {
+                    type: 'string',
+                    description:
+                      'Release ID to purchase instead of a track. One payment at the bundle price grants every track.',
+                  },
+                  licenseId: {
+                    type: 'string',
+                    description:
+                      'License tier ID (required when the track offers license tiers)',
+                  },
                   buyerEmail: { type: 'string', format: 'email' },
                   buyerName: { type: 'string' },
                 },
@@ -1064,10 +2476,17 @@ const API_DOCS = {
                 schema: {
                   type: 'object',
                   properties: {
+                    provider: { type: 'string' },
+                    intentId: { type: 'string' },
                     paymentID: { type: 'string' },
                     paymentURL: { type: 'string', format: 'uri' },
                     merchantInvoiceNumber: { type: 'string' },
                     amount: { type: 'number' },
+                    expiresAt: { type: 'string', format: 'date-time' },
+                    license: {
+                      type: 'object',
+                      description: 'License tier being purchased (if any)',
+                    },
                   },
                 },
               },
@@ -1076,12 +2495,22 @@ const API_DOCS = {
         },
       },
     },
-    '/api/payments/bkash/callback': {
+    '/api/payments/{provider}/callback': {
       post: {
-        summary: 'bKash payment callback',
+        summary: 'Payment callback',
         description:
-          '**Access Level: 🌐 PUBLIC**\n\nbKash callback endpoint for payment status updates. Called by bKash after payment completion.',
+          '**Access Level: 🌐 PUBLIC**\n\nCallback endpoint for payment status updates. The gateway sends the buyer here after checkout; a completed payment creates the sale. Keyed on paymentID: repeat callbacks redirect to the same order instead of creating another sale. What was bought and the redirect target come from the payment intent, not from query parameters.',
         tags: ['Payments'],
+        parameters: [
+          {
+            name: 'provider',
+            in: 'path',
+            required: true,
+            schema: { type: 'string', enum: ['bkash', 'mock'] },
+            description:
+              'Payment provider (mock only when MOCK_PAYMENTS_ENABLED=true outside production)',
+          },
+        ],
         requestBody: {
           content: {
             'application/json': {
@@ -1101,13 +2530,19 @@ const API_DOCS = {
         },
       },
     },
-    '/api/payments/bkash/status/{paymentID}': {
+    '/api/payments/{provider}/status/{paymentID}': {
       get: {
         summary: 'Check payment status',
         description:
-          '**Access Level: 🌐 PUBLIC**\n\nCheck the status of a bKash payment.',
+          '**Access Level: 🌐 PUBLIC**\n\nCheck the status of a payment with its provider.',
         tags: ['Payments'],
         parameters: [
+          {
+            name: 'provider',
+            in: 'path',
+            required: true,
+            schema: { type: 'string', enum: ['bkash', 'mock'] },
+          },
           {
             name: 'paymentID',
             in: 'path',
@@ -1124,8 +2559,21 @@ const API_DOCS = {
                 schema: {
                   type: 'object',
                   properties: {
+                    provider: { type: 'string' },
                     paymentID: { type: 'string' },
-                    bKashStatus: { type: 'object' },
+                    status: {
+                      type: 'string',
+                      enum: ['completed', 'pending', 'failed', 'cancelled'],
+                    },
+                    providerStatus: { type: 'object' },
+                    bKashStatus: {
+                      type: 'object',
+                      description: 'Same as providerStatus (bKash only)',
+                    },
+                    intentStatus: {
+                      type: 'string',
+                      description: "Status of the checkout's payment intent",
+                    },
                     saleStatus: { type: 'string' },
                   },
                 },
@@ -1135,13 +2583,23 @@ const API_DOCS = {
         },
       },
     },
-    '/api/payments/bkash/refund': {
+    '/api/payments/{provider}/refund': {
       post: {
         summary: 'Refund payment',
         description:
-          '**Access Level: 🔒 ADMIN ONLY**\n\nRefund a bKash payment.',
+          "**Access Level: 🔒 ADMIN ONLY**\n\nRefund a payment in full or in part through its provider. Each refund is recorded against the sale and debited from its payees in the ledger; refunds add up to the sale's price at most.",
         tags: ['Payments'],
         security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'provider',
+            in: 'path',
+            required: true,
+            schema: { type: 'string', enum: ['bkash', 'mock'] },
+            description:
+              'Payment provider (mock only when MOCK_PAYMENTS_ENABLED=true outside production)',
+          },
+        ],
         requestBody: {
           required: true,
           content: {
@@ -1161,6 +2619,243 @@ const API_DOCS = {
         },
         responses: {
           200: { description: 'Refund processed' },
+          400: { description: 'Invalid amount or sale not refundable' },
+        },
+      },
+    },
+    '/api/ledger/balances': {
+      get: {
+        summary: 'Get payee balances',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nCredits, refund debits, payouts and the outstanding balance of every payee, the owner included.',
+        tags: ['Ledger'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Payee balances',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      payeeId: { type: 'string' },
+                      collaboratorId: { type: 'string', nullable: true },
+                      name: { type: 'string' },
+                      credits: { type: 'number' },
+                      debits: { type: 'number' },
+                      payouts: { type: 'number' },
+                      balance: { type: 'number' },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/ledger/balances/{payeeId}': {
+      get: {
+        summary: "Get one payee's balance",
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nBalance of a collaborator (or the owner) with their 20 most recent ledger entries.',
+        tags: ['Ledger'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'payeeId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Collaborator ID, or owner',
+          },
+        ],
+        responses: {
+          200: { description: 'Payee balance' },
+          404: { description: 'Payee not found' },
+        },
+      },
+    },
+    '/api/ledger/payouts': {
+      post: {
+        summary: 'Record a payout',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nRecord money paid to a collaborator. The amount cannot exceed what they are owed.',
+        tags: ['Ledger'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['collaborator', 'amount'],
+                properties: {
+                  collaborator: { type: 'string' },
+                  amount: { type: 'number' },
+                  reference: { type: 'string' },
+                  note: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: { description: 'Payout recorded' },
+          400: { description: 'Validation error or amount above the balance' },
+          404: { description: 'Collaborator not found' },
+        },
+      },
+    },
+    '/api/ledger/payouts/{id}': {
+      delete: {
+        summary: 'Delete a payout',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nRemove a payout recorded by mistake; the amount is owed again.',
+        tags: ['Ledger'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          200: { description: 'Payout deleted' },
+          404: { description: 'Payout not found' },
+        },
+      },
+    },
+    '/api/ledger/statements/{payeeId}': {
+      get: {
+        summary: 'Get a monthly settlement statement',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nOpening balance, every credit, debit and payout of the month (UTC) with a running balance, and the closing balance. Use format=csv or format=pdf to download it.',
+        tags: ['Ledger'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'payeeId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Collaborator ID, or owner',
+          },
+          {
+            name: 'month',
+            in: 'query',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Month as YYYY-MM',
+          },
+          {
+            name: 'format',
+            in: 'query',
+            schema: { type: 'string', enum: ['json', 'csv', 'pdf'] },
+          },
+        ],
+        responses: {
+          200: { description: 'Settlement statement (JSON, CSV or PDF)' },
+          400: { description: 'Invalid month or format' },
+          404: { description: 'Payee not found' },
+        },
+      },
+    },
+    '/api/trash': {
+      get: {
+        summary: 'List trashed items',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nDeleted tracks, gallery images, videos and pricing plans, newest first, with the date each one is purged automatically. Sold tracks are kept for their buyers.',
+        tags: ['Trash'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'type',
+            in: 'query',
+            schema: {
+              type: 'string',
+              enum: ['track', 'gallery', 'youtube', 'tiktok', 'pricing'],
+            },
+          },
+        ],
+        responses: {
+          200: { description: 'Trashed items' },
+          400: { description: 'Invalid type' },
+        },
+      },
+      delete: {
+        summary: 'Empty the trash',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nPermanently delete every trashed item. Sold tracks are kept.',
+        tags: ['Trash'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: 'Trash emptied, with purged and kept counts' },
+        },
+      },
+    },
+    '/api/trash/{type}/{id}/restore': {
+      post: {
+        summary: 'Restore a trashed item',
+        description:
+          '**Access Level: 🔒 ADMIN ONLY**\n\nMove an item out of the trash so it shows up in the public APIs again.',
+        tags: ['Trash'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'type',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string',
+              enum: ['track', 'gallery', 'youtube', 'tiktok', 'pricing'],
+            },
+          },
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          200: { description: 'Item restored' },
+          404: { description: 'Item not found in the trash' },
+        },
+      },
+    },
+    '/api/trash/{type}/{id}': {
+      delete: {
+        summary: 'Permanently delete a trashed item',
+        description:
+          "**Access Level: 🔒 ADMIN ONLY**\n\nPurge an item from the trash. Sold tracks can't be purged, so their buyers can still download them.",
+        tags: ['Trash'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'type',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string',
+              enum: ['track', 'gallery', 'youtube', 'tiktok', 'pricing'],
+            },
+          },
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          200: { description: 'Item purged' },
+          404: { description: 'Item not found in the trash' },
+          409: { description: 'Track has buyers and is kept' },
         },
       },
     },
@@ -0,0 +1,214 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import { categoriesAPI } from '@/lib/api';
+import CategoryCard from '@/components/categories/CategoryCard';
+import CategoryModal from '@/components/categories/CategoryModal';
+import CategoryDeleteModal from '@/components/categories/CategoryDeleteModal';
+
+const EMPTY_FORM = {
+  name: '',
+  slug: '',
+  displayOrder: '',
+  coverImage: '',
+};
+
+const Categories = () => {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [coverFile, setCoverFile] = useState(null);
+  const [coverPreview, setCoverPreview] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [deletingCategory, setDeletingCategory] = useState(null);
+
+  const fetchCategories = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await categoriesAPI.getAll();
+      setCategories(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      setCategories([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  const handleOpenModal = (category = null) => {
+    if (category) {
+      setEditingCategory(category);
+      setFormData({
+        name: category.name || '',
+        slug: category.slug || '',
+        displayOrder: category.displayOrder ?? '',
+        coverImage: category.coverImage || '',
+      });
+    } else {
+      setEditingCategory(null);
+      setFormData(EMPTY_FORM);
+    }
+    setCoverFile(null);
+    setCoverPreview(null);
+    setIsModalOpen(true);
+  };
+
+  const handleCloseModal = () => {
+    setIsModalOpen(false);
+    setEditingCategory(null);
+    setFormData(EMPTY_FORM);
+    setCoverFile(null);
+    setCoverPreview(null);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  const handleCoverChange = (file) => {
+    setCoverFile(file);
+    if (!file) {
+      setCoverPreview(null);
+      setFormData((prev) => ({ ...prev, coverImage: '' }));
+      return;
+    }
+    const reader = new FileReader();
+    reader.onloadend = () => {
+      setCoverPreview(reader.result);
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setUploading(true);
+
+      let coverImage = formData.coverImage;
+
+      // If a new cover is selected, upload it first
+      if (coverFile) {
+        const uploadResult = await categoriesAPI.uploadCover(coverFile);
+        coverImage = uploadResult.url;
+      }
+
+      const categoryData = {
+        name: formData.name.trim(),
+        coverImage,
+      };
+      if (formData.slug.trim()) {
+        categoryData.slug = formData.slug.trim();
+      }
+      if (formData.displayOrder !== '') {
+        categoryData.displayOrder = parseInt(formData.displayOrder, 10);
+      }
+
+      if (editingCategory) {
+        await categoriesAPI.update(
+          editingCategory._id || editingCategory.id,
+          categoryData,
+        );
+      } else {
+        await categoriesAPI.create(categoryData);
+      }
+      await fetchCategories();
+      handleCloseModal();
+    } catch (error) {
+      alert(error.message || 'Failed to save category');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Categories with tracks need a reassignment target before they can be deleted
+  const handleDelete = async (category) => {
+    if (category.trackCount > 0) {
+      setDeletingCategory(category);
+      return;
+    }
+    if (window.confirm('Are you sure you want to delete this category?')) {
+      try {
+        await categoriesAPI.delete(category._id || category.id);
+        await fetchCategories();
+      } catch (error) {
+        alert(error.message || 'Failed to delete category');
+      }
+    }
+  };
+
+  const handleConfirmReassignDelete = async (category, reassignTo) => {
+    try {
+      await categoriesAPI.delete(category._id || category.id, reassignTo);
+      setDeletingCategory(null);
+      await fetchCategories();
+    } catch (error) {
+      alert(error.message || 'Failed to delete category');
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Categories</h1>
+          <p className="mt-2 text-sm text-gray-600">
+            Manage the categories tracks can be filed under
+          </p>
+        </div>
+        <Button onClick={() => handleOpenModal()}>+ Add Category</Button>
+      </div>
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-600">
+          Loading categories...
+        </div>
+      ) : categories.length === 0 ? (
+        <div className="py-12 text-center text-muted-foreground">
+          No categories found. Add your first category!
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4">
+          {categories.map((category) => (
+            <CategoryCard
+              key={category._id || category.id}
+              category={category}
+              onEdit={handleOpenModal}
+              onDelete={handleDelete}
+            />
+          ))}
+        </div>
+      )}
+
+      <CategoryModal
+        isOpen={isModalOpen}
+        onClose={handleCloseModal}
+        editingCategory={editingCategory}
+        formData={formData}
+        handleInputChange={handleInputChange}
+        handleCoverChange={handleCoverChange}
+        coverPreview={coverPreview}
+        handleSubmit={handleSubmit}
+        uploading={uploading}
+      />
+
+      <CategoryDeleteModal
+        key={deletingCategory?._id || 'none'}
+        category={deletingCategory}
+        categories={categories}
+        onClose={() => setDeletingCategory(null)}
+        onConfirm={handleConfirmReassignDelete}
+      />
+    </div>
+  );
+};
+
+export default Categories;
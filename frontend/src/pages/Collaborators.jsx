@@ -0,0 +1,145 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import { collaboratorsAPI } from '@/lib/api';
+import CollaboratorTable from '@/components/collaborators/CollaboratorTable';
+import CollaboratorModal from '@/components/collaborators/CollaboratorModal';
+
+const EMPTY_FORM = {
+  name: '',
+  defaultRole: 'artist',
+  email: '',
+  phoneNumber: '',
+  notes: '',
+};
+
+const Collaborators = () => {
+  const [collaborators, setCollaborators] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [editingCollaborator, setEditingCollaborator] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchCollaborators = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await collaboratorsAPI.getAll();
+      setCollaborators(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Error fetching collaborators:', error);
+      setCollaborators([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCollaborators();
+  }, [fetchCollaborators]);
+
+  const handleOpenModal = (collaborator = null) => {
+    if (collaborator) {
+      setEditingCollaborator(collaborator);
+      setFormData({
+        name: collaborator.name || '',
+        defaultRole: collaborator.defaultRole || 'artist',
+        email: collaborator.email || '',
+        phoneNumber: collaborator.phoneNumber || '',
+        notes: collaborator.notes || '',
+      });
+    } else {
+      setEditingCollaborator(null);
+      setFormData(EMPTY_FORM);
+    }
+    setIsModalOpen(true);
+  };
+
+  const handleCloseModal = () => {
+    setIsModalOpen(false);
+    setEditingCollaborator(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const collaboratorData = {
+        ...formData,
+        name: formData.name.trim(),
+      };
+      if (editingCollaborator) {
+        await collaboratorsAPI.update(
+          editingCollaborator._id,
+          collaboratorData,
+        );
+      } else {
+        await collaboratorsAPI.create(collaboratorData);
+      }
+      await fetchCollaborators();
+      handleCloseModal();
+    } catch (error) {
+      alert(error.message || 'Failed to save collaborator');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (collaborator) => {
+    if (window.confirm(`Are you sure you want to delete ${collaborator.name}?`)) {
+      try {
+        await collaboratorsAPI.delete(collaborator._id);
+        await fetchCollaborators();
+      } catch (error) {
+        alert(error.message || 'Failed to delete collaborator');
+      }
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Collaborators</h1>
+          <p className="mt-2 text-sm text-gray-600">
+            Manage the artists, producers and writers who share in track
+            revenue
+          </p>
+        </div>
+        <Button onClick={() => handleOpenModal()}>+ Add Collaborator</Button>
+      </div>
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-600">
+          Loading collaborators...
+        </div>
+      ) : (
+        <CollaboratorTable
+          collaborators={collaborators}
+          onEdit={handleOpenModal}
+          onDelete={handleDelete}
+        />
+      )}
+
+      <CollaboratorModal
+        isOpen={isModalOpen}
+        onClose={handleCloseModal}
+        editingCollaborator={editingCollaborator}
+        formData={formData}
+        handleInputChange={handleInputChange}
+        handleSubmit={handleSubmit}
+        saving={saving}
+      />
+    </div>
+  );
+};
+
+export default Collaborators;
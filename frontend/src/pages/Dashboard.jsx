@@ -7,17 +7,44 @@ import {
   CardHeader,
   CardTitle,
 } from '@/components/ui/card';
-import { Music, DollarSign, ShoppingCart, Image, Mail, CreditCard } from 'lucide-react';
+import {
+  Music,
+  DollarSign,
+  ShoppingCart,
+  Image,
+  Mail,
+  CreditCard,
+  Lock,
+  AlertTriangle,
+} from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
+import { tracksAPI } from '@/lib/api';
 
 const Dashboard = () => {
-  const { stats, fetchDataIfNeeded } = useData();
+  const { stats, fetchDataIfNeeded, refreshData } = useData();
+  const soldExclusivelyTracks = stats.soldExclusivelyTracks || [];
+  const exclusiveConflicts = stats.exclusiveConflicts || [];
 
   useEffect(() => {
     fetchDataIfNeeded();
   }, [fetchDataIfNeeded]);
 
+  const handleRelist = async (track) => {
+    if (
+      window.confirm(
+        `"${track.title}" was sold under an exclusive license. Put it back on sale anyway?`,
+      )
+    ) {
+      try {
+        await tracksAPI.relist(track._id);
+        await refreshData();
+      } catch (error) {
+        alert(error.message || 'Failed to re-list track');
+      }
+    }
+  };
+
   const dashboardStats = [
     {
       name: 'Total Tracks',
@@ -225,6 +252,93 @@ const Dashboard = () => {
         </Card>
       </div>
 
+      {/* Tracks retired by an exclusive sale */}
+      {soldExclusivelyTracks.length > 0 && (
+        <Card className="mt-8 border-purple-200">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Lock className="h-5 w-5 text-purple-600" />
+              Sold Exclusively
+            </CardTitle>
+            <CardDescription>
+              These tracks were bought under an exclusive license. They are
+              hidden from public listings and can no longer be purchased.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="divide-y">
+              {soldExclusivelyTracks.map((track) => (
+                <div
+                  key={track._id}
+                  className="flex items-center justify-between gap-4 py-3"
+                >
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">
+                      {track.title}
+                    </p>
+                    <p className="text-xs text-muted-foreground">
+                      {track.soldExclusivelyAt &&
+                        `Sold ${new Date(track.soldExclusivelyAt).toLocaleDateString()}`}
+                      {track.saleSerialId && ` · Order ${track.saleSerialId}`}
+                    </p>
+                  </div>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleRelist(track)}
+                  >
+                    Re-list
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Exclusive licenses paid for twice */}
+      {exclusiveConflicts.length > 0 && (
+        <Card className="mt-8 border-red-200">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <AlertTriangle className="h-5 w-5 text-red-600" />
+              Exclusive Licenses Sold Twice
+            </CardTitle>
+            <CardDescription>
+              These buyers paid for an exclusive license another order had
+              already bought. Refund them through the payment provider; they
+              are listed until refunded in full.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="divide-y">
+              {exclusiveConflicts.map((sale) => (
+                <div
+                  key={sale._id}
+                  className="flex items-center justify-between gap-4 py-3"
+                >
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">
+                      {sale.trackTitle} · Order {sale.saleSerialId}
+                    </p>
+                    <p className="text-xs text-muted-foreground">
+                      ৳{(sale.price - sale.refundedAmount).toFixed(2)} to refund
+                      {sale.firstSaleSerialId &&
+                        ` · License kept by order ${sale.firstSaleSerialId}`}
+                    </p>
+                  </div>
+                  <Link to="/dashboard/payment-history">
+                    <Button variant="outline" size="sm">
+                      View
+                    </Button>
+                  </Link>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Quick Actions */}
       <div className="mt-8">
         <h2 className="text-2xl font-bold text-gray-900 mb-4">Quick Actions</h2>
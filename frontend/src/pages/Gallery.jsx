@@ -1,11 +1,14 @@
 import { useState, useEffect, useCallback } from 'react';
 import { Button } from '@/components/ui/button';
 import { galleryAPI } from '@/lib/api';
+import { uploadWithDuplicateCheck } from '@/lib/media';
+import { featuredFirst, dragItemClassName } from '@/lib/displayOrder';
 import GalleryCard from '@/components/gallery/GalleryCard';
 import GalleryModal from '@/components/gallery/GalleryModal';
 import ImageCropModal from '@/components/ui/image-crop-modal';
 import { useDebounce } from '@/hooks/useDebounce';
 import { useInfiniteScroll } from '@/hooks/useInfiniteScroll';
+import { useDragReorder } from '@/hooks/useDragReorder';
 
 const Gallery = () => {
   const [images, setImages] = useState([]);
@@ -25,6 +28,7 @@ const Gallery = () => {
     src: '',
     height: 'medium',
     caption: '',
+    slug: '',
   });
   const [srcPreview, setSrcPreview] = useState(null);
 
@@ -35,6 +39,7 @@ const Gallery = () => {
         src: image.src || '',
         height: image.height || 'medium',
         caption: image.caption || '',
+        slug: image.slug || '',
       });
       setSrcPreview(null);
     } else {
@@ -43,6 +48,7 @@ const Gallery = () => {
         src: '',
         height: 'medium',
         caption: '',
+        slug: '',
       });
       setSrcPreview(null);
     }
@@ -56,6 +62,7 @@ const Gallery = () => {
       src: '',
       height: 'medium',
       caption: '',
+      slug: '',
     });
     setSrcPreview(null);
   };
@@ -209,7 +216,9 @@ const Gallery = () => {
 
       // If a new file is selected, upload it first
       if (imageFile) {
-        const uploadResult = await galleryAPI.upload(imageFile);
+        const uploadResult = await uploadWithDuplicateCheck((options) =>
+          galleryAPI.upload(imageFile, options),
+        );
         imageUrl = uploadResult.url;
       }
 
@@ -223,6 +232,10 @@ const Gallery = () => {
         height: formData.height,
         caption: formData.caption,
       };
+      // Left empty, the server generates the slug from the caption
+      if (formData.slug.trim()) {
+        imageData.slug = formData.slug.trim();
+      }
 
       if (editingImage) {
         await galleryAPI.update(editingImage._id || editingImage.id, imageData);
@@ -242,7 +255,7 @@ const Gallery = () => {
   };
 
   const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this image?')) {
+    if (window.confirm('Move this image to the trash?')) {
       try {
         await galleryAPI.delete(id);
         // Remove deleted image from state
@@ -258,6 +271,39 @@ const Gallery = () => {
     }
   };
 
+  // Reset to first page and reload
+  const reloadImages = () => {
+    setPagination((prev) => ({ ...prev, page: 1 }));
+    setDebouncedPage(1);
+    fetchImages(1, true);
+  };
+
+  const handleToggleFeatured = async (image) => {
+    try {
+      await galleryAPI.update(image._id || image.id, {
+        featured: !image.featured,
+      });
+      reloadImages();
+    } catch (error) {
+      alert(error.message || 'Failed to update image');
+    }
+  };
+
+  // Show the new order right away, then save it (only the loaded images
+  // are sent; they keep the slots they already take up)
+  const handleReorder = async (reordered) => {
+    const ordered = featuredFirst(reordered);
+    setImages(ordered);
+    try {
+      await galleryAPI.reorder(ordered.map((image) => image._id || image.id));
+    } catch (error) {
+      alert(error.message || 'Failed to save the new order');
+      reloadImages();
+    }
+  };
+
+  const drag = useDragReorder(images, handleReorder);
+
   if (loading) {
     return (
       <div className="p-6">
@@ -272,7 +318,8 @@ const Gallery = () => {
         <div>
           <h1 className="text-3xl font-bold text-gray-900">Gallery</h1>
           <p className="mt-2 text-sm text-gray-600">
-            Manage your image gallery
+            Manage your image gallery. Drag images to change their order;
+            featured images always come first
           </p>
         </div>
         <Button onClick={() => handleOpenModal()}>+ Add Image</Button>
@@ -285,13 +332,19 @@ const Gallery = () => {
       ) : (
         <>
           <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
-            {images.map((image) => (
-              <GalleryCard
+            {images.map((image, index) => (
+              <div
                 key={image._id || image.id}
-                image={image}
-                onEdit={handleOpenModal}
-                onDelete={handleDelete}
-              />
+                className={dragItemClassName(index, drag)}
+                {...drag.getDragProps(index)}
+              >
+                <GalleryCard
+                  image={image}
+                  onEdit={handleOpenModal}
+                  onDelete={handleDelete}
+                  onToggleFeatured={handleToggleFeatured}
+                />
+              </div>
             ))}
           </div>
 
@@ -8,10 +8,18 @@ import {
   CardHeader,
   CardTitle,
 } from '@/components/ui/card';
-import { Loader2, CreditCard, TrendingUp, Wallet } from 'lucide-react';
+import {
+  Loader2,
+  CreditCard,
+  TrendingUp,
+  Wallet,
+  ShieldCheck,
+} from 'lucide-react';
 import SalesChart from '@/components/dashboard/SalesChart';
 import TopTracks from '@/components/dashboard/TopTracks';
+import ProfitBreakdown from '@/components/dashboard/ProfitBreakdown';
 import PaymentHistoryTable from '@/components/dashboard/PaymentHistory';
+import PaymentReconciliation from '@/components/dashboard/PaymentReconciliation';
 
 const PaymentHistory = () => {
   const { stats } = useData();
@@ -105,13 +113,13 @@ const PaymentHistory = () => {
                               className="flex items-center justify-between mb-2"
                             >
                               <span className="text-sm text-muted-foreground capitalize">
-                                {item.status} Sales
+                                {item.status.replace('_', ' ')} Sales
                               </span>
                               <div className="text-right">
                                 <span className="text-lg font-semibold">
                                   {item.count}
                                 </span>
-                                {item.status === 'completed' && (
+                                {item.revenue > 0 && (
                                   <p className="text-xs text-muted-foreground">
                                     ৳{item.revenue.toFixed(2)}
                                   </p>
@@ -159,7 +167,7 @@ const PaymentHistory = () => {
                         </div>
                         <div className="flex items-center justify-between mt-2">
                           <span className="text-sm font-medium">
-                            Completed Sales
+                            Paid Sales
                           </span>
                           <span className="text-lg font-bold text-green-600">
                             {salesStats.completedSales}
@@ -195,47 +203,60 @@ const PaymentHistory = () => {
           </p>
         </div>
 
-        <Card>
-          <CardHeader>
-            <CardTitle className="flex items-center gap-2">
-              <TrendingUp className="h-5 w-5" />
-              Revenue Summary
-            </CardTitle>
-            <CardDescription>Overview of your revenue metrics</CardDescription>
-          </CardHeader>
-          <CardContent>
-            <div className="space-y-4">
-              <div className="flex items-center justify-between">
-                <span className="text-sm text-muted-foreground">
-                  Total Revenue
-                </span>
-                <span className="text-2xl font-bold text-indigo-600">
-                  ৳{stats.totalProfit.toFixed(2)}
-                </span>
-              </div>
-              <div className="flex items-center justify-between">
-                <span className="text-sm text-muted-foreground">
-                  Total Tracks Sold
-                </span>
-                <span className="text-lg font-semibold">
-                  {stats.totalTracksSold}
-                </span>
-              </div>
-              {stats.totalTracksSold > 0 && (
-                <div className="pt-4 border-t">
+        <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <TrendingUp className="h-5 w-5" />
+                Revenue Summary
+              </CardTitle>
+              <CardDescription>Overview of your revenue metrics</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-muted-foreground">
+                    Total Revenue
+                  </span>
+                  <span className="text-2xl font-bold text-indigo-600">
+                    ৳{stats.totalProfit.toFixed(2)}
+                  </span>
+                </div>
+                {stats.totalRefunded > 0 && (
                   <div className="flex items-center justify-between">
-                    <span className="text-sm font-medium">
-                      Average Revenue per Sale
+                    <span className="text-sm text-muted-foreground">
+                      Total Refunded
                     </span>
-                    <span className="text-lg font-bold">
-                      ৳{(stats.totalProfit / stats.totalTracksSold).toFixed(2)}
+                    <span className="text-lg font-semibold text-orange-600">
+                      ৳{stats.totalRefunded.toFixed(2)}
                     </span>
                   </div>
+                )}
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-muted-foreground">
+                    Total Tracks Sold
+                  </span>
+                  <span className="text-lg font-semibold">
+                    {stats.totalTracksSold}
+                  </span>
                 </div>
-              )}
-            </div>
-          </CardContent>
-        </Card>
+                {stats.totalTracksSold > 0 && (
+                  <div className="pt-4 border-t">
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm font-medium">
+                        Average Revenue per Sale
+                      </span>
+                      <span className="text-lg font-bold">
+                        ৳{(stats.totalProfit / stats.totalTracksSold).toFixed(2)}
+                      </span>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+          <ProfitBreakdown profitBreakdown={salesStats?.profitBreakdown} />
+        </div>
       </div>
 
       {/* Payment History Section */}
@@ -251,6 +272,21 @@ const PaymentHistory = () => {
         </div>
         <PaymentHistoryTable />
       </div>
+
+      {/* Payment Reconciliation Section */}
+      <div className="mt-8">
+        <div className="mb-6">
+          <h2 className="flex gap-2 items-center text-2xl font-bold text-gray-900 mb-2">
+            <ShieldCheck className="w-6 h-6" />
+            Payment Reconciliation
+          </h2>
+          <p className="text-sm text-gray-600">
+            Payments completed at the gateway without reaching the callback, and
+            what reconciliation did with them
+          </p>
+        </div>
+        <PaymentReconciliation />
+      </div>
     </div>
   );
 };
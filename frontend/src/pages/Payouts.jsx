@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ledgerAPI } from '@/lib/api';
+import PayeeBalanceTable from '@/components/payouts/PayeeBalanceTable';
+import PayoutModal from '@/components/payouts/PayoutModal';
+import StatementModal from '@/components/payouts/StatementModal';
+
+const Payouts = () => {
+  const [payees, setPayees] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [payoutPayee, setPayoutPayee] = useState(null);
+  const [statementPayee, setStatementPayee] = useState(null);
+
+  const fetchBalances = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await ledgerAPI.getBalances();
+      setPayees(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Error fetching balances:', error);
+      setPayees([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBalances();
+  }, [fetchBalances]);
+
+  const handlePayoutSaved = async () => {
+    setPayoutPayee(null);
+    await fetchBalances();
+  };
+
+  const totalOwed = payees
+    .filter((payee) => payee.collaboratorId)
+    .reduce((sum, payee) => sum + Math.max(payee.balance, 0), 0);
+
+  return (
+    <div className="p-6">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Payouts</h1>
+        <p className="mt-2 text-sm text-gray-600">
+          What each collaborator has earned, been refunded and been paid.
+          Owed to collaborators: ৳{totalOwed.toFixed(2)}
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-600">
+          Loading balances...
+        </div>
+      ) : (
+        <PayeeBalanceTable
+          payees={payees}
+          onPayout={setPayoutPayee}
+          onStatement={setStatementPayee}
+        />
+      )}
+
+      {payoutPayee && (
+        <PayoutModal
+          key={payoutPayee.payeeId}
+          payee={payoutPayee}
+          onClose={() => setPayoutPayee(null)}
+          onSaved={handlePayoutSaved}
+        />
+      )}
+
+      {statementPayee && (
+        <StatementModal
+          key={statementPayee.payeeId}
+          payee={statementPayee}
+          onClose={() => setStatementPayee(null)}
+          onChanged={fetchBalances}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Payouts;
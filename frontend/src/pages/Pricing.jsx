@@ -16,6 +16,9 @@ const Pricing = () => {
   const [formData, setFormData] = useState({
     title: '',
     price: '',
+    licenseType: 'basic',
+    usageTerms: '',
+    deliverables: '',
   });
 
   const handleOpenModal = (plan = null) => {
@@ -24,12 +27,18 @@ const Pricing = () => {
       setFormData({
         title: plan.title || '',
         price: plan.price || '',
+        licenseType: plan.licenseType || 'basic',
+        usageTerms: plan.usageTerms || '',
+        deliverables: (plan.deliverables || []).join(', '),
       });
     } else {
       setEditingPlan(null);
       setFormData({
         title: '',
         price: '',
+        licenseType: 'basic',
+        usageTerms: '',
+        deliverables: '',
       });
     }
     setIsModalOpen(true);
@@ -41,6 +50,9 @@ const Pricing = () => {
     setFormData({
       title: '',
       price: '',
+      licenseType: 'basic',
+      usageTerms: '',
+      deliverables: '',
     });
   };
 
@@ -58,6 +70,12 @@ const Pricing = () => {
       const planData = {
         title: formData.title.trim(),
         price: parseFloat(formData.price),
+        licenseType: formData.licenseType,
+        usageTerms: formData.usageTerms.trim(),
+        deliverables: formData.deliverables
+          .split(',')
+          .map((item) => item.trim())
+          .filter(Boolean),
       };
 
       if (editingPlan) {
@@ -74,7 +92,7 @@ const Pricing = () => {
   };
 
   const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this pricing plan?')) {
+    if (window.confirm('Move this pricing plan to the trash?')) {
       try {
         await pricingAPI.delete(id);
         await refreshData();
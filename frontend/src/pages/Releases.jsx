@@ -0,0 +1,364 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { releasesAPI } from '@/lib/api';
+import ReleaseCard from '@/components/releases/ReleaseCard';
+import ReleaseModal from '@/components/releases/ReleaseModal';
+import { useDebounce } from '@/hooks/useDebounce';
+import { useInfiniteScroll } from '@/hooks/useInfiniteScroll';
+import {
+  RELEASE_TYPE_OPTIONS,
+  RELEASE_STATUS_OPTIONS,
+} from '@/lib/releases';
+
+const EMPTY_FORM = {
+  artwork: '',
+  title: '',
+  type: 'album',
+  releaseDate: '',
+  price: '',
+  status: 'published',
+  description: '',
+  tracks: [],
+};
+
+const Releases = () => {
+  const [releases, setReleases] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+    totalPages: 0,
+    hasNext: false,
+    hasPrev: false,
+  });
+  const [filters, setFilters] = useState({
+    search: '',
+    type: '',
+    status: '',
+  });
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [editingRelease, setEditingRelease] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [artworkFile, setArtworkFile] = useState(null);
+  const [artworkPreview, setArtworkPreview] = useState(null);
+  const [uploading, setUploading] = useState(false);
+
+  const handleOpenModal = (release = null) => {
+    if (release) {
+      setEditingRelease(release);
+      setFormData({
+        artwork: release.artwork || '',
+        title: release.title || '',
+        type: release.type || 'album',
+        releaseDate: release.releaseDate
+          ? new Date(release.releaseDate).toISOString().split('T')[0]
+          : '',
+        price: release.price ?? '',
+        status: release.status || 'published',
+        description: release.description || '',
+        // Tracks deleted since the release was created come back as null
+        tracks: (release.tracks || []).filter(Boolean),
+      });
+    } else {
+      setEditingRelease(null);
+      setFormData(EMPTY_FORM);
+    }
+    setArtworkFile(null);
+    setArtworkPreview(null);
+    setIsModalOpen(true);
+  };
+
+  const handleCloseModal = () => {
+    setIsModalOpen(false);
+    setEditingRelease(null);
+    setFormData(EMPTY_FORM);
+    setArtworkFile(null);
+    setArtworkPreview(null);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  const handleArtworkChange = (file) => {
+    if (file) {
+      setArtworkFile(file);
+      const reader = new FileReader();
+      reader.onloadend = () => {
+        setArtworkPreview(reader.result);
+      };
+      reader.readAsDataURL(file);
+    } else {
+      // File removed
+      setArtworkFile(null);
+      setArtworkPreview(null);
+      setFormData((prev) => ({
+        ...prev,
+        artwork: '',
+      }));
+    }
+  };
+
+  // Debounce the search input so typing doesn't fire a request per keystroke
+  const debouncedSearch = useDebounce(filters.search, 300);
+
+  const fetchReleases = useCallback(
+    async (page = 1, reset = true) => {
+      try {
+        if (reset) {
+          setLoading(true);
+        } else {
+          setLoadingMore(true);
+        }
+
+        const response = await releasesAPI.getAll({
+          search: debouncedSearch.trim(),
+          type: filters.type,
+          status: filters.status,
+          page,
+          limit: pagination.limit,
+        });
+
+        if (response && Array.isArray(response.items)) {
+          if (reset) {
+            setReleases(response.items);
+          } else {
+            setReleases((prev) => [...prev, ...response.items]);
+          }
+          if (response.pagination) {
+            setPagination(response.pagination);
+          }
+        } else if (reset) {
+          setReleases([]);
+        }
+      } catch (error) {
+        console.error('Error fetching releases:', error);
+        if (reset) {
+          setReleases([]);
+        }
+      } finally {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    },
+    [debouncedSearch, filters.type, filters.status, pagination.limit],
+  );
+
+  // Reload from the first page whenever a filter changes
+  useEffect(() => {
+    fetchReleases(1, true);
+  }, [fetchReleases]);
+
+  const loadMore = useCallback(() => {
+    if (pagination.hasNext && !loadingMore && !loading) {
+      fetchReleases(pagination.page + 1, false);
+    }
+  }, [pagination.hasNext, pagination.page, loadingMore, loading, fetchReleases]);
+
+  const observerTarget = useInfiniteScroll(
+    loadMore,
+    pagination.hasNext,
+    loadingMore || loading,
+    {
+      threshold: 200,
+    },
+  );
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  const hasActiveFilters = filters.search || filters.type || filters.status;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setUploading(true);
+
+      let artworkUrl = formData.artwork;
+
+      // Upload artwork if a new file is selected
+      if (artworkFile) {
+        const uploadResult = await releasesAPI.uploadArtwork(artworkFile);
+        artworkUrl = uploadResult.url;
+      }
+
+      // Validate required fields
+      if (!artworkUrl) {
+        throw new Error('Please select an artwork image');
+      }
+      if (!formData.title || formData.title.trim() === '') {
+        throw new Error('Please enter a title');
+      }
+      if (!formData.releaseDate) {
+        throw new Error('Please select a release date');
+      }
+      if (formData.price === '' || parseFloat(formData.price) < 0) {
+        throw new Error('Please enter a valid price');
+      }
+      if (formData.tracks.length === 0) {
+        throw new Error('Please add at least one track');
+      }
+
+      const releaseData = {
+        artwork: artworkUrl,
+        title: formData.title.trim(),
+        type: formData.type,
+        releaseDate: formData.releaseDate,
+        price: parseFloat(formData.price),
+        status: formData.status,
+        description: formData.description.trim(),
+        tracks: formData.tracks.map((track) => track._id),
+      };
+
+      if (editingRelease) {
+        await releasesAPI.update(
+          editingRelease._id || editingRelease.id,
+          releaseData,
+        );
+      } else {
+        await releasesAPI.create(releaseData);
+      }
+      await fetchReleases(1, true);
+      handleCloseModal();
+    } catch (error) {
+      alert(error.message || 'Failed to save release');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (
+      window.confirm(
+        'Are you sure you want to delete this release? Its tracks are kept.',
+      )
+    ) {
+      try {
+        await releasesAPI.delete(id);
+        await fetchReleases(1, true);
+      } catch (error) {
+        alert(error.message || 'Failed to delete release');
+      }
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Releases</h1>
+          <p className="mt-2 text-sm text-gray-600">
+            Albums, EPs and bundles sold as one purchase
+          </p>
+        </div>
+        <Button onClick={() => handleOpenModal()}>+ Add Release</Button>
+      </div>
+
+      {/* Search and Filters */}
+      <div className="grid grid-cols-1 gap-3 mb-6 md:grid-cols-3">
+        <Input
+          name="search"
+          value={filters.search}
+          onChange={handleFilterChange}
+          placeholder="Search by title..."
+          aria-label="Search releases by title"
+        />
+        <select
+          id="type-filter"
+          name="type"
+          value={filters.type}
+          onChange={handleFilterChange}
+          aria-label="Filter by type"
+          className="px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
+        >
+          <option value="">All Types</option>
+          {RELEASE_TYPE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <select
+          id="status-filter"
+          name="status"
+          value={filters.status}
+          onChange={handleFilterChange}
+          aria-label="Filter by status"
+          className="px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
+        >
+          <option value="">All Statuses</option>
+          {RELEASE_STATUS_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="py-8 text-center text-gray-600">Loading...</div>
+      ) : releases.length === 0 ? (
+        <div className="py-12 text-center text-muted-foreground">
+          {hasActiveFilters
+            ? 'No releases match the current filters.'
+            : 'No releases found. Add your first release!'}
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
+            {releases.map((release) => (
+              <ReleaseCard
+                key={release._id || release.id}
+                release={release}
+                onEdit={handleOpenModal}
+                onDelete={handleDelete}
+              />
+            ))}
+          </div>
+
+          {/* Infinite scroll trigger */}
+          {pagination.hasNext && (
+            <div ref={observerTarget} className="py-8 text-center">
+              {loadingMore && (
+                <div className="text-gray-500">Loading more releases...</div>
+              )}
+            </div>
+          )}
+
+          {/* End of list indicator */}
+          {!pagination.hasNext && releases.length > 0 && (
+            <div className="py-8 text-center text-gray-500">
+              All releases loaded ({pagination.total} total)
+            </div>
+          )}
+        </>
+      )}
+
+      <ReleaseModal
+        isOpen={isModalOpen}
+        onClose={handleCloseModal}
+        editingRelease={editingRelease}
+        formData={formData}
+        handleInputChange={handleInputChange}
+        handleArtworkChange={handleArtworkChange}
+        handleSubmit={handleSubmit}
+        artworkPreview={artworkPreview}
+        uploading={uploading}
+      />
+    </div>
+  );
+};
+
+export default Releases;
@@ -1,6 +1,9 @@
 import { useState, useEffect } from 'react';
 import { Button } from '@/components/ui/button';
 import { tiktokAPI } from '@/lib/api';
+import { uploadWithDuplicateCheck } from '@/lib/media';
+import { featuredFirst, dragItemClassName } from '@/lib/displayOrder';
+import { useDragReorder } from '@/hooks/useDragReorder';
 import TikTokCard from '@/components/tiktok/TikTokCard';
 import TikTokModal from '@/components/tiktok/TikTokModal';
 
@@ -14,6 +17,7 @@ const TikTok = () => {
     description: '',
     tiktokLink: '',
     thumbnail: '',
+    slug: '',
   });
   const [videoFile, setVideoFile] = useState(null);
   const [videoPreview, setVideoPreview] = useState(null);
@@ -53,6 +57,7 @@ const TikTok = () => {
         description: video.description || '',
         tiktokLink: video.tiktokLink || '',
         thumbnail: video.thumbnail || '',
+        slug: video.slug || '',
       });
       setVideoPreview(null);
       setVideoFile(null);
@@ -66,6 +71,7 @@ const TikTok = () => {
         description: '',
         tiktokLink: '',
         thumbnail: '',
+        slug: '',
       });
       setVideoPreview(null);
       setVideoFile(null);
@@ -84,6 +90,7 @@ const TikTok = () => {
       description: '',
       tiktokLink: '',
       thumbnail: '',
+      slug: '',
     });
     setVideoPreview(null);
     setVideoFile(null);
@@ -148,7 +155,9 @@ const TikTok = () => {
       let thumbnailUrl = formData.thumbnail;
 
       if (videoFile) {
-        const uploadResult = await tiktokAPI.upload(videoFile);
+        const uploadResult = await uploadWithDuplicateCheck((options) =>
+          tiktokAPI.upload(videoFile, options),
+        );
         videoUrl = uploadResult.url;
         // Use auto-generated thumbnail only if no custom thumbnail is provided
         if (!thumbnailFile && !thumbnailUrl) {
@@ -158,7 +167,9 @@ const TikTok = () => {
 
       // Upload thumbnail if a new file is selected
       if (thumbnailFile) {
-        const uploadResult = await tiktokAPI.uploadThumbnail(thumbnailFile);
+        const uploadResult = await uploadWithDuplicateCheck((options) =>
+          tiktokAPI.uploadThumbnail(thumbnailFile, options),
+        );
         thumbnailUrl = uploadResult.url;
       } else if (!editingVideo && !thumbnailUrl) {
         // For new videos without custom thumbnail, use auto-generated one if available
@@ -180,6 +191,10 @@ const TikTok = () => {
         thumbnail: thumbnailUrl,
         tiktokLink: formData.tiktokLink ? formData.tiktokLink.trim() : '',
       };
+      // Left empty, the server generates the slug from the title
+      if (formData.slug.trim()) {
+        videoData.slug = formData.slug.trim();
+      }
 
       if (editingVideo) {
         await tiktokAPI.update(editingVideo._id || editingVideo.id, videoData);
@@ -196,7 +211,7 @@ const TikTok = () => {
   };
 
   const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this TikTok video?')) {
+    if (window.confirm('Move this TikTok video to the trash?')) {
       try {
         await tiktokAPI.delete(id);
         await fetchVideos();
@@ -206,6 +221,31 @@ const TikTok = () => {
     }
   };
 
+  const handleToggleFeatured = async (video) => {
+    try {
+      await tiktokAPI.update(video._id || video.id, {
+        featured: !video.featured,
+      });
+      await fetchVideos();
+    } catch (error) {
+      alert(error.message || 'Failed to update TikTok video');
+    }
+  };
+
+  // Show the new order right away, then save it
+  const handleReorder = async (reordered) => {
+    const ordered = featuredFirst(reordered);
+    setVideos(ordered);
+    try {
+      await tiktokAPI.reorder(ordered.map((video) => video._id || video.id));
+    } catch (error) {
+      alert(error.message || 'Failed to save the new order');
+      await fetchVideos();
+    }
+  };
+
+  const drag = useDragReorder(videos, handleReorder);
+
   if (loading) {
     return (
       <div className="p-6">
@@ -220,7 +260,8 @@ const TikTok = () => {
         <div>
           <h1 className="text-3xl font-bold text-gray-900">TikTok Videos</h1>
           <p className="mt-2 text-sm text-gray-600">
-            Manage your TikTok videos
+            Manage your TikTok videos. Drag videos to change their order;
+            featured videos always come first
           </p>
         </div>
         <Button onClick={() => handleOpenModal()}>+ Add TikTok Video</Button>
@@ -232,13 +273,19 @@ const TikTok = () => {
         </div>
       ) : (
         <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
-          {videos.map((video) => (
-            <TikTokCard
+          {videos.map((video, index) => (
+            <div
               key={video._id || video.id}
-              video={video}
-              onEdit={handleOpenModal}
-              onDelete={handleDelete}
-            />
+              className={dragItemClassName(index, drag)}
+              {...drag.getDragProps(index)}
+            >
+              <TikTokCard
+                video={video}
+                onEdit={handleOpenModal}
+                onDelete={handleDelete}
+                onToggleFeatured={handleToggleFeatured}
+              />
+            </div>
           ))}
         </div>
       )}
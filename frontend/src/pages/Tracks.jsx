@@ -1,24 +1,87 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
 import { tracksAPI } from '@/lib/api';
+import { uploadWithDuplicateCheck } from '@/lib/media';
+import { featuredFirst, dragItemClassName } from '@/lib/displayOrder';
 import TrackCard from '@/components/tracks/TrackCard';
+import TrackTable from '@/components/tracks/TrackTable';
 import TrackModal from '@/components/tracks/TrackModal';
+import TrackAnalyticsModal from '@/components/tracks/TrackAnalyticsModal';
+import TrackImportModal from '@/components/tracks/TrackImportModal';
 import ImageCropModal from '@/components/ui/image-crop-modal';
+import { useDebounce } from '@/hooks/useDebounce';
+import { useInfiniteScroll } from '@/hooks/useInfiniteScroll';
+import { useDragReorder } from '@/hooks/useDragReorder';
+import { TRACK_STATUS_OPTIONS, SOLD_EXCLUSIVELY } from '@/lib/trackStatus';
+import { getSplitTotal } from '@/lib/collaborators';
+import {
+  MUSICAL_KEY_OPTIONS,
+  formatDuration,
+  parseDuration,
+  applyAudioMetadata,
+} from '@/lib/trackMetadata';
+
+const SORT_OPTIONS = [
+  { value: 'featured', label: 'Featured & Custom Order' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'oldest', label: 'Oldest' },
+  { value: 'most-sold', label: 'Most Sold' },
+  { value: 'most-viewed', label: 'Most Viewed' },
+  { value: 'price-asc', label: 'Price: Low to High' },
+  { value: 'price-desc', label: 'Price: High to Low' },
+];
 
 const Tracks = () => {
   const [tracks, setTracks] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+    totalPages: 0,
+    hasNext: false,
+    hasPrev: false,
+  });
+  const [categoryFacets, setCategoryFacets] = useState([]);
+  const [filters, setFilters] = useState({
+    search: '',
+    category: '',
+    status: '',
+    minPrice: '',
+    maxPrice: '',
+    releasedFrom: '',
+    releasedTo: '',
+    minBpm: '',
+    maxBpm: '',
+    key: '',
+    sort: 'featured',
+  });
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingTrack, setEditingTrack] = useState(null);
-  const [selectedCategory, setSelectedCategory] = useState('');
   const [formData, setFormData] = useState({
     thumbnail: '',
     title: '',
+    slug: '',
     audio: '',
     previewAudio: '',
     releaseDate: '',
     price: '',
     category: '',
+    status: 'auto',
+    licenses: [],
+    revenueSplits: [],
+    bpm: '',
+    key: '',
+    duration: '',
+    bitrate: '',
+    sampleRate: '',
+    credits: [],
+    tags: '',
+    lyrics: '',
+    explicit: false,
+    previewSettings: null,
   });
   const [thumbnailFile, setThumbnailFile] = useState(null);
   const [audioFile, setAudioFile] = useState(null);
@@ -28,6 +91,12 @@ const Tracks = () => {
   const [previewAudioPreview, setPreviewAudioPreview] = useState(null);
   const [isCropModalOpen, setIsCropModalOpen] = useState(false);
   const [imageToCrop, setImageToCrop] = useState(null);
+  const [viewMode, setViewMode] = useState('grid');
+  const [analyticsTrack, setAnalyticsTrack] = useState(null);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
+  const [analyzingAudio, setAnalyzingAudio] = useState(false);
+  const [uploadedAudioFile, setUploadedAudioFile] = useState(null);
+  const latestAudioFile = useRef(null);
 
   const handleOpenModal = (track = null) => {
     if (track) {
@@ -35,6 +104,7 @@ const Tracks = () => {
       setFormData({
         thumbnail: track.thumbnail || '',
         title: track.title || '',
+        slug: track.slug || '',
         audio: track.audio || '',
         previewAudio: track.previewAudio || '',
         releaseDate: track.releaseDate
@@ -42,6 +112,23 @@ const Tracks = () => {
           : '',
         price: track.price || '',
         category: track.category || '',
+        status: track.status || 'published',
+        licenses: track.licenses || [],
+        revenueSplits: (track.revenueSplits || []).map((split) => ({
+          collaborator: split.collaborator?._id || split.collaborator,
+          role: split.role,
+          percentage: split.percentage,
+        })),
+        bpm: track.bpm ?? '',
+        key: track.key || '',
+        duration: formatDuration(track.duration),
+        bitrate: track.bitrate ?? '',
+        sampleRate: track.sampleRate ?? '',
+        credits: track.credits || [],
+        tags: (track.tags || []).join(', '),
+        lyrics: track.lyrics || '',
+        explicit: !!track.explicit,
+        previewSettings: track.previewSettings || null,
       });
       setThumbnailPreview(null);
       setAudioPreview(null);
@@ -49,16 +136,33 @@ const Tracks = () => {
       setThumbnailFile(null);
       setAudioFile(null);
       setPreviewAudioFile(null);
+      setUploadedAudioFile(null);
+      setAnalyzingAudio(false);
+      latestAudioFile.current = null;
     } else {
       setEditingTrack(null);
       setFormData({
         thumbnail: '',
         title: '',
+        slug: '',
         audio: '',
         previewAudio: '',
         releaseDate: '',
         price: '',
         category: '',
+        status: 'auto',
+        licenses: [],
+        revenueSplits: [],
+        bpm: '',
+        key: '',
+        duration: '',
+        bitrate: '',
+        sampleRate: '',
+        credits: [],
+        tags: '',
+        lyrics: '',
+        explicit: false,
+        previewSettings: null,
       });
       setThumbnailPreview(null);
       setAudioPreview(null);
@@ -66,6 +170,9 @@ const Tracks = () => {
       setThumbnailFile(null);
       setAudioFile(null);
       setPreviewAudioFile(null);
+      setUploadedAudioFile(null);
+      setAnalyzingAudio(false);
+      latestAudioFile.current = null;
     }
     setIsModalOpen(true);
   };
@@ -76,11 +183,25 @@ const Tracks = () => {
     setFormData({
       thumbnail: '',
       title: '',
+      slug: '',
       audio: '',
       previewAudio: '',
       releaseDate: '',
       price: '',
       category: '',
+      status: 'auto',
+      licenses: [],
+      revenueSplits: [],
+      bpm: '',
+      key: '',
+      duration: '',
+      bitrate: '',
+      sampleRate: '',
+      credits: [],
+      tags: '',
+      lyrics: '',
+      explicit: false,
+      previewSettings: null,
     });
     setThumbnailPreview(null);
     setAudioPreview(null);
@@ -88,6 +209,9 @@ const Tracks = () => {
     setThumbnailFile(null);
     setAudioFile(null);
     setPreviewAudioFile(null);
+    setUploadedAudioFile(null);
+    setAnalyzingAudio(false);
+    latestAudioFile.current = null;
   };
 
   const handleInputChange = (e) => {
@@ -139,6 +263,31 @@ const Tracks = () => {
     handleCloseCropModal();
   };
 
+  // Upload the full track as soon as it is picked so its duration, bitrate
+  // and embedded tags can pre-fill the form
+  const analyzeAudio = async (file) => {
+    latestAudioFile.current = file;
+    setAnalyzingAudio(true);
+    try {
+      const { url, metadata, waveform } = await uploadWithDuplicateCheck(
+        (options) => tracksAPI.uploadAudio(file, options),
+      );
+      // Ignore results for a file that has since been replaced
+      if (latestAudioFile.current !== file) return;
+      setUploadedAudioFile(file);
+      setFormData((prev) =>
+        applyAudioMetadata({ ...prev, audio: url, waveform }, metadata),
+      );
+    } catch (error) {
+      // Not fatal - the file is uploaded again on save
+      console.error('Error analyzing audio:', error);
+    } finally {
+      if (latestAudioFile.current === file) {
+        setAnalyzingAudio(false);
+      }
+    }
+  };
+
   const handleAudioChange = (file) => {
     if (file) {
       setAudioFile(file);
@@ -147,13 +296,17 @@ const Tracks = () => {
         setAudioPreview(reader.result);
       };
       reader.readAsDataURL(file);
+      analyzeAudio(file);
     } else {
+      latestAudioFile.current = null;
+      setAnalyzingAudio(false);
       // File removed
       setAudioFile(null);
       setAudioPreview(null);
       setFormData((prev) => ({
         ...prev,
         audio: '',
+        waveform: undefined,
       }));
     }
   };
@@ -166,6 +319,12 @@ const Tracks = () => {
         setPreviewAudioPreview(reader.result);
       };
       reader.readAsDataURL(file);
+      // A hand-made preview isn't regenerated with the catalog
+      setFormData((prev) => ({
+        ...prev,
+        previewSettings: null,
+        previewWaveform: undefined,
+      }));
     } else {
       // File removed
       setPreviewAudioFile(null);
@@ -173,42 +332,143 @@ const Tracks = () => {
       setFormData((prev) => ({
         ...prev,
         previewAudio: '',
+        previewSettings: null,
+        previewWaveform: undefined,
       }));
     }
   };
 
+  // Preview rendered on the server from the full track - already uploaded
+  const handleGeneratedPreview = ({ url, waveform, settings }) => {
+    setPreviewAudioFile(null);
+    setPreviewAudioPreview(null);
+    setFormData((prev) => ({
+      ...prev,
+      previewAudio: url,
+      previewWaveform: waveform || undefined,
+      previewSettings: settings,
+    }));
+  };
+
   const [uploading, setUploading] = useState(false);
+  const [regeneratingPreviews, setRegeneratingPreviews] = useState(false);
 
-  useEffect(() => {
-    fetchTracks();
-  }, []);
+  // Debounce free-text inputs so typing doesn't fire a request per keystroke
+  const debouncedSearch = useDebounce(filters.search, 300);
+  const debouncedMinPrice = useDebounce(filters.minPrice, 300);
+  const debouncedMaxPrice = useDebounce(filters.maxPrice, 300);
+  const debouncedMinBpm = useDebounce(filters.minBpm, 300);
+  const debouncedMaxBpm = useDebounce(filters.maxBpm, 300);
 
-  const fetchTracks = async () => {
-    try {
-      setLoading(true);
-      const data = await tracksAPI.getAll();
-      if (Array.isArray(data)) {
-        setTracks(data);
-      } else {
-        setTracks([]);
+  const fetchTracks = useCallback(
+    async (page = 1, reset = true) => {
+      try {
+        if (reset) {
+          setLoading(true);
+        } else {
+          setLoadingMore(true);
+        }
+
+        const response = await tracksAPI.getAll({
+          search: debouncedSearch.trim(),
+          category: filters.category,
+          // "Sold exclusively" is a flag, not a publication status
+          status:
+            filters.status === SOLD_EXCLUSIVELY.value ? '' : filters.status,
+          soldExclusively: filters.status === SOLD_EXCLUSIVELY.value,
+          minPrice: debouncedMinPrice,
+          maxPrice: debouncedMaxPrice,
+          releasedFrom: filters.releasedFrom,
+          releasedTo: filters.releasedTo,
+          minBpm: debouncedMinBpm,
+          maxBpm: debouncedMaxBpm,
+          key: filters.key,
+          sort: filters.sort,
+          page,
+          limit: pagination.limit,
+        });
+
+        if (response && Array.isArray(response.items)) {
+          if (reset) {
+            setTracks(response.items);
+          } else {
+            setTracks((prev) => [...prev, ...response.items]);
+          }
+
+          if (response.pagination) {
+            setPagination(response.pagination);
+          }
+          setCategoryFacets(response.facets?.categories || []);
+        } else if (reset) {
+          setTracks([]);
+        }
+      } catch (error) {
+        console.error('Error fetching tracks:', error);
+        if (reset) {
+          setTracks([]);
+        }
+      } finally {
+        setLoading(false);
+        setLoadingMore(false);
       }
-    } catch (error) {
-      console.error('Error fetching tracks:', error);
-      setTracks([]);
-    } finally {
-      setLoading(false);
+    },
+    [
+      debouncedSearch,
+      debouncedMinPrice,
+      debouncedMaxPrice,
+      debouncedMinBpm,
+      debouncedMaxBpm,
+      filters.category,
+      filters.status,
+      filters.releasedFrom,
+      filters.releasedTo,
+      filters.key,
+      filters.sort,
+      pagination.limit,
+    ],
+  );
+
+  // Reload from the first page whenever a filter changes
+  useEffect(() => {
+    fetchTracks(1, true);
+  }, [fetchTracks]);
+
+  // Load more function for infinite scroll
+  const loadMore = useCallback(() => {
+    if (pagination.hasNext && !loadingMore && !loading) {
+      fetchTracks(pagination.page + 1, false);
     }
-  };
+  }, [pagination.hasNext, pagination.page, loadingMore, loading, fetchTracks]);
 
-  // Get unique categories from tracks
-  const categories = [
-    ...new Set(tracks.map((track) => track.category).filter(Boolean)),
-  ].sort();
+  // Infinite scroll observer
+  const observerTarget = useInfiniteScroll(
+    loadMore,
+    pagination.hasNext,
+    loadingMore || loading,
+    {
+      threshold: 200,
+    },
+  );
 
-  // Filter tracks by category
-  const filteredTracks = selectedCategory
-    ? tracks.filter((track) => track.category === selectedCategory)
-    : tracks;
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  const hasActiveFilters =
+    filters.search ||
+    filters.category ||
+    filters.status ||
+    filters.minPrice ||
+    filters.maxPrice ||
+    filters.releasedFrom ||
+    filters.releasedTo ||
+    filters.minBpm ||
+    filters.maxBpm ||
+    filters.key;
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -218,23 +478,34 @@ const Tracks = () => {
       let thumbnailUrl = formData.thumbnail;
       let audioUrl = formData.audio;
       let previewAudioUrl = formData.previewAudio;
+      // Peaks computed by the upload endpoints, saved with the track
+      let waveform = formData.waveform;
+      let previewWaveform = formData.previewWaveform;
 
       // Upload thumbnail if a new file is selected
       if (thumbnailFile) {
-        const uploadResult = await tracksAPI.uploadThumbnail(thumbnailFile);
+        const uploadResult = await uploadWithDuplicateCheck((options) =>
+          tracksAPI.uploadThumbnail(thumbnailFile, options),
+        );
         thumbnailUrl = uploadResult.url;
       }
 
-      // Upload audio if a new file is selected
-      if (audioFile) {
-        const uploadResult = await tracksAPI.uploadAudio(audioFile);
+      // Upload audio if a new file is selected (and wasn't uploaded on selection)
+      if (audioFile && audioFile !== uploadedAudioFile) {
+        const uploadResult = await uploadWithDuplicateCheck((options) =>
+          tracksAPI.uploadAudio(audioFile, options),
+        );
         audioUrl = uploadResult.url;
+        waveform = uploadResult.waveform;
       }
 
       // Upload preview audio if a new file is selected
       if (previewAudioFile) {
-        const uploadResult = await tracksAPI.uploadPreviewAudio(previewAudioFile);
+        const uploadResult = await uploadWithDuplicateCheck((options) =>
+          tracksAPI.uploadPreviewAudio(previewAudioFile, options),
+        );
         previewAudioUrl = uploadResult.url;
+        previewWaveform = uploadResult.waveform;
       }
 
       // Validate required fields
@@ -256,9 +527,37 @@ const Tracks = () => {
       if (!formData.category || formData.category.trim() === '') {
         throw new Error('Please select a category');
       }
-      if (!formData.price || parseFloat(formData.price) < 0) {
+      const hasLicenses = formData.licenses.length > 0;
+      if (
+        !hasLicenses &&
+        (!formData.price || parseFloat(formData.price) < 0)
+      ) {
         throw new Error('Please enter a valid price');
       }
+      if (
+        formData.licenses.some(
+          (license) =>
+            !license.name?.trim() ||
+            license.price === '' ||
+            parseFloat(license.price) < 0,
+        )
+      ) {
+        throw new Error('Every license tier needs a name and a valid price');
+      }
+      if (
+        formData.revenueSplits.some(
+          (split) => !split.collaborator || !(parseFloat(split.percentage) > 0),
+        )
+      ) {
+        throw new Error('Every payee needs a collaborator and a share above 0%');
+      }
+      if (getSplitTotal(formData.revenueSplits) > 100) {
+        throw new Error("Revenue split shares can't add up to more than 100%");
+      }
+      const duration = parseDuration(formData.duration);
+      if (formData.duration.trim() !== '' && duration === null) {
+        throw new Error('Please enter the duration as m:ss (e.g. 3:35)');
+      }
 
       const trackData = {
         thumbnail: thumbnailUrl,
@@ -266,16 +565,53 @@ const Tracks = () => {
         audio: audioUrl,
         previewAudio: previewAudioUrl,
         releaseDate: formData.releaseDate,
-        price: parseFloat(formData.price),
         category: formData.category.trim(),
+        // The server derives the price from the tiers when there are any
+        licenses: formData.licenses.map((license) => ({
+          ...license,
+          pricingPlan: license.pricingPlan || undefined,
+          price: parseFloat(license.price),
+        })),
+        revenueSplits: formData.revenueSplits.map((split) => ({
+          ...split,
+          percentage: parseFloat(split.percentage),
+        })),
       };
+      if (!hasLicenses) {
+        trackData.price = parseFloat(formData.price);
+      }
+      if (waveform) trackData.waveform = waveform;
+      if (previewWaveform) trackData.previewWaveform = previewWaveform;
+      // Empty values clear the field on update
+      Object.assign(trackData, {
+        bpm: formData.bpm === '' ? null : parseFloat(formData.bpm),
+        key: formData.key || null,
+        duration,
+        bitrate: formData.bitrate === '' ? null : formData.bitrate,
+        sampleRate: formData.sampleRate === '' ? null : formData.sampleRate,
+        credits: formData.credits.filter(
+          (credit) => credit.role.trim() !== '' || credit.name.trim() !== '',
+        ),
+        tags: formData.tags,
+        lyrics: formData.lyrics,
+        explicit: formData.explicit,
+        previewSettings: formData.previewSettings || null,
+      });
+      // 'auto' lets the server schedule future releases and publish the rest
+      if (formData.status && formData.status !== 'auto') {
+        trackData.status = formData.status;
+      }
+      // Left empty, the server generates the slug from the title
+      if (formData.slug.trim()) {
+        trackData.slug = formData.slug.trim();
+      }
 
       if (editingTrack) {
         await tracksAPI.update(editingTrack._id || editingTrack.id, trackData);
       } else {
         await tracksAPI.create(trackData);
       }
-      await fetchTracks();
+      await fetchTracks(1, true);
       handleCloseModal();
     } catch (error) {
       alert(error.message || 'Failed to save track');
@@ -284,77 +620,326 @@ const Tracks = () => {
     }
   };
 
+  const handleRelist = async (id) => {
+    if (
+      window.confirm(
+        'This track was sold under an exclusive license. Put it back on sale anyway?',
+      )
+    ) {
+      try {
+        await tracksAPI.relist(id);
+        await fetchTracks(1, true);
+      } catch (error) {
+        alert(error.message || 'Failed to re-list track');
+      }
+    }
+  };
+
+  // Re-render server-generated previews, e.g. after the voice tag changed
+  const handleRegeneratePreviews = async () => {
+    if (
+      !window.confirm(
+        'Regenerate every preview that was generated from its full track? Uploaded previews are left alone. This can take a while.',
+      )
+    ) {
+      return;
+    }
+    try {
+      setRegeneratingPreviews(true);
+      const { total, regenerated, failed } =
+        await tracksAPI.regeneratePreviews();
+      await fetchTracks(1, true);
+      alert(
+        `Regenerated ${regenerated} of ${total} previews.${
+          failed.length > 0
+            ? `\n\nFailed:\n${failed
+                .map((item) => `${item.title}: ${item.error}`)
+                .join('\n')}`
+            : ''
+        }`,
+      );
+    } catch (error) {
+      alert(error.message || 'Failed to regenerate previews');
+    } finally {
+      setRegeneratingPreviews(false);
+    }
+  };
+
+  const handleToggleFeatured = async (track) => {
+    try {
+      await tracksAPI.update(track._id || track.id, {
+        featured: !track.featured,
+      });
+      await fetchTracks(1, true);
+    } catch (error) {
+      alert(error.message || 'Failed to update track');
+    }
+  };
+
+  // Show the new order right away, then save it (only the loaded tracks
+  // are sent; they keep the slots they already take up)
+  const handleReorder = async (reordered) => {
+    const ordered = featuredFirst(reordered);
+    setTracks(ordered);
+    try {
+      await tracksAPI.reorder(ordered.map((track) => track._id || track.id));
+    } catch (error) {
+      alert(error.message || 'Failed to save the new order');
+      await fetchTracks(1, true);
+    }
+  };
+
+  // Dragging only makes sense while the list shows the custom order
+  const drag = useDragReorder(tracks, handleReorder, {
+    enabled: filters.sort === 'featured',
+  });
+
+  const handleImported = useCallback(() => fetchTracks(1, true), [fetchTracks]);
+
   const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this track?')) {
+    if (
+      window.confirm(
+        'Move this track to the trash? Past buyers can still download it.',
+      )
+    ) {
       try {
         await tracksAPI.delete(id);
-        await fetchTracks();
+        await fetchTracks(1, true);
       } catch (error) {
         alert(error.message || 'Failed to delete track');
       }
     }
   };
 
-  if (loading) {
-    return (
-      <div className="p-6">
-        <div className="py-8 text-center text-gray-600">Loading...</div>
-      </div>
-    );
-  }
-
   return (
     <div className="p-6">
       <div className="flex justify-between items-center mb-8">
         <div>
           <h1 className="text-3xl font-bold text-gray-900">Tracks</h1>
-          <p className="mt-2 text-sm text-gray-600">Manage your music tracks</p>
+          <p className="mt-2 text-sm text-gray-600">
+            Manage your music tracks.{' '}
+            {filters.sort === 'featured'
+              ? 'Drag tracks to change their order; featured tracks always come first'
+              : 'Sort by custom order to drag tracks into place'}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            onClick={() =>
+              setViewMode((prev) => (prev === 'grid' ? 'table' : 'grid'))
+            }
+          >
+            {viewMode === 'grid' ? 'Table View' : 'Grid View'}
+          </Button>
+          <Button
+            variant="outline"
+            onClick={handleRegeneratePreviews}
+            disabled={regeneratingPreviews}
+          >
+            {regeneratingPreviews ? 'Regenerating...' : 'Regenerate Previews'}
+          </Button>
+          <Button variant="outline" onClick={() => setIsImportModalOpen(true)}>
+            Import
+          </Button>
+          <Button onClick={() => handleOpenModal()}>+ Add Track</Button>
         </div>
-        <Button onClick={() => handleOpenModal()}>+ Add Track</Button>
       </div>
 
-      {/* Category Filter */}
-      {categories.length > 0 && (
-        <div className="flex gap-2 items-center mb-4">
+      {/* Search, Filters and Sort */}
+      <div className="grid grid-cols-1 gap-3 mb-6 md:grid-cols-2 xl:grid-cols-4">
+        <Input
+          name="search"
+          value={filters.search}
+          onChange={handleFilterChange}
+          placeholder="Search by title..."
+          aria-label="Search tracks by title"
+        />
+        <select
+          id="category-filter"
+          name="category"
+          value={filters.category}
+          onChange={handleFilterChange}
+          aria-label="Filter by category"
+          className="px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
+        >
+          <option value="">All Categories</option>
+          {categoryFacets.map((facet) => (
+            <option key={facet.category} value={facet.category}>
+              {facet.category} ({facet.count})
+            </option>
+          ))}
+        </select>
+        <select
+          id="status-filter"
+          name="status"
+          value={filters.status}
+          onChange={handleFilterChange}
+          aria-label="Filter by status"
+          className="px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
+        >
+          <option value="">All Statuses</option>
+          {TRACK_STATUS_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+          <option value={SOLD_EXCLUSIVELY.value}>{SOLD_EXCLUSIVELY.label}</option>
+        </select>
+        <div className="flex gap-2">
+          <Input
+            name="minPrice"
+            type="number"
+            min="0"
+            value={filters.minPrice}
+            onChange={handleFilterChange}
+            placeholder="Min ৳"
+            aria-label="Minimum price"
+          />
+          <Input
+            name="maxPrice"
+            type="number"
+            min="0"
+            value={filters.maxPrice}
+            onChange={handleFilterChange}
+            placeholder="Max ৳"
+            aria-label="Maximum price"
+          />
+        </div>
+        <select
+          id="sort"
+          name="sort"
+          value={filters.sort}
+          onChange={handleFilterChange}
+          aria-label="Sort tracks"
+          className="px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <div className="flex gap-2 items-center md:col-span-2">
           <label
-            htmlFor="category-filter"
-            className="text-sm font-medium text-gray-700"
+            htmlFor="releasedFrom"
+            className="text-sm font-medium text-gray-700 whitespace-nowrap"
           >
-            Filter by Category:
+            Released:
           </label>
-          <select
-            id="category-filter"
-            value={selectedCategory}
-            onChange={(e) => setSelectedCategory(e.target.value)}
-            className="px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
-          >
-            <option value="">All Categories</option>
-            {categories.map((category) => (
-              <option key={category} value={category}>
-                {category}
-              </option>
-            ))}
-          </select>
+          <Input
+            id="releasedFrom"
+            name="releasedFrom"
+            type="date"
+            value={filters.releasedFrom}
+            onChange={handleFilterChange}
+            aria-label="Released from"
+          />
+          <span className="text-sm text-gray-500">to</span>
+          <Input
+            name="releasedTo"
+            type="date"
+            value={filters.releasedTo}
+            onChange={handleFilterChange}
+            aria-label="Released to"
+          />
         </div>
-      )}
+        <div className="flex gap-2">
+          <Input
+            name="minBpm"
+            type="number"
+            min="0"
+            value={filters.minBpm}
+            onChange={handleFilterChange}
+            placeholder="Min BPM"
+            aria-label="Minimum BPM"
+          />
+          <Input
+            name="maxBpm"
+            type="number"
+            min="0"
+            value={filters.maxBpm}
+            onChange={handleFilterChange}
+            placeholder="Max BPM"
+            aria-label="Maximum BPM"
+          />
+        </div>
+        <select
+          id="key-filter"
+          name="key"
+          value={filters.key}
+          onChange={handleFilterChange}
+          aria-label="Filter by key"
+          className="px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
+        >
+          <option value="">All Keys</option>
+          {MUSICAL_KEY_OPTIONS.map((key) => (
+            <option key={key} value={key}>
+              {key}
+            </option>
+          ))}
+        </select>
+      </div>
 
-      {filteredTracks.length === 0 ? (
+      {loading ? (
+        <div className="py-8 text-center text-gray-600">Loading...</div>
+      ) : tracks.length === 0 ? (
         <div className="py-12 text-center text-muted-foreground">
-          {selectedCategory
-            ? `No tracks found in category "${selectedCategory}". Add your first track!`
+          {hasActiveFilters
+            ? 'No tracks match the current filters.'
             : 'No tracks found. Add your first track!'}
         </div>
       ) : (
-        <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
-          {filteredTracks.map((track) => (
-            <TrackCard
-              key={track._id || track.id}
-              track={track}
-              onEdit={handleOpenModal}
-              onDelete={handleDelete}
-            />
-          ))}
-        </div>
+        <>
+          {viewMode === 'table' ? (
+            <div className="bg-white rounded-lg border border-gray-200">
+              <TrackTable
+                tracks={tracks}
+                onEdit={handleOpenModal}
+                onDelete={handleDelete}
+                onRelist={handleRelist}
+                onAnalytics={setAnalyticsTrack}
+                onToggleFeatured={handleToggleFeatured}
+                drag={drag}
+              />
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
+              {tracks.map((track, index) => (
+                <div
+                  key={track._id || track.id}
+                  className={dragItemClassName(index, drag)}
+                  {...drag.getDragProps(index)}
+                >
+                  <TrackCard
+                    track={track}
+                    onEdit={handleOpenModal}
+                    onDelete={handleDelete}
+                    onRelist={handleRelist}
+                    onAnalytics={setAnalyticsTrack}
+                    onToggleFeatured={handleToggleFeatured}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Infinite scroll trigger */}
+          {pagination.hasNext && (
+            <div ref={observerTarget} className="py-8 text-center">
+              {loadingMore && (
+                <div className="text-gray-500">Loading more tracks...</div>
+              )}
+            </div>
+          )}
+
+          {/* End of list indicator */}
+          {!pagination.hasNext && tracks.length > 0 && (
+            <div className="py-8 text-center text-gray-500">
+              All tracks loaded ({pagination.total} total)
+            </div>
+          )}
+        </>
       )}
 
       <TrackModal
@@ -366,11 +951,13 @@ const Tracks = () => {
         handleThumbnailChange={handleThumbnailChange}
         handleAudioChange={handleAudioChange}
         handlePreviewAudioChange={handlePreviewAudioChange}
+        handleGeneratedPreview={handleGeneratedPreview}
         handleSubmit={handleSubmit}
         thumbnailPreview={thumbnailPreview}
         audioPreview={audioPreview}
         previewAudioPreview={previewAudioPreview}
         uploading={uploading}
+        analyzingAudio={analyzingAudio}
         onOpenCropModal={handleOpenCropModal}
         audioFile={audioFile}
       />
@@ -384,6 +971,17 @@ const Tracks = () => {
         minZoom={0.5}
         maxZoom={5}
       />
+
+      <TrackAnalyticsModal
+        track={analyticsTrack}
+        onClose={() => setAnalyticsTrack(null)}
+      />
+
+      <TrackImportModal
+        isOpen={isImportModalOpen}
+        onClose={() => setIsImportModalOpen(false)}
+        onImported={handleImported}
+      />
     </div>
   );
 };
@@ -0,0 +1,121 @@
+import { useState, useEffect, useCallback } from 'react';
+import { trashAPI } from '@/lib/api';
+import { Button } from '@/components/ui/button';
+import TrashTable from '@/components/trash/TrashTable';
+import { TRASH_TYPE_LABELS } from '@/lib/trash';
+
+const Trash = () => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [type, setType] = useState('');
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await trashAPI.getAll(type);
+      setItems(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      setItems([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [type]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handleRestore = async (item) => {
+    try {
+      await trashAPI.restore(item.type, item._id);
+      await fetchTrash();
+    } catch (error) {
+      alert(error.message || 'Failed to restore item');
+    }
+  };
+
+  const handlePurge = async (item) => {
+    if (
+      window.confirm(
+        `Permanently delete "${item.name || 'this item'}"? This can't be undone.`,
+      )
+    ) {
+      try {
+        await trashAPI.purge(item.type, item._id);
+        await fetchTrash();
+      } catch (error) {
+        alert(error.message || 'Failed to delete item');
+      }
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (
+      window.confirm(
+        "Permanently delete everything in the trash? Sold tracks are kept for their buyers. This can't be undone.",
+      )
+    ) {
+      try {
+        const result = await trashAPI.empty();
+        if (result?.kept > 0) {
+          alert(`${result.kept} sold track(s) were kept for their buyers.`);
+        }
+        await fetchTrash();
+      } catch (error) {
+        alert(error.message || 'Failed to empty the trash');
+      }
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Trash</h1>
+          <p className="mt-2 text-sm text-gray-600">
+            Deleted content is hidden from the site and purged automatically
+            after a while. Sold tracks stay here so their buyers can still
+            download them.
+          </p>
+        </div>
+        <Button
+          variant="destructive"
+          onClick={handleEmpty}
+          disabled={items.length === 0}
+        >
+          Empty Trash
+        </Button>
+      </div>
+
+      <div className="mb-6">
+        <select
+          id="type-filter"
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          aria-label="Filter by type"
+          className="px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
+        >
+          <option value="">All Types</option>
+          {Object.entries(TRASH_TYPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-600">Loading trash...</div>
+      ) : (
+        <TrashTable
+          items={items}
+          onRestore={handleRestore}
+          onPurge={handlePurge}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Trash;
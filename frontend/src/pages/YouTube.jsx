@@ -1,6 +1,9 @@
 import { useState, useEffect } from 'react';
 import { Button } from '@/components/ui/button';
 import { youtubeAPI } from '@/lib/api';
+import { uploadWithDuplicateCheck } from '@/lib/media';
+import { featuredFirst, dragItemClassName } from '@/lib/displayOrder';
+import { useDragReorder } from '@/hooks/useDragReorder';
 import YouTubeCard from '@/components/youtube/YouTubeCard';
 import YouTubeModal from '@/components/youtube/YouTubeModal';
 import ImageCropModal from '@/components/ui/image-crop-modal';
@@ -14,6 +17,7 @@ const YouTube = () => {
     title: '',
     description: '',
     thumbnail: '',
+    slug: '',
   });
   const [thumbnailFile, setThumbnailFile] = useState(null);
   const [thumbnailPreview, setThumbnailPreview] = useState(null);
@@ -52,6 +56,7 @@ const YouTube = () => {
         title: video.title || '',
         description: video.description || '',
         thumbnail: video.thumbnail || '',
+        slug: video.slug || '',
       });
       setThumbnailPreview(null);
       setThumbnailFile(null);
@@ -62,6 +67,7 @@ const YouTube = () => {
         title: '',
         description: '',
         thumbnail: '',
+        slug: '',
       });
       setThumbnailPreview(null);
       setThumbnailFile(null);
@@ -77,6 +83,7 @@ const YouTube = () => {
       title: '',
       description: '',
       thumbnail: '',
+      slug: '',
     });
     setThumbnailPreview(null);
     setThumbnailFile(null);
@@ -145,7 +152,9 @@ const YouTube = () => {
 
       // Upload thumbnail if a new file is selected
       if (thumbnailFile) {
-        const uploadResult = await youtubeAPI.upload(thumbnailFile);
+        const uploadResult = await uploadWithDuplicateCheck((options) =>
+          youtubeAPI.upload(thumbnailFile, options),
+        );
         thumbnailUrl = uploadResult.url;
       }
 
@@ -163,6 +172,10 @@ const YouTube = () => {
         description: formData.description ? formData.description.trim() : '',
         thumbnail: thumbnailUrl || '',
       };
+      // Left empty, the server generates the slug from the title
+      if (formData.slug.trim()) {
+        videoData.slug = formData.slug.trim();
+      }
 
       if (editingVideo) {
         await youtubeAPI.update(editingVideo._id || editingVideo.id, videoData);
@@ -179,7 +192,7 @@ const YouTube = () => {
   };
 
   const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this YouTube video?')) {
+    if (window.confirm('Move this YouTube video to the trash?')) {
       try {
         await youtubeAPI.delete(id);
         await fetchVideos();
@@ -189,6 +202,31 @@ const YouTube = () => {
     }
   };
 
+  const handleToggleFeatured = async (video) => {
+    try {
+      await youtubeAPI.update(video._id || video.id, {
+        featured: !video.featured,
+      });
+      await fetchVideos();
+    } catch (error) {
+      alert(error.message || 'Failed to update YouTube video');
+    }
+  };
+
+  // Show the new order right away, then save it
+  const handleReorder = async (reordered) => {
+    const ordered = featuredFirst(reordered);
+    setVideos(ordered);
+    try {
+      await youtubeAPI.reorder(ordered.map((video) => video._id || video.id));
+    } catch (error) {
+      alert(error.message || 'Failed to save the new order');
+      await fetchVideos();
+    }
+  };
+
+  const drag = useDragReorder(videos, handleReorder);
+
   if (loading) {
     return (
       <div className="p-6">
@@ -203,7 +241,8 @@ const YouTube = () => {
         <div>
           <h1 className="text-3xl font-bold text-gray-900">YouTube Videos</h1>
           <p className="mt-2 text-sm text-gray-600">
-            Manage your YouTube video links
+            Manage your YouTube video links. Drag videos to change their order;
+            featured videos always come first
           </p>
         </div>
         <Button onClick={() => handleOpenModal()}>+ Add YouTube Video</Button>
@@ -215,13 +254,19 @@ const YouTube = () => {
         </div>
       ) : (
         <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
-          {videos.map((video) => (
-            <YouTubeCard
+          {videos.map((video, index) => (
+            <div
               key={video._id || video.id}
-              video={video}
-              onEdit={handleOpenModal}
-              onDelete={handleDelete}
-            />
+              className={dragItemClassName(index, drag)}
+              {...drag.getDragProps(index)}
+            >
+              <YouTubeCard
+                video={video}
+                onEdit={handleOpenModal}
+                onDelete={handleDelete}
+                onToggleFeatured={handleToggleFeatured}
+              />
+            </div>
           ))}
         </div>
       )}
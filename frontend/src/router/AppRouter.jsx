@@ -4,10 +4,15 @@ import DashboardLayout from '../layout/DashboardLayout';
 import Login from '../pages/Login';
 import Dashboard from '../pages/Dashboard';
 import Tracks from '../pages/Tracks';
+import Releases from '../pages/Releases';
+import Categories from '../pages/Categories';
+import Collaborators from '../pages/Collaborators';
 import Pricing from '../pages/Pricing';
 import Gallery from '../pages/Gallery';
 import Contacts from '../pages/Contacts';
 import PaymentHistory from '../pages/PaymentHistory';
+import Payouts from '../pages/Payouts';
+import Trash from '../pages/Trash';
 import ApiDocs from '../pages/ApiDocs';
 import YouTube from '../pages/YouTube';
 import TikTok from '../pages/TikTok';
@@ -62,10 +67,15 @@ const AppRouter = () => {
         >
           <Route index element={<Dashboard />} />
           <Route path="tracks" element={<Tracks />} />
+          <Route path="releases" element={<Releases />} />
+          <Route path="categories" element={<Categories />} />
+          <Route path="collaborators" element={<Collaborators />} />
           <Route path="pricing" element={<Pricing />} />
           <Route path="gallery" element={<Gallery />} />
           <Route path="contacts" element={<Contacts />} />
           <Route path="payment-history" element={<PaymentHistory />} />
+          <Route path="payouts" element={<Payouts />} />
+          <Route path="trash" element={<Trash />} />
           <Route path="api-docs" element={<ApiDocs />} />
           <Route path="youtube" element={<YouTube />} />
           <Route path="tiktok" element={<TikTok />} />